@@ -140,7 +140,9 @@
                 // Check if handler exists
                 if (keyboardHandlers.has(shortcut)) {
                     const handler = keyboardHandlers.get(shortcut);
-                    if (handler.enabled) {
+                    // Leave native behaviour (e.g. text undo) alone inside editable fields
+                    const inEditable = $(e.target).is('input, textarea, select, [contenteditable="true"]');
+                    if (handler.enabled && !(handler.ignoreInputs && inEditable)) {
                         e.preventDefault();
                         handler.callback(e);
                     }
@@ -366,12 +368,14 @@
          * @param {string} shortcut - Keyboard shortcut (e.g., 'ctrl+s', 'shift+enter')
          * @param {Function} callback - Handler function
          * @param {Object} options - Additional options
+         * @param {boolean} options.ignoreInputs - Skip the shortcut while focus is in a form field
          * @returns {string} Handler ID for removal
          */
         AccessibilityCore.prototype.handleKeyboardShortcuts = function(shortcut, callback, options = {}) {
             const defaults = {
                 enabled: true,
-                description: ''
+                description: '',
+                ignoreInputs: false
             };
             
             const settings = $.extend({}, defaults, options);
@@ -381,7 +385,8 @@
                 id: handlerId,
                 callback: callback,
                 enabled: settings.enabled,
-                description: settings.description
+                description: settings.description,
+                ignoreInputs: settings.ignoreInputs
             });
             
             return handlerId;
@@ -5,6 +5,25 @@
 (function($) {
     'use strict';
 
+    // Block types the lesson editor can add and edit
+    const LESSON_BLOCK_LABELS = {
+        paragraph: 'Paragraph',
+        heading: 'Heading',
+        list: 'List',
+        quote: 'Quote',
+        code: 'Code',
+        image: 'Image'
+    };
+
+    // How each lesson draft revision was saved
+    const REVISION_SOURCE_LABELS = {
+        manual: 'Saved',
+        autosave: 'Autosaved',
+        ai: 'AI generated',
+        restore: 'Restored',
+        earlier: 'Earlier draft'
+    };
+
     // Course Editor Manager
     const CourseEditor = {
         sessionId: '',
@@ -13,9 +32,27 @@
         conversationHistory: [],
         isSaving: false,
         publishedCourseId: null,
+        syncMode: false,
         publishedCourseUrl: null,
         messageHistory: [],
         messageHistoryIndex: -1,
+        structureHistory: { undo: [], redo: [] },
+        maxHistorySteps: 50,
+        historyShortcutIds: [],
+        pendingProposal: null,
+        grabState: null,
+        lessonDocument: null,
+        lessonRevisions: [],
+        selectedRevision: null,
+        lessonSelection: null,
+        lessonRewrite: null,
+        lessonQueue: null,
+        lessonQueueRequests: {},
+        lessonQueueTimer: null,
+        lessonQueueConcurrency: 2,
+        courseStyle: {},
+        draftPositions: {},
+        draftRequests: null,
         
         init: function() {
             this.sessionId = mpccEditorSettings.sessionId;
@@ -44,6 +81,7 @@
             
             this.bindEvents();
             this.initializeChat();
+            this.updateCourseStyleButton();
             if (this.sessionId && this.sessionId !== 'pending') {
                 this.loadExistingSession();
             }
@@ -54,6 +92,70 @@
             this.debouncedAutoSave = MPCCUtils.debounce(this.autoSaveLesson.bind(this), 2000);
             // Use event delegation for chat events to avoid conflicts
             $(document).off('click.mpcc-editor-send').on('click.mpcc-editor-send', '#mpcc-send-message', this.sendMessage.bind(this));
+            $(document).off('click.mpcc-editor-stop').on('click.mpcc-editor-stop', '#mpcc-stop-generation', this.stopGeneration.bind(this));
+            $(document).off('click.mpcc-editor-history').on('click.mpcc-editor-history', '#mpcc-undo-structure, #mpcc-redo-structure', (e) => {
+                if (e.currentTarget.id === 'mpcc-undo-structure') {
+                    this.undoStructureChange();
+                } else {
+                    this.redoStructureChange();
+                }
+            });
+            this.registerHistoryShortcuts();
+            
+            // Editing a published course
+            $(document).off('click.mpcc-editor-sync')
+                .on('click.mpcc-editor-sync', '#mpcc-start-sync', this.startCourseSync.bind(this))
+                .on('click.mpcc-editor-sync', '#mpcc-apply-sync', this.applyCourseSync.bind(this))
+                .on('click.mpcc-editor-sync', '.mpcc-sync-cancel', this.closeSyncPreview.bind(this));
+            
+            // Outline export
+            $(document).off('.mpcc-editor-export')
+                .on('click.mpcc-editor-export', '#mpcc-export-outline', this.toggleExportMenu.bind(this))
+                .on('click.mpcc-editor-export', '#mpcc-export-menu [data-format]', (e) => {
+                    this.exportOutline($(e.currentTarget).data('format'));
+                })
+                .on('keydown.mpcc-editor-export', '#mpcc-export-menu', this.handleExportMenuKey.bind(this))
+                .on('click.mpcc-editor-export', (e) => {
+                    if (!$(e.target).closest('.mpcc-export-menu-wrap').length) {
+                        this.closeExportMenu(false);
+                    }
+                });
+            
+            // Generating drafts for every lesson
+            $(document).off('click.mpcc-lesson-queue')
+                .on('click.mpcc-lesson-queue', '#mpcc-generate-all-lessons', this.startLessonQueue.bind(this))
+                .on('click.mpcc-lesson-queue', '.mpcc-queue-pause', this.pauseLessonQueue.bind(this))
+                .on('click.mpcc-lesson-queue', '.mpcc-queue-resume', this.resumeLessonQueue.bind(this))
+                .on('click.mpcc-lesson-queue', '.mpcc-queue-cancel', this.cancelLessonQueue.bind(this))
+                .on('click.mpcc-lesson-queue', '.mpcc-queue-retry', this.retryFailedLessons.bind(this))
+                .on('click.mpcc-lesson-queue', '.mpcc-queue-dismiss', this.dismissLessonQueue.bind(this));
+            
+            // Course style guide
+            $(document).off('.mpcc-course-style')
+                .on('click.mpcc-course-style', '#mpcc-course-style-toggle', this.toggleCourseStylePanel.bind(this))
+                .on('click.mpcc-course-style', '.mpcc-style-save', this.saveCourseStyle.bind(this))
+                .on('click.mpcc-course-style', '.mpcc-style-cancel', () => this.closeCourseStylePanel())
+                .on('click.mpcc-course-style', '.mpcc-style-clear', () => this.openCourseStylePanel(MPCCCourseStyle.empty()))
+                .on('keydown.mpcc-course-style', '#mpcc-course-style', (e) => {
+                    if (e.key === 'Escape') {
+                        this.closeCourseStylePanel();
+                    }
+                });
+            
+            // Importing an existing course
+            $(document).off('.mpcc-editor-import')
+                .on('click.mpcc-editor-import', '#mpcc-import-course, .mpcc-empty-import', this.showImportCourses.bind(this))
+                .on('click.mpcc-editor-import', '.mpcc-import-modal .mpcc-sessions-modal-close', this.closeImportCourses.bind(this))
+                .on('click.mpcc-editor-import', '.mpcc-import-course-item', this.importCourse.bind(this))
+                .on('input.mpcc-editor-import', '#mpcc-import-search', this.filterImportableCourses.bind(this));
+            
+            // Review of AI-proposed outline changes
+            $(document).off('click.mpcc-editor-diff')
+                .on('click.mpcc-editor-diff', '.mpcc-diff-accept-all', this.acceptAllProposedChanges.bind(this))
+                .on('click.mpcc-editor-diff', '.mpcc-diff-reject', this.rejectProposedChanges.bind(this))
+                .on('click.mpcc-editor-diff', '.mpcc-diff-accept-section', (e) => {
+                    this.acceptProposedSection(parseInt($(e.currentTarget).data('entry'), 10));
+                });
             $(document).off('keypress.mpcc-editor-input').on('keypress.mpcc-editor-input', '#mpcc-chat-input', function(e) {
                 if (e.which === 13 && !e.shiftKey) {
                     e.preventDefault();
@@ -85,14 +187,68 @@
             // Lesson editor events - use event delegation for dynamic content
             $(document).on('click', '.mpcc-lesson-item', this.handleLessonClick.bind(this));
             $('#mpcc-generate-lesson-content').on('click', this.generateLessonContent.bind(this));
+            $('#mpcc-lesson-history-toggle').on('click', this.toggleLessonHistory.bind(this));
+            $('#mpcc-revision-list').on('click', '.mpcc-revision-item', (e) => {
+                this.showLessonRevision(parseInt($(e.currentTarget).data('revision-id'), 10));
+            });
+            $('#mpcc-revision-compare').on('click', '.mpcc-restore-revision', this.restoreLessonRevision.bind(this));
             $('#mpcc-save-lesson').on('click', this.saveLesson.bind(this));
             $('#mpcc-cancel-lesson, #mpcc-close-lesson').on('click', this.closeLessonEditor.bind(this));
             
             // Close lesson editor when clicking overlay
             $('#mpcc-lesson-editor-overlay').on('click', this.closeLessonEditor.bind(this));
             
-            // Auto-save on textarea change with debouncing
-            $('#mpcc-lesson-textarea').off('input.autosave').on('input.autosave', this.debouncedAutoSave);
+            // Auto-save on lesson edits with debouncing
+            $('#mpcc-lesson-blocks').off('input.autosave change.autosave').on('input.autosave change.autosave', this.debouncedAutoSave);
+            
+            // Rewriting selected text with AI
+            $('#mpcc-lesson-blocks').off('.mpcc-rewrite').on('mouseup.mpcc-rewrite keyup.mpcc-rewrite', () => {
+                // Wait for a click inside the selection to collapse it
+                setTimeout(() => this.captureLessonSelection(), 0);
+            });
+            $('#mpcc-selection-rewrite')
+                .html(MPCCSelectionRewrite.renderActions())
+                .on('mousedown', '.mpcc-rewrite-action', (e) => {
+                    // Keep the text selected while the button is pressed
+                    e.preventDefault();
+                })
+                .on('click', '.mpcc-rewrite-action', (e) => {
+                    this.requestSelectionRewrite(String($(e.currentTarget).data('action')));
+                });
+            $('#mpcc-rewrite-preview')
+                .on('click', '.mpcc-rewrite-accept', this.applySelectionRewrite.bind(this))
+                .on('click', '.mpcc-rewrite-retry', () => {
+                    this.requestSelectionRewrite(this.lessonRewrite.action);
+                })
+                .on('click', '.mpcc-rewrite-discard', this.resetSelectionRewrite.bind(this));
+            
+            // Lesson block editor
+            $(document).off('.mpcc-lesson-blocks')
+                .on('click.mpcc-lesson-blocks', '.mpcc-block-add', (e) => {
+                    this.addLessonBlock(String($(e.currentTarget).data('type')));
+                })
+                .on('click.mpcc-lesson-blocks', '.mpcc-block-move', (e) => {
+                    const $button = $(e.currentTarget);
+                    this.moveLessonBlock(this.getLessonBlockIndex($button), parseInt($button.data('direction'), 10));
+                })
+                .on('click.mpcc-lesson-blocks', '.mpcc-block-remove', (e) => {
+                    this.removeLessonBlock(this.getLessonBlockIndex($(e.currentTarget)));
+                })
+                .on('change.mpcc-lesson-blocks', '.mpcc-block-level, .mpcc-block-list-style', (e) => {
+                    this.refreshLessonBlock(this.getLessonBlockIndex($(e.currentTarget)), e.currentTarget);
+                })
+                .on('input.mpcc-lesson-blocks', '.mpcc-block-image-url', (e) => {
+                    const url = $(e.currentTarget).val().trim();
+                    $(e.currentTarget).closest('.mpcc-block').find('.mpcc-block-image-preview')
+                        .attr('src', url)
+                        .toggle(url !== '');
+                })
+                .on('paste.mpcc-lesson-blocks', '#mpcc-lesson-blocks [contenteditable]', (e) => {
+                    // Paste as plain text so styles from other pages do not come along
+                    const text = (e.originalEvent.clipboardData || window.clipboardData).getData('text');
+                    e.preventDefault();
+                    document.execCommand('insertText', false, text);
+                });
             
             // Section action buttons - delegated for dynamic content
             $(document).on('click', '.mpcc-section-actions button', (e) => {
@@ -102,7 +258,9 @@
                 const $section = $button.closest('.mpcc-section');
                 const sectionIndex = parseInt($section.data('section-index'));
                 
-                if ($button.find('.dashicons-edit').length) {
+                if ($button.hasClass('mpcc-regenerate-section')) {
+                    this.openRegenerateForm('section', sectionIndex);
+                } else if ($button.find('.dashicons-edit').length) {
                     this.handleEditSection(sectionIndex);
                 } else if ($button.find('.dashicons-trash').length) {
                     this.handleDeleteSection(sectionIndex);
@@ -120,6 +278,61 @@
                 }
             });
             
+            // Regenerate lesson with AI
+            $(document).on('click', '.mpcc-regenerate-lesson', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const $button = $(e.currentTarget);
+                this.openRegenerateForm('lesson', parseInt($button.data('section'), 10), parseInt($button.data('index'), 10));
+            });
+            
+            // Inline regenerate form
+            $(document).on('click', '.mpcc-regenerate-submit', (e) => {
+                e.preventDefault();
+                this.submitRegenerateForm();
+            });
+            $(document).on('click', '.mpcc-regenerate-cancel', (e) => {
+                e.preventDefault();
+                this.closeRegenerateForm();
+            });
+            $(document).on('keydown', '#mpcc-regenerate-instruction', (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.closeRegenerateForm();
+                } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                    e.preventDefault();
+                    this.submitRegenerateForm();
+                }
+            });
+            
+            // Inline add section/lesson form
+            $(document).on('click', '.mpcc-add-item', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.openAddForm($(e.currentTarget));
+            });
+            $(document).on('click', '.mpcc-add-submit', (e) => {
+                e.preventDefault();
+                this.submitAddForm();
+            });
+            $(document).on('click', '.mpcc-add-cancel', (e) => {
+                e.preventDefault();
+                this.closeAddForm();
+            });
+            $(document).on('keydown', '.mpcc-add-form', (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.closeAddForm();
+                } else if (e.key === 'Enter' && $(e.target).is('input')) {
+                    e.preventDefault();
+                    this.submitAddForm();
+                }
+            });
+            $(document).on('input', '#mpcc-add-title', (e) => {
+                $(e.target).removeAttr('aria-invalid');
+                $('#mpcc-add-error').text('');
+            });
+            
             // Lesson delete button - handle in course editor context
             $(document).on('click', '.mpcc-delete-lesson', (e) => {
                 e.preventDefault();
@@ -133,7 +346,7 @@
         
         initializeSortable: function() {
             // Only initialize if course is not published and sortable is available
-            if (this.publishedCourseId || !$.fn.sortable) {
+            if (this.isStructureLocked() || !$.fn.sortable) {
                 return;
             }
             
@@ -144,6 +357,7 @@
                 placeholder: 'mpcc-section-placeholder',
                 cursor: 'move',
                 tolerance: 'pointer',
+                start: () => this.closeAddForm(false),
                 update: (event, ui) => {
                     this.updateSectionOrder();
                 }
@@ -156,6 +370,7 @@
                 cursor: 'move',
                 tolerance: 'pointer',
                 connectWith: '.mpcc-lessons',
+                start: () => this.closeAddForm(false),
                 update: (event, ui) => {
                     this.updateLessonOrder();
                 }
@@ -169,6 +384,8 @@
                 newOrder.push(originalIndex);
             });
             
+            this.recordStructureChange('section reordering');
+            
             // Reorder sections in the data structure
             const reorderedSections = newOrder.map(index => this.courseStructure.sections[index]);
             this.courseStructure.sections = reorderedSections;
@@ -181,6 +398,7 @@
             
             // Save the updated structure
             MPCCAccessibility.announce('Saving section order...');
+            this.persistDraftPositions();
             this.saveConversation();
             
             MPCCUtils.showSuccess('Section order updated');
@@ -188,14 +406,12 @@
         },
         
         updateLessonOrder: function() {
+            this.recordStructureChange('lesson reordering');
             const newStructure = [];
             
             $('.mpcc-section').each((sectionIndex, sectionEl) => {
                 const sectionData = this.courseStructure.sections[sectionIndex];
-                const section = {
-                    title: sectionData.title,
-                    lessons: []
-                };
+                const section = $.extend({}, sectionData, { lessons: [] });
                 
                 $(sectionEl).find('.mpcc-lesson-item').each((lessonIndex, lessonEl) => {
                     const lessonId = $(lessonEl).attr('data-lesson-id');
@@ -217,12 +433,98 @@
             
             // Save the updated structure
             MPCCAccessibility.announce('Saving lesson order...');
+            this.persistDraftPositions();
             this.saveConversation();
             
             MPCCUtils.showSuccess('Lesson order updated');
             MPCCAccessibility.announce('Lesson order saved successfully');
         },
         
+        /**
+         * Snapshot the course structure before a change so it can be undone
+         *
+         * @param {string} label Short description of the change, used in announcements
+         */
+        recordStructureChange: function(label) {
+            this.structureHistory.undo.push({
+                label: label,
+                snapshot: JSON.stringify(this.courseStructure || {})
+            });
+            if (this.structureHistory.undo.length > this.maxHistorySteps) {
+                this.structureHistory.undo.shift();
+            }
+            this.structureHistory.redo = [];
+            this.updateHistoryButtons();
+        },
+        
+        undoStructureChange: function() {
+            this.stepStructureHistory(this.structureHistory.undo, this.structureHistory.redo, 'Undid');
+        },
+        
+        redoStructureChange: function() {
+            this.stepStructureHistory(this.structureHistory.redo, this.structureHistory.undo, 'Redid');
+        },
+        
+        /**
+         * Move one step between the undo and redo stacks and restore that snapshot
+         */
+        stepStructureHistory: function(from, to, verb) {
+            if (this.isStructureLocked()) {
+                return;
+            }
+            if (!from.length) {
+                MPCCAccessibility.announce(verb === 'Undid' ? 'Nothing to undo' : 'Nothing to redo');
+                return;
+            }
+            
+            const entry = from.pop();
+            to.push({
+                label: entry.label,
+                snapshot: JSON.stringify(this.courseStructure || {})
+            });
+            
+            this.courseStructure = JSON.parse(entry.snapshot);
+            this.renderCourseStructure();
+            this.persistDraftPositions();
+            this.saveConversation();
+            
+            MPCCUtils.showSuccess(`${verb} ${entry.label}`);
+            MPCCAccessibility.announce(`${verb} ${entry.label}`);
+        },
+        
+        resetStructureHistory: function() {
+            this.structureHistory = { undo: [], redo: [] };
+            this.updateHistoryButtons();
+        },
+        
+        updateHistoryButtons: function() {
+            const locked = this.isStructureLocked();
+            const undo = this.structureHistory.undo;
+            const redo = this.structureHistory.redo;
+            
+            $('#mpcc-undo-structure')
+                .prop('disabled', locked || !undo.length)
+                .attr('title', undo.length ? `Undo ${undo[undo.length - 1].label} (Ctrl+Z)` : 'Undo (Ctrl+Z)');
+            $('#mpcc-redo-structure')
+                .prop('disabled', locked || !redo.length)
+                .attr('title', redo.length ? `Redo ${redo[redo.length - 1].label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)');
+        },
+        
+        registerHistoryShortcuts: function() {
+            this.historyShortcutIds.forEach(id => MPCCAccessibility.removeKeyboardShortcut(id));
+            
+            const undo = this.undoStructureChange.bind(this);
+            const redo = this.redoStructureChange.bind(this);
+            const options = { ignoreInputs: true };
+            
+            this.historyShortcutIds = [
+                MPCCAccessibility.handleKeyboardShortcuts('ctrl+z', undo, $.extend({ description: 'Undo course structure change' }, options)),
+                MPCCAccessibility.handleKeyboardShortcuts('cmd+z', undo, $.extend({ description: 'Undo course structure change' }, options)),
+                MPCCAccessibility.handleKeyboardShortcuts('ctrl+shift+z', redo, $.extend({ description: 'Redo course structure change' }, options)),
+                MPCCAccessibility.handleKeyboardShortcuts('cmd+shift+z', redo, $.extend({ description: 'Redo course structure change' }, options))
+            ];
+        },
+        
         initializeChat: function() {
             // Don't add to conversation history yet - this is just UI
             this.addMessage('assistant', 'Welcome to the AI Course Creator! I\'m here to help you build amazing courses. What kind of course would you like to create today?', false);
@@ -251,6 +553,11 @@
                             this.publishedCourseId = response.data.published_course_id;
                             this.publishedCourseUrl = response.data.published_course_url || null;
                         }
+                        this.syncMode = !!response.data.course_sync;
+                        this.setCourseStyle(response.data.conversation_state && response.data.conversation_state.course_style);
+                        
+                        this.resetStructureHistory();
+                        this.pendingProposal = null;
                         
                         // Restore course structure - check multiple possible locations
                         if (response.data.course_structure) {
@@ -274,6 +581,7 @@
                         
                         // Load all lesson drafts for this session
                         if (this.courseStructure && this.courseStructure.sections) {
+                            this.resetDraftPositions();
                             this.loadAllLessonDrafts();
                         }
                     }
@@ -283,41 +591,67 @@
                     // Initialize empty session data
                     this.conversationHistory = [];
                     this.courseStructure = {};
+                    this.draftPositions = {};
                     this.publishedCourseId = null;
                     this.publishedCourseUrl = null;
+                    this.syncMode = false;
+                    this.setCourseStyle(null);
                     // Don't save empty sessions - wait until there's actual content
                 }
             });
         },
         
         loadAllLessonDrafts: function() {
-            // Load all lesson drafts for the current session
-            $.ajax({
+            // Drafts come back under the positions the server has once the
+            // moves sent before this request are done
+            const keysByPosition = {};
+            Object.keys(this.draftPositions).forEach((key) => {
+                keysByPosition[this.draftPositions[key]] = key;
+            });
+            const sessionId = this.sessionId;
+            
+            this.queueDraftRequest(() => $.ajax({
                 url: mpccEditorSettings.ajaxUrl,
                 type: 'POST',
                 data: {
                     action: 'mpcc_get_session_drafts',
                     nonce: mpccEditorSettings.nonce,
-                    session_id: this.sessionId
+                    session_id: sessionId
                 },
                 success: (response) => {
-                    if (response.success && response.data) {
+                    if (response.success && response.data && this.sessionId === sessionId) {
                         // Map drafts to lessons
                         response.data.forEach(draft => {
-                            const sectionIndex = parseInt(draft.section_id);
-                            const lessonIndex = parseInt(draft.lesson_id);
-                            
-                            if (this.courseStructure.sections[sectionIndex] && 
-                                this.courseStructure.sections[sectionIndex].lessons[lessonIndex]) {
-                                this.courseStructure.sections[sectionIndex].lessons[lessonIndex].draft_content = draft.content;
+                            const found = this.findLessonByKey(keysByPosition[`${draft.section_id}-${draft.lesson_id}`]);
+                            if (found) {
+                                found.lesson.draft_content = draft.content;
                             }
                         });
                         
                         // Re-render course structure with draft indicators
                         this.renderCourseStructure();
+                        this.restoreLessonQueue();
                     }
                 }
+            }));
+        },
+        
+        /**
+         * Find a lesson by its key
+         *
+         * @param {string} key
+         * @returns {?{lesson: Object, id: string}} The lesson and its "section-lesson" id
+         */
+        findLessonByKey: function(key) {
+            let found = null;
+            ((this.courseStructure && this.courseStructure.sections) || []).forEach((section, sectionIndex) => {
+                (section.lessons || []).forEach((lesson, lessonIndex) => {
+                    if (key && lesson.lesson_key === key) {
+                        found = { lesson: lesson, id: `${sectionIndex}-${lessonIndex}` };
+                    }
+                });
             });
+            return found;
         },
         
         rebuildChatHistory: function() {
@@ -449,80 +783,31 @@
             $('#mpcc-chat-messages').attr('aria-busy', 'true');
             MPCCAccessibility.announce('Starting AI generation. Processing your request.');
             
+            const requestData = {
+                nonce: mpccEditorSettings.nonce,
+                session_id: this.sessionId,
+                message: message,
+                conversation_history: JSON.stringify(this.conversationHistory),
+                course_structure: JSON.stringify(this.courseStructure),
+                course_style: JSON.stringify(this.courseStyle)
+            };
+            
+            // Prefer streaming so long outlines appear as they are written
+            if (this.supportsStreaming()) {
+                this.streamFromAI(requestData, typingId);
+                return;
+            }
+            
             $.ajax({
                 url: mpccEditorSettings.ajaxUrl,
                 type: 'POST',
-                data: {
-                    action: 'mpcc_chat_message',
-                    nonce: mpccEditorSettings.nonce,
-                    session_id: this.sessionId,
-                    message: message,
-                    conversation_history: JSON.stringify(this.conversationHistory),
-                    course_structure: JSON.stringify(this.courseStructure)
-                },
+                data: $.extend({ action: 'mpcc_chat_message' }, requestData),
                 success: (response) => {
                     $('#' + typingId).remove();
                     
                     if (response.success) {
                         this.addMessage('assistant', response.data.message);
-                        
-                        // Hide quick starter suggestions after AI responds
-                        $('#mpcc-quick-starter-suggestions').addClass('hidden');
-                        
-                        if (response.data.course_structure) {
-                            // Handle course structure that might be in JSON string format
-                            let courseData = response.data.course_structure;
-                            console.log('Received course structure:', courseData);
-                            console.log('Type of course structure:', typeof courseData);
-                            
-                            if (typeof courseData === 'string') {
-                                try {
-                                    // Extract JSON from markdown code block if present
-                                    const jsonMatch = courseData.match(/```json\s*([\s\S]*?)```/);
-                                    if (jsonMatch) {
-                                        courseData = JSON.parse(jsonMatch[1]);
-                                    } else {
-                                        courseData = JSON.parse(courseData);
-                                    }
-                                } catch (e) {
-                                    console.error('Failed to parse course structure:', e);
-                                    return;
-                                }
-                            }
-                            
-                            console.log('Parsed course structure:', courseData);
-                            this.courseStructure = courseData;
-                            this.renderCourseStructure();
-                            
-                            // Enable/disable create button based on published status
-                            if (this.publishedCourseId) {
-                                $('#mpcc-create-course').prop('disabled', true).html('<span class="dashicons dashicons-yes-alt"></span> Course Created');
-                            } else {
-                                $('#mpcc-create-course').prop('disabled', false);
-                            }
-                            
-                            // Update session title with course name
-                            if (courseData.title) {
-                                this.updateSessionTitle('Course: ' + courseData.title);
-                            }
-                            
-                            // Auto-switch to Course Preview tab on mobile
-                            if (window.innerWidth <= 960) {
-                                this.switchToPreviewTab();
-                                // Announce tab switch to screen readers
-                                MPCCAccessibility.announce('Switched to course preview tab');
-                            }
-                        }
-                        
-                        // Auto-save conversation
-                        this.saveConversation();
-                        
-                        // Announce completion
-                        if (response.data.course_structure) {
-                            MPCCAccessibility.announce('AI generation complete. Course structure has been created.');
-                        } else {
-                            MPCCAccessibility.announce('AI response received successfully.');
-                        }
+                        this.handleAIResponse(response.data.course_structure);
                     } else {
                         const errorMsg = response.data || 'An error occurred';
                         MPCCUtils.showError(errorMsg);
@@ -538,126 +823,787 @@
                     MPCCAccessibility.announce(`Error during AI generation: ${errorMsg}`);
                 },
                 complete: () => {
-                    button.prop('disabled', false).html('<span class="dashicons dashicons-arrow-right-alt"></span> Send');
-                    // Remove aria-busy
-                    $('#mpcc-chat-messages').attr('aria-busy', 'false');
+                    this.resetChatControls();
                 }
             });
         },
         
-        renderCourseStructure: function() {
-            const container = $('#mpcc-course-structure');
-            
-            // Use document fragment for better performance
-            const fragment = document.createDocumentFragment();
-            const tempWrapper = document.createElement('div');
-            
-            container.empty();
-            
-            if (!this.courseStructure.title) {
-                container.html($('.mpcc-empty-state').first().clone());
-                $('#mpcc-create-course').prop('disabled', true);
-                return;
-            }
+        /**
+         * Whether the browser can read a fetch response body incrementally
+         */
+        supportsStreaming: function() {
+            return typeof window.fetch === 'function' &&
+                typeof window.ReadableStream === 'function' &&
+                typeof window.TextDecoder === 'function' &&
+                typeof window.AbortController === 'function';
+        },
+        
+        /**
+         * Stream the AI reply from mpcc_chat_message_stream and render it as it arrives
+         *
+         * The server sends "chunk" events with raw text, then a "done" event with the
+         * cleaned message and extracted course structure. The structure preview is
+         * updated as soon as the JSON block in the raw text is complete.
+         */
+        streamFromAI: function(requestData, typingId) {
+            const body = new URLSearchParams($.extend({ action: 'mpcc_chat_message_stream' }, requestData));
+            const stream = {
+                rawText: '',
+                $message: null,
+                renderPending: false,
+                previewApplied: false,
+                finished: false
+            };
             
-            // Build the entire structure in memory first
-            let structureHtml = '';
+            this.streamController = new AbortController();
+            $('#mpcc-stop-generation').prop('hidden', false);
             
-            // Course header with published badge and locked message if applicable
-            const publishedBadge = this.publishedCourseId ? 
-                '<span class="mpcc-published-badge" role="status"><span class="dashicons dashicons-yes-alt" aria-hidden="true"></span> Published</span>' : '';
+            const ensureMessage = () => {
+                if (!stream.$message) {
+                    $('#' + typingId).remove();
+                    stream.$message = $(`
+                        <div class="mpcc-chat-message assistant mpcc-message-streaming">
+                            <div class="message-content"></div>
+                        </div>
+                    `).appendTo('#mpcc-chat-messages');
+                }
+                return stream.$message.find('.message-content');
+            };
             
-            const lockedMessage = this.publishedCourseId ? `
-                <div class="mpcc-course-locked-notice" role="alert">
-                    <span class="dashicons dashicons-lock" aria-hidden="true"></span>
-                    <span>This course has been published and is locked for editing.</span>
-                </div>` : '';
+            const render = () => {
+                stream.renderPending = false;
+                if (stream.finished) {
+                    return;
+                }
+                ensureMessage().html(MPCCUtils.formatMessageToHTML(this.getStreamingDisplayText(stream.rawText)));
+                this.scrollToBottom();
+                
+                if (!stream.previewApplied) {
+                    const courseData = this.parseStreamedCourseStructure(stream.rawText);
+                    if (courseData) {
+                        stream.previewApplied = true;
+                        this.proposeCourseStructure(courseData);
+                    }
+                }
+            };
             
-            structureHtml += `
-                <div class="mpcc-course-header">
-                    <h2>${this.escapeHtml(this.courseStructure.title)} ${publishedBadge}</h2>
-                    <p>${this.escapeHtml(this.courseStructure.description || '')}</p>
-                    ${lockedMessage}
-                </div>
-            `;
+            const onEvent = (event, data) => {
+                if (event === 'chunk') {
+                    stream.rawText += data.text || '';
+                    // Coalesce chunks into one render per frame
+                    if (!stream.renderPending) {
+                        stream.renderPending = true;
+                        requestAnimationFrame(render);
+                    }
+                } else if (event === 'done') {
+                    stream.finished = true;
+                    ensureMessage().html(MPCCUtils.formatMessageToHTML(data.message));
+                    stream.$message.removeClass('mpcc-message-streaming');
+                    this.conversationHistory.push({ role: 'assistant', content: data.message });
+                    this.scrollToBottom();
+                    this.handleAIResponse(data.course_structure, stream.previewApplied);
+                } else if (event === 'error') {
+                    throw new Error(data.message || 'An error occurred');
+                }
+            };
             
-            // Sections and lessons with proper list structure
-            if (this.courseStructure.sections) {
-                structureHtml += '<div role="list" aria-label="Course sections">';
-                this.courseStructure.sections.forEach((section, sectionIndex) => {
-                    structureHtml += this.renderSection(section, sectionIndex);
+            fetch(mpccEditorSettings.ajaxUrl, {
+                method: 'POST',
+                credentials: 'same-origin',
+                body: body,
+                signal: this.streamController.signal
+            })
+                .then((response) => {
+                    const contentType = response.headers.get('Content-Type') || '';
+                    if (!response.ok || contentType.indexOf('text/event-stream') === -1) {
+                        // Validation failures come back as regular JSON error responses
+                        return response.json().then((json) => {
+                            const error = json && json.data && json.data.error;
+                            throw new Error((error && error.message) || 'Failed to communicate with the AI. Please try again.');
+                        }, () => {
+                            throw new Error('Failed to communicate with the AI. Please try again.');
+                        });
+                    }
+                    return this.readEventStream(response.body, onEvent);
+                })
+                .catch((error) => {
+                    if (error.name === 'AbortError') {
+                        this.handleStreamStopped(stream, typingId);
+                        return;
+                    }
+                    
+                    $('#' + typingId).remove();
+                    if (stream.$message) {
+                        stream.$message.remove();
+                    }
+                    MPCCUtils.showError(error.message);
+                    MPCCAccessibility.announce(`Error during AI generation: ${error.message}`);
+                })
+                .then(() => {
+                    this.streamController = null;
+                    $('#mpcc-stop-generation').prop('hidden', true);
+                    this.resetChatControls();
                 });
-                structureHtml += '</div>';
-            }
-            
-            // Append all at once for better performance
-            tempWrapper.innerHTML = structureHtml;
-            fragment.appendChild(tempWrapper.firstChild);
-            while (tempWrapper.firstChild) {
-                fragment.appendChild(tempWrapper.firstChild);
-            }
-            container[0].appendChild(fragment);
-            
-            // Update create button state based on published status
-            if (this.publishedCourseId) {
-                $('#mpcc-create-course').prop('disabled', true).html('<span class="dashicons dashicons-yes-alt"></span> Course Created');
-            } else {
-                $('#mpcc-create-course').prop('disabled', false).html('<span class="dashicons dashicons-yes"></span> Create Course');
-            }
-            
-            // Update view course button visibility and functionality
-            this.updateViewCourseButton();
-            
-            // Initialize sortable functionality
-            this.initializeSortable();
+        },
+        
+        /**
+         * Read a server-sent event stream, calling onEvent(name, data) for each event
+         */
+        readEventStream: function(body, onEvent) {
+            const reader = body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            
+            const dispatch = (block) => {
+                let event = 'message';
+                let data = '';
+                block.split('\n').forEach((line) => {
+                    if (line.indexOf('event:') === 0) {
+                        event = line.slice(6).trim();
+                    } else if (line.indexOf('data:') === 0) {
+                        data += line.slice(5).trim();
+                    }
+                });
+                if (data) {
+                    onEvent(event, JSON.parse(data));
+                }
+            };
             
-            // Disable chat for published courses
-            if (this.publishedCourseId) {
-                // Disable chat input and send button
-                $('#mpcc-chat-input').prop('disabled', true)
-                    .attr('placeholder', 'This course has been published. Use "Duplicate Course" to create a new version.');
-                $('#mpcc-send-message').prop('disabled', true);
-                
-                // Hide quick starter suggestions
-                $('#mpcc-quick-starter-suggestions').hide();
+            const pump = () => reader.read().then(({ done, value }) => {
+                buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
                 
-                // Add info message if not already present
-                if (!$('.mpcc-chat-disabled-notice').length) {
-                    $('.mpcc-chat-input-wrapper').prepend(
-                        '<div class="mpcc-chat-disabled-notice">' +
-                        '<span class="dashicons dashicons-info"></span> ' +
-                        'This course is published and locked. To make changes, use the "Duplicate Course" button above.' +
-                        '</div>'
-                    );
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    dispatch(buffer.slice(0, boundary));
+                    buffer = buffer.slice(boundary + 2);
                 }
-            } else {
-                // Re-enable chat for draft courses
-                $('#mpcc-chat-input').prop('disabled', false)
-                    .attr('placeholder', 'Type a message...');
-                $('#mpcc-send-message').prop('disabled', false);
                 
-                // Show quick starter suggestions only if no AI responses yet
-                const hasAssistantMessages = this.conversationHistory.some(msg => msg.role === 'assistant');
-                if (!hasAssistantMessages) {
-                    $('#mpcc-quick-starter-suggestions').removeClass('hidden').show();
+                if (done) {
+                    if (buffer.trim()) {
+                        dispatch(buffer);
+                    }
+                    return;
                 }
-                
-                // Remove disabled notice
-                $('.mpcc-chat-disabled-notice').remove();
-            }
+                return pump();
+            });
             
+            return pump();
         },
         
-        renderSection: function(section, sectionIndex) {
-            const sectionId = `section-${this.escapeHtml(String(sectionIndex))}`;
-            const sectionNumber = sectionIndex + 1;
-            const lessonsHtml = section.lessons.map((lesson, lessonIndex) => 
+        /**
+         * Text to show while a reply is streaming
+         *
+         * Completed ```json blocks are hidden the same way the server strips them,
+         * and an unfinished block is replaced by a short placeholder so raw JSON
+         * never flashes in the chat.
+         */
+        getStreamingDisplayText: function(rawText) {
+            let text = rawText.replace(/```json\s*[\s\S]*?```/g, '');
+            const openBlock = text.indexOf('```json');
+            if (openBlock !== -1) {
+                text = text.slice(0, openBlock) + '\n\nBuilding course structure...';
+            }
+            return text.trim();
+        },
+        
+        /**
+         * Parse the course structure out of streamed text once its JSON block has closed
+         */
+        parseStreamedCourseStructure: function(rawText) {
+            const jsonMatch = rawText.match(/```json\s*([\s\S]*?)```/);
+            if (!jsonMatch) {
+                return null;
+            }
+            try {
+                const courseData = JSON.parse(jsonMatch[1]);
+                return courseData && courseData.title && Array.isArray(courseData.sections) ? courseData : null;
+            } catch (e) {
+                return null;
+            }
+        },
+        
+        /**
+         * Keep whatever was received before the user pressed Stop
+         */
+        handleStreamStopped: function(stream, typingId) {
+            stream.finished = true;
+            $('#' + typingId).remove();
+            
+            const partial = this.getStreamingDisplayText(stream.rawText).replace(/\n\nBuilding course structure\.\.\.$/, '').trim();
+            if (stream.$message && partial) {
+                stream.$message.removeClass('mpcc-message-streaming').addClass('mpcc-message-stopped');
+                stream.$message.find('.message-content')
+                    .html(MPCCUtils.formatMessageToHTML(partial))
+                    .append('<p class="mpcc-message-stopped-note">Generation stopped.</p>');
+                this.conversationHistory.push({ role: 'assistant', content: partial });
+                this.saveConversation();
+            } else if (stream.$message) {
+                stream.$message.remove();
+            }
+            
+            MPCCAccessibility.announce('AI generation stopped.');
+        },
+        
+        /**
+         * Abort the in-flight streamed reply
+         */
+        stopGeneration: function() {
+            if (this.streamController) {
+                this.streamController.abort();
+            }
+        },
+        
+        /**
+         * Apply the outcome of a completed AI reply: course structure, title and autosave
+         *
+         * @param {Object|string|null} courseStructure Structure returned by the server
+         * @param {boolean} alreadyProposed True when the streamed preview already handled the structure
+         */
+        handleAIResponse: function(courseStructure, alreadyProposed = false) {
+            // Hide quick starter suggestions after AI responds
+            $('#mpcc-quick-starter-suggestions').addClass('hidden');
+            
+            if (courseStructure) {
+                // Handle course structure that might be in JSON string format
+                let courseData = courseStructure;
+                
+                if (typeof courseData === 'string') {
+                    try {
+                        // Extract JSON from markdown code block if present
+                        const jsonMatch = courseData.match(/```json\s*([\s\S]*?)```/);
+                        if (jsonMatch) {
+                            courseData = JSON.parse(jsonMatch[1]);
+                        } else {
+                            courseData = JSON.parse(courseData);
+                        }
+                    } catch (e) {
+                        console.error('Failed to parse course structure:', e);
+                        return;
+                    }
+                }
+                
+                // Changes to an existing outline are reviewed before they replace it
+                if (!alreadyProposed) {
+                    this.proposeCourseStructure(courseData);
+                }
+                
+                // Update session title with course name
+                if (courseData.title && !this.pendingProposal) {
+                    this.updateSessionTitle('Course: ' + courseData.title);
+                }
+                
+                // Auto-switch to Course Preview tab on mobile
+                if (window.innerWidth <= 960) {
+                    this.switchToPreviewTab();
+                    // Announce tab switch to screen readers
+                    MPCCAccessibility.announce('Switched to course preview tab');
+                }
+            }
+            
+            // Auto-save conversation
+            this.saveConversation();
+            
+            // Announce completion
+            if (this.pendingProposal) {
+                MPCCAccessibility.announce('AI generation complete. Review the proposed changes in the course preview.');
+            } else if (courseStructure) {
+                MPCCAccessibility.announce('AI generation complete. Course structure has been created.');
+            } else {
+                MPCCAccessibility.announce('AI response received successfully.');
+            }
+        },
+        
+        resetChatControls: function() {
+            $('#mpcc-send-message').prop('disabled', false).html('<span class="dashicons dashicons-arrow-right-alt"></span> Send');
+            // Remove aria-busy
+            $('#mpcc-chat-messages').attr('aria-busy', 'false');
+        },
+        
+        /**
+         * Route an AI-proposed outline through review when it would change an existing one
+         *
+         * The first outline of a session is applied directly. Later outlines are
+         * held in pendingProposal and rendered as a diff until accepted or rejected.
+         *
+         * @param {Object} courseData Proposed course structure
+         */
+        proposeCourseStructure: function(courseData) {
+            if (!this.courseStructure || !this.courseStructure.title) {
+                this.recordStructureChange('AI course outline');
+                this.courseStructure = courseData;
+                this.renderCourseStructure();
+                this.persistDraftPositions();
+                return;
+            }
+            
+            const diff = MPCCStructureDiff.compare(this.courseStructure, courseData);
+            if (!diff.hasChanges) {
+                return;
+            }
+            
+            this.pendingProposal = { structure: courseData, diff: diff };
+            this.renderCourseStructure();
+            MPCCAccessibility.announce(`The AI proposed changes to the course outline: ${this.describeDiffSummary(diff)}. Review them in the course preview.`);
+        },
+        
+        describeDiffSummary: function(diff) {
+            const parts = [];
+            const labels = { added: 'added', removed: 'removed', renamed: 'renamed', moved: 'moved', changed: 'duration changes' };
+            Object.keys(labels).forEach((key) => {
+                if (diff.summary[key]) {
+                    parts.push(`${diff.summary[key]} ${labels[key]}`);
+                }
+            });
+            if (diff.course.titleChanged) {
+                parts.push('new course title');
+            }
+            return parts.length ? parts.join(', ') : 'details updated';
+        },
+        
+        acceptAllProposedChanges: function() {
+            if (!this.pendingProposal) {
+                return;
+            }
+            
+            const previous = this.courseStructure;
+            this.recordStructureChange('AI course update');
+            this.courseStructure = MPCCStructureDiff.acceptAll(previous, this.pendingProposal.structure, this.pendingProposal.diff);
+            this.pendingProposal = null;
+            
+            this.renderCourseStructure();
+            this.persistDraftPositions();
+            this.saveConversation();
+            if (this.courseStructure.title) {
+                this.updateSessionTitle('Course: ' + this.courseStructure.title);
+            }
+            
+            MPCCUtils.showSuccess('Proposed changes accepted');
+            MPCCAccessibility.announce('All proposed changes accepted');
+        },
+        
+        rejectProposedChanges: function() {
+            if (!this.pendingProposal) {
+                return;
+            }
+            
+            this.pendingProposal = null;
+            this.renderCourseStructure();
+            MPCCAccessibility.announce('Proposed changes rejected. The course outline is unchanged.');
+        },
+        
+        /**
+         * Accept the proposal for a single section and keep reviewing the rest
+         *
+         * @param {number} entryIndex Index into pendingProposal.diff.sections
+         */
+        acceptProposedSection: function(entryIndex) {
+            const proposal = this.pendingProposal;
+            const entry = proposal && proposal.diff.sections[entryIndex];
+            if (!entry) {
+                return;
+            }
+            
+            const previous = this.courseStructure;
+            this.recordStructureChange(`AI update to section "${entry.title}"`);
+            this.courseStructure = MPCCStructureDiff.acceptSection(previous, proposal.structure, proposal.diff, entryIndex);
+            
+            proposal.diff = MPCCStructureDiff.compare(this.courseStructure, proposal.structure);
+            if (!proposal.diff.hasChanges) {
+                this.pendingProposal = null;
+            }
+            
+            this.renderCourseStructure();
+            this.persistDraftPositions();
+            this.saveConversation();
+            
+            const verb = entry.status === 'removed' ? 'Removed' : 'Accepted changes to';
+            MPCCAccessibility.announce(`${verb} section ${entry.title}`);
+        },
+        
+        /**
+         * Track drafts at the lessons' current positions
+         *
+         * Call whenever the outline is loaded as the server stores it.
+         */
+        resetDraftPositions: function() {
+            MPCCStructureDiff.assignLessonKeys(this.courseStructure);
+            this.draftPositions = MPCCStructureDiff.draftMoves(this.courseStructure, {}).positions;
+        },
+        
+        /**
+         * Send a request once the draft requests before it have finished
+         *
+         * Drafts are stored by position, so moves, saves and loads have to
+         * reach the server in the order they were made.
+         *
+         * @param {Function} send Sends the request and returns its jqXHR
+         * @returns {Promise}
+         */
+        queueDraftRequest: function(send) {
+            const previous = this.draftRequests || $.Deferred().resolve().promise();
+            const next = () => send();
+            
+            this.draftRequests = previous.then(next, next);
+            return this.draftRequests;
+        },
+        
+        /**
+         * Move stored drafts along with their lessons after the outline changed
+         *
+         * Drafts are stored by section and lesson position. Lessons carry a key
+         * so their drafts can be found wherever they moved; drafts of removed
+         * lessons are deleted. Moves leave the draft history alone.
+         */
+        persistDraftPositions: function() {
+            if (!this.sessionId || !this.courseStructure || !this.courseStructure.sections) {
+                return;
+            }
+            
+            const openKey = this.currentLessonId &&
+                Object.keys(this.draftPositions).find(key => this.draftPositions[key] === this.currentLessonId);
+            
+            MPCCStructureDiff.assignLessonKeys(this.courseStructure);
+            const plan = MPCCStructureDiff.draftMoves(this.courseStructure, this.draftPositions);
+            this.draftPositions = plan.positions;
+            
+            // The open lesson editor follows its lesson
+            if (openKey && plan.positions[openKey]) {
+                this.currentLessonId = plan.positions[openKey];
+                $(`.mpcc-lesson-item[data-lesson-id="${this.currentLessonId}"]`).addClass('editing');
+            } else if (openKey) {
+                this.closeLessonEditor();
+            }
+            
+            if (!plan.changed) {
+                return;
+            }
+            
+            const split = position => position.split('-');
+            const data = {
+                action: 'mpcc_move_lesson_drafts',
+                nonce: mpccEditorSettings.nonce,
+                session_id: this.sessionId,
+                moves: JSON.stringify(plan.moves.map(move => ({ from: split(move.from), to: split(move.to) }))),
+                drafts: JSON.stringify(plan.drafts.map(draft => ({ to: split(draft.to), content: draft.content })))
+            };
+            const failed = () => {
+                MPCCUtils.showError('Lesson drafts could not be moved with their lessons. Reload the page before editing lesson content.');
+            };
+            
+            this.queueDraftRequest(() => $.ajax({
+                url: mpccEditorSettings.ajaxUrl,
+                type: 'POST',
+                data: data,
+                success: (response) => {
+                    if (!response.success) {
+                        failed();
+                    }
+                },
+                error: failed
+            }));
+        },
+        
+        /**
+         * Render the pending AI proposal as an inline diff against the current outline
+         */
+        renderStructureDiff: function(container) {
+            const proposal = this.pendingProposal;
+            const proposed = proposal.structure;
+            const diff = proposal.diff = MPCCStructureDiff.compare(this.courseStructure, proposed);
+            
+            // Undo/redo can bring the outline in line with the proposal
+            if (!diff.hasChanges) {
+                this.pendingProposal = null;
+                this.renderCourseStructure();
+                return;
+            }
+            
+            const previousTitle = diff.course.titleChanged ?
+                ` <del class="mpcc-diff-previous">${this.escapeHtml(diff.course.previousTitle)}</del>` : '';
+            
+            let html = `
+                <div class="mpcc-diff-banner" role="region" aria-label="Proposed outline changes">
+                    <div class="mpcc-diff-banner-text">
+                        <strong>The AI proposed changes to this outline.</strong>
+                        <span>${this.escapeHtml(this.describeDiffSummary(diff))}</span>
+                    </div>
+                    <div class="mpcc-diff-banner-actions">
+                        <button type="button" class="button button-primary mpcc-diff-accept-all">Accept All</button>
+                        <button type="button" class="button mpcc-diff-reject">Reject</button>
+                    </div>
+                </div>
+                <div class="mpcc-course-header">
+                    <h2>${this.escapeHtml(proposed.title)}${previousTitle}</h2>
+                    <p>${this.escapeHtml(proposed.description || '')}</p>
+                </div>
+                <div role="list" aria-label="Proposed course sections">
+            `;
+            
+            diff.sections.forEach((entry, entryIndex) => {
+                html += this.renderDiffSection(entry, entryIndex);
+            });
+            html += '</div>';
+            
+            container.html(html);
+            
+            // Creating from the old outline while reviewing a new one would be confusing
+            $('#mpcc-create-course').prop('disabled', true);
+            this.updateHistoryButtons();
+        },
+        
+        renderDiffSection: function(entry, entryIndex) {
+            const statusLabels = {
+                added: 'New section',
+                removed: 'Removed',
+                renamed: 'Renamed',
+                modified: 'Changed',
+                unchanged: ''
+            };
+            const badges = [];
+            if (statusLabels[entry.status]) {
+                badges.push(statusLabels[entry.status]);
+            }
+            if (entry.moved) {
+                badges.push('Moved');
+            }
+            
+            const previousTitle = entry.status === 'renamed' ?
+                ` <del class="mpcc-diff-previous">${this.escapeHtml(entry.previousTitle)}</del>` : '';
+            const acceptLabel = entry.status === 'removed' ? 'Remove section' : 'Accept section';
+            const acceptButton = entry.status === 'unchanged' && !entry.moved ? '' : `
+                <button type="button" class="button button-small mpcc-diff-accept-section" data-entry="${entryIndex}" aria-label="${acceptLabel}: ${this.escapeHtml(entry.title)}">
+                    ${acceptLabel}
+                </button>`;
+            
+            const lessonsHtml = entry.lessons.map(lesson => this.renderDiffLesson(lesson)).join('');
+            const statusText = badges.length ? `, ${badges.join(', ').toLowerCase()}` : '';
+            
+            return `
+                <div class="mpcc-diff-section mpcc-diff-${this.escapeHtml(entry.status)}" role="listitem" aria-label="Section: ${this.escapeHtml(entry.title)}${this.escapeHtml(statusText)}">
+                    <div class="mpcc-diff-section-header">
+                        <h3 class="mpcc-section-title">${this.escapeHtml(entry.title)}${previousTitle}</h3>
+                        <div class="mpcc-diff-section-meta">
+                            ${badges.map(badge => `<span class="mpcc-diff-badge">${this.escapeHtml(badge)}</span>`).join('')}
+                            ${acceptButton}
+                        </div>
+                    </div>
+                    <ul class="mpcc-diff-lessons">
+                        ${lessonsHtml}
+                    </ul>
+                </div>
+            `;
+        },
+        
+        renderDiffLesson: function(lesson) {
+            const statusLabels = {
+                added: 'New',
+                removed: 'Removed',
+                renamed: 'Renamed',
+                moved: 'Moved',
+                changed: 'Changed',
+                unchanged: ''
+            };
+            
+            let detail = '';
+            if (lesson.status === 'renamed') {
+                detail += ` <del class="mpcc-diff-previous">${this.escapeHtml(lesson.previousTitle)}</del>`;
+            }
+            if (lesson.status === 'moved' && lesson.currentSection !== null && this.courseStructure.sections[lesson.currentSection]) {
+                detail += ` <span class="mpcc-diff-note">from "${this.escapeHtml(this.courseStructure.sections[lesson.currentSection].title)}"</span>`;
+            }
+            
+            let duration = this.escapeHtml(lesson.duration || '');
+            if (lesson.changes.indexOf('duration') !== -1) {
+                duration = `<del class="mpcc-diff-previous">${this.escapeHtml(lesson.previousDuration || 'not set')}</del> ${duration}`;
+            }
+            
+            const hasDraft = lesson.currentSection !== null && lesson.status !== 'removed' &&
+                this.courseStructure.sections[lesson.currentSection].lessons[lesson.currentIndex].draft_content;
+            const draftNote = hasDraft ? '<span class="mpcc-diff-note">Draft kept</span>' : '';
+            const badge = statusLabels[lesson.status] ? `<span class="mpcc-diff-badge">${statusLabels[lesson.status]}</span>` : '';
+            
+            return `
+                <li class="mpcc-diff-lesson mpcc-diff-${this.escapeHtml(lesson.status)}">
+                    <div class="mpcc-lesson-info">
+                        <div class="mpcc-lesson-title">${this.escapeHtml(lesson.title)}${detail}</div>
+                        <div class="mpcc-lesson-meta">${duration} ${draftNote}</div>
+                    </div>
+                    ${badge}
+                </li>
+            `;
+        },
+        
+        renderCourseStructure: function() {
+            const container = $('#mpcc-course-structure');
+            
+            // Use document fragment for better performance
+            const fragment = document.createDocumentFragment();
+            const tempWrapper = document.createElement('div');
+            
+            container.empty();
+            
+            // Any keyboard move in progress is abandoned by a re-render
+            this.grabState = null;
+            container.removeClass('mpcc-reordering');
+            
+            if (this.pendingProposal) {
+                this.renderStructureDiff(container);
+                return;
+            }
+            
+            if (!this.courseStructure.title) {
+                container.html($('.mpcc-empty-state').first().clone());
+                $('#mpcc-create-course').prop('disabled', true);
+                $('#mpcc-export-outline').prop('disabled', true);
+                this.closeExportMenu(false);
+                this.updateHistoryButtons();
+                return;
+            }
+            
+            // Build the entire structure in memory first
+            let structureHtml = '';
+            
+            // Course header with published badge and locked message if applicable
+            const publishedBadge = this.publishedCourseId ? 
+                '<span class="mpcc-published-badge" role="status"><span class="dashicons dashicons-yes-alt" aria-hidden="true"></span> Published</span>' : '';
+            
+            let lockedMessage = '';
+            if (this.isStructureLocked()) {
+                lockedMessage = `
+                <div class="mpcc-course-locked-notice" role="alert">
+                    <span class="dashicons dashicons-lock" aria-hidden="true"></span>
+                    <span>This course has been published and is locked for editing.</span>
+                    <button type="button" class="button button-small" id="mpcc-start-sync">Edit published course</button>
+                </div>`;
+            } else if (this.syncMode) {
+                lockedMessage = `
+                <div class="mpcc-course-sync-notice" role="status">
+                    <span class="dashicons dashicons-update" aria-hidden="true"></span>
+                    <span>You are editing the published course. Changes stay here until you click "Sync Changes".</span>
+                </div>`;
+            }
+            
+            structureHtml += `
+                <div class="mpcc-course-header">
+                    <h2>${this.escapeHtml(this.courseStructure.title)} ${publishedBadge}</h2>
+                    <p>${this.escapeHtml(this.courseStructure.description || '')}</p>
+                    ${lockedMessage}
+                    ${this.isStructureLocked() ? '' : this.renderLessonQueue()}
+                </div>
+            `;
+            
+            // Sections and lessons with proper list structure
+            if (this.courseStructure.sections) {
+                structureHtml += '<div role="list" aria-label="Course sections">';
+                this.courseStructure.sections.forEach((section, sectionIndex) => {
+                    if (sectionIndex > 0 && !this.isStructureLocked()) {
+                        structureHtml += this.renderInsertPoint('section', sectionIndex, sectionIndex, section.title);
+                    }
+                    structureHtml += this.renderSection(section, sectionIndex);
+                });
+                structureHtml += '</div>';
+            }
+            
+            if (!this.isStructureLocked()) {
+                structureHtml += `
+                    <p id="mpcc-reorder-help" class="screen-reader-text">
+                        Press Space to pick up, the up and down arrow keys to move, Space to drop, or Escape to cancel.
+                    </p>
+                `;
+                
+                const sectionCount = this.courseStructure.sections ? this.courseStructure.sections.length : 0;
+                structureHtml += `
+                    <button type="button" class="button mpcc-add-item mpcc-add-section" data-node-type="section" data-position="${sectionCount}">
+                        <span class="dashicons dashicons-plus-alt2" aria-hidden="true"></span> Add section
+                    </button>
+                `;
+            }
+            
+            // Append all at once for better performance
+            tempWrapper.innerHTML = structureHtml;
+            fragment.appendChild(tempWrapper.firstChild);
+            while (tempWrapper.firstChild) {
+                fragment.appendChild(tempWrapper.firstChild);
+            }
+            container[0].appendChild(fragment);
+            
+            $('#mpcc-export-outline').prop('disabled', false);
+            
+            // Update create button state based on published status
+            if (this.syncMode) {
+                $('#mpcc-create-course').prop('disabled', false).html('<span class="dashicons dashicons-update"></span> Sync Changes');
+            } else if (this.publishedCourseId) {
+                $('#mpcc-create-course').prop('disabled', true).html('<span class="dashicons dashicons-yes-alt"></span> Course Created');
+            } else {
+                $('#mpcc-create-course').prop('disabled', false).html('<span class="dashicons dashicons-yes"></span> Create Course');
+            }
+            
+            // Update view course button visibility and functionality
+            this.updateViewCourseButton();
+            this.updateHistoryButtons();
+            
+            // Initialize sortable functionality
+            this.initializeSortable();
+            
+            // Disable chat for published courses
+            if (this.isStructureLocked()) {
+                // Disable chat input and send button
+                $('#mpcc-chat-input').prop('disabled', true)
+                    .attr('placeholder', 'This course has been published. Use "Duplicate Course" to create a new version.');
+                $('#mpcc-send-message').prop('disabled', true);
+                
+                // Hide quick starter suggestions
+                $('#mpcc-quick-starter-suggestions').hide();
+                
+                // Add info message if not already present
+                if (!$('.mpcc-chat-disabled-notice').length) {
+                    $('.mpcc-chat-input-wrapper').prepend(
+                        '<div class="mpcc-chat-disabled-notice">' +
+                        '<span class="dashicons dashicons-info"></span> ' +
+                        'This course is published and locked. To make changes, use "Edit published course" or the "Duplicate Course" button above.' +
+                        '</div>'
+                    );
+                }
+            } else {
+                // Re-enable chat for draft courses
+                $('#mpcc-chat-input').prop('disabled', false)
+                    .attr('placeholder', 'Type a message...');
+                $('#mpcc-send-message').prop('disabled', false);
+                
+                // Show quick starter suggestions only if no AI responses yet
+                const hasAssistantMessages = this.conversationHistory.some(msg => msg.role === 'assistant');
+                if (!hasAssistantMessages) {
+                    $('#mpcc-quick-starter-suggestions').removeClass('hidden').show();
+                }
+                
+                // Remove disabled notice
+                $('.mpcc-chat-disabled-notice').remove();
+            }
+            
+        },
+        
+        renderSection: function(section, sectionIndex) {
+            const sectionId = `section-${this.escapeHtml(String(sectionIndex))}`;
+            const sectionNumber = sectionIndex + 1;
+            const canEdit = !this.isStructureLocked();
+            const lessonsHtml = section.lessons.map((lesson, lessonIndex) => 
+                (canEdit && lessonIndex > 0 ? this.renderInsertPoint('lesson', sectionIndex, lessonIndex, lesson.title) : '') +
                 this.renderLesson(lesson, sectionIndex, lessonIndex)
             ).join('');
             
+            const addLesson = !canEdit ? '' : `
+                <button type="button" class="button-link mpcc-add-item mpcc-add-lesson" data-node-type="lesson"
+                        data-section="${this.escapeHtml(String(sectionIndex))}" data-position="${section.lessons.length}"
+                        aria-label="Add lesson to ${this.escapeHtml(section.title)}">
+                    <span class="dashicons dashicons-plus-alt2" aria-hidden="true"></span> Add lesson
+                </button>`;
+            
             // Hide section editing actions if course is published
-            const sectionActions = this.publishedCourseId ? '' : `
+            const sectionActions = !canEdit ? '' : `
                 <div class="mpcc-section-actions">
+                    <button type="button" class="button-link mpcc-regenerate-section" title="Regenerate section with AI" aria-label="Regenerate section ${this.escapeHtml(section.title)} with AI">
+                        <span class="dashicons dashicons-update" aria-hidden="true"></span>
+                    </button>
                     <button type="button" class="button-link" title="Edit section" aria-label="Edit section ${this.escapeHtml(section.title)}">
                         <span class="dashicons dashicons-edit" aria-hidden="true"></span>
                     </button>
@@ -666,17 +1612,18 @@
                     </button>
                 </div>`;
             
-            const lockedClass = this.publishedCourseId ? ' mpcc-section-locked' : '';
+            const lockedClass = canEdit ? '' : ' mpcc-section-locked';
             
             return `
-                <div class="mpcc-section${lockedClass}" id="${sectionId}" data-section-index="${this.escapeHtml(String(sectionIndex))}" role="listitem" aria-label="Section ${sectionNumber}: ${this.escapeHtml(section.title)}">
+                <div class="mpcc-section${lockedClass}" id="${sectionId}" data-section-index="${this.escapeHtml(String(sectionIndex))}" role="listitem" aria-label="Section ${sectionNumber}: ${this.escapeHtml(section.title)}"${canEdit ? ' aria-describedby="mpcc-reorder-help"' : ''}>
                     <div class="mpcc-section-header">
                         <h3 class="mpcc-section-title" id="${sectionId}-title">${this.escapeHtml(section.title)}</h3>
                         ${sectionActions}
                     </div>
-                    <div class="mpcc-lessons" role="list" aria-label="Lessons in ${this.escapeHtml(section.title)}">
+                    <div class="mpcc-lessons${section.lessons.length ? '' : ' mpcc-lessons-empty'}" role="list" aria-label="Lessons in ${this.escapeHtml(section.title)}">
                         ${lessonsHtml}
                     </div>
+                    ${addLesson}
                 </div>
             `;
         },
@@ -687,10 +1634,13 @@
             const lessonNumber = lessonIndex + 1;
             
             // Hide edit button and add locked class if course is published
-            const isLocked = this.publishedCourseId;
+            const isLocked = this.isStructureLocked();
             const lockedClass = isLocked ? ' mpcc-lesson-locked' : '';
             const actionButtons = isLocked ? '' : `
                 <div class="mpcc-lesson-actions">
+                    <button type="button" class="button-link mpcc-regenerate-lesson" title="Regenerate lesson with AI" data-section="${this.escapeHtml(String(sectionIndex))}" data-index="${this.escapeHtml(String(lessonIndex))}" aria-label="Regenerate lesson ${this.escapeHtml(lesson.title)} with AI">
+                        <span class="dashicons dashicons-update" aria-hidden="true"></span>
+                    </button>
                     <button type="button" class="button-link mpcc-edit-lesson" title="Edit lesson" aria-label="Edit lesson: ${this.escapeHtml(lesson.title)}">
                         <span class="dashicons dashicons-edit" aria-hidden="true"></span>
                     </button>
@@ -738,10 +1688,12 @@
                      data-section-index="${this.escapeHtml(String(sectionIndex))}"
                      data-lesson-index="${this.escapeHtml(String(lessonIndex))}"
                      role="listitem"
-                     aria-label="Lesson ${lessonNumber}: ${this.escapeHtml(lesson.title)}${draftStatus}">
+                     aria-label="Lesson ${lessonNumber}: ${this.escapeHtml(lesson.title)}${draftStatus}"${isLocked ? '' : ' aria-describedby="mpcc-reorder-help"'}>
                     <div class="mpcc-lesson-info">
                         <div class="mpcc-lesson-title">${this.escapeHtml(lesson.title)}</div>
                         <div class="mpcc-lesson-meta" aria-label="Duration">${lesson.duration || 'Duration not set'}</div>
+                        ${this.renderLessonQueueStatus(lesson.lesson_key)}
+                        ${lesson.student_count ? `<div class="mpcc-lesson-students"><span class="dashicons dashicons-groups" aria-hidden="true"></span> ${this.escapeHtml(String(lesson.student_count))} ${lesson.student_count === 1 ? 'student has' : 'students have'} progress</div>` : ''}
                         ${contentPreview}
                     </div>
                     ${lockIcon}
@@ -752,7 +1704,7 @@
         
         handleLessonClick: function(e) {
             // Don't trigger if clicking on action buttons
-            if ($(e.target).closest('.mpcc-lesson-actions, .button-link').length) {
+            if ($(e.target).closest('.mpcc-lesson-actions, .button-link, .mpcc-regenerate-form').length) {
                 return;
             }
             
@@ -761,7 +1713,7 @@
             const lessonId = $target.data('lesson-id');
             
             // Prevent editing if course is published
-            if (this.publishedCourseId) {
+            if (this.isStructureLocked()) {
                 MPCCUtils.showWarning('This course has been published and cannot be edited.');
                 return;
             }
@@ -773,7 +1725,7 @@
         
         editLesson: function(lessonId) {
             // Prevent editing if course is published
-            if (this.publishedCourseId) {
+            if (this.isStructureLocked()) {
                 MPCCUtils.showWarning('This course has been published and cannot be edited.');
                 return;
             }
@@ -782,6 +1734,7 @@
             const lesson = this.courseStructure.sections[sectionIndex].lessons[lessonIndex];
             
             this.currentLessonId = lessonId;
+            this.resetLessonHistory();
             
             // Update UI
             $('.mpcc-lesson-item').removeClass('editing');
@@ -790,21 +1743,8 @@
             // Show editor
             $('#mpcc-lesson-title').text(lesson.title);
             
-            // Get the content
-            const content = lesson.draft_content || lesson.content || '';
-            
-            // For the textarea, we want to show a readable version
-            if (content.includes('<!-- wp:')) {
-                // Convert Gutenberg blocks to readable format for editing
-                const readableContent = this.gutenbergToReadable(content);
-                $('#mpcc-lesson-textarea').val(readableContent);
-                
-                // Store the original Gutenberg content
-                $('#mpcc-lesson-textarea').data('gutenberg-content', content);
-            } else {
-                // Plain text content
-                $('#mpcc-lesson-textarea').val(content);
-            }
+            // Load the content into the block editor
+            this.setLessonContent(lesson.draft_content || lesson.content || '');
             
             // Show overlay on mobile
             if (window.innerWidth <= 960) {
@@ -815,7 +1755,7 @@
                 // Set up focus trap after the modal is visible
                 if (typeof MPCCAccessibility !== 'undefined') {
                     this.lessonEditorFocusTrap = MPCCAccessibility.trapFocus('#mpcc-lesson-editor', {
-                        initialFocus: '#mpcc-lesson-textarea',
+                        initialFocus: '#mpcc-lesson-blocks .mpcc-block-input',
                         escapeDeactivates: true,
                         onEscape: () => {
                             this.closeLessonEditor();
@@ -823,9 +1763,9 @@
                     });
                 }
                 
-                // Focus the textarea if no focus trap
+                // Focus the first block if no focus trap
                 if (!this.lessonEditorFocusTrap) {
-                    $('#mpcc-lesson-textarea').focus();
+                    $('#mpcc-lesson-blocks .mpcc-block-input').first().focus();
                 }
             }).attr('aria-hidden', 'false');
             
@@ -852,21 +1792,9 @@
                     lesson_title: lesson.title
                 },
                 success: (response) => {
-                    if (response.success && response.data.draft && response.data.draft.content) {
-                        const content = response.data.draft.content;
-                        
-                        // Check if content has Gutenberg blocks
-                        if (content.includes('<!-- wp:')) {
-                            // Convert to readable format for display
-                            const readableContent = this.gutenbergToReadable(content);
-                            $('#mpcc-lesson-textarea').val(readableContent);
-                            
-                            // Store the original Gutenberg content
-                            $('#mpcc-lesson-textarea').data('gutenberg-content', content);
-                        } else {
-                            // Plain text content
-                            $('#mpcc-lesson-textarea').val(content);
-                        }
+                    // Ignore drafts that arrive after the user moved on to another lesson
+                    if (response.success && response.data.draft && response.data.draft.content && this.currentLessonId === lessonId) {
+                        this.setLessonContent(response.data.draft.content);
                     }
                 }
             });
@@ -874,7 +1802,7 @@
         
         generateLessonContent: function() {
             // Prevent AI generation if course is published
-            if (this.publishedCourseId) {
+            if (this.isStructureLocked()) {
                 MPCCUtils.showWarning('This course has been published and cannot be edited.');
                 return;
             }
@@ -894,34 +1822,10 @@
             $.ajax({
                 url: mpccEditorSettings.ajaxUrl,
                 type: 'POST',
-                data: {
-                    action: 'mpcc_generate_lesson_content',
-                    nonce: mpccEditorSettings.nonce,
-                    session_id: this.sessionId,
-                    section_id: String(sectionIndex),
-                    lesson_id: String(lessonIndex),
-                    lesson_title: lesson.title,
-                    course_context: JSON.stringify({
-                        title: this.courseStructure.title,
-                        description: this.courseStructure.description
-                    })
-                },
+                data: this.getLessonGenerationData(sectionIndex, lessonIndex),
                 success: (response) => {
                     if (response.success) {
-                        const content = response.data.content;
-                        
-                        // Check if content has Gutenberg blocks
-                        if (content.includes('<!-- wp:')) {
-                            // Convert to readable format for display
-                            const readableContent = this.gutenbergToReadable(content);
-                            $('#mpcc-lesson-textarea').val(readableContent);
-                            
-                            // Store the original Gutenberg content
-                            $('#mpcc-lesson-textarea').data('gutenberg-content', content);
-                        } else {
-                            // Plain text content
-                            $('#mpcc-lesson-textarea').val(content);
-                        }
+                        this.setLessonContent(response.data.content);
                         
                         this.autoSaveLesson();
                         // Announce successful generation
@@ -947,17 +1851,406 @@
             });
         },
         
+        /**
+         * Request data for generating the draft of one lesson
+         *
+         * @param {number} sectionIndex
+         * @param {number} lessonIndex
+         * @returns {Object}
+         */
+        getLessonGenerationData: function(sectionIndex, lessonIndex) {
+            const section = this.courseStructure.sections[sectionIndex];
+            
+            return {
+                action: 'mpcc_generate_lesson_content',
+                nonce: mpccEditorSettings.nonce,
+                session_id: this.sessionId,
+                section_id: String(sectionIndex),
+                lesson_id: String(lessonIndex),
+                lesson_title: section.lessons[lessonIndex].title,
+                section_title: section.title,
+                course_title: this.courseStructure.title,
+                course_context: JSON.stringify({
+                    title: this.courseStructure.title,
+                    description: this.courseStructure.description
+                }),
+                course_style: JSON.stringify(this.courseStyle)
+            };
+        },
+        
+        /**
+         * Queue a draft for every lesson that has none and start generating
+         */
+        startLessonQueue: function() {
+            if (this.isStructureLocked()) {
+                MPCCUtils.showWarning('This course has been published and cannot be edited.');
+                return;
+            }
+            if (this.lessonQueue && !MPCCLessonQueue.isFinished(this.lessonQueue)) return;
+            
+            const lessons = MPCCLessonQueue.lessonsWithoutDrafts(this.courseStructure);
+            if (!lessons.length) {
+                MPCCUtils.showWarning('Every lesson already has a draft.');
+                return;
+            }
+            if (!confirm(`Generate drafts for ${lessons.length} ${lessons.length === 1 ? 'lesson' : 'lessons'} without content? Lessons that already have a draft are left alone.`)) {
+                return;
+            }
+            
+            this.lessonQueue = MPCCLessonQueue.create(lessons);
+            this.saveLessonQueue();
+            this.renderCourseStructure();
+            MPCCAccessibility.announce(`Generating drafts for ${lessons.length} lessons`);
+            this.runLessonQueue();
+        },
+        
+        /**
+         * Send requests for the next queued lessons and schedule any retries
+         */
+        runLessonQueue: function() {
+            const queue = this.lessonQueue;
+            if (!queue) return;
+            
+            clearTimeout(this.lessonQueueTimer);
+            this.lessonQueueTimer = null;
+            
+            // Lessons skipped on the way free their slot straight away
+            let started;
+            do {
+                started = MPCCLessonQueue.takeNext(queue, this.lessonQueueConcurrency, Date.now());
+                started.forEach(item => this.generateQueuedLesson(item));
+            } while (started.some(item => item.status === 'skipped'));
+            
+            if (MPCCLessonQueue.isFinished(queue)) {
+                this.finishLessonQueue();
+                return;
+            }
+            
+            const retryAt = queue.status === 'running' ? MPCCLessonQueue.nextRetryAt(queue) : null;
+            if (retryAt !== null) {
+                this.lessonQueueTimer = setTimeout(() => this.runLessonQueue(), Math.max(0, retryAt - Date.now()));
+            }
+            
+            this.saveLessonQueue();
+            this.updateLessonQueueView();
+        },
+        
+        /**
+         * Generate the draft of one queued lesson
+         *
+         * The outline can change while the request runs, so the draft is only
+         * saved once it is back, at the place the lesson has by then, and only
+         * if the lesson has not got a draft in the meantime.
+         *
+         * @param {Object} item Queue item, already marked as running
+         */
+        generateQueuedLesson: function(item) {
+            const queue = this.lessonQueue;
+            const found = this.findLessonByKey(item.id);
+            
+            if (!found || found.lesson.title !== item.title) {
+                MPCCLessonQueue.skip(queue, item.id, found ? 'The lesson was renamed.' : 'The lesson was removed.');
+                this.updateLessonQueueView(item.id);
+                return;
+            }
+            if (found.lesson.draft_content) {
+                MPCCLessonQueue.skip(queue, item.id);
+                this.updateLessonQueueView(item.id);
+                return;
+            }
+            
+            // Without a position the server leaves the drafts alone
+            const [sectionIndex, lessonIndex] = found.id.split('-').map(Number);
+            const data = this.getLessonGenerationData(sectionIndex, lessonIndex);
+            delete data.section_id;
+            delete data.lesson_id;
+            
+            let error = null;
+            let skipped = null;
+            let saving = null;
+            this.lessonQueueRequests[item.id] = $.ajax({
+                url: mpccEditorSettings.ajaxUrl,
+                type: 'POST',
+                data: data,
+                success: (response) => {
+                    if (!response.success) {
+                        error = response.data || 'Failed to generate content';
+                        return;
+                    }
+                    
+                    const current = this.findLessonByKey(item.id);
+                    const isOpen = current && this.currentLessonId === current.id && this.lessonDocument;
+                    if (!current) {
+                        skipped = 'The lesson was removed.';
+                    } else if (current.lesson.title !== item.title) {
+                        skipped = 'The lesson was renamed.';
+                    } else if (current.lesson.draft_content || (isOpen && this.getLessonContent())) {
+                        skipped = 'The lesson got a draft while this one was being written.';
+                    } else {
+                        current.lesson.draft_content = response.data.content;
+                        if (isOpen) {
+                            this.setLessonContent(response.data.content);
+                        }
+                        saving = this.saveQueuedDraft(current, response.data.content);
+                    }
+                },
+                error: (xhr, status, errorThrown) => {
+                    error = errorThrown || status || 'Request failed';
+                },
+                complete: (xhr, status) => {
+                    delete this.lessonQueueRequests[item.id];
+                    
+                    // Cancelled, or the session was left, while the request ran
+                    if (status === 'abort' || this.lessonQueue !== queue) return;
+                    
+                    if (skipped) {
+                        MPCCLessonQueue.skip(queue, item.id, skipped);
+                    } else {
+                        MPCCLessonQueue.finish(queue, item.id, error, Date.now());
+                    }
+                    this.updateLessonQueueView(item.id);
+                    this.runLessonQueue();
+                    
+                    if (saving) {
+                        saving.then(null, () => MPCCUtils.showError(`The draft of "${item.title}" could not be saved. Open the lesson and save it to keep it.`));
+                    }
+                }
+            });
+        },
+        
+        /**
+         * Store a draft written by the queue, through the draft request chain
+         * so it lands where the lesson is after any pending moves
+         *
+         * @param {{lesson: Object, id: string}} found The lesson and its "section-lesson" id
+         * @param {string} content
+         * @returns {Promise}
+         */
+        saveQueuedDraft: function(found, content) {
+            const [sectionIndex, lessonIndex] = found.id.split('-').map(Number);
+            const data = {
+                action: 'mpcc_save_lesson_content',
+                nonce: mpccEditorSettings.nonce,
+                session_id: this.sessionId,
+                section_id: String(sectionIndex),
+                lesson_id: String(lessonIndex),
+                lesson_title: found.lesson.title,
+                content: content,
+                source: 'ai'
+            };
+            
+            return this.queueDraftRequest(() => $.ajax({
+                url: mpccEditorSettings.ajaxUrl,
+                type: 'POST',
+                data: data
+            }).then((response) => {
+                return response.success ? response : $.Deferred().reject(response).promise();
+            }));
+        },
+        
+        pauseLessonQueue: function() {
+            if (!this.lessonQueue) return;
+            
+            // Requests already sent are left to finish
+            this.lessonQueue.status = 'paused';
+            clearTimeout(this.lessonQueueTimer);
+            this.saveLessonQueue();
+            this.updateLessonQueueView();
+            MPCCAccessibility.announce('Draft generation paused');
+        },
+        
+        resumeLessonQueue: function() {
+            if (!this.lessonQueue) return;
+            
+            this.lessonQueue.status = 'running';
+            MPCCAccessibility.announce('Draft generation resumed');
+            this.runLessonQueue();
+        },
+        
+        cancelLessonQueue: function() {
+            if (!this.lessonQueue || !confirm('Stop generating drafts? Drafts already generated are kept.')) return;
+            
+            this.stopLessonQueue();
+            this.saveLessonQueue();
+            this.renderCourseStructure();
+            MPCCAccessibility.announce('Draft generation cancelled');
+        },
+        
+        retryFailedLessons: function() {
+            if (!this.lessonQueue) return;
+            
+            MPCCLessonQueue.retryFailed(this.lessonQueue);
+            this.runLessonQueue();
+        },
+        
+        dismissLessonQueue: function() {
+            this.lessonQueue = null;
+            this.saveLessonQueue();
+            this.renderCourseStructure();
+        },
+        
+        finishLessonQueue: function() {
+            const summary = MPCCLessonQueue.summarize(this.lessonQueue);
+            
+            this.lessonQueue.status = 'finished';
+            this.saveLessonQueue();
+            this.updateLessonQueueView();
+            
+            const message = `Generated ${summary.done} of ${summary.total} lesson drafts` + (summary.failed ? `, ${summary.failed} failed` : '');
+            if (summary.failed) {
+                MPCCUtils.showWarning(message + '.');
+            } else {
+                MPCCUtils.showSuccess(message + '.');
+            }
+            MPCCAccessibility.announce(message);
+        },
+        
+        /**
+         * Abort the queue's requests and forget it, leaving its saved state
+         * so it resumes when this session is opened again
+         */
+        stopLessonQueue: function() {
+            const requests = this.lessonQueueRequests;
+            this.lessonQueue = null;
+            this.lessonQueueRequests = {};
+            clearTimeout(this.lessonQueueTimer);
+            this.lessonQueueTimer = null;
+            
+            Object.keys(requests).forEach(id => requests[id].abort());
+        },
+        
+        getLessonQueueStorageKey: function() {
+            return `mpcc_lesson_queue_${this.sessionId}`;
+        },
+        
+        /**
+         * Keep an unfinished queue in sessionStorage so a reload can pick it up
+         */
+        saveLessonQueue: function() {
+            if (!this.sessionId) return;
+            
+            const queue = this.lessonQueue;
+            if (queue && (queue.status === 'running' || queue.status === 'paused')) {
+                sessionStorage.setItem(this.getLessonQueueStorageKey(), JSON.stringify(queue));
+            } else {
+                sessionStorage.removeItem(this.getLessonQueueStorageKey());
+            }
+        },
+        
+        /**
+         * Pick up the queue saved for this session, once its drafts are loaded
+         */
+        restoreLessonQueue: function() {
+            if (this.lessonQueue || !this.sessionId || this.isStructureLocked()) return;
+            
+            const queue = MPCCLessonQueue.restore(sessionStorage.getItem(this.getLessonQueueStorageKey()));
+            if (!queue) return;
+            
+            this.lessonQueue = queue;
+            this.renderCourseStructure();
+            if (queue.status === 'running') {
+                MPCCAccessibility.announce('Resuming draft generation');
+                this.runLessonQueue();
+            }
+        },
+        
+        /**
+         * Markup of the bulk generation controls in the course header
+         *
+         * @returns {string}
+         */
+        renderLessonQueue: function() {
+            const queue = this.lessonQueue;
+            if (!queue) {
+                const missing = MPCCLessonQueue.lessonsWithoutDrafts(this.courseStructure).length;
+                return `
+                    <div id="mpcc-lesson-queue" class="mpcc-lesson-queue">
+                        <button type="button" class="button" id="mpcc-generate-all-lessons"${missing ? '' : ' disabled'}>
+                            <span class="dashicons dashicons-welcome-write-blog" aria-hidden="true"></span>
+                            Generate all lesson drafts${missing ? ` (${missing})` : ''}
+                        </button>
+                    </div>`;
+            }
+            
+            const summary = MPCCLessonQueue.summarize(queue);
+            const finished = summary.done + summary.failed + summary.skipped;
+            const percent = summary.total ? Math.round(finished / summary.total * 100) : 100;
+            let state = `Generating drafts: ${finished} of ${summary.total} done`;
+            if (queue.status === 'paused') {
+                state = `Paused: ${finished} of ${summary.total} done` + (summary.running ? `, ${summary.running} finishing` : '');
+            } else if (queue.status === 'finished') {
+                state = `Generated ${summary.done} of ${summary.total} drafts`;
+            }
+            
+            const buttons = [];
+            if (queue.status === 'running') {
+                buttons.push('<button type="button" class="button button-small mpcc-queue-pause">Pause</button>');
+            } else if (queue.status === 'paused') {
+                buttons.push('<button type="button" class="button button-small mpcc-queue-resume">Resume</button>');
+            }
+            if (summary.failed) {
+                buttons.push(`<button type="button" class="button button-small mpcc-queue-retry">Retry ${summary.failed} failed</button>`);
+            }
+            buttons.push(queue.status === 'finished'
+                ? '<button type="button" class="button button-small mpcc-queue-dismiss">Dismiss</button>'
+                : '<button type="button" class="button button-small mpcc-queue-cancel">Cancel</button>');
+            
+            return `
+                <div id="mpcc-lesson-queue" class="mpcc-lesson-queue mpcc-lesson-queue-${queue.status}" role="region" aria-label="Lesson draft generation">
+                    <div class="mpcc-queue-state" role="status">${state}${summary.failed ? ` (${summary.failed} failed)` : ''}</div>
+                    <div class="mpcc-queue-progress" role="progressbar" aria-valuemin="0" aria-valuemax="${summary.total}" aria-valuenow="${finished}" aria-label="Lessons finished">
+                        <span style="width: ${percent}%;"></span>
+                    </div>
+                    <div class="mpcc-queue-actions">${buttons.join('')}</div>
+                </div>`;
+        },
+        
+        /**
+         * Badge showing where a lesson is in the bulk generation queue
+         *
+         * @param {string} lessonId
+         * @returns {string}
+         */
+        renderLessonQueueStatus: function(lessonId) {
+            const item = MPCCLessonQueue.find(this.lessonQueue, lessonId);
+            if (!item || item.status === 'done' || (item.status === 'skipped' && !item.error)) return '';
+            
+            const labels = {
+                pending: item.error ? 'Retrying soon' : 'Queued',
+                running: 'Generating…',
+                failed: 'Failed',
+                skipped: 'Skipped'
+            };
+            const icons = { pending: 'clock', running: 'update spin', failed: 'warning', skipped: 'minus' };
+            const title = item.error ? ` title="${this.escapeHtml(item.error)}"` : '';
+            
+            return `<div class="mpcc-lesson-queue-status mpcc-queue-${item.status}"${title}><span class="dashicons dashicons-${icons[item.status]}" aria-hidden="true"></span> ${labels[item.status]}</div>`;
+        },
+        
+        /**
+         * Refresh the queue controls, and the lesson whose status changed
+         *
+         * @param {string} [lessonKey]
+         */
+        updateLessonQueueView: function(lessonKey) {
+            $('#mpcc-lesson-queue').replaceWith(this.renderLessonQueue());
+            
+            const found = lessonKey && this.findLessonByKey(lessonKey);
+            if (!found) return;
+            
+            const [sectionIndex, lessonIndex] = found.id.split('-').map(Number);
+            const $item = $(`.mpcc-lesson-item[data-lesson-id="${found.id}"]`);
+            if (!$item.length) return;
+            
+            const $updated = $(this.renderLesson(found.lesson, sectionIndex, lessonIndex));
+            $updated.toggleClass('editing', $item.hasClass('editing'));
+            $item.replaceWith($updated);
+        },
+        
         saveLesson: function() {
             if (!this.currentLessonId) return;
             
-            // Check if we have stored Gutenberg content
-            let content = $('#mpcc-lesson-textarea').data('gutenberg-content');
-            
-            // If no Gutenberg content stored, use the plain text
-            if (!content) {
-                content = $('#mpcc-lesson-textarea').val();
-            }
-            
+            const content = this.getLessonContent();
             const [sectionIndex, lessonIndex] = this.currentLessonId.split('-').map(Number);
             
             // Update local structure with the Gutenberg content
@@ -971,20 +2264,275 @@
         },
         
         autoSaveLesson: function() {
-            if (!this.currentLessonId) return;
+            if (!this.currentLessonId || !this.lessonDocument) return;
+            
+            this.saveLessonToServer(this.getLessonContent(), null, 'autosave');
+        },
+        
+        /**
+         * Load lesson content into the block editor
+         *
+         * Block markup is split into blocks; plain text becomes paragraphs.
+         *
+         * @param {string} content
+         */
+        setLessonContent: function(content) {
+            const source = String(content || '');
+            this.lessonDocument = source.includes('<!-- wp:')
+                ? MPCCLessonBlocks.parse(source)
+                : MPCCLessonBlocks.fromText(source);
+            
+            if (!this.lessonDocument.blocks.length) {
+                this.lessonDocument.blocks.push(MPCCLessonBlocks.createBlock('paragraph'));
+            }
+            
+            this.resetSelectionRewrite();
+            this.renderLessonBlocks();
+        },
+        
+        /**
+         * Block markup of the lesson being edited
+         *
+         * New blocks that were never filled in are left out.
+         *
+         * @returns {string}
+         */
+        getLessonContent: function() {
+            if (!this.lessonDocument) return '';
+            
+            this.syncLessonBlocks();
+            
+            return MPCCLessonBlocks.serialize(Object.assign({}, this.lessonDocument, {
+                blocks: this.lessonDocument.blocks.filter(block => block.raw || !MPCCLessonBlocks.isEmpty(block))
+            }));
+        },
+        
+        renderLessonBlocks: function() {
+            const blocks = this.lessonDocument ? this.lessonDocument.blocks : [];
+            $('#mpcc-lesson-blocks').html(blocks.map((block, index) => this.renderLessonBlock(block, index)).join(''));
+        },
+        
+        /**
+         * Markup of one block in the lesson editor
+         *
+         * @param {Object} block
+         * @param {number} index
+         * @returns {string}
+         */
+        renderLessonBlock: function(block, index) {
+            const type = MPCCLessonBlocks.typeOf(block);
+            const data = block.data || {};
+            const count = this.lessonDocument.blocks.length;
+            const label = type ? LESSON_BLOCK_LABELS[type] : 'Other block';
+            let controls = '';
+            let body = '';
+            
+            switch (type) {
+                case 'paragraph':
+                    body = `<div class="mpcc-block-input mpcc-block-text" contenteditable="true" role="textbox" aria-multiline="true" aria-label="Paragraph" data-placeholder="Write a paragraph">${data.content}</div>`;
+                    break;
+                case 'heading':
+                    controls = `<select class="mpcc-block-level" aria-label="Heading level">${[1, 2, 3, 4, 5, 6].filter(level => level > 1 || data.level === 1).map(level => 
+                        `<option value="${level}"${level === data.level ? ' selected' : ''}>H${level}</option>`
+                    ).join('')}</select>`;
+                    body = `<div class="mpcc-block-input mpcc-block-text mpcc-block-heading-${data.level}" contenteditable="true" role="textbox" aria-label="Heading" data-placeholder="Heading">${data.content}</div>`;
+                    break;
+                case 'list': {
+                    const tag = data.ordered ? 'ol' : 'ul';
+                    controls = `<select class="mpcc-block-list-style" aria-label="List style">
+                        <option value="bulleted"${data.ordered ? '' : ' selected'}>Bulleted</option>
+                        <option value="numbered"${data.ordered ? ' selected' : ''}>Numbered</option>
+                    </select>`;
+                    body = `<${tag} class="mpcc-block-input mpcc-block-list" contenteditable="true" role="textbox" aria-multiline="true" aria-label="List items">${(data.items.length ? data.items : ['']).map(item => `<li>${item || '<br>'}</li>`).join('')}</${tag}>`;
+                    break;
+                }
+                case 'quote':
+                    body = `<blockquote class="mpcc-block-input mpcc-block-quote" contenteditable="true" role="textbox" aria-multiline="true" aria-label="Quote">${data.paragraphs.map(text => `<p>${text || '<br>'}</p>`).join('')}</blockquote>
+                        <div class="mpcc-block-citation" contenteditable="true" role="textbox" aria-label="Citation" data-placeholder="Citation (optional)">${data.citation}</div>`;
+                    break;
+                case 'code':
+                    body = `<textarea class="mpcc-block-input mpcc-block-code" rows="${Math.min(15, Math.max(3, data.code.split('\n').length))}" spellcheck="false" aria-label="Code">${this.escapeHtml(data.code)}</textarea>`;
+                    break;
+                case 'image':
+                    body = `<div class="mpcc-block-image-fields">
+                            <input type="url" class="mpcc-block-input mpcc-block-image-url" value="${this.escapeHtml(data.url)}" placeholder="Image URL" aria-label="Image URL">
+                            <input type="text" class="mpcc-block-image-alt" value="${this.escapeHtml(data.alt)}" placeholder="Alternative text" aria-label="Alternative text">
+                            <div class="mpcc-block-citation mpcc-block-image-caption" contenteditable="true" role="textbox" aria-label="Caption" data-placeholder="Caption (optional)">${data.caption}</div>
+                        </div>
+                        <img class="mpcc-block-image-preview" src="${this.escapeHtml(data.url)}" alt=""${data.url ? '' : ' style="display: none;"'}>`;
+                    break;
+                default: {
+                    const preview = this.gutenbergToReadable(block.raw);
+                    body = `<div class="mpcc-block-kept">${this.escapeHtml(preview.length > 200 ? preview.substring(0, 200) + '…' : preview)}</div>
+                        <p class="mpcc-block-note">Kept exactly as it is. Edit this block in the WordPress editor.</p>`;
+                }
+            }
+            
+            return `
+                <div class="mpcc-block mpcc-block-${type || 'other'}" data-index="${index}">
+                    <div class="mpcc-block-toolbar">
+                        <span class="mpcc-block-label">${label}</span>
+                        ${controls}
+                        <span class="mpcc-block-tools">
+                            <button type="button" class="button-link mpcc-block-move" data-direction="-1" aria-label="Move ${label.toLowerCase()} up"${index === 0 ? ' disabled' : ''}>
+                                <span class="dashicons dashicons-arrow-up-alt2" aria-hidden="true"></span>
+                            </button>
+                            <button type="button" class="button-link mpcc-block-move" data-direction="1" aria-label="Move ${label.toLowerCase()} down"${index === count - 1 ? ' disabled' : ''}>
+                                <span class="dashicons dashicons-arrow-down-alt2" aria-hidden="true"></span>
+                            </button>
+                            <button type="button" class="button-link mpcc-block-remove" aria-label="Remove ${label.toLowerCase()}">
+                                <span class="dashicons dashicons-trash" aria-hidden="true"></span>
+                            </button>
+                        </span>
+                    </div>
+                    ${body}
+                </div>
+            `;
+        },
+        
+        getLessonBlockIndex: function($element) {
+            return parseInt($element.closest('.mpcc-block').data('index'), 10);
+        },
+        
+        /**
+         * Copy what the user typed in the editor back into the lesson blocks
+         */
+        syncLessonBlocks: function() {
+            $('#mpcc-lesson-blocks .mpcc-block').each((i, element) => {
+                const $block = $(element);
+                const block = this.lessonDocument.blocks[parseInt($block.data('index'), 10)];
+                const type = block && MPCCLessonBlocks.typeOf(block);
+                if (!type) return;
+                
+                const clean = (html) => MPCCLessonBlocks.cleanInline(html);
+                const lines = ($container) => {
+                    const $lines = $container.children('p, div, li');
+                    return $lines.length
+                        ? $lines.map((index, line) => clean(line.innerHTML)).get()
+                        : [clean($container.html())];
+                };
+                
+                switch (type) {
+                    case 'paragraph':
+                        block.data = { content: clean($block.find('.mpcc-block-text').html()) };
+                        break;
+                    case 'heading':
+                        block.data = {
+                            level: parseInt($block.find('.mpcc-block-level').val(), 10) || 2,
+                            content: clean($block.find('.mpcc-block-text').html())
+                        };
+                        break;
+                    case 'list':
+                        block.data = {
+                            ordered: $block.find('.mpcc-block-list-style').val() === 'numbered',
+                            items: lines($block.find('.mpcc-block-list'))
+                        };
+                        break;
+                    case 'quote':
+                        block.data = {
+                            paragraphs: lines($block.find('.mpcc-block-quote')),
+                            citation: clean($block.find('.mpcc-block-citation').html())
+                        };
+                        break;
+                    case 'code':
+                        block.data = { code: $block.find('.mpcc-block-code').val() };
+                        break;
+                    case 'image':
+                        block.data = {
+                            url: $block.find('.mpcc-block-image-url').val().trim(),
+                            alt: $block.find('.mpcc-block-image-alt').val(),
+                            caption: clean($block.find('.mpcc-block-image-caption').html())
+                        };
+                        break;
+                }
+            });
+        },
+        
+        /**
+         * Re-render one block after a setting that changes its markup, such
+         * as a heading level or list style
+         *
+         * @param {number} index
+         * @param {HTMLElement} control The control that changed, focused again afterwards
+         */
+        refreshLessonBlock: function(index, control) {
+            this.syncLessonBlocks();
+            const block = this.lessonDocument.blocks[index];
+            if (!block) return;
+            
+            const selector = '.' + control.className.split(' ')[0];
+            const $block = $(this.renderLessonBlock(block, index));
+            $(`#mpcc-lesson-blocks .mpcc-block[data-index="${index}"]`).replaceWith($block);
+            $block.find(selector).focus();
+        },
+        
+        /**
+         * Add an empty block at the end of the lesson
+         *
+         * @param {string} type One of LESSON_BLOCK_LABELS
+         */
+        addLessonBlock: function(type) {
+            if (!this.lessonDocument || !LESSON_BLOCK_LABELS[type]) return;
             
-            // Check if we have stored Gutenberg content
-            let content = $('#mpcc-lesson-textarea').data('gutenberg-content');
+            this.syncLessonBlocks();
+            this.lessonDocument.blocks.push(MPCCLessonBlocks.createBlock(type));
+            this.renderLessonBlocks();
             
-            // If no Gutenberg content stored, use the plain text
-            if (!content) {
-                content = $('#mpcc-lesson-textarea').val();
+            $('#mpcc-lesson-blocks .mpcc-block').last().find('.mpcc-block-input').focus();
+            MPCCAccessibility.announce(`${LESSON_BLOCK_LABELS[type]} added`);
+        },
+        
+        /**
+         * Move a block up (-1) or down (1)
+         *
+         * @param {number} index
+         * @param {number} direction
+         */
+        moveLessonBlock: function(index, direction) {
+            const blocks = this.lessonDocument ? this.lessonDocument.blocks : [];
+            const target = index + direction;
+            if (!blocks[index] || target < 0 || target >= blocks.length) return;
+            
+            this.syncLessonBlocks();
+            blocks.splice(target, 0, blocks.splice(index, 1)[0]);
+            this.renderLessonBlocks();
+            
+            const $moved = $(`#mpcc-lesson-blocks .mpcc-block[data-index="${target}"]`);
+            const $button = $moved.find(`.mpcc-block-move[data-direction="${direction}"]`);
+            ($button.is(':disabled') ? $moved.find('.mpcc-block-move').not(':disabled') : $button).first().focus();
+            MPCCAccessibility.announce(`Block moved to position ${target + 1} of ${blocks.length}`);
+            this.debouncedAutoSave();
+        },
+        
+        /**
+         * Remove a block from the lesson
+         *
+         * @param {number} index
+         */
+        removeLessonBlock: function(index) {
+            const blocks = this.lessonDocument ? this.lessonDocument.blocks : [];
+            if (!blocks[index]) return;
+            
+            this.syncLessonBlocks();
+            blocks.splice(index, 1);
+            if (!blocks.length) {
+                blocks.push(MPCCLessonBlocks.createBlock('paragraph'));
             }
+            this.renderLessonBlocks();
             
-            this.saveLessonToServer(content);
+            $(`#mpcc-lesson-blocks .mpcc-block[data-index="${Math.min(index, blocks.length - 1)}"]`).find('.mpcc-block-input').focus();
+            MPCCAccessibility.announce('Block removed');
+            this.debouncedAutoSave();
         },
         
-        saveLessonToServer: function(content, callback) {
+        /**
+         * Save the lesson being edited as its draft
+         *
+         * @param {string} content Block markup
+         * @param {Function} [callback] Called after a successful save
+         * @param {string} [source] 'manual', 'autosave' or 'restore', recorded in the draft history
+         */
+        saveLessonToServer: function(content, callback, source) {
             if (!this.currentLessonId) {
                 console.error('No current lesson ID');
                 return;
@@ -1016,10 +2564,11 @@
                 section_id: String(sectionIndex),
                 lesson_id: String(lessonIndex),
                 lesson_title: lesson.title,
-                content: content
+                content: content,
+                source: source || 'manual'
             };
             
-            $.ajax({
+            this.queueDraftRequest(() => $.ajax({
                 url: mpccEditorSettings.ajaxUrl,
                 type: 'POST',
                 data: saveData,
@@ -1034,6 +2583,10 @@
                         // Update UI to show draft indicator
                         $(`.mpcc-lesson-item[data-lesson-id="${this.currentLessonId}"]`).addClass('has-draft');
                         
+                        if ($('#mpcc-lesson-history').is(':visible')) {
+                            this.loadLessonRevisions();
+                        }
+                        
                         if (callback) callback();
                     } else {
                         MPCCUtils.ui.updateSaveIndicator('error');
@@ -1050,12 +2603,440 @@
                 complete: () => {
                     this.isSaving = false;
                 }
+            }));
+        },
+        
+        /**
+         * Show or hide the saved versions of the lesson being edited
+         */
+        toggleLessonHistory: function() {
+            const $panel = $('#mpcc-lesson-history');
+            const open = !$panel.is(':visible');
+            
+            $panel.toggle(open);
+            $('#mpcc-lesson-history-toggle').attr('aria-expanded', String(open));
+            
+            if (open) {
+                this.selectedRevision = null;
+                $('#mpcc-revision-compare').empty();
+                this.loadLessonRevisions();
+            }
+        },
+        
+        /**
+         * Hide the history panel and forget the loaded revisions
+         */
+        resetLessonHistory: function() {
+            $('#mpcc-lesson-history').hide();
+            $('#mpcc-lesson-history-toggle').attr('aria-expanded', 'false');
+            $('#mpcc-revision-list, #mpcc-revision-compare').empty();
+            this.lessonRevisions = [];
+            this.selectedRevision = null;
+        },
+        
+        /**
+         * Request data identifying the lesson being edited
+         *
+         * History is stored with the draft, under the lesson's current
+         * position, and moves with it when the outline changes.
+         *
+         * @param {string} action AJAX action
+         * @returns {Object}
+         */
+        getLessonRevisionRequest: function(action) {
+            const [sectionIndex, lessonIndex] = this.currentLessonId.split('-').map(Number);
+            
+            return {
+                action: action,
+                nonce: mpccEditorSettings.nonce,
+                session_id: this.sessionId,
+                section_id: String(sectionIndex),
+                lesson_id: String(lessonIndex)
+            };
+        },
+        
+        loadLessonRevisions: function() {
+            if (!this.currentLessonId) return;
+            
+            const lessonId = this.currentLessonId;
+            const data = this.getLessonRevisionRequest('mpcc_list_lesson_revisions');
+            
+            this.queueDraftRequest(() => $.ajax({
+                url: mpccEditorSettings.ajaxUrl,
+                type: 'POST',
+                data: data,
+                success: (response) => {
+                    if (this.currentLessonId !== lessonId) return;
+                    
+                    if (response.success) {
+                        this.lessonRevisions = response.data.revisions || [];
+                        this.renderLessonRevisions();
+                    } else {
+                        MPCCUtils.showError(response.data || 'Failed to load lesson history');
+                    }
+                },
+                error: () => {
+                    MPCCUtils.showError('Failed to load lesson history. Please try again.');
+                }
+            }));
+        },
+        
+        renderLessonRevisions: function() {
+            const $list = $('#mpcc-revision-list').empty();
+            
+            if (!this.lessonRevisions.length) {
+                $list.append('<li class="mpcc-revision-empty">No saved versions yet. Versions are kept each time the lesson is saved, autosaved or generated.</li>');
+                return;
+            }
+            
+            this.lessonRevisions.forEach((revision) => {
+                const date = new Date(String(revision.updated_at || revision.created_at).replace(' ', 'T'));
+                const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'});
+                const label = REVISION_SOURCE_LABELS[revision.source] || REVISION_SOURCE_LABELS.manual;
+                const selected = this.selectedRevision && this.selectedRevision.id === revision.id;
+                
+                $list.append(`
+                    <li>
+                        <button type="button" class="button-link mpcc-revision-item${selected ? ' is-selected' : ''}" data-revision-id="${revision.id}" aria-pressed="${selected}">
+                            <span class="mpcc-revision-source mpcc-revision-source-${this.escapeHtml(revision.source)}">${this.escapeHtml(label)}</span>
+                            <span class="mpcc-revision-date">${this.escapeHtml(dateStr)}</span>
+                            ${revision.author ? `<span class="mpcc-revision-author">${this.escapeHtml(revision.author)}</span>` : ''}
+                        </button>
+                    </li>
+                `);
+            });
+        },
+        
+        /**
+         * Load a revision and compare it with the lesson as it is now
+         *
+         * @param {number} revisionId
+         */
+        showLessonRevision: function(revisionId) {
+            if (!this.currentLessonId || !revisionId) return;
+            
+            const lessonId = this.currentLessonId;
+            const data = this.getLessonRevisionRequest('mpcc_get_lesson_revision');
+            data.revision_id = revisionId;
+            
+            this.queueDraftRequest(() => $.ajax({
+                url: mpccEditorSettings.ajaxUrl,
+                type: 'POST',
+                data: data,
+                success: (response) => {
+                    if (this.currentLessonId !== lessonId) return;
+                    
+                    if (response.success) {
+                        this.selectedRevision = response.data.revision;
+                        this.renderLessonRevisions();
+                        this.renderRevisionCompare();
+                    } else {
+                        MPCCUtils.showError(response.data || 'Failed to load this version');
+                    }
+                },
+                error: () => {
+                    MPCCUtils.showError('Failed to load this version. Please try again.');
+                }
+            }));
+        },
+        
+        /**
+         * Side-by-side text diff of the selected revision and the current draft
+         */
+        renderRevisionCompare: function() {
+            const revision = this.selectedRevision;
+            const $compare = $('#mpcc-revision-compare').empty();
+            
+            if (!revision) return;
+            
+            const toText = (content) => content.includes('<!-- wp:') ? this.gutenbergToReadable(content) : content.trim();
+            const rows = MPCCTextDiff.compareLines(toText(revision.content || ''), toText(this.getLessonContent()));
+            const counts = MPCCTextDiff.summarize(rows);
+            const identical = !counts.added && !counts.removed && !counts.changed;
+            
+            const renderSide = (row, side) => {
+                const text = side === 'left' ? row.left : row.right;
+                const number = side === 'left' ? row.leftNumber : row.rightNumber;
+                
+                if (text === null) {
+                    return '<td class="mpcc-diff-number"></td><td class="mpcc-diff-line mpcc-diff-empty"></td>';
+                }
+                
+                let html = this.escapeHtml(text);
+                if (row.type === 'changed') {
+                    html = MPCCTextDiff.compareWords(row.left, row.right)
+                        .filter(part => part.type !== (side === 'left' ? 'added' : 'removed'))
+                        .map(part => part.type === 'same'
+                            ? this.escapeHtml(part.value)
+                            : `<${part.type === 'removed' ? 'del' : 'ins'}>${this.escapeHtml(part.value)}</${part.type === 'removed' ? 'del' : 'ins'}>`)
+                        .join('');
+                }
+                
+                return `<td class="mpcc-diff-number">${number}</td><td class="mpcc-diff-line">${html}</td>`;
+            };
+            
+            const summary = identical
+                ? 'This version matches the current draft.'
+                : `Compared with the current draft: ${counts.changed} changed, ${counts.removed} removed and ${counts.added} added lines.`;
+            
+            $compare.html(`
+                <p class="mpcc-revision-summary">${summary}</p>
+                <div class="mpcc-diff-scroll">
+                    <table class="mpcc-diff-table">
+                        <thead>
+                            <tr>
+                                <th colspan="2" scope="col">${this.escapeHtml(REVISION_SOURCE_LABELS[revision.source] || REVISION_SOURCE_LABELS.manual)} version</th>
+                                <th colspan="2" scope="col">Current draft</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => `<tr class="mpcc-diff-${row.type}">${renderSide(row, 'left')}${renderSide(row, 'right')}</tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <button type="button" class="button mpcc-restore-revision"${identical ? ' disabled' : ''}>
+                    <span class="dashicons dashicons-backup" aria-hidden="true"></span> Restore this version
+                </button>
+            `);
+            
+            MPCCAccessibility.announce(summary);
+        },
+        
+        /**
+         * Replace the draft with the selected revision
+         *
+         * The restore is saved as a revision of its own, so the draft it
+         * replaces stays in the history.
+         */
+        restoreLessonRevision: function() {
+            const revision = this.selectedRevision;
+            if (!revision || !this.currentLessonId) return;
+            
+            if (this.isSaving) {
+                MPCCUtils.showWarning('The lesson is being saved. Try again in a moment.');
+                return;
+            }
+            
+            if (!confirm('Replace the current lesson content with this version? The current content stays in the history.')) {
+                return;
+            }
+            
+            const [sectionIndex, lessonIndex] = this.currentLessonId.split('-').map(Number);
+            const lesson = this.courseStructure.sections[sectionIndex].lessons[lessonIndex];
+            const current = this.getLessonContent();
+            
+            const restore = () => {
+                this.setLessonContent(revision.content || '');
+                this.selectedRevision = null;
+                $('#mpcc-revision-compare').empty();
+                
+                this.saveLessonToServer(this.getLessonContent(), () => {
+                    MPCCAccessibility.announce('Version restored');
+                }, 'restore');
+            };
+            
+            // Edits the autosave has not picked up yet go into the history first.
+            // The restore waits for that save's complete handler to clear isSaving.
+            if (current !== (lesson.draft_content || '')) {
+                this.saveLessonToServer(current, () => setTimeout(restore, 0), 'autosave');
+            } else {
+                restore();
+            }
+        },
+        
+        /**
+         * Remember the text selected in one block of the lesson editor and
+         * show the rewrite actions while there is a selection
+         */
+        captureLessonSelection: function() {
+            // The selection being rewritten stays put until the rewrite is applied or discarded
+            if (this.lessonRewrite) return;
+            
+            const selection = window.getSelection();
+            const range = selection && selection.rangeCount ? selection.getRangeAt(0) : null;
+            const node = range && !range.collapsed ? range.commonAncestorContainer : null;
+            const $input = node
+                ? $(node.nodeType === Node.ELEMENT_NODE ? node : node.parentNode).closest('#mpcc-lesson-blocks .mpcc-block-input[contenteditable]')
+                : $();
+            
+            if (!$input.length || !range.toString().trim()) {
+                this.lessonSelection = null;
+                $('#mpcc-selection-rewrite').hide();
+                return;
+            }
+            
+            const input = $input[0];
+            const textAround = (atStart) => {
+                const around = document.createRange();
+                around.selectNodeContents(input);
+                if (atStart) {
+                    around.setEnd(range.startContainer, range.startOffset);
+                } else {
+                    around.setStart(range.endContainer, range.endOffset);
+                }
+                return around.toString();
+            };
+            const holder = document.createElement('div');
+            holder.appendChild(range.cloneContents());
+            
+            this.lessonSelection = {
+                index: this.getLessonBlockIndex($input),
+                input: input,
+                range: range.cloneRange(),
+                html: holder.innerHTML,
+                text: range.toString(),
+                before: textAround(true),
+                after: textAround(false)
+            };
+            $('#mpcc-selection-rewrite').show();
+        },
+        
+        /**
+         * Ask the AI to rewrite the selected text and preview the result
+         *
+         * @param {string} action One of MPCCSelectionRewrite.ACTIONS
+         */
+        requestSelectionRewrite: function(action) {
+            const selection = this.lessonSelection;
+            if (!selection || !this.currentLessonId) return;
+            
+            const options = MPCCSelectionRewrite.readOptions($('#mpcc-selection-rewrite')[0]);
+            if (action === 'translate' && !options.language) {
+                MPCCUtils.showWarning('Enter the language to translate into.');
+                $('#mpcc-selection-rewrite .mpcc-rewrite-language').focus();
+                return;
+            }
+            
+            const [sectionIndex, lessonIndex] = this.currentLessonId.split('-').map(Number);
+            const lesson = this.courseStructure.sections[sectionIndex].lessons[lessonIndex];
+            
+            this.lessonRewrite = { action: action, html: null };
+            $('#mpcc-selection-rewrite .mpcc-rewrite-action').prop('disabled', true);
+            $('#mpcc-rewrite-preview').show().html(`<p class="mpcc-rewrite-loading"><span class="dashicons dashicons-update spin" aria-hidden="true"></span> ${MPCCSelectionRewrite.label(action)}…</p>`);
+            MPCCAccessibility.announce('Rewriting the selected text');
+            
+            $.ajax({
+                url: mpccEditorSettings.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'mpcc_rewrite_selection',
+                    nonce: mpccEditorSettings.nonce,
+                    rewrite_action: action,
+                    passage: selection.html,
+                    language: options.language,
+                    tone: options.tone,
+                    lesson_title: lesson.title,
+                    course_title: this.courseStructure.title || '',
+                    before: selection.before,
+                    after: selection.after
+                },
+                success: (response) => {
+                    // Ignore a rewrite for a selection the user has since discarded
+                    if (this.lessonSelection !== selection) return;
+                    
+                    if (response.success && response.data.html) {
+                        this.lessonRewrite.html = response.data.html;
+                        $('#mpcc-rewrite-preview').html(MPCCSelectionRewrite.renderPreview(selection.text, response.data.html, action));
+                        $('#mpcc-rewrite-preview .mpcc-rewrite-accept').focus();
+                        MPCCAccessibility.announce('Rewrite ready. Replace the selection, try again or discard.');
+                    } else {
+                        MPCCUtils.showError(response.data || 'Failed to rewrite the selection');
+                        this.resetSelectionRewrite();
+                    }
+                },
+                error: (xhr, status, error) => {
+                    if (this.lessonSelection !== selection) return;
+                    MPCCUtils.showError('Failed to rewrite the selection: ' + error);
+                    this.resetSelectionRewrite();
+                },
+                complete: () => {
+                    $('#mpcc-selection-rewrite .mpcc-rewrite-action').prop('disabled', false);
+                }
             });
         },
         
+        /**
+         * Replace the selected text with the previewed rewrite
+         *
+         * A rewrite that fits inline replaces just the selected range. One
+         * with paragraphs or lists splits a paragraph or heading around the
+         * selection, and goes after any other kind of block.
+         */
+        applySelectionRewrite: function() {
+            const selection = this.lessonSelection;
+            const rewrite = this.lessonRewrite;
+            if (!selection || !rewrite || !rewrite.html || !this.lessonDocument) return;
+            
+            // Re-rendering the blocks detaches the selected range
+            if (!document.body.contains(selection.input)) {
+                MPCCUtils.showWarning('The lesson changed since the text was selected. Select it again to rewrite it.');
+                this.resetSelectionRewrite();
+                return;
+            }
+            
+            const inline = MPCCSelectionRewrite.toInline(rewrite.html);
+            if (inline !== null) {
+                const template = document.createElement('template');
+                template.innerHTML = MPCCLessonBlocks.cleanInline(inline);
+                selection.range.deleteContents();
+                selection.range.insertNode(template.content);
+                this.syncLessonBlocks();
+            } else {
+                const newBlocks = MPCCLessonBlocks.fromHtml(rewrite.html);
+                if (!newBlocks.length) {
+                    MPCCUtils.showError('The rewrite was empty. Please try again.');
+                    return;
+                }
+                
+                this.syncLessonBlocks();
+                const blocks = this.lessonDocument.blocks;
+                const block = blocks[selection.index];
+                const type = MPCCLessonBlocks.typeOf(block);
+                let replacement;
+                
+                if (type === 'paragraph' || type === 'heading') {
+                    const part = (atStart) => {
+                        const range = document.createRange();
+                        range.selectNodeContents(selection.input);
+                        if (atStart) {
+                            range.setEnd(selection.range.startContainer, selection.range.startOffset);
+                        } else {
+                            range.setStart(selection.range.endContainer, selection.range.endOffset);
+                        }
+                        const holder = document.createElement('div');
+                        holder.appendChild(range.cloneContents());
+                        return MPCCLessonBlocks.cleanInline(holder.innerHTML).trim();
+                    };
+                    const after = MPCCLessonBlocks.createBlock(type, Object.assign({}, block.data, { content: part(false) }));
+                    block.data = Object.assign({}, block.data, { content: part(true) });
+                    replacement = [block].concat(newBlocks, after);
+                } else {
+                    selection.range.deleteContents();
+                    this.syncLessonBlocks();
+                    replacement = [block].concat(newBlocks);
+                }
+                
+                blocks.splice(selection.index, 1, ...replacement.filter(item => !MPCCLessonBlocks.isEmpty(item)));
+                this.renderLessonBlocks();
+            }
+            
+            this.resetSelectionRewrite();
+            $(`#mpcc-lesson-blocks .mpcc-block[data-index="${selection.index}"]`).find('.mpcc-block-input').first().focus();
+            MPCCAccessibility.announce('Selection replaced');
+            this.debouncedAutoSave();
+        },
+        
+        /**
+         * Hide the rewrite actions and preview and forget the selection
+         */
+        resetSelectionRewrite: function() {
+            this.lessonSelection = null;
+            this.lessonRewrite = null;
+            $('#mpcc-selection-rewrite').hide();
+            $('#mpcc-rewrite-preview').hide().empty();
+        },
+        
         closeLessonEditor: function() {
-            // Cleanup event handlers before closing
-            $('#mpcc-lesson-textarea').off('input.autosave');
             
             // Move focus back to the lesson item that was being edited
             const $editingLesson = $('.mpcc-lesson-item.editing');
@@ -1070,13 +3051,96 @@
             });
             $('#mpcc-lesson-editor-overlay').attr('aria-hidden', 'true').fadeOut();
             
-            // Restore focus to the lesson item
-            if ($editingLesson.length) {
-                $editingLesson.focus();
+            // Restore focus to the lesson item
+            if ($editingLesson.length) {
+                $editingLesson.focus();
+            }
+            
+            $('.mpcc-lesson-item').removeClass('editing');
+            this.currentLessonId = null;
+            this.lessonDocument = null;
+            this.resetLessonHistory();
+            this.resetSelectionRewrite();
+        },
+        
+        /**
+         * State saved with the session, which replaces what was saved before
+         */
+        getConversationState: function() {
+            return {
+                course_structure: this.courseStructure,
+                course_style: this.courseStyle
+            };
+        },
+        
+        /**
+         * Use a course style loaded with a session
+         *
+         * @param {?Object} style Saved style, or null for none
+         */
+        setCourseStyle: function(style) {
+            this.courseStyle = MPCCCourseStyle.normalize(style);
+            this.closeCourseStylePanel(false);
+            this.updateCourseStyleButton();
+        },
+        
+        toggleCourseStylePanel: function() {
+            if ($('#mpcc-course-style').prop('hidden')) {
+                this.openCourseStylePanel();
+            } else {
+                this.closeCourseStylePanel();
+            }
+        },
+        
+        /**
+         * Show the course style form
+         *
+         * @param {Object} [style] Style to fill in, the current one by default
+         */
+        openCourseStylePanel: function(style) {
+            $('#mpcc-course-style-form').html(MPCCCourseStyle.renderForm(style || this.courseStyle));
+            $('#mpcc-course-style').prop('hidden', false);
+            $('#mpcc-course-style-toggle').attr('aria-expanded', 'true');
+            $('#mpcc-style-audience').focus();
+        },
+        
+        closeCourseStylePanel: function(restoreFocus = true) {
+            const $panel = $('#mpcc-course-style');
+            if (!$panel.length || $panel.prop('hidden')) {
+                return;
+            }
+            
+            $panel.prop('hidden', true);
+            $('#mpcc-course-style-form').empty();
+            $('#mpcc-course-style-toggle').attr('aria-expanded', 'false');
+            if (restoreFocus) {
+                $('#mpcc-course-style-toggle').focus();
             }
+        },
+        
+        /**
+         * Keep the style entered in the form and save it with the session
+         */
+        saveCourseStyle: function() {
+            this.courseStyle = MPCCCourseStyle.readForm(document.getElementById('mpcc-course-style'));
+            this.updateCourseStyleButton();
+            this.closeCourseStylePanel();
+            this.saveConversation();
             
-            $('.mpcc-lesson-item').removeClass('editing');
-            this.currentLessonId = null;
+            // Sessions are only saved once they have content, until then the style is kept here
+            const hasContent = this.courseStructure.title || this.conversationHistory.some(msg => msg.role === 'user');
+            const message = hasContent ?
+                'Course style saved. It applies to everything the AI generates from now on.' :
+                'Course style set. It will be saved with the session once you start chatting.';
+            MPCCUtils.showSuccess(message);
+            MPCCAccessibility.announce(message);
+        },
+        
+        updateCourseStyleButton: function() {
+            const summary = MPCCCourseStyle.summarize(this.courseStyle);
+            $('#mpcc-course-style-toggle')
+                .toggleClass('mpcc-style-active', summary !== '')
+                .attr('title', summary ? `Course style: ${summary}` : 'Set the audience, tone and lesson template for AI generation');
         },
         
         saveConversation: function() {
@@ -1096,9 +3160,7 @@
                 return;
             }
             
-            const conversationState = {
-                course_structure: this.courseStructure
-            };
+            const conversationState = this.getConversationState();
             
             console.log('Saving conversation:', {
                 session_id: this.sessionId,
@@ -1137,18 +3199,24 @@
                 return;
             }
             
+            if (this.syncMode) {
+                this.previewCourseSync();
+                return;
+            }
+            
             const button = $('#mpcc-create-course');
             button.prop('disabled', true).text('Creating...');
             MPCCAccessibility.announce('Creating course...');
             
-            $.ajax({
+            this.queueDraftRequest(() => $.ajax({
                 url: mpccEditorSettings.ajaxUrl,
                 type: 'POST',
                 data: {
                     action: 'mpcc_create_course',
                     nonce: mpccEditorSettings.nonce,
                     session_id: this.sessionId,
-                    course_data: JSON.stringify(this.courseStructure)
+                    course_data: JSON.stringify(this.courseStructure),
+                    course_style: JSON.stringify(this.courseStyle)
                 },
                 success: (response) => {
                     if (response.success) {
@@ -1181,7 +3249,7 @@
                 complete: () => {
                     button.prop('disabled', false).html('<span class="dashicons dashicons-yes"></span> Create Course');
                 }
-            });
+            }));
         },
         
         newSession: function() {
@@ -1207,6 +3275,8 @@
         },
         
         toggleSessionDropdown: function() {
+            // Sync and import dialogs share the overlay class; drop any left behind
+            $('.mpcc-sync-modal-overlay, .mpcc-import-modal-overlay').remove();
             const modalOverlay = $('.mpcc-sessions-modal-overlay');
             
             if (modalOverlay.length === 0) {
@@ -1224,155 +3294,522 @@
             $('body').css('overflow', 'hidden');
         },
         
-        closeSessionModal: function() {
-            if (window.MPCCUtils && window.MPCCUtils.modalManager) {
-                window.MPCCUtils.modalManager.close('.mpcc-sessions-modal-overlay');
-            } else {
-                // Fallback
-                const modalOverlay = $('.mpcc-sessions-modal-overlay');
-                modalOverlay.removeClass('active');
-                $('body').css('overflow', '');
-            }
+        closeSessionModal: function() {
+            if (window.MPCCUtils && window.MPCCUtils.modalManager) {
+                window.MPCCUtils.modalManager.close('.mpcc-sessions-modal-overlay');
+            } else {
+                // Fallback
+                const modalOverlay = $('.mpcc-sessions-modal-overlay');
+                modalOverlay.removeClass('active');
+                $('body').css('overflow', '');
+            }
+        },
+        
+        createSessionModal: function() {
+            const modal = $(`
+                <div class="mpcc-sessions-modal-overlay" role="dialog" aria-modal="true" aria-labelledby="mpcc-sessions-modal-title">
+                    <div class="mpcc-sessions-modal">
+                        <div class="mpcc-sessions-modal-header">
+                            <h3 id="mpcc-sessions-modal-title">Previous Conversations</h3>
+                            <button type="button" class="mpcc-sessions-modal-close" aria-label="Close session history dialog">
+                                <span class="dashicons dashicons-no-alt" aria-hidden="true"></span>
+                            </button>
+                        </div>
+                        <div class="mpcc-sessions-toolbar">
+                            <button type="button" class="button mpcc-session-import">
+                                <span class="dashicons dashicons-upload" aria-hidden="true"></span>
+                                Import session
+                            </button>
+                            <input type="file" id="mpcc-session-import-file" accept=".json,application/json" hidden>
+                            <div class="mpcc-session-import-status" role="status" aria-live="polite"></div>
+                        </div>
+                        <div class="mpcc-sessions-list" role="region" aria-label="Session history list" aria-live="polite">
+                            <div class="mpcc-sessions-loading" role="status" aria-label="Loading sessions">
+                                <span class="dashicons dashicons-update spin" aria-hidden="true"></span>
+                                <span aria-live="polite">Loading sessions...</span>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `);
+            
+            $('body').append(modal);
+            
+            // Bind close button
+            modal.find('.mpcc-sessions-modal-close').on('click', () => {
+                this.closeSessionModal();
+            });
+            
+            // Bind session package import
+            modal.find('.mpcc-session-import').on('click', () => {
+                $('#mpcc-session-import-file').val('').trigger('click');
+            });
+            modal.find('#mpcc-session-import-file').on('change', (e) => {
+                if (e.target.files && e.target.files[0]) {
+                    this.readSessionPackage(e.target.files[0]);
+                }
+            });
+            
+            // Enhance modal for accessibility
+            MPCCAccessibility.enhanceModal(modal.find('.mpcc-sessions-modal'), {
+                labelledby: 'mpcc-sessions-modal-title',
+                closeLabel: 'Close session history'
+            });
+            
+            // Add ID to modal title
+            modal.find('h3').attr('id', 'mpcc-sessions-modal-title');
+        },
+        
+        loadSessionList: function() {
+            $.ajax({
+                url: mpccEditorSettings.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'mpcc_get_sessions',
+                    nonce: mpccEditorSettings.nonce
+                },
+                success: (response) => {
+                    if (response.success && response.data) {
+                        this.renderSessionList(response.data);
+                    } else {
+                        this.renderEmptySessionList();
+                    }
+                },
+                error: () => {
+                    this.renderEmptySessionList();
+                }
+            });
+        },
+        
+        renderSessionList: function(sessions) {
+            const listContainer = $('.mpcc-sessions-list');
+            
+            if (sessions.length === 0) {
+                this.renderEmptySessionList();
+                return;
+            }
+            
+            let html = '';
+            sessions.forEach(session => {
+                const date = new Date(session.last_updated);
+                const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit', second:'2-digit'});
+                
+                // Add a unique identifier to help debug timestamp issues
+                const sessionDebugInfo = `Session ID: ${session.id.substring(0, 8)}... | DB ID: ${session.database_id || 'N/A'}`;
+                
+                html += `
+                    <div class="mpcc-session-item" data-session-id="${this.escapeHtml(session.id)}" title="${this.escapeHtml(sessionDebugInfo)}">
+                        <div class="mpcc-session-info">
+                            <div class="mpcc-session-title">${this.escapeHtml(session.title || 'Untitled Course')}</div>
+                            <div class="mpcc-session-meta">${this.escapeHtml(dateStr)}</div>
+                        </div>
+                        <button type="button" class="mpcc-session-export" data-session-id="${this.escapeHtml(session.id)}" title="Export conversation" aria-label="Export conversation">
+                            <span class="dashicons dashicons-download"></span>
+                        </button>
+                        <button type="button" class="mpcc-session-delete" data-session-id="${this.escapeHtml(session.id)}" title="Delete conversation">
+                            <span class="dashicons dashicons-trash"></span>
+                        </button>
+                    </div>
+                `;
+            });
+            
+            listContainer.html(html);
+            
+            // Bind click events for loading sessions
+            $('.mpcc-session-item').on('click', (e) => {
+                // Don't trigger if clicking on the export or delete button
+                if ($(e.target).closest('.mpcc-session-delete, .mpcc-session-export').length) {
+                    return;
+                }
+                
+                const $item = $(e.currentTarget);
+                const sessionId = $item.data('session-id');
+                const sessionTitle = $item.find('.mpcc-session-title').text();
+                
+                if (confirm('Load this session? Current progress will be saved.')) {
+                    // Only save if we have actual user-generated content
+                    if (this.sessionId && this.sessionId !== 'pending') {
+                        const hasUserMessages = this.conversationHistory.filter(msg => msg.role === 'user').length > 0;
+                        const hasCourseStructure = this.courseStructure && this.courseStructure.title;
+                        
+                        if (hasUserMessages || hasCourseStructure) {
+                            this.saveConversation();
+                        }
+                    }
+                    
+                    // Close the modal before redirecting
+                    this.closeSessionModal();
+                    
+                    // Redirect to the selected session to ensure proper URL
+                    window.location.href = window.location.pathname + '?page=mpcc-course-editor&session=' + sessionId;
+                }
+            });
+            
+            // Bind export button events
+            $('.mpcc-session-export').on('click', (e) => {
+                e.stopPropagation(); // Prevent session from loading
+                this.exportSession($(e.currentTarget).data('session-id'));
+            });
+            
+            // Bind delete button events
+            $('.mpcc-session-delete').on('click', (e) => {
+                e.stopPropagation(); // Prevent session from loading
+                const $button = $(e.currentTarget);
+                const sessionId = $button.data('session-id');
+                const sessionTitle = $button.closest('.mpcc-session-item').find('.mpcc-session-title').text();
+                
+                if (confirm(`Are you sure you want to delete the conversation "${sessionTitle}"? This action cannot be undone.`)) {
+                    this.deleteSession(sessionId);
+                }
+            });
+        },
+        
+        /**
+         * Download a session, its conversation and its lesson drafts as a package file
+         */
+        exportSession: function(sessionId) {
+            const $button = $(`.mpcc-session-export[data-session-id="${sessionId}"]`);
+            const originalHtml = $button.html();
+            $button.html('<span class="dashicons dashicons-update spin"></span>').prop('disabled', true);
+            
+            $.ajax({
+                url: mpccEditorSettings.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'mpcc_export_session',
+                    nonce: mpccEditorSettings.nonce,
+                    session_id: sessionId
+                },
+                success: (response) => {
+                    if (response.success && response.data) {
+                        this.downloadFile(response.data.filename, JSON.stringify(response.data.package, null, 2), 'application/json');
+                        MPCCAccessibility.announce('Session package downloaded');
+                    } else {
+                        this.handleSessionPackageError(response, 'Failed to export the conversation.');
+                    }
+                },
+                error: (xhr) => {
+                    this.handleSessionPackageError(xhr.responseJSON, 'Failed to export the conversation.');
+                },
+                complete: () => {
+                    $button.html(originalHtml).prop('disabled', false);
+                }
+            });
+        },
+        
+        /**
+         * Read a package file chosen for import and check it looks like a session export
+         */
+        readSessionPackage: function(file) {
+            if (file.size > 50 * 1024 * 1024) {
+                this.handleSessionPackageError(null, 'The file is too large to be a session package.');
+                return;
+            }
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                let pkg = null;
+                try {
+                    pkg = JSON.parse(reader.result);
+                } catch (e) {
+                    pkg = null;
+                }
+                
+                if (!pkg || !pkg.export_info || pkg.export_info.package !== 'mpcc-session') {
+                    this.handleSessionPackageError(null, `"${file.name}" is not a course session package.`);
+                    return;
+                }
+                
+                this.importSessionPackage(reader.result);
+            };
+            reader.onerror = () => {
+                this.handleSessionPackageError(null, `Could not read "${file.name}".`);
+            };
+            reader.readAsText(file);
+        },
+        
+        /**
+         * Send a session package to the server
+         *
+         * @param {string} packageJson Raw package file contents
+         * @param {string} conflict    How to resolve an existing session: '', 'replace' or 'copy'
+         */
+        importSessionPackage: function(packageJson, conflict = '') {
+            const $status = $('.mpcc-session-import-status');
+            $('.mpcc-session-import').prop('disabled', true);
+            $status.html('<span class="dashicons dashicons-update spin" aria-hidden="true"></span> Importing session...');
+            
+            $.ajax({
+                url: mpccEditorSettings.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'mpcc_import_session',
+                    nonce: mpccEditorSettings.nonce,
+                    package: packageJson,
+                    conflict: conflict
+                },
+                success: (response) => {
+                    if (response.success && response.data) {
+                        this.showImportedSession(response.data);
+                    } else {
+                        this.handleSessionPackageError(response, 'Failed to import the session.');
+                    }
+                },
+                error: (xhr) => {
+                    const error = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.error;
+                    if (error && error.code === 'mpcc_session_conflict') {
+                        this.showImportConflict(packageJson, error.data || {});
+                    } else {
+                        this.handleSessionPackageError(xhr.responseJSON, 'Failed to import the session.');
+                    }
+                },
+                complete: () => {
+                    $('.mpcc-session-import').prop('disabled', false);
+                }
+            });
+        },
+        
+        /**
+         * Ask how to handle a package whose session already exists on this site
+         */
+        showImportConflict: function(packageJson, existing) {
+            const $status = $('.mpcc-session-import-status');
+            
+            $status.html(`
+                <div class="mpcc-session-import-conflict" role="alert">
+                    <p>
+                        "${this.escapeHtml(existing.existing_title || 'Untitled Course')}" already exists on this site
+                        (last updated ${this.escapeHtml(existing.last_updated || 'unknown')}).
+                    </p>
+                    ${existing.can_replace ? '<button type="button" class="button mpcc-import-replace">Replace existing</button>' : ''}
+                    <button type="button" class="button button-primary mpcc-import-copy">Import as copy</button>
+                    <button type="button" class="button-link mpcc-import-cancel">Cancel</button>
+                </div>
+            `);
+            
+            $status.find('.mpcc-import-replace').on('click', () => {
+                if (confirm('Replace the existing session and its lesson drafts? This cannot be undone.')) {
+                    this.importSessionPackage(packageJson, 'replace');
+                }
+            });
+            $status.find('.mpcc-import-copy').on('click', () => this.importSessionPackage(packageJson, 'copy'));
+            $status.find('.mpcc-import-cancel').on('click', () => {
+                $status.empty();
+                $('.mpcc-session-import').focus();
+            });
+            $status.find('.mpcc-import-copy').focus();
+        },
+        
+        showImportedSession: function(result) {
+            const drafts = result.drafts_imported;
+            const $status = $('.mpcc-session-import-status');
+            
+            $status.html(`
+                <div class="mpcc-session-import-done">
+                    <span>Imported "${this.escapeHtml(result.title || 'Untitled Course')}" with ${drafts} lesson ${drafts === 1 ? 'draft' : 'drafts'}.</span>
+                    <button type="button" class="button button-small mpcc-import-open">Open</button>
+                </div>
+            `);
+            $status.find('.mpcc-import-open').on('click', () => {
+                window.location.href = window.location.pathname + '?page=mpcc-course-editor&session=' + encodeURIComponent(result.session_id);
+            });
+            
+            MPCCUtils.showSuccess('Session imported');
+            this.loadSessionList();
+        },
+        
+        handleSessionPackageError: function(response, fallback) {
+            const error = response && response.data && response.data.error;
+            const message = (error && error.message) || fallback;
+            $('.mpcc-session-import-status').empty();
+            MPCCUtils.showError(message);
+            MPCCAccessibility.announce(`Error: ${message}`, { priority: 'assertive' });
+        },
+        
+        renderEmptySessionList: function() {
+            $('.mpcc-sessions-list').html(`
+                <div class="mpcc-sessions-empty">
+                    <p>No previous conversations found</p>
+                </div>
+            `);
         },
         
-        createSessionModal: function() {
-            const modal = $(`
-                <div class="mpcc-sessions-modal-overlay" role="dialog" aria-modal="true" aria-labelledby="mpcc-sessions-modal-title">
-                    <div class="mpcc-sessions-modal">
+        /**
+         * Open the dialog for importing an existing course into a new session
+         */
+        showImportCourses: function() {
+            $('.mpcc-import-modal-overlay').remove();
+            const $modal = $(`
+                <div class="mpcc-sessions-modal-overlay mpcc-import-modal-overlay" role="dialog" aria-modal="true" aria-labelledby="mpcc-import-modal-title">
+                    <div class="mpcc-sessions-modal mpcc-import-modal">
                         <div class="mpcc-sessions-modal-header">
-                            <h3 id="mpcc-sessions-modal-title">Previous Conversations</h3>
-                            <button type="button" class="mpcc-sessions-modal-close" aria-label="Close session history dialog">
+                            <h3 id="mpcc-import-modal-title">Import an existing course</h3>
+                            <button type="button" class="mpcc-sessions-modal-close" aria-label="Close import dialog">
                                 <span class="dashicons dashicons-no-alt" aria-hidden="true"></span>
                             </button>
                         </div>
-                        <div class="mpcc-sessions-list" role="region" aria-label="Session history list" aria-live="polite">
-                            <div class="mpcc-sessions-loading" role="status" aria-label="Loading sessions">
+                        <div class="mpcc-import-search">
+                            <label for="mpcc-import-search" class="screen-reader-text">Filter courses</label>
+                            <input type="search" id="mpcc-import-search" placeholder="Filter courses..." autocomplete="off">
+                        </div>
+                        <div class="mpcc-sessions-list mpcc-import-list" role="region" aria-label="Courses available to import" aria-live="polite">
+                            <div class="mpcc-sessions-loading" role="status">
                                 <span class="dashicons dashicons-update spin" aria-hidden="true"></span>
-                                <span aria-live="polite">Loading sessions...</span>
+                                <span>Loading courses...</span>
                             </div>
                         </div>
                     </div>
                 </div>
             `);
             
-            $('body').append(modal);
-            
-            // Bind close button
-            modal.find('.mpcc-sessions-modal-close').on('click', () => {
-                this.closeSessionModal();
-            });
-            
-            // Enhance modal for accessibility
-            MPCCAccessibility.enhanceModal(modal.find('.mpcc-sessions-modal'), {
-                labelledby: 'mpcc-sessions-modal-title',
-                closeLabel: 'Close session history'
+            $('body').append($modal);
+            MPCCAccessibility.enhanceModal($modal.find('.mpcc-import-modal'), {
+                labelledby: 'mpcc-import-modal-title',
+                closeLabel: 'Close import dialog'
             });
+            $modal.addClass('active');
+            $('body').css('overflow', 'hidden');
+            $('#mpcc-import-search').focus();
             
-            // Add ID to modal title
-            modal.find('h3').attr('id', 'mpcc-sessions-modal-title');
+            this.loadImportableCourses();
         },
         
-        loadSessionList: function() {
+        closeImportCourses: function() {
+            MPCCUtils.modalManager.close('.mpcc-import-modal-overlay');
+            $('.mpcc-import-modal-overlay').remove();
+            $('#mpcc-import-course').focus();
+        },
+        
+        loadImportableCourses: function() {
             $.ajax({
                 url: mpccEditorSettings.ajaxUrl,
                 type: 'POST',
                 data: {
-                    action: 'mpcc_get_sessions',
+                    action: 'mpcc_get_importable_courses',
                     nonce: mpccEditorSettings.nonce
                 },
                 success: (response) => {
                     if (response.success && response.data) {
-                        this.renderSessionList(response.data);
+                        this.renderImportableCourses(response.data.courses);
                     } else {
-                        this.renderEmptySessionList();
+                        this.renderImportError(response);
                     }
                 },
-                error: () => {
-                    this.renderEmptySessionList();
+                error: (xhr) => {
+                    this.renderImportError(xhr.responseJSON);
                 }
             });
         },
         
-        renderSessionList: function(sessions) {
-            const listContainer = $('.mpcc-sessions-list');
+        renderImportableCourses: function(courses) {
+            const $list = $('.mpcc-import-list');
             
-            if (sessions.length === 0) {
-                this.renderEmptySessionList();
+            if (!courses.length) {
+                $list.html(`
+                    <div class="mpcc-sessions-empty">
+                        <p>No MemberPress courses found</p>
+                    </div>
+                `);
                 return;
             }
             
-            let html = '';
-            sessions.forEach(session => {
-                const date = new Date(session.last_updated);
-                const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit', second:'2-digit'});
-                
-                // Add a unique identifier to help debug timestamp issues
-                const sessionDebugInfo = `Session ID: ${session.id.substring(0, 8)}... | DB ID: ${session.database_id || 'N/A'}`;
-                
-                html += `
-                    <div class="mpcc-session-item" data-session-id="${this.escapeHtml(session.id)}" title="${this.escapeHtml(sessionDebugInfo)}">
-                        <div class="mpcc-session-info">
-                            <div class="mpcc-session-title">${this.escapeHtml(session.title || 'Untitled Course')}</div>
-                            <div class="mpcc-session-meta">${this.escapeHtml(dateStr)}</div>
-                        </div>
-                        <button type="button" class="mpcc-session-delete" data-session-id="${this.escapeHtml(session.id)}" title="Delete conversation">
-                            <span class="dashicons dashicons-trash"></span>
-                        </button>
-                    </div>
-                `;
+            $list.html(courses.map(course => `
+                <button type="button" class="mpcc-session-item mpcc-import-course-item" data-course-id="${parseInt(course.id, 10)}">
+                    <span class="mpcc-session-info">
+                        <span class="mpcc-session-title">${this.escapeHtml(course.title || 'Untitled Course')}</span>
+                        <span class="mpcc-session-meta">${this.escapeHtml(course.status)} &middot; Last modified ${this.escapeHtml(course.modified)}</span>
+                    </span>
+                </button>
+            `).join(''));
+            
+            MPCCAccessibility.announce(`${courses.length} ${courses.length === 1 ? 'course' : 'courses'} available to import`);
+        },
+        
+        renderImportError: function(response) {
+            const error = response && response.data && response.data.error;
+            const message = (error && error.message) || 'Failed to load courses.';
+            $('.mpcc-import-list').html(`
+                <div class="mpcc-sessions-empty" role="alert">
+                    <p>${this.escapeHtml(message)}</p>
+                </div>
+            `);
+        },
+        
+        /**
+         * Hide courses whose title does not contain the filter text
+         */
+        filterImportableCourses: function() {
+            const query = $('#mpcc-import-search').val().trim().toLowerCase();
+            const $items = $('.mpcc-import-course-item');
+            
+            $items.each(function() {
+                const title = $(this).find('.mpcc-session-title').text().toLowerCase();
+                $(this).toggle(title.indexOf(query) !== -1);
             });
             
-            listContainer.html(html);
+            $('.mpcc-import-no-match').remove();
+            if ($items.length && !$items.filter(':visible').length) {
+                $('.mpcc-import-list').append('<div class="mpcc-sessions-empty mpcc-import-no-match"><p>No courses match your filter</p></div>');
+            }
+        },
+        
+        /**
+         * Read a live course into a new session and open it
+         *
+         * The new session is linked to the course, so changes made in the
+         * copilot can be synced back once reviewed.
+         */
+        importCourse: function(e) {
+            const $item = $(e.currentTarget);
+            const courseId = $item.data('course-id');
+            const title = $item.find('.mpcc-session-title').text();
             
-            // Bind click events for loading sessions
-            $('.mpcc-session-item').on('click', (e) => {
-                // Don't trigger if clicking on delete button
-                if ($(e.target).closest('.mpcc-session-delete').length) {
-                    return;
-                }
-                
-                const $item = $(e.currentTarget);
-                const sessionId = $item.data('session-id');
-                const sessionTitle = $item.find('.mpcc-session-title').text();
+            if (!confirm(`Import "${title}" into a new session? Current progress will be saved.`)) {
+                return;
+            }
+            
+            if (this.sessionId && this.sessionId !== 'pending') {
+                const hasUserMessages = this.conversationHistory.filter(msg => msg.role === 'user').length > 0;
+                const hasCourseStructure = this.courseStructure && this.courseStructure.title;
                 
-                if (confirm('Load this session? Current progress will be saved.')) {
-                    // Only save if we have actual user-generated content
-                    if (this.sessionId && this.sessionId !== 'pending') {
-                        const hasUserMessages = this.conversationHistory.filter(msg => msg.role === 'user').length > 0;
-                        const hasCourseStructure = this.courseStructure && this.courseStructure.title;
-                        
-                        if (hasUserMessages || hasCourseStructure) {
-                            this.saveConversation();
-                        }
-                    }
-                    
-                    // Close the modal before redirecting
-                    this.closeSessionModal();
-                    
-                    // Redirect to the selected session to ensure proper URL
-                    window.location.href = window.location.pathname + '?page=mpcc-course-editor&session=' + sessionId;
+                if (hasUserMessages || hasCourseStructure) {
+                    this.saveConversation();
                 }
-            });
+            }
             
-            // Bind delete button events
-            $('.mpcc-session-delete').on('click', (e) => {
-                e.stopPropagation(); // Prevent session from loading
-                const $button = $(e.currentTarget);
-                const sessionId = $button.data('session-id');
-                const sessionTitle = $button.closest('.mpcc-session-item').find('.mpcc-session-title').text();
-                
-                if (confirm(`Are you sure you want to delete the conversation "${sessionTitle}"? This action cannot be undone.`)) {
-                    this.deleteSession(sessionId);
+            $('.mpcc-import-course-item').prop('disabled', true);
+            $item.find('.mpcc-session-meta').html('<span class="dashicons dashicons-update spin" aria-hidden="true"></span> Importing...');
+            $('.mpcc-import-modal').attr('aria-busy', 'true');
+            MPCCAccessibility.announce(`Importing ${title}`);
+            
+            $.ajax({
+                url: mpccEditorSettings.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'mpcc_import_course',
+                    nonce: mpccEditorSettings.nonce,
+                    course_id: courseId
+                },
+                success: (response) => {
+                    if (response.success && response.data) {
+                        window.location.href = window.location.pathname + '?page=mpcc-course-editor&session=' + encodeURIComponent(response.data.session_id);
+                    } else {
+                        this.handleImportError(response);
+                    }
+                },
+                error: (xhr) => {
+                    this.handleImportError(xhr.responseJSON);
                 }
             });
         },
         
-        renderEmptySessionList: function() {
-            $('.mpcc-sessions-list').html(`
-                <div class="mpcc-sessions-empty">
-                    <p>No previous conversations found</p>
-                </div>
-            `);
+        handleImportError: function(response) {
+            const error = response && response.data && response.data.error;
+            const message = (error && error.message) || 'Failed to import the course.';
+            MPCCUtils.showError(message);
+            MPCCAccessibility.announce(message, { priority: 'assertive' });
+            $('.mpcc-import-modal').attr('aria-busy', 'false');
+            this.loadImportableCourses();
         },
         
         loadConversation: function(sessionId, sessionTitle) {
@@ -1388,6 +3825,9 @@
                 success: (response) => {
                     console.log('Load conversation response:', response);
                     if (response.success && response.data) {
+                        // Drafts still being generated belong to the session being left
+                        this.stopLessonQueue();
+                        
                         // Update current session
                         this.sessionId = sessionId;
                         
@@ -1415,6 +3855,11 @@
                             this.publishedCourseId = response.data.published_course_id;
                             this.publishedCourseUrl = response.data.published_course_url || null;
                         }
+                        this.syncMode = !!response.data.course_sync;
+                        this.setCourseStyle(response.data.conversation_state && response.data.conversation_state.course_style);
+                        
+                        this.resetStructureHistory();
+                        this.pendingProposal = null;
                         
                         // Update course structure if exists
                         const courseStructure = response.data.course_structure || 
@@ -1445,6 +3890,7 @@
         
         displayCourseStructure: function(courseStructure) {
             this.courseStructure = courseStructure;
+            this.resetDraftPositions();
             this.renderCourseStructure();
             
             // Update session title if available
@@ -1505,28 +3951,231 @@
                         
                         MPCCUtils.showSuccess('Conversation deleted successfully');
                         
-                        // If we deleted the current session, redirect to a new session
-                        if (sessionId === this.sessionId) {
-                            setTimeout(() => {
-                                window.location.href = window.location.pathname + '?page=mpcc-course-editor';
-                            }, 1000);
-                        }
+                        // If we deleted the current session, redirect to a new session
+                        if (sessionId === this.sessionId) {
+                            setTimeout(() => {
+                                window.location.href = window.location.pathname + '?page=mpcc-course-editor';
+                            }, 1000);
+                        }
+                    } else {
+                        MPCCUtils.showError(response.data || 'Failed to delete conversation');
+                        // Restore button
+                        $deleteButton.html(originalHtml).prop('disabled', false);
+                    }
+                },
+                error: () => {
+                    MPCCUtils.showError('Failed to delete conversation. Please try again.');
+                    // Restore button
+                    $deleteButton.html(originalHtml).prop('disabled', false);
+                }
+            });
+        },
+        
+        showError: function(message) {
+            MPCCUtils.showError(message);
+        },
+        
+        isStructureLocked: function() {
+            return !!this.publishedCourseId && !this.syncMode;
+        },
+        
+        /**
+         * Switch a published course into sync mode, reloading the outline from the live course
+         */
+        startCourseSync: function() {
+            if (!confirm('Edit the published course? The outline will be reloaded from the live course, and your edits are only applied to it when you click "Sync Changes".')) {
+                return;
+            }
+            
+            const $button = $('#mpcc-start-sync');
+            $button.prop('disabled', true).text('Loading course...');
+            MPCCAccessibility.announce('Loading the published course for editing');
+            
+            this.queueDraftRequest(() => $.ajax({
+                url: mpccEditorSettings.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'mpcc_start_course_sync',
+                    nonce: mpccEditorSettings.nonce,
+                    session_id: this.sessionId,
+                    course_structure: JSON.stringify(this.courseStructure)
+                },
+                success: (response) => {
+                    if (response.success && response.data) {
+                        this.syncMode = true;
+                        this.pendingProposal = null;
+                        this.courseStructure = response.data.course_structure;
+                        this.resetDraftPositions();
+                        this.resetStructureHistory();
+                        this.renderCourseStructure();
+                        this.saveConversation();
+                        
+                        MPCCUtils.showSuccess('You can now edit the published course');
+                        MPCCAccessibility.announce('Published course loaded. Edits are applied when you sync changes.');
+                    } else {
+                        this.handleSyncError(response, 'Failed to load the published course.');
+                        $button.prop('disabled', false).text('Edit published course');
+                    }
+                },
+                error: (xhr) => {
+                    this.handleSyncError(xhr.responseJSON, 'Failed to load the published course.');
+                    $button.prop('disabled', false).text('Edit published course');
+                }
+            }));
+        },
+        
+        /**
+         * Ask the server what syncing would change and show it for review
+         */
+        previewCourseSync: function() {
+            const $button = $('#mpcc-create-course');
+            $button.prop('disabled', true).html('<span class="dashicons dashicons-update spin"></span> Checking...');
+            
+            this.queueDraftRequest(() => $.ajax({
+                url: mpccEditorSettings.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'mpcc_preview_course_sync',
+                    nonce: mpccEditorSettings.nonce,
+                    session_id: this.sessionId,
+                    course_data: JSON.stringify(this.courseStructure)
+                },
+                success: (response) => {
+                    if (!response.success || !response.data) {
+                        this.handleSyncError(response, 'Failed to compare with the published course.');
+                    } else if (!response.data.has_changes) {
+                        MPCCUtils.showSuccess('The published course is already up to date');
+                        MPCCAccessibility.announce('No changes to sync');
+                    } else {
+                        this.showSyncPreview(response.data.changes);
+                    }
+                },
+                error: (xhr) => {
+                    this.handleSyncError(xhr.responseJSON, 'Failed to compare with the published course.');
+                },
+                complete: () => {
+                    $button.prop('disabled', false).html('<span class="dashicons dashicons-update"></span> Sync Changes');
+                }
+            }));
+        },
+        
+        showSyncPreview: function(changes) {
+            const icons = {
+                add_section: 'plus-alt2',
+                add_lesson: 'plus-alt2',
+                remove_section: 'trash',
+                remove_lesson: 'trash',
+                move_lesson: 'move',
+                reorder_sections: 'sort',
+                reorder_lessons: 'sort',
+                update_content: 'edit-page'
+            };
+            const warnings = changes.filter(change => change.warning);
+            
+            const changesHtml = changes.map(change => `
+                <li class="mpcc-sync-change${change.warning ? ' mpcc-sync-change-warning' : ''}">
+                    <span class="dashicons dashicons-${icons[change.type] || 'edit'}" aria-hidden="true"></span>
+                    <span>
+                        ${this.escapeHtml(change.message)}
+                        ${change.warning ? `<span class="mpcc-sync-change-note"><span class="dashicons dashicons-warning" aria-hidden="true"></span> ${this.escapeHtml(change.warning)}</span>` : ''}
+                    </span>
+                </li>
+            `).join('');
+            
+            const warningHtml = warnings.length ? `
+                <div class="mpcc-sync-warning" role="alert">
+                    <span class="dashicons dashicons-groups" aria-hidden="true"></span>
+                    ${warnings.length} ${warnings.length === 1 ? 'change affects' : 'changes affect'} lessons students have already started. Their progress is kept.
+                </div>` : '';
+            
+            $('.mpcc-sync-modal-overlay').remove();
+            const $modal = $(`
+                <div class="mpcc-sessions-modal-overlay mpcc-sync-modal-overlay" role="dialog" aria-modal="true" aria-labelledby="mpcc-sync-modal-title">
+                    <div class="mpcc-sessions-modal mpcc-sync-modal">
+                        <div class="mpcc-sessions-modal-header">
+                            <h3 id="mpcc-sync-modal-title">Sync changes to the published course</h3>
+                            <button type="button" class="mpcc-sessions-modal-close" aria-label="Close sync preview">
+                                <span class="dashicons dashicons-no-alt" aria-hidden="true"></span>
+                            </button>
+                        </div>
+                        <div class="mpcc-sync-modal-body">
+                            ${warningHtml}
+                            <p>The following changes will be applied to the live course:</p>
+                            <ul class="mpcc-sync-changes">${changesHtml}</ul>
+                        </div>
+                        <div class="mpcc-sync-modal-footer">
+                            <button type="button" class="button button-primary" id="mpcc-apply-sync">Apply ${changes.length} ${changes.length === 1 ? 'change' : 'changes'}</button>
+                            <button type="button" class="button mpcc-sync-cancel">Cancel</button>
+                        </div>
+                    </div>
+                </div>
+            `);
+            
+            $('body').append($modal);
+            MPCCAccessibility.enhanceModal($modal.find('.mpcc-sync-modal'), {
+                labelledby: 'mpcc-sync-modal-title',
+                closeLabel: 'Close sync preview'
+            });
+            $modal.addClass('active');
+            $('body').css('overflow', 'hidden');
+            $('#mpcc-apply-sync').focus();
+            
+            MPCCAccessibility.announce(`${changes.length} changes ready to sync. Review them before applying.`);
+        },
+        
+        closeSyncPreview: function() {
+            MPCCUtils.modalManager.close('.mpcc-sync-modal-overlay');
+            $('.mpcc-sync-modal-overlay').remove();
+            $('#mpcc-create-course').focus();
+        },
+        
+        applyCourseSync: function() {
+            const $button = $('#mpcc-apply-sync');
+            $button.prop('disabled', true).html('<span class="dashicons dashicons-update spin" aria-hidden="true"></span> Syncing...');
+            $('.mpcc-sync-modal').attr('aria-busy', 'true');
+            MPCCAccessibility.announce('Syncing changes to the published course');
+            
+            this.queueDraftRequest(() => $.ajax({
+                url: mpccEditorSettings.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'mpcc_apply_course_sync',
+                    nonce: mpccEditorSettings.nonce,
+                    session_id: this.sessionId,
+                    course_data: JSON.stringify(this.courseStructure),
+                    course_style: JSON.stringify(this.courseStyle)
+                },
+                success: (response) => {
+                    if (response.success && response.data) {
+                        const count = response.data.changes.length;
+                        this.courseStructure = response.data.course_structure;
+                        this.resetDraftPositions();
+                        this.resetStructureHistory();
+                        this.renderCourseStructure();
+                        this.saveConversation();
+                        this.closeSyncPreview();
+                        
+                        MPCCUtils.showSuccess(`Synced ${count} ${count === 1 ? 'change' : 'changes'} to the published course`);
+                        MPCCAccessibility.announce('The published course has been updated');
                     } else {
-                        MPCCUtils.showError(response.data || 'Failed to delete conversation');
-                        // Restore button
-                        $deleteButton.html(originalHtml).prop('disabled', false);
+                        this.handleSyncError(response, 'Failed to sync the published course.');
                     }
                 },
-                error: () => {
-                    MPCCUtils.showError('Failed to delete conversation. Please try again.');
-                    // Restore button
-                    $deleteButton.html(originalHtml).prop('disabled', false);
+                error: (xhr) => {
+                    this.handleSyncError(xhr.responseJSON, 'Failed to sync the published course.');
+                },
+                complete: () => {
+                    $button.prop('disabled', false).text('Apply changes');
+                    $('.mpcc-sync-modal').attr('aria-busy', 'false');
                 }
-            });
+            }));
         },
         
-        showError: function(message) {
+        handleSyncError: function(response, fallback) {
+            const error = response && response.data && response.data.error;
+            const message = (error && error.message) || fallback;
             MPCCUtils.showError(message);
+            MPCCAccessibility.announce(`Error: ${message}`, { priority: 'assertive' });
         },
         
         updateViewCourseButton: function() {
@@ -1596,6 +4245,130 @@
             }
         },
         
+        toggleExportMenu: function() {
+            if ($('#mpcc-export-menu').prop('hidden')) {
+                $('#mpcc-export-menu').prop('hidden', false);
+                $('#mpcc-export-outline').attr('aria-expanded', 'true');
+                $('#mpcc-export-menu [role="menuitem"]').first().focus();
+            } else {
+                this.closeExportMenu();
+            }
+        },
+        
+        closeExportMenu: function(restoreFocus = true) {
+            const $menu = $('#mpcc-export-menu');
+            if (!$menu.length || $menu.prop('hidden')) {
+                return;
+            }
+            
+            $menu.prop('hidden', true);
+            $('#mpcc-export-outline').attr('aria-expanded', 'false');
+            if (restoreFocus) {
+                $('#mpcc-export-outline').focus();
+            }
+        },
+        
+        /**
+         * Arrow key navigation within the export menu
+         */
+        handleExportMenuKey: function(e) {
+            const $items = $('#mpcc-export-menu [role="menuitem"]');
+            const index = $items.index(document.activeElement);
+            
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    $items.eq((index + 1) % $items.length).focus();
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    $items.eq((index - 1 + $items.length) % $items.length).focus();
+                    break;
+                case 'Home':
+                    e.preventDefault();
+                    $items.first().focus();
+                    break;
+                case 'End':
+                    e.preventDefault();
+                    $items.last().focus();
+                    break;
+                case 'Escape':
+                    e.preventDefault();
+                    this.closeExportMenu();
+                    break;
+                case 'Tab':
+                    this.closeExportMenu(false);
+                    break;
+            }
+        },
+        
+        /**
+         * Export the current outline and its lesson drafts
+         *
+         * @param {string} format 'markdown', 'word', 'print' or 'scorm'
+         */
+        exportOutline: function(format) {
+            this.closeExportMenu();
+            
+            const course = this.courseStructure;
+            if (!course || !course.title) {
+                return;
+            }
+            
+            const exporter = window.MPCCOutlineExport;
+            const options = { toText: this.gutenbergToReadable.bind(this) };
+            const name = exporter.filename(course);
+            
+            switch (format) {
+                case 'markdown':
+                    this.downloadFile(`${name}.md`, exporter.toMarkdown(course, options), 'text/markdown;charset=utf-8');
+                    break;
+                case 'word':
+                    this.downloadFile(`${name}.doc`, exporter.toWordHtml(course, options), 'application/msword');
+                    break;
+                case 'print':
+                    this.printDocument(exporter.toWordHtml(course, options));
+                    return;
+                case 'scorm':
+                    this.downloadFile(`${name}-scorm.zip`, exporter.toScormPackage(course, options), 'application/zip');
+                    break;
+                default:
+                    return;
+            }
+            
+            MPCCAccessibility.announce('Course outline exported');
+        },
+        
+        /**
+         * Save generated content as a file through a temporary download link
+         *
+         * @param {string} filename
+         * @param {string|Uint8Array} data
+         * @param {string} type MIME type
+         */
+        downloadFile: function(filename, data, type) {
+            const url = URL.createObjectURL(new Blob([data], { type: type }));
+            const $link = $('<a>').attr({ href: url, download: filename }).appendTo('body');
+            
+            $link[0].click();
+            $link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        },
+        
+        printDocument: function(html) {
+            const printWindow = window.open('', '_blank');
+            if (!printWindow) {
+                MPCCUtils.showWarning('Allow pop-ups for this page to print the outline.');
+                return;
+            }
+            
+            printWindow.document.open();
+            printWindow.document.write(html);
+            printWindow.document.close();
+            printWindow.focus();
+            printWindow.print();
+        },
+        
         escapeHtml: function(text) {
             return MPCCUtils.escapeHtml(text);
         },
@@ -1671,6 +4444,296 @@
             return textContent;
         },
         
+        /**
+         * Show the inline "Regenerate with AI" form for a section or lesson
+         *
+         * @param {string} nodeType 'section' or 'lesson'
+         * @param {number} sectionIndex
+         * @param {number} lessonIndex Only used for lessons
+         */
+        openRegenerateForm: function(nodeType, sectionIndex, lessonIndex) {
+            const section = this.courseStructure.sections && this.courseStructure.sections[sectionIndex];
+            const item = nodeType === 'lesson' ? section && section.lessons[lessonIndex] : section;
+            if (!item) {
+                MPCCUtils.showError(nodeType === 'lesson' ? 'Lesson not found' : 'Section not found');
+                return;
+            }
+            
+            this.closeRegenerateForm();
+            
+            const formHtml = `
+                <div class="mpcc-regenerate-form" role="group" aria-labelledby="mpcc-regenerate-heading"
+                     data-node-type="${nodeType}" data-section="${sectionIndex}" data-lesson="${nodeType === 'lesson' ? lessonIndex : ''}">
+                    <p id="mpcc-regenerate-heading" class="mpcc-regenerate-heading">
+                        Regenerate ${nodeType} "${this.escapeHtml(item.title)}" with AI
+                    </p>
+                    <label for="mpcc-regenerate-instruction" class="screen-reader-text">Instructions for the AI (optional)</label>
+                    <textarea id="mpcc-regenerate-instruction" rows="2"
+                              placeholder="Optional: e.g. make it more hands-on, split into shorter lessons..."></textarea>
+                    <div class="mpcc-regenerate-actions">
+                        <button type="button" class="button button-primary mpcc-regenerate-submit">
+                            <span class="dashicons dashicons-update" aria-hidden="true"></span> Regenerate
+                        </button>
+                        <button type="button" class="button mpcc-regenerate-cancel">Cancel</button>
+                    </div>
+                </div>
+            `;
+            
+            if (nodeType === 'lesson') {
+                $(`.mpcc-lesson-item[data-lesson-id="${sectionIndex}-${lessonIndex}"]`).after(formHtml);
+            } else {
+                $(`#section-${sectionIndex} .mpcc-section-header`).after(formHtml);
+            }
+            
+            $('#mpcc-regenerate-instruction').focus();
+        },
+        
+        closeRegenerateForm: function() {
+            const $form = $('.mpcc-regenerate-form');
+            if (!$form.length) {
+                return;
+            }
+            
+            const nodeType = $form.data('node-type');
+            const sectionIndex = $form.data('section');
+            $form.remove();
+            
+            // Return focus to the item the form belonged to
+            const $target = nodeType === 'lesson' ?
+                $(`.mpcc-lesson-item[data-lesson-id="${sectionIndex}-${$form.data('lesson')}"] .mpcc-regenerate-lesson`) :
+                $(`#section-${sectionIndex} .mpcc-regenerate-section`);
+            $target.focus();
+        },
+        
+        submitRegenerateForm: function() {
+            const $form = $('.mpcc-regenerate-form');
+            const nodeType = $form.data('node-type');
+            const sectionIndex = parseInt($form.data('section'), 10);
+            const lessonIndex = nodeType === 'lesson' ? parseInt($form.data('lesson'), 10) : null;
+            const instruction = $('#mpcc-regenerate-instruction').val().trim();
+            
+            $form.attr('aria-busy', 'true');
+            $form.find('button, textarea').prop('disabled', true);
+            $form.find('.mpcc-regenerate-submit').html('<span class="dashicons dashicons-update spin" aria-hidden="true"></span> Regenerating...');
+            MPCCAccessibility.announce(`Regenerating ${nodeType} with AI`);
+            
+            $.ajax({
+                url: mpccEditorSettings.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'mpcc_regenerate_outline_item',
+                    nonce: mpccEditorSettings.nonce,
+                    session_id: this.sessionId || '',
+                    node_type: nodeType,
+                    section_index: sectionIndex,
+                    lesson_index: lessonIndex === null ? '' : lessonIndex,
+                    instruction: instruction,
+                    course_structure: JSON.stringify(this.courseStructure),
+                    course_style: JSON.stringify(this.courseStyle)
+                },
+                success: (response) => {
+                    if (response.success && response.data && response.data.item) {
+                        this.applyRegeneratedItem(nodeType, sectionIndex, lessonIndex, response.data.item);
+                    } else {
+                        this.handleRegenerateError(response);
+                    }
+                },
+                error: (xhr) => {
+                    this.handleRegenerateError(xhr.responseJSON);
+                }
+            });
+        },
+        
+        handleRegenerateError: function(response) {
+            const error = response && response.data && response.data.error;
+            const message = (error && error.message) || 'Failed to regenerate with AI. Please try again.';
+            
+            const $form = $('.mpcc-regenerate-form');
+            $form.attr('aria-busy', 'false');
+            $form.find('button, textarea').prop('disabled', false);
+            $form.find('.mpcc-regenerate-submit').html('<span class="dashicons dashicons-update" aria-hidden="true"></span> Regenerate');
+            
+            MPCCUtils.showError(message);
+            MPCCAccessibility.announce(`Error: ${message}`, { priority: 'assertive' });
+        },
+        
+        /**
+         * Merge a regenerated section or lesson back at its exact position
+         *
+         * Lessons keep their draft content. For sections, drafts follow their
+         * lessons by title (or position, when a lesson was only renamed).
+         */
+        applyRegeneratedItem: function(nodeType, sectionIndex, lessonIndex, item) {
+            const section = this.courseStructure.sections[sectionIndex];
+            const current = nodeType === 'lesson' ? section && section.lessons[lessonIndex] : section;
+            if (!current) {
+                MPCCUtils.showError('The outline changed while regenerating. Please try again.');
+                this.closeRegenerateForm();
+                return;
+            }
+            
+            this.recordStructureChange(`AI regeneration of ${nodeType} "${current.title}"`);
+            
+            if (nodeType === 'lesson') {
+                section.lessons[lessonIndex] = $.extend({}, current, item, { lesson_key: current.lesson_key });
+            } else {
+                const before = { sections: [current] };
+                const after = { sections: [$.extend({}, current, item)] };
+                const diff = MPCCStructureDiff.compare(before, after);
+                this.courseStructure.sections[sectionIndex] = MPCCStructureDiff.acceptAll(before, after, diff).sections[0];
+            }
+            
+            this.renderCourseStructure();
+            this.persistDraftPositions();
+            this.saveConversation();
+            
+            // Put focus back on the regenerated item
+            const $item = nodeType === 'lesson' ?
+                $(`.mpcc-lesson-item[data-lesson-id="${sectionIndex}-${lessonIndex}"]`) :
+                $(`#section-${sectionIndex}`);
+            $item.attr('tabindex', '0').focus();
+            
+            MPCCUtils.showSuccess(`${nodeType === 'lesson' ? 'Lesson' : 'Section'} regenerated`);
+            MPCCAccessibility.announce(`${nodeType === 'lesson' ? 'Lesson' : 'Section'} regenerated: ${item.title}`);
+        },
+        
+        /**
+         * Render a compact "insert here" control between two outline items
+         */
+        renderInsertPoint: function(nodeType, sectionIndex, position, beforeTitle) {
+            return `
+                <div class="mpcc-insert-point" role="none">
+                    <button type="button" class="mpcc-insert-button mpcc-add-item" title="Insert ${nodeType} here"
+                            data-node-type="${nodeType}" data-section="${this.escapeHtml(String(sectionIndex))}" data-position="${this.escapeHtml(String(position))}"
+                            aria-label="Insert ${nodeType} before ${this.escapeHtml(beforeTitle)}">
+                        <span class="dashicons dashicons-plus-alt2" aria-hidden="true"></span>
+                    </button>
+                </div>
+            `;
+        },
+        
+        /**
+         * Show the inline form for adding a section or lesson
+         *
+         * @param {jQuery} $trigger The add control that was activated
+         */
+        openAddForm: function($trigger) {
+            this.closeAddForm(false);
+            
+            const nodeType = $trigger.data('node-type');
+            const isLesson = nodeType === 'lesson';
+            const label = isLesson ? 'lesson' : 'section';
+            
+            const lessonFields = !isLesson ? '' : `
+                <div class="mpcc-add-form-field">
+                    <label for="mpcc-add-duration">Duration</label>
+                    <input type="text" id="mpcc-add-duration" placeholder="e.g. 15 min">
+                </div>
+                <div class="mpcc-add-form-field">
+                    <label for="mpcc-add-objectives">Learning objectives</label>
+                    <textarea id="mpcc-add-objectives" rows="3" aria-describedby="mpcc-add-objectives-help"></textarea>
+                    <p id="mpcc-add-objectives-help" class="description">Optional. One objective per line.</p>
+                </div>`;
+            
+            const $form = $(`
+                <div class="mpcc-add-form" role="group" aria-labelledby="mpcc-add-form-heading">
+                    <p id="mpcc-add-form-heading" class="mpcc-add-form-heading">New ${label}</p>
+                    <div class="mpcc-add-form-field">
+                        <label for="mpcc-add-title">Title <span class="mpcc-required" aria-hidden="true">*</span></label>
+                        <input type="text" id="mpcc-add-title" aria-required="true" aria-describedby="mpcc-add-error">
+                    </div>
+                    ${lessonFields}
+                    <p id="mpcc-add-error" class="mpcc-add-form-error" role="alert"></p>
+                    <div class="mpcc-add-form-actions">
+                        <button type="button" class="button button-primary mpcc-add-submit">Add ${label}</button>
+                        <button type="button" class="button mpcc-add-cancel">Cancel</button>
+                    </div>
+                </div>
+            `);
+            
+            $form.data({
+                nodeType: nodeType,
+                section: parseInt($trigger.data('section'), 10),
+                position: parseInt($trigger.data('position'), 10),
+                trigger: $trigger
+            });
+            
+            // Insert points collapse into the form; end-of-list buttons stay put
+            const $anchor = $trigger.closest('.mpcc-insert-point');
+            if ($anchor.length) {
+                $anchor.hide().after($form);
+            } else {
+                $trigger.hide().after($form);
+            }
+            
+            $('#mpcc-add-title').focus();
+        },
+        
+        /**
+         * Remove the inline add form
+         *
+         * @param {boolean} restoreFocus Return focus to the control that opened it
+         */
+        closeAddForm: function(restoreFocus = true) {
+            const $form = $('.mpcc-add-form');
+            if (!$form.length) {
+                return;
+            }
+            
+            const $trigger = $form.data('trigger');
+            $form.remove();
+            
+            if ($trigger) {
+                $trigger.show().closest('.mpcc-insert-point').show();
+                if (restoreFocus) {
+                    $trigger.focus();
+                }
+            }
+        },
+        
+        submitAddForm: function() {
+            const $form = $('.mpcc-add-form');
+            const { nodeType, section: sectionIndex, position } = $form.data();
+            const title = $('#mpcc-add-title').val().trim();
+            
+            if (!title) {
+                $('#mpcc-add-title').attr('aria-invalid', 'true').focus();
+                $('#mpcc-add-error').text('Please enter a title.');
+                return;
+            }
+            
+            this.recordStructureChange(`addition of ${nodeType} "${title}"`);
+            
+            let $newItem;
+            if (nodeType === 'lesson') {
+                const lesson = {
+                    title: title,
+                    duration: $('#mpcc-add-duration').val().trim()
+                };
+                const objectives = $('#mpcc-add-objectives').val().split('\n').map(line => line.trim()).filter(Boolean);
+                if (objectives.length) {
+                    lesson.objectives = objectives;
+                }
+                
+                this.courseStructure.sections[sectionIndex].lessons.splice(position, 0, lesson);
+                this.renderCourseStructure();
+                $newItem = $(`.mpcc-lesson-item[data-lesson-id="${sectionIndex}-${position}"]`);
+            } else {
+                this.courseStructure.sections = this.courseStructure.sections || [];
+                this.courseStructure.sections.splice(position, 0, { title: title, lessons: [] });
+                this.renderCourseStructure();
+                $newItem = $(`#section-${position}`);
+            }
+            
+            // Drafts below the new item move down with their lessons
+            this.persistDraftPositions();
+            this.saveConversation();
+            
+            $newItem.attr('tabindex', '0').focus();
+            MPCCUtils.showSuccess(`${nodeType === 'lesson' ? 'Lesson' : 'Section'} added`);
+            MPCCAccessibility.announce(`${nodeType === 'lesson' ? 'Lesson' : 'Section'} added: ${title}`);
+        },
+        
         handleEditSection: function(sectionIndex) {
             if (!this.courseStructure || !this.courseStructure.sections) {
                 MPCCUtils.showError('No course structure found');
@@ -1685,6 +4748,7 @@
             
             const newTitle = prompt('Edit section title:', section.title);
             if (newTitle && newTitle.trim() && newTitle !== section.title) {
+                this.recordStructureChange(`rename of section "${section.title}"`);
                 this.courseStructure.sections[sectionIndex].title = newTitle.trim();
                 this.renderCourseStructure();
                 MPCCAccessibility.announce('Saving section title...');
@@ -1711,10 +4775,12 @@
             }
             
             // Delete locally and save the updated structure
+            this.recordStructureChange(`deletion of section "${section.title}"`);
             this.courseStructure.sections.splice(sectionIndex, 1);
             this.renderCourseStructure();
             this.initializeSortable();
             MPCCAccessibility.announce('Deleting section...');
+            this.persistDraftPositions();
             this.saveConversation(); // This saves the entire updated structure
             MPCCUtils.showSuccess('Section deleted');
             MPCCAccessibility.announce('Section deleted successfully');
@@ -1730,15 +4796,20 @@
             
             const lesson = this.courseStructure.sections[sectionIndex].lessons[lessonIndex];
             
-            if (!confirm(`Delete lesson "${lesson.title}"?`)) {
+            const progressNote = lesson.student_count ?
+                `\n\n${lesson.student_count} student(s) have progress in this lesson. Syncing will unpublish it rather than delete it, so their progress is kept.` : '';
+            
+            if (!confirm(`Delete lesson "${lesson.title}"?${progressNote}`)) {
                 return;
             }
             
             // Delete locally and save the updated structure
+            this.recordStructureChange(`deletion of lesson "${lesson.title}"`);
             this.courseStructure.sections[sectionIndex].lessons.splice(lessonIndex, 1);
             this.renderCourseStructure();
             this.initializeSortable();
             MPCCAccessibility.announce('Deleting lesson...');
+            this.persistDraftPositions();
             this.saveConversation(); // This saves the entire updated structure
             MPCCUtils.showSuccess('Lesson deleted');
             MPCCAccessibility.announce('Lesson deleted successfully');
@@ -1900,13 +4971,8 @@
                 }
             });
             
-            // Lesson textarea keyboard navigation
-            $('#mpcc-lesson-textarea').on('keydown', (e) => {
-                // Shift+Enter for new line
-                if (e.key === 'Enter' && e.shiftKey) {
-                    // Default behavior creates new line
-                    return true;
-                }
+            // Lesson editor keyboard shortcuts
+            $('#mpcc-lesson-blocks').on('keydown', (e) => {
                 // Ctrl/Cmd+S to save
                 if ((e.ctrlKey || e.metaKey) && e.key === 's') {
                     e.preventDefault();
@@ -1944,9 +5010,17 @@
             $(document).on('keydown', '.mpcc-section', (e) => {
                 const $section = $(e.currentTarget);
                 
+                // Only handle keys aimed at the section itself, not its lessons or controls
+                if (e.target !== e.currentTarget) {
+                    return;
+                }
+                
+                if (this.handleGrabKey(e, $section, 'section')) {
+                    return;
+                }
+                
                 switch(e.key) {
                     case 'Enter':
-                    case ' ':
                         // Toggle section expand/collapse if applicable
                         e.preventDefault();
                         const $header = $section.find('.mpcc-section-header');
@@ -1966,7 +5040,7 @@
                         break;
                         
                     case 'Delete':
-                        if (!this.publishedCourseId && e.shiftKey) {
+                        if (!this.isStructureLocked() && e.shiftKey) {
                             e.preventDefault();
                             const sectionIndex = parseInt($section.data('section-index'));
                             this.handleDeleteSection(sectionIndex);
@@ -1979,24 +5053,25 @@
             $(document).on('keydown', '.mpcc-lesson-item', (e) => {
                 const $lesson = $(e.currentTarget);
                 
+                // Let the lesson's action buttons handle their own keys
+                if (e.target !== e.currentTarget) {
+                    return;
+                }
+                
+                if (this.handleGrabKey(e, $lesson, 'lesson')) {
+                    return;
+                }
+                
                 switch(e.key) {
                     case 'Enter':
                         e.preventDefault();
-                        if (!this.publishedCourseId) {
+                        if (!this.isStructureLocked()) {
                             const lessonId = $lesson.data('lesson-id');
                             this.editLesson(lessonId);
                             MPCCAccessibility.announce('Opening lesson editor');
                         }
                         break;
                         
-                    case ' ':
-                        e.preventDefault();
-                        // Select/deselect lesson if in selection mode
-                        $lesson.toggleClass('selected');
-                        const isSelected = $lesson.hasClass('selected');
-                        MPCCAccessibility.announce(isSelected ? 'Lesson selected' : 'Lesson deselected');
-                        break;
-                        
                     case 'ArrowDown':
                         e.preventDefault();
                         this.navigateToNextLesson($lesson);
@@ -2018,7 +5093,7 @@
                         break;
                         
                     case 'Delete':
-                        if (!this.publishedCourseId && e.shiftKey) {
+                        if (!this.isStructureLocked() && e.shiftKey) {
                             e.preventDefault();
                             const $deleteBtn = $lesson.find('.mpcc-delete-lesson');
                             if ($deleteBtn.length) {
@@ -2030,6 +5105,173 @@
             });
         },
         
+        /**
+         * Pick up a section or lesson for keyboard reordering
+         *
+         * @param {jQuery} $item The focused .mpcc-section or .mpcc-lesson-item
+         * @param {string} type 'section' or 'lesson'
+         */
+        startGrab: function($item, type) {
+            if (this.isStructureLocked() || this.pendingProposal) {
+                return;
+            }
+            
+            const position = this.getGrabPosition($item, type);
+            this.grabState = { $item: $item, type: type, origin: position };
+            
+            $('#mpcc-course-structure').addClass('mpcc-reordering');
+            $item.addClass('mpcc-grabbed');
+            
+            MPCCAccessibility.announce(
+                `Picked up ${type} ${this.describeGrabPosition($item, type, position)}. ` +
+                'Use the up and down arrow keys to move, Space to drop, Escape to cancel.',
+                { priority: 'assertive' }
+            );
+        },
+        
+        /**
+         * Current index of a grabbed item, read from the DOM
+         */
+        getGrabPosition: function($item, type) {
+            if (type === 'section') {
+                return { index: $('.mpcc-section').index($item) };
+            }
+            
+            return {
+                section: $('.mpcc-section').index($item.closest('.mpcc-section')),
+                index: $item.closest('.mpcc-lessons').find('.mpcc-lesson-item').index($item)
+            };
+        },
+        
+        describeGrabPosition: function($item, type, position) {
+            if (type === 'section') {
+                const title = $item.find('.mpcc-section-title').first().text();
+                return `${title}, position ${position.index + 1} of ${$('.mpcc-section').length}`;
+            }
+            
+            const $section = $item.closest('.mpcc-section');
+            const title = $item.find('.mpcc-lesson-title').first().text();
+            const total = $section.find('.mpcc-lesson-item').length;
+            return `${title}, position ${position.index + 1} of ${total} in ${$section.find('.mpcc-section-title').first().text()}`;
+        },
+        
+        /**
+         * Move the grabbed item one step; lessons cross into neighbouring sections
+         *
+         * @param {number} direction -1 for up, 1 for down
+         */
+        moveGrabbed: function(direction) {
+            const { $item, type } = this.grabState;
+            const up = direction < 0;
+            const selector = type === 'section' ? '.mpcc-section' : '.mpcc-lesson-item';
+            const $sibling = up ? $item.prevAll(selector).first() : $item.nextAll(selector).first();
+            
+            if ($sibling.length) {
+                up ? $item.insertBefore($sibling) : $item.insertAfter($sibling);
+            } else if (type === 'lesson') {
+                const $currentSection = $item.closest('.mpcc-section');
+                const $targetSection = up ? $currentSection.prevAll('.mpcc-section').first() : $currentSection.nextAll('.mpcc-section').first();
+                if (!$targetSection.length) {
+                    MPCCAccessibility.announce(up ? 'Already at the top of the course' : 'Already at the bottom of the course');
+                    return;
+                }
+                const $lessons = $targetSection.find('.mpcc-lessons');
+                up ? $lessons.append($item) : $lessons.prepend($item);
+            } else {
+                MPCCAccessibility.announce(up ? 'Already the first section' : 'Already the last section');
+                return;
+            }
+            
+            // Moving the node drops focus in some browsers
+            $item.focus();
+            MPCCAccessibility.announce(this.describeGrabPosition($item, type, this.getGrabPosition($item, type)));
+        },
+        
+        dropGrabbed: function() {
+            const { $item, type, origin } = this.grabState;
+            const position = this.getGrabPosition($item, type);
+            const description = this.describeGrabPosition($item, type, position);
+            
+            this.grabState = null;
+            $('#mpcc-course-structure').removeClass('mpcc-reordering');
+            $item.removeClass('mpcc-grabbed');
+            
+            if (position.index === origin.index && position.section === origin.section) {
+                MPCCAccessibility.announce(`Dropped ${type}. Position unchanged.`);
+                return;
+            }
+            
+            // Both paths read the new order from the DOM, same as drag and drop
+            if (type === 'section') {
+                this.updateSectionOrder();
+                $(`#section-${position.index}`).attr('tabindex', '0').focus();
+            } else {
+                this.updateLessonOrder();
+                $(`.mpcc-lesson-item[data-lesson-id="${position.section}-${position.index}"]`).attr('tabindex', '0').focus();
+            }
+            
+            MPCCAccessibility.announce(`Dropped ${type} ${description}`);
+        },
+        
+        cancelGrab: function() {
+            const { $item, type, origin } = this.grabState;
+            
+            // Re-rendering from the data restores the original order
+            this.grabState = null;
+            $('#mpcc-course-structure').removeClass('mpcc-reordering');
+            this.renderCourseStructure();
+            
+            const $original = type === 'section' ?
+                $(`#section-${origin.index}`) :
+                $(`.mpcc-lesson-item[data-lesson-id="${origin.section}-${origin.index}"]`);
+            $original.attr('tabindex', '0').focus();
+            
+            MPCCAccessibility.announce(`Reordering cancelled. ${$item.find(type === 'section' ? '.mpcc-section-title' : '.mpcc-lesson-title').first().text()} returned to its original position.`);
+        },
+        
+        /**
+         * Shared grab-mode key handling for sections and lessons
+         *
+         * @return {boolean} True when the key was consumed by grab mode
+         */
+        handleGrabKey: function(e, $item, type) {
+            if (!this.grabState) {
+                if (e.key === ' ' && !this.isStructureLocked()) {
+                    e.preventDefault();
+                    this.startGrab($item, type);
+                    return true;
+                }
+                return false;
+            }
+            
+            if (this.grabState.$item[0] !== $item[0]) {
+                return false;
+            }
+            
+            switch (e.key) {
+                case 'ArrowUp':
+                case 'ArrowDown':
+                    this.moveGrabbed(e.key === 'ArrowUp' ? -1 : 1);
+                    break;
+                case ' ':
+                case 'Enter':
+                    this.dropGrabbed();
+                    break;
+                case 'Escape':
+                    this.cancelGrab();
+                    break;
+                case 'Tab':
+                    // Leaving the item abandons the move
+                    this.cancelGrab();
+                    return true;
+                default:
+                    return true;
+            }
+            
+            e.preventDefault();
+            return true;
+        },
+        
         /**
          * Navigate to next lesson
          */
@@ -2289,6 +5531,17 @@
     CourseEditor.destroy = function() {
         // Remove all event handlers
         $(document).off('click.mpcc-editor-send');
+        $(document).off('click.mpcc-editor-stop');
+        $(document).off('click.mpcc-editor-history');
+        $(document).off('click.mpcc-editor-diff');
+        $(document).off('click.mpcc-editor-sync');
+        $(document).off('.mpcc-editor-import');
+        $(document).off('.mpcc-editor-export');
+        $(document).off('click.mpcc-lesson-queue');
+        this.stopLessonQueue();
+        $(document).off('.mpcc-course-style');
+        this.historyShortcutIds.forEach(id => MPCCAccessibility.removeKeyboardShortcut(id));
+        this.historyShortcutIds = [];
         $(document).off('keypress.mpcc-editor-input');
         $(document).off('keydown.mpcc-editor-keyboard');
         $(document).off('click.mpcc-mobile-tabs');
@@ -2303,10 +5556,20 @@
         $('#mpcc-generate-lesson-content').off('click');
         $('#mpcc-save-lesson').off('click');
         $('#mpcc-cancel-lesson, #mpcc-close-lesson').off('click');
-        $('#mpcc-lesson-textarea').off('input.autosave');
+        $('#mpcc-lesson-blocks').off('input.autosave change.autosave keydown');
+        $(document).off('.mpcc-lesson-blocks');
         $(document).off('click', '.mpcc-section-actions button');
         $(document).off('click', '.mpcc-edit-lesson');
         $(document).off('click', '.mpcc-delete-lesson');
+        $(document).off('click', '.mpcc-regenerate-lesson');
+        $(document).off('click', '.mpcc-add-item');
+        $(document).off('click', '.mpcc-add-submit');
+        $(document).off('click', '.mpcc-add-cancel');
+        $(document).off('keydown', '.mpcc-add-form');
+        $(document).off('input', '#mpcc-add-title');
+        $(document).off('click', '.mpcc-regenerate-submit');
+        $(document).off('click', '.mpcc-regenerate-cancel');
+        $(document).off('keydown', '#mpcc-regenerate-instruction');
         $(document).off('keydown', '.mpcc-section');
         $(document).off('keydown', '.mpcc-lesson-item');
         $(document).off('keydown', '.mpcc-sessions-modal');
@@ -2315,6 +5578,11 @@
         $(document).off('focusin', '.mpcc-section, .mpcc-lesson-item');
         $(document).off('focusin', '.mpcc-session-item');
         
+        // Abort any reply that is still streaming
+        if (this.streamController) {
+            this.streamController.abort();
+        }
+        
         // Clear any active timers
         if (this.saveTimeout) {
             clearTimeout(this.saveTimeout);
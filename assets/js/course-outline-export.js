@@ -0,0 +1,412 @@
+/**
+ * MemberPress Courses Copilot - Course Outline Export
+ *
+ * Renders a course outline and its lesson drafts as Markdown, a Word-friendly
+ * HTML document or a SCORM 1.2 package. Everything is built in the browser
+ * from the outline the editor already holds, so exports work offline.
+ *
+ * @package MemberPressCoursesCopilot
+ */
+
+(function() {
+    'use strict';
+
+    const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+    const stripTags = (html) => String(html || '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<[^>]+>/g, '')
+        .trim();
+
+    const slugify = (value) => String(value || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 60);
+
+    const objectivesOf = (lesson) => (Array.isArray(lesson.objectives) ? lesson.objectives : [])
+        .map(objective => String(objective).trim())
+        .filter(Boolean);
+
+    /**
+     * Readable text of a lesson's draft, or an empty string when it has none
+     *
+     * @param {Object} lesson
+     * @param {Function} toText Converts block markup to plain text
+     * @returns {string}
+     */
+    const lessonText = (lesson, toText) => {
+        const content = lesson.draft_content || lesson.content || '';
+        return content ? String(toText(content) || '').trim() : '';
+    };
+
+    /**
+     * Turn readable text into HTML blocks: paragraphs, and lists where every
+     * line of a block is a bullet ("• " or "- ") or a numbered item
+     *
+     * @param {string} text
+     * @returns {string}
+     */
+    const textToHtml = (text) => text.split(/\n\s*\n/).map((block) => {
+        const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+        if (!lines.length) {
+            return '';
+        }
+        if (lines.every(line => /^[•-]\s/.test(line))) {
+            return '<ul>' + lines.map(line => `<li>${escapeHtml(line.replace(/^[•-]\s+/, ''))}</li>`).join('') + '</ul>';
+        }
+        if (lines.every(line => /^\d+\.\s/.test(line))) {
+            return '<ol>' + lines.map(line => `<li>${escapeHtml(line.replace(/^\d+\.\s+/, ''))}</li>`).join('') + '</ol>';
+        }
+        return `<p>${lines.map(escapeHtml).join('<br>')}</p>`;
+    }).join('\n');
+
+    const utf8 = (str) => {
+        if (typeof TextEncoder !== 'undefined') {
+            return new TextEncoder().encode(str);
+        }
+        const binary = unescape(encodeURIComponent(str));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    };
+
+    let crcTable = null;
+
+    const crc32 = (bytes) => {
+        if (!crcTable) {
+            crcTable = [];
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    };
+
+    const SCORM_RUNTIME = [
+        '(function () {',
+        '    function findApi(win) {',
+        '        var tries = 0;',
+        '        while (win && !win.API && win.parent && win.parent !== win && tries++ < 10) {',
+        '            win = win.parent;',
+        '        }',
+        '        return win && win.API ? win.API : null;',
+        '    }',
+        '',
+        '    var api = findApi(window) || (window.opener ? findApi(window.opener) : null);',
+        '    if (!api) {',
+        '        return;',
+        '    }',
+        '',
+        '    api.LMSInitialize(\'\');',
+        '    api.LMSSetValue(\'cmi.core.lesson_status\', \'completed\');',
+        '    api.LMSCommit(\'\');',
+        '    window.addEventListener(\'unload\', function () {',
+        '        api.LMSFinish(\'\');',
+        '    });',
+        '})();',
+        ''
+    ].join('\n');
+
+    const MPCCOutlineExport = {
+        /**
+         * File name stem for exports of a course
+         *
+         * @param {Object} course
+         * @returns {string}
+         */
+        filename: function(course) {
+            return slugify(course && course.title) || 'course-outline';
+        },
+
+        /**
+         * Render the outline as Markdown
+         *
+         * @param {Object} course Course structure with sections and lessons
+         * @param {Object} [options]
+         * @param {Function} [options.toText] Converts lesson block markup to plain text
+         * @returns {string}
+         */
+        toMarkdown: function(course, options = {}) {
+            const toText = options.toText || stripTags;
+            const out = [`# ${course.title || 'Untitled Course'}`, ''];
+
+            if (course.description) {
+                out.push(stripTags(course.description), '');
+            }
+
+            (course.sections || []).forEach((section, s) => {
+                out.push(`## Section ${s + 1}: ${section.title || 'Untitled Section'}`, '');
+                if (section.description) {
+                    out.push(stripTags(section.description), '');
+                }
+
+                (section.lessons || []).forEach((lesson, l) => {
+                    out.push(`### Lesson ${s + 1}.${l + 1}: ${lesson.title || 'Untitled Lesson'}`, '');
+                    if (lesson.duration) {
+                        out.push(`*Duration: ${lesson.duration}*`, '');
+                    }
+
+                    const objectives = objectivesOf(lesson);
+                    if (objectives.length) {
+                        out.push('**Objectives**', '', ...objectives.map(objective => `- ${objective}`), '');
+                    }
+
+                    const text = lessonText(lesson, toText);
+                    if (text) {
+                        out.push(text.replace(/^• /gm, '- '), '');
+                    }
+                });
+            });
+
+            return out.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+        },
+
+        /**
+         * Render the outline as a standalone HTML document that prints cleanly
+         * and opens in Word
+         *
+         * @param {Object} course Course structure with sections and lessons
+         * @param {Object} [options]
+         * @param {Function} [options.toText] Converts lesson block markup to plain text
+         * @returns {string}
+         */
+        toWordHtml: function(course, options = {}) {
+            const toText = options.toText || stripTags;
+            const title = escapeHtml(course.title || 'Untitled Course');
+            let body = `<h1>${title}</h1>\n`;
+
+            if (course.description) {
+                body += `<p class="description">${escapeHtml(stripTags(course.description))}</p>\n`;
+            }
+
+            (course.sections || []).forEach((section, s) => {
+                body += `<h2>Section ${s + 1}: ${escapeHtml(section.title || 'Untitled Section')}</h2>\n`;
+                if (section.description) {
+                    body += `<p class="description">${escapeHtml(stripTags(section.description))}</p>\n`;
+                }
+
+                (section.lessons || []).forEach((lesson, l) => {
+                    body += `<h3>Lesson ${s + 1}.${l + 1}: ${escapeHtml(lesson.title || 'Untitled Lesson')}</h3>\n`;
+                    if (lesson.duration) {
+                        body += `<p class="meta">Duration: ${escapeHtml(lesson.duration)}</p>\n`;
+                    }
+
+                    const objectives = objectivesOf(lesson);
+                    if (objectives.length) {
+                        body += '<p class="meta"><strong>Objectives</strong></p>\n<ul>' +
+                            objectives.map(objective => `<li>${escapeHtml(objective)}</li>`).join('') + '</ul>\n';
+                    }
+
+                    const text = lessonText(lesson, toText);
+                    if (text) {
+                        body += textToHtml(text) + '\n';
+                    }
+                });
+            });
+
+            return `<!DOCTYPE html>
+<html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word" xmlns="http://www.w3.org/TR/REC-html40">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+@page { margin: 2cm; }
+body { font-family: Calibri, Arial, sans-serif; font-size: 11pt; line-height: 1.5; color: #1d2327; }
+h1 { font-size: 22pt; margin: 0 0 8pt; }
+h2 { font-size: 16pt; margin: 18pt 0 6pt; page-break-after: avoid; }
+h2:not(:first-of-type) { page-break-before: always; }
+h3 { font-size: 13pt; margin: 12pt 0 4pt; page-break-after: avoid; }
+.description { color: #50575e; }
+.meta { color: #646970; font-size: 10pt; margin: 0 0 4pt; }
+</style>
+</head>
+<body>
+${body}</body>
+</html>
+`;
+        },
+
+        /**
+         * Build a SCORM 1.2 content package: a manifest with one SCO per lesson,
+         * grouped under its section, plus a small runtime that reports completion
+         *
+         * Sections without lessons are left out because SCORM leaf items must
+         * point at content.
+         *
+         * @param {Object} course Course structure with sections and lessons
+         * @param {Object} [options]
+         * @param {Function} [options.toText] Converts lesson block markup to plain text
+         * @returns {Uint8Array} Zip archive bytes
+         */
+        toScormPackage: function(course, options = {}) {
+            const toText = options.toText || stripTags;
+            const courseTitle = escapeHtml(course.title || 'Untitled Course');
+            const files = [];
+            let items = '';
+            let resources = '';
+
+            (course.sections || []).forEach((section, s) => {
+                const lessons = section.lessons || [];
+                if (!lessons.length) {
+                    return;
+                }
+
+                items += `            <item identifier="SECTION-${s + 1}">\n` +
+                    `                <title>${escapeHtml(section.title || 'Untitled Section')}</title>\n`;
+
+                lessons.forEach((lesson, l) => {
+                    const id = `${s + 1}-${l + 1}`;
+                    const href = `lessons/section-${s + 1}-lesson-${l + 1}.html`;
+                    const lessonTitle = escapeHtml(lesson.title || 'Untitled Lesson');
+                    const objectives = objectivesOf(lesson);
+                    const text = lessonText(lesson, toText);
+
+                    items += `                <item identifier="ITEM-${id}" identifierref="RES-${id}">\n` +
+                        `                    <title>${lessonTitle}</title>\n` +
+                        '                </item>\n';
+
+                    resources += `        <resource identifier="RES-${id}" type="webcontent" adlcp:scormtype="sco" href="${href}">\n` +
+                        `            <file href="${href}"/>\n` +
+                        '            <dependency identifierref="RES-RUNTIME"/>\n' +
+                        '        </resource>\n';
+
+                    files.push({
+                        name: href,
+                        content: '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n' +
+                            `<title>${lessonTitle}</title>\n` +
+                            '<script src="../shared/scorm.js"></script>\n</head>\n<body>\n' +
+                            `<h1>${lessonTitle}</h1>\n` +
+                            (lesson.duration ? `<p><em>Duration: ${escapeHtml(lesson.duration)}</em></p>\n` : '') +
+                            (objectives.length ? '<ul>' + objectives.map(objective => `<li>${escapeHtml(objective)}</li>`).join('') + '</ul>\n' : '') +
+                            (text ? textToHtml(text) + '\n' : '<p>Content for this lesson has not been written yet.</p>\n') +
+                            '</body>\n</html>\n'
+                    });
+                });
+
+                items += '            </item>\n';
+            });
+
+            const identifier = 'MPCC-' + (slugify(course.title) || 'course').toUpperCase();
+            const manifest = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                `<manifest identifier="${identifier}" version="1.0"\n` +
+                '    xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"\n' +
+                '    xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"\n' +
+                '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"\n' +
+                '    xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">\n' +
+                '    <metadata>\n' +
+                '        <schema>ADL SCORM</schema>\n' +
+                '        <schemaversion>1.2</schemaversion>\n' +
+                '    </metadata>\n' +
+                '    <organizations default="ORG-1">\n' +
+                '        <organization identifier="ORG-1">\n' +
+                `            <title>${courseTitle}</title>\n` +
+                items +
+                '        </organization>\n' +
+                '    </organizations>\n' +
+                '    <resources>\n' +
+                resources +
+                '        <resource identifier="RES-RUNTIME" type="webcontent" adlcp:scormtype="asset">\n' +
+                '            <file href="shared/scorm.js"/>\n' +
+                '        </resource>\n' +
+                '    </resources>\n' +
+                '</manifest>\n';
+
+            return this.createZip([
+                { name: 'imsmanifest.xml', content: manifest },
+                { name: 'shared/scorm.js', content: SCORM_RUNTIME }
+            ].concat(files));
+        },
+
+        /**
+         * Write files into an uncompressed (stored) zip archive
+         *
+         * @param {Array<{name: string, content: string}>} files
+         * @returns {Uint8Array}
+         */
+        createZip: function(files) {
+            const now = new Date();
+            const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+            const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+            const local = [];
+            const central = [];
+            let offset = 0;
+
+            const header = (size) => {
+                const bytes = new Uint8Array(size);
+                return { bytes: bytes, view: new DataView(bytes.buffer) };
+            };
+
+            files.forEach((file) => {
+                const name = utf8(file.name);
+                const data = utf8(file.content);
+                const crc = crc32(data);
+
+                const entry = header(30);
+                entry.view.setUint32(0, 0x04034b50, true);
+                entry.view.setUint16(4, 20, true);
+                entry.view.setUint16(6, 0x0800, true); // UTF-8 names
+                entry.view.setUint16(8, 0, true); // stored
+                entry.view.setUint16(10, dosTime, true);
+                entry.view.setUint16(12, dosDate, true);
+                entry.view.setUint32(14, crc, true);
+                entry.view.setUint32(18, data.length, true);
+                entry.view.setUint32(22, data.length, true);
+                entry.view.setUint16(26, name.length, true);
+                local.push(entry.bytes, name, data);
+
+                const record = header(46);
+                record.view.setUint32(0, 0x02014b50, true);
+                record.view.setUint16(4, 20, true);
+                record.view.setUint16(6, 20, true);
+                record.view.setUint16(8, 0x0800, true);
+                record.view.setUint16(10, 0, true);
+                record.view.setUint16(12, dosTime, true);
+                record.view.setUint16(14, dosDate, true);
+                record.view.setUint32(16, crc, true);
+                record.view.setUint32(20, data.length, true);
+                record.view.setUint32(24, data.length, true);
+                record.view.setUint16(28, name.length, true);
+                record.view.setUint32(42, offset, true);
+                central.push(record.bytes, name);
+
+                offset += 30 + name.length + data.length;
+            });
+
+            const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+            const end = header(22);
+            end.view.setUint32(0, 0x06054b50, true);
+            end.view.setUint16(8, files.length, true);
+            end.view.setUint16(10, files.length, true);
+            end.view.setUint32(12, centralSize, true);
+            end.view.setUint32(16, offset, true);
+
+            const parts = local.concat(central, [end.bytes]);
+            const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+            let position = 0;
+            parts.forEach((part) => {
+                zip.set(part, position);
+                position += part.length;
+            });
+
+            return zip;
+        }
+    };
+
+    window.MPCCOutlineExport = MPCCOutlineExport;
+})();
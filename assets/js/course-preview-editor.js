@@ -284,7 +284,7 @@
                         MPCCUtils.showError('Failed to save lesson content. Please try again.');
                     }
                 }
-            });
+            }, isAutoSave ? 'autosave' : 'manual');
         }
 
         cancelCurrentEdit() {
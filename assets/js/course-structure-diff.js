@@ -0,0 +1,521 @@
+/**
+ * MemberPress Courses Copilot - Course Structure Diff
+ *
+ * Compares the current course outline with one proposed by the AI and merges
+ * accepted changes back, keeping lesson draft content for lessons that survive.
+ * Also works out where stored drafts go when lessons change position.
+ *
+ * @package MemberPressCoursesCopilot
+ */
+
+(function() {
+    'use strict';
+
+    const normalize = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+    const clone = (value) => JSON.parse(JSON.stringify(value));
+
+    // Fields that belong to the lesson itself rather than to the outline the AI writes:
+    // its key and draft, and its link to a published lesson when editing a live course
+    const CARRIED_LESSON_FIELDS = ['lesson_key', 'draft_content', 'lesson_id', 'student_count'];
+    const CARRIED_SECTION_FIELDS = ['section_id', 'quiz_count'];
+
+    const newLessonKey = () => 'lesson_' + Math.random().toString(36).substr(2, 9);
+
+    const carryFields = (target, source, fields) => {
+        fields.forEach((field) => {
+            if (source[field] !== undefined && target[field] === undefined) {
+                target[field] = source[field];
+            }
+        });
+    };
+
+    /**
+     * Positions in seq that form a longest strictly increasing subsequence
+     *
+     * Used to tell reordered items apart from items that merely shifted
+     * because something was inserted or removed around them.
+     *
+     * @param {number[]} seq
+     * @returns {Set<number>}
+     */
+    const longestIncreasing = (seq) => {
+        const lengths = seq.map(() => 1);
+        const previous = seq.map(() => -1);
+        let best = -1;
+
+        seq.forEach((value, i) => {
+            for (let j = 0; j < i; j++) {
+                if (seq[j] < value && lengths[j] + 1 > lengths[i]) {
+                    lengths[i] = lengths[j] + 1;
+                    previous[i] = j;
+                }
+            }
+            if (best === -1 || lengths[i] > lengths[best]) {
+                best = i;
+            }
+        });
+
+        const keep = new Set();
+        for (let i = best; i !== -1; i = previous[i]) {
+            keep.add(i);
+        }
+        return keep;
+    };
+
+    const MPCCStructureDiff = {
+        /**
+         * Compare two course structures
+         *
+         * Sections are paired by title, then by shared lesson titles, then by
+         * position (reported as a rename). Lessons are paired by title within
+         * their section, then by title anywhere in the course (a move), then by
+         * position within the section (a rename).
+         *
+         * @param {Object} current  Current course structure
+         * @param {Object} proposed Proposed course structure
+         * @returns {Object} Diff with course, summary and per-section entries
+         */
+        compare: function(current, proposed) {
+            const currentSections = (current && current.sections) || [];
+            const proposedSections = (proposed && proposed.sections) || [];
+            const sectionPairs = this.matchSections(currentSections, proposedSections);
+            const lessonPairs = this.matchLessons(currentSections, proposedSections, sectionPairs);
+
+            const summary = { added: 0, removed: 0, renamed: 0, moved: 0, changed: 0 };
+            const entries = [];
+            const entryByCurrent = {};
+
+            // Sections that were matched keep their relative order unless reordered
+            const matchedOrder = [];
+            sectionPairs.forEach((currentIndex, proposedIndex) => {
+                if (currentIndex !== null) {
+                    matchedOrder.push({ proposedIndex, currentIndex });
+                }
+            });
+            const inOrder = longestIncreasing(matchedOrder.map(pair => pair.currentIndex));
+            const movedSections = new Set(matchedOrder.filter((pair, i) => !inOrder.has(i)).map(pair => pair.proposedIndex));
+
+            proposedSections.forEach((section, proposedIndex) => {
+                const currentIndex = sectionPairs[proposedIndex];
+                const currentSection = currentIndex !== null ? currentSections[currentIndex] : null;
+                const entry = {
+                    status: 'unchanged',
+                    title: section.title,
+                    previousTitle: currentSection ? currentSection.title : null,
+                    proposedIndex: proposedIndex,
+                    currentIndex: currentIndex,
+                    moved: movedSections.has(proposedIndex),
+                    lessons: []
+                };
+
+                if (!currentSection) {
+                    entry.status = 'added';
+                    summary.added++;
+                } else if (normalize(currentSection.title) !== normalize(section.title)) {
+                    entry.status = 'renamed';
+                    summary.renamed++;
+                }
+                if (entry.moved) {
+                    summary.moved++;
+                }
+
+                entry.lessons = lessonPairs[proposedIndex].map((pair, proposedLessonIndex) => {
+                    const lesson = (section.lessons || [])[proposedLessonIndex];
+                    return this.describeLesson(lesson, proposedLessonIndex, pair, currentSections, currentIndex, summary);
+                });
+
+                if (entry.status === 'unchanged' && (entry.moved || entry.lessons.some(lesson => lesson.status !== 'unchanged'))) {
+                    entry.status = 'modified';
+                }
+
+                entries.push(entry);
+                if (currentIndex !== null) {
+                    entryByCurrent[currentIndex] = entry;
+                }
+            });
+
+            // Sections with no counterpart in the proposal
+            currentSections.forEach((section, currentIndex) => {
+                if (entryByCurrent[currentIndex]) {
+                    return;
+                }
+                const entry = {
+                    status: 'removed',
+                    title: section.title,
+                    previousTitle: section.title,
+                    proposedIndex: null,
+                    currentIndex: currentIndex,
+                    moved: false,
+                    lessons: []
+                };
+                summary.removed++;
+                entries.push(entry);
+                entryByCurrent[currentIndex] = entry;
+            });
+
+            // Lessons with no counterpart are listed under the section they came from
+            currentSections.forEach((section, currentIndex) => {
+                (section.lessons || []).forEach((lesson, lessonIndex) => {
+                    if (lessonPairs.used.has(`${currentIndex}-${lessonIndex}`)) {
+                        return;
+                    }
+                    const entry = entryByCurrent[currentIndex];
+                    entry.lessons.push({
+                        status: 'removed',
+                        title: lesson.title,
+                        previousTitle: lesson.title,
+                        duration: lesson.duration || '',
+                        previousDuration: lesson.duration || '',
+                        changes: [],
+                        proposedIndex: null,
+                        currentSection: currentIndex,
+                        currentIndex: lessonIndex
+                    });
+                    if (entry.status === 'unchanged') {
+                        entry.status = 'modified';
+                    }
+                    if (entry.status !== 'removed') {
+                        summary.removed++;
+                    }
+                });
+            });
+
+            const course = {
+                titleChanged: normalize(current && current.title) !== normalize(proposed && proposed.title),
+                previousTitle: (current && current.title) || '',
+                descriptionChanged: normalize(current && current.description) !== normalize(proposed && proposed.description)
+            };
+
+            return {
+                hasChanges: course.titleChanged || course.descriptionChanged || entries.some(entry => entry.status !== 'unchanged'),
+                course: course,
+                summary: summary,
+                sections: entries
+            };
+        },
+
+        /**
+         * Pair proposed sections with current ones
+         *
+         * @returns {Array<number|null>} Current section index for each proposed section
+         */
+        matchSections: function(currentSections, proposedSections) {
+            const pairs = proposedSections.map(() => null);
+            const used = new Set();
+            const claim = (proposedIndex, currentIndex) => {
+                pairs[proposedIndex] = currentIndex;
+                used.add(currentIndex);
+            };
+
+            // By title
+            proposedSections.forEach((section, proposedIndex) => {
+                const currentIndex = currentSections.findIndex((candidate, i) =>
+                    !used.has(i) && normalize(candidate.title) === normalize(section.title)
+                );
+                if (currentIndex !== -1) {
+                    claim(proposedIndex, currentIndex);
+                }
+            });
+
+            // By shared lesson titles
+            proposedSections.forEach((section, proposedIndex) => {
+                if (pairs[proposedIndex] !== null) {
+                    return;
+                }
+                const titles = new Set((section.lessons || []).map(lesson => normalize(lesson.title)));
+                let best = -1;
+                let bestShared = 0;
+                currentSections.forEach((candidate, i) => {
+                    if (used.has(i)) {
+                        return;
+                    }
+                    const shared = (candidate.lessons || []).filter(lesson => titles.has(normalize(lesson.title))).length;
+                    if (shared > bestShared) {
+                        best = i;
+                        bestShared = shared;
+                    }
+                });
+                if (best !== -1) {
+                    claim(proposedIndex, best);
+                }
+            });
+
+            // By position
+            proposedSections.forEach((section, proposedIndex) => {
+                if (pairs[proposedIndex] === null && proposedIndex < currentSections.length && !used.has(proposedIndex)) {
+                    claim(proposedIndex, proposedIndex);
+                }
+            });
+
+            return pairs;
+        },
+
+        /**
+         * Pair proposed lessons with current ones
+         *
+         * @returns {Array<Array<Object|null>>} For each proposed section, a
+         *          {section, index, how} reference per lesson (null when added).
+         *          The returned array also carries a `used` Set of "s-l" keys.
+         */
+        matchLessons: function(currentSections, proposedSections, sectionPairs) {
+            const used = new Set();
+            const pairs = proposedSections.map(section => (section.lessons || []).map(() => null));
+            const claim = (proposedIndex, lessonIndex, section, index, how) => {
+                pairs[proposedIndex][lessonIndex] = { section, index, how };
+                used.add(`${section}-${index}`);
+            };
+
+            // Same title inside the paired section
+            proposedSections.forEach((section, proposedIndex) => {
+                const currentIndex = sectionPairs[proposedIndex];
+                if (currentIndex === null) {
+                    return;
+                }
+                const candidates = currentSections[currentIndex].lessons || [];
+                (section.lessons || []).forEach((lesson, lessonIndex) => {
+                    const match = candidates.findIndex((candidate, i) =>
+                        !used.has(`${currentIndex}-${i}`) && normalize(candidate.title) === normalize(lesson.title)
+                    );
+                    if (match !== -1) {
+                        claim(proposedIndex, lessonIndex, currentIndex, match, 'title');
+                    }
+                });
+            });
+
+            // Same title anywhere else in the course
+            proposedSections.forEach((section, proposedIndex) => {
+                (section.lessons || []).forEach((lesson, lessonIndex) => {
+                    if (pairs[proposedIndex][lessonIndex]) {
+                        return;
+                    }
+                    currentSections.some((candidateSection, s) => (candidateSection.lessons || []).some((candidate, l) => {
+                        if (!used.has(`${s}-${l}`) && normalize(candidate.title) === normalize(lesson.title)) {
+                            claim(proposedIndex, lessonIndex, s, l, 'elsewhere');
+                            return true;
+                        }
+                        return false;
+                    }));
+                });
+            });
+
+            // Same position inside the paired section
+            proposedSections.forEach((section, proposedIndex) => {
+                const currentIndex = sectionPairs[proposedIndex];
+                if (currentIndex === null) {
+                    return;
+                }
+                const candidates = currentSections[currentIndex].lessons || [];
+                (section.lessons || []).forEach((lesson, lessonIndex) => {
+                    if (!pairs[proposedIndex][lessonIndex] && lessonIndex < candidates.length && !used.has(`${currentIndex}-${lessonIndex}`)) {
+                        claim(proposedIndex, lessonIndex, currentIndex, lessonIndex, 'position');
+                    }
+                });
+            });
+
+            // Lessons that stayed in their section but changed relative order
+            pairs.forEach((sectionPairsList) => {
+                const stayed = [];
+                sectionPairsList.forEach((pair, i) => {
+                    if (pair && pair.how === 'title') {
+                        stayed.push(i);
+                    }
+                });
+                const inOrder = longestIncreasing(stayed.map(i => sectionPairsList[i].index));
+                stayed.forEach((lessonIndex, i) => {
+                    if (!inOrder.has(i)) {
+                        sectionPairsList[lessonIndex].how = 'reordered';
+                    }
+                });
+            });
+
+            pairs.used = used;
+            return pairs;
+        },
+
+        describeLesson: function(lesson, proposedIndex, pair, currentSections, sectionIndex, summary) {
+            const previous = pair ? currentSections[pair.section].lessons[pair.index] : null;
+            const description = {
+                status: 'added',
+                title: lesson.title,
+                previousTitle: previous ? previous.title : null,
+                duration: lesson.duration || '',
+                previousDuration: previous ? (previous.duration || '') : '',
+                changes: [],
+                proposedIndex: proposedIndex,
+                currentSection: pair ? pair.section : null,
+                currentIndex: pair ? pair.index : null
+            };
+
+            if (!previous) {
+                summary.added++;
+                return description;
+            }
+
+            if (pair.how === 'elsewhere' || pair.how === 'reordered' || pair.section !== sectionIndex) {
+                description.status = 'moved';
+                summary.moved++;
+            } else if (normalize(previous.title) !== normalize(lesson.title)) {
+                description.status = 'renamed';
+                summary.renamed++;
+            } else {
+                description.status = 'unchanged';
+            }
+
+            if (normalize(description.duration) !== normalize(description.previousDuration)) {
+                description.changes.push('duration');
+                summary.changed++;
+                if (description.status === 'unchanged') {
+                    description.status = 'changed';
+                }
+            }
+
+            return description;
+        },
+
+        /**
+         * Copy lesson drafts (and published IDs) from the current structure onto a proposed section
+         */
+        carryDrafts: function(section, entry, current) {
+            // Keys only ever come from the current outline, never from the AI
+            (section.lessons || []).forEach(lesson => delete lesson.lesson_key);
+            if (entry.currentIndex !== null) {
+                carryFields(section, current.sections[entry.currentIndex], CARRIED_SECTION_FIELDS);
+            }
+            entry.lessons.forEach((lesson) => {
+                if (lesson.proposedIndex === null || lesson.currentSection === null) {
+                    return;
+                }
+                const target = section.lessons[lesson.proposedIndex];
+                const source = current.sections[lesson.currentSection].lessons[lesson.currentIndex];
+                carryFields(target, source, CARRIED_LESSON_FIELDS);
+            });
+            return section;
+        },
+
+        /**
+         * Accept the whole proposal, keeping drafts of surviving lessons
+         *
+         * @returns {Object} New course structure
+         */
+        acceptAll: function(current, proposed, diff) {
+            const result = clone(proposed);
+            diff.sections.forEach((entry) => {
+                if (entry.proposedIndex !== null) {
+                    this.carryDrafts(result.sections[entry.proposedIndex], entry, current);
+                }
+            });
+            return result;
+        },
+
+        /**
+         * Accept the proposal for one section only
+         *
+         * Lessons that move into the section are taken out of their old section.
+         * Lessons that move out of it stay put until their destination is accepted.
+         *
+         * @param {number} entryIndex Index into diff.sections
+         * @returns {Object} New course structure
+         */
+        acceptSection: function(current, proposed, diff, entryIndex) {
+            const entry = diff.sections[entryIndex];
+            const result = clone(current);
+
+            if (entry.status === 'removed') {
+                result.sections.splice(entry.currentIndex, 1);
+                return result;
+            }
+
+            const section = this.carryDrafts(clone(proposed.sections[entry.proposedIndex]), entry, current);
+
+            // Keep lessons that are only leaving this section for one not accepted yet
+            if (entry.currentIndex !== null) {
+                (current.sections[entry.currentIndex].lessons || []).forEach((lesson, lessonIndex) => {
+                    const movesElsewhere = diff.sections.some(other => other !== entry && other.lessons.some(candidate =>
+                        candidate.status === 'moved' &&
+                        candidate.currentSection === entry.currentIndex &&
+                        candidate.currentIndex === lessonIndex
+                    ));
+                    if (movesElsewhere) {
+                        section.lessons.push(clone(lesson));
+                    }
+                });
+            }
+
+            // Take incoming lessons out of the sections they are leaving
+            const incoming = new Set(entry.lessons
+                .filter(lesson => lesson.currentSection !== null && lesson.currentSection !== entry.currentIndex && lesson.proposedIndex !== null)
+                .map(lesson => `${lesson.currentSection}-${lesson.currentIndex}`));
+            result.sections.forEach((existing, s) => {
+                existing.lessons = (existing.lessons || []).filter((lesson, l) => !incoming.has(`${s}-${l}`));
+            });
+
+            if (entry.currentIndex !== null) {
+                result.sections[entry.currentIndex] = section;
+            } else {
+                result.sections.splice(Math.min(entry.proposedIndex, result.sections.length), 0, section);
+            }
+
+            return result;
+        },
+
+        /**
+         * Give every lesson a key that stays with it through moves, undo and AI updates
+         *
+         * Lessons without a key, or with one an earlier lesson already has, get a new one.
+         *
+         * @param {Object} structure Course structure, changed in place
+         * @returns {Object} The same structure
+         */
+        assignLessonKeys: function(structure) {
+            const seen = new Set();
+            ((structure && structure.sections) || []).forEach((section) => {
+                (section.lessons || []).forEach((lesson) => {
+                    while (!lesson.lesson_key || seen.has(lesson.lesson_key)) {
+                        lesson.lesson_key = newLessonKey();
+                    }
+                    seen.add(lesson.lesson_key);
+                });
+            });
+            return structure;
+        },
+
+        /**
+         * Work out where stored drafts have to go after the outline changed
+         *
+         * The server keeps drafts under "section-lesson" positions. Every lesson
+         * it knows about moves from its old position to its new one; a lesson
+         * with a draft it does not know about (one brought back by undo) has its
+         * content saved again.
+         *
+         * @param {Object} structure Current course structure, with lesson keys
+         * @param {Object<string, string>} positions Lesson key => position its draft is stored under
+         * @returns {{moves: Array<{from: string, to: string}>, drafts: Array<{to: string, content: string}>, positions: Object<string, string>, changed: boolean}}
+         */
+        draftMoves: function(structure, positions) {
+            const known = positions || {};
+            const result = { moves: [], drafts: [], positions: {}, changed: false };
+
+            ((structure && structure.sections) || []).forEach((section, sectionIndex) => {
+                (section.lessons || []).forEach((lesson, lessonIndex) => {
+                    const to = `${sectionIndex}-${lessonIndex}`;
+                    const from = known[lesson.lesson_key];
+
+                    result.positions[lesson.lesson_key] = to;
+                    if (from !== undefined) {
+                        result.moves.push({ from, to });
+                        result.changed = result.changed || from !== to;
+                    } else if (lesson.draft_content) {
+                        result.drafts.push({ to, content: lesson.draft_content });
+                    }
+                });
+            });
+
+            // Positions left behind by removed lessons still hold their drafts
+            result.changed = result.changed || result.drafts.length > 0 || result.moves.length !== Object.keys(known).length;
+            return result;
+        }
+    };
+
+    window.MPCCStructureDiff = MPCCStructureDiff;
+})();
@@ -0,0 +1,231 @@
+/**
+ * MemberPress Courses Copilot - Course Style
+ *
+ * The style guide of a course: audience, reading level, tone, the sections
+ * every lesson should have, a glossary and phrases to avoid. The course
+ * editor keeps it with the session and sends it with each AI request; this
+ * module renders its form and reads it back.
+ *
+ * @package MemberPressCoursesCopilot
+ */
+
+(function() {
+    'use strict';
+
+    const READING_LEVELS = {
+        beginner: 'Beginner',
+        intermediate: 'Intermediate',
+        advanced: 'Advanced'
+    };
+
+    const TONES = {
+        friendly: 'Friendly',
+        professional: 'Professional',
+        conversational: 'Conversational',
+        academic: 'Academic',
+        encouraging: 'Encouraging'
+    };
+
+    // In the order they appear in a lesson
+    const LESSON_SECTIONS = {
+        objectives: 'Learning objectives',
+        introduction: 'Introduction',
+        key_concepts: 'Key concepts',
+        examples: 'Worked examples',
+        summary: 'Summary',
+        exercise: 'Practice exercise'
+    };
+
+    const escapeHtml = (text) => String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    const options = (choices, selected, blank) => [`<option value="">${blank}</option>`]
+        .concat(Object.keys(choices).map(key =>
+            `<option value="${key}"${key === selected ? ' selected' : ''}>${escapeHtml(choices[key])}</option>`))
+        .join('');
+
+    const lines = text => String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+    const MPCCCourseStyle = {
+        READING_LEVELS,
+        TONES,
+        LESSON_SECTIONS,
+
+        /**
+         * Style with nothing set
+         *
+         * @returns {Object}
+         */
+        empty() {
+            return {
+                audience: '',
+                reading_level: '',
+                tone: '',
+                lesson_sections: [],
+                glossary: [],
+                banned_phrases: []
+            };
+        },
+
+        /**
+         * Complete style from saved data, dropping anything unknown
+         *
+         * @param {?Object} style
+         * @returns {Object}
+         */
+        normalize(style) {
+            const source = style || {};
+            const sections = Array.isArray(source.lesson_sections) ? source.lesson_sections : [];
+
+            return {
+                audience: typeof source.audience === 'string' ? source.audience : '',
+                reading_level: READING_LEVELS[source.reading_level] ? source.reading_level : '',
+                tone: TONES[source.tone] ? source.tone : '',
+                lesson_sections: Object.keys(LESSON_SECTIONS).filter(key => sections.indexOf(key) !== -1),
+                glossary: (Array.isArray(source.glossary) ? source.glossary : [])
+                    .filter(entry => entry && entry.term && entry.definition)
+                    .map(entry => ({ term: String(entry.term), definition: String(entry.definition) })),
+                banned_phrases: (Array.isArray(source.banned_phrases) ? source.banned_phrases : [])
+                    .filter(phrase => typeof phrase === 'string' && phrase.trim() !== '')
+            };
+        },
+
+        /**
+         * Whether a style sets anything
+         *
+         * @param {Object} style
+         * @returns {boolean}
+         */
+        isEmpty(style) {
+            const normalized = this.normalize(style);
+            return !normalized.audience.trim() && !normalized.reading_level && !normalized.tone &&
+                !normalized.lesson_sections.length && !normalized.glossary.length && !normalized.banned_phrases.length;
+        },
+
+        /**
+         * Glossary entries from "term: definition" lines
+         *
+         * @param {string} text
+         * @returns {Array<{term: string, definition: string}>} Lines without both parts are left out
+         */
+        parseGlossary(text) {
+            return lines(text).map((line) => {
+                const colon = line.indexOf(':');
+                return colon === -1 ? null : {
+                    term: line.slice(0, colon).trim(),
+                    definition: line.slice(colon + 1).trim()
+                };
+            }).filter(entry => entry && entry.term && entry.definition);
+        },
+
+        /**
+         * Glossary as "term: definition" lines
+         *
+         * @param {Array<{term: string, definition: string}>} glossary
+         * @returns {string}
+         */
+        formatGlossary(glossary) {
+            return (glossary || []).map(entry => `${entry.term}: ${entry.definition}`).join('\n');
+        },
+
+        /**
+         * Short description of what a style sets, for the toolbar button
+         *
+         * @param {Object} style
+         * @returns {string} Empty if nothing is set
+         */
+        summarize(style) {
+            const normalized = this.normalize(style);
+            const parts = [];
+
+            if (normalized.reading_level) parts.push(READING_LEVELS[normalized.reading_level]);
+            if (normalized.tone) parts.push(TONES[normalized.tone]);
+            if (normalized.lesson_sections.length) parts.push(`${normalized.lesson_sections.length}-part lessons`);
+            if (normalized.glossary.length) {
+                parts.push(`${normalized.glossary.length} glossary ${normalized.glossary.length === 1 ? 'term' : 'terms'}`);
+            }
+            if (normalized.banned_phrases.length) {
+                parts.push(`${normalized.banned_phrases.length} banned ${normalized.banned_phrases.length === 1 ? 'phrase' : 'phrases'}`);
+            }
+            if (!parts.length && normalized.audience.trim()) parts.push('Audience set');
+
+            return parts.join(' · ');
+        },
+
+        /**
+         * Markup of the style form
+         *
+         * @param {Object} style Current style
+         * @returns {string}
+         */
+        renderForm(style) {
+            const current = this.normalize(style);
+            const sections = Object.keys(LESSON_SECTIONS).map(key => `
+                <label>
+                    <input type="checkbox" class="mpcc-style-section" value="${key}"${current.lesson_sections.indexOf(key) !== -1 ? ' checked' : ''}>
+                    ${escapeHtml(LESSON_SECTIONS[key])}
+                </label>`).join('');
+
+            return `
+                <div class="mpcc-style-grid">
+                    <div class="mpcc-style-field mpcc-style-wide">
+                        <label for="mpcc-style-audience">Audience</label>
+                        <textarea id="mpcc-style-audience" rows="2" placeholder="e.g. Small business owners with no marketing background">${escapeHtml(current.audience)}</textarea>
+                    </div>
+                    <div class="mpcc-style-field">
+                        <label for="mpcc-style-reading-level">Reading level</label>
+                        <select id="mpcc-style-reading-level">${options(READING_LEVELS, current.reading_level, 'Not set')}</select>
+                    </div>
+                    <div class="mpcc-style-field">
+                        <label for="mpcc-style-tone">Tone</label>
+                        <select id="mpcc-style-tone">${options(TONES, current.tone, 'Not set')}</select>
+                    </div>
+                    <fieldset class="mpcc-style-field mpcc-style-wide">
+                        <legend>Sections in every lesson</legend>
+                        <div class="mpcc-style-sections">${sections}</div>
+                        <p class="description">Leave all unchecked to let the AI choose the structure.</p>
+                    </fieldset>
+                    <div class="mpcc-style-field">
+                        <label for="mpcc-style-glossary">Glossary</label>
+                        <textarea id="mpcc-style-glossary" rows="4" placeholder="One per line, e.g. Funnel: the steps from visitor to customer">${escapeHtml(this.formatGlossary(current.glossary))}</textarea>
+                    </div>
+                    <div class="mpcc-style-field">
+                        <label for="mpcc-style-banned">Phrases to avoid</label>
+                        <textarea id="mpcc-style-banned" rows="4" placeholder="One per line, e.g. synergy">${escapeHtml(current.banned_phrases.join('\n'))}</textarea>
+                    </div>
+                </div>
+                <div class="mpcc-style-actions">
+                    <button type="button" class="button button-primary mpcc-style-save">Save style</button>
+                    <button type="button" class="button mpcc-style-cancel">Cancel</button>
+                    <button type="button" class="button-link mpcc-style-clear">Clear all</button>
+                </div>`;
+        },
+
+        /**
+         * Style entered in the form
+         *
+         * @param {Element} root Element holding the form
+         * @returns {Object}
+         */
+        readForm(root) {
+            const value = (selector) => {
+                const field = root.querySelector(selector);
+                return field ? field.value : '';
+            };
+
+            return this.normalize({
+                audience: value('#mpcc-style-audience').trim(),
+                reading_level: value('#mpcc-style-reading-level'),
+                tone: value('#mpcc-style-tone'),
+                lesson_sections: Array.from(root.querySelectorAll('.mpcc-style-section:checked')).map(box => box.value),
+                glossary: this.parseGlossary(value('#mpcc-style-glossary')),
+                banned_phrases: lines(value('#mpcc-style-banned'))
+            });
+        }
+    };
+
+    window.MPCCCourseStyle = MPCCCourseStyle;
+})();
@@ -622,6 +622,263 @@
         $(document).off('click.cancel-update').on('click.cancel-update', '.mpcc-cancel-editor-update', function() {
             $(this).closest('.mpcc-editor-content-update-buttons').fadeOut();
         });
+        
+        // Rewrite the text selected in the block editor (lessons only)
+        var $rewriteSection = $modal.find('.mpcc-selection-rewrite-section');
+        if ($rewriteSection.length && window.MPCCSelectionRewrite) {
+            initializeSelectionRewrite($rewriteSection);
+        }
+        
+        function initializeSelectionRewrite($section) {
+            var $actions = $section.find('.mpcc-selection-rewrite-actions');
+            var editorSelection = null;
+            var pendingRewrite = null;
+            var isRewriting = false;
+            
+            $actions.append(MPCCSelectionRewrite.renderActions());
+            
+            /**
+             * Read the selection from the block editor
+             *
+             * Text selected inside one block is rewritten on its own; blocks
+             * selected together are rewritten whole.
+             *
+             * @returns {Object|null}
+             */
+            function readEditorSelection() {
+                if (typeof wp === 'undefined' || !wp.data || !wp.richText || !wp.blocks || !wp.data.select('core/block-editor')) {
+                    return null;
+                }
+                
+                var editor = wp.data.select('core/block-editor');
+                var selectedIds = editor.getMultiSelectedBlockClientIds();
+                if (selectedIds.length > 1) {
+                    var html = editor.getBlocksByClientId(selectedIds).map(function(block) {
+                        return wp.blocks.getBlockContent(block);
+                    }).join('\n');
+                    return { clientIds: selectedIds, html: html, text: $('<div>').html(html).text() };
+                }
+                
+                var start = editor.getSelectionStart();
+                var end = editor.getSelectionEnd();
+                if (!start.clientId || start.clientId !== end.clientId || !start.attributeKey ||
+                    start.attributeKey !== end.attributeKey || typeof start.offset !== 'number' ||
+                    typeof end.offset !== 'number' || start.offset === end.offset) {
+                    return null;
+                }
+                
+                var block = editor.getBlock(start.clientId);
+                var source = String(block.attributes[start.attributeKey] || '');
+                var value = wp.richText.create({ html: source });
+                var text = wp.richText.getTextContent(value);
+                var from = Math.min(start.offset, end.offset);
+                var to = Math.max(start.offset, end.offset);
+                
+                if (!text.slice(from, to).trim()) {
+                    return null;
+                }
+                
+                return {
+                    clientId: start.clientId,
+                    attributeKey: start.attributeKey,
+                    source: source,
+                    start: from,
+                    end: to,
+                    html: wp.richText.toHTMLString({ value: wp.richText.slice(value, from, to) }),
+                    text: text.slice(from, to),
+                    before: text.slice(0, from),
+                    after: text.slice(to)
+                };
+            }
+            
+            // Show the actions when the lesson has a selection, or how to make one
+            function refreshSelection() {
+                editorSelection = readEditorSelection();
+                $section.find('.mpcc-selection-rewrite-hint').toggle(!editorSelection);
+                $actions.toggle(!!editorSelection);
+                
+                if (editorSelection) {
+                    var excerpt = editorSelection.text.replace(/\s+/g, ' ').trim();
+                    $actions.find('.mpcc-selection-rewrite-excerpt')
+                        .text('Selected: “' + (excerpt.length > 120 ? excerpt.substring(0, 120) + '…' : excerpt) + '”');
+                }
+            }
+            
+            function appendMessage(label, html, background) {
+                $messages.append('<div class="mpcc-ai-message" style="margin-bottom: 10px; padding: 8px; background: ' + background + '; border-radius: 4px;">' +
+                    '<strong>' + label + '</strong> ' + html + '</div>');
+                MPCCUtils.ui.scrollToBottom($messages);
+            }
+            
+            function requestRewrite(action) {
+                var selection = editorSelection;
+                if (!selection || isRewriting) return;
+                
+                var options = MPCCSelectionRewrite.readOptions($actions[0]);
+                if (action === 'translate' && !options.language) {
+                    $actions.find('.mpcc-rewrite-language').focus();
+                    return;
+                }
+                
+                $messages.find('.mpcc-rewrite-preview').remove();
+                pendingRewrite = null;
+                isRewriting = true;
+                $actions.find('.mpcc-rewrite-action').prop('disabled', true);
+                var typingId = MPCCUtils.ui.addTypingIndicator($messages);
+                
+                if (window.MPCCAccessibility) {
+                    MPCCAccessibility.announce('Rewriting the selected text.');
+                }
+                
+                var editedTitle = wp.data.select('core/editor') ? wp.data.select('core/editor').getEditedPostAttribute('title') : '';
+                var contextData = mpccEditorModal.contextData || {};
+                $.ajax({
+                    url: MPCCUtils.getAjaxSettings().url,
+                    type: 'POST',
+                    data: {
+                        action: 'mpcc_rewrite_selection',
+                        nonce: $('#mpcc_editor_ai_nonce').val(),
+                        post_id: mpccEditorModal.postId,
+                        rewrite_action: action,
+                        passage: selection.html,
+                        language: options.language,
+                        tone: options.tone,
+                        lesson_title: editedTitle || contextData.title || '',
+                        course_title: contextData.course ? contextData.course.title : '',
+                        before: selection.before || '',
+                        after: selection.after || ''
+                    },
+                    success: function(response) {
+                        if (response.success && response.data.html) {
+                            pendingRewrite = { selection: selection, action: action, html: response.data.html };
+                            $messages.append('<div class="mpcc-rewrite-preview" role="group" aria-label="Rewrite preview">' +
+                                MPCCSelectionRewrite.renderPreview(selection.text, response.data.html, action) + '</div>');
+                            MPCCUtils.ui.scrollToBottom($messages);
+                            
+                            if (window.MPCCAccessibility) {
+                                MPCCAccessibility.announce('Rewrite ready. Replace the selection, try again or discard.');
+                            }
+                        } else {
+                            appendMessage('Error:', $('<div>').text(response.data || 'Failed to rewrite the selection').html(), '#ffe7e7');
+                        }
+                    },
+                    error: function() {
+                        appendMessage('Error:', 'Network error. Please try again.', '#ffe7e7');
+                    },
+                    complete: function() {
+                        MPCCUtils.ui.removeTypingIndicator(typingId);
+                        isRewriting = false;
+                        $actions.find('.mpcc-rewrite-action').prop('disabled', false);
+                    }
+                });
+            }
+            
+            /**
+             * Put the rewrite in place of the selection
+             *
+             * @returns {boolean} False if the lesson changed since the text was selected
+             */
+            function applyRewrite(rewrite) {
+                var selection = rewrite.selection;
+                var editor = wp.data.select('core/block-editor');
+                var dispatch = wp.data.dispatch('core/block-editor');
+                
+                if (selection.clientIds) {
+                    if (selection.clientIds.some(function(id) { return !editor.getBlock(id); })) {
+                        return false;
+                    }
+                    dispatch.replaceBlocks(selection.clientIds, wp.blocks.rawHandler({ HTML: rewrite.html }));
+                    return true;
+                }
+                
+                var block = editor.getBlock(selection.clientId);
+                if (!block || String(block.attributes[selection.attributeKey] || '') !== selection.source) {
+                    return false;
+                }
+                
+                var value = wp.richText.create({ html: selection.source });
+                var inline = MPCCSelectionRewrite.toInline(rewrite.html);
+                var attributes = {};
+                
+                if (inline !== null) {
+                    attributes[selection.attributeKey] = wp.richText.toHTMLString({
+                        value: wp.richText.insert(value, wp.richText.create({ html: inline }), selection.start, selection.end)
+                    });
+                    dispatch.updateBlockAttributes(selection.clientId, attributes);
+                    return true;
+                }
+                
+                var part = function(from, to) {
+                    return wp.richText.toHTMLString({ value: wp.richText.slice(value, from, to) });
+                };
+                var newBlocks = wp.blocks.rawHandler({ HTML: rewrite.html });
+                
+                if (block.name === 'core/paragraph' || block.name === 'core/heading') {
+                    // Split the block around the selection
+                    var replacement = [];
+                    var before = part(0, selection.start);
+                    var after = part(selection.end, value.text.length);
+                    if (before.trim()) {
+                        attributes[selection.attributeKey] = before;
+                        replacement.push(wp.blocks.cloneBlock(block, attributes));
+                    }
+                    replacement = replacement.concat(newBlocks);
+                    if (after.trim()) {
+                        var afterAttributes = {};
+                        afterAttributes[selection.attributeKey] = after;
+                        replacement.push(wp.blocks.cloneBlock(block, afterAttributes));
+                    }
+                    dispatch.replaceBlocks(selection.clientId, replacement);
+                } else {
+                    // Blocks cannot go inside a list item or quote, so they follow the outermost block
+                    var topId = editor.getBlockHierarchyRootClientId(selection.clientId);
+                    attributes[selection.attributeKey] = part(0, selection.start) + part(selection.end, value.text.length);
+                    dispatch.updateBlockAttributes(selection.clientId, attributes);
+                    dispatch.insertBlocks(newBlocks, editor.getBlockIndex(topId) + 1);
+                }
+                return true;
+            }
+            
+            $actions.off('click.selection-rewrite').on('click.selection-rewrite', '.mpcc-rewrite-action', function() {
+                requestRewrite(String($(this).data('action')));
+            });
+            
+            $messages.off('click.selection-rewrite')
+                .on('click.selection-rewrite', '.mpcc-rewrite-accept', function() {
+                    if (!pendingRewrite) return;
+                    
+                    if (applyRewrite(pendingRewrite)) {
+                        $(this).closest('.mpcc-rewrite-preview').replaceWith(
+                            '<p class="mpcc-rewrite-applied" style="margin: 0 0 10px 0; color: #00a32a;">Selection replaced.</p>'
+                        );
+                        if (window.MPCCAccessibility) {
+                            MPCCAccessibility.announce('Selection replaced in the lesson.');
+                        }
+                    } else {
+                        $(this).closest('.mpcc-rewrite-preview').remove();
+                        appendMessage('Note:', 'The lesson changed since the text was selected. Select it again to rewrite it.', '#fff8e5');
+                    }
+                    pendingRewrite = null;
+                    refreshSelection();
+                })
+                .on('click.selection-rewrite', '.mpcc-rewrite-retry', function() {
+                    if (!pendingRewrite) return;
+                    editorSelection = pendingRewrite.selection;
+                    requestRewrite(pendingRewrite.action);
+                })
+                .on('click.selection-rewrite', '.mpcc-rewrite-discard', function() {
+                    $(this).closest('.mpcc-rewrite-preview').remove();
+                    pendingRewrite = null;
+                });
+            
+            // The selection can change between openings of the modal
+            $(document).off('mpcc:modal-opened.selection-rewrite').on('mpcc:modal-opened.selection-rewrite', function(e, data) {
+                if (data && data.modal === modalId) {
+                    refreshSelection();
+                }
+            });
+            refreshSelection();
+        }
     }
     
     // Initialize modal on demand when needed
@@ -660,6 +917,9 @@
             $(document).off('click.apply-content');
             $(document).off('click.copy-content');
             $(document).off('click.cancel-update');
+            $modal.find('.mpcc-selection-rewrite-actions').off('click.selection-rewrite');
+            $('#mpcc-editor-ai-messages').off('click.selection-rewrite');
+            $(document).off('mpcc:modal-opened.selection-rewrite');
         }
     };
     
@@ -0,0 +1,472 @@
+/**
+ * MemberPress Courses Copilot - Lesson Blocks
+ *
+ * Splits lesson drafts into Gutenberg blocks the lesson editor can edit and
+ * writes them back. A block whose content was not changed is written back
+ * exactly as it was read, and blocks the editor does not understand are
+ * carried through untouched, so editing a draft never loses markup.
+ *
+ * @package MemberPressCoursesCopilot
+ */
+
+(function() {
+    'use strict';
+
+    // Opening, closing and self-closing block delimiters, e.g. <!-- wp:heading {"level":3} -->
+    const DELIMITER = /<!--\s+(\/)?wp:([a-z][a-z0-9_-]*(?:\/[a-z][a-z0-9_-]*)?)\s+(?:(\{[\s\S]*?\})\s+)?(\/)?-->/g;
+
+    // Inline formatting kept when reading edited text; anything else is unwrapped
+    const INLINE_TAGS = ['a', 'b', 'br', 'code', 'em', 'i', 'kbd', 'mark', 's', 'strong', 'sub', 'sup'];
+
+    const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    const fullName = (name) => (name.indexOf('/') === -1 ? 'core/' + name : name);
+
+    const commentName = (name) => name.replace(/^core\//, '');
+
+    const parseAttrs = (json) => {
+        if (!json) return {};
+        try {
+            const attrs = JSON.parse(json);
+            return attrs && typeof attrs === 'object' ? attrs : {};
+        } catch (e) {
+            return {};
+        }
+    };
+
+    const fragment = (html) => {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        return template.content;
+    };
+
+    const firstElement = (html, selector) => fragment(html).querySelector(selector);
+
+    const childElements = (el, tag) => Array.from(el.children).filter(child => child.tagName.toLowerCase() === tag);
+
+    const safeUrl = (url) => (/^(https?:|mailto:|\/|#|[^:]*$)/i.test(String(url).trim()) ? String(url).trim() : '');
+
+    /**
+     * Reduce HTML to the inline formatting the editor supports
+     *
+     * @param {string} html
+     * @returns {string}
+     */
+    const cleanInline = (html) => {
+        const clean = (node) => Array.from(node.childNodes).map((child) => {
+            if (child.nodeType === 3) {
+                return escapeHtml(child.textContent).replace(/\u00a0/g, '&nbsp;');
+            }
+            if (child.nodeType !== 1) {
+                return '';
+            }
+            const tag = child.tagName.toLowerCase();
+            if (tag === 'script' || tag === 'style') {
+                return '';
+            }
+            if (tag === 'br') {
+                return '<br>';
+            }
+            if (INLINE_TAGS.indexOf(tag) === -1) {
+                return clean(child);
+            }
+            const href = tag === 'a' ? safeUrl(child.getAttribute('href') || '') : '';
+            return tag === 'a'
+                ? `<a href="${escapeHtml(href)}">${clean(child)}</a>`
+                : `<${tag}>${clean(child)}</${tag}>`;
+        }).join('');
+
+        return clean(fragment(String(html || ''))).replace(/(<br>)+$/, '').trim();
+    };
+
+    const classAttr = (el, fallback) => {
+        const className = el ? el.getAttribute('class') : fallback;
+        return className ? ` class="${escapeHtml(className)}"` : '';
+    };
+
+    /**
+     * Editable block types: how to read their fields from saved markup and
+     * how to write the fields back
+     */
+    const TYPES = {
+        paragraph: {
+            selector: 'p',
+            read: (el) => ({ content: cleanInline(el.innerHTML) }),
+            write: (data, attrs, el) => ({
+                attrs: attrs,
+                html: `<p${classAttr(el)}>${data.content}</p>`
+            })
+        },
+        heading: {
+            selector: 'h1, h2, h3, h4, h5, h6',
+            read: (el, attrs) => ({
+                level: attrs.level || parseInt(el.tagName.substring(1), 10) || 2,
+                content: cleanInline(el.innerHTML)
+            }),
+            write: (data, attrs, el) => {
+                const level = Math.min(6, Math.max(1, parseInt(data.level, 10) || 2));
+                const next = Object.assign({}, attrs, { level: level });
+                if (level === 2) {
+                    delete next.level;
+                }
+                return { attrs: next, html: `<h${level}${classAttr(el)}>${data.content}</h${level}>` };
+            }
+        },
+        list: {
+            selector: 'ul, ol',
+            read: (el) => ({
+                ordered: el.tagName.toLowerCase() === 'ol',
+                items: childElements(el, 'li').map(li => cleanInline(li.innerHTML))
+            }),
+            write: (data, attrs, el) => {
+                const tag = data.ordered ? 'ol' : 'ul';
+                const next = Object.assign({}, attrs, { ordered: true });
+                if (!data.ordered) {
+                    delete next.ordered;
+                }
+                const items = data.items.filter(item => item !== '').map(item => `<li>${item}</li>`).join('\n');
+                return { attrs: next, html: `<${tag}${classAttr(el)}>\n${items}\n</${tag}>` };
+            }
+        },
+        quote: {
+            selector: 'blockquote',
+            read: (el) => {
+                const cite = el.querySelector('cite');
+                const paragraphs = Array.from(el.querySelectorAll('p')).map(p => cleanInline(p.innerHTML));
+                return {
+                    paragraphs: paragraphs.length ? paragraphs : [cleanInline(Array.from(el.childNodes)
+                        .filter(node => node !== cite)
+                        .map(node => (node.nodeType === 1 ? node.outerHTML : escapeHtml(node.textContent)))
+                        .join(''))],
+                    citation: cite ? cleanInline(cite.innerHTML) : ''
+                };
+            },
+            write: (data, attrs, el) => {
+                const paragraphs = data.paragraphs.filter(text => text !== '').map(text => `<p>${text}</p>`).join('');
+                const citation = data.citation ? `<cite>${data.citation}</cite>` : '';
+                return { attrs: attrs, html: `<blockquote${classAttr(el, 'wp-block-quote')}>${paragraphs}${citation}</blockquote>` };
+            }
+        },
+        code: {
+            selector: 'pre',
+            read: (el) => {
+                const code = el.querySelector('code');
+                return { code: (code || el).textContent };
+            },
+            write: (data, attrs, el) => ({
+                attrs: attrs,
+                html: `<pre${classAttr(el, 'wp-block-code')}><code>${escapeHtml(data.code)}</code></pre>`
+            })
+        },
+        image: {
+            selector: 'figure, img',
+            read: (el) => {
+                const img = el.tagName.toLowerCase() === 'img' ? el : el.querySelector('img');
+                const caption = el.querySelector('figcaption');
+                return {
+                    url: img ? img.getAttribute('src') || '' : '',
+                    alt: img ? img.getAttribute('alt') || '' : '',
+                    caption: caption ? cleanInline(caption.innerHTML) : ''
+                };
+            },
+            write: (data, attrs, el, original) => {
+                const next = Object.assign({}, attrs);
+                // A different file is no longer the attachment the block pointed at
+                if (original && original.url !== data.url) {
+                    delete next.id;
+                }
+                const figure = el && el.tagName.toLowerCase() === 'figure' ? el : null;
+                const imgClass = next.id ? ` class="wp-image-${parseInt(next.id, 10)}"` : '';
+                const caption = data.caption ? `<figcaption class="wp-element-caption">${data.caption}</figcaption>` : '';
+                return {
+                    attrs: next,
+                    html: `<figure${classAttr(figure, 'wp-block-image')}><img src="${escapeHtml(safeUrl(data.url))}" alt="${escapeHtml(data.alt)}"${imgClass}/>${caption}</figure>`
+                };
+            }
+        }
+    };
+
+    const typeOf = (name) => {
+        const full = fullName(String(name || ''));
+        const type = full.substring('core/'.length);
+        return full.indexOf('core/') === 0 && TYPES[type] ? type : null;
+    };
+
+    /**
+     * Markup between a block's delimiters
+     *
+     * @param {string} raw
+     * @returns {string}
+     */
+    const innerMarkup = (raw) => {
+        const open = raw.match(/^<!--[\s\S]*?-->/);
+        const close = raw.match(/<!--\s+\/wp:[^>]*-->$/);
+        if (!open || !close) return '';
+        return raw.substring(open[0].length, raw.length - close[0].length);
+    };
+
+    /**
+     * Editable fields of a saved block, or null when the editor cannot edit it
+     *
+     * @param {Object} block
+     * @returns {Object|null}
+     */
+    const readData = (block) => {
+        const type = typeOf(block.name);
+        if (!type || !block.raw) return null;
+        const el = firstElement(innerMarkup(block.raw), TYPES[type].selector);
+        return el ? TYPES[type].read(el, block.attrs) : null;
+    };
+
+    const sameData = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    const MPCCLessonBlocks = {
+        cleanInline: cleanInline,
+
+        /**
+         * Editable type of a block ('paragraph', 'heading', 'list', 'quote',
+         * 'code' or 'image'), or null for blocks kept as they are
+         *
+         * @param {Object} block
+         * @returns {string|null}
+         */
+        typeOf: (block) => (block.data ? typeOf(block.name) : null),
+
+        /**
+         * Split block markup into top-level blocks
+         *
+         * Text between blocks that is not whitespace is kept as a classic
+         * (freeform) block. serialize(parse(content)) returns content unchanged.
+         *
+         * @param {string} content
+         * @returns {{before: string, blocks: Object[], after: string}} Blocks with
+         *          name, attrs, raw markup, the whitespace before them (null for
+         *          the first) and their editable data
+         */
+        parse: (content) => {
+            const source = String(content || '');
+            const doc = { before: '', blocks: [], after: '' };
+            let depth = 0;
+            let start = 0;
+            let cursor = 0;
+            let gap = '';
+            let pending = null;
+            let match;
+
+            const push = (block, before) => {
+                if (doc.blocks.length) {
+                    block.before = before;
+                } else {
+                    doc.before = before;
+                    block.before = null;
+                }
+                doc.blocks.push(block);
+            };
+
+            // Keeps any text as a freeform block and returns the whitespace after it
+            const addText = (text) => {
+                if (!text.trim()) return text;
+                const leading = text.match(/^\s*/)[0];
+                const trailing = text.match(/\s*$/)[0];
+                push({ name: 'core/freeform', attrs: {}, raw: text.substring(leading.length, text.length - trailing.length), data: null }, leading);
+                return trailing;
+            };
+
+            DELIMITER.lastIndex = 0;
+            while ((match = DELIMITER.exec(source)) !== null) {
+                const [token, closing, name, json, selfClosing] = match;
+
+                if (depth === 0) {
+                    // A stray closing delimiter is just text
+                    if (closing) continue;
+
+                    gap = addText(gap + source.substring(cursor, match.index));
+                    if (selfClosing) {
+                        push({ name: fullName(name), attrs: parseAttrs(json), raw: token, data: null }, gap);
+                        gap = '';
+                    } else {
+                        pending = { name: fullName(name), attrs: parseAttrs(json), gap: gap };
+                        start = match.index;
+                        depth = 1;
+                    }
+                } else if (!selfClosing) {
+                    depth += closing ? -1 : 1;
+                    if (depth === 0) {
+                        const block = { name: pending.name, attrs: pending.attrs, raw: source.substring(start, match.index + token.length) };
+                        block.data = readData(block);
+                        push(block, pending.gap);
+                        pending = null;
+                        gap = '';
+                    }
+                }
+                cursor = match.index + token.length;
+            }
+
+            // An unclosed block is kept as text rather than dropped
+            doc.after = pending
+                ? addText(pending.gap + source.substring(start))
+                : addText(gap + source.substring(cursor));
+
+            return doc;
+        },
+
+        /**
+         * Turn plain text into paragraph blocks, one per blank-line separated chunk
+         *
+         * @param {string} text
+         * @returns {{before: string, blocks: Object[], after: string}}
+         */
+        fromText: (text) => ({
+            before: '',
+            blocks: String(text || '').split(/\n\s*\n/).map(chunk => chunk.trim()).filter(Boolean)
+                .map(chunk => MPCCLessonBlocks.createBlock('paragraph', {
+                    content: escapeHtml(chunk).replace(/\n/g, '<br>')
+                })),
+            after: ''
+        }),
+
+        /**
+         * Turn an HTML fragment, such as an AI rewrite, into editable blocks
+         *
+         * Headings, lists, quotes and code become blocks of their own type;
+         * anything else becomes paragraphs, with loose inline content
+         * gathered into one paragraph.
+         *
+         * @param {string} html
+         * @returns {Object[]}
+         */
+        fromHtml: (html) => {
+            const blocks = [];
+            let inline = '';
+
+            const flush = () => {
+                const content = cleanInline(inline).trim();
+                if (content) {
+                    blocks.push(MPCCLessonBlocks.createBlock('paragraph', { content }));
+                }
+                inline = '';
+            };
+
+            Array.from(fragment(String(html || '')).childNodes).forEach((node) => {
+                const tag = node.nodeType === Node.ELEMENT_NODE ? node.tagName.toLowerCase() : '';
+
+                if (!tag || INLINE_TAGS.indexOf(tag) !== -1 || tag === 'span') {
+                    inline += node.nodeType === Node.ELEMENT_NODE ? node.outerHTML : escapeHtml(node.textContent);
+                    return;
+                }
+
+                flush();
+                if (/^h[1-6]$/.test(tag)) {
+                    blocks.push(MPCCLessonBlocks.createBlock('heading', { level: Math.max(2, parseInt(tag.charAt(1), 10)), content: cleanInline(node.innerHTML) }));
+                } else if (tag === 'ul' || tag === 'ol') {
+                    blocks.push(MPCCLessonBlocks.createBlock('list', {
+                        ordered: tag === 'ol',
+                        items: childElements(node, 'li').map(li => cleanInline(li.innerHTML)).filter(Boolean)
+                    }));
+                } else if (tag === 'blockquote') {
+                    const paragraphs = childElements(node, 'p');
+                    blocks.push(MPCCLessonBlocks.createBlock('quote', {
+                        paragraphs: paragraphs.length ? paragraphs.map(p => cleanInline(p.innerHTML)) : [cleanInline(node.innerHTML)]
+                    }));
+                } else if (tag === 'pre') {
+                    blocks.push(MPCCLessonBlocks.createBlock('code', { code: node.textContent }));
+                } else if (node.textContent.trim()) {
+                    blocks.push(MPCCLessonBlocks.createBlock('paragraph', { content: cleanInline(node.innerHTML) }));
+                }
+            });
+            flush();
+
+            return blocks;
+        },
+
+        /**
+         * New empty block of an editable type
+         *
+         * @param {string} type
+         * @param {Object} data Initial fields
+         * @returns {Object}
+         */
+        createBlock: (type, data = {}) => {
+            const defaults = {
+                paragraph: { content: '' },
+                heading: { level: 2, content: '' },
+                list: { ordered: false, items: [''] },
+                quote: { paragraphs: [''], citation: '' },
+                code: { code: '' },
+                image: { url: '', alt: '', caption: '' }
+            };
+            return {
+                name: 'core/' + type,
+                attrs: {},
+                raw: '',
+                before: null,
+                data: Object.assign({}, defaults[type], data)
+            };
+        },
+
+        /**
+         * Whether an editable block has nothing in it yet
+         *
+         * @param {Object} block
+         * @returns {boolean}
+         */
+        isEmpty: (block) => {
+            const data = block.data;
+            if (!data) return false;
+            switch (typeOf(block.name)) {
+                case 'list':
+                    return !data.items.some(Boolean);
+                case 'quote':
+                    return !data.paragraphs.some(Boolean) && !data.citation;
+                case 'code':
+                    return !data.code.trim();
+                case 'image':
+                    return !data.url;
+                default:
+                    return !data.content;
+            }
+        },
+
+        /**
+         * Block markup for one block
+         *
+         * @param {Object} block
+         * @returns {string}
+         */
+        serializeBlock: (block) => {
+            const type = typeOf(block.name);
+            const original = block.raw ? readData(block) : null;
+            if (block.raw && (!type || !block.data || sameData(block.data, original))) {
+                return block.raw;
+            }
+
+            const el = block.raw ? firstElement(innerMarkup(block.raw), TYPES[type].selector) : null;
+            const written = TYPES[type].write(block.data, block.attrs || {}, el, original);
+            const attrs = Object.keys(written.attrs).length ? ' ' + JSON.stringify(written.attrs) : '';
+            const name = commentName(block.name);
+
+            return `<!-- wp:${name}${attrs} -->\n${written.html}\n<!-- /wp:${name} -->`;
+        },
+
+        /**
+         * Block markup for a whole lesson
+         *
+         * Blocks keep the whitespace they were read with; new blocks are
+         * separated from their neighbours by a blank line, the way the block
+         * editor saves them.
+         *
+         * @param {{before: string, blocks: Object[], after: string}} doc
+         * @returns {string}
+         */
+        serialize: (doc) => (doc.before || '') + doc.blocks.map((block, index) => {
+            const before = index === 0 ? '' : (typeof block.before === 'string' ? block.before : '\n\n');
+            return before + MPCCLessonBlocks.serializeBlock(block);
+        }).join('') + (doc.after || '')
+    };
+
+    window.MPCCLessonBlocks = MPCCLessonBlocks;
+})();
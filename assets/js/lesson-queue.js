@@ -0,0 +1,229 @@
+/**
+ * MemberPress Courses Copilot - Lesson Queue
+ *
+ * State of a bulk run that generates a draft for every lesson still missing
+ * one. The course editor sends the requests; this module decides which
+ * lessons go next, retries failures after a pause and turns the state into
+ * something that can be saved and picked up again after a reload.
+ *
+ * @package MemberPressCoursesCopilot
+ */
+
+(function() {
+    'use strict';
+
+    // Attempts per lesson before it is left as failed
+    const MAX_ATTEMPTS = 3;
+
+    // Wait before an automatic retry, multiplied by the attempts so far
+    const RETRY_DELAY_MS = 5000;
+
+    const count = (queue, status) => queue.items.filter(item => item.status === status).length;
+
+    const MPCCLessonQueue = {
+        MAX_ATTEMPTS,
+
+        /**
+         * Lessons of a course structure that have no draft yet
+         *
+         * @param {Object} courseStructure
+         * @returns {Array<{id: string, title: string}>} Ids are the lessons' keys, so
+         *     queued lessons can be found again after the outline changes
+         */
+        lessonsWithoutDrafts(courseStructure) {
+            const lessons = [];
+            ((courseStructure && courseStructure.sections) || []).forEach((section) => {
+                (section.lessons || []).forEach((lesson) => {
+                    if (!lesson.draft_content && lesson.lesson_key) {
+                        lessons.push({ id: lesson.lesson_key, title: lesson.title || '' });
+                    }
+                });
+            });
+            return lessons;
+        },
+
+        /**
+         * New running queue
+         *
+         * @param {Array<{id: string, title: string}>} lessons
+         * @returns {Object}
+         */
+        create(lessons) {
+            return {
+                status: 'running',
+                items: lessons.map(lesson => ({
+                    id: lesson.id,
+                    title: lesson.title,
+                    status: 'pending',
+                    attempts: 0,
+                    retryAt: 0,
+                    error: ''
+                }))
+            };
+        },
+
+        /**
+         * Item of a lesson
+         *
+         * @param {Object} queue
+         * @param {string} id
+         * @returns {?Object}
+         */
+        find(queue, id) {
+            return (queue && queue.items.find(item => item.id === id)) || null;
+        },
+
+        /**
+         * Start as many pending lessons as the concurrency limit allows
+         *
+         * Lessons waiting to be retried are left until their delay is over.
+         *
+         * @param {Object} queue
+         * @param {number} limit Requests allowed at once
+         * @param {number} now Current time in milliseconds
+         * @returns {Object[]} Items now running
+         */
+        takeNext(queue, limit, now) {
+            if (queue.status !== 'running') return [];
+
+            const free = limit - count(queue, 'running');
+            const started = queue.items
+                .filter(item => item.status === 'pending' && item.retryAt <= now)
+                .slice(0, Math.max(0, free));
+
+            started.forEach((item) => {
+                item.status = 'running';
+                item.attempts++;
+            });
+            return started;
+        },
+
+        /**
+         * Time the next lesson waiting for a retry can start
+         *
+         * @param {Object} queue
+         * @returns {?number} Milliseconds, or null if nothing is waiting
+         */
+        nextRetryAt(queue) {
+            const waiting = queue.items
+                .filter(item => item.status === 'pending' && item.retryAt)
+                .map(item => item.retryAt);
+            return waiting.length ? Math.min(...waiting) : null;
+        },
+
+        /**
+         * Record the outcome of a lesson's request
+         *
+         * A failed lesson goes back to pending with a growing delay until it
+         * has used up its attempts.
+         *
+         * @param {Object} queue
+         * @param {string} id
+         * @param {?string} error Error message, or null on success
+         * @param {number} now Current time in milliseconds
+         */
+        finish(queue, id, error, now) {
+            const item = this.find(queue, id);
+            if (!item || item.status !== 'running') return;
+
+            if (!error) {
+                item.status = 'done';
+                item.error = '';
+            } else if (item.attempts < MAX_ATTEMPTS) {
+                item.status = 'pending';
+                item.retryAt = now + RETRY_DELAY_MS * item.attempts;
+                item.error = error;
+            } else {
+                item.status = 'failed';
+                item.error = error;
+            }
+        },
+
+        /**
+         * Mark a lesson as not needing a draft after all, such as one that
+         * got a draft while it was waiting
+         *
+         * @param {Object} queue
+         * @param {string} id
+         * @param {string} [reason] Shown with the lesson
+         */
+        skip(queue, id, reason) {
+            const item = this.find(queue, id);
+            if (item) {
+                item.status = 'skipped';
+                item.error = reason || '';
+            }
+        },
+
+        /**
+         * Queue the failed lessons again with fresh attempts
+         *
+         * @param {Object} queue
+         */
+        retryFailed(queue) {
+            queue.items.forEach((item) => {
+                if (item.status === 'failed') {
+                    Object.assign(item, { status: 'pending', attempts: 0, retryAt: 0 });
+                }
+            });
+            queue.status = 'running';
+        },
+
+        /**
+         * Lesson counts by status
+         *
+         * @param {Object} queue
+         * @returns {{total: number, pending: number, running: number, done: number, failed: number, skipped: number}}
+         */
+        summarize(queue) {
+            return {
+                total: queue.items.length,
+                pending: count(queue, 'pending'),
+                running: count(queue, 'running'),
+                done: count(queue, 'done'),
+                failed: count(queue, 'failed'),
+                skipped: count(queue, 'skipped')
+            };
+        },
+
+        /**
+         * Whether every lesson has finished, one way or another
+         *
+         * @param {Object} queue
+         * @returns {boolean}
+         */
+        isFinished(queue) {
+            return !queue.items.some(item => item.status === 'pending' || item.status === 'running');
+        },
+
+        /**
+         * Queue saved before a reload, with lessons that were still running
+         * put back in line
+         *
+         * @param {string} json Saved queue
+         * @returns {?Object} Null if nothing usable was saved
+         */
+        restore(json) {
+            let queue;
+            try {
+                queue = JSON.parse(json);
+            } catch (e) {
+                return null;
+            }
+            if (!queue || !Array.isArray(queue.items) || ['running', 'paused'].indexOf(queue.status) === -1) {
+                return null;
+            }
+
+            queue.items.forEach((item) => {
+                if (item.status === 'running') {
+                    item.status = 'pending';
+                    item.attempts = Math.max(0, item.attempts - 1);
+                }
+                item.retryAt = 0;
+            });
+            return queue;
+        }
+    };
+
+    window.MPCCLessonQueue = MPCCLessonQueue;
+})();
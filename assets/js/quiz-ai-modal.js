@@ -9,6 +9,67 @@
 (function($) {
     'use strict';
 
+    /**
+     * Labels of the question types the AI can generate, keyed by type
+     */
+    const QUESTION_TYPE_LABELS = {
+        multiple_choice: 'Multiple Choice',
+        true_false: 'True/False',
+        text_answer: 'Short Answer',
+        multiple_select: 'Multiple Select'
+    };
+
+    /**
+     * Starting counts for the mixed quiz distribution picker
+     */
+    const DEFAULT_TYPE_DISTRIBUTION = {
+        multiple_choice: 6,
+        true_false: 2,
+        text_answer: 2,
+        multiple_select: 0
+    };
+
+    /**
+     * Bloom's taxonomy levels questions can target, lowest first
+     */
+    const BLOOM_LEVEL_LABELS = {
+        remember: 'Remember',
+        understand: 'Understand',
+        apply: 'Apply',
+        analyze: 'Analyze'
+    };
+
+    /**
+     * Labels of the difficulty levels, easiest first
+     */
+    const DIFFICULTY_LABELS = {
+        easy: 'Easy',
+        medium: 'Medium',
+        hard: 'Hard'
+    };
+
+    /**
+     * Starting percentages for the difficulty mix picker
+     */
+    const DEFAULT_DIFFICULTY_MIX = {
+        easy: 30,
+        medium: 50,
+        hard: 20
+    };
+
+    /**
+     * Reduce question text to a form that ignores case and punctuation
+     * 
+     * @param {string} text - Question or statement text
+     * @return {string} Comparison key
+     */
+    function normalizeQuestionText(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
     /**
      * Quiz AI Modal class for generating quiz questions using AI
      * 
@@ -35,6 +96,46 @@
              */
             this.generatedQuestions = [];
             
+            /**
+             * @property {Array<boolean>} selectedQuestions - Whether each generated question will be inserted
+             */
+            this.selectedQuestions = [];
+            
+            /**
+             * @property {Object|null} qualityReview - Last quality review and the questions it covered
+             */
+            this.qualityReview = null;
+            
+            /**
+             * @property {Object|null} questionBank - Loaded bank search results and paging
+             */
+            this.questionBank = null;
+            
+            /**
+             * @property {number} bankSearchRequest - Counter used to drop responses to superseded bank searches
+             */
+            this.bankSearchRequest = 0;
+            
+            /**
+             * @property {Array<string>} existingQuestions - Texts of the questions already in the quiz
+             */
+            this.existingQuestions = [];
+            
+            /**
+             * @property {Set<string>} existingQuestionKeys - Normalized existing texts, for spotting duplicates
+             */
+            this.existingQuestionKeys = new Set();
+            
+            /**
+             * @property {string} generationDifficulty - Difficulty of the last generation, used to tag banked questions
+             */
+            this.generationDifficulty = 'medium';
+            
+            /**
+             * @property {Array<Object>} courseLessons - Lessons of the current course with their sections
+             */
+            this.courseLessons = [];
+            
             /**
              * @property {number|null} currentLessonId - Currently selected lesson ID
              */
@@ -473,6 +574,40 @@
             
             this.modalOpen = true;
             this.generatedQuestions = [];
+            this.selectedQuestions = [];
+            this.qualityReview = null;
+            this.questionBank = null;
+            
+            const bankTypeOptions = Object.entries(QUESTION_TYPE_LABELS)
+                .map(([type, label]) => `<option value="${type}">${label}</option>`)
+                .join('');
+            
+            const distributionRows = Object.entries(QUESTION_TYPE_LABELS).map(([type, label]) => `
+                <div class="mpcc-distribution-row">
+                    <label for="mpcc-distribution-${type}">${label}</label>
+                    <input type="number" id="mpcc-distribution-${type}" class="mpcc-input mpcc-distribution-count"
+                           data-type="${type}" value="${DEFAULT_TYPE_DISTRIBUTION[type]}" min="0" max="50">
+                </div>
+            `).join('');
+            
+            const bloomLevelChecks = Object.entries(BLOOM_LEVEL_LABELS).map(([level, label]) => `
+                <label class="mpcc-bloom-level">
+                    <input type="checkbox" class="mpcc-bloom-level-check" value="${level}">
+                    ${label}
+                </label>
+            `).join('');
+            
+            const difficultyRows = Object.entries(DIFFICULTY_LABELS).map(([difficulty, label]) => `
+                <div class="mpcc-distribution-row">
+                    <label for="mpcc-difficulty-${difficulty}">${label} (%)</label>
+                    <input type="number" id="mpcc-difficulty-${difficulty}" class="mpcc-input mpcc-difficulty-share"
+                           data-difficulty="${difficulty}" value="${DEFAULT_DIFFICULTY_MIX[difficulty]}" min="0" max="100">
+                </div>
+            `).join('');
+            
+            const levelOptions = Object.entries(BLOOM_LEVEL_LABELS)
+                .map(([level, label]) => `<option value="${level}">${label}</option>`)
+                .join('');
             
             // Create modal structure
             const modalHtml = `
@@ -486,51 +621,176 @@
                         </div>
                         
                         <div class="mpcc-modal-body">
-                            <div class="mpcc-modal-section">
-                                <label for="mpcc-modal-lesson-select" class="mpcc-label">
-                                    Select Lesson for Quiz Content
-                                </label>
-                                <select id="mpcc-modal-lesson-select" class="mpcc-select">
-                                    <option value="">Loading lessons...</option>
-                                </select>
-                                <div id="mpcc-lesson-select-error" class="mpcc-field-error" role="alert" style="display: none; color: #dc3545; font-size: 13px; margin-top: 5px;"></div>
-                                <div id="mpcc-course-context" style="margin-top: 5px; font-size: 12px; color: #666;"></div>
+                            <div class="mpcc-modal-tabs" role="tablist" aria-label="How to add questions">
+                                <button type="button" id="mpcc-tab-generate-button" class="mpcc-modal-tab is-active" role="tab" data-tab="generate" aria-selected="true" aria-controls="mpcc-tab-generate">
+                                    Generate with AI
+                                </button>
+                                <button type="button" id="mpcc-tab-import-button" class="mpcc-modal-tab" role="tab" data-tab="import" aria-selected="false" aria-controls="mpcc-tab-import" tabindex="-1">
+                                    Import
+                                </button>
                             </div>
                             
-                            <div class="mpcc-modal-section">
-                                <label for="mpcc-modal-question-type" class="mpcc-label">
-                                    Question Type
-                                </label>
-                                <select id="mpcc-modal-question-type" class="mpcc-select">
-                                    <option value="multiple_choice">Multiple Choice</option>
-                                    <option value="true_false">True/False</option>
-                                    <option value="text_answer">Short Answer</option>
-                                    <option value="multiple_select">Multiple Select</option>
-                                </select>
-                            </div>
+                            <div id="mpcc-tab-generate" class="mpcc-tab-panel" role="tabpanel" aria-labelledby="mpcc-tab-generate-button">
+                                <p id="mpcc-existing-questions" class="mpcc-existing-questions" style="display: none;"></p>
+                                
+                                <div class="mpcc-modal-section">
+                                    <label for="mpcc-modal-lesson-select" class="mpcc-label">
+                                        Select Lesson for Quiz Content
+                                    </label>
+                                    <select id="mpcc-modal-lesson-select" class="mpcc-select">
+                                        <option value="">Loading lessons...</option>
+                                    </select>
+                                    <div id="mpcc-lesson-select-error" class="mpcc-field-error" role="alert" style="display: none; color: #dc3545; font-size: 13px; margin-top: 5px;"></div>
+                                    <div id="mpcc-course-context" style="margin-top: 5px; font-size: 12px; color: #666;"></div>
+                                    <label class="mpcc-multi-lesson-toggle">
+                                        <input type="checkbox" id="mpcc-multi-lesson">
+                                        Use several lessons (e.g. for an end-of-module quiz)
+                                    </label>
+                                    <div id="mpcc-lesson-picker" class="mpcc-lesson-picker" style="display: none;">
+                                        <div id="mpcc-lesson-picker-list" class="mpcc-lesson-picker-list" role="group" aria-label="Lessons to include"></div>
+                                        <fieldset class="mpcc-allocation">
+                                            <legend class="screen-reader-text">How to spread questions over the lessons</legend>
+                                            <label>
+                                                <input type="radio" name="mpcc-allocation" value="per_lesson" checked>
+                                                The same number from each lesson:
+                                            </label>
+                                            <input type="number" id="mpcc-questions-per-lesson" class="mpcc-input" value="3" min="1" max="50" aria-label="Questions per lesson">
+                                            <label>
+                                                <input type="radio" name="mpcc-allocation" value="weighted">
+                                                Split the number of questions by lesson length
+                                            </label>
+                                        </fieldset>
+                                        <div id="mpcc-lesson-picker-summary" class="mpcc-lesson-picker-summary" aria-live="polite"></div>
+                                    </div>
+                                    <div id="mpcc-lesson-picker-error" class="mpcc-field-error" role="alert" style="display: none; color: #dc3545; font-size: 13px; margin-top: 5px;"></div>
+                                </div>
                             
-                            <div class="mpcc-modal-section">
-                                <label for="mpcc-modal-question-count" class="mpcc-label">
-                                    Number of Questions
-                                </label>
-                                <input type="number" id="mpcc-modal-question-count" class="mpcc-input" 
-                                       value="10" min="1" max="50">
-                                <div id="mpcc-question-count-error" class="mpcc-field-error" role="alert" style="display: none; color: #dc3545; font-size: 13px; margin-top: 5px;"></div>
-                            </div>
+                                <div class="mpcc-modal-section">
+                                    <label for="mpcc-modal-question-type" class="mpcc-label">
+                                        Question Type
+                                    </label>
+                                    <select id="mpcc-modal-question-type" class="mpcc-select">
+                                        <option value="multiple_choice">Multiple Choice</option>
+                                        <option value="true_false">True/False</option>
+                                        <option value="text_answer">Short Answer</option>
+                                        <option value="multiple_select">Multiple Select</option>
+                                        <option value="mixed">Mixed (choose how many of each)</option>
+                                    </select>
+                                    <fieldset id="mpcc-type-distribution" class="mpcc-type-distribution" style="display: none;">
+                                        <legend class="screen-reader-text">Number of questions per type</legend>
+                                        ${distributionRows}
+                                        <div id="mpcc-distribution-total" class="mpcc-distribution-total"></div>
+                                    </fieldset>
+                                    <div id="mpcc-type-distribution-error" class="mpcc-field-error" role="alert" style="display: none; color: #dc3545; font-size: 13px; margin-top: 5px;"></div>
+                                </div>
+                            
+                                <div class="mpcc-modal-section mpcc-question-count-section">
+                                    <label for="mpcc-modal-question-count" class="mpcc-label">
+                                        Number of Questions
+                                    </label>
+                                    <input type="number" id="mpcc-modal-question-count" class="mpcc-input" 
+                                           value="10" min="1" max="50">
+                                    <div id="mpcc-question-count-error" class="mpcc-field-error" role="alert" style="display: none; color: #dc3545; font-size: 13px; margin-top: 5px;"></div>
+                                </div>
+                            
+                                <div class="mpcc-modal-section mpcc-level-targets">
+                                    <fieldset id="mpcc-bloom-levels" class="mpcc-bloom-levels">
+                                        <legend class="mpcc-label">Bloom's Levels</legend>
+                                        ${bloomLevelChecks}
+                                        <p class="mpcc-field-help">Leave all unchecked to let the AI choose.</p>
+                                    </fieldset>
+                                    <fieldset id="mpcc-difficulty-mix" class="mpcc-difficulty-mix">
+                                        <legend class="mpcc-label">Difficulty Mix</legend>
+                                        ${difficultyRows}
+                                        <div id="mpcc-difficulty-total" class="mpcc-distribution-total">Total: 100%</div>
+                                    </fieldset>
+                                </div>
+                            
+                                <div class="mpcc-modal-section">
+                                    <label for="mpcc-quiz-prompt" class="mpcc-label">
+                                        Additional Instructions (Optional)
+                                    </label>
+                                    <textarea id="mpcc-quiz-prompt" class="mpcc-textarea" rows="3" 
+                                              placeholder="e.g., Focus on key concepts, make questions challenging..."></textarea>
+                                </div>
+                            
+                                <div class="mpcc-modal-actions">
+                                    <button type="button" id="mpcc-generate-quiz" class="button button-primary" aria-label="Generate quiz questions based on selected lesson">
+                                        <span class="dashicons dashicons-lightbulb" aria-hidden="true"></span>
+                                        Generate Questions
+                                    </button>
+                                    <button type="button" id="mpcc-open-bank" class="button" aria-expanded="false" aria-controls="mpcc-question-bank">
+                                        <span class="dashicons dashicons-archive" aria-hidden="true"></span>
+                                        Browse Question Bank
+                                    </button>
+                                </div>
                             
-                            <div class="mpcc-modal-section">
-                                <label for="mpcc-quiz-prompt" class="mpcc-label">
-                                    Additional Instructions (Optional)
-                                </label>
-                                <textarea id="mpcc-quiz-prompt" class="mpcc-textarea" rows="3" 
-                                          placeholder="e.g., Focus on key concepts, make questions challenging..."></textarea>
+                                <div id="mpcc-question-bank" class="mpcc-question-bank" style="display: none;">
+                                    <h3>Question Bank</h3>
+                                    <div class="mpcc-bank-filters">
+                                        <label for="mpcc-bank-search" class="screen-reader-text">Search saved questions</label>
+                                        <input type="search" id="mpcc-bank-search" class="mpcc-input" placeholder="Search saved questions...">
+                                        <select id="mpcc-bank-type" class="mpcc-select" aria-label="Filter by question type">
+                                            <option value="">All types</option>
+                                            ${bankTypeOptions}
+                                        </select>
+                                        <select id="mpcc-bank-difficulty" class="mpcc-select" aria-label="Filter by difficulty">
+                                            <option value="">Any difficulty</option>
+                                            <option value="easy">Easy</option>
+                                            <option value="medium">Medium</option>
+                                            <option value="hard">Hard</option>
+                                        </select>
+                                        <select id="mpcc-bank-scope" class="mpcc-select" aria-label="Filter by where the questions were saved from">
+                                            <option value="course">This course</option>
+                                            <option value="lesson">Selected lesson</option>
+                                            <option value="">All courses</option>
+                                        </select>
+                                        <button type="button" id="mpcc-bank-search-submit" class="button">Search</button>
+                                    </div>
+                                    <div id="mpcc-bank-results" class="mpcc-bank-results" aria-live="polite"></div>
+                                    <div class="mpcc-bank-actions">
+                                        <button type="button" id="mpcc-bank-add" class="button button-primary" disabled>Add Selected to Quiz</button>
+                                        <button type="button" id="mpcc-bank-more" class="button" style="display: none;">Load More</button>
+                                    </div>
+                                </div>
                             </div>
                             
-                            <div class="mpcc-modal-actions">
-                                <button type="button" id="mpcc-generate-quiz" class="button button-primary" aria-label="Generate quiz questions based on selected lesson">
-                                    <span class="dashicons dashicons-lightbulb" aria-hidden="true"></span>
-                                    Generate Questions
-                                </button>
+                            <div id="mpcc-tab-import" class="mpcc-tab-panel" role="tabpanel" aria-labelledby="mpcc-tab-import-button" hidden>
+                                <div class="mpcc-modal-section">
+                                    <label for="mpcc-import-format" class="mpcc-label">
+                                        Format
+                                    </label>
+                                    <select id="mpcc-import-format" class="mpcc-select">
+                                        <option value="auto">Detect automatically</option>
+                                        <option value="gift">GIFT (Moodle)</option>
+                                        <option value="aiken">Aiken</option>
+                                        <option value="csv">CSV (spreadsheet)</option>
+                                    </select>
+                                </div>
+                                
+                                <div class="mpcc-modal-section">
+                                    <label for="mpcc-import-text" class="mpcc-label">
+                                        Questions to Import
+                                    </label>
+                                    <textarea id="mpcc-import-text" class="mpcc-textarea mpcc-import-text" rows="10" spellcheck="false"
+                                              placeholder="Paste GIFT, Aiken or CSV questions here, or load a file below"></textarea>
+                                    <div class="mpcc-import-file">
+                                        <label for="mpcc-import-file">Load from file:</label>
+                                        <input type="file" id="mpcc-import-file" accept=".txt,.gift,.csv,text/plain,text/csv">
+                                    </div>
+                                    <p class="mpcc-import-help">
+                                        CSV files need a header row with the columns type, question, option_a to option_f, correct and explanation.
+                                    </p>
+                                </div>
+                                
+                                <div class="mpcc-modal-actions">
+                                    <button type="button" id="mpcc-import-preview" class="button button-primary">
+                                        <span class="dashicons dashicons-upload" aria-hidden="true"></span>
+                                        Preview Import
+                                    </button>
+                                </div>
+                                
+                                <div id="mpcc-import-errors" class="mpcc-import-errors" role="alert" style="display: none;"></div>
                             </div>
                             
                             <div id="mpcc-modal-error" class="notice notice-error" style="display: none; margin-top: 20px;">
@@ -539,8 +799,21 @@
                             </div>
                             
                             <div id="mpcc-quiz-results" style="display: none; margin-top: 20px;">
-                                <h3>Generated Questions</h3>
+                                <h3>Generated Questions <span id="mpcc-questions-selection" class="mpcc-questions-selection"></span></h3>
                                 <div id="mpcc-questions-preview"></div>
+                                <div id="mpcc-level-balance" class="mpcc-level-balance">
+                                    <div id="mpcc-level-summary" class="mpcc-level-summary" aria-live="polite"></div>
+                                    <div class="mpcc-rebalance">
+                                        <label for="mpcc-rebalance-count">Replace</label>
+                                        <input type="number" id="mpcc-rebalance-count" class="mpcc-input" value="2" min="1" max="10">
+                                        <label for="mpcc-rebalance-level">questions with more</label>
+                                        <select id="mpcc-rebalance-level" class="mpcc-select">
+                                            ${levelOptions}
+                                        </select>
+                                        <button type="button" id="mpcc-rebalance" class="button">Rebalance</button>
+                                    </div>
+                                </div>
+                                <div id="mpcc-quality-report" class="mpcc-quality-report" style="display: none;" aria-live="polite"></div>
                                 <div class="mpcc-modal-actions" style="margin-top: 20px;">
                                     <button type="button" id="mpcc-apply-questions" class="button button-primary" aria-label="Apply generated questions to the quiz">
                                         Apply Questions
@@ -548,6 +821,24 @@
                                     <button type="button" id="mpcc-copy-questions" class="button" aria-label="Copy generated questions to clipboard">
                                         Copy to Clipboard
                                     </button>
+                                    <span class="mpcc-export-controls">
+                                        <label for="mpcc-export-format" class="screen-reader-text">Export format</label>
+                                        <select id="mpcc-export-format">
+                                            <option value="gift">GIFT (Moodle)</option>
+                                            <option value="qti">QTI 2.1 package</option>
+                                            <option value="csv">CSV spreadsheet</option>
+                                        </select>
+                                        <button type="button" id="mpcc-export-questions" class="button" aria-label="Download the selected questions in the chosen format">
+                                            <span class="dashicons dashicons-download" aria-hidden="true"></span>
+                                            Export
+                                        </button>
+                                    </span>
+                                    <button type="button" id="mpcc-review-quality" class="button" aria-label="Check the generated questions for quality problems">
+                                        Review Quality
+                                    </button>
+                                    <button type="button" id="mpcc-save-to-bank" class="button" aria-label="Save the selected questions to the question bank for reuse">
+                                        Save Selected to Bank
+                                    </button>
                                     <button type="button" id="mpcc-regenerate" class="button" aria-label="Generate new set of questions">
                                         Regenerate
                                     </button>
@@ -813,6 +1104,9 @@
             // Bind events
             this.bindModalEvents();
             
+            // New questions should not repeat what the quiz already asks
+            this.syncExistingQuestions();
+            
             // Start monitoring for lesson changes
             this.startLessonMonitoring();
             
@@ -836,6 +1130,69 @@
             this.logger?.log('Modal opened');
         }
         
+        /**
+         * Read the questions already in the quiz from the editor
+         * 
+         * Question blocks only hold a question ID; the text lives in the
+         * question store, under the ID for saved questions and under the
+         * block's client ID for placeholders that were never saved.
+         * 
+         * @return {Array<string>} Question texts in block order, without duplicates
+         */
+        getExistingQuizQuestions() {
+            const editor = wp.data.select('core/block-editor');
+            if (!editor || !editor.getBlocks) return [];
+            
+            const store = wp.data.select('memberpress/course/question');
+            const saved = (store && store.getQuestions && store.getQuestions()) || {};
+            const placeholders = (store && store.getPlaceholders && store.getPlaceholders()) || {};
+            const texts = [];
+            
+            const collect = (blocks) => blocks.forEach(block => {
+                if (block.name && block.name.includes('question')) {
+                    const data = saved[block.attributes?.questionId] || placeholders[block.clientId] || {};
+                    const html = String(data.question || data.statement || '');
+                    const text = new DOMParser().parseFromString(html, 'text/html').body.textContent.trim();
+                    if (text && !texts.includes(text)) {
+                        texts.push(text);
+                    }
+                }
+                if (block.innerBlocks && block.innerBlocks.length) {
+                    collect(block.innerBlocks);
+                }
+            });
+            
+            collect(editor.getBlocks() || []);
+            
+            return texts;
+        }
+        
+        /**
+         * Remember the quiz's current questions and tell the user about them
+         * 
+         * @return {void}
+         */
+        syncExistingQuestions() {
+            this.existingQuestions = this.getExistingQuizQuestions();
+            this.existingQuestionKeys = new Set(this.existingQuestions.map(normalizeQuestionText));
+            
+            const count = this.existingQuestions.length;
+            $('#mpcc-existing-questions')
+                .text(count ? `This quiz already has ${count} ${count === 1 ? 'question' : 'questions'}. New questions will not repeat them.` : '')
+                .toggle(count > 0);
+        }
+        
+        /**
+         * Check whether a question is already in the quiz
+         * 
+         * @param {Object} question - Question object
+         * @return {boolean} Whether the quiz asks the same question
+         */
+        isExistingQuestion(question) {
+            const key = normalizeQuestionText(question.statement || question.question);
+            return key !== '' && this.existingQuestionKeys.has(key);
+        }
+        
         /**
          * Safe wrapper for MPCCAccessibility methods
          * @private
@@ -931,6 +1288,9 @@
                 '#mpcc-generate-quiz',
                 '#mpcc-apply-questions',
                 '#mpcc-copy-questions',
+                '#mpcc-export-format',
+                '#mpcc-export-questions',
+                '#mpcc-review-quality',
                 '#mpcc-regenerate',
                 '.mpcc-modal-close'
             ];
@@ -962,6 +1322,9 @@
             
             // Keyboard navigation for question items
             $(document).on('keydown', '.mpcc-question-item', (e) => {
+                // Keys pressed inside the inline editor belong to its fields
+                if (e.target !== e.currentTarget) return;
+                
                 const $item = $(e.currentTarget);
                 const $items = $('.mpcc-question-item');
                 const currentIndex = $items.index($item);
@@ -983,8 +1346,21 @@
                         }
                         break;
                         
-                    case 'Enter':
                     case ' ':
+                        e.preventDefault();
+                        const index = this.getQuestionIndex($item);
+                        this.toggleQuestionSelection(index, this.selectedQuestions[index] === false);
+                        break;
+                        
+                    case 'r':
+                    case 'R':
+                        if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+                            e.preventDefault();
+                            this.toggleRegenerateForm(this.getQuestionIndex($item));
+                        }
+                        break;
+                        
+                    case 'Enter':
                         e.preventDefault();
                         // Expand/collapse question details if applicable
                         const $details = $item.find('.mpcc-question-details');
@@ -999,16 +1375,8 @@
                     case 'Delete':
                         if (e.shiftKey) {
                             e.preventDefault();
-                            // Remove question from preview
-                            const questionNum = currentIndex + 1;
-                            $item.fadeOut(() => {
-                                $item.remove();
-                                this._a11y('announce', `Question ${questionNum} removed`);
-                                // Update remaining question numbers
-                                $('.mpcc-question-number').each((i, elem) => {
-                                    $(elem).text(`Question ${i + 1}`);
-                                });
-                            });
+                            // Discard the question so it is not inserted either
+                            this.discardQuestion(this.getQuestionIndex($item));
                         }
                         break;
                 }
@@ -1058,6 +1426,7 @@
             
             // Initialize loading state in the lesson selector
             const $select = $('#mpcc-modal-lesson-select');
+            this.courseLessons = [];
             $select.empty().append('<option value="">Loading lessons...</option>');
             
             // Resolve pending course ID if no explicit context exists
@@ -1185,6 +1554,7 @@
                     // Validate response structure follows WordPress AJAX standards
                     if (response.success && response.data.lessons) {
                         const lessons = response.data.lessons;
+                        this.courseLessons = lessons;
                         
                         // Clear any previous validation errors
                         this.clearFieldError('mpcc-modal-lesson-select');
@@ -1204,6 +1574,11 @@
                             this.showCourseContext(response.data.course_title);
                         }
                         
+                        if (this.isMultiLesson()) {
+                            this.renderLessonPicker();
+                            this.updateLessonModeControls();
+                        }
+                        
                         // Announce lesson count for screen readers
                         this._a11y('announce', `${lessons.length} lessons available`);
                         
@@ -1477,6 +1852,11 @@
                 const title = lesson.title.rendered || lesson.title;
                 $select.append(`<option value="${lesson.id}" ${selected}>${title}</option>`);
             });
+            
+            if (this.isMultiLesson()) {
+                this.renderLessonPicker();
+                this.updateLessonModeControls();
+            }
         }
         
         /**
@@ -1540,6 +1920,40 @@
                 }
             });
             
+            // Switch between generating and importing questions
+            $('.mpcc-modal-tabs')
+                .on('click', '.mpcc-modal-tab', (e) => {
+                    this.switchModalTab($(e.currentTarget).attr('data-tab'));
+                })
+                .on('keydown', '.mpcc-modal-tab', (e) => {
+                    const $tabs = $('.mpcc-modal-tab');
+                    const current = $tabs.index(e.currentTarget);
+                    const next = {
+                        ArrowRight: (current + 1) % $tabs.length,
+                        ArrowLeft: (current - 1 + $tabs.length) % $tabs.length,
+                        Home: 0,
+                        End: $tabs.length - 1
+                    }[e.key];
+                    if (next === undefined) return;
+                    
+                    e.preventDefault();
+                    this.switchModalTab($tabs.eq(next).attr('data-tab'));
+                    $tabs.eq(next).focus();
+                });
+            
+            // Import questions from GIFT, Aiken or CSV
+            $('#mpcc-import-preview').on('click', () => {
+                this.previewImport();
+            });
+            
+            $('#mpcc-import-file').on('change', (e) => {
+                this.loadImportFile(e.currentTarget.files[0]);
+            });
+            
+            $('#mpcc-import-errors').on('click', '.mpcc-import-error-line', (e) => {
+                this.selectImportLine(parseInt($(e.currentTarget).attr('data-line'), 10));
+            });
+            
             // Generate button
             $('#mpcc-generate-quiz').on('click', () => {
                 this.generateQuestions('medium');
@@ -1562,11 +1976,114 @@
                 this.copyQuestions();
             });
             
+            // Download questions as GIFT, QTI or CSV
+            $('#mpcc-export-questions').on('click', () => {
+                this.exportQuestions($('#mpcc-export-format').val());
+            });
+            
             // Regenerate
             $('#mpcc-regenerate').on('click', () => {
                 this.generateQuestions('medium');
             });
             
+            // Quality review and its one-click fixes
+            $('#mpcc-review-quality').on('click', () => {
+                this.reviewQuality();
+            });
+            
+            $('#mpcc-quality-report')
+                .on('click', '.mpcc-quality-fix', (e) => {
+                    this.applyQualityFix(parseInt($(e.currentTarget).closest('.mpcc-quality-issue').data('issue'), 10));
+                })
+                .on('click', '.mpcc-quality-fix-all', () => {
+                    this.fixAllQualityIssues();
+                })
+                .on('click', '.mpcc-quality-refresh', () => {
+                    this.reviewQuality();
+                });
+            
+            // Question bank: save previewed questions, browse and insert saved ones
+            $('#mpcc-save-to-bank').on('click', () => {
+                this.saveQuestionsToBank(this.generatedQuestions.filter((question, index) => this.selectedQuestions[index] !== false));
+            });
+            
+            $('#mpcc-open-bank').on('click', () => {
+                this.toggleQuestionBank(!$('#mpcc-question-bank').is(':visible'));
+            });
+            
+            $('#mpcc-question-bank')
+                .on('click', '#mpcc-bank-search-submit', () => {
+                    this.searchQuestionBank();
+                })
+                .on('keydown', '#mpcc-bank-search', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        this.searchQuestionBank();
+                    }
+                })
+                .on('change', '#mpcc-bank-type, #mpcc-bank-difficulty, #mpcc-bank-scope', () => {
+                    this.searchQuestionBank();
+                })
+                .on('click', '#mpcc-bank-more', () => {
+                    this.searchQuestionBank(this.questionBank.page + 1);
+                })
+                .on('change', '.mpcc-bank-pick', () => {
+                    this.updateBankSelection();
+                })
+                .on('click', '#mpcc-bank-add', () => {
+                    this.addBankQuestions();
+                })
+                .on('click', '.mpcc-bank-delete', (e) => {
+                    this.deleteBankQuestion(parseInt($(e.currentTarget).closest('.mpcc-bank-item').attr('data-id'), 10));
+                });
+            
+            // Inline question editing
+            $('#mpcc-questions-preview')
+                .on('click', '.mpcc-question-edit', (e) => {
+                    this.editQuestion(this.getQuestionIndex(e.currentTarget));
+                })
+                .on('click', '.mpcc-question-save', (e) => {
+                    this.saveQuestionEdit(this.getQuestionIndex(e.currentTarget));
+                })
+                .on('click', '.mpcc-question-cancel', (e) => {
+                    this.cancelQuestionEdit(this.getQuestionIndex(e.currentTarget));
+                })
+                .on('change', '.mpcc-edit-type', (e) => {
+                    this.changeQuestionType(this.getQuestionIndex(e.currentTarget), $(e.currentTarget).val());
+                })
+                .on('click', '.mpcc-edit-add-option', (e) => {
+                    this.addQuestionOption(this.getQuestionIndex(e.currentTarget));
+                })
+                .on('click', '.mpcc-edit-remove-option', (e) => {
+                    this.removeQuestionOption(e.currentTarget);
+                })
+                .on('change', '.mpcc-question-select', (e) => {
+                    this.toggleQuestionSelection(this.getQuestionIndex(e.currentTarget), e.currentTarget.checked);
+                })
+                .on('click', '.mpcc-question-discard', (e) => {
+                    this.discardQuestion(this.getQuestionIndex(e.currentTarget));
+                })
+                .on('click', '.mpcc-question-bank-save', (e) => {
+                    this.saveQuestionsToBank([this.generatedQuestions[this.getQuestionIndex(e.currentTarget)]]);
+                })
+                .on('click', '.mpcc-question-regenerate', (e) => {
+                    this.toggleRegenerateForm(this.getQuestionIndex(e.currentTarget));
+                })
+                .on('click', '.mpcc-regenerate-submit', (e) => {
+                    const $item = $(e.currentTarget).closest('.mpcc-question-item');
+                    this.regenerateQuestion(this.getQuestionIndex(e.currentTarget), $item.find('.mpcc-regenerate-hint').val().trim());
+                })
+                .on('keydown', '.mpcc-regenerate-hint', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        this.regenerateQuestion(this.getQuestionIndex(e.currentTarget), $(e.currentTarget).val().trim());
+                    } else if (e.key === 'Escape') {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        this.toggleRegenerateForm(this.getQuestionIndex(e.currentTarget));
+                    }
+                });
+            
             // Clear validation errors on field changes
             $('#mpcc-modal-lesson-select').on('change', () => {
                 if ($('#mpcc-modal-lesson-select').val()) {
@@ -1579,8 +2096,56 @@
                 if (value >= 1 && value <= 50) {
                     this.clearFieldError('mpcc-modal-question-count');
                 }
+                this.updateLessonModeControls();
+            });
+            
+            // Mixed quizzes pick a count per question type
+            $('#mpcc-modal-question-type').on('change', () => {
+                this.toggleTypeDistribution();
+            });
+            
+            $('#mpcc-type-distribution').on('input change', '.mpcc-distribution-count', () => {
+                const total = this.updateDistributionTotal();
+                if (total >= 1 && total <= 50) {
+                    this.clearFieldError('mpcc-type-distribution');
+                }
+                this.updateLessonModeControls();
+            });
+            
+            $('#mpcc-difficulty-mix').on('input change', '.mpcc-difficulty-share', () => {
+                this.updateDifficultyMixTotal();
+            });
+            
+            // Swap a few questions for ones at another Bloom's level
+            $('#mpcc-rebalance').on('click', () => {
+                this.rebalanceLevels(
+                    String($('#mpcc-rebalance-level').val()),
+                    parseInt($('#mpcc-rebalance-count').val(), 10) || 1
+                );
+            });
+            
+            // Quizzes drawn from several lessons
+            $('#mpcc-multi-lesson').on('change', (e) => {
+                this.toggleMultiLesson(e.currentTarget.checked);
             });
             
+            $('#mpcc-lesson-picker')
+                .on('change', '.mpcc-section-toggle', (e) => {
+                    this.toggleSectionLessons(String($(e.currentTarget).attr('data-section')), e.currentTarget.checked);
+                })
+                .on('change', '.mpcc-lesson-pick, input[name="mpcc-allocation"]', () => {
+                    this.clearFieldError('mpcc-lesson-picker');
+                    this.updateLessonModeControls();
+                })
+                .on('input change', '#mpcc-questions-per-lesson', () => {
+                    this.updateLessonModeControls();
+                })
+                .on('click', '.mpcc-lesson-picker-all', () => {
+                    const $picks = $('#mpcc-lesson-picker .mpcc-lesson-pick');
+                    $picks.prop('checked', $picks.not(':checked').length > 0);
+                    this.updateLessonModeControls();
+                });
+            
             // Initialize keyboard navigation
             this.initializeKeyboardNavigation();
         }
@@ -1596,6 +2161,9 @@
             
             // Clear question count
             this.clearFieldError('mpcc-modal-question-count');
+            
+            // Clear mixed quiz distribution
+            this.clearFieldError('mpcc-type-distribution');
         }
         
         /**
@@ -1619,57 +2187,345 @@
             // Announce that error has been cleared (optional)
             // this._a11y('announce', 'Error cleared');
         }
+        
         /**
-         * Generate quiz questions with comprehensive input validation
-         * 
-         * This method orchestrates the quiz generation process with extensive
-         * validation, error handling, and user feedback. It ensures all required
-         * inputs are valid before making expensive AI generation requests.
+         * Show the per-type counts when a mixed quiz is chosen
          * 
-         * Input Validation Chain:
-         * 1. Lesson Selection: Must have valid lesson ID selected
-         * 2. Question Count: Must be positive integer within reasonable bounds
-         * 3. Question Type: Must be supported type (multiple_choice, true_false, etc.)
-         * 4. Custom Prompt: Optional but validated for length/content if provided
+         * @return {void}
+         */
+        toggleTypeDistribution() {
+            const mixed = $('#mpcc-modal-question-type').val() === 'mixed';
+            
+            $('#mpcc-type-distribution').toggle(mixed);
+            this.updateLessonModeControls();
+            this.clearFieldError('mpcc-type-distribution');
+            
+            if (mixed) {
+                this.updateDistributionTotal();
+            }
+        }
+        
+        /**
+         * Read the number of questions wanted per type
          * 
-         * UI State Management:
-         * - Disables generation button during processing (prevents double-submission)
-         * - Shows loading spinner with progress message
-         * - Hides previous results to avoid confusion
-         * - Restores button state regardless of success/failure
+         * @return {Object<string, number>} Counts keyed by question type, zero counts left out
+         */
+        getTypeDistribution() {
+            const distribution = {};
+            
+            $('#mpcc-type-distribution .mpcc-distribution-count').each((i, input) => {
+                const count = parseInt($(input).val(), 10) || 0;
+                if (count > 0) {
+                    distribution[$(input).attr('data-type')] = count;
+                }
+            });
+            
+            return distribution;
+        }
+        
+        /**
+         * Refresh the total shown under the distribution picker
          * 
-         * AJAX Request Validation:
-         * - Validates configuration object exists (mpcc_ajax)
-         * - Includes security nonce with every request
-         * - Structures options as JSON for complex data transmission
+         * @return {number} Total number of questions
+         */
+        updateDistributionTotal() {
+            const total = Object.values(this.getTypeDistribution()).reduce((sum, count) => sum + count, 0);
+            $('#mpcc-distribution-total').text(`Total: ${total} ${total === 1 ? 'question' : 'questions'}`);
+            return total;
+        }
+        
+        /**
+         * Read the Bloom's levels the quiz should target
          * 
-         * Error Response Analysis:
-         * The method analyzes different error types and provides specific guidance:
-         * - 400 errors: Validation failures, malformed requests
-         * - 403 errors: Security/permission issues
-         * - 500 errors: Server-side processing failures
-         * - Network errors: Connectivity or timeout issues
+         * @return {string[]} Checked levels, empty when the AI may choose
+         */
+        getBloomLevels() {
+            return $('#mpcc-bloom-levels .mpcc-bloom-level-check:checked')
+                .map((i, input) => $(input).val())
+                .get()
+                .filter(level => BLOOM_LEVEL_LABELS[level]);
+        }
+        
+        /**
+         * Read the share of questions wanted at each difficulty
          * 
-         * Response Structure Validation:
-         * - Checks response.success flag (WordPress standard)
-         * - Validates response.data.questions array exists
-         * - Extracts nested suggestion data from complex error responses
+         * @return {Object<string, number>} Percentages keyed by difficulty, zero shares left out
+         */
+        getDifficultyMix() {
+            const mix = {};
+            
+            $('#mpcc-difficulty-mix .mpcc-difficulty-share').each((i, input) => {
+                const share = parseInt($(input).val(), 10) || 0;
+                if (share > 0) {
+                    mix[$(input).attr('data-difficulty')] = share;
+                }
+            });
+            
+            return mix;
+        }
+        
+        /**
+         * Refresh the total shown under the difficulty mix
          * 
-         * User Feedback Strategy:
-         * - Immediate validation feedback (before AJAX call)
-         * - Progress feedback during generation
-         * - Success feedback with question preview
-         * - Detailed error messages with actionable suggestions
+         * The server scales the shares, so a total other than 100% is only
+         * flagged, never rejected.
          * 
-         * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
-         * @return {void}
+         * @return {number} Sum of the shares
          */
-        generateQuestions(difficulty = 'medium') {
+        updateDifficultyMixTotal() {
+            const total = Object.values(this.getDifficultyMix()).reduce((sum, share) => sum + share, 0);
+            $('#mpcc-difficulty-total')
+                .text(`Total: ${total}%`)
+                .toggleClass('is-off', total !== 100);
+            return total;
+        }
+        
+        /**
+         * Switch between a single lesson and a set of lessons as the quiz source
+         * 
+         * @param {boolean} enabled - Whether several lessons are used
+         * @return {void}
+         */
+        toggleMultiLesson(enabled) {
+            if (enabled) {
+                this.renderLessonPicker();
+            }
+            
+            this.clearFieldError('mpcc-modal-lesson-select');
+            this.clearFieldError('mpcc-lesson-picker');
+            this.updateLessonModeControls();
+        }
+        
+        /**
+         * Lessons that can be picked for a multi-lesson quiz
+         * 
+         * Course lessons come with their sections; without course context the
+         * options of the lesson dropdown are offered instead.
+         * 
+         * @return {Array<Object>} Lessons with id, title, sectionId and sectionTitle
+         */
+        getPickerLessons() {
+            if (this.courseLessons.length) {
+                return this.courseLessons;
+            }
+            
+            return $('#mpcc-modal-lesson-select option').get()
+                .filter(option => /^\d+$/.test(option.value))
+                .map(option => ({ id: parseInt(option.value, 10), title: $(option).text(), sectionId: '', sectionTitle: '' }));
+        }
+        
+        /**
+         * Render the lesson checklist, grouped by course section
+         * 
+         * @return {void}
+         */
+        renderLessonPicker() {
+            const escape = (text) => this.escapeHtml(text);
+            const preselected = parseInt($('#mpcc-modal-lesson-select').val(), 10) || this.currentLessonId;
+            const sections = [];
+            
+            this.getPickerLessons().forEach(lesson => {
+                const sectionId = lesson.sectionId ? String(lesson.sectionId) : '';
+                let section = sections.find(candidate => candidate.id === sectionId);
+                if (!section) {
+                    section = { id: sectionId, title: lesson.sectionTitle, lessons: [] };
+                    sections.push(section);
+                }
+                section.lessons.push(lesson);
+            });
+            
+            if (!sections.length) {
+                $('#mpcc-lesson-picker-list').html('<p class="mpcc-lesson-picker-empty">No lessons available.</p>');
+                return;
+            }
+            
+            let html = '<button type="button" class="button-link mpcc-lesson-picker-all">Select all lessons</button>';
+            sections.forEach((section, index) => {
+                html += '<div class="mpcc-lesson-picker-section">';
+                if (section.id) {
+                    html += `<label class="mpcc-lesson-picker-section-title">
+                        <input type="checkbox" class="mpcc-section-toggle" data-section="${escape(section.id)}">
+                        ${escape(section.title || `Section ${index + 1}`)}
+                    </label>`;
+                }
+                html += '<ul>';
+                section.lessons.forEach(lesson => {
+                    const checked = parseInt(lesson.id, 10) === preselected ? 'checked' : '';
+                    html += `<li><label>
+                        <input type="checkbox" class="mpcc-lesson-pick" value="${escape(lesson.id)}" data-section="${escape(section.id)}" ${checked}>
+                        ${escape(lesson.title)}
+                    </label></li>`;
+                });
+                html += '</ul></div>';
+            });
+            
+            $('#mpcc-lesson-picker-list').html(html);
+        }
+        
+        /**
+         * Pick or unpick every lesson of a section
+         * 
+         * @param {string} sectionId - Section ID
+         * @param {boolean} checked - Whether the lessons are included
+         * @return {void}
+         */
+        toggleSectionLessons(sectionId, checked) {
+            $('#mpcc-lesson-picker .mpcc-lesson-pick')
+                .filter((i, input) => $(input).attr('data-section') === sectionId)
+                .prop('checked', checked);
+            this.clearFieldError('mpcc-lesson-picker');
+            this.updateLessonModeControls();
+        }
+        
+        /**
+         * Get the IDs of the lessons picked for a multi-lesson quiz
+         * 
+         * @return {Array<number>} Lesson IDs in course order
+         */
+        getSelectedLessonIds() {
+            return $('#mpcc-lesson-picker .mpcc-lesson-pick:checked').get()
+                .map(input => parseInt(input.value, 10))
+                .filter(id => id > 0);
+        }
+        
+        /**
+         * Whether the quiz is drawn from the lesson checklist
+         * 
+         * @return {boolean}
+         */
+        isMultiLesson() {
+            return $('#mpcc-multi-lesson').is(':checked');
+        }
+        
+        /**
+         * Number of questions the current settings will generate
+         * 
+         * @return {number} Planned total
+         */
+        getPlannedQuestionTotal() {
+            const mixed = $('#mpcc-modal-question-type').val() === 'mixed';
+            const quizTotal = mixed
+                ? Object.values(this.getTypeDistribution()).reduce((sum, count) => sum + count, 0)
+                : parseInt($('#mpcc-modal-question-count').val(), 10) || 0;
+            
+            if (!this.isMultiLesson() || $('input[name="mpcc-allocation"]:checked').val() === 'weighted') {
+                return quizTotal;
+            }
+            
+            const perLesson = mixed ? quizTotal : parseInt($('#mpcc-questions-per-lesson').val(), 10) || 0;
+            return perLesson * this.getSelectedLessonIds().length;
+        }
+        
+        /**
+         * Show the controls that apply to the chosen lesson source and type
+         * 
+         * With a fixed number per lesson the overall count is not used, and a
+         * mixed quiz applies its type counts to every lesson.
+         * 
+         * @return {void}
+         */
+        updateLessonModeControls() {
+            const multi = this.isMultiLesson();
+            const mixed = $('#mpcc-modal-question-type').val() === 'mixed';
+            const perLesson = multi && $('input[name="mpcc-allocation"]:checked').val() !== 'weighted';
+            
+            $('#mpcc-modal-lesson-select').toggle(!multi);
+            $('#mpcc-lesson-picker').toggle(multi);
+            $('#mpcc-questions-per-lesson').prop('disabled', !perLesson || mixed);
+            $('.mpcc-question-count-section').toggle(!mixed && !perLesson);
+            
+            // Keep the section boxes in step with their lessons
+            $('#mpcc-lesson-picker .mpcc-section-toggle').each((i, toggle) => {
+                const $lessons = $('#mpcc-lesson-picker .mpcc-lesson-pick')
+                    .filter((j, input) => $(input).attr('data-section') === $(toggle).attr('data-section'));
+                const picked = $lessons.filter(':checked').length;
+                toggle.checked = picked > 0 && picked === $lessons.length;
+                toggle.indeterminate = picked > 0 && picked < $lessons.length;
+            });
+            
+            if (multi) {
+                const lessons = this.getSelectedLessonIds().length;
+                const total = this.getPlannedQuestionTotal();
+                let summary = `${lessons} ${lessons === 1 ? 'lesson' : 'lessons'} selected, ${total} ${total === 1 ? 'question' : 'questions'} in total`;
+                if (perLesson && mixed) {
+                    summary += ' (the type mix applies to each lesson)';
+                }
+                $('#mpcc-lesson-picker-summary').text(summary);
+            }
+        }
+        
+        /**
+         * Generate quiz questions with comprehensive input validation
+         * 
+         * This method orchestrates the quiz generation process with extensive
+         * validation, error handling, and user feedback. It ensures all required
+         * inputs are valid before making expensive AI generation requests.
+         * 
+         * Input Validation Chain:
+         * 1. Lesson Selection: Must have valid lesson ID selected
+         * 2. Question Count: Must be positive integer within reasonable bounds
+         * 3. Question Type: Must be supported type (multiple_choice, true_false, etc.)
+         * 4. Custom Prompt: Optional but validated for length/content if provided
+         * 
+         * UI State Management:
+         * - Disables generation button during processing (prevents double-submission)
+         * - Shows loading spinner with progress message
+         * - Hides previous results to avoid confusion
+         * - Restores button state regardless of success/failure
+         * 
+         * AJAX Request Validation:
+         * - Validates configuration object exists (mpcc_ajax)
+         * - Includes security nonce with every request
+         * - Structures options as JSON for complex data transmission
+         * 
+         * Error Response Analysis:
+         * The method analyzes different error types and provides specific guidance:
+         * - 400 errors: Validation failures, malformed requests
+         * - 403 errors: Security/permission issues
+         * - 500 errors: Server-side processing failures
+         * - Network errors: Connectivity or timeout issues
+         * 
+         * Response Structure Validation:
+         * - Checks response.success flag (WordPress standard)
+         * - Validates response.data.questions array exists
+         * - Extracts nested suggestion data from complex error responses
+         * 
+         * User Feedback Strategy:
+         * - Immediate validation feedback (before AJAX call)
+         * - Progress feedback during generation
+         * - Success feedback with question preview
+         * - Detailed error messages with actionable suggestions
+         * 
+         * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
+         * @return {void}
+         */
+        generateQuestions(difficulty = 'medium') {
             // Clear any previous validation errors
             this.clearValidationErrors();
             
+            // Several lessons: at least one must be picked from the checklist
+            const multiLesson = this.isMultiLesson();
+            const lessonIds = multiLesson ? this.getSelectedLessonIds() : [];
+            if (multiLesson && !lessonIds.length) {
+                const errorMessage = 'Please select at least one lesson to generate questions from';
+                
+                $('#mpcc-lesson-picker')
+                    .attr('aria-invalid', 'true')
+                    .attr('aria-describedby', 'mpcc-lesson-picker-error');
+                
+                $('#mpcc-lesson-picker-error')
+                    .text(errorMessage)
+                    .show();
+                
+                this._a11y('announce', 'Error: ' + errorMessage, {priority: 'assertive'});
+                
+                $('#mpcc-lesson-picker .mpcc-lesson-pick').first().focus();
+                
+                return;
+            }
+            
             // Critical Input Validation: Lesson ID is required for content generation
-            const lessonId = $('#mpcc-modal-lesson-select').val();
+            const lessonId = multiLesson ? String(lessonIds[0]) : $('#mpcc-modal-lesson-select').val();
             if (!lessonId) {
                 const errorMessage = 'Please select a lesson to generate questions from';
                 
@@ -1694,12 +2550,39 @@
             
             // Extract and validate generation parameters
             // parseInt with fallback ensures valid numeric values
-            const questionCount = parseInt($('#mpcc-modal-question-count').val()) || 10;
+            // Mixed quizzes take their size from the per-type distribution
             const questionType = $('#mpcc-modal-question-type').val() || 'multiple_choice';
+            const distribution = questionType === 'mixed' ? this.getTypeDistribution() : null;
+            const questionCount = distribution
+                ? Object.values(distribution).reduce((sum, count) => sum + count, 0)
+                : parseInt($('#mpcc-modal-question-count').val()) || 10;
             const customPrompt = $('#mpcc-quiz-prompt').val();
+            const allocation = $('input[name="mpcc-allocation"]:checked').val() || 'per_lesson';
+            const perLesson = multiLesson && allocation === 'per_lesson';
+            const bloomLevels = this.getBloomLevels();
+            const difficultyMix = this.getDifficultyMix();
+            
+            // Validate mixed quiz size
+            if (distribution && (questionCount < 1 || questionCount > 50)) {
+                const errorMessage = `Choose between 1 and 50 questions in total (currently ${questionCount})`;
+                
+                $('#mpcc-type-distribution')
+                    .attr('aria-invalid', 'true')
+                    .attr('aria-describedby', 'mpcc-type-distribution-error');
+                
+                $('#mpcc-type-distribution-error')
+                    .text(errorMessage)
+                    .show();
+                
+                this._a11y('announce', 'Error: ' + errorMessage, {priority: 'assertive'});
+                
+                $('#mpcc-type-distribution .mpcc-distribution-count').first().focus();
+                
+                return;
+            }
             
             // Validate question count
-            if (questionCount < 1 || questionCount > 50) {
+            if (!distribution && !perLesson && (questionCount < 1 || questionCount > 50)) {
                 const errorMessage = `Please enter a number between 1 and 50 (you entered ${questionCount})`;
                 
                 // Set aria-invalid and aria-describedby
@@ -1721,185 +2604,1818 @@
                 return;
             }
             
-            // UI State: Show loading state and disable interaction
-            const $button = $('#mpcc-generate-quiz');
-            const originalText = $button.html();  // Store for restoration
-            $button.prop('disabled', true).html('<span class="mpcc-loading"></span> Generating...');
+            // Validate the size of a quiz drawn from several lessons
+            const plannedTotal = this.getPlannedQuestionTotal();
+            if (multiLesson && (plannedTotal < 1 || plannedTotal > 50)) {
+                const errorMessage = `These settings would create ${plannedTotal} questions. Choose between 1 and 50 in total.`;
+                
+                $('#mpcc-lesson-picker')
+                    .attr('aria-invalid', 'true')
+                    .attr('aria-describedby', 'mpcc-lesson-picker-error');
+                
+                $('#mpcc-lesson-picker-error')
+                    .text(errorMessage)
+                    .show();
+                
+                this._a11y('announce', 'Error: ' + errorMessage, {priority: 'assertive'});
+                
+                $(perLesson && !distribution ? '#mpcc-questions-per-lesson' : '#mpcc-lesson-picker .mpcc-lesson-pick').first().focus();
+                
+                return;
+            }
+            
+            // UI State: Show loading state and disable interaction
+            const $button = $('#mpcc-generate-quiz');
+            const originalText = $button.html();  // Store for restoration
+            $button.prop('disabled', true).html('<span class="mpcc-loading"></span> Generating...');
+            
+            // Clear previous results to avoid confusion
+            $('#mpcc-quiz-results').hide();
+            $('#mpcc-modal-error').hide();
+            
+            // Set aria-busy and announce generation start
+            $('.mpcc-modal-body').attr('aria-busy', 'true');
+            this._a11y('announce', 'Starting AI generation. Please wait while questions are being generated.');
+            
+            // Execute AI generation request with comprehensive error handling
+            $.ajax({
+                url: mpcc_ajax.ajax_url,
+                type: 'POST',
+                dataType: 'json',  // Expect structured JSON response
+                data: Object.assign({
+                    action: 'mpcc_generate_quiz',  // Server-side generation handler
+                    lesson_id: lessonId,           // Validated lesson ID
+                    nonce: mpcc_ajax.nonce,        // Security token
+                    // Structure options as JSON for complex parameter passing
+                    options: JSON.stringify(Object.assign({
+                        num_questions: perLesson && !distribution ? plannedTotal : questionCount,
+                        difficulty: difficulty,
+                        custom_prompt: customPrompt,
+                        question_type: questionType
+                    }, distribution ? { distribution: distribution } : {},
+                    this.existingQuestions.length ? { avoid: this.existingQuestions } : {},
+                    bloomLevels.length ? { bloom_levels: bloomLevels } : {},
+                    Object.keys(difficultyMix).length ? { difficulty_mix: difficultyMix } : {},
+                    multiLesson ? {
+                        allocation: allocation,
+                        questions_per_lesson: parseInt($('#mpcc-questions-per-lesson').val(), 10) || 1
+                    } : {}))
+                }, lessonIds.length > 1 ? { lesson_ids: JSON.stringify(lessonIds) } : {}),
+                success: (response) => {
+                    // Validate WordPress AJAX response structure
+                    if (response.success && response.data.questions) {
+                        // Store generated questions for further operations
+                        // Questions added from the bank stay alongside the new ones
+                        const fromBank = this.generatedQuestions.filter(question => question.from_bank);
+                        this.generationDifficulty = difficulty;
+                        this.displayQuestions(fromBank.concat(response.data.questions));
+                        this.reviewQuality();
+                        
+                        // Announce successful generation
+                        this._a11y('announce', `AI generation complete. Generated ${response.data.questions.length} questions successfully.`);
+                        
+                        // Display AI suggestions if provided (content improvement hints)
+                        if (response.data.suggestion) {
+                            this.showNotice(response.data.suggestion, 'info');
+                        }
+                    } else {
+                        // Handle server-side validation or generation failures
+                        const errorMsg = response.data?.message || 'Failed to generate questions';
+                        // Extract suggestion from nested response structure (WordPress error format)
+                        const suggestion = response.data?.data?.suggestion || response.data?.suggestion || null;
+                        this.showModalError(errorMsg, suggestion);
+                        // Announce error
+                        this._a11y('announce', `Error during AI generation: ${errorMsg}`);
+                    }
+                },
+                error: (xhr, status, error) => {
+                    // Comprehensive error logging for debugging server/network issues
+                    this.logger?.error('Quiz generation failed', {
+                        status: xhr.status,
+                        statusText: xhr.statusText,
+                        error: error,
+                        responseText: xhr.responseText,
+                        responseJSON: xhr.responseJSON
+                    });
+                    
+                    // Analyze error type and provide specific user guidance
+                    let errorMsg = 'An error occurred while generating questions';
+                    let suggestion = null;
+                    
+                    if (xhr.status === 400) {
+                        // Bad Request: Usually validation failures or malformed data
+                        errorMsg = 'Invalid request. The server rejected the request.';
+                        suggestion = 'Please check the browser console for details and contact support if this persists.';
+                    } else if (xhr.status === 403) {
+                        // Forbidden: Security/permission issues
+                        errorMsg = 'Security check failed.';
+                        suggestion = 'Please refresh the page and try again.';
+                    } else if (xhr.responseJSON && xhr.responseJSON.data) {
+                        // Extract detailed error information from structured response
+                        errorMsg = xhr.responseJSON.data.message || errorMsg;
+                        suggestion = xhr.responseJSON.data.data?.suggestion || xhr.responseJSON.data.suggestion || null;
+                    }
+                    
+                    this.showModalError(errorMsg, suggestion);
+                    // Announce error
+                    this._a11y('announce', `Error during AI generation: ${errorMsg}`);
+                },
+                complete: () => {
+                    // Always restore button state, regardless of success/failure
+                    // This ensures UI remains functional after any outcome
+                    $button.prop('disabled', false).html(originalText);
+                    // Remove aria-busy
+                    $('.mpcc-modal-body').attr('aria-busy', 'false');
+                }
+            });
+        }
+        
+        /**
+         * Display generated questions in preview
+         * 
+         * Renders the generated questions in a preview format within the modal
+         * 
+         * @param {Array} questions - Array of question objects
+         * @param {string} summary - What to announce about where the questions came from
+         * @return {void}
+         */
+        displayQuestions(questions, summary = `Generated ${questions.length} questions.`) {
+            this.generatedQuestions = questions;
+            // Questions the quiz already asks start out unselected
+            this.selectedQuestions = questions.map(question => !this.isExistingQuestion(question));
+            const duplicates = this.selectedQuestions.filter(selected => !selected).length;
+            if (duplicates) {
+                summary += ` ${duplicates} ${duplicates === 1 ? 'is' : 'are'} already in the quiz and ${duplicates === 1 ? 'was' : 'were'} left unselected.`;
+            }
+            this.qualityReview = null;
+            $('#mpcc-quality-report').empty().hide();
+            this.renderQuestionList();
+            
+            $('#mpcc-quiz-results').show();
+            
+            // Announce results
+            this._a11y('announce', `${summary} Use arrow keys to navigate through them, Space to include or exclude one, R to regenerate it and Shift+Delete to discard it.`);
+            
+            // Focus first question for keyboard navigation
+            setTimeout(() => {
+                $('.mpcc-question-item').first().focus();
+            }, 100);
+        }
+        
+        /**
+         * Render every generated question into the preview
+         * 
+         * @return {void}
+         */
+        renderQuestionList() {
+            const $container = $('#mpcc-questions-preview');
+            $container.empty();
+            
+            if (!this.generatedQuestions.length) {
+                $container.html('<p class="mpcc-questions-empty">All questions were discarded. Regenerate to get a new set.</p>');
+            }
+            
+            this.generatedQuestions.forEach((question, index) => {
+                const excluded = this.selectedQuestions[index] === false ? ' is-excluded' : '';
+                $container.append(
+                    `<div class="mpcc-question-item${excluded}" data-index="${index}" tabindex="0" role="article" aria-label="Question ${index + 1}">${this.renderQuestionPreview(question, index)}</div>`
+                );
+            });
+            
+            this.updateSelectionSummary();
+            this.updateLevelSummary();
+        }
+        
+        /**
+         * Count the questions at each Bloom's level
+         * 
+         * @return {Object<string, number>} Counts keyed by level, lowest level first
+         */
+        getLevelCounts() {
+            const counts = {};
+            
+            Object.keys(BLOOM_LEVEL_LABELS).forEach(level => {
+                const count = this.generatedQuestions.filter(question => question.bloom_level === level).length;
+                if (count > 0) {
+                    counts[level] = count;
+                }
+            });
+            
+            return counts;
+        }
+        
+        /**
+         * Show how the questions are spread over the Bloom's levels
+         * 
+         * @return {void}
+         */
+        updateLevelSummary() {
+            const counts = this.getLevelCounts();
+            const parts = Object.entries(counts).map(([level, count]) => `${BLOOM_LEVEL_LABELS[level]}: ${count}`);
+            
+            $('#mpcc-level-summary').text(parts.length ? `Bloom's levels: ${parts.join(', ')}` : '');
+            $('#mpcc-level-balance').toggle(this.generatedQuestions.length > 0);
+        }
+        
+        /**
+         * Replace a few questions with new ones at the given Bloom's level
+         * 
+         * Deselected questions are replaced first, then questions from the
+         * most common other level, so the rest of the quiz stays as it is.
+         * Bank questions are never replaced.
+         * 
+         * @param {string} level - Bloom's level to add questions at
+         * @param {number} count - Number of questions to replace
+         * @return {void}
+         */
+        rebalanceLevels(level, count) {
+            if (!BLOOM_LEVEL_LABELS[level]) return;
+            
+            const candidates = this.generatedQuestions
+                .map((question, index) => index)
+                .filter(index => !this.generatedQuestions[index].from_bank
+                    && this.generatedQuestions[index].bloom_level !== level);
+            
+            const counts = this.getLevelCounts();
+            const picked = [];
+            while (picked.length < count && candidates.length) {
+                let next = candidates.findIndex(index => this.selectedQuestions[index] === false);
+                if (next === -1) {
+                    const weight = (index) => counts[this.generatedQuestions[index].bloom_level] || 0;
+                    next = candidates.reduce((best, index, i) => weight(index) > weight(candidates[best]) ? i : best, 0);
+                }
+                const index = candidates.splice(next, 1)[0];
+                const replacedLevel = this.generatedQuestions[index].bloom_level;
+                if (counts[replacedLevel]) {
+                    counts[replacedLevel]--;
+                }
+                picked.push(index);
+            }
+            
+            if (!picked.length) {
+                this.showNotice(`Every question that can be replaced is already at the ${BLOOM_LEVEL_LABELS[level]} level.`, 'info');
+                return;
+            }
+            
+            const replaced = picked.map(index => this.generatedQuestions[index]);
+            const distribution = {};
+            replaced.forEach(question => {
+                const type = question.type || 'multiple_choice';
+                distribution[type] = (distribution[type] || 0) + 1;
+            });
+            
+            const sourceIds = [...new Set(replaced.map(question => question.source_lesson?.id).filter(Boolean))];
+            const lessonId = sourceIds[0] || $('#mpcc-modal-lesson-select').val() || this.currentLessonId;
+            const avoid = this.generatedQuestions
+                .map(question => question.statement || question.question || '')
+                .concat(this.existingQuestions)
+                .filter(Boolean);
+            const difficultyMix = this.getDifficultyMix();
+            
+            const $button = $('#mpcc-rebalance');
+            const originalText = $button.html();
+            $button.prop('disabled', true).html('<span class="mpcc-loading"></span> Rebalancing...');
+            $('.mpcc-modal-body').attr('aria-busy', 'true');
+            this._a11y('announce', `Replacing ${picked.length} questions with ${BLOOM_LEVEL_LABELS[level]} questions`);
+            
+            const fail = (message) => {
+                this.showModalError(message, 'Try again, or regenerate single questions instead.');
+                this._a11y('announce', `Error: ${message}`, { priority: 'assertive' });
+            };
+            
+            $.ajax({
+                url: mpcc_ajax.ajax_url,
+                type: 'POST',
+                dataType: 'json',
+                data: Object.assign({
+                    action: 'mpcc_generate_quiz',
+                    lesson_id: lessonId,
+                    nonce: mpcc_ajax.nonce,
+                    options: JSON.stringify(Object.assign({
+                        num_questions: picked.length,
+                        question_type: 'mixed',
+                        distribution: distribution,
+                        bloom_levels: [level],
+                        avoid: avoid
+                    }, Object.keys(difficultyMix).length ? { difficulty_mix: difficultyMix } : {},
+                    sourceIds.length > 1 ? { allocation: 'weighted' } : {}))
+                }, sourceIds.length > 1 ? { lesson_ids: JSON.stringify(sourceIds) } : {}),
+                success: (response) => {
+                    const questions = response.success && response.data?.questions;
+                    if (!questions || !questions.length) {
+                        fail(response.data?.message || 'Failed to generate replacement questions');
+                        return;
+                    }
+                    
+                    const swapped = Math.min(questions.length, picked.length);
+                    picked.slice(0, swapped).forEach((index, i) => {
+                        this.generatedQuestions[index] = questions[i];
+                        this.selectedQuestions[index] = true;
+                    });
+                    this.renderQuestionList();
+                    this.markQualityReviewStale();
+                    this._a11y('announce', `Replaced ${swapped} ${swapped === 1 ? 'question' : 'questions'} with ${BLOOM_LEVEL_LABELS[level]} questions`);
+                },
+                error: (xhr) => {
+                    const data = xhr.responseJSON?.data;
+                    fail(data?.error?.message || data?.message || 'Failed to generate replacement questions');
+                },
+                complete: () => {
+                    $button.prop('disabled', false).html(originalText);
+                    $('.mpcc-modal-body').attr('aria-busy', 'false');
+                }
+            });
+        }
+        
+        /**
+         * Render the read-only preview of a single question
+         * 
+         * @param {Object} question - Question object
+         * @param {number} index - Question index
+         * @return {string} Preview HTML
+         */
+        renderQuestionPreview(question, index) {
+            const questionNum = index + 1;
+            const escape = (text) => this.escapeHtml(text);
+            const selected = this.selectedQuestions[index] !== false;
+            let questionHtml = `<div class="mpcc-question-header">`;
+            questionHtml += `<input type="checkbox" class="mpcc-question-select" ${selected ? 'checked' : ''} aria-label="Include question ${questionNum} in the quiz">`;
+            questionHtml += `<div class="mpcc-question-number">Question ${questionNum}</div>`;
+            if (question.source_lesson) {
+                questionHtml += `<span class="mpcc-question-source" title="Source lesson">${escape(question.source_lesson.title)}</span>`;
+            }
+            if (question.from_bank) {
+                questionHtml += `<span class="mpcc-question-from-bank">From bank</span>`;
+            }
+            if (this.isExistingQuestion(question)) {
+                questionHtml += `<span class="mpcc-question-duplicate" title="The quiz already has this question">Already in quiz</span>`;
+            }
+            if (BLOOM_LEVEL_LABELS[question.bloom_level]) {
+                questionHtml += `<span class="mpcc-question-level mpcc-level-${question.bloom_level}" title="Bloom's level">${BLOOM_LEVEL_LABELS[question.bloom_level]}</span>`;
+            }
+            if (DIFFICULTY_LABELS[question.difficulty]) {
+                questionHtml += `<span class="mpcc-question-difficulty mpcc-difficulty-${question.difficulty}" title="Difficulty">${DIFFICULTY_LABELS[question.difficulty]}</span>`;
+            }
+            questionHtml += `<span class="mpcc-question-type">${QUESTION_TYPE_LABELS[question.type] || QUESTION_TYPE_LABELS.multiple_choice}</span>`;
+            questionHtml += `<div class="mpcc-question-tools">`;
+            questionHtml += `<button type="button" class="button-link mpcc-question-edit" aria-label="Edit question ${questionNum}">Edit</button>`;
+            questionHtml += `<button type="button" class="button-link mpcc-question-regenerate" aria-expanded="false" aria-label="Regenerate question ${questionNum}">Regenerate</button>`;
+            questionHtml += `<button type="button" class="button-link mpcc-question-discard" aria-label="Discard question ${questionNum}">Discard</button>`;
+            if (question.bank_id) {
+                questionHtml += `<span class="mpcc-question-banked">In bank</span>`;
+            } else {
+                questionHtml += `<button type="button" class="button-link mpcc-question-bank-save" aria-label="Save question ${questionNum} to the question bank">Save to Bank</button>`;
+            }
+            questionHtml += `</div>`;
+            questionHtml += `</div>`;
+            questionHtml += `<div class="mpcc-regenerate-form" style="display: none;">
+                <label for="mpcc-regenerate-hint-${index}" class="screen-reader-text">Hint for regenerating question ${questionNum}</label>
+                <input type="text" id="mpcc-regenerate-hint-${index}" class="mpcc-input mpcc-regenerate-hint" placeholder="Optional hint, e.g. make it harder">
+                <button type="button" class="button mpcc-regenerate-submit">Regenerate</button>
+            </div>`;
+            
+            // Handle different question types
+            if (question.type === 'true_false') {
+                questionHtml += `<div class="mpcc-question-text">${escape(question.statement || question.question)}</div>`;
+                questionHtml += `<div class="mpcc-question-options">`;
+                const correctAnswer = String(question.correct_answer) === 'true' ? 'True' : 'False';
+                const incorrectAnswer = String(question.correct_answer) === 'true' ? 'False' : 'True';
+                questionHtml += `<div class="mpcc-question-option correct">✓ ${correctAnswer}</div>`;
+                questionHtml += `<div class="mpcc-question-option">✗ ${incorrectAnswer}</div>`;
+                questionHtml += `</div>`;
+            } else if (question.type === 'text_answer') {
+                questionHtml += `<div class="mpcc-question-text">${escape(question.question)}</div>`;
+                questionHtml += `<div class="mpcc-question-options">`;
+                questionHtml += `<div class="mpcc-question-option correct">Expected: ${escape(question.correct_answer || question.expected_answer || 'Open-ended response')}</div>`;
+                if (question.alternative_answers && question.alternative_answers.length > 0) {
+                    questionHtml += `<div class="mpcc-question-option">Also accepts: ${escape(question.alternative_answers.join(', '))}</div>`;
+                }
+                questionHtml += `</div>`;
+            } else if (question.type === 'multiple_select') {
+                questionHtml += `<div class="mpcc-question-text">${escape(question.question)}</div>`;
+                questionHtml += `<div class="mpcc-question-options">`;
+                
+                if (question.options) {
+                    Object.entries(question.options).forEach(([key, value]) => {
+                        const isCorrect = question.correct_answers && question.correct_answers.includes(key);
+                        const optionClass = isCorrect ? 'correct' : '';
+                        const prefix = isCorrect ? '☑' : '☐';
+                        questionHtml += `<div class="mpcc-question-option ${optionClass}">${prefix} ${escape(value)}</div>`;
+                    });
+                }
+                questionHtml += `</div>`;
+            } else {
+                // Multiple choice
+                questionHtml += `<div class="mpcc-question-text">${escape(question.question)}</div>`;
+                questionHtml += `<div class="mpcc-question-options">`;
+                
+                if (question.options) {
+                    Object.entries(question.options).forEach(([key, value]) => {
+                        const isCorrect = key === question.correct_answer;
+                        const optionClass = isCorrect ? 'correct' : '';
+                        const prefix = isCorrect ? '✓' : '';
+                        questionHtml += `<div class="mpcc-question-option ${optionClass}">${prefix} ${escape(key)}) ${escape(value)}</div>`;
+                    });
+                }
+                questionHtml += `</div>`;
+            }
+            
+            if (question.explanation) {
+                questionHtml += `<div style="margin-top: 10px; font-style: italic; color: #666;">
+                    <strong>Explanation:</strong> ${escape(question.explanation)}
+                </div>`;
+            }
+            
+            return questionHtml;
+        }
+        
+        /**
+         * Render the inline editor for a single question
+         * 
+         * @param {Object} question - Question object
+         * @param {number} index - Question index
+         * @return {string} Editor HTML
+         */
+        renderQuestionEditor(question, index) {
+            const type = question.type || 'multiple_choice';
+            const text = type === 'true_false' ? (question.statement || question.question || '') : (question.question || question.text || '');
+            const typeOptions = Object.entries(QUESTION_TYPE_LABELS).map(([value, label]) =>
+                `<option value="${value}" ${value === type ? 'selected' : ''}>${label}</option>`
+            ).join('');
+            
+            return `
+                <div class="mpcc-question-header">
+                    <div class="mpcc-question-number">Question ${index + 1}</div>
+                </div>
+                <div class="mpcc-question-editor" data-type="${type}">
+                    <div class="mpcc-edit-field">
+                        <label for="mpcc-edit-type-${index}">Question Type</label>
+                        <select id="mpcc-edit-type-${index}" class="mpcc-select mpcc-edit-type">${typeOptions}</select>
+                    </div>
+                    <div class="mpcc-edit-field">
+                        <label for="mpcc-edit-text-${index}">${type === 'true_false' ? 'Statement' : 'Question'}</label>
+                        <textarea id="mpcc-edit-text-${index}" class="mpcc-textarea mpcc-edit-text" rows="2">${this.escapeHtml(text)}</textarea>
+                    </div>
+                    <div class="mpcc-edit-answers">${this.renderAnswerFields(question, index)}</div>
+                    <div class="mpcc-edit-field">
+                        <label for="mpcc-edit-explanation-${index}">Explanation (Optional)</label>
+                        <textarea id="mpcc-edit-explanation-${index}" class="mpcc-textarea mpcc-edit-explanation" rows="2">${this.escapeHtml(question.explanation || '')}</textarea>
+                    </div>
+                    <div class="mpcc-edit-errors" role="alert" style="display: none;"></div>
+                    <div class="mpcc-edit-actions">
+                        <button type="button" class="button button-primary mpcc-question-save">Save Question</button>
+                        <button type="button" class="button mpcc-question-cancel">Cancel</button>
+                    </div>
+                </div>
+            `;
+        }
+        
+        /**
+         * Render the answer inputs for the question type being edited
+         * 
+         * @param {Object} question - Question object
+         * @param {number} index - Question index
+         * @return {string} Answer fields HTML
+         */
+        renderAnswerFields(question, index) {
+            const type = question.type || 'multiple_choice';
+            
+            if (type === 'true_false') {
+                const answer = String(question.correct_answer);
+                return `
+                    <fieldset class="mpcc-edit-field">
+                        <legend>Correct Answer</legend>
+                        <label class="mpcc-edit-choice"><input type="radio" class="mpcc-edit-tf" name="mpcc-edit-tf-${index}" value="true" ${answer === 'true' ? 'checked' : ''}> True</label>
+                        <label class="mpcc-edit-choice"><input type="radio" class="mpcc-edit-tf" name="mpcc-edit-tf-${index}" value="false" ${answer === 'false' ? 'checked' : ''}> False</label>
+                    </fieldset>
+                `;
+            }
+            
+            if (type === 'text_answer') {
+                const alternatives = Array.isArray(question.alternative_answers) ? question.alternative_answers.join(', ') : '';
+                return `
+                    <div class="mpcc-edit-field">
+                        <label for="mpcc-edit-expected-${index}">Expected Answer</label>
+                        <input type="text" id="mpcc-edit-expected-${index}" class="mpcc-input mpcc-edit-expected" value="${this.escapeHtml(question.correct_answer || question.expected_answer || '')}">
+                    </div>
+                    <div class="mpcc-edit-field">
+                        <label for="mpcc-edit-alternatives-${index}">Also Accepts (comma separated)</label>
+                        <input type="text" id="mpcc-edit-alternatives-${index}" class="mpcc-input mpcc-edit-alternatives" value="${this.escapeHtml(alternatives)}">
+                    </div>
+                `;
+            }
+            
+            const multiple = type === 'multiple_select';
+            const correct = multiple ? (question.correct_answers || []) : [question.correct_answer];
+            const rows = Object.entries(question.options || {}).map(([key, value], position) =>
+                this.renderOptionRow(index, position, value, correct.includes(key), multiple)
+            ).join('');
+            
+            return `
+                <fieldset class="mpcc-edit-field">
+                    <legend>${multiple ? 'Options (check every correct answer)' : 'Options (select the correct answer)'}</legend>
+                    <div class="mpcc-edit-options">${rows}</div>
+                    <button type="button" class="button-link mpcc-edit-add-option">Add option</button>
+                </fieldset>
+            `;
+        }
+        
+        /**
+         * Render one editable answer option
+         * 
+         * @param {number} index - Question index
+         * @param {number} position - Option position
+         * @param {string} value - Option text
+         * @param {boolean} isCorrect - Whether the option is marked correct
+         * @param {boolean} multiple - Whether several options can be correct
+         * @return {string} Option row HTML
+         */
+        renderOptionRow(index, position, value, isCorrect, multiple) {
+            const letter = String.fromCharCode(65 + position);
+            return `
+                <div class="mpcc-edit-option">
+                    <input type="${multiple ? 'checkbox' : 'radio'}" class="mpcc-edit-correct" name="mpcc-edit-correct-${index}" ${isCorrect ? 'checked' : ''} aria-label="Option ${letter} is correct">
+                    <span class="mpcc-edit-option-letter">${letter})</span>
+                    <input type="text" class="mpcc-input mpcc-edit-option-text" value="${this.escapeHtml(value || '')}" aria-label="Option ${letter}">
+                    <button type="button" class="button-link mpcc-edit-remove-option" aria-label="Remove option ${letter}">Remove</button>
+                </div>
+            `;
+        }
+        
+        /**
+         * Get the preview item for a question
+         * 
+         * @param {number} index - Question index
+         * @return {jQuery} Question item
+         */
+        getQuestionItem(index) {
+            return $(`#mpcc-questions-preview .mpcc-question-item[data-index="${index}"]`);
+        }
+        
+        /**
+         * Get the question index a preview control belongs to
+         * 
+         * @param {Element} element - Element inside a question item
+         * @return {number} Question index
+         */
+        getQuestionIndex(element) {
+            return parseInt($(element).closest('.mpcc-question-item').attr('data-index'), 10);
+        }
+        
+        /**
+         * Switch a previewed question into edit mode
+         * 
+         * @param {number} index - Question index
+         * @return {void}
+         */
+        editQuestion(index) {
+            const question = this.generatedQuestions[index];
+            if (!question) return;
+            
+            const $item = this.getQuestionItem(index);
+            $item.addClass('is-editing').html(this.renderQuestionEditor(question, index));
+            $item.find('.mpcc-edit-text').focus();
+            this._a11y('announce', `Editing question ${index + 1}`);
+        }
+        
+        /**
+         * Read the inline editor back into a question object
+         * 
+         * Produces the same shape the AI returns so the result goes through
+         * prepareQuestionData unchanged. Option keys are re-lettered in order.
+         * 
+         * @param {jQuery} $editor - Question editor element
+         * @param {Object} original - Question being edited
+         * @return {Object} Edited question
+         */
+        readQuestionEditor($editor, original) {
+            const type = $editor.attr('data-type');
+            const text = $editor.find('.mpcc-edit-text').val().trim();
+            const question = Object.assign({}, original, {
+                type: type,
+                explanation: $editor.find('.mpcc-edit-explanation').val().trim()
+            });
+            
+            ['question', 'statement', 'options', 'correct_answer', 'correct_answers', 'expected_answer', 'alternative_answers']
+                .forEach(key => delete question[key]);
+            
+            if (type === 'true_false') {
+                const answer = $editor.find('.mpcc-edit-tf:checked').val();
+                question.statement = text;
+                question.correct_answer = answer === undefined ? null : answer === 'true';
+            } else if (type === 'text_answer') {
+                question.question = text;
+                question.correct_answer = $editor.find('.mpcc-edit-expected').val().trim();
+                question.alternative_answers = $editor.find('.mpcc-edit-alternatives').val()
+                    .split(',')
+                    .map(answer => answer.trim())
+                    .filter(Boolean);
+            } else {
+                const correct = [];
+                question.question = text;
+                question.options = {};
+                $editor.find('.mpcc-edit-option').each((position, row) => {
+                    const key = String.fromCharCode(65 + position);
+                    question.options[key] = $(row).find('.mpcc-edit-option-text').val().trim();
+                    if ($(row).find('.mpcc-edit-correct').is(':checked')) {
+                        correct.push(key);
+                    }
+                });
+                
+                if (type === 'multiple_select') {
+                    question.correct_answers = correct;
+                } else {
+                    question.correct_answer = correct[0] || '';
+                }
+            }
+            
+            return question;
+        }
+        
+        /**
+         * Convert a question to another type, carrying over what still applies
+         * 
+         * @param {Object} question - Question in its current type
+         * @param {string} type - Target question type
+         * @return {Object} Converted question
+         */
+        convertQuestionType(question, type) {
+            const from = question.type || 'multiple_choice';
+            const text = from === 'true_false' ? (question.statement || question.question || '') : (question.question || question.text || '');
+            const options = question.options || {};
+            const correctKeys = from === 'multiple_select' ? (question.correct_answers || []) : [question.correct_answer];
+            const converted = Object.assign({}, question, { type: type });
+            
+            ['question', 'statement', 'options', 'correct_answer', 'correct_answers', 'expected_answer', 'alternative_answers']
+                .forEach(key => delete converted[key]);
+            
+            if (type === 'true_false') {
+                converted.statement = text;
+                converted.correct_answer = from === 'true_false' ? question.correct_answer : null;
+                return converted;
+            }
+            
+            converted.question = text;
+            
+            if (type === 'text_answer') {
+                if (from === 'text_answer') {
+                    converted.correct_answer = question.correct_answer || question.expected_answer || '';
+                    converted.alternative_answers = question.alternative_answers || [];
+                } else if (from === 'true_false') {
+                    converted.correct_answer = '';
+                } else {
+                    const key = correctKeys.find(k => options[k] !== undefined);
+                    converted.correct_answer = key ? options[key] : '';
+                }
+                return converted;
+            }
+            
+            // Choice types: build options from whatever answers the old type had
+            let newOptions = options;
+            let newCorrect = correctKeys.filter(key => options[key] !== undefined);
+            if (from === 'true_false') {
+                newOptions = { A: 'True', B: 'False' };
+                newCorrect = question.correct_answer === null || question.correct_answer === undefined
+                    ? []
+                    : [String(question.correct_answer) === 'true' ? 'A' : 'B'];
+            } else if (from === 'text_answer') {
+                newOptions = { A: question.correct_answer || question.expected_answer || '', B: '' };
+                newCorrect = ['A'];
+            }
+            
+            converted.options = Object.assign({}, newOptions);
+            if (type === 'multiple_select') {
+                converted.correct_answers = newCorrect;
+            } else {
+                converted.correct_answer = newCorrect[0] || '';
+            }
+            return converted;
+        }
+        
+        /**
+         * Change the type of the question being edited
+         * 
+         * @param {number} index - Question index
+         * @param {string} type - New question type
+         * @return {void}
+         */
+        changeQuestionType(index, type) {
+            const $item = this.getQuestionItem(index);
+            const current = this.readQuestionEditor($item.find('.mpcc-question-editor'), this.generatedQuestions[index]);
+            
+            $item.html(this.renderQuestionEditor(this.convertQuestionType(current, type), index));
+            $item.find('.mpcc-edit-type').focus();
+        }
+        
+        /**
+         * Add an empty option to the question being edited
+         * 
+         * @param {number} index - Question index
+         * @return {void}
+         */
+        addQuestionOption(index) {
+            const $editor = this.getQuestionItem(index).find('.mpcc-question-editor');
+            const $options = $editor.find('.mpcc-edit-options');
+            const position = $options.children('.mpcc-edit-option').length;
+            
+            $options.append(this.renderOptionRow(index, position, '', false, $editor.attr('data-type') === 'multiple_select'));
+            $options.find('.mpcc-edit-option-text').last().focus();
+        }
+        
+        /**
+         * Remove an option from the question being edited and re-letter the rest
+         * 
+         * @param {Element} button - Remove button of the option
+         * @return {void}
+         */
+        removeQuestionOption(button) {
+            const $options = $(button).closest('.mpcc-edit-options');
+            $(button).closest('.mpcc-edit-option').remove();
+            
+            $options.children('.mpcc-edit-option').each((position, row) => {
+                const letter = String.fromCharCode(65 + position);
+                $(row).find('.mpcc-edit-correct').attr('aria-label', `Option ${letter} is correct`);
+                $(row).find('.mpcc-edit-option-letter').text(`${letter})`);
+                $(row).find('.mpcc-edit-option-text').attr('aria-label', `Option ${letter}`);
+                $(row).find('.mpcc-edit-remove-option').attr('aria-label', `Remove option ${letter}`);
+            });
+            
+            $options.find('.mpcc-edit-option-text').last().focus();
+        }
+        
+        /**
+         * Validate a question against what the prepare*Data methods need
+         * 
+         * @param {Object} question - Question object
+         * @return {Array<string>} Validation errors, empty when the question is valid
+         */
+        validateQuestion(question) {
+            const errors = [];
+            const type = question.type || 'multiple_choice';
+            const text = type === 'true_false' ? (question.statement || question.question) : (question.question || question.text);
+            
+            if (!String(text || '').trim()) {
+                errors.push('Question text is required.');
+            }
+            
+            if (type === 'true_false') {
+                if (!['true', 'false'].includes(String(question.correct_answer))) {
+                    errors.push('Choose whether the statement is true or false.');
+                }
+                return errors;
+            }
+            
+            if (type === 'text_answer') {
+                return errors;
+            }
+            
+            const options = question.options && typeof question.options === 'object' ? Object.entries(question.options) : [];
+            const keys = options.map(([key]) => key);
+            
+            if (options.length < 2) {
+                errors.push('At least two options are required.');
+            }
+            options.forEach(([key, value]) => {
+                if (!String(value ?? '').trim()) {
+                    errors.push(`Option ${key} is empty.`);
+                }
+            });
+            
+            if (type === 'multiple_select') {
+                const correct = Array.isArray(question.correct_answers) ? question.correct_answers : [];
+                if (!correct.some(key => keys.includes(key))) {
+                    errors.push('Mark at least one option as correct.');
+                }
+            } else if (!keys.includes(question.correct_answer)) {
+                errors.push('Mark the correct option.');
+            }
+            
+            return errors;
+        }
+        
+        /**
+         * Save the inline edits of a question
+         * 
+         * @param {number} index - Question index
+         * @return {boolean} Whether the edits were valid and saved
+         */
+        saveQuestionEdit(index) {
+            const $item = this.getQuestionItem(index);
+            const question = this.readQuestionEditor($item.find('.mpcc-question-editor'), this.generatedQuestions[index]);
+            const errors = this.validateQuestion(question);
+            
+            if (errors.length) {
+                $item.find('.mpcc-edit-errors')
+                    .html(errors.map(error => `<p>${this.escapeHtml(error)}</p>`).join(''))
+                    .show();
+                this._a11y('announce', `Question ${index + 1} cannot be saved: ${errors.join(' ')}`, { priority: 'assertive' });
+                return false;
+            }
+            
+            // An edited question no longer matches its bank copy
+            delete question.bank_id;
+            this.generatedQuestions[index] = question;
+            $item.removeClass('is-editing').html(this.renderQuestionPreview(question, index)).focus();
+            this.markQualityReviewStale();
+            this._a11y('announce', `Question ${index + 1} updated`);
+            return true;
+        }
+        
+        /**
+         * Discard the inline edits of a question
+         * 
+         * @param {number} index - Question index
+         * @return {void}
+         */
+        cancelQuestionEdit(index) {
+            const $item = this.getQuestionItem(index);
+            $item.removeClass('is-editing').html(this.renderQuestionPreview(this.generatedQuestions[index], index)).focus();
+            this._a11y('announce', `Changes to question ${index + 1} discarded`);
+        }
+        
+        /**
+         * Include or exclude a question from insertion
+         * 
+         * @param {number} index - Question index
+         * @param {boolean} selected - Whether the question should be inserted
+         * @return {void}
+         */
+        toggleQuestionSelection(index, selected) {
+            if (!this.generatedQuestions[index]) return;
+            
+            this.selectedQuestions[index] = selected;
+            const $item = this.getQuestionItem(index);
+            $item.toggleClass('is-excluded', !selected);
+            $item.find('.mpcc-question-select').prop('checked', selected);
+            this.updateSelectionSummary();
+            this._a11y('announce', `Question ${index + 1} ${selected ? 'included in' : 'excluded from'} the quiz`);
+        }
+        
+        /**
+         * Get the questions that are selected for insertion
+         * 
+         * @return {Array} Selected questions in preview order
+         */
+        getSelectedQuestions() {
+            return this.generatedQuestions.filter((question, index) => this.selectedQuestions[index] !== false);
+        }
+        
+        /**
+         * Show how many questions will be inserted
+         * 
+         * @return {void}
+         */
+        updateSelectionSummary() {
+            const selected = this.getSelectedQuestions().length;
+            $('#mpcc-questions-selection').text(`(${selected} of ${this.generatedQuestions.length} selected)`);
+            $('#mpcc-apply-questions').prop('disabled', selected === 0);
+        }
+        
+        /**
+         * Remove a question from the generated set
+         * 
+         * @param {number} index - Question index
+         * @return {void}
+         */
+        discardQuestion(index) {
+            if (!this.generatedQuestions[index]) return;
+            
+            // Re-rendering the list would throw away edits in progress elsewhere
+            const $editing = $('#mpcc-questions-preview .mpcc-question-item.is-editing').not(this.getQuestionItem(index));
+            if ($editing.length) {
+                this.showModalError(
+                    `Question ${this.getQuestionIndex($editing.first()) + 1} has unsaved changes.`,
+                    'Save or cancel your edits before discarding another question.'
+                );
+                return;
+            }
+            
+            this.generatedQuestions.splice(index, 1);
+            this.selectedQuestions.splice(index, 1);
+            this.renderQuestionList();
+            this.markQualityReviewStale();
+            
+            const remaining = this.generatedQuestions.length;
+            this._a11y('announce', `Question ${index + 1} discarded. ${remaining} questions remaining.`);
+            
+            if (remaining) {
+                this.getQuestionItem(Math.min(index, remaining - 1)).focus();
+            } else {
+                $('#mpcc-regenerate').focus();
+            }
+        }
+        
+        /**
+         * Show or hide the hint field for regenerating a question
+         * 
+         * @param {number} index - Question index
+         * @return {void}
+         */
+        toggleRegenerateForm(index) {
+            const $item = this.getQuestionItem(index);
+            const $form = $item.find('.mpcc-regenerate-form');
+            if (!$form.length) return;
+            
+            const open = !$form.is(':visible');
+            $form.toggle(open);
+            $item.find('.mpcc-question-regenerate').attr('aria-expanded', String(open));
+            
+            if (open) {
+                $form.find('.mpcc-regenerate-hint').focus();
+            } else {
+                $item.focus();
+            }
+        }
+        
+        /**
+         * Replace one question with a freshly generated one
+         * 
+         * The request sends the other questions so the server does not hand
+         * back a duplicate. The question is tracked by identity because the
+         * list can change while the request is running.
+         * 
+         * @param {number} index - Question index
+         * @param {string} hint - Optional instruction such as "make it harder"
+         * @return {void}
+         */
+        regenerateQuestion(index, hint = '') {
+            const question = this.generatedQuestions[index];
+            if (!question) return;
+            
+            const lessonId = question.source_lesson?.id || $('#mpcc-modal-lesson-select').val() || this.currentLessonId;
+            const avoid = this.generatedQuestions
+                .filter(other => other !== question)
+                .map(other => other.statement || other.question || '')
+                .concat(this.existingQuestions)
+                .filter(Boolean);
+            
+            const $item = this.getQuestionItem(index);
+            $item.addClass('is-regenerating').attr('aria-busy', 'true');
+            $item.find('button, input, select, textarea').prop('disabled', true);
+            this._a11y('announce', `Regenerating question ${index + 1}`);
+            
+            const restore = (message) => {
+                const current = this.generatedQuestions.indexOf(question);
+                if (current === -1) return;
+                this.getQuestionItem(current)
+                    .removeClass('is-regenerating')
+                    .attr('aria-busy', 'false')
+                    .html(this.renderQuestionPreview(question, current));
+                this.showModalError(message, 'Try again or edit the question yourself.');
+                this._a11y('announce', `Error: ${message}`, { priority: 'assertive' });
+            };
+            
+            $.ajax({
+                url: mpcc_ajax.ajax_url,
+                type: 'POST',
+                dataType: 'json',
+                data: {
+                    action: 'mpcc_regenerate_question',
+                    lesson_id: lessonId,
+                    question: JSON.stringify(question),
+                    nonce: mpcc_ajax.nonce,
+                    options: JSON.stringify({
+                        hint: hint,
+                        avoid: avoid
+                    })
+                },
+                success: (response) => {
+                    if (!response.success || !response.data) {
+                        restore(response.data?.error?.message || response.data?.message || 'Failed to regenerate question');
+                        return;
+                    }
+                    
+                    const current = this.generatedQuestions.indexOf(question);
+                    if (current === -1) return;
+                    
+                    const replacement = Object.assign({ type: question.type }, response.data,
+                        question.source_lesson ? { source_lesson: question.source_lesson } : {});
+                    this.generatedQuestions[current] = replacement;
+                    this.getQuestionItem(current)
+                        .removeClass('is-regenerating')
+                        .attr('aria-busy', 'false')
+                        .html(this.renderQuestionPreview(replacement, current))
+                        .focus();
+                    this.markQualityReviewStale();
+                    this.updateLevelSummary();
+                    this._a11y('announce', `Question ${current + 1} regenerated`);
+                },
+                error: (xhr) => {
+                    const data = xhr.responseJSON?.data;
+                    restore(data?.error?.message || data?.message || 'Failed to regenerate question');
+                }
+            });
+        }
+        
+        /**
+         * Make sure every question can be turned into a block
+         * 
+         * Only selected questions are checked. Open editors must be saved or
+         * cancelled first, and invalid questions are opened for editing
+         * instead of being inserted half-broken.
+         * 
+         * @return {boolean} Whether the questions are ready to apply
+         */
+        validateQuestionsForApply() {
+            const $editing = $('#mpcc-questions-preview .mpcc-question-item.is-editing').not('.is-excluded').first();
+            if ($editing.length) {
+                this.showModalError(
+                    `Question ${this.getQuestionIndex($editing) + 1} has unsaved changes.`,
+                    'Save or cancel your edits before applying the questions.'
+                );
+                $editing.find('.mpcc-question-save').focus();
+                return false;
+            }
+            
+            for (let i = 0; i < this.generatedQuestions.length; i++) {
+                if (this.selectedQuestions[i] === false) continue;
+                
+                const errors = this.validateQuestion(this.generatedQuestions[i]);
+                if (errors.length) {
+                    this.showModalError(`Question ${i + 1} is incomplete: ${errors[0]}`, 'Fix the question before applying.');
+                    this.editQuestion(i);
+                    return false;
+                }
+            }
+            
+            return true;
+        }
+        
+        /**
+         * Check the selected questions for quality problems
+         * 
+         * Sends the questions to the validation endpoint, which also flags
+         * duplicates, give-away options, answer position patterns, questions
+         * the lesson does not cover and wording above the lesson's reading level.
+         * 
+         * @return {void}
+         */
+        reviewQuality() {
+            const questions = this.getSelectedQuestions();
+            const $panel = $('#mpcc-quality-report');
+            
+            if (!questions.length) {
+                this.qualityReview = null;
+                $panel.empty().hide();
+                return;
+            }
+            
+            const $button = $('#mpcc-review-quality').prop('disabled', true);
+            $panel.show().attr('aria-busy', 'true')
+                .html('<p class="mpcc-quality-loading"><span class="mpcc-loading"></span> Reviewing question quality...</p>');
+            
+            const fail = (message) => {
+                this.qualityReview = null;
+                $panel.html(`<p class="mpcc-quality-error">${this.escapeHtml(message)} <button type="button" class="button-link mpcc-quality-refresh">Try again</button></p>`);
+                this._a11y('announce', `Error: ${message}`, { priority: 'assertive' });
+            };
+            
+            // Questions from a lesson set or the bank are checked against all of their lessons
+            const lessonId = $('#mpcc-modal-lesson-select').val() || this.currentLessonId;
+            const sourceIds = questions.some(question => question.source_lesson)
+                ? [...new Set(questions.map(question => Number(question.source_lesson?.id || lessonId)).filter(Boolean))]
+                : [];
+            
+            $.ajax({
+                url: mpcc_ajax.ajax_url,
+                type: 'POST',
+                dataType: 'json',
+                data: Object.assign({
+                    action: 'mpcc_validate_quiz',
+                    lesson_id: lessonId,
+                    quiz_data: JSON.stringify({ questions: questions }),
+                    nonce: mpcc_ajax.nonce
+                }, sourceIds.length ? { lesson_ids: JSON.stringify(sourceIds) } : {}),
+                success: (response) => {
+                    if (!response.success || !response.data?.quality) {
+                        fail(response.data?.error?.message || response.data?.message || 'Could not review question quality');
+                        return;
+                    }
+                    
+                    this.qualityReview = {
+                        questions: questions,
+                        report: response.data.quality,
+                        issues: this.collectQualityIssues(response.data),
+                        stale: false
+                    };
+                    this.renderQualityReport();
+                    
+                    const count = this.qualityReview.issues.length;
+                    this._a11y('announce', `Quality review complete. Score ${response.data.quality.score} out of 100, ${count} ${count === 1 ? 'issue' : 'issues'} found.`);
+                },
+                error: (xhr) => {
+                    const data = xhr.responseJSON?.data;
+                    fail(data?.error?.message || data?.message || 'Could not review question quality');
+                },
+                complete: () => {
+                    $button.prop('disabled', false);
+                    $panel.attr('aria-busy', 'false');
+                }
+            });
+        }
+        
+        /**
+         * Merge structural validation errors into the quality issues
+         * 
+         * Validation errors read "Question N: ..." and are turned into issues
+         * that open the question for editing.
+         * 
+         * @param {Object} results - Response data of the validation endpoint
+         * @return {Array<Object>} Issues with question index, severity, message and fix
+         */
+        collectQualityIssues(results) {
+            const structural = (results.errors || []).map((error) => {
+                const match = /^Question (\d+): (.*)$/.exec(error);
+                return {
+                    question: match ? parseInt(match[1], 10) - 1 : null,
+                    type: 'structure',
+                    severity: 'high',
+                    message: match ? match[2] : error,
+                    hint: '',
+                    fix: match ? 'edit' : null
+                };
+            });
+            
+            return structural.concat(results.quality.issues || []).map(issue => Object.assign({ fixed: false }, issue));
+        }
+        
+        /**
+         * Render the last quality review
+         * 
+         * Issues point at question objects rather than positions, so the
+         * numbers stay right after questions are discarded or regenerated.
+         * 
+         * @return {void}
+         */
+        renderQualityReport() {
+            const review = this.qualityReview;
+            if (!review) return;
+            
+            const escape = (text) => this.escapeHtml(text);
+            const summary = review.report.summary || {};
+            const score = review.report.score;
+            const scoreClass = score >= 80 ? 'is-good' : (score >= 60 ? 'is-fair' : 'is-poor');
+            const fixable = review.issues.some(issue => issue.fix === 'regenerate' && !issue.fixed && this.getReviewedQuestionIndex(issue) !== -1);
+            
+            let details = `${summary.flaggedQuestions || 0} of ${summary.totalQuestions || review.questions.length} questions flagged`;
+            if (summary.readingGrade !== null && summary.readingGrade !== undefined) {
+                details += ` · reading grade ${summary.readingGrade}`;
+                if (summary.lessonGrade !== null && summary.lessonGrade !== undefined) {
+                    details += ` (lesson ${summary.lessonGrade})`;
+                }
+            }
+            
+            let html = `<div class="mpcc-quality-header">`;
+            html += `<strong class="mpcc-quality-score ${scoreClass}">Quality score: ${score}/100</strong>`;
+            html += `<span class="mpcc-quality-summary">${escape(details)}</span>`;
+            if (fixable) {
+                html += `<button type="button" class="button button-small mpcc-quality-fix-all">Regenerate flagged questions</button>`;
+            }
+            html += `</div>`;
+            
+            if (review.stale) {
+                html += `<p class="mpcc-quality-stale">Questions changed since this review. <button type="button" class="button-link mpcc-quality-refresh">Review again</button></p>`;
+            }
+            
+            if (!summary.groundingChecked) {
+                html += `<p class="mpcc-quality-note">Select a lesson to also check that questions are covered by the lesson text.</p>`;
+            }
+            
+            if (!review.issues.length) {
+                html += `<p class="mpcc-quality-clear">No problems found.</p>`;
+            } else {
+                html += `<ul class="mpcc-quality-issues">`;
+                review.issues.forEach((issue, i) => {
+                    const index = this.getReviewedQuestionIndex(issue);
+                    const target = issue.question === null ? 'Quiz' : (index === -1 ? 'Removed question' : `Question ${index + 1}`);
+                    const labels = { regenerate: 'Regenerate', shuffle: 'Shuffle answers', edit: 'Edit' };
+                    const canFix = labels[issue.fix] && !issue.fixed && (issue.fix === 'shuffle' || index !== -1);
+                    
+                    html += `<li class="mpcc-quality-issue severity-${escape(issue.severity)}${issue.fixed ? ' is-fixed' : ''}" data-issue="${i}">`;
+                    html += `<span class="mpcc-quality-target">${target}</span>`;
+                    html += `<span class="mpcc-quality-message">${escape(issue.message)}</span>`;
+                    if (canFix) {
+                        html += `<button type="button" class="button button-small mpcc-quality-fix" aria-label="${labels[issue.fix]}: ${escape(target)}">${labels[issue.fix]}</button>`;
+                    } else if (issue.fixed) {
+                        html += `<span class="mpcc-quality-fixed">Fix applied</span>`;
+                    }
+                    html += `</li>`;
+                });
+                html += `</ul>`;
+            }
+            
+            $('#mpcc-quality-report').html(html).show();
+        }
+        
+        /**
+         * Find the current preview position of the question an issue refers to
+         * 
+         * @param {Object} issue - Quality issue
+         * @return {number} Question index, or -1 for quiz-wide issues and removed questions
+         */
+        getReviewedQuestionIndex(issue) {
+            if (!this.qualityReview || issue.question === null || issue.question === undefined) return -1;
+            return this.generatedQuestions.indexOf(this.qualityReview.questions[issue.question]);
+        }
+        
+        /**
+         * Flag the quality review as out of date after the questions change
+         * 
+         * @return {void}
+         */
+        markQualityReviewStale() {
+            if (!this.qualityReview) return;
+            
+            this.qualityReview.stale = true;
+            this.renderQualityReport();
+        }
+        
+        /**
+         * Apply the fix offered for a quality issue
+         * 
+         * @param {number} issueIndex - Position of the issue in the report
+         * @return {void}
+         */
+        applyQualityFix(issueIndex) {
+            const issue = this.qualityReview?.issues[issueIndex];
+            if (!issue || issue.fixed) return;
+            
+            if (issue.fix === 'shuffle') {
+                if (this.balanceAnswerPositions()) {
+                    issue.fixed = true;
+                    this.markQualityReviewStale();
+                }
+                return;
+            }
+            
+            const index = this.getReviewedQuestionIndex(issue);
+            if (index === -1) return;
+            
+            if (issue.fix === 'edit') {
+                this.editQuestion(index);
+                return;
+            }
+            
+            issue.fixed = true;
+            this.renderQualityReport();
+            this.regenerateQuestion(index, issue.hint);
+        }
+        
+        /**
+         * Regenerate every flagged question once, combining the hints of its issues
+         * 
+         * @return {void}
+         */
+        fixAllQualityIssues() {
+            if (!this.qualityReview) return;
+            
+            const hints = new Map();
+            this.qualityReview.issues.forEach((issue) => {
+                if (issue.fix !== 'regenerate' || issue.fixed) return;
+                
+                const index = this.getReviewedQuestionIndex(issue);
+                if (index === -1) return;
+                
+                const question = this.generatedQuestions[index];
+                hints.set(question, (hints.get(question) || []).concat(issue.hint));
+                issue.fixed = true;
+            });
+            
+            this.renderQualityReport();
+            hints.forEach((questionHints, question) => {
+                this.regenerateQuestion(this.generatedQuestions.indexOf(question), [...new Set(questionHints)].join('. '));
+            });
+        }
+        
+        /**
+         * Spread the correct answers of multiple choice questions over all positions
+         * 
+         * Each question is given a target position from an evenly filled,
+         * shuffled list, and its options are re-lettered around it.
+         * 
+         * @return {boolean} Whether the answers were rearranged
+         */
+        balanceAnswerPositions() {
+            const $editing = $('#mpcc-questions-preview .mpcc-question-item.is-editing');
+            if ($editing.length) {
+                this.showModalError(
+                    `Question ${this.getQuestionIndex($editing.first()) + 1} has unsaved changes.`,
+                    'Save or cancel your edits before shuffling the answers.'
+                );
+                return false;
+            }
+            
+            const questions = this.generatedQuestions.filter(question =>
+                (question.type || 'multiple_choice') === 'multiple_choice' &&
+                question.options && question.options[question.correct_answer] !== undefined
+            );
+            if (!questions.length) return false;
+            
+            const slots = questions.map((question, i) => i % Object.keys(question.options).length);
+            for (let i = slots.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [slots[i], slots[j]] = [slots[j], slots[i]];
+            }
+            
+            questions.forEach((question, i) => {
+                const entries = Object.entries(question.options);
+                const from = entries.findIndex(([key]) => key === question.correct_answer);
+                const [correct] = entries.splice(from, 1);
+                const to = slots[i] % (entries.length + 1);
+                entries.splice(to, 0, correct);
+                
+                question.options = {};
+                entries.forEach(([, value], position) => {
+                    question.options[String.fromCharCode(65 + position)] = value;
+                });
+                question.correct_answer = String.fromCharCode(65 + to);
+            });
+            
+            this.renderQuestionList();
+            this._a11y('announce', `Answer options shuffled in ${questions.length} multiple choice questions`);
+            return true;
+        }
+        
+        /**
+         * Show one of the modal tabs
+         * 
+         * @param {string} tab - 'generate' or 'import'
+         * @return {void}
+         */
+        switchModalTab(tab) {
+            $('.mpcc-modal-tab').each((i, button) => {
+                const active = $(button).attr('data-tab') === tab;
+                $(button)
+                    .toggleClass('is-active', active)
+                    .attr('aria-selected', String(active))
+                    .attr('tabindex', active ? null : '-1');
+            });
+            
+            $('.mpcc-tab-panel').each((i, panel) => {
+                panel.hidden = panel.id !== `mpcc-tab-${tab}`;
+            });
+        }
+        
+        /**
+         * Load an import file into the import text box and preview it
+         * 
+         * GIFT and CSV files pick their format from the extension.
+         * 
+         * @param {File} file - Chosen file
+         * @return {void}
+         */
+        loadImportFile(file) {
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                const extension = file.name.split('.').pop().toLowerCase();
+                $('#mpcc-import-text').val(reader.result);
+                if (window.MPCCQuizFormats.FORMATS[extension]) {
+                    $('#mpcc-import-format').val(extension);
+                }
+                this.previewImport();
+            };
+            reader.onerror = () => {
+                this.showModalError(`Could not read ${file.name}.`, 'Check that it is a text or CSV file and try again.');
+            };
+            reader.readAsText(file);
+        }
+        
+        /**
+         * Parse the import text and preview the questions found
+         * 
+         * Imported questions replace the preview, like a new generation, and
+         * are inserted through the same block path. Problems are listed with
+         * the line they start on.
+         * 
+         * @return {void}
+         */
+        previewImport() {
+            const text = $('#mpcc-import-text').val() || '';
+            const $errors = $('#mpcc-import-errors');
+            
+            if (!text.trim()) {
+                $errors.html('<p>Paste questions or load a file to import.</p>').show();
+                $('#mpcc-import-text').focus();
+                return;
+            }
+            
+            const result = window.MPCCQuizFormats.parse(text, $('#mpcc-import-format').val() || 'auto');
+            const found = result.questions.length;
+            const problems = result.errors.length;
             
-            // Clear previous results to avoid confusion
-            $('#mpcc-quiz-results').hide();
-            $('#mpcc-modal-error').hide();
+            if (problems) {
+                const items = result.errors.map(error =>
+                    `<li><button type="button" class="button-link mpcc-import-error-line" data-line="${error.line}">Line ${error.line}</button>: ${this.escapeHtml(error.message)}</li>`
+                ).join('');
+                $errors.html(`
+                    <p>${found ? `${found} ${found === 1 ? 'question' : 'questions'} imported.` : 'No questions could be imported.'} ${problems} ${problems === 1 ? 'problem' : 'problems'} found:</p>
+                    <ul>${items}</ul>
+                `).show();
+            } else {
+                $errors.empty().hide();
+            }
             
-            // Set aria-busy and announce generation start
-            $('.mpcc-modal-body').attr('aria-busy', 'true');
-            this._a11y('announce', 'Starting AI generation. Please wait while questions are being generated.');
+            if (found) {
+                const format = window.MPCCQuizFormats.FORMATS[result.format];
+                this.displayQuestions(result.questions, `Imported ${found} ${found === 1 ? 'question' : 'questions'} from ${format}.`);
+            }
+        }
+        
+        /**
+         * Select a line of the import text so a problem can be fixed
+         * 
+         * @param {number} line - One-based line number
+         * @return {void}
+         */
+        selectImportLine(line) {
+            const textarea = document.getElementById('mpcc-import-text');
+            if (!textarea || !line) return;
+            
+            const lines = textarea.value.split('\n');
+            const start = lines.slice(0, line - 1).reduce((offset, text) => offset + text.length + 1, 0);
+            const lineHeight = parseFloat(window.getComputedStyle(textarea).lineHeight) || 18;
+            
+            textarea.focus();
+            textarea.setSelectionRange(start, start + (lines[line - 1] || '').length);
+            textarea.scrollTop = Math.max(0, (line - 3) * lineHeight);
+        }
+        
+        /**
+         * Save questions to the question bank
+         * 
+         * Questions are tagged with their lesson, the course and the difficulty
+         * they were generated at. Saved questions keep their bank ID so the
+         * preview shows them as banked instead of offering to save them again;
+         * questions the bank already had get the ID of the existing entry.
+         * 
+         * @param {Array<Object>} questions - Questions from the preview
+         * @return {void}
+         */
+        saveQuestionsToBank(questions) {
+            const pending = questions.filter(question => question && !question.bank_id);
+            if (!pending.length) {
+                this.showNotice('These questions are already in the question bank.', 'info');
+                return;
+            }
+            
+            const lessonId = $('#mpcc-modal-lesson-select').val() || this.currentLessonId || 0;
+            const items = pending.map(question => ({
+                question: question,
+                lesson_id: question.source_lesson?.id || lessonId,
+                course_id: this.currentCourseId || 0,
+                difficulty: question.difficulty || this.generationDifficulty
+            }));
+            
+            const $button = $('#mpcc-save-to-bank').prop('disabled', true);
+            const fail = (message) => {
+                this.showModalError(message, 'Try again, or edit the question if it is incomplete.');
+                this._a11y('announce', `Error: ${message}`, { priority: 'assertive' });
+            };
             
-            // Execute AI generation request with comprehensive error handling
             $.ajax({
                 url: mpcc_ajax.ajax_url,
                 type: 'POST',
-                dataType: 'json',  // Expect structured JSON response
+                dataType: 'json',
                 data: {
-                    action: 'mpcc_generate_quiz',  // Server-side generation handler
-                    lesson_id: lessonId,           // Validated lesson ID
-                    nonce: mpcc_ajax.nonce,        // Security token
-                    // Structure options as JSON for complex parameter passing
-                    options: JSON.stringify({
-                        num_questions: questionCount,
-                        difficulty: difficulty,
-                        custom_prompt: customPrompt,
-                        question_type: questionType
-                    })
+                    action: 'mpcc_save_bank_questions',
+                    items: JSON.stringify(items),
+                    nonce: mpcc_ajax.nonce
                 },
                 success: (response) => {
-                    // Validate WordPress AJAX response structure
-                    if (response.success && response.data.questions) {
-                        // Store generated questions for further operations
-                        this.generatedQuestions = response.data.questions;
-                        this.displayQuestions(response.data.questions);
-                        
-                        // Announce successful generation
-                        this._a11y('announce', `AI generation complete. Generated ${response.data.questions.length} questions successfully.`);
+                    if (!response.success || !response.data) {
+                        fail(response.data?.error?.message || response.data?.message || 'Could not save to the question bank');
+                        return;
+                    }
+                    
+                    // The preview may have changed while saving, so questions are found by identity
+                    response.data.saved.forEach(({ index, id }) => {
+                        const question = pending[index];
+                        const current = this.generatedQuestions.indexOf(question);
+                        question.bank_id = id;
                         
-                        // Display AI suggestions if provided (content improvement hints)
-                        if (response.data.suggestion) {
-                            this.showNotice(response.data.suggestion, 'info');
+                        const $item = this.getQuestionItem(current);
+                        if (current !== -1 && !$item.hasClass('is-editing')) {
+                            $item.html(this.renderQuestionPreview(question, current));
                         }
-                    } else {
-                        // Handle server-side validation or generation failures
-                        const errorMsg = response.data?.message || 'Failed to generate questions';
-                        // Extract suggestion from nested response structure (WordPress error format)
-                        const suggestion = response.data?.data?.suggestion || response.data?.suggestion || null;
-                        this.showModalError(errorMsg, suggestion);
-                        // Announce error
-                        this._a11y('announce', `Error during AI generation: ${errorMsg}`);
-                    }
-                },
-                error: (xhr, status, error) => {
-                    // Comprehensive error logging for debugging server/network issues
-                    this.logger?.error('Quiz generation failed', {
-                        status: xhr.status,
-                        statusText: xhr.statusText,
-                        error: error,
-                        responseText: xhr.responseText,
-                        responseJSON: xhr.responseJSON
                     });
                     
-                    // Analyze error type and provide specific user guidance
-                    let errorMsg = 'An error occurred while generating questions';
-                    let suggestion = null;
-                    
-                    if (xhr.status === 400) {
-                        // Bad Request: Usually validation failures or malformed data
-                        errorMsg = 'Invalid request. The server rejected the request.';
-                        suggestion = 'Please check the browser console for details and contact support if this persists.';
-                    } else if (xhr.status === 403) {
-                        // Forbidden: Security/permission issues
-                        errorMsg = 'Security check failed.';
-                        suggestion = 'Please refresh the page and try again.';
-                    } else if (xhr.responseJSON && xhr.responseJSON.data) {
-                        // Extract detailed error information from structured response
-                        errorMsg = xhr.responseJSON.data.message || errorMsg;
-                        suggestion = xhr.responseJSON.data.data?.suggestion || xhr.responseJSON.data.suggestion || null;
+                    const saved = response.data.saved.filter(entry => !entry.duplicate).length;
+                    const duplicates = response.data.saved.length - saved;
+                    if (response.data.errors.length) {
+                        const error = response.data.errors[0];
+                        const number = this.generatedQuestions.indexOf(pending[error.index]) + 1;
+                        fail(`${saved} of ${pending.length} questions saved. Question ${number} could not be saved: ${error.message}`);
+                    } else {
+                        let message = `${saved} ${saved === 1 ? 'question' : 'questions'} saved to the question bank`;
+                        if (!saved) {
+                            message = `${duplicates === 1 ? 'This question is' : 'These questions are'} already in the question bank`;
+                        } else if (duplicates) {
+                            message += `; ${duplicates} ${duplicates === 1 ? 'was' : 'were'} already in it`;
+                        }
+                        this.showNotice(`${message}.`, saved ? 'success' : 'info');
+                        this._a11y('announce', message);
                     }
                     
-                    this.showModalError(errorMsg, suggestion);
-                    // Announce error
-                    this._a11y('announce', `Error during AI generation: ${errorMsg}`);
+                    if (saved && $('#mpcc-question-bank').is(':visible')) {
+                        this.searchQuestionBank();
+                    }
+                },
+                error: (xhr) => {
+                    const data = xhr.responseJSON?.data;
+                    fail(data?.error?.message || data?.message || 'Could not save to the question bank');
                 },
                 complete: () => {
-                    // Always restore button state, regardless of success/failure
-                    // This ensures UI remains functional after any outcome
-                    $button.prop('disabled', false).html(originalText);
-                    // Remove aria-busy
-                    $('.mpcc-modal-body').attr('aria-busy', 'false');
+                    $button.prop('disabled', false);
                 }
             });
         }
         
         /**
-         * Display generated questions in preview
+         * Show or hide the question bank browser
          * 
-         * Renders the generated questions in a preview format within the modal
+         * The bank is searched the first time it is opened.
          * 
-         * @param {Array} questions - Array of question objects
+         * @param {boolean} open - Whether to show the browser
          * @return {void}
          */
-        displayQuestions(questions) {
-            const $container = $('#mpcc-questions-preview');
-            $container.empty();
+        toggleQuestionBank(open) {
+            $('#mpcc-question-bank').toggle(open);
+            $('#mpcc-open-bank').attr('aria-expanded', String(open));
             
-            questions.forEach((question, index) => {
-                const questionNum = index + 1;
-                let questionHtml = `<div class="mpcc-question-item">`;
-                questionHtml += `<div class="mpcc-question-number">Question ${questionNum}</div>`;
-                
-                // Handle different question types
-                if (question.type === 'true_false') {
-                    questionHtml += `<div class="mpcc-question-text">${question.statement || question.question}</div>`;
-                    questionHtml += `<div class="mpcc-question-options">`;
-                    const correctAnswer = String(question.correct_answer) === 'true' ? 'True' : 'False';
-                    const incorrectAnswer = String(question.correct_answer) === 'true' ? 'False' : 'True';
-                    questionHtml += `<div class="mpcc-question-option correct">✓ ${correctAnswer}</div>`;
-                    questionHtml += `<div class="mpcc-question-option">✗ ${incorrectAnswer}</div>`;
-                    questionHtml += `</div>`;
-                } else if (question.type === 'text_answer') {
-                    questionHtml += `<div class="mpcc-question-text">${question.question}</div>`;
-                    questionHtml += `<div class="mpcc-question-options">`;
-                    questionHtml += `<div class="mpcc-question-option correct">Expected: ${question.correct_answer || question.expected_answer || 'Open-ended response'}</div>`;
-                    if (question.alternative_answers && question.alternative_answers.length > 0) {
-                        questionHtml += `<div class="mpcc-question-option">Also accepts: ${question.alternative_answers.join(', ')}</div>`;
-                    }
-                    questionHtml += `</div>`;
-                } else if (question.type === 'multiple_select') {
-                    questionHtml += `<div class="mpcc-question-text">${question.question}</div>`;
-                    questionHtml += `<div class="mpcc-question-options">`;
+            if (open) {
+                if (!this.questionBank) {
+                    this.searchQuestionBank();
+                }
+                $('#mpcc-bank-search').focus();
+            }
+        }
+        
+        /**
+         * Read the question bank filters
+         * 
+         * The scope narrows results to the current course or the selected
+         * lesson; without a course or lesson it falls back to the whole bank.
+         * 
+         * @return {Object} Search parameters for the bank endpoint
+         */
+        getBankFilters() {
+            const scope = $('#mpcc-bank-scope').val();
+            
+            return {
+                search: ($('#mpcc-bank-search').val() || '').trim(),
+                type: $('#mpcc-bank-type').val() || '',
+                difficulty: $('#mpcc-bank-difficulty').val() || '',
+                course_id: scope === 'course' ? (this.currentCourseId || '') : '',
+                lesson_id: scope === 'lesson' ? ($('#mpcc-modal-lesson-select').val() || this.currentLessonId || '') : ''
+            };
+        }
+        
+        /**
+         * Search the question bank
+         * 
+         * The first page replaces the results; later pages are appended.
+         * Responses to superseded searches are ignored.
+         * 
+         * @param {number} page - Results page to load
+         * @return {void}
+         */
+        searchQuestionBank(page = 1) {
+            const request = ++this.bankSearchRequest;
+            const $results = $('#mpcc-bank-results').attr('aria-busy', 'true');
+            const $more = $('#mpcc-bank-more').prop('disabled', true);
+            
+            if (page === 1) {
+                $results.html('<p class="mpcc-bank-loading"><span class="mpcc-loading"></span> Loading saved questions...</p>');
+            }
+            
+            const fail = (message) => {
+                $results.html(`<p class="mpcc-bank-error">${this.escapeHtml(message)}</p>`);
+                $more.hide();
+                this._a11y('announce', `Error: ${message}`, { priority: 'assertive' });
+            };
+            
+            $.ajax({
+                url: mpcc_ajax.ajax_url,
+                type: 'POST',
+                dataType: 'json',
+                data: Object.assign({
+                    action: 'mpcc_search_question_bank',
+                    page: page,
+                    nonce: mpcc_ajax.nonce
+                }, this.getBankFilters()),
+                success: (response) => {
+                    if (request !== this.bankSearchRequest) return;
                     
-                    if (question.options) {
-                        Object.entries(question.options).forEach(([key, value]) => {
-                            const isCorrect = question.correct_answers && question.correct_answers.includes(key);
-                            const optionClass = isCorrect ? 'correct' : '';
-                            const prefix = isCorrect ? '☑' : '☐';
-                            questionHtml += `<div class="mpcc-question-option ${optionClass}">${prefix} ${value}</div>`;
-                        });
+                    if (!response.success || !response.data) {
+                        fail(response.data?.error?.message || response.data?.message || 'Could not load the question bank');
+                        return;
                     }
-                    questionHtml += `</div>`;
-                } else {
-                    // Multiple choice
-                    questionHtml += `<div class="mpcc-question-text">${question.question}</div>`;
-                    questionHtml += `<div class="mpcc-question-options">`;
                     
-                    if (question.options) {
-                        Object.entries(question.options).forEach(([key, value]) => {
-                            const isCorrect = key === question.correct_answer;
-                            const optionClass = isCorrect ? 'correct' : '';
-                            const prefix = isCorrect ? '✓' : '';
-                            questionHtml += `<div class="mpcc-question-option ${optionClass}">${prefix} ${key}) ${value}</div>`;
-                        });
-                    }
-                    questionHtml += `</div>`;
-                }
-                
-                if (question.explanation) {
-                    questionHtml += `<div style="margin-top: 10px; font-style: italic; color: #666;">
-                        <strong>Explanation:</strong> ${question.explanation}
-                    </div>`;
+                    const previous = page > 1 && this.questionBank ? this.questionBank.entries : [];
+                    this.questionBank = {
+                        entries: previous.concat(response.data.questions),
+                        page: response.data.page,
+                        pages: response.data.pages,
+                        total: response.data.total
+                    };
+                    this.renderBankResults();
+                    this._a11y('announce', `${response.data.total} saved ${response.data.total === 1 ? 'question' : 'questions'} found`);
+                },
+                error: (xhr) => {
+                    if (request !== this.bankSearchRequest) return;
+                    
+                    const data = xhr.responseJSON?.data;
+                    fail(data?.error?.message || data?.message || 'Could not load the question bank');
+                },
+                complete: () => {
+                    if (request !== this.bankSearchRequest) return;
+                    
+                    $results.attr('aria-busy', 'false');
+                    $more.prop('disabled', false);
                 }
-                
-                questionHtml += `</div>`;
-                
-                $container.append(questionHtml);
+            });
+        }
+        
+        /**
+         * Render the loaded bank results
+         * 
+         * Questions already in the preview cannot be picked again. Checked
+         * questions stay checked when more results are loaded.
+         * 
+         * @return {void}
+         */
+        renderBankResults() {
+            const bank = this.questionBank;
+            if (!bank) return;
+            
+            const $results = $('#mpcc-bank-results');
+            const checked = $results.find('.mpcc-bank-pick:checked').map((i, input) => parseInt(input.value, 10)).get();
+            const inPreview = this.generatedQuestions.map(question => question.bank_id).filter(Boolean);
+            
+            if (!bank.entries.length) {
+                $results.html('<p class="mpcc-bank-empty">No saved questions match. Use "Save to Bank" on a generated question to add it.</p>');
+            } else {
+                const items = bank.entries.map(entry => this.renderBankItem(entry, inPreview.includes(entry.id))).join('');
+                $results.html(`
+                    <p class="mpcc-bank-count">Showing ${bank.entries.length} of ${bank.total} saved questions</p>
+                    <ul class="mpcc-bank-list">${items}</ul>
+                `);
+                checked.forEach(id => {
+                    $results.find(`.mpcc-bank-pick[value="${id}"]`).not(':disabled').prop('checked', true);
+                });
+            }
+            
+            $('#mpcc-bank-more').toggle(bank.page < bank.pages);
+            this.updateBankSelection();
+        }
+        
+        /**
+         * Render one question of the bank results
+         * 
+         * @param {Object} entry - Bank entry
+         * @param {boolean} added - Whether the question is already in the preview
+         * @return {string} Result item HTML
+         */
+        renderBankItem(entry, added) {
+            const question = entry.question || {};
+            const text = question.type === 'true_false' ? question.statement : question.question;
+            const tags = [
+                QUESTION_TYPE_LABELS[entry.type] || entry.type,
+                entry.difficulty ? entry.difficulty.charAt(0).toUpperCase() + entry.difficulty.slice(1) : '',
+                entry.lesson_title
+            ].filter(Boolean);
+            
+            return `
+                <li class="mpcc-bank-item${added ? ' is-added' : ''}" data-id="${entry.id}">
+                    <label class="mpcc-bank-question">
+                        <input type="checkbox" class="mpcc-bank-pick" value="${entry.id}" ${added ? 'disabled' : ''}>
+                        <span class="mpcc-bank-text">${this.escapeHtml(text)}</span>
+                    </label>
+                    <span class="mpcc-bank-tags">
+                        ${tags.map(tag => `<span class="mpcc-bank-tag">${this.escapeHtml(tag)}</span>`).join('')}
+                        ${added ? '<span class="mpcc-bank-tag is-added">In this quiz</span>' : ''}
+                    </span>
+                    ${entry.can_delete ? '<button type="button" class="button-link mpcc-bank-delete" aria-label="Delete this question from the bank">Delete</button>' : ''}
+                </li>
+            `;
+        }
+        
+        /**
+         * Update the add button for the checked bank questions
+         * 
+         * @return {void}
+         */
+        updateBankSelection() {
+            const count = $('#mpcc-bank-results .mpcc-bank-pick:checked').length;
+            $('#mpcc-bank-add')
+                .prop('disabled', count === 0)
+                .text(count ? `Add ${count} to Quiz` : 'Add Selected to Quiz');
+        }
+        
+        /**
+         * Add the checked bank questions to the preview
+         * 
+         * Bank questions join the generated ones and are inserted the same way,
+         * so they become the same question blocks. They are kept when a new
+         * set of questions is generated.
+         * 
+         * @return {void}
+         */
+        addBankQuestions() {
+            const ids = $('#mpcc-bank-results .mpcc-bank-pick:checked').map((i, input) => parseInt(input.value, 10)).get();
+            const inPreview = this.generatedQuestions.map(question => question.bank_id).filter(Boolean);
+            const entries = (this.questionBank?.entries || []).filter(entry => ids.includes(entry.id) && !inPreview.includes(entry.id));
+            if (!entries.length) return;
+            
+            // Re-rendering the list would throw away edits in progress
+            const $editing = $('#mpcc-questions-preview .mpcc-question-item.is-editing');
+            if ($editing.length) {
+                this.showModalError(
+                    `Question ${this.getQuestionIndex($editing.first()) + 1} has unsaved changes.`,
+                    'Save or cancel your edits before adding questions from the bank.'
+                );
+                return;
+            }
+            
+            const first = this.generatedQuestions.length;
+            entries.forEach(entry => {
+                this.generatedQuestions.push(Object.assign({}, entry.question, { bank_id: entry.id, from_bank: true },
+                    entry.lesson_id && entry.lesson_title ? { source_lesson: { id: entry.lesson_id, title: entry.lesson_title } } : {}));
+                this.selectedQuestions.push(true);
             });
             
+            this.renderQuestionList();
+            this.renderBankResults();
+            this.markQualityReviewStale();
             $('#mpcc-quiz-results').show();
             
-            // Announce results
-            this._a11y('announce', `Generated ${questions.length} questions. Use arrow keys to navigate through them.`);
+            this._a11y('announce', `Added ${entries.length} ${entries.length === 1 ? 'question' : 'questions'} from the bank. ${this.generatedQuestions.length} questions in the preview.`);
+            this.getQuestionItem(first).focus();
+        }
+        
+        /**
+         * Delete a question from the question bank
+         * 
+         * Quizzes that already contain the question keep their copy.
+         * 
+         * @param {number} bankId - Bank ID of the question
+         * @return {void}
+         */
+        deleteBankQuestion(bankId) {
+            if (!this.questionBank || !confirm('Delete this question from the question bank? Quizzes that already use it keep their copy.')) {
+                return;
+            }
             
-            // Focus first question for keyboard navigation
-            setTimeout(() => {
-                $('.mpcc-question-item').first().focus();
-            }, 100);
+            $.ajax({
+                url: mpcc_ajax.ajax_url,
+                type: 'POST',
+                dataType: 'json',
+                data: {
+                    action: 'mpcc_delete_bank_question',
+                    bank_id: bankId,
+                    nonce: mpcc_ajax.nonce
+                },
+                success: (response) => {
+                    if (!response.success) {
+                        this.showModalError(response.data?.error?.message || response.data?.message || 'Could not delete the question');
+                        return;
+                    }
+                    
+                    this.questionBank.entries = this.questionBank.entries.filter(entry => entry.id !== bankId);
+                    this.questionBank.total = Math.max(0, this.questionBank.total - 1);
+                    
+                    // Previewed copies can be saved again
+                    this.generatedQuestions.forEach((question, index) => {
+                        if (question.bank_id !== bankId) return;
+                        delete question.bank_id;
+                        const $item = this.getQuestionItem(index);
+                        if (!$item.hasClass('is-editing')) {
+                            $item.html(this.renderQuestionPreview(question, index));
+                        }
+                    });
+                    
+                    this.renderBankResults();
+                    this._a11y('announce', 'Question deleted from the bank');
+                },
+                error: (xhr) => {
+                    const data = xhr.responseJSON?.data;
+                    this.showModalError(data?.error?.message || data?.message || 'Could not delete the question');
+                }
+            });
+        }
+        
+        /**
+         * Escape text for use in HTML
+         * 
+         * @param {string} text - Text to escape
+         * @return {string} Escaped text
+         */
+        escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text === null || text === undefined ? '' : String(text);
+            return div.innerHTML.replace(/"/g, '&quot;');
         }
 
         /**
@@ -1954,6 +4470,15 @@
         async applyQuestions() {
             if (!this.generatedQuestions.length) return;
             
+            const selectedQuestions = this.getSelectedQuestions();
+            if (!selectedQuestions.length) {
+                this.showModalError('No questions are selected.', 'Check at least one question to add it to the quiz.');
+                return;
+            }
+            
+            // Only insert what the user has reviewed and what the blocks can hold
+            if (!this.validateQuestionsForApply()) return;
+            
             // Get the current post ID (quiz ID)
             const quizId = wp.data.select('core/editor').getCurrentPostId();
             this.logger?.log('Current quiz ID:', quizId);
@@ -1966,8 +4491,8 @@
                 const blocks = [];
                 
                 // Process each question
-                for (let i = 0; i < this.generatedQuestions.length; i++) {
-                    const block = await this.createQuestionBlock(this.generatedQuestions[i], i, quizId, dispatch);
+                for (let i = 0; i < selectedQuestions.length; i++) {
+                    const block = await this.createQuestionBlock(selectedQuestions[i], i, quizId, dispatch);
                     if (block) {
                         blocks.push(block);
                     }
@@ -2339,6 +4864,63 @@
             });
         }
 
+        /**
+         * Download the selected questions in an interchange format
+         * 
+         * GIFT and CSV are written as text files. QTI is an IMS content
+         * package, so its files are zipped with the outline exporter.
+         * 
+         * @param {string} format - 'gift', 'qti' or 'csv'
+         * @return {void}
+         */
+        exportQuestions(format) {
+            const questions = this.getSelectedQuestions();
+            if (!questions.length) {
+                this.showNotice('Select at least one question to export.', 'warning');
+                return;
+            }
+            
+            const formats = window.MPCCQuizFormats;
+            const title = wp.data.select('core/editor').getEditedPostAttribute('title') || '';
+            const name = formats.filename(title);
+            
+            switch (format) {
+                case 'gift':
+                    this.downloadFile(`${name}-gift.txt`, formats.toGift(questions), 'text/plain;charset=utf-8');
+                    break;
+                case 'qti':
+                    this.downloadFile(`${name}-qti.zip`, window.MPCCOutlineExport.createZip(formats.toQtiPackage(questions, title)), 'application/zip');
+                    break;
+                case 'csv':
+                    this.downloadFile(`${name}.csv`, formats.toCsv(questions), 'text/csv;charset=utf-8');
+                    break;
+                default:
+                    return;
+            }
+            
+            const label = { gift: 'GIFT', qti: 'QTI 2.1', csv: 'CSV' }[format];
+            const count = `${questions.length} ${questions.length === 1 ? 'question' : 'questions'}`;
+            this.showNotice(`${count} exported as ${label}.`);
+            this._a11y('announce', `${count} exported as ${label}`);
+        }
+        
+        /**
+         * Save generated content as a file through a temporary download link
+         * 
+         * @param {string} filename - Name of the downloaded file
+         * @param {string|Uint8Array} data - File content
+         * @param {string} type - MIME type
+         * @return {void}
+         */
+        downloadFile(filename, data, type) {
+            const url = URL.createObjectURL(new Blob([data], { type: type }));
+            const $link = $('<a>').attr({ href: url, download: filename }).appendTo('body');
+            
+            $link[0].click();
+            $link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        }
+        
         /**
          * Close modal
          * 
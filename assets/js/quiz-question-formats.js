@@ -0,0 +1,1020 @@
+/**
+ * MemberPress Courses Copilot - Quiz Question Formats
+ *
+ * Reads quiz questions written in Moodle GIFT, Aiken or CSV into the question
+ * objects the quiz modal previews and inserts, and writes those objects back
+ * out as GIFT, CSV or an IMS QTI 2.1 package:
+ *
+ *   { type: 'multiple_choice', question, options: { A, B, ... }, correct_answer: 'A' }
+ *   { type: 'multiple_select', question, options, correct_answers: ['A', 'C'] }
+ *   { type: 'true_false', statement, correct_answer: true }
+ *   { type: 'text_answer', question, correct_answer, alternative_answers: [] }
+ *
+ * Problems are reported per question with the line they start on, and the
+ * questions that parse cleanly are still returned. GIFT and CSV exports read
+ * back into the same questions.
+ *
+ * @package MemberPressCoursesCopilot
+ */
+
+(function() {
+    'use strict';
+
+    const MAX_OPTIONS = 26;
+
+    const letter = (position) => String.fromCharCode(65 + position);
+
+    const splitLines = (text) => String(text || '').replace(/\r\n?/g, '\n').split('\n');
+
+    const toBoolean = (value) => {
+        const normalized = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+        if (['true', 't', 'yes', 'y', '1'].includes(normalized)) {
+            return true;
+        }
+        if (['false', 'f', 'no', 'n', '0'].includes(normalized)) {
+            return false;
+        }
+        return null;
+    };
+
+    /**
+     * Key of the option an answer refers to, by letter or by option text
+     *
+     * @param {Object} options Options keyed by letter
+     * @param {string} answer
+     * @returns {string|null}
+     */
+    const optionKey = (options, answer) => {
+        const value = String(answer || '').trim();
+        if (/^[A-Z]$/i.test(value) && options[value.toUpperCase()] !== undefined) {
+            return value.toUpperCase();
+        }
+        const match = Object.keys(options).find(key => options[key].toLowerCase() === value.toLowerCase());
+        return match || null;
+    };
+
+    const optionsFrom = (values) => values.reduce((options, value, position) => {
+        options[letter(position)] = value;
+        return options;
+    }, {});
+
+    // GIFT ---------------------------------------------------------------
+
+    const unescapeGift = (text) => String(text)
+        .replace(/\\([~=#{}:\\n])/g, (match, char) => (char === 'n' ? '\n' : char))
+        .trim();
+
+    /**
+     * Position of the first unescaped occurrence of a string
+     *
+     * @param {string} text
+     * @param {string} search
+     * @param {number} from
+     * @returns {number} -1 when there is none
+     */
+    const indexOfUnescaped = (text, search, from = 0) => {
+        for (let i = from; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+                continue;
+            }
+            if (text.startsWith(search, i)) {
+                return i;
+            }
+        }
+        return -1;
+    };
+
+    const splitUnescaped = (text, separator) => {
+        const parts = [];
+        let from = 0;
+        let at = indexOfUnescaped(text, separator);
+        while (at !== -1) {
+            parts.push(text.slice(from, at));
+            from = at + separator.length;
+            at = indexOfUnescaped(text, separator, from);
+        }
+        parts.push(text.slice(from));
+        return parts;
+    };
+
+    /**
+     * Split the inside of a GIFT answer block into "=" and "~" answers
+     *
+     * @param {string} block
+     * @returns {Array<{marker: string, weight: number|null, text: string}>|null} Null when text precedes the first answer
+     */
+    const giftAnswers = (block) => {
+        const answers = [];
+        let current = null;
+
+        for (let i = 0; i < block.length; i++) {
+            const char = block[i];
+            if (char === '\\') {
+                if (current) {
+                    current.raw += block.slice(i, i + 2);
+                }
+                i++;
+                continue;
+            }
+            if (char === '=' || char === '~') {
+                current = { marker: char, raw: '' };
+                answers.push(current);
+                continue;
+            }
+            if (!current) {
+                if (char.trim()) {
+                    return null;
+                }
+                continue;
+            }
+            current.raw += char;
+        }
+
+        return answers.map((answer) => {
+            const text = splitUnescaped(answer.raw, '#')[0];
+            const weight = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+            return {
+                marker: answer.marker,
+                weight: weight ? parseFloat(weight[1]) : null,
+                raw: text,
+                text: unescapeGift(weight ? text.slice(weight[0].length) : text)
+            };
+        });
+    };
+
+    /**
+     * Parse one GIFT question
+     *
+     * @param {string} source Question source without comments
+     * @returns {{question: Object}|{error: string}}
+     */
+    const parseGiftQuestion = (source) => {
+        const open = indexOfUnescaped(source, '{');
+        const close = open === -1 ? -1 : indexOfUnescaped(source, '}', open + 1);
+        if (open === -1) {
+            return { error: 'No answers found. GIFT answers go between { and }.' };
+        }
+        if (close === -1) {
+            return { error: 'The answer block is not closed with }.' };
+        }
+
+        let before = source.slice(0, open);
+        const title = before.match(/^\s*::[\s\S]*?[^\\]::/);
+        if (title) {
+            before = before.slice(title[0].length);
+        }
+        const markup = before.match(/^\s*\[(html|moodle|plain|markdown)\]/i);
+        if (markup) {
+            before = before.slice(markup[0].length);
+            if (markup[1].toLowerCase() === 'html') {
+                before = before.replace(/<[^>]+>/g, '');
+            }
+        }
+
+        const after = unescapeGift(source.slice(close + 1));
+        const text = [unescapeGift(before), after ? '_____ ' + after : ''].filter(Boolean).join(' ');
+        if (!text) {
+            return { error: 'The question text is missing.' };
+        }
+
+        const [block, ...feedback] = splitUnescaped(source.slice(open + 1, close), '####');
+        const explanation = feedback.length ? unescapeGift(feedback.join(' ')) : '';
+        const body = block.trim();
+        const withExplanation = (question) => (explanation ? Object.assign(question, { explanation: explanation }) : question);
+
+        if (!body) {
+            return { error: 'Essay questions cannot be imported.' };
+        }
+
+        const trueFalse = body.match(/^(TRUE|FALSE|T|F)\s*(#[\s\S]*)?$/i);
+        if (trueFalse) {
+            return { question: withExplanation({
+                type: 'true_false',
+                statement: text,
+                correct_answer: trueFalse[1].toUpperCase().startsWith('T')
+            }) };
+        }
+
+        if (body.startsWith('#')) {
+            const number = body.slice(1).trim().match(/^=?\s*(-?\d+(?:\.\d+)?)\s*(#[\s\S]*)?$/);
+            if (!number) {
+                return { error: 'Only numerical questions with a single exact answer can be imported.' };
+            }
+            return { question: withExplanation({
+                type: 'text_answer',
+                question: text,
+                correct_answer: number[1],
+                alternative_answers: []
+            }) };
+        }
+
+        const answers = giftAnswers(body);
+        if (!answers || !answers.length) {
+            return { error: 'Answers must start with = (correct) or ~ (incorrect).' };
+        }
+        if (answers.some(answer => indexOfUnescaped(answer.raw, '->') !== -1)) {
+            return { error: 'Matching questions cannot be imported.' };
+        }
+        const empty = answers.findIndex(answer => !answer.text);
+        if (empty !== -1) {
+            return { error: `Answer ${empty + 1} is empty.` };
+        }
+
+        const wrong = answers.filter(answer => answer.marker === '~');
+        if (!wrong.length) {
+            return { question: withExplanation({
+                type: 'text_answer',
+                question: text,
+                correct_answer: answers[0].text,
+                alternative_answers: answers.slice(1).map(answer => answer.text)
+            }) };
+        }
+
+        if (answers.length > MAX_OPTIONS) {
+            return { error: `Questions can have at most ${MAX_OPTIONS} answers.` };
+        }
+
+        const options = optionsFrom(answers.map(answer => answer.text));
+        const correct = answers
+            .map((answer, position) => ((answer.marker === '=' || answer.weight > 0) ? letter(position) : null))
+            .filter(Boolean);
+
+        if (!correct.length) {
+            return { error: 'No correct answer is marked. Use = or a positive ~%weight%.' };
+        }
+
+        if (correct.length === 1 && !answers.some(answer => answer.marker === '~' && answer.weight > 0)) {
+            return { question: withExplanation({
+                type: 'multiple_choice',
+                question: text,
+                options: options,
+                correct_answer: correct[0]
+            }) };
+        }
+
+        return { question: withExplanation({
+            type: 'multiple_select',
+            question: text,
+            options: options,
+            correct_answers: correct
+        }) };
+    };
+
+    /**
+     * Parse GIFT text
+     *
+     * Questions are separated by blank lines. Comments (//) and $CATEGORY
+     * lines are skipped.
+     *
+     * @param {string} text
+     * @returns {{questions: Array<Object>, errors: Array<{line: number, message: string}>}}
+     */
+    const parseGift = (text) => {
+        const questions = [];
+        const errors = [];
+        let block = [];
+        let start = 0;
+
+        const flush = () => {
+            if (!block.length) {
+                return;
+            }
+            const result = parseGiftQuestion(block.join('\n'));
+            if (result.error) {
+                errors.push({ line: start, message: result.error });
+            } else {
+                questions.push(result.question);
+            }
+            block = [];
+        };
+
+        splitLines(text).forEach((line, index) => {
+            const trimmed = line.trim();
+            if (trimmed.startsWith('//')) {
+                return;
+            }
+            if (!trimmed) {
+                // A blank line inside an open answer block does not end the question
+                const source = block.join('\n');
+                const open = indexOfUnescaped(source, '{');
+                if (open === -1 || indexOfUnescaped(source, '}', open + 1) !== -1) {
+                    flush();
+                }
+                return;
+            }
+            if (!block.length) {
+                if (/^\$CATEGORY:/i.test(trimmed)) {
+                    return;
+                }
+                start = index + 1;
+            }
+            block.push(line);
+        });
+        flush();
+
+        return { questions: questions, errors: errors };
+    };
+
+    // Aiken --------------------------------------------------------------
+
+    /**
+     * Parse Aiken text
+     *
+     * Each question is a line of text, lettered options ("A." or "A)") and an
+     * "ANSWER: B" line. Several answer letters make a multiple select question.
+     *
+     * @param {string} text
+     * @returns {{questions: Array<Object>, errors: Array<{line: number, message: string}>}}
+     */
+    const parseAiken = (text) => {
+        const questions = [];
+        const errors = [];
+        let current = null;
+
+        const finish = (answerText, line) => {
+            const question = current;
+            current = null;
+
+            if (question.broken) {
+                return;
+            }
+            if (question.options.length < 2) {
+                errors.push({ line: question.line, message: 'Questions need at least two lettered options.' });
+                return;
+            }
+
+            const options = optionsFrom(question.options);
+            const letters = answerText.toUpperCase().split(/[\s,;]+/).filter(Boolean);
+            const unknown = letters.find(answer => options[answer] === undefined);
+            if (!letters.length || unknown) {
+                errors.push({
+                    line: line,
+                    message: letters.length ? `ANSWER ${unknown} does not match an option.` : 'The ANSWER line has no letter.'
+                });
+                return;
+            }
+
+            questions.push(letters.length > 1
+                ? { type: 'multiple_select', question: question.text, options: options, correct_answers: [...new Set(letters)] }
+                : { type: 'multiple_choice', question: question.text, options: options, correct_answer: letters[0] });
+        };
+
+        splitLines(text).forEach((raw, index) => {
+            const line = index + 1;
+            const trimmed = raw.trim();
+            if (!trimmed) {
+                return;
+            }
+
+            const answer = trimmed.match(/^ANSWER\s*:\s*(.*)$/i);
+            if (answer) {
+                if (current) {
+                    finish(answer[1], line);
+                } else {
+                    errors.push({ line: line, message: 'ANSWER line without a question.' });
+                }
+                return;
+            }
+
+            const option = trimmed.match(/^([A-Z])\s*[.)]\s+(.+)$/);
+            if (option && current) {
+                const expected = letter(current.options.length);
+                if (option[1] !== expected && !current.broken) {
+                    errors.push({ line: line, message: `Expected option ${expected}, found ${option[1]}.` });
+                    current.broken = true;
+                }
+                current.options.push(option[2].trim());
+                return;
+            }
+
+            if (current && current.options.length) {
+                if (!current.broken) {
+                    errors.push({ line: current.line, message: 'The ANSWER line is missing.' });
+                }
+                current = null;
+            }
+
+            if (current) {
+                current.text += ' ' + trimmed;
+            } else {
+                current = { line: line, text: trimmed, options: [], broken: false };
+            }
+        });
+
+        if (current && !current.broken) {
+            errors.push({ line: current.line, message: 'The ANSWER line is missing.' });
+        }
+
+        return { questions: questions, errors: errors };
+    };
+
+    // CSV ----------------------------------------------------------------
+
+    const CSV_TYPES = {
+        multiple_choice: ['multiple_choice', 'multiplechoice', 'multichoice', 'mc', 'choice'],
+        multiple_select: ['multiple_select', 'multipleselect', 'multiple_answer', 'multiple_answers', 'ms', 'checkbox'],
+        true_false: ['true_false', 'truefalse', 'tf', 'boolean'],
+        text_answer: ['text_answer', 'short_answer', 'shortanswer', 'short', 'text', 'sa']
+    };
+
+    const CSV_COLUMNS = {
+        type: ['type', 'question_type'],
+        question: ['question', 'question_text', 'statement', 'text'],
+        correct: ['correct', 'correct_answer', 'correct_answers', 'answer', 'answers'],
+        explanation: ['explanation', 'feedback']
+    };
+
+    const normalizeHeader = (value) => String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+    /**
+     * Split CSV text into records, remembering the line each record starts on
+     *
+     * Handles quoted fields with embedded delimiters, quotes and line breaks.
+     * The delimiter (comma, semicolon or tab) is taken from the header line.
+     *
+     * @param {string} text
+     * @returns {Array<{line: number, cells: Array<string>}>}
+     */
+    const csvRecords = (text) => {
+        const source = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        const header = source.split('\n')[0];
+        const delimiter = [',', ';', '\t']
+            .map(candidate => ({ candidate: candidate, count: header.split(candidate).length }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+
+        const records = [];
+        let cells = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let start = 1;
+
+        const endCell = () => {
+            cells.push(cell);
+            cell = '';
+        };
+        const endRecord = () => {
+            endCell();
+            if (cells.some(value => value.trim() !== '')) {
+                records.push({ line: start, cells: cells });
+            }
+            cells = [];
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') {
+                        line++;
+                    }
+                    cell += char;
+                }
+            } else if (char === '"' && cell.trim() === '') {
+                quoted = true;
+                cell = '';
+            } else if (char === delimiter) {
+                endCell();
+            } else if (char === '\n') {
+                endRecord();
+                line++;
+                start = line;
+            } else {
+                cell += char;
+            }
+        }
+        endRecord();
+
+        return records;
+    };
+
+    /**
+     * Turn one CSV row into a question
+     *
+     * @param {Object} row Cells keyed by column: type, question, correct, explanation, options
+     * @returns {{question: Object}|{error: string}}
+     */
+    const csvQuestion = (row) => {
+        const text = row.question.trim();
+        const correct = row.correct.trim();
+        const optionValues = row.options.map(value => value.trim()).filter(Boolean);
+
+        let type = normalizeHeader(row.type);
+        if (type) {
+            type = Object.keys(CSV_TYPES).find(key => CSV_TYPES[key].includes(type));
+            if (!type) {
+                return { error: `Unknown question type "${row.type.trim()}".` };
+            }
+        } else if (optionValues.length) {
+            type = 'multiple_choice';
+        } else {
+            type = toBoolean(correct) === null ? 'text_answer' : 'true_false';
+        }
+
+        if (!text) {
+            return { error: 'The question text is missing.' };
+        }
+
+        const explanation = row.explanation.trim();
+        const withExplanation = (question) => (explanation ? Object.assign(question, { explanation: explanation }) : question);
+
+        if (type === 'true_false') {
+            const answer = toBoolean(correct);
+            if (answer === null) {
+                return { error: 'True/false questions need a correct answer of true or false.' };
+            }
+            return { question: withExplanation({ type: type, statement: text, correct_answer: answer }) };
+        }
+
+        if (type === 'text_answer') {
+            const accepted = correct.split('|').map(value => value.trim()).filter(Boolean);
+            if (!accepted.length) {
+                return { error: 'Short answer questions need a correct answer.' };
+            }
+            return { question: withExplanation({
+                type: type,
+                question: text,
+                correct_answer: accepted[0],
+                alternative_answers: accepted.slice(1)
+            }) };
+        }
+
+        if (optionValues.length < 2) {
+            return { error: 'Choice questions need at least two options.' };
+        }
+
+        // Letters in the correct column refer to the option columns, which may have gaps
+        const options = optionsFrom(optionValues);
+        const byColumn = {};
+        let next = 0;
+        row.options.forEach((value, column) => {
+            if (value.trim()) {
+                byColumn[letter(column)] = letter(next++);
+            }
+        });
+        const resolve = (answer) => {
+            const value = answer.trim();
+            if (/^[A-Z]$/i.test(value)) {
+                return byColumn[value.toUpperCase()] || null;
+            }
+            return optionKey(options, value);
+        };
+
+        if (type === 'multiple_select') {
+            const answers = correct.split(/[,;|]/).map(value => value.trim()).filter(Boolean);
+            const keys = answers.map(resolve);
+            const missing = answers.find((answer, position) => !keys[position]);
+            if (!answers.length || missing) {
+                return { error: answers.length ? `Correct answer "${missing}" is not one of the options.` : 'No correct answer is given.' };
+            }
+            return { question: withExplanation({
+                type: type,
+                question: text,
+                options: options,
+                correct_answers: [...new Set(keys)]
+            }) };
+        }
+
+        const key = correct ? resolve(correct) : null;
+        if (!key) {
+            return { error: correct ? `Correct answer "${correct}" is not one of the options.` : 'No correct answer is given.' };
+        }
+        return { question: withExplanation({ type: type, question: text, options: options, correct_answer: key }) };
+    };
+
+    /**
+     * Parse CSV text with a header row
+     *
+     * Columns: type, question, option_a to option_z (or a to z), correct and
+     * explanation. The correct column takes an option letter or its text;
+     * multiple select answers are separated by commas, and extra accepted
+     * short answers by "|".
+     *
+     * @param {string} text
+     * @returns {{questions: Array<Object>, errors: Array<{line: number, message: string}>}}
+     */
+    const parseCsv = (text) => {
+        const records = csvRecords(text);
+        if (!records.length) {
+            return { questions: [], errors: [] };
+        }
+
+        const [header, ...rows] = records;
+        const columns = { options: [] };
+        header.cells.forEach((name, position) => {
+            const key = normalizeHeader(name);
+            const option = key.match(/^(?:option_?)?([a-z])$/);
+            if (option) {
+                columns.options[option[1].charCodeAt(0) - 97] = position;
+                return;
+            }
+            Object.keys(CSV_COLUMNS).forEach((column) => {
+                if (columns[column] === undefined && CSV_COLUMNS[column].includes(key)) {
+                    columns[column] = position;
+                }
+            });
+        });
+
+        if (columns.question === undefined) {
+            return { questions: [], errors: [{ line: header.line, message: 'The header row needs a "question" column.' }] };
+        }
+
+        const questions = [];
+        const errors = [];
+        const cell = (cells, position) => (position === undefined ? '' : (cells[position] || ''));
+
+        rows.forEach((record) => {
+            const result = csvQuestion({
+                type: cell(record.cells, columns.type),
+                question: cell(record.cells, columns.question),
+                correct: cell(record.cells, columns.correct),
+                explanation: cell(record.cells, columns.explanation),
+                options: Array.from({ length: columns.options.length }, (unused, position) => cell(record.cells, columns.options[position]))
+            });
+            if (result.error) {
+                errors.push({ line: record.line, message: result.error });
+            } else {
+                questions.push(result.question);
+            }
+        });
+
+        return { questions: questions, errors: errors };
+    };
+
+    // Export -------------------------------------------------------------
+
+    const questionText = (question) => String(
+        (question.type === 'true_false' ? question.statement || question.question : question.question) || ''
+    ).trim();
+
+    /**
+     * Non-empty options of a choice question, in order, with their correctness
+     *
+     * Correct answers may be given as option keys or option text.
+     *
+     * @param {Object} question
+     * @returns {Array<{text: string, correct: boolean}>}
+     */
+    const choicesOf = (question) => {
+        const options = {};
+        Object.keys(question.options || {}).forEach((key) => {
+            const text = String(question.options[key] === null ? '' : question.options[key]).trim();
+            if (text) {
+                options[key] = text;
+            }
+        });
+
+        const answers = question.type === 'multiple_select' ? (question.correct_answers || []) : [question.correct_answer];
+        const correct = answers.map(answer => optionKey(options, answer));
+
+        return Object.keys(options).map(key => ({ text: options[key], correct: correct.includes(key) }));
+    };
+
+    /**
+     * Expected answer of a short answer question followed by its alternatives
+     *
+     * @param {Object} question
+     * @returns {Array<string>}
+     */
+    const acceptedAnswers = (question) => [
+        ...new Set([question.correct_answer || question.expected_answer, ...(question.alternative_answers || [])]
+            .map(answer => String(answer === undefined || answer === null ? '' : answer).trim())
+            .filter(Boolean))
+    ];
+
+    const escapeGift = (text) => String(text)
+        .trim()
+        .replace(/[~=#{}:\\]/g, '\\$&')
+        .replace(/\r?\n/g, '\\n');
+
+    /**
+     * GIFT weight for each correct answer of a multiple select question
+     *
+     * Moodle only accepts a fixed list of percentages; 100 split between one
+     * to ten answers and rounded to five places is always on it.
+     *
+     * @param {number} count Number of correct answers
+     * @returns {string}
+     */
+    const giftWeight = (count) => String(parseFloat((100 / count).toFixed(5)));
+
+    const toGiftQuestion = (question) => {
+        let answers;
+        if (question.type === 'true_false') {
+            answers = [toBoolean(question.correct_answer) ? 'TRUE' : 'FALSE'];
+        } else if (question.type === 'text_answer') {
+            answers = acceptedAnswers(question).map(answer => '=' + escapeGift(answer));
+        } else {
+            const choices = choicesOf(question);
+            if (question.type === 'multiple_select') {
+                const weight = giftWeight(choices.filter(choice => choice.correct).length || 1);
+                answers = choices.map(choice => `~%${choice.correct ? weight : '-100'}%` + escapeGift(choice.text));
+            } else {
+                answers = choices.map(choice => (choice.correct ? '=' : '~') + escapeGift(choice.text));
+            }
+        }
+
+        if (question.explanation) {
+            answers.push('####' + escapeGift(question.explanation));
+        }
+
+        return `${escapeGift(questionText(question))} {\n${answers.map(answer => '\t' + answer).join('\n')}\n}`;
+    };
+
+    const csvCell = (value) => {
+        const text = String(value === undefined || value === null ? '' : value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const escapeXml = (value) => String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+
+    const slugify = (value) => String(value || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 60);
+
+    const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+    const QTI_SCHEMA = `${QTI_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd`;
+    const QTI_TEMPLATES = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/';
+
+    /**
+     * Write one question as a QTI 2.1 assessmentItem
+     *
+     * Choice and true/false questions use a choiceInteraction scored with the
+     * match_correct template. Short answers use a textEntryInteraction whose
+     * mapping gives every accepted answer full marks. Explanations are kept in
+     * a scorer-only rubricBlock.
+     *
+     * @param {Object} question
+     * @param {string} identifier
+     * @returns {string}
+     */
+    const toQtiItem = (question, identifier) => {
+        const text = questionText(question);
+        const value = (answer) => `<value>${escapeXml(answer)}</value>`;
+        let declaration;
+        let body;
+        let template = 'match_correct';
+
+        if (question.type === 'text_answer') {
+            const accepted = acceptedAnswers(question);
+            const length = Math.max(10, ...accepted.map(answer => answer.length));
+            declaration =
+                '    <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">\n' +
+                `        <correctResponse>${value(accepted[0] || '')}</correctResponse>\n` +
+                '        <mapping defaultValue="0">\n' +
+                accepted.map(answer => `            <mapEntry mapKey="${escapeXml(answer)}" mappedValue="1" caseSensitive="false"/>\n`).join('') +
+                '        </mapping>\n' +
+                '    </responseDeclaration>\n';
+            body =
+                `        <p>${escapeXml(text)}</p>\n` +
+                `        <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${length}"/></p>\n`;
+            template = 'map_response';
+        } else {
+            const choices = question.type === 'true_false'
+                ? [
+                    { identifier: 'true', text: 'True', correct: toBoolean(question.correct_answer) === true },
+                    { identifier: 'false', text: 'False', correct: toBoolean(question.correct_answer) !== true }
+                ]
+                : choicesOf(question).map((choice, position) => Object.assign({ identifier: letter(position) }, choice));
+            const multiple = question.type === 'multiple_select';
+
+            declaration =
+                `    <responseDeclaration identifier="RESPONSE" cardinality="${multiple ? 'multiple' : 'single'}" baseType="identifier">\n` +
+                `        <correctResponse>${choices.filter(choice => choice.correct).map(choice => value(choice.identifier)).join('')}</correctResponse>\n` +
+                '    </responseDeclaration>\n';
+            body =
+                `        <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${multiple ? 0 : 1}">\n` +
+                `            <prompt>${escapeXml(text)}</prompt>\n` +
+                choices.map(choice => `            <simpleChoice identifier="${choice.identifier}">${escapeXml(choice.text)}</simpleChoice>\n`).join('') +
+                '        </choiceInteraction>\n';
+        }
+
+        if (question.explanation) {
+            body += `        <rubricBlock view="scorer"><p>${escapeXml(question.explanation)}</p></rubricBlock>\n`;
+        }
+
+        const title = text.length > 80 ? text.substring(0, 77) + '...' : text;
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"\n` +
+            `    xsi:schemaLocation="${QTI_SCHEMA}"\n` +
+            `    identifier="${identifier}" title="${escapeXml(title)}" adaptive="false" timeDependent="false">\n` +
+            declaration +
+            '    <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">\n' +
+            '        <defaultValue><value>0</value></defaultValue>\n' +
+            '    </outcomeDeclaration>\n' +
+            '    <itemBody>\n' +
+            body +
+            '    </itemBody>\n' +
+            `    <responseProcessing template="${QTI_TEMPLATES}${template}"/>\n` +
+            '</assessmentItem>\n';
+    };
+
+    // Detection ----------------------------------------------------------
+
+    const PARSERS = {
+        gift: parseGift,
+        aiken: parseAiken,
+        csv: parseCsv
+    };
+
+    const MPCCQuizFormats = {
+        /**
+         * Import formats and their display names
+         */
+        FORMATS: {
+            gift: 'GIFT',
+            aiken: 'Aiken',
+            csv: 'CSV'
+        },
+
+        parseGift: parseGift,
+        parseAiken: parseAiken,
+        parseCsv: parseCsv,
+
+        /**
+         * Guess the format of pasted or uploaded questions
+         *
+         * @param {string} text
+         * @returns {string|null} 'gift', 'aiken', 'csv' or null when unclear
+         */
+        detect(text) {
+            const source = String(text || '');
+            const firstLine = source.replace(/^\uFEFF/, '').split(/\r?\n/).find(line => line.trim()) || '';
+            const headers = firstLine.split(/[,;\t]/).map(normalizeHeader);
+
+            if (headers.length > 1 && headers.some(header => CSV_COLUMNS.question.includes(header))) {
+                return 'csv';
+            }
+            if (/(^|[^\\])\{[\s\S]*\}/.test(source)) {
+                return 'gift';
+            }
+            if (/^\s*ANSWER\s*:/mi.test(source)) {
+                return 'aiken';
+            }
+            return null;
+        },
+
+        /**
+         * Parse questions in the given format
+         *
+         * @param {string} text
+         * @param {string} format 'gift', 'aiken', 'csv' or 'auto'
+         * @returns {{format: string|null, questions: Array<Object>, errors: Array<{line: number, message: string}>}}
+         */
+        parse(text, format = 'auto') {
+            const resolved = format === 'auto' ? this.detect(text) : format;
+            if (!PARSERS[resolved]) {
+                return {
+                    format: null,
+                    questions: [],
+                    errors: [{ line: 1, message: 'The format could not be recognized. Choose GIFT, Aiken or CSV.' }]
+                };
+            }
+
+            const result = PARSERS[resolved](text);
+            result.errors.sort((a, b) => a.line - b.line);
+            return Object.assign({ format: resolved }, result);
+        },
+
+        /**
+         * File name stem for exports of a quiz
+         *
+         * @param {string} title Quiz title
+         * @returns {string}
+         */
+        filename(title) {
+            return slugify(title) || 'quiz-questions';
+        },
+
+        /**
+         * Write questions as Moodle GIFT
+         *
+         * Multiple select answers are weighted so the correct ones share 100%
+         * and each wrong one costs 100%.
+         *
+         * @param {Array<Object>} questions
+         * @returns {string}
+         */
+        toGift(questions) {
+            return questions.map(toGiftQuestion).join('\n\n') + '\n';
+        },
+
+        /**
+         * Write questions as CSV, one row per question
+         *
+         * Uses the columns parseCsv reads, with as many option columns as the
+         * question with the most options. The text starts with a byte order
+         * mark so spreadsheet programs open it as UTF-8.
+         *
+         * @param {Array<Object>} questions
+         * @returns {string}
+         */
+        toCsv(questions) {
+            const width = Math.max(0, ...questions.map(question => (question.options ? choicesOf(question).length : 0)));
+            const header = ['type', 'question']
+                .concat(Array.from({ length: width }, (unused, position) => 'option_' + letter(position).toLowerCase()))
+                .concat(['correct', 'explanation']);
+
+            const rows = questions.map((question) => {
+                const options = new Array(width).fill('');
+                let correct;
+
+                if (question.type === 'true_false') {
+                    correct = toBoolean(question.correct_answer) ? 'true' : 'false';
+                } else if (question.type === 'text_answer') {
+                    correct = acceptedAnswers(question).join('|');
+                } else {
+                    const choices = choicesOf(question);
+                    choices.forEach((choice, position) => {
+                        options[position] = choice.text;
+                    });
+                    correct = choices
+                        .map((choice, position) => (choice.correct ? letter(position) : null))
+                        .filter(Boolean)
+                        .join(',');
+                }
+
+                return [question.type || 'multiple_choice', questionText(question)]
+                    .concat(options)
+                    .concat([correct, question.explanation || '']);
+            });
+
+            return '\uFEFF' + [header].concat(rows).map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+        },
+
+        /**
+         * Write questions as the files of an IMS QTI 2.1 content package
+         *
+         * Each question becomes an assessmentItem, listed in order by an
+         * assessmentTest and described by imsmanifest.xml. Zip the files to
+         * import them into an LMS.
+         *
+         * @param {Array<Object>} questions
+         * @param {string} title Quiz title
+         * @returns {Array<{name: string, content: string}>}
+         */
+        toQtiPackage(questions, title) {
+            const quizTitle = escapeXml(String(title || '').trim() || 'Quiz');
+            const items = questions.map((question, position) => ({
+                identifier: `item-${position + 1}`,
+                name: `items/item-${position + 1}.xml`,
+                content: toQtiItem(question, `item-${position + 1}`)
+            }));
+
+            const test = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                `<assessmentTest xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"\n` +
+                `    xsi:schemaLocation="${QTI_SCHEMA}"\n` +
+                `    identifier="assessment" title="${quizTitle}">\n` +
+                '    <testPart identifier="part-1" navigationMode="linear" submissionMode="individual">\n' +
+                `        <assessmentSection identifier="section-1" title="${quizTitle}" visible="true">\n` +
+                items.map(item => `            <assessmentItemRef identifier="${item.identifier}" href="${item.name}"/>\n`).join('') +
+                '        </assessmentSection>\n' +
+                '    </testPart>\n' +
+                '</assessmentTest>\n';
+
+            const manifest = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                `<manifest identifier="MPCC-${(slugify(title) || 'quiz').toUpperCase()}"\n` +
+                '    xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"\n' +
+                '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"\n' +
+                '    xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd">\n' +
+                '    <metadata>\n' +
+                '        <schema>QTIv2.1 Package</schema>\n' +
+                '        <schemaversion>1.0.0</schemaversion>\n' +
+                '    </metadata>\n' +
+                '    <organizations/>\n' +
+                '    <resources>\n' +
+                '        <resource identifier="RES-assessment" type="imsqti_test_xmlv2p1" href="assessment.xml">\n' +
+                '            <file href="assessment.xml"/>\n' +
+                items.map(item => `            <dependency identifierref="RES-${item.identifier}"/>\n`).join('') +
+                '        </resource>\n' +
+                items.map(item =>
+                    `        <resource identifier="RES-${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.name}">\n` +
+                    `            <file href="${item.name}"/>\n` +
+                    '        </resource>\n'
+                ).join('') +
+                '    </resources>\n' +
+                '</manifest>\n';
+
+            return [
+                { name: 'imsmanifest.xml', content: manifest },
+                { name: 'assessment.xml', content: test }
+            ].concat(items.map(item => ({ name: item.name, content: item.content })));
+        }
+    };
+
+    window.MPCCQuizFormats = MPCCQuizFormats;
+})();
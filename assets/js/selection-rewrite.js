@@ -0,0 +1,143 @@
+/**
+ * MemberPress Courses Copilot - Selection Rewrite
+ *
+ * Rewrite actions for a highlighted passage, shared by the course editor's
+ * lesson panel and the editor AI modal on lesson posts. Each editor reads
+ * and replaces its own selection; this module renders the action bar and
+ * preview and decides whether a rewrite fits inline or needs new blocks.
+ *
+ * @package MemberPressCoursesCopilot
+ */
+
+(function() {
+    'use strict';
+
+    const ACTIONS = [
+        { key: 'simplify', label: 'Simplify', icon: 'editor-spellcheck' },
+        { key: 'expand', label: 'Expand', icon: 'editor-expand' },
+        { key: 'example', label: 'Add example', icon: 'lightbulb' },
+        { key: 'numbered_list', label: 'Numbered list', icon: 'editor-ol' },
+        { key: 'translate', label: 'Translate', icon: 'translation' },
+        { key: 'tone', label: 'Fix tone', icon: 'format-chat' }
+    ];
+
+    const TONES = {
+        friendly: 'Friendly',
+        professional: 'Professional',
+        encouraging: 'Encouraging',
+        neutral: 'Neutral'
+    };
+
+    const BLOCK_TAGS = ['p', 'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'div', 'figure', 'table'];
+
+    const escapeHtml = (text) => String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    const MPCCSelectionRewrite = {
+        ACTIONS,
+        TONES,
+
+        /**
+         * Label of an action
+         *
+         * @param {string} key
+         * @returns {string}
+         */
+        label(key) {
+            const action = ACTIONS.find(item => item.key === key);
+            return action ? action.label : key;
+        },
+
+        /**
+         * Markup of the action bar: one button per action, a language field
+         * for translating and a tone menu for fixing tone
+         *
+         * @returns {string}
+         */
+        renderActions() {
+            const buttons = ACTIONS.map(action => `
+                <button type="button" class="button mpcc-rewrite-action" data-action="${action.key}">
+                    <span class="dashicons dashicons-${action.icon}" aria-hidden="true"></span> ${escapeHtml(action.label)}
+                </button>`).join('');
+            const tones = Object.keys(TONES).map(key => `<option value="${key}">${escapeHtml(TONES[key])}</option>`).join('');
+
+            return `
+                <div class="mpcc-rewrite-buttons" role="group" aria-label="Rewrite the selected text">${buttons}</div>
+                <div class="mpcc-rewrite-options">
+                    <label>Translate into <input type="text" class="mpcc-rewrite-language" value="Spanish" size="12"></label>
+                    <label>Tone <select class="mpcc-rewrite-tone">${tones}</select></label>
+                </div>`;
+        },
+
+        /**
+         * Language and tone chosen in an action bar
+         *
+         * @param {Element} root Element holding the action bar
+         * @returns {{language: string, tone: string}}
+         */
+        readOptions(root) {
+            const language = root.querySelector('.mpcc-rewrite-language');
+            const tone = root.querySelector('.mpcc-rewrite-tone');
+
+            return {
+                language: language ? language.value.trim() : '',
+                tone: tone ? tone.value : 'friendly'
+            };
+        },
+
+        /**
+         * Inline HTML of a rewrite that can replace text inside a block
+         *
+         * A rewrite without block elements, or one wrapped in a single
+         * paragraph, fits inline. Lists and several paragraphs do not.
+         *
+         * @param {string} html Rewritten passage
+         * @returns {?string} Inline HTML, or null if the rewrite needs blocks of its own
+         */
+        toInline(html) {
+            const template = document.createElement('template');
+            template.innerHTML = String(html || '').trim();
+
+            const children = Array.from(template.content.childNodes)
+                .filter(node => node.nodeType !== Node.TEXT_NODE || node.textContent.trim() !== '');
+            if (children.length === 1 && children[0].nodeName.toLowerCase() === 'p') {
+                template.innerHTML = children[0].innerHTML;
+            }
+
+            const hasBlocks = BLOCK_TAGS.some(tag => template.content.querySelector(tag));
+            return hasBlocks ? null : template.innerHTML.trim();
+        },
+
+        /**
+         * Markup previewing a rewrite next to the text it replaces
+         *
+         * @param {string} original Selected text
+         * @param {string} html Rewritten passage, already sanitized by the server
+         * @param {string} action Action key
+         * @returns {string}
+         */
+        renderPreview(original, html, action) {
+            return `
+                <div class="mpcc-rewrite-preview-columns">
+                    <div class="mpcc-rewrite-original">
+                        <span class="mpcc-rewrite-heading">Selected text</span>
+                        <div class="mpcc-rewrite-text">${escapeHtml(original)}</div>
+                    </div>
+                    <div class="mpcc-rewrite-suggestion">
+                        <span class="mpcc-rewrite-heading">${escapeHtml(this.label(action))}</span>
+                        <div class="mpcc-rewrite-text">${html}</div>
+                    </div>
+                </div>
+                <div class="mpcc-rewrite-preview-actions">
+                    <button type="button" class="button button-primary mpcc-rewrite-accept">Replace selection</button>
+                    <button type="button" class="button mpcc-rewrite-retry">Try again</button>
+                    <button type="button" class="button mpcc-rewrite-discard">Discard</button>
+                </div>`;
+        }
+    };
+
+    window.MPCCSelectionRewrite = MPCCSelectionRewrite;
+})();
@@ -150,7 +150,7 @@ window.MPCCSessionManager = (function($) {
             const conversationHistory = window.mpccConversationHistory || 
                                       (window.CourseEditor ? window.CourseEditor.conversationHistory : []);
             const conversationState = window.mpccConversationState ||
-                                    (window.CourseEditor ? { course_structure: window.CourseEditor.courseStructure } : {});
+                                    (window.CourseEditor ? window.CourseEditor.getConversationState() : {});
             
             const saveData = {
                 action: 'mpcc_save_conversation',
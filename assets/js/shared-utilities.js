@@ -512,14 +512,17 @@ window.MPCCUtils = {
         
         /**
          * Save lesson content
+         *
+         * source ('manual', 'autosave' or 'restore') is recorded in the draft history.
          */
-        saveLessonContent: function(sessionId, sectionId, lessonId, content, lessonTitle, callbacks) {
+        saveLessonContent: function(sessionId, sectionId, lessonId, content, lessonTitle, callbacks, source) {
             return this.request('mpcc_save_lesson_content', {
                 session_id: sessionId,
                 section_id: String(sectionId),
                 lesson_id: String(lessonId),
                 lesson_title: lessonTitle,
-                content: content
+                content: content,
+                source: source || 'manual'
             }, callbacks);
         },
         
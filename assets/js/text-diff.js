@@ -0,0 +1,175 @@
+/**
+ * MemberPress Courses Copilot - Text Diff
+ *
+ * Line and word comparison of two texts, shaped for a side-by-side view.
+ * Used by the lesson editor to compare a draft with an earlier revision.
+ *
+ * @package MemberPressCoursesCopilot
+ */
+
+(function() {
+    'use strict';
+
+    /**
+     * Edit script turning sequence a into sequence b
+     *
+     * Common leading and trailing items are matched first so the table
+     * only covers the region that actually changed.
+     *
+     * @param {string[]} a
+     * @param {string[]} b
+     * @returns {Array<{type: string, value: string}>} 'same', 'removed' and 'added' steps in order
+     */
+    const diffSequences = (a, b) => {
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            start++;
+        }
+
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+
+        // lengths[i][j]: longest common subsequence of midA from i and midB from j
+        const lengths = [];
+        for (let i = midA.length; i >= 0; i--) {
+            lengths[i] = new Array(midB.length + 1).fill(0);
+            for (let j = midB.length - 1; i < midA.length && j >= 0; j--) {
+                lengths[i][j] = midA[i] === midB[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const steps = a.slice(0, start).map(value => ({ type: 'same', value }));
+        let i = 0;
+        let j = 0;
+
+        while (i < midA.length || j < midB.length) {
+            if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+                steps.push({ type: 'same', value: midA[i] });
+                i++;
+                j++;
+            } else if (j >= midB.length || (i < midA.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+                steps.push({ type: 'removed', value: midA[i] });
+                i++;
+            } else {
+                steps.push({ type: 'added', value: midB[j] });
+                j++;
+            }
+        }
+
+        return steps.concat(a.slice(endA).map(value => ({ type: 'same', value })));
+    };
+
+    const toLines = (text) => {
+        const normalized = String(text || '').replace(/\r\n?/g, '\n');
+        return normalized === '' ? [] : normalized.split('\n');
+    };
+
+    const MPCCTextDiff = {
+        /**
+         * Compare two texts line by line
+         *
+         * Removed lines followed by added lines are paired up as 'changed'
+         * rows so edits line up side by side. Line numbers are 1-based and
+         * null on the side a row does not exist.
+         *
+         * @param {string} before
+         * @param {string} after
+         * @returns {Array<{type: string, left: ?string, right: ?string, leftNumber: ?number, rightNumber: ?number}>}
+         */
+        compareLines(before, after) {
+            const steps = diffSequences(toLines(before), toLines(after));
+            const rows = [];
+            let leftNumber = 0;
+            let rightNumber = 0;
+            let index = 0;
+
+            while (index < steps.length) {
+                if (steps[index].type === 'same') {
+                    rows.push({
+                        type: 'same',
+                        left: steps[index].value,
+                        right: steps[index].value,
+                        leftNumber: ++leftNumber,
+                        rightNumber: ++rightNumber
+                    });
+                    index++;
+                    continue;
+                }
+
+                const removed = [];
+                const added = [];
+                while (index < steps.length && steps[index].type !== 'same') {
+                    (steps[index].type === 'removed' ? removed : added).push(steps[index].value);
+                    index++;
+                }
+
+                for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+                    const hasLeft = k < removed.length;
+                    const hasRight = k < added.length;
+                    rows.push({
+                        type: hasLeft && hasRight ? 'changed' : (hasLeft ? 'removed' : 'added'),
+                        left: hasLeft ? removed[k] : null,
+                        right: hasRight ? added[k] : null,
+                        leftNumber: hasLeft ? ++leftNumber : null,
+                        rightNumber: hasRight ? ++rightNumber : null
+                    });
+                }
+            }
+
+            return rows;
+        },
+
+        /**
+         * Compare two lines word by word
+         *
+         * Whitespace is kept as its own token so joining the 'same' and
+         * 'removed' parts gives back the first line, and 'same' and 'added'
+         * the second.
+         *
+         * @param {string} before
+         * @param {string} after
+         * @returns {Array<{type: string, value: string}>}
+         */
+        compareWords(before, after) {
+            const tokenize = (text) => String(text || '').split(/(\s+)/).filter(token => token !== '');
+            const merged = [];
+
+            diffSequences(tokenize(before), tokenize(after)).forEach((step) => {
+                const last = merged[merged.length - 1];
+                if (last && last.type === step.type) {
+                    last.value += step.value;
+                } else {
+                    merged.push({ type: step.type, value: step.value });
+                }
+            });
+
+            return merged;
+        },
+
+        /**
+         * Count the rows of a line comparison by type
+         *
+         * @param {Array<{type: string}>} rows Result of compareLines
+         * @returns {{added: number, removed: number, changed: number}}
+         */
+        summarize(rows) {
+            return rows.reduce((counts, row) => {
+                if (row.type !== 'same') {
+                    counts[row.type]++;
+                }
+                return counts;
+            }, { added: 0, removed: 0, changed: 0 });
+        }
+    };
+
+    window.MPCCTextDiff = MPCCTextDiff;
+})();
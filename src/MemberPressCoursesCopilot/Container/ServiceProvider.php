@@ -17,7 +17,11 @@ use MemberPressCoursesCopilot\Services\{
     CourseUIService,
     SessionFeaturesService,
     EditorAIIntegrationService,
-    MpccQuizAIService
+    MpccQuizAIService,
+    MpccQuizQualityService,
+    QuestionBankService,
+    SelectionRewriteService,
+    CourseStyleService
 };
 use MemberPressCoursesCopilot\Interfaces\{
     IDatabaseService,
@@ -179,6 +183,21 @@ class ServiceProvider
             $llmService = $container->get(LLMService::class);
             return new MpccQuizAIService($llmService);
         }, true);
+
+        // Quiz Quality Service (singleton)
+        $container->register(MpccQuizQualityService::class, MpccQuizQualityService::class, true);
+
+        // Question Bank Service (singleton)
+        $container->register(QuestionBankService::class, QuestionBankService::class, true);
+
+        // Selection Rewrite Service (singleton)
+        $container->register(SelectionRewriteService::class, function (Container $container) {
+            $llmService = $container->get(LLMService::class);
+            return new SelectionRewriteService($llmService);
+        }, true);
+
+        // Course Style Service (singleton)
+        $container->register(CourseStyleService::class, CourseStyleService::class, true);
     }
 
     /**
@@ -215,8 +234,11 @@ class ServiceProvider
 
         // Quiz Ajax Controller (singleton)
         $container->register(MpccQuizAjaxController::class, function (Container $container) {
-            $quizAIService = $container->get(MpccQuizAIService::class);
-            return new MpccQuizAjaxController($quizAIService);
+            $quizAIService       = $container->get(MpccQuizAIService::class);
+            $qualityService      = $container->get(MpccQuizQualityService::class);
+            $questionBankService = $container->get(QuestionBankService::class);
+            $courseStyle         = $container->get(CourseStyleService::class);
+            return new MpccQuizAjaxController($quizAIService, null, $qualityService, $questionBankService, $courseStyle);
         }, true);
     }
 
@@ -3,6 +3,9 @@
 namespace MemberPressCoursesCopilot\Controllers;
 
 use MemberPressCoursesCopilot\Services\MpccQuizAIService;
+use MemberPressCoursesCopilot\Services\MpccQuizQualityService;
+use MemberPressCoursesCopilot\Services\QuestionBankService;
+use MemberPressCoursesCopilot\Services\CourseStyleService;
 use MemberPressCoursesCopilot\Services\LLMService;
 use MemberPressCoursesCopilot\Utilities\Logger;
 use MemberPressCoursesCopilot\Utilities\ApiResponse;
@@ -22,6 +25,21 @@ class MpccQuizAjaxController
      */
     private MpccQuizAIService $quizAIService;
 
+    /**
+     * @var MpccQuizQualityService Heuristic review of generated questions
+     */
+    private MpccQuizQualityService $qualityService;
+
+    /**
+     * @var QuestionBankService Storage for questions saved for reuse
+     */
+    private QuestionBankService $questionBankService;
+
+    /**
+     * @var CourseStyleService Style guides copied to published courses
+     */
+    private CourseStyleService $courseStyle;
+
     /**
      * @var Logger Logging service for error tracking and debug information
      */
@@ -30,8 +48,11 @@ class MpccQuizAjaxController
     /**
      * Constructor - dependencies can be injected
      *
-     * @param MpccQuizAIService|null $quizAIService The quiz AI service for generating quiz questions.
-     * @param Logger|null            $logger        The logger instance for error and debug logging.
+     * @param MpccQuizAIService|null      $quizAIService       The quiz AI service for generating quiz questions.
+     * @param Logger|null                 $logger              The logger instance for error and debug logging.
+     * @param MpccQuizQualityService|null $qualityService      The service reviewing generated questions before insertion.
+     * @param QuestionBankService|null    $questionBankService The service storing questions saved for reuse.
+     * @param CourseStyleService|null     $courseStyle         The service holding each course's style guide.
      *
      * @example
      * // Basic instantiation with auto-injection
@@ -45,7 +66,10 @@ class MpccQuizAjaxController
      */
     public function __construct(
         ?MpccQuizAIService $quizAIService = null,
-        ?Logger $logger = null
+        ?Logger $logger = null,
+        ?MpccQuizQualityService $qualityService = null,
+        ?QuestionBankService $questionBankService = null,
+        ?CourseStyleService $courseStyle = null
     ) {
         // Use injected dependencies or create new instances
         if ($quizAIService === null) {
@@ -54,7 +78,10 @@ class MpccQuizAjaxController
         } else {
             $this->quizAIService = $quizAIService;
         }
-        $this->logger = $logger ?? Logger::getInstance();
+        $this->logger              = $logger ?? Logger::getInstance();
+        $this->qualityService      = $qualityService ?? new MpccQuizQualityService();
+        $this->questionBankService = $questionBankService ?? new QuestionBankService();
+        $this->courseStyle         = $courseStyle ?? new CourseStyleService();
     }
 
     /**
@@ -96,6 +123,9 @@ class MpccQuizAjaxController
         add_action('wp_ajax_mpcc_create_quiz_from_lesson', [$this, 'create_quiz_from_lesson'], 10);
         add_action('wp_ajax_mpcc_get_lesson_course', [$this, 'get_lesson_course'], 10);
         add_action('wp_ajax_mpcc_get_course_lessons', [$this, 'get_course_lessons'], 10);
+        add_action('wp_ajax_mpcc_save_bank_questions', [$this, 'save_bank_questions'], 10);
+        add_action('wp_ajax_mpcc_search_question_bank', [$this, 'search_question_bank'], 10);
+        add_action('wp_ajax_mpcc_delete_bank_question', [$this, 'delete_bank_question'], 10);
 
         // Also register for non-logged-in users (though they shouldn't have access)
         add_action('wp_ajax_nopriv_mpcc_generate_quiz', function () {
@@ -173,6 +203,63 @@ class MpccQuizAjaxController
      * });
      *
      * @example
+     * // Mixed quiz: 6 multiple choice, 2 true/false and 2 short answer questions
+     * $.ajax({
+     *     url: mpcc_ajax.ajax_url,
+     *     type: 'POST',
+     *     data: {
+     *         action: 'mpcc_generate_quiz',
+     *         lesson_id: 123,
+     *         nonce: mpcc_ajax.nonce,
+     *         options: JSON.stringify({
+     *             question_type: 'mixed',
+     *             distribution: { multiple_choice: 6, true_false: 2, text_answer: 2 }
+     *         })
+     *     }
+     * });
+     *
+     * @example
+     * // Target Bloom's levels and a difficulty mix; each question comes back
+     * // with its own bloom_level and difficulty
+     * $.ajax({
+     *     url: mpcc_ajax.ajax_url,
+     *     type: 'POST',
+     *     data: {
+     *         action: 'mpcc_generate_quiz',
+     *         lesson_id: 123,
+     *         nonce: mpcc_ajax.nonce,
+     *         options: JSON.stringify({
+     *             num_questions: 8,
+     *             question_type: 'multiple_choice',
+     *             bloom_levels: ['apply', 'analyze'],
+     *             difficulty_mix: { easy: 20, medium: 50, hard: 30 },
+     *             avoid: ['What is a variable?'] // Questions already in the quiz
+     *         })
+     *     }
+     * });
+     *
+     * @example
+     * // End-of-module quiz: 12 questions spread over three lessons by length
+     * $.ajax({
+     *     url: mpcc_ajax.ajax_url,
+     *     type: 'POST',
+     *     data: {
+     *         action: 'mpcc_generate_quiz',
+     *         lesson_ids: JSON.stringify([123, 124, 125]),
+     *         nonce: mpcc_ajax.nonce,
+     *         options: JSON.stringify({
+     *             num_questions: 12,
+     *             question_type: 'multiple_choice',
+     *             allocation: 'weighted' // or 'per_lesson' with questions_per_lesson
+     *         })
+     *     },
+     *     success: function(response) {
+     *         // Each question carries source_lesson: { id, title }
+     *         console.log('Questions per lesson:', response.data.lessons);
+     *     }
+     * });
+     *
+     * @example
      * // Error handling with suggestions
      * $.ajax({
      *     url: mpcc_ajax.ajax_url,
@@ -211,26 +298,35 @@ class MpccQuizAjaxController
             // Parse quiz options
             $options = $this->parseQuizOptions($inputData['options']);
 
-            // Get quiz content
-            $content = $this->getQuizContent(
-                $inputData['content'],
-                $inputData['lessonId'],
-                $inputData['courseId']
-            );
-
-            if (empty($content)) {
-                ApiResponse::errorMessage(
-                    'No content available to generate quiz from',
-                    ApiResponse::ERROR_MISSING_PARAMETER
+            // Prepare options for quiz generation
+            $generationOptions               = $this->prepareGenerationOptions($options);
+            $generationOptions['styleGuide'] = $this->getCourseStyleGuide($inputData);
+
+            if (count($inputData['lessonIds']) > 1) {
+                // One quiz spread across several lessons
+                $result = $this->quizAIService->generateLessonSetQuestions(
+                    $this->getLessonSet($inputData['lessonIds']),
+                    $generationOptions
+                );
+            } else {
+                // Get quiz content
+                $content = $this->getQuizContent(
+                    $inputData['content'],
+                    $inputData['lessonIds'][0] ?? $inputData['lessonId'],
+                    $inputData['courseId']
                 );
-                return;
-            }
 
-            // Prepare options for quiz generation
-            $generationOptions = $this->prepareGenerationOptions($options);
+                if (empty($content)) {
+                    ApiResponse::errorMessage(
+                        'No content available to generate quiz from',
+                        ApiResponse::ERROR_MISSING_PARAMETER
+                    );
+                    return;
+                }
 
-            // Generate quiz using the Quiz AI Service
-            $result = $this->quizAIService->generateQuestions($content, $generationOptions);
+                // Generate quiz using the Quiz AI Service
+                $result = $this->quizAIService->generateQuestions($content, $generationOptions);
+            }
 
             // Check if there was an error from content validation
             if (isset($result['error']) && $result['error']) {
@@ -344,6 +440,7 @@ class MpccQuizAjaxController
      *
      * Sanitization Strategy:
      * - lessonId/courseId: Use absint() to ensure positive integers only
+     * - lessonIds: JSON list or array of lesson IDs, each passed through absint()
      * - content: Use sanitize_textarea_field() to allow multiline text but strip harmful tags
      * - options: Keep as raw array for further processing (sanitized in parseQuizOptions)
      *
@@ -361,16 +458,19 @@ class MpccQuizAjaxController
         return [
             // Convert to absolute integer - ensures only positive whole numbers
             // absint() handles strings, floats, and negative numbers safely
-            'lessonId' => isset($_POST['lesson_id']) ? absint($_POST['lesson_id']) : 0,
-            'courseId' => isset($_POST['course_id']) ? absint($_POST['course_id']) : 0,
+            'lessonId'  => isset($_POST['lesson_id']) ? absint($_POST['lesson_id']) : 0,
+            'courseId'  => isset($_POST['course_id']) ? absint($_POST['course_id']) : 0,
+
+            // Several lessons for one quiz; duplicates and zero IDs dropped
+            'lessonIds' => $this->parseLessonIds($_POST['lesson_ids'] ?? []),
 
             // Sanitize textarea content while preserving line breaks
             // sanitize_textarea_field() strips dangerous HTML but keeps formatting
-            'content'  => sanitize_textarea_field($_POST['content'] ?? ''),
+            'content'   => sanitize_textarea_field($_POST['content'] ?? ''),
 
             // Keep options raw for JSON parsing - will be sanitized in parseQuizOptions()
             // This preserves the structure needed for complex nested data
-            'options'  => $_POST['options'] ?? [],
+            'options'   => $_POST['options'] ?? [],
         ];
     }
 
@@ -428,6 +528,46 @@ class MpccQuizAjaxController
         return [];
     }
 
+    /**
+     * Parse a list of lesson IDs from the request
+     *
+     * @since 1.0.0
+     *
+     * @param  mixed $lessonIds Array or JSON list of IDs
+     * @return array<int, int> Unique positive lesson IDs in the order given
+     */
+    private function parseLessonIds($lessonIds): array
+    {
+        if (!is_array($lessonIds)) {
+            $lessonIds = json_decode(stripslashes((string) $lessonIds), true);
+        }
+
+        if (!is_array($lessonIds)) {
+            return [];
+        }
+
+        return array_values(array_unique(array_filter(array_map('absint', $lessonIds))));
+    }
+
+    /**
+     * Load the lessons of a multi-lesson quiz
+     *
+     * @since 1.0.0
+     *
+     * @param  array<int, int> $lessonIds Lesson IDs
+     * @return array<int, array<string, mixed>> Lessons with 'id', 'title' and 'content'
+     */
+    private function getLessonSet(array $lessonIds): array
+    {
+        return array_map(function ($lessonId) {
+            return [
+                'id'      => $lessonId,
+                'title'   => get_the_title($lessonId),
+                'content' => $this->getLessonContent($lessonId),
+            ];
+        }, $lessonIds);
+    }
+
     /**
      * Get quiz content from lesson, course, or provided content
      *
@@ -465,14 +605,106 @@ class MpccQuizAjaxController
      */
     private function prepareGenerationOptions(array $options): array
     {
+        $type         = $options['questionType'] ?? $options['question_type'] ?? 'multiple_choice';
+        $distribution = $type === 'mixed' ? $this->parseTypeDistribution($options['distribution'] ?? []) : [];
+
         return [
-            'type'         => $options['questionType'] ?? $options['question_type'] ?? 'multiple_choice',
-            'count'        => intval($options['numQuestions'] ?? $options['num_questions'] ?? 10),
-            'difficulty'   => $options['difficulty'] ?? 'medium',
-            'customPrompt' => $options['customPrompt'] ?? $options['custom_prompt'] ?? '',
+            'type'          => $type,
+            'count'         => $type === 'mixed'
+                ? array_sum($distribution)
+                : intval($options['numQuestions'] ?? $options['num_questions'] ?? 10),
+            'difficulty'    => $options['difficulty'] ?? 'medium',
+            'customPrompt'  => $options['customPrompt'] ?? $options['custom_prompt'] ?? '',
+            'distribution'  => $distribution,
+            'allocation'    => ($options['allocation'] ?? '') === 'weighted' ? 'weighted' : 'per_lesson',
+            'perLesson'     => max(1, intval($options['questionsPerLesson'] ?? $options['questions_per_lesson'] ?? 3)),
+            'bloomLevels'   => array_values(array_intersect(
+                array_keys(MpccQuizAIService::BLOOM_LEVELS),
+                (array) ($options['bloomLevels'] ?? $options['bloom_levels'] ?? [])
+            )),
+            'difficultyMix' => $this->parseDifficultyMix($options['difficultyMix'] ?? $options['difficulty_mix'] ?? []),
+            'avoid'         => array_values(array_filter((array) ($options['avoid'] ?? []), 'is_string')),
         ];
     }
 
+    /**
+     * Style guide of the course a quiz is generated for
+     *
+     * The course comes from the request, or else from the (first) lesson.
+     *
+     * @since 1.0.0
+     *
+     * @param  array $inputData Input from extractAndSanitizeInput()
+     * @return string Prompt section, empty when the course has no style
+     */
+    private function getCourseStyleGuide(array $inputData): string
+    {
+        $courseId = $inputData['courseId'];
+        $lessonId = $inputData['lessonIds'][0] ?? $inputData['lessonId'];
+
+        if (!$courseId && $lessonId) {
+            $courseId = (int) get_post_meta($lessonId, '_mpcs_course_id', true);
+        }
+
+        return $this->courseStyle->buildPromptSection($this->courseStyle->getCourseStyle($courseId), 'quiz');
+    }
+
+    /**
+     * Parse the share of questions wanted at each difficulty
+     *
+     * @since 1.0.0
+     *
+     * @param  mixed $mix Raw mix from the request options, difficulty => percentage
+     * @return array<string, int> Non-zero shares keyed by difficulty, easiest first
+     */
+    private function parseDifficultyMix($mix): array
+    {
+        if (!is_array($mix)) {
+            return [];
+        }
+
+        $parsed = [];
+
+        foreach (MpccQuizAIService::DIFFICULTY_LEVELS as $difficulty) {
+            $share = absint($mix[$difficulty] ?? 0);
+            if ($share > 0) {
+                $parsed[$difficulty] = $share;
+            }
+        }
+
+        return $parsed;
+    }
+
+    /**
+     * Parse the per-type question counts of a mixed quiz
+     *
+     * Unknown types and zero counts are dropped; the order is kept so the
+     * quiz lists the types the way the user arranged them.
+     *
+     * @since 1.0.0
+     *
+     * @param  mixed $distribution Raw distribution from the request options
+     * @return array<string, int> Question count per supported type
+     */
+    private function parseTypeDistribution($distribution): array
+    {
+        if (!is_array($distribution)) {
+            return [];
+        }
+
+        $supported = $this->quizAIService->getSupportedQuestionTypes();
+        $parsed    = [];
+
+        foreach ($distribution as $type => $count) {
+            $count = absint($count);
+            if ($count > 0 && in_array($type, $supported, true)) {
+                $parsed[$type] = $count;
+            }
+        }
+
+        return $parsed;
+    }
+
     /**
      * Format successful quiz response
      *
@@ -504,6 +736,7 @@ class MpccQuizAjaxController
             'total'      => count($questions),
             'type'       => $questionType,
             'suggestion' => $result['suggestion'] ?? null,
+            'lessons'    => $result['lessons'] ?? [],
         ];
 
         // Log successful quiz generation
@@ -539,9 +772,12 @@ class MpccQuizAjaxController
      *             question: 'What is PHP?',
      *             options: ['A scripting language', 'A database', 'An OS']
      *         }),
-     *         content: 'PHP is a server-side scripting language...',
+     *         lesson_id: 123,
      *         nonce: mpcc_ajax.nonce,
-     *         options: JSON.stringify({ type: 'multiple_choice' })
+     *         options: JSON.stringify({
+     *             hint: 'make it harder',
+     *             avoid: ['What is a variable?']
+     *         })
      *     },
      *     success: function(response) {
      *         if (response.success) {
@@ -585,11 +821,16 @@ class MpccQuizAjaxController
             }
 
             // Get and validate input
-            $question = json_decode(stripslashes($_POST['question'] ?? '{}'), true);
-            $content  = sanitize_textarea_field($_POST['content'] ?? '');
-            $options  = json_decode(stripslashes($_POST['options'] ?? '{}'), true);
+            $inputData = $this->extractAndSanitizeInput();
+            $question  = json_decode(stripslashes($_POST['question'] ?? '{}'), true);
+            $options   = $this->parseQuizOptions($inputData['options']);
+            $content   = $this->getQuizContent(
+                $inputData['content'],
+                $inputData['lessonId'],
+                $inputData['courseId']
+            );
 
-            if (empty($question) || empty($content)) {
+            if (empty($question) || !is_array($question) || empty($content)) {
                 ApiResponse::errorMessage('Question and content are required', ApiResponse::ERROR_MISSING_PARAMETER);
                 return;
             }
@@ -597,16 +838,28 @@ class MpccQuizAjaxController
             // Get question type from the existing question or options
             $questionType = $question['type'] ?? $options['type'] ?? 'multiple_choice';
 
+            // Never hand back the question being replaced or one already in the quiz
+            $avoid   = array_values(array_filter((array) ($options['avoid'] ?? []), 'is_string'));
+            $avoid[] = sanitize_text_field($question['question'] ?? $question['statement'] ?? '');
+            $avoid   = array_values(array_unique(array_filter($avoid)));
+
             // Log regeneration request
             $this->logger->info('Regenerating question', [
                 'questionType'  => $questionType,
                 'contentLength' => strlen($content),
+                'hasHint'       => !empty($options['hint']),
             ]);
 
-            // Prepare options for regeneration
+            // Prepare options for regeneration, keeping the replaced question's Bloom's level
             $generationOptions = [
-                'type'  => $questionType,
-                'count' => 5,  // Generate 5 to pick from
+                'type'         => $questionType,
+                'count'        => 5,  // Generate 5 to pick from
+                'customPrompt' => $options['hint'] ?? '',
+                'avoid'        => $avoid,
+                'bloomLevels'  => isset(MpccQuizAIService::BLOOM_LEVELS[$question['bloom_level'] ?? ''])
+                    ? [$question['bloom_level']]
+                    : [],
+                'styleGuide'   => $this->getCourseStyleGuide($inputData),
             ];
 
             // Generate new questions of the same type
@@ -636,8 +889,8 @@ class MpccQuizAjaxController
                 throw new \Exception('Failed to regenerate question');
             }
 
-            // Return the first question as the regenerated one
-            $newQuestion = $questions[0];
+            // Return the first candidate that is not a repeat
+            $newQuestion = $this->pickFreshQuestion($questions, $avoid);
 
             wp_send_json_success($newQuestion);
         } catch (\Exception $e) {
@@ -645,6 +898,33 @@ class MpccQuizAjaxController
         }
     }
 
+    /**
+     * Pick the first generated question whose text is not already in use
+     *
+     * @since 1.0.0
+     *
+     * @param  array $questions Generated candidate questions
+     * @param  array $avoid     Question texts already in the quiz
+     * @return array Chosen question, the first candidate if all are repeats
+     */
+    private function pickFreshQuestion(array $questions, array $avoid): array
+    {
+        $normalize = function ($text): string {
+            return strtolower(trim(preg_replace('/\s+/', ' ', (string) $text)));
+        };
+
+        $taken = array_map($normalize, $avoid);
+
+        foreach ($questions as $candidate) {
+            $text = $candidate['question'] ?? $candidate['statement'] ?? '';
+            if (!in_array($normalize($text), $taken, true)) {
+                return $candidate;
+            }
+        }
+
+        return $questions[0];
+    }
+
     /**
      * Handle validate quiz AJAX request
      *
@@ -679,6 +959,7 @@ class MpccQuizAjaxController
      *     data: {
      *         action: 'mpcc_validate_quiz',
      *         quiz_data: JSON.stringify(quizData),
+     *         lesson_id: 123, // Optional, checks questions against the lesson text (or lesson_ids)
      *         nonce: mpcc_ajax.nonce
      *     },
      *     success: function(response) {
@@ -688,6 +969,7 @@ class MpccQuizAjaxController
      *             console.log('Errors:', results.errors);
      *             console.log('Warnings:', results.warnings);
      *             console.log('Summary:', results.summary);
+     *             console.log('Quality score:', results.quality.score);
      *         }
      *     }
      * });
@@ -734,12 +1016,243 @@ class MpccQuizAjaxController
             // Validate quiz structure and content
             $validationResults = $this->validateQuizData($quizData);
 
+            // Review question quality, grounded in the lesson text when lessons are given
+            $lessonIds = $this->parseLessonIds($_POST['lesson_ids'] ?? []);
+            if (empty($lessonIds) && !empty($_POST['lesson_id'])) {
+                $lessonIds = [absint($_POST['lesson_id'])];
+            }
+            $lessonContent = implode("\n\n", array_map([$this, 'getLessonContent'], $lessonIds));
+
+            $validationResults['quality'] = $this->qualityService->analyze($quizData['questions'], $lessonContent);
+
             wp_send_json_success($validationResults);
         } catch (\Exception $e) {
             $this->handleAjaxError($e, 'Quiz validation failed');
         }
     }
 
+    /**
+     * Save previewed questions to the question bank
+     *
+     * Each item carries the question in the shape the quiz AI returns plus the
+     * tags to file it under. Items that fail validation are reported back
+     * individually; the rest are saved. Questions the bank already holds are
+     * reported as duplicates with the ID of the existing entry.
+     *
+     * @since 1.0.0
+     *
+     * @return void
+     *
+     * @example
+     * $.ajax({
+     *     url: mpcc_ajax.ajax_url,
+     *     type: 'POST',
+     *     data: {
+     *         action: 'mpcc_save_bank_questions',
+     *         items: JSON.stringify([{
+     *             question: { type: 'true_false', statement: 'PHP is case-sensitive', correct_answer: false },
+     *             lesson_id: 123,
+     *             course_id: 45,
+     *             difficulty: 'easy'
+     *         }]),
+     *         nonce: mpcc_ajax.nonce
+     *     }
+     * });
+     * // Success: { saved: [{ index: 0, id: 17, duplicate: false }], errors: [] }
+     */
+    public function save_bank_questions(): void
+    {
+        try {
+            // Verify nonce
+            if (!NonceConstants::verify($_POST['nonce'] ?? '', NonceConstants::QUIZ_AI, false)) {
+                ApiResponse::errorMessage('Security check failed', ApiResponse::ERROR_INVALID_NONCE, 403);
+                return;
+            }
+
+            // Check user capabilities
+            if (!current_user_can('edit_posts')) {
+                ApiResponse::errorMessage('Insufficient permissions', ApiResponse::ERROR_INSUFFICIENT_PERMISSIONS, 403);
+                return;
+            }
+
+            $items = json_decode(stripslashes($_POST['items'] ?? '[]'), true);
+
+            if (empty($items) || !is_array($items)) {
+                ApiResponse::errorMessage('Questions are required', ApiResponse::ERROR_MISSING_PARAMETER);
+                return;
+            }
+
+            $saved  = [];
+            $errors = [];
+            $userId = get_current_user_id();
+
+            foreach (array_values($items) as $index => $item) {
+                if (!is_array($item) || empty($item['question']) || !is_array($item['question'])) {
+                    $errors[] = ['index' => $index, 'message' => 'Missing question'];
+                    continue;
+                }
+
+                try {
+                    $result = $this->questionBankService->saveQuestion(
+                        $this->sanitizeArray($item['question']),
+                        [
+                            'lesson_id'  => absint($item['lesson_id'] ?? 0),
+                            'course_id'  => absint($item['course_id'] ?? 0),
+                            'difficulty' => sanitize_key($item['difficulty'] ?? ''),
+                        ],
+                        $userId
+                    );
+
+                    $saved[] = ['index' => $index, 'id' => $result['id'], 'duplicate' => $result['duplicate']];
+                } catch (\InvalidArgumentException $e) {
+                    $errors[] = ['index' => $index, 'message' => $e->getMessage()];
+                }
+            }
+
+            wp_send_json_success([
+                'saved'  => $saved,
+                'errors' => $errors,
+            ]);
+        } catch (\Exception $e) {
+            $this->handleAjaxError($e, 'Failed to save questions to the bank');
+        }
+    }
+
+    /**
+     * Search the question bank
+     *
+     * @since 1.0.0
+     *
+     * @return void
+     *
+     * @example
+     * $.ajax({
+     *     url: mpcc_ajax.ajax_url,
+     *     type: 'POST',
+     *     data: {
+     *         action: 'mpcc_search_question_bank',
+     *         search: 'variables',
+     *         type: 'multiple_choice', // Optional filters: type, difficulty, lesson_id, course_id
+     *         page: 1,
+     *         nonce: mpcc_ajax.nonce
+     *     }
+     * });
+     * // Success: { questions: [{ id, type, question, lesson_id, lesson_title, ... }], total, page, pages }
+     */
+    public function search_question_bank(): void
+    {
+        try {
+            // Verify nonce
+            if (!NonceConstants::verify($_POST['nonce'] ?? '', NonceConstants::QUIZ_AI, false)) {
+                ApiResponse::errorMessage('Security check failed', ApiResponse::ERROR_INVALID_NONCE, 403);
+                return;
+            }
+
+            // Check user capabilities
+            if (!current_user_can('edit_posts')) {
+                ApiResponse::errorMessage('Insufficient permissions', ApiResponse::ERROR_INSUFFICIENT_PERMISSIONS, 403);
+                return;
+            }
+
+            $filters = [
+                'search'     => sanitize_text_field(wp_unslash($_POST['search'] ?? '')),
+                'type'       => sanitize_key($_POST['type'] ?? ''),
+                'difficulty' => sanitize_key($_POST['difficulty'] ?? ''),
+                'lesson_id'  => absint($_POST['lesson_id'] ?? 0),
+                'course_id'  => absint($_POST['course_id'] ?? 0),
+            ];
+            $page    = max(1, absint($_POST['page'] ?? 1));
+            $perPage = 20;
+
+            $results = $this->questionBankService->searchQuestions($filters, $perPage, ($page - 1) * $perPage);
+
+            $questions = array_map(function ($entry) {
+                $entry['lesson_title'] = $entry['lesson_id'] ? get_the_title($entry['lesson_id']) : '';
+                $entry['can_delete']   = $this->canDeleteBankQuestion($entry);
+                return $entry;
+            }, $results['questions']);
+
+            wp_send_json_success([
+                'questions' => $questions,
+                'total'     => $results['total'],
+                'page'      => $page,
+                'pages'     => (int) ceil($results['total'] / $perPage),
+            ]);
+        } catch (\Exception $e) {
+            $this->handleAjaxError($e, 'Failed to search the question bank');
+        }
+    }
+
+    /**
+     * Delete a question from the question bank
+     *
+     * Only the user who saved the question, or a user who may edit other
+     * people's posts, can delete it.
+     *
+     * @since 1.0.0
+     *
+     * @return void
+     *
+     * @example
+     * $.ajax({
+     *     url: mpcc_ajax.ajax_url,
+     *     type: 'POST',
+     *     data: {
+     *         action: 'mpcc_delete_bank_question',
+     *         bank_id: 17,
+     *         nonce: mpcc_ajax.nonce
+     *     }
+     * });
+     */
+    public function delete_bank_question(): void
+    {
+        try {
+            // Verify nonce
+            if (!NonceConstants::verify($_POST['nonce'] ?? '', NonceConstants::QUIZ_AI, false)) {
+                ApiResponse::errorMessage('Security check failed', ApiResponse::ERROR_INVALID_NONCE, 403);
+                return;
+            }
+
+            // Check user capabilities
+            if (!current_user_can('edit_posts')) {
+                ApiResponse::errorMessage('Insufficient permissions', ApiResponse::ERROR_INSUFFICIENT_PERMISSIONS, 403);
+                return;
+            }
+
+            $bankId = absint($_POST['bank_id'] ?? 0);
+            $entry  = $bankId ? $this->questionBankService->getQuestion($bankId) : null;
+
+            if (!$entry) {
+                ApiResponse::errorMessage('Question not found in the bank', ApiResponse::ERROR_INVALID_PARAMETER, 404);
+                return;
+            }
+
+            if (!$this->canDeleteBankQuestion($entry)) {
+                ApiResponse::errorMessage('You can only delete questions you saved', ApiResponse::ERROR_INSUFFICIENT_PERMISSIONS, 403);
+                return;
+            }
+
+            $this->questionBankService->deleteQuestion($bankId);
+
+            wp_send_json_success(['id' => $bankId]);
+        } catch (\Exception $e) {
+            $this->handleAjaxError($e, 'Failed to delete bank question');
+        }
+    }
+
+    /**
+     * Check whether the current user may delete a bank question
+     *
+     * @since 1.0.0
+     *
+     * @param  array $entry Bank entry
+     * @return boolean
+     */
+    private function canDeleteBankQuestion(array $entry): bool
+    {
+        return (int) $entry['created_by'] === get_current_user_id() || current_user_can('edit_others_posts');
+    }
+
     /**
      * Recursively sanitize array data with type-specific cleaning
      *
@@ -1058,7 +1571,8 @@ class MpccQuizAjaxController
 
             // Validate core required fields for all question types
             // Every question must have text content for display
-            if (empty($question['question'])) {
+            // (true/false questions carry it as 'statement' and are checked below)
+            if (empty($question['question']) && ($question['type'] ?? '') !== 'true_false') {
                 $results['errors'][] = "Question {$questionNum}: Question text is missing";
                 $results['valid']    = false;
             }
@@ -1090,9 +1604,11 @@ class MpccQuizAjaxController
                     if (empty($question['correct_answer'])) {
                         $results['errors'][] = "Question {$questionNum}: Correct answer is missing";
                         $results['valid']    = false;
-                    } elseif (!in_array($question['correct_answer'], array_values($question['options'] ?? []))) {
-                        // Check if correct answer matches any option value
-                        // This handles associative arrays where keys != values
+                    } elseif (
+                        !array_key_exists($question['correct_answer'], $question['options'] ?? [])
+                        && !in_array($question['correct_answer'], array_values($question['options'] ?? []))
+                    ) {
+                        // The AI returns the option key; older data may carry the option text instead
                         $results['errors'][] = "Question {$questionNum}: Correct answer is not in options";
                         $results['valid']    = false;
                     }
@@ -1588,9 +2104,10 @@ class MpccQuizAjaxController
                     foreach ($sectionLessons as $lesson) {
                         if ($lesson->post_type === 'mpcs-lesson') {
                             $lessons[] = [
-                                'id'        => $lesson->ID,
-                                'title'     => $lesson->post_title,
-                                'sectionId' => $section->id,
+                                'id'           => $lesson->ID,
+                                'title'        => $lesson->post_title,
+                                'sectionId'    => $section->id,
+                                'sectionTitle' => $section->title,
                             ];
                         }
                     }
@@ -1613,9 +2130,10 @@ class MpccQuizAjaxController
 
                 foreach ($lessonPosts as $lesson) {
                     $lessons[] = [
-                        'id'        => $lesson->ID,
-                        'title'     => $lesson->post_title,
-                        'sectionId' => get_post_meta($lesson->ID, '_mpcs_lesson_section_id', true),
+                        'id'           => $lesson->ID,
+                        'title'        => $lesson->post_title,
+                        'sectionId'    => get_post_meta($lesson->ID, '_mpcs_lesson_section_id', true),
+                        'sectionTitle' => '',
                     ];
                 }
             }
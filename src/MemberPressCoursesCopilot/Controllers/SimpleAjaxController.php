@@ -6,6 +6,10 @@ use MemberPressCoursesCopilot\Services\LLMService;
 use MemberPressCoursesCopilot\Services\LessonDraftService;
 use MemberPressCoursesCopilot\Services\CourseGeneratorService;
 use MemberPressCoursesCopilot\Services\ConversationManager;
+use MemberPressCoursesCopilot\Services\DatabaseService;
+use MemberPressCoursesCopilot\Services\SessionFeaturesService;
+use MemberPressCoursesCopilot\Services\CourseStyleService;
+use MemberPressCoursesCopilot\Models\ConversationSession;
 use MemberPressCoursesCopilot\Utilities\Logger;
 use MemberPressCoursesCopilot\Utilities\ApiResponse;
 use MemberPressCoursesCopilot\Security\NonceConstants;
@@ -46,6 +50,16 @@ class SimpleAjaxController
      */
     private Logger $logger;
 
+    /**
+     * @var SessionFeaturesService Service for exporting and importing session packages
+     */
+    private SessionFeaturesService $sessionFeatures;
+
+    /**
+     * @var CourseStyleService Service for the course style guide applied to AI generation
+     */
+    private CourseStyleService $courseStyle;
+
     /**
      * Initialize the controller
      *
@@ -58,13 +72,22 @@ class SimpleAjaxController
     {
         // Register AJAX handlers
         add_action('wp_ajax_mpcc_chat_message', [$this, 'handleChatMessage']);
+        add_action('wp_ajax_mpcc_chat_message_stream', [$this, 'handleChatMessageStream']);
         add_action('wp_ajax_mpcc_load_session', [$this, 'handleLoadSession']);
         add_action('wp_ajax_mpcc_create_course', [$this, 'handleCreateCourse']);
         add_action('wp_ajax_mpcc_get_sessions', [$this, 'handleGetSessions']);
         add_action('wp_ajax_mpcc_update_session_title', [$this, 'handleUpdateSessionTitle']);
         add_action('wp_ajax_mpcc_delete_session', [$this, 'handleDeleteSession']);
+        add_action('wp_ajax_mpcc_export_session', [$this, 'handleExportSession']);
+        add_action('wp_ajax_mpcc_import_session', [$this, 'handleImportSession']);
         add_action('wp_ajax_mpcc_duplicate_course', [$this, 'handleDuplicateCourse']);
         add_action('wp_ajax_mpcc_get_session_drafts', [$this, 'handleGetSessionDrafts']);
+        add_action('wp_ajax_mpcc_regenerate_outline_item', [$this, 'handleRegenerateOutlineItem']);
+        add_action('wp_ajax_mpcc_start_course_sync', [$this, 'handleStartCourseSync']);
+        add_action('wp_ajax_mpcc_preview_course_sync', [$this, 'handlePreviewCourseSync']);
+        add_action('wp_ajax_mpcc_apply_course_sync', [$this, 'handleApplyCourseSync']);
+        add_action('wp_ajax_mpcc_get_importable_courses', [$this, 'handleGetImportableCourses']);
+        add_action('wp_ajax_mpcc_import_course', [$this, 'handleImportCourse']);
 
         // Override CourseAjaxService handlers with higher priority
         add_action('wp_ajax_mpcc_save_conversation', [$this, 'handleSaveConversation'], 5);
@@ -80,13 +103,15 @@ class SimpleAjaxController
      * @param ConversationManager|null    $conversationManager The service for managing conversation sessions.
      * @param CourseGeneratorService|null $courseGenerator     The service for generating course structures.
      * @param Logger|null                 $logger              The logger instance for debugging and monitoring.
+     * @param CourseStyleService|null     $courseStyle         The service applying the course style guide to prompts.
      */
     public function __construct(
         ?LLMService $llmService = null,
         ?LessonDraftService $lessonDraftService = null,
         ?ConversationManager $conversationManager = null,
         ?CourseGeneratorService $courseGenerator = null,
-        ?Logger $logger = null
+        ?Logger $logger = null,
+        ?CourseStyleService $courseStyle = null
     ) {
         // Use injected dependencies or get from container
         $container = function_exists('mpcc_container') ? mpcc_container() : null;
@@ -96,6 +121,7 @@ class SimpleAjaxController
         $this->conversationManager = $conversationManager ?? ($container ? $container->get(ConversationManager::class) : new ConversationManager());
         $this->logger              = $logger ?? Logger::getInstance();
         $this->courseGenerator     = $courseGenerator ?? ($container ? $container->get(CourseGeneratorService::class) : new CourseGeneratorService($this->logger));
+        $this->courseStyle         = $courseStyle ?? ($container ? $container->get(CourseStyleService::class) : new CourseStyleService());
     }
 
     /**
@@ -182,7 +208,8 @@ class SimpleAjaxController
      * Handle chat message
      *
      * Processes user chat messages, generates AI responses, and extracts course structures.
-     * Expects POST parameters: nonce, message, session_id, conversation_history, course_structure.
+     * Expects POST parameters: nonce, message, session_id, conversation_history, course_structure
+     * and optionally course_style.
      *
      * @since  1.0.0
      * @return void Sends JSON response with message and course_structure
@@ -222,90 +249,352 @@ class SimpleAjaxController
             }
 
             // Generate AI response
-            $prompt     = $this->buildCourseGenerationPrompt($message, $conversationHistory, $courseStructure);
-            $aiResponse = $this->llmService->generateContent($prompt);
-
-            // Parse the response for course structure updates
-            $content            = $aiResponse['content'] ?? 'I apologize, but I encountered an error. Please try again.';
-            $extractedStructure = $this->extractCourseStructure($content, $courseStructure);
-
-            // Log the extraction result for debugging
-            $this->logger->debug('Course structure extraction result', [
-                'has_current_structure' => !empty($courseStructure),
-                'found_new_structure'   => $extractedStructure !== null && $extractedStructure !== $courseStructure,
-                'ai_response_length'    => strlen($content),
-                'contains_json_block'   => strpos($content, '```json') !== false,
+            $courseStyle = $this->getRequestCourseStyle($sessionId);
+            $prompt      = $this->buildCourseGenerationPrompt($message, $conversationHistory, $courseStructure, $courseStyle);
+            $aiResponse  = $this->llmService->generateContent($prompt);
+
+            $content      = $aiResponse['content'] ?? 'I apologize, but I encountered an error. Please try again.';
+            $responseData = $this->buildChatResponse($content, $courseStructure, $sessionId);
+
+            // Send response directly to avoid double nesting
+            // The JavaScript expects response.data.message structure
+            wp_send_json_success($responseData);
+        } catch (\Exception $e) {
+            $error = ApiResponse::exceptionToError($e, ApiResponse::ERROR_GENERAL);
+            ApiResponse::error($error);
+        }
+    }
+
+    /**
+     * Handle streamed chat message
+     *
+     * Same contract as handleChatMessage(), but the AI reply is sent as a
+     * server-sent event stream so the editor can render it while it is being
+     * generated. Emits "chunk" events with raw text deltas, then a single
+     * "done" event carrying the same payload handleChatMessage() returns, or
+     * an "error" event. Generation stops when the client disconnects.
+     *
+     * @since  1.0.0
+     * @return void Streams text/event-stream output and exits
+     */
+    public function handleChatMessageStream(): void
+    {
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce is verified in the next line
+        $nonce = isset($_POST['nonce']) ? sanitize_text_field(wp_unslash($_POST['nonce'])) : '';
+        if (!NonceConstants::verify($nonce, NonceConstants::EDITOR_NONCE, false)) {
+            ApiResponse::errorMessage('Security check failed', ApiResponse::ERROR_INVALID_NONCE, 403);
+            return;
+        }
+
+        $message             = sanitize_textarea_field($_POST['message'] ?? '');
+        $sessionId           = sanitize_text_field($_POST['session_id'] ?? '');
+        $conversationHistory = json_decode(stripslashes($_POST['conversation_history'] ?? '[]'), true);
+        $courseStructure     = json_decode(stripslashes($_POST['course_structure'] ?? '{}'), true);
+
+        $conversationHistory = is_array($conversationHistory) ? $this->sanitizeArray($conversationHistory, 'textarea') : [];
+        $courseStructure     = is_array($courseStructure) ? $this->sanitizeArray($courseStructure) : [];
+
+        if (empty($message)) {
+            ApiResponse::errorMessage('Message is required', ApiResponse::ERROR_MISSING_PARAMETER);
+            return;
+        }
+
+        // Keep running after a disconnect so connection_aborted() can be polled
+        // and the upstream request cancelled cleanly
+        ignore_user_abort(true);
+        $this->startEventStream();
+
+        try {
+            $prompt = $this->buildCourseGenerationPrompt($message, $conversationHistory, $courseStructure, $this->getRequestCourseStyle($sessionId));
+            $result = $this->llmService->generateContentStream($prompt, 'general', function (string $chunk): bool {
+                $this->sendStreamEvent('chunk', ['text' => $chunk]);
+                return !connection_aborted();
+            });
+
+            if ($result['aborted']) {
+                exit;
+            }
+
+            if ($result['error']) {
+                $this->sendStreamEvent('error', [
+                    'message' => 'I apologize, but I encountered an error. Please try again.',
+                ]);
+                exit;
+            }
+
+            $this->sendStreamEvent('done', $this->buildChatResponse($result['content'], $courseStructure, $sessionId));
+        } catch (\Exception $e) {
+            $this->logger->error('Streaming chat failed', [
+                'session_id' => $sessionId,
+                'error'      => $e->getMessage(),
             ]);
+            $this->sendStreamEvent('error', ['message' => $e->getMessage()]);
+        }
+
+        exit;
+    }
+
+    /**
+     * Prepare the response for server-sent events
+     *
+     * Sends event-stream headers and drops any output buffers so each event
+     * reaches the browser immediately instead of when the request ends.
+     *
+     * @since  1.0.0
+     * @return void
+     */
+    private function startEventStream(): void
+    {
+        if (!headers_sent()) {
+            header('Content-Type: text/event-stream; charset=utf-8');
+            header('Cache-Control: no-cache, no-transform');
+            // Disable proxy buffering on nginx
+            header('X-Accel-Buffering: no');
+        }
+
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+
+        if (function_exists('apache_setenv')) {
+            apache_setenv('no-gzip', '1');
+        }
+    }
+
+    /**
+     * Write a single server-sent event and flush it to the client
+     *
+     * @since  1.0.0
+     * @param  string $event Event name (chunk, done, error)
+     * @param  array  $data  Event payload, sent as JSON
+     * @return void
+     */
+    private function sendStreamEvent(string $event, array $data): void
+    {
+        echo 'event: ' . $event . "\n";
+        echo 'data: ' . wp_json_encode($data) . "\n\n";
+        flush();
+    }
+
+    /**
+     * Build the chat response payload from raw AI output
+     *
+     * Extracts any course structure from the AI reply, strips JSON blocks from
+     * the text shown to the user and renames the session when a new course
+     * structure was produced. Shared by the buffered and streaming chat handlers.
+     *
+     * @since  1.0.0
+     * @param  string $content         Raw AI response content
+     * @param  array  $courseStructure Course structure sent with the request
+     * @param  string $sessionId       Current session ID
+     * @return array{message: string, course_structure: array|null}
+     */
+    private function buildChatResponse(string $content, array $courseStructure, string $sessionId): array
+    {
+        // Parse the response for course structure updates
+        $extractedStructure = $this->extractCourseStructure($content, $courseStructure);
+
+        // Log the extraction result for debugging
+        $this->logger->debug('Course structure extraction result', [
+            'has_current_structure' => !empty($courseStructure),
+            'found_new_structure'   => $extractedStructure !== null && $extractedStructure !== $courseStructure,
+            'ai_response_length'    => strlen($content),
+            'contains_json_block'   => strpos($content, '```json') !== false,
+        ]);
+
+        // Clean the message by removing JSON block if course structure was found
+        $displayMessage = $content;
+
+        // Always try to remove JSON blocks from display (even if extraction failed)
+        if (preg_match('/```json\s*[\s\S]*?\s*```/s', $content)) {
+            $displayMessage = preg_replace('/```json\s*[\s\S]*?\s*```/s', '', $content);
+            $displayMessage = trim($displayMessage);
+        }
 
-            // Clean the message by removing JSON block if course structure was found
-            $displayMessage = $content;
+        // Also remove raw JSON that might not be wrapped in code blocks
+        if (preg_match('/^\s*\{[\s\S]*\}\s*$/s', $content)) {
+            $displayMessage = '';
+        }
 
-            // Always try to remove JSON blocks from display (even if extraction failed)
-            if (preg_match('/```json\s*[\s\S]*?\s*```/s', $content)) {
-                $displayMessage = preg_replace('/```json\s*[\s\S]*?\s*```/s', '', $content);
-                $displayMessage = trim($displayMessage);
+        // If we found a course structure, provide a friendly response
+        if ($extractedStructure && $extractedStructure !== $courseStructure) {
+            if (empty($displayMessage)) {
+                $displayMessage = "I've created a course structure for \"" . $extractedStructure['title'] . '". ' .
+                                'This course includes ' . count($extractedStructure['sections']) . ' sections ' .
+                                'covering all the essential topics. You can preview the course structure on the right, ' .
+                                "edit individual lessons, or create the course when you're ready.";
             }
+        } elseif (empty($displayMessage) && preg_match('/\{[\s\S]*\}/s', $content)) {
+            // If we have JSON but failed to extract it, provide a generic response
+            $displayMessage = "I've generated a course structure for you. You can preview it on the right side of the screen and make any adjustments needed.";
+        }
+
+        // Ensure we always have a valid message
+        if (empty($displayMessage)) {
+            $displayMessage = "I've processed your request. Please let me know if you need any clarification or have additional questions.";
+        }
 
-            // Also remove raw JSON that might not be wrapped in code blocks
-            if (preg_match('/^\s*\{[\s\S]*\}\s*$/s', $content)) {
-                $displayMessage = '';
+        // Update session title when course structure is generated
+        if ($extractedStructure && !empty($extractedStructure['title']) && $extractedStructure !== $courseStructure) {
+            $sessionTitle = 'Course: ' . $extractedStructure['title'];
+
+            // Update ConversationManager session
+            $session = $this->conversationManager->loadSession($sessionId);
+            if ($session) {
+                $session->setTitle($sessionTitle);
+                $this->conversationManager->saveSession($session);
+
+                $this->logger->info('Session title updated during chat', [
+                    'session_id'   => $sessionId,
+                    'new_title'    => $sessionTitle,
+                    'course_title' => $extractedStructure['title'],
+                ]);
+            } else {
+                $this->logger->warning('Session not found for title update', [
+                    'session_id' => $sessionId,
+                    'title'      => $sessionTitle,
+                ]);
             }
+        }
 
-            // If we found a course structure, provide a friendly response
-            if ($extractedStructure && $extractedStructure !== $courseStructure) {
-                if (empty($displayMessage)) {
-                    $displayMessage = "I've created a course structure for \"" . $extractedStructure['title'] . '". ' .
-                                    'This course includes ' . count($extractedStructure['sections']) . ' sections ' .
-                                    'covering all the essential topics. You can preview the course structure on the right, ' .
-                                    "edit individual lessons, or create the course when you're ready.";
-                }
-            } elseif (empty($displayMessage) && preg_match('/\{[\s\S]*\}/s', $content)) {
-                // If we have JSON but failed to extract it, provide a generic response
-                $displayMessage = "I've generated a course structure for you. You can preview it on the right side of the screen and make any adjustments needed.";
+        return [
+            'message'          => $displayMessage,
+            'course_structure' => $extractedStructure,
+        ];
+    }
+
+    /**
+     * Handle regenerate outline item
+     *
+     * Regenerates a single section or lesson of the course outline. Only the
+     * target node and its surrounding context are sent to the AI, and the reply
+     * is validated to have the same shape before it is returned for merging.
+     * Expects POST parameters: nonce, node_type (section|lesson), section_index,
+     * lesson_index (lessons only), course_structure, instruction (optional).
+     *
+     * @since  1.0.0
+     * @return void Sends JSON response with the regenerated item
+     */
+    public function handleRegenerateOutlineItem(): void
+    {
+        try {
+            if (!NonceConstants::verify($_POST['nonce'] ?? '', NonceConstants::EDITOR_NONCE, false)) {
+                ApiResponse::errorMessage('Security check failed', ApiResponse::ERROR_INVALID_NONCE, 403);
+                return;
             }
 
-            // Ensure we always have a valid message
-            if (empty($displayMessage)) {
-                $displayMessage = "I've processed your request. Please let me know if you need any clarification or have additional questions.";
+            $nodeType        = sanitize_text_field($_POST['node_type'] ?? '');
+            $sectionIndex    = isset($_POST['section_index']) ? (int) $_POST['section_index'] : -1;
+            $lessonIndex     = isset($_POST['lesson_index']) ? (int) $_POST['lesson_index'] : -1;
+            $instruction     = sanitize_textarea_field($_POST['instruction'] ?? '');
+            $courseStructure = json_decode(stripslashes($_POST['course_structure'] ?? '{}'), true);
+
+            if (!in_array($nodeType, ['section', 'lesson'], true)) {
+                ApiResponse::errorMessage('Invalid item type', ApiResponse::ERROR_INVALID_PARAMETER);
+                return;
             }
 
-            // Update session title when course structure is generated
-            if ($extractedStructure && !empty($extractedStructure['title']) && $extractedStructure !== $courseStructure) {
-                $sessionTitle = 'Course: ' . $extractedStructure['title'];
+            if (!is_array($courseStructure) || empty($courseStructure['sections'][$sectionIndex])) {
+                ApiResponse::errorMessage('Section not found in course structure', ApiResponse::ERROR_INVALID_PARAMETER);
+                return;
+            }
 
-                // Update ConversationManager session
-                $session = $this->conversationManager->loadSession($sessionId);
-                if ($session) {
-                    $session->setTitle($sessionTitle);
-                    $this->conversationManager->saveSession($session);
+            if ($nodeType === 'lesson' && empty($courseStructure['sections'][$sectionIndex]['lessons'][$lessonIndex])) {
+                ApiResponse::errorMessage('Lesson not found in course structure', ApiResponse::ERROR_INVALID_PARAMETER);
+                return;
+            }
 
-                    $this->logger->info('Session title updated during chat', [
-                        'session_id'   => $sessionId,
-                        'new_title'    => $sessionTitle,
-                        'course_title' => $extractedStructure['title'],
-                    ]);
-                } else {
-                    $this->logger->warning('Session not found for title update', [
-                        'session_id' => $sessionId,
-                        'title'      => $sessionTitle,
-                    ]);
+            // Drafts are not part of the outline and would only bloat the prompt
+            foreach ($courseStructure['sections'] as $s => $section) {
+                foreach ($section['lessons'] ?? [] as $l => $lesson) {
+                    unset($courseStructure['sections'][$s]['lessons'][$l]['draft_content'], $courseStructure['sections'][$s]['lessons'][$l]['content']);
                 }
             }
+            $courseStructure = $this->sanitizeArray($courseStructure);
 
-            $responseData = [
-                'message'          => $displayMessage,
-                'course_structure' => $extractedStructure,
-            ];
+            $courseStyle = $this->getRequestCourseStyle(sanitize_text_field($_POST['session_id'] ?? ''));
+            $prompt      = $this->buildOutlineItemPrompt($nodeType, $courseStructure, $sectionIndex, $lessonIndex, $instruction, $courseStyle);
+            $aiResponse  = $this->llmService->generateContent($prompt, 'course_outline', [
+                'temperature' => 0.7,
+                'max_tokens'  => 1500,
+            ]);
 
-            // Send response directly to avoid double nesting
-            // The JavaScript expects response.data.message structure
-            wp_send_json_success($responseData);
+            if ($aiResponse['error']) {
+                $this->logger->error('Outline item regeneration failed', [
+                    'node_type' => $nodeType,
+                    'error'     => $aiResponse['message'] ?? '',
+                ]);
+                ApiResponse::errorMessage('Failed to regenerate with AI. Please try again.', ApiResponse::ERROR_AI_SERVICE, 502);
+                return;
+            }
+
+            $item = $this->extractJsonObject($aiResponse['content']);
+            $item = $item ? $this->normalizeOutlineItem($nodeType, $item) : null;
+
+            if ($item === null) {
+                $this->logger->warning('Regenerated outline item had an unexpected format', [
+                    'node_type'       => $nodeType,
+                    'response_length' => strlen($aiResponse['content']),
+                ]);
+                ApiResponse::errorMessage('The AI response could not be used. Please try again.', ApiResponse::ERROR_AI_SERVICE, 502);
+                return;
+            }
+
+            wp_send_json_success([
+                'node_type'     => $nodeType,
+                'section_index' => $sectionIndex,
+                'lesson_index'  => $lessonIndex,
+                'item'          => $item,
+            ]);
         } catch (\Exception $e) {
             $error = ApiResponse::exceptionToError($e, ApiResponse::ERROR_GENERAL);
             ApiResponse::error($error);
         }
     }
 
+    /**
+     * Keep only the outline fields of a regenerated section or lesson
+     *
+     * @since  1.0.0
+     * @param  string $nodeType 'section' or 'lesson'
+     * @param  array  $item     Decoded AI output
+     * @return array|null Sanitized item, or null when required fields are missing
+     */
+    private function normalizeOutlineItem(string $nodeType, array $item): ?array
+    {
+        $normalizeLesson = function ($lesson): ?array {
+            if (!is_array($lesson) || empty($lesson['title'])) {
+                return null;
+            }
+            $normalized = [
+                'title'    => sanitize_text_field($lesson['title']),
+                'duration' => sanitize_text_field($lesson['duration'] ?? ''),
+            ];
+            if (!empty($lesson['description'])) {
+                $normalized['description'] = sanitize_textarea_field($lesson['description']);
+            }
+            return $normalized;
+        };
+
+        if ($nodeType === 'lesson') {
+            return $normalizeLesson($item);
+        }
+
+        if (empty($item['title']) || empty($item['lessons']) || !is_array($item['lessons'])) {
+            return null;
+        }
+
+        $lessons = array_values(array_filter(array_map($normalizeLesson, $item['lessons'])));
+        if (empty($lessons)) {
+            return null;
+        }
+
+        return [
+            'title'   => sanitize_text_field($item['title']),
+            'lessons' => $lessons,
+        ];
+    }
+
     /**
      * Handle load session
      *
@@ -382,6 +671,9 @@ class SimpleAjaxController
             if (isset($metadata['published_course_url'])) {
                 $sessionData['published_course_url'] = $metadata['published_course_url'];
             }
+            if (!empty($metadata['course_sync'])) {
+                $sessionData['course_sync'] = true;
+            }
 
             wp_send_json_success($sessionData);
         } catch (\Exception $e) {
@@ -424,6 +716,9 @@ class SimpleAjaxController
             if (is_array($conversationState)) {
                 $conversationState = $this->sanitizeArray($conversationState);
             }
+            if (isset($conversationState['course_style'])) {
+                $conversationState['course_style'] = $this->courseStyle->sanitize($conversationState['course_style']);
+            }
 
             if (empty($sessionId)) {
                 ApiResponse::errorMessage('Session ID is required', ApiResponse::ERROR_MISSING_PARAMETER);
@@ -548,45 +843,7 @@ class SimpleAjaxController
 
             // Custom sanitization for course data to preserve HTML in description
             if (is_array($courseData)) {
-                // Sanitize top-level fields
-                if (isset($courseData['title'])) {
-                    $courseData['title'] = sanitize_text_field($courseData['title']);
-                }
-                
-                // Preserve description content - use textarea field to preserve line breaks
-                // Note: Description in course structure JSON should be plain text, not HTML/Gutenberg
-                if (isset($courseData['description'])) {
-                    $courseData['description'] = sanitize_textarea_field($courseData['description']);
-                }
-                
-                // Sanitize sections array
-                if (isset($courseData['sections']) && is_array($courseData['sections'])) {
-                    foreach ($courseData['sections'] as $sectionIndex => $section) {
-                        if (isset($section['title'])) {
-                            $courseData['sections'][$sectionIndex]['title'] = sanitize_text_field($section['title']);
-                        }
-                        if (isset($section['description'])) {
-                            $courseData['sections'][$sectionIndex]['description'] = sanitize_textarea_field($section['description']);
-                        }
-                        
-                        // Sanitize lessons within sections
-                        if (isset($section['lessons']) && is_array($section['lessons'])) {
-                            foreach ($section['lessons'] as $lessonIndex => $lesson) {
-                                if (isset($lesson['title'])) {
-                                    $courseData['sections'][$sectionIndex]['lessons'][$lessonIndex]['title'] = sanitize_text_field($lesson['title']);
-                                }
-                                if (isset($lesson['content'])) {
-                                    // Don't use wp_kses_post as it strips Gutenberg block comments
-                                    // Content is already sanitized by the AI and contains Gutenberg blocks
-                                    $courseData['sections'][$sectionIndex]['lessons'][$lessonIndex]['content'] = $lesson['content'];
-                                }
-                                if (isset($lesson['duration'])) {
-                                    $courseData['sections'][$sectionIndex]['lessons'][$lessonIndex]['duration'] = sanitize_text_field($lesson['duration']);
-                                }
-                            }
-                        }
-                    }
-                }
+                $courseData = $this->sanitizeCourseData($courseData);
             }
 
             if (empty($courseData['title'])) {
@@ -627,6 +884,9 @@ class SimpleAjaxController
                 return;
             }
 
+            // Quizzes are generated from the course later, outside of the session
+            $this->courseStyle->saveCourseStyle((int) $result['course_id'], $this->getRequestCourseStyle($sessionId));
+
             // Update session with course creation info
             if (!empty($courseData['title'])) {
                 $sessionTitle = 'Course: ' . $courseData['title'];
@@ -636,37 +896,390 @@ class SimpleAjaxController
                 if ($session) {
                     $session->setTitle($sessionTitle);
 
-                    // Store course creation info in metadata
-                    $session->setMetadata('published_course_id', $result['course_id']);
-                    $session->setMetadata('published_course_url', $result['edit_url']);
-                    $session->setMetadata('published_at', current_time('mysql'));
+                    // Store course creation info in metadata
+                    $session->setMetadata('published_course_id', $result['course_id']);
+                    $session->setMetadata('published_course_url', $result['edit_url']);
+                    $session->setMetadata('published_at', current_time('mysql'));
+
+                    $this->conversationManager->saveSession($session);
+
+                    $this->logger->info('Session updated after course creation', [
+                        'session_id' => $sessionId,
+                        'new_title'  => $sessionTitle,
+                        'course_id'  => $result['course_id'],
+                    ]);
+                } else {
+                    $this->logger->warning('Session not found after course creation', [
+                        'session_id' => $sessionId,
+                        'course_id'  => $result['course_id'],
+                    ]);
+                }
+            }
+
+            // Clean up drafts after successful course creation
+            $this->lessonDraftService->deleteSessionDrafts($sessionId);
+
+            wp_send_json_success([
+                'course_id' => $result['course_id'],
+                'edit_url'  => $result['edit_url'],
+            ]);
+        } catch (\Exception $e) {
+            $error = ApiResponse::exceptionToError($e, ApiResponse::ERROR_COURSE_GENERATION);
+            ApiResponse::error($error);
+        }
+    }
+
+    /**
+     * Handle start course sync
+     *
+     * Switches a published course's session into sync mode: the outline is
+     * reloaded from the live course so later edits can be synced back to it.
+     * Expects POST parameters: nonce, session_id, course_structure (optional,
+     * the outline the session's drafts are stored under).
+     *
+     * @since  1.0.0
+     * @return void Sends JSON response with the live course structure
+     */
+    public function handleStartCourseSync(): void
+    {
+        try {
+            $session = $this->loadSyncSession(false);
+            if ($session === null) {
+                return;
+            }
+
+            $previous = json_decode(stripslashes($_POST['course_structure'] ?? ''), true);
+            if (!is_array($previous)) {
+                $previous = (array) $session->getContext('course_structure', []);
+            }
+
+            $courseId  = (int) $session->getMetadata('published_course_id');
+            $structure = $this->seedSyncDrafts($session->getSessionId(), $courseId, $previous);
+
+            $session->setMetadata('course_sync', true);
+            $this->conversationManager->saveSession($session);
+
+            $this->logger->info('Course sync started', [
+                'session_id' => $session->getSessionId(),
+                'course_id'  => $courseId,
+            ]);
+
+            wp_send_json_success(['course_structure' => $structure]);
+        } catch (\Exception $e) {
+            $error = ApiResponse::exceptionToError($e, ApiResponse::ERROR_GENERAL);
+            ApiResponse::error($error);
+        }
+    }
+
+    /**
+     * Handle preview course sync
+     *
+     * Lists the changes syncing the edited outline would make to the live course.
+     * Expects POST parameters: nonce, session_id, course_data.
+     *
+     * @since  1.0.0
+     * @return void Sends JSON response with the change set
+     */
+    public function handlePreviewCourseSync(): void
+    {
+        try {
+            $session = $this->loadSyncSession(true);
+            if ($session === null) {
+                return;
+            }
+
+            $courseData = $this->getSyncCourseData($session->getSessionId());
+            if ($courseData === null) {
+                return;
+            }
+
+            $changeSet = $this->courseGenerator->previewCourseSync((int) $session->getMetadata('published_course_id'), $courseData);
+
+            wp_send_json_success([
+                'changes'     => $changeSet['changes'],
+                'has_changes' => $changeSet['has_changes'],
+            ]);
+        } catch (\Exception $e) {
+            $error = ApiResponse::exceptionToError($e, ApiResponse::ERROR_GENERAL);
+            ApiResponse::error($error);
+        }
+    }
+
+    /**
+     * Handle apply course sync
+     *
+     * Applies the edited outline to the live course, then reloads the session
+     * from the updated course. Expects POST parameters: nonce, session_id, course_data.
+     *
+     * @since  1.0.0
+     * @return void Sends JSON response with the applied changes and refreshed structure
+     */
+    public function handleApplyCourseSync(): void
+    {
+        try {
+            $session = $this->loadSyncSession(true);
+            if ($session === null) {
+                return;
+            }
+
+            $courseData = $this->getSyncCourseData($session->getSessionId());
+            if ($courseData === null) {
+                return;
+            }
+
+            $courseId = (int) $session->getMetadata('published_course_id');
+            $result   = $this->courseGenerator->updateCourse($courseId, $courseData);
+
+            if (!$result['success']) {
+                $error = new WP_Error(ApiResponse::ERROR_COURSE_GENERATION, $result['error'] ?? 'Failed to sync course');
+                ApiResponse::error($error);
+                return;
+            }
+
+            $this->courseStyle->saveCourseStyle($courseId, $this->getRequestCourseStyle($session->getSessionId()));
+
+            // Lesson positions may have shifted, so drafts are rebuilt from the course
+            $structure = $this->seedSyncDrafts($session->getSessionId(), $courseId, $courseData);
+
+            $session->setMetadata('synced_at', current_time('mysql'));
+            $this->conversationManager->saveSession($session);
+
+            wp_send_json_success([
+                'changes'          => $result['changes'],
+                'course_structure' => $structure,
+            ]);
+        } catch (\Exception $e) {
+            $error = ApiResponse::exceptionToError($e, ApiResponse::ERROR_COURSE_GENERATION);
+            ApiResponse::error($error);
+        }
+    }
+
+    /**
+     * Verify a course sync request and load its session
+     *
+     * Sends the error response itself when the request cannot go ahead.
+     *
+     * @since  1.0.0
+     * @param  boolean $requireSyncMode Whether the session must already be in sync mode
+     * @return ConversationSession|null
+     */
+    private function loadSyncSession(bool $requireSyncMode): ?ConversationSession
+    {
+        if (!NonceConstants::verify($_POST['nonce'] ?? '', NonceConstants::EDITOR_NONCE, false)) {
+            ApiResponse::errorMessage('Security check failed', ApiResponse::ERROR_INVALID_NONCE, 403);
+            return null;
+        }
+
+        $sessionId = sanitize_text_field($_POST['session_id'] ?? '');
+        if (empty($sessionId)) {
+            ApiResponse::errorMessage('Session ID is required', ApiResponse::ERROR_MISSING_PARAMETER);
+            return null;
+        }
+
+        $session = $this->conversationManager->loadSession($sessionId);
+        if ($session === null) {
+            ApiResponse::notFound('Session not found', ApiResponse::ERROR_SESSION_NOT_FOUND);
+            return null;
+        }
+
+        $courseId = (int) $session->getMetadata('published_course_id');
+        if (!$courseId) {
+            ApiResponse::errorMessage('This session has not been published as a course', ApiResponse::ERROR_INVALID_PARAMETER);
+            return null;
+        }
+
+        if (!current_user_can('edit_post', $courseId)) {
+            ApiResponse::errorMessage('You do not have permission to edit this course', ApiResponse::ERROR_INSUFFICIENT_PERMISSIONS, 403);
+            return null;
+        }
+
+        if ($requireSyncMode && !$session->getMetadata('course_sync')) {
+            ApiResponse::errorMessage('Editing of the published course has not been started', ApiResponse::ERROR_INVALID_PARAMETER);
+            return null;
+        }
+
+        return $session;
+    }
+
+    /**
+     * Read the edited outline from the request, with lesson drafts mapped in
+     *
+     * @since  1.0.0
+     * @param  string $sessionId Session ID
+     * @return array|null Course data, or null after sending an error response
+     */
+    private function getSyncCourseData(string $sessionId): ?array
+    {
+        $courseData = json_decode(stripslashes($_POST['course_data'] ?? '{}'), true);
+        if (!is_array($courseData) || empty($courseData['title'])) {
+            ApiResponse::errorMessage('Course title is required', ApiResponse::ERROR_MISSING_PARAMETER);
+            return null;
+        }
+
+        // Lesson content comes from the drafts table, as when creating a course
+        $courseData = $this->sanitizeCourseData($courseData);
+        foreach ($courseData['sections'] ?? [] as $sectionIndex => $section) {
+            foreach ($section['lessons'] ?? [] as $lessonIndex => $lesson) {
+                unset($courseData['sections'][$sectionIndex]['lessons'][$lessonIndex]['content']);
+            }
+        }
+
+        // Drafts are stored by position; never publish one under another lesson
+        $misplaced = $this->lessonDraftService->findMisplacedDrafts($sessionId, $courseData);
+        if ($misplaced) {
+            ApiResponse::errorMessage(
+                sprintf(
+                    'The saved drafts of "%s" do not match the outline. Reload the editor and try again.',
+                    implode('", "', array_slice($misplaced, 0, 3))
+                ),
+                ApiResponse::ERROR_SESSION_CONFLICT,
+                409
+            );
+            return null;
+        }
+
+        return $this->lessonDraftService->mapDraftsToStructure($sessionId, $courseData);
+    }
+
+    /**
+     * Replace a session's drafts with the lesson content of the live course
+     *
+     * Drafts stored under the previous outline move to where their lessons now
+     * sit, so revision histories survive; drafts of lessons the course no longer
+     * has are deleted.
+     *
+     * @since  1.0.0
+     * @param  string  $sessionId Session ID
+     * @param  integer $courseId  Course post ID
+     * @param  array   $previous  Outline the session's drafts are stored under
+     * @return array Course structure for the editor, with content as `draft_content`
+     *               and `student_count` on lessons that have student progress
+     */
+    private function seedSyncDrafts(string $sessionId, int $courseId, array $previous = []): array
+    {
+        $structure = $this->courseGenerator->getCourseStructure($courseId);
+        $progress  = $this->courseGenerator->getLessonProgressCounts($courseId);
+
+        $this->lessonDraftService->moveDrafts($sessionId, $this->findSyncDraftMoves($previous, $structure));
+
+        foreach ($structure['sections'] as $sectionIndex => $section) {
+            foreach ($section['lessons'] as $lessonIndex => $lesson) {
+                $this->lessonDraftService->saveDraft($sessionId, (string) $sectionIndex, (string) $lessonIndex, $lesson['content'], $lessonIndex);
+
+                $structure['sections'][$sectionIndex]['lessons'][$lessonIndex]['draft_content'] = $lesson['content'];
+                unset($structure['sections'][$sectionIndex]['lessons'][$lessonIndex]['content']);
+
+                if (!empty($progress[$lesson['lesson_id']])) {
+                    $structure['sections'][$sectionIndex]['lessons'][$lessonIndex]['student_count'] = $progress[$lesson['lesson_id']];
+                }
+            }
+        }
+
+        return $structure;
+    }
+
+    /**
+     * Draft moves from an outline to the live course structure
+     *
+     * Lessons are matched by post ID, then by title among those left over.
+     * Lessons without a match get no move.
+     *
+     * @since  1.0.0
+     * @param  array $previous  Outline the drafts are stored under
+     * @param  array $structure Live course structure
+     * @return array Moves as taken by LessonDraftService::moveDrafts()
+     */
+    private function findSyncDraftMoves(array $previous, array $structure): array
+    {
+        $targets = [];
+        foreach ($structure['sections'] ?? [] as $sectionIndex => $section) {
+            foreach ($section['lessons'] ?? [] as $lessonIndex => $lesson) {
+                $targets[] = ['lesson' => $lesson, 'to' => [$sectionIndex, $lessonIndex]];
+            }
+        }
 
-                    $this->conversationManager->saveSession($session);
+        $sources = [];
+        foreach ($previous['sections'] ?? [] as $sectionIndex => $section) {
+            foreach ($section['lessons'] ?? [] as $lessonIndex => $lesson) {
+                $sources[] = ['lesson' => $lesson, 'from' => [$sectionIndex, $lessonIndex]];
+            }
+        }
 
-                    $this->logger->info('Session updated after course creation', [
-                        'session_id' => $sessionId,
-                        'new_title'  => $sessionTitle,
-                        'course_id'  => $result['course_id'],
-                    ]);
-                } else {
-                    $this->logger->warning('Session not found after course creation', [
-                        'session_id' => $sessionId,
-                        'course_id'  => $result['course_id'],
-                    ]);
+        $moves = [];
+        foreach (['lesson_id', 'title'] as $field) {
+            foreach ($sources as $sourceIndex => $source) {
+                if (empty($source['lesson'][$field])) {
+                    continue;
+                }
+                foreach ($targets as $targetIndex => $target) {
+                    if ((string) ($target['lesson'][$field] ?? '') === (string) $source['lesson'][$field]) {
+                        $moves[] = ['from' => $source['from'], 'to' => $target['to']];
+                        unset($sources[$sourceIndex], $targets[$targetIndex]);
+                        break;
+                    }
                 }
             }
+        }
 
-            // Clean up drafts after successful course creation
-            $this->lessonDraftService->deleteSessionDrafts($sessionId);
+        return $moves;
+    }
 
-            wp_send_json_success([
-                'course_id' => $result['course_id'],
-                'edit_url'  => $result['edit_url'],
-            ]);
-        } catch (\Exception $e) {
-            $error = ApiResponse::exceptionToError($e, ApiResponse::ERROR_COURSE_GENERATION);
-            ApiResponse::error($error);
+    /**
+     * Sanitize a course structure posted from the editor
+     *
+     * @since  1.0.0
+     * @param  array $courseData Decoded course structure
+     * @return array Sanitized course structure
+     */
+    private function sanitizeCourseData(array $courseData): array
+    {
+        // Sanitize top-level fields
+        if (isset($courseData['title'])) {
+            $courseData['title'] = sanitize_text_field($courseData['title']);
+        }
+        
+        // Preserve description content - use textarea field to preserve line breaks
+        // Note: Description in course structure JSON should be plain text, not HTML/Gutenberg
+        if (isset($courseData['description'])) {
+            $courseData['description'] = sanitize_textarea_field($courseData['description']);
+        }
+        
+        // Sanitize sections array
+        if (isset($courseData['sections']) && is_array($courseData['sections'])) {
+            foreach ($courseData['sections'] as $sectionIndex => $section) {
+                if (isset($section['title'])) {
+                    $courseData['sections'][$sectionIndex]['title'] = sanitize_text_field($section['title']);
+                }
+                if (isset($section['description'])) {
+                    $courseData['sections'][$sectionIndex]['description'] = sanitize_textarea_field($section['description']);
+                }
+                if (isset($section['section_id'])) {
+                    $courseData['sections'][$sectionIndex]['section_id'] = absint($section['section_id']);
+                }
+                
+                // Sanitize lessons within sections
+                if (isset($section['lessons']) && is_array($section['lessons'])) {
+                    foreach ($section['lessons'] as $lessonIndex => $lesson) {
+                        if (isset($lesson['title'])) {
+                            $courseData['sections'][$sectionIndex]['lessons'][$lessonIndex]['title'] = sanitize_text_field($lesson['title']);
+                        }
+                        if (isset($lesson['content'])) {
+                            // Don't use wp_kses_post as it strips Gutenberg block comments
+                            // Content is already sanitized by the AI and contains Gutenberg blocks
+                            $courseData['sections'][$sectionIndex]['lessons'][$lessonIndex]['content'] = $lesson['content'];
+                        }
+                        if (isset($lesson['duration'])) {
+                            $courseData['sections'][$sectionIndex]['lessons'][$lessonIndex]['duration'] = sanitize_text_field($lesson['duration']);
+                        }
+                        if (isset($lesson['lesson_id'])) {
+                            $courseData['sections'][$sectionIndex]['lessons'][$lessonIndex]['lesson_id'] = absint($lesson['lesson_id']);
+                        }
+                    }
+                }
+            }
         }
+
+        return $courseData;
     }
 
     /**
@@ -809,12 +1422,18 @@ Format the content with clear headings and sections.";
      * @param  string $message             The user's current message
      * @param  array  $conversationHistory Array of previous conversation messages
      * @param  array  $courseStructure     Current course structure if exists
+     * @param  array  $courseStyle         Sanitized course style guide
      * @return string The formatted prompt for AI processing
      */
-    private function buildCourseGenerationPrompt(string $message, array $conversationHistory, array $courseStructure): string
+    private function buildCourseGenerationPrompt(string $message, array $conversationHistory, array $courseStructure, array $courseStyle): string
     {
         $prompt = 'You are an AI course creation assistant helping to build online courses. ';
 
+        $styleGuide = $this->courseStyle->buildPromptSection($courseStyle, 'chat');
+        if ($styleGuide !== '') {
+            $prompt .= "\n\n" . rtrim($styleGuide);
+        }
+
         // Include current course structure if available
         if (!empty($courseStructure['title'])) {
             $prompt .= "\n\nCurrent course structure:\n```json\n" . wp_json_encode($courseStructure, JSON_PRETTY_PRINT) . "\n```\n";
@@ -876,6 +1495,104 @@ If modifying an existing course, include ALL sections and lessons (both existing
         return $prompt;
     }
 
+    /**
+     * Build the prompt for regenerating one section or lesson
+     *
+     * Includes the course title and description, the titles of every section for
+     * scope, and the neighbouring items so the result fits where it will be placed.
+     *
+     * @since  1.0.0
+     * @param  string  $nodeType        'section' or 'lesson'
+     * @param  array   $courseStructure Current course structure
+     * @param  integer $sectionIndex    Index of the target section
+     * @param  integer $lessonIndex     Index of the target lesson (lessons only)
+     * @param  string  $instruction     Optional instruction from the user
+     * @param  array   $courseStyle     Sanitized course style guide
+     * @return string Prompt text
+     */
+    private function buildOutlineItemPrompt(string $nodeType, array $courseStructure, int $sectionIndex, int $lessonIndex, string $instruction, array $courseStyle): string
+    {
+        $sections = $courseStructure['sections'];
+        $section  = $sections[$sectionIndex];
+
+        $prompt  = "You are an instructional designer revising one part of an online course outline.\n\n";
+        $prompt .= 'Course title: ' . ($courseStructure['title'] ?? '') . "\n";
+        if (!empty($courseStructure['description'])) {
+            $prompt .= 'Course description: ' . $courseStructure['description'] . "\n";
+        }
+
+        $styleGuide = $this->courseStyle->buildPromptSection($courseStyle, 'outline');
+        if ($styleGuide !== '') {
+            $prompt .= "\n" . rtrim($styleGuide) . "\n";
+        }
+
+        $prompt .= "\nSections in this course:\n";
+        foreach ($sections as $index => $candidate) {
+            $marker  = $index === $sectionIndex ? ' <-- this section' : '';
+            $prompt .= ($index + 1) . '. ' . ($candidate['title'] ?? '') . $marker . "\n";
+        }
+
+        if ($nodeType === 'section') {
+            $prompt .= "\nRegenerate section " . ($sectionIndex + 1) . ". It currently looks like this:\n";
+            $prompt .= "```json\n" . wp_json_encode($section, JSON_PRETTY_PRINT) . "\n```\n";
+            foreach ([$sectionIndex - 1 => 'previous', $sectionIndex + 1 => 'next'] as $index => $label) {
+                if (!empty($sections[$index])) {
+                    $titles  = array_column($sections[$index]['lessons'] ?? [], 'title');
+                    $prompt .= "\nLessons in the {$label} section: " . implode('; ', $titles) . "\n";
+                }
+            }
+            $format = "{\n  \"title\": \"Section Title\",\n  \"lessons\": [\n    {\"title\": \"Lesson Title\", \"duration\": \"15 min\"}\n  ]\n}";
+        } else {
+            $lessons = $section['lessons'];
+            $prompt .= "\nRegenerate lesson " . ($lessonIndex + 1) . ' of the section "' . ($section['title'] ?? '') . "\". Lessons in that section:\n";
+            foreach ($lessons as $index => $candidate) {
+                $marker  = $index === $lessonIndex ? ' <-- regenerate this lesson' : '';
+                $prompt .= ($index + 1) . '. ' . ($candidate['title'] ?? '') . ' (' . ($candidate['duration'] ?? '') . ')' . $marker . "\n";
+            }
+            $format = "{\n  \"title\": \"Lesson Title\",\n  \"duration\": \"15 min\"\n}";
+        }
+
+        if ($instruction !== '') {
+            $prompt .= "\nInstruction from the course author: {$instruction}\n";
+        }
+
+        $prompt .= "\nKeep it consistent with the rest of the course and avoid repeating topics covered elsewhere.";
+        $prompt .= "\nRespond with ONLY the regenerated {$nodeType} as JSON in this exact format, with no lesson content, HTML or commentary:\n";
+        $prompt .= "```json\n{$format}\n```";
+
+        return $prompt;
+    }
+
+    /**
+     * Decode the first JSON object in an AI response
+     *
+     * Accepts either a ```json code block or a bare object.
+     *
+     * @since  1.0.0
+     * @param  string $response Raw AI response
+     * @return array|null Decoded object, or null if none could be parsed
+     */
+    private function extractJsonObject(string $response): ?array
+    {
+        if (preg_match('/```(?:json)?\s*([\s\S]*?)\s*```/s', $response, $matches)) {
+            $decoded = json_decode($matches[1], true);
+            if (is_array($decoded)) {
+                return $decoded;
+            }
+        }
+
+        $start = strpos($response, '{');
+        $end   = strrpos($response, '}');
+        if ($start !== false && $end !== false && $end > $start) {
+            $decoded = json_decode(substr($response, $start, $end - $start + 1), true);
+            if (is_array($decoded)) {
+                return $decoded;
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Handle get sessions
      *
@@ -1079,6 +1796,175 @@ If modifying an existing course, include ALL sections and lessons (both existing
         }
     }
 
+    /**
+     * Handle export session
+     *
+     * Packages a session, its conversation and its lesson drafts for download.
+     * Expects POST parameters: nonce, session_id.
+     *
+     * @since  1.0.0
+     * @return void Sends JSON response with the package and a suggested filename
+     */
+    public function handleExportSession(): void
+    {
+        try {
+            if (!NonceConstants::verify($_POST['nonce'] ?? '', NonceConstants::EDITOR_NONCE, false)) {
+                ApiResponse::errorMessage('Security check failed', ApiResponse::ERROR_INVALID_NONCE, 403);
+                return;
+            }
+
+            $sessionId = sanitize_text_field($_POST['session_id'] ?? '');
+
+            if (empty($sessionId)) {
+                ApiResponse::errorMessage('Session ID is required', ApiResponse::ERROR_MISSING_PARAMETER);
+                return;
+            }
+
+            $session = $this->conversationManager->loadSession($sessionId);
+
+            if ($session === null) {
+                ApiResponse::notFound('Session not found', ApiResponse::ERROR_SESSION_NOT_FOUND);
+                return;
+            }
+
+            $package = $this->getSessionFeatures()->exportSession($sessionId);
+            $name    = sanitize_title($session->getTitle()) ?: 'course-session';
+
+            wp_send_json_success([
+                'package'  => $package,
+                'filename' => $name . '-' . gmdate('Y-m-d') . '.mpcc-session.json',
+            ]);
+        } catch (\Exception $e) {
+            $error = ApiResponse::exceptionToError($e, ApiResponse::ERROR_GENERAL);
+            ApiResponse::error($error);
+        }
+    }
+
+    /**
+     * Handle import session
+     *
+     * Restores a session package exported from this or another site. When the
+     * packaged session already exists here, the request fails with a conflict
+     * unless the caller chose to replace it or import a copy.
+     * Expects POST parameters: nonce, package, conflict (optional: replace|copy).
+     *
+     * @since  1.0.0
+     * @return void Sends JSON response with the imported session ID
+     */
+    public function handleImportSession(): void
+    {
+        try {
+            if (!NonceConstants::verify($_POST['nonce'] ?? '', NonceConstants::EDITOR_NONCE, false)) {
+                ApiResponse::errorMessage('Security check failed', ApiResponse::ERROR_INVALID_NONCE, 403);
+                return;
+            }
+
+            if (!current_user_can('edit_posts')) {
+                ApiResponse::errorMessage('Insufficient permissions', ApiResponse::ERROR_INSUFFICIENT_PERMISSIONS, 403);
+                return;
+            }
+
+            $package  = json_decode(stripslashes($_POST['package'] ?? ''), true);
+            $conflict = sanitize_key($_POST['conflict'] ?? '');
+
+            if (!is_array($package)) {
+                ApiResponse::errorMessage('The file is not a valid session package', ApiResponse::ERROR_INVALID_PARAMETER);
+                return;
+            }
+
+            $features = $this->getSessionFeatures();
+
+            try {
+                $package = $features->prepareImport($package);
+            } catch (\InvalidArgumentException $e) {
+                ApiResponse::errorMessage($e->getMessage(), ApiResponse::ERROR_INVALID_PARAMETER);
+                return;
+            }
+
+            $existing = $this->conversationManager->loadSession($package['session_data']['session_id']);
+
+            if ($existing && !in_array($conflict, ['replace', 'copy'], true)) {
+                ApiResponse::error(new WP_Error(
+                    ApiResponse::ERROR_SESSION_CONFLICT,
+                    'This session already exists on this site',
+                    [
+                        'existing_title' => $existing->getTitle(),
+                        'last_updated'   => date('Y-m-d H:i:s', $existing->getLastUpdated()),
+                        'can_replace'    => $existing->getUserId() === get_current_user_id() || current_user_can('manage_options'),
+                    ]
+                ), 409);
+                return;
+            }
+
+            $session = $features->importSession($package, [
+                'preserve_session_id' => !$existing || $conflict === 'replace',
+                'overwrite_existing'  => $conflict === 'replace',
+                'allow_user_import'   => true,
+                'target_user_id'      => get_current_user_id(),
+            ]);
+
+            $importInfo = $session->getMetadata('import_info');
+
+            $this->logger->info('Session package imported', [
+                'session_id' => $session->getSessionId(),
+                'conflict'   => $existing ? $conflict : 'none',
+            ]);
+
+            wp_send_json_success([
+                'session_id'       => $session->getSessionId(),
+                'title'            => $session->getTitle(),
+                'drafts_imported'  => $importInfo['drafts_imported'] ?? 0,
+                'course_link_kept' => $importInfo['course_link_kept'] ?? false,
+            ]);
+        } catch (\Exception $e) {
+            $error = ApiResponse::exceptionToError($e, ApiResponse::ERROR_GENERAL);
+            ApiResponse::error($error);
+        }
+    }
+
+    /**
+     * Get the course style for a generation request
+     *
+     * The editor posts its current style as course_style, which may hold
+     * changes not saved yet. Requests without one use the style saved with
+     * the session.
+     *
+     * @since  1.0.0
+     * @param  string $sessionId Session the request belongs to, if any
+     * @return array Sanitized course style
+     */
+    private function getRequestCourseStyle(string $sessionId): array
+    {
+        $style = $this->courseStyle->fromJson((string) ($_POST['course_style'] ?? ''));
+        if ($style !== null) {
+            return $style;
+        }
+
+        $session = $sessionId !== '' ? $this->conversationManager->loadSession($sessionId) : null;
+
+        return $this->courseStyle->sanitize($session ? $session->getContext('course_style') : null);
+    }
+
+    /**
+     * Get the session features service
+     *
+     * Resolved on first use; it is only needed for exporting and importing.
+     *
+     * @since  1.0.0
+     * @return SessionFeaturesService
+     */
+    private function getSessionFeatures(): SessionFeaturesService
+    {
+        if (!isset($this->sessionFeatures)) {
+            $container             = function_exists('mpcc_container') ? mpcc_container() : null;
+            $this->sessionFeatures = $container
+                ? $container->get(SessionFeaturesService::class)
+                : new SessionFeaturesService($this->conversationManager, new DatabaseService(), $this->lessonDraftService);
+        }
+
+        return $this->sessionFeatures;
+    }
+
     /**
      * Handle delete session
      *
@@ -1249,6 +2135,121 @@ If modifying an existing course, include ALL sections and lessons (both existing
         }
     }
 
+    /**
+     * Handle get importable courses
+     *
+     * Lists existing MemberPress courses the current user can edit, so they can
+     * be imported into a copilot session. Expects POST parameters: nonce.
+     *
+     * @since  1.0.0
+     * @return void Sends JSON response with the list of courses
+     */
+    public function handleGetImportableCourses(): void
+    {
+        try {
+            if (!NonceConstants::verify($_POST['nonce'] ?? '', NonceConstants::EDITOR_NONCE, false)) {
+                ApiResponse::errorMessage('Security check failed', ApiResponse::ERROR_INVALID_NONCE, 403);
+                return;
+            }
+
+            if (!current_user_can('edit_posts')) {
+                ApiResponse::errorMessage('Insufficient permissions', ApiResponse::ERROR_INSUFFICIENT_PERMISSIONS, 403);
+                return;
+            }
+
+            $posts = get_posts([
+                'post_type'   => 'mpcs-course',
+                'post_status' => ['publish', 'draft', 'pending', 'private', 'future'],
+                'numberposts' => 200,
+                'orderby'     => 'title',
+                'order'       => 'ASC',
+            ]);
+
+            $courses = [];
+            foreach ($posts as $post) {
+                if (!current_user_can('edit_post', $post->ID)) {
+                    continue;
+                }
+                $courses[] = [
+                    'id'       => $post->ID,
+                    'title'    => $post->post_title,
+                    'status'   => get_post_status_object($post->post_status)->label ?? $post->post_status,
+                    'modified' => get_the_modified_date('', $post),
+                ];
+            }
+
+            wp_send_json_success(['courses' => $courses]);
+        } catch (\Exception $e) {
+            $error = ApiResponse::exceptionToError($e, ApiResponse::ERROR_GENERAL);
+            ApiResponse::error($error);
+        }
+    }
+
+    /**
+     * Handle import course
+     *
+     * Reads an existing MemberPress course into a new copilot session. Lesson
+     * content becomes the session's lesson drafts, and the session is linked to
+     * the course in sync mode so edits can be synced back to it.
+     * Expects POST parameters: nonce, course_id.
+     *
+     * @since  1.0.0
+     * @return void Sends JSON response with the new session ID
+     */
+    public function handleImportCourse(): void
+    {
+        try {
+            if (!NonceConstants::verify($_POST['nonce'] ?? '', NonceConstants::EDITOR_NONCE, false)) {
+                ApiResponse::errorMessage('Security check failed', ApiResponse::ERROR_INVALID_NONCE, 403);
+                return;
+            }
+
+            $courseId = absint($_POST['course_id'] ?? 0);
+            $course   = $courseId ? get_post($courseId) : null;
+
+            if (!$course || $course->post_type !== 'mpcs-course') {
+                ApiResponse::errorMessage('Course not found', ApiResponse::ERROR_INVALID_PARAMETER, 404);
+                return;
+            }
+
+            if (!current_user_can('edit_post', $courseId)) {
+                ApiResponse::errorMessage('You do not have permission to edit this course', ApiResponse::ERROR_INSUFFICIENT_PERMISSIONS, 403);
+                return;
+            }
+
+            $session = $this->conversationManager->createSession([
+                'user_id' => get_current_user_id(),
+                'context' => 'course_creation',
+                'state'   => 'initial',
+                'title'   => 'Course: ' . $course->post_title,
+            ]);
+
+            $structure = $this->seedSyncDrafts($session->getSessionId(), $courseId);
+
+            $session->setContext('course_structure', $structure);
+            $session->setContext('course_style', $this->courseStyle->getCourseStyle($courseId));
+            $session->setMetadata('published_course_id', $courseId);
+            $session->setMetadata('published_course_url', admin_url("post.php?post={$courseId}&action=edit"));
+            $session->setMetadata('course_sync', true);
+            $session->setMetadata('imported_at', current_time('mysql'));
+            $this->conversationManager->saveSession($session);
+
+            $this->logger->info('Course imported into session', [
+                'course_id'  => $courseId,
+                'session_id' => $session->getSessionId(),
+                'sections'   => count($structure['sections']),
+            ]);
+
+            wp_send_json_success([
+                'session_id'   => $session->getSessionId(),
+                'course_title' => $course->post_title,
+            ]);
+        } catch (\Exception $e) {
+            $error = ApiResponse::exceptionToError($e, ApiResponse::ERROR_GENERAL);
+            ApiResponse::error($error);
+        }
+    }
+
     /**
      * Handle get session drafts
      *
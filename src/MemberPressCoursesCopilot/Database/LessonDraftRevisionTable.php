@@ -0,0 +1,74 @@
+<?php
+
+namespace MemberPressCoursesCopilot\Database;
+
+class LessonDraftRevisionTable
+{
+    /**
+     * Database table name
+     *
+     * @var string
+     */
+    private $table_name;
+
+    /**
+     * Database charset collate
+     *
+     * @var string
+     */
+    private $charset_collate;
+
+    /**
+     * Constructor
+     */
+    public function __construct()
+    {
+        global $wpdb;
+        $this->table_name      = $wpdb->prefix . 'mpcc_lesson_draft_revisions';
+        $this->charset_collate = $wpdb->get_charset_collate();
+    }
+
+    /**
+     * Create the lesson draft revisions table
+     */
+    public function create()
+    {
+        global $wpdb;
+
+        $sql = "CREATE TABLE IF NOT EXISTS {$this->table_name} (
+            id BIGINT(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+            session_id VARCHAR(255) NOT NULL,
+            section_id VARCHAR(255) NOT NULL,
+            lesson_id VARCHAR(255) NOT NULL,
+            content LONGTEXT,
+            source VARCHAR(20) NOT NULL DEFAULT 'manual',
+            created_by BIGINT(20) UNSIGNED NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            INDEX idx_lesson (session_id, section_id, lesson_id)
+        ) {$this->charset_collate};";
+
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+    }
+
+    /**
+     * Drop the lesson draft revisions table
+     */
+    public function drop()
+    {
+        global $wpdb;
+        // Table name is safe as it comes from wpdb->prefix + hardcoded string.
+        // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $wpdb->query("DROP TABLE IF EXISTS {$this->table_name}");
+    }
+
+    /**
+     * Get the table name
+     */
+    public function getTableName()
+    {
+        return $this->table_name;
+    }
+}
@@ -0,0 +1,79 @@
+<?php
+
+namespace MemberPressCoursesCopilot\Database;
+
+class QuestionBankTable
+{
+    /**
+     * Database table name
+     *
+     * @var string
+     */
+    private $table_name;
+
+    /**
+     * Database charset collate
+     *
+     * @var string
+     */
+    private $charset_collate;
+
+    /**
+     * Constructor
+     */
+    public function __construct()
+    {
+        global $wpdb;
+        $this->table_name      = $wpdb->prefix . 'mpcc_question_bank';
+        $this->charset_collate = $wpdb->get_charset_collate();
+    }
+
+    /**
+     * Create the question bank table
+     */
+    public function create()
+    {
+        global $wpdb;
+
+        $sql = "CREATE TABLE IF NOT EXISTS {$this->table_name} (
+            id BIGINT(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+            content_hash CHAR(32) NOT NULL,
+            question_type VARCHAR(50) NOT NULL,
+            question_text TEXT NOT NULL,
+            question_data LONGTEXT NOT NULL,
+            lesson_id BIGINT(20) UNSIGNED DEFAULT NULL,
+            course_id BIGINT(20) UNSIGNED DEFAULT NULL,
+            difficulty VARCHAR(20) DEFAULT NULL,
+            created_by BIGINT(20) UNSIGNED NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            UNIQUE KEY unique_question (content_hash),
+            INDEX idx_type (question_type),
+            INDEX idx_lesson (lesson_id),
+            INDEX idx_course (course_id),
+            INDEX idx_difficulty (difficulty)
+        ) {$this->charset_collate};";
+
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+    }
+
+    /**
+     * Drop the question bank table
+     */
+    public function drop()
+    {
+        global $wpdb;
+        // Table name is safe as it comes from wpdb->prefix + hardcoded string.
+        // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $wpdb->query("DROP TABLE IF EXISTS {$this->table_name}");
+    }
+
+    /**
+     * Get the table name
+     */
+    public function getTableName()
+    {
+        return $this->table_name;
+    }
+}
@@ -19,41 +19,64 @@ interface IQuizAIService
      */
     public function generateQuestions(string $content, array $options = []): array;
 
+    /**
+     * Generate a quiz mixing several question types
+     *
+     * @param  string $content      The content to generate questions from
+     * @param  array  $distribution Number of questions per type
+     * @param  array  $options      Question generation options
+     * @return array Generated questions
+     */
+    public function generateMixedQuestions(string $content, array $distribution, array $options = []): array;
+
+    /**
+     * Generate one quiz from several lessons, tagging each question with its lesson
+     *
+     * @param  array $lessons Lessons with 'id', 'title' and 'content'
+     * @param  array $options Question generation options plus 'allocation' and 'perLesson'
+     * @return array Generated questions and per-lesson counts
+     */
+    public function generateLessonSetQuestions(array $lessons, array $options = []): array;
+
     /**
      * Generate multiple choice questions
      *
      * @param  string $content The content to generate questions from
      * @param  int    $count   Number of questions to generate
+     * @param  array  $options Generation options ('customPrompt', 'avoid')
      * @return array Generated multiple choice questions
      */
-    public function generateMultipleChoiceQuestions(string $content, int $count = 5): array;
+    public function generateMultipleChoiceQuestions(string $content, int $count = 5, array $options = []): array;
 
     /**
      * Generate true/false questions
      *
      * @param  string $content The content to generate questions from
      * @param  int    $count   Number of questions to generate
+     * @param  array  $options Generation options ('customPrompt', 'avoid')
      * @return array Generated true/false questions
      */
-    public function generateTrueFalseQuestions(string $content, int $count = 5): array;
+    public function generateTrueFalseQuestions(string $content, int $count = 5, array $options = []): array;
 
     /**
      * Generate text answer questions
      *
      * @param  string $content The content to generate questions from
      * @param  int    $count   Number of questions to generate
+     * @param  array  $options Generation options ('customPrompt', 'avoid')
      * @return array Generated text answer questions
      */
-    public function generateTextAnswerQuestions(string $content, int $count = 5): array;
+    public function generateTextAnswerQuestions(string $content, int $count = 5, array $options = []): array;
 
     /**
      * Generate multiple select questions
      *
      * @param  string $content The content to generate questions from
      * @param  int    $count   Number of questions to generate
+     * @param  array  $options Generation options ('customPrompt', 'avoid')
      * @return array Generated multiple select questions
      */
-    public function generateMultipleSelectQuestions(string $content, int $count = 5): array;
+    public function generateMultipleSelectQuestions(string $content, int $count = 5, array $options = []): array;
 
     /**
      * Get supported question types
@@ -89,6 +89,10 @@ final class Plugin
         $editorAiIntegration = $this->container->get(\MemberPressCoursesCopilot\Services\EditorAIIntegrationService::class);
         $editorAiIntegration->init();
 
+        // Initialize selection rewrites early for AJAX hooks; both editors use them.
+        $selectionRewrite = $this->container->get(\MemberPressCoursesCopilot\Services\SelectionRewriteService::class);
+        $selectionRewrite->init();
+
         // Initialize Quiz AJAX controller early for AJAX hooks.
         $quizAjaxController = $this->container->get(\MemberPressCoursesCopilot\Controllers\MpccQuizAjaxController::class);
         $quizAjaxController->init();
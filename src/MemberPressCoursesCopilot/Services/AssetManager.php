@@ -124,10 +124,52 @@ class AssetManager extends BaseService
             ['jquery']
         );
 
+        $this->registerScript(
+            'mpcc-course-structure-diff',
+            'assets/js/course-structure-diff.js',
+            []
+        );
+
+        $this->registerScript(
+            'mpcc-course-outline-export',
+            'assets/js/course-outline-export.js',
+            []
+        );
+
+        $this->registerScript(
+            'mpcc-lesson-blocks',
+            'assets/js/lesson-blocks.js',
+            []
+        );
+
+        $this->registerScript(
+            'mpcc-text-diff',
+            'assets/js/text-diff.js',
+            []
+        );
+
+        $this->registerScript(
+            'mpcc-lesson-queue',
+            'assets/js/lesson-queue.js',
+            []
+        );
+
+        $this->registerScript(
+            'mpcc-selection-rewrite',
+            'assets/js/selection-rewrite.js',
+            []
+        );
+
+        $this->registerScript(
+            'mpcc-course-style',
+            'assets/js/course-style.js',
+            []
+        );
+
         $this->registerScript(
             'mpcc-course-editor',
             'assets/js/course-editor-page.js',
-            ['jquery', 'jquery-ui-sortable', 'wp-api', 'wp-components', 'wp-element', 'mpcc-toast', 'mpcc-shared-utilities', 'mpcc-accessibility-utilities']
+            ['jquery', 'jquery-ui-sortable', 'wp-api', 'wp-components', 'wp-element', 'mpcc-toast', 'mpcc-shared-utilities', 'mpcc-accessibility-utilities', 'mpcc-course-structure-diff', 'mpcc-course-outline-export', 'mpcc-lesson-blocks', 'mpcc-text-diff', 'mpcc-selection-rewrite', 'mpcc-lesson-queue', 'mpcc-course-style']
         );
 
         $this->registerScript(
@@ -165,7 +207,7 @@ class AssetManager extends BaseService
         $this->registerScript(
             'mpcc-editor-ai-modal',
             'assets/js/editor-ai-modal.js',
-            ['jquery', 'mpcc-shared-utilities', 'mpcc-accessibility-utilities']
+            ['jquery', 'mpcc-shared-utilities', 'mpcc-accessibility-utilities', 'mpcc-selection-rewrite']
         );
 
         // Template scripts (extracted from inline)
@@ -202,11 +244,18 @@ class AssetManager extends BaseService
             ['jquery', 'wp-api']
         );
 
+        // Quiz question import and export formats (GIFT, Aiken, CSV, QTI)
+        $this->registerScript(
+            'mpcc-quiz-question-formats',
+            'assets/js/quiz-question-formats.js',
+            []
+        );
+
         // Quiz AI Modal version (matches course/lesson pattern)
         $this->registerScript(
             'mpcc-quiz-ai-modal',
             'assets/js/quiz-ai-modal.js',
-            ['jquery', 'wp-blocks', 'wp-data', 'wp-element', 'wp-block-editor']
+            ['jquery', 'wp-blocks', 'wp-data', 'wp-element', 'wp-block-editor', 'mpcc-quiz-question-formats', 'mpcc-course-outline-export']
         );
 
         // Lesson Quiz Integration script
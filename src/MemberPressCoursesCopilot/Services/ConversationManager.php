@@ -435,10 +435,14 @@ class ConversationManager extends BaseService implements IConversationManager
         $session->setContext($sessionData['context_data'], null);
         $session->setStateHistory($sessionData['state_history']);
         $session->setProgress($sessionData['progress']);
+        $session->setMetadataArray($sessionData['metadata'] ?? []);
+        if (!empty($sessionData['title'])) {
+            $session->setTitle($sessionData['title']);
+        }
 
         // Restore messages.
         foreach ($sessionData['messages'] as $message) {
-            $session->addMessage($message['type'], $message['content'], $message['metadata']);
+            $session->addMessage($message['type'], $message['content'], $message['metadata'] ?? []);
         }
 
         // Save to database.
@@ -447,9 +451,9 @@ class ConversationManager extends BaseService implements IConversationManager
             'session_id' => $session->getSessionId(),
             'state'      => 'active',
             'context'    => $session->getContextType(),
-            'title'      => 'Imported Session',
+            'title'      => $session->getTitle() ?: 'Imported Session',
             'messages'   => wp_json_encode($session->getMessages()),
-            'metadata'   => wp_json_encode($sessionData['metadata'] ?? []),
+            'metadata'   => wp_json_encode($session->getMetadata()),
             'step_data'  => wp_json_encode([
                 'current_state' => $session->getCurrentState(),
                 'state_history' => $session->getStateHistory(),
@@ -721,6 +725,7 @@ class ConversationManager extends BaseService implements IConversationManager
             'export_timestamp' => current_time('timestamp'),
             'session_id'       => $session->getSessionId(),
             'user_id'          => $session->getUserId(),
+            'title'            => $session->getTitle(),
             'context'          => $session->getContextType(),
             'current_state'    => $session->getCurrentState(),
             'state_history'    => $session->getStateHistory(),
@@ -5,6 +5,7 @@ namespace MemberPressCoursesCopilot\Services;
 use MemberPressCoursesCopilot\Services\BaseService;
 use MemberPressCoursesCopilot\Services\ConversationManager;
 use MemberPressCoursesCopilot\Services\CourseGeneratorService;
+use MemberPressCoursesCopilot\Services\CourseStyleService;
 use MemberPressCoursesCopilot\Services\LLMService;
 use MemberPressCoursesCopilot\Services\LessonDraftService;
 use MemberPressCoursesCopilot\Security\NonceConstants;
@@ -45,6 +46,11 @@ class CourseAjaxService extends BaseService
      */
     private ?LessonDraftService $draftService = null;
 
+    /**
+     * @var CourseStyleService|null Service for the course style guide applied to lesson prompts
+     */
+    private ?CourseStyleService $courseStyle = null;
+
     /**
      * Constructor with dependency injection
      *
@@ -122,6 +128,20 @@ class CourseAjaxService extends BaseService
         return $this->draftService;
     }
 
+    /**
+     * Get Course Style Service (lazy loaded from container)
+     *
+     * @return CourseStyleService
+     */
+    private function getCourseStyleService(): CourseStyleService
+    {
+        if (!$this->courseStyle) {
+            $container         = \MemberPressCoursesCopilot\Plugin::instance()->getContainer();
+            $this->courseStyle = $container->get(CourseStyleService::class);
+        }
+        return $this->courseStyle;
+    }
+
     /**
      * Sanitize array data recursively
      *
@@ -175,9 +195,12 @@ class CourseAjaxService extends BaseService
 
         // Course preview editing endpoints.
         add_action('wp_ajax_mpcc_save_lesson_content', [$this, 'saveLessonContent']);
+        add_action('wp_ajax_mpcc_move_lesson_drafts', [$this, 'moveLessonDrafts']);
         add_action('wp_ajax_mpcc_load_lesson_content', [$this, 'loadLessonContent']);
         // Same handler, loads all drafts for session.
         add_action('wp_ajax_mpcc_load_all_drafts', [$this, 'loadLessonContent']);
+        add_action('wp_ajax_mpcc_list_lesson_revisions', [$this, 'listLessonRevisions']);
+        add_action('wp_ajax_mpcc_get_lesson_revision', [$this, 'getLessonRevision']);
         add_action('wp_ajax_mpcc_generate_lesson_content', [$this, 'generateLessonContent']);
         add_action('wp_ajax_mpcc_reorder_course_items', [$this, 'reorderCourseItems']);
         add_action('wp_ajax_mpcc_delete_course_item', [$this, 'deleteCourseItem']);
@@ -1296,12 +1319,18 @@ class CourseAjaxService extends BaseService
         // Don't use wp_kses_post as it strips Gutenberg block comments
         $content    = stripslashes($_POST['content'] ?? '');
         $orderIndex = isset($_POST['order_index']) ? (int) $_POST['order_index'] : 0;
+        // Saves that name no source, like those of older callers, leave the history alone
+        $source     = isset($_POST['source']) ? sanitize_key($_POST['source']) : null;
+        if ($source !== null && !in_array($source, ['manual', 'autosave', 'ai', 'restore'], true)) {
+            $source = 'manual';
+        }
 
         $this->logger->info('Save lesson content request', [
             'session_id'     => $sessionId,
             'section_id'     => $sectionId,
             'lesson_id'      => $lessonId,
             'content_length' => strlen($content),
+            'source'         => $source,
             'has_session'    => !empty($sessionId),
             'has_section'    => !empty($sectionId),
             'has_lesson'     => !empty($lessonId),
@@ -1318,7 +1347,7 @@ class CourseAjaxService extends BaseService
             $draftService = $this->getLessonDraftService();
 
             // Save draft.
-            $result = $draftService->saveDraft($sessionId, $sectionId, $lessonId, $content, $orderIndex);
+            $result = $draftService->saveDraft($sessionId, $sectionId, $lessonId, $content, $orderIndex, $source);
 
             if ($result !== false) {
                 $this->logger->info('Lesson content saved', [
@@ -1344,6 +1373,87 @@ class CourseAjaxService extends BaseService
         }
     }
 
+    /**
+     * Move lesson drafts to the positions their lessons have after an outline change
+     *
+     * Expects `moves`, a JSON list of {from: [section, lesson], to: [section, lesson]}
+     * for every lesson that had a position before, and optionally `drafts`, a JSON
+     * list of {to: [section, lesson], content} for drafts to store again. Neither
+     * adds to the draft history.
+     *
+     * @return void
+     */
+    public function moveLessonDrafts(): void
+    {
+        $nonce = $_POST['nonce'] ?? '';
+        if (
+            !NonceConstants::verify($nonce, NonceConstants::COURSES_INTEGRATION, false) &&
+            !NonceConstants::verify($nonce, NonceConstants::EDITOR_NONCE, false)
+        ) {
+            $this->logger->warning('Move lesson drafts failed: invalid nonce', [
+                'user_id' => get_current_user_id(),
+            ]);
+            wp_send_json_error('Security check failed');
+            return;
+        }
+
+        if (!current_user_can('edit_posts')) {
+            $this->logger->warning('Move lesson drafts failed: insufficient permissions', [
+                'user_id' => get_current_user_id(),
+            ]);
+            wp_send_json_error('Insufficient permissions');
+            return;
+        }
+
+        $sessionId = sanitize_text_field($_POST['session_id'] ?? '');
+        $moves     = json_decode(stripslashes($_POST['moves'] ?? '[]'), true);
+        $drafts    = json_decode(stripslashes($_POST['drafts'] ?? '[]'), true);
+
+        if (empty($sessionId) || !is_array($moves) || !is_array($drafts)) {
+            wp_send_json_error('Missing required parameters');
+            return;
+        }
+
+        $position = function ($value) {
+            return is_array($value) && count($value) === 2 ? array_map('sanitize_text_field', array_values($value)) : null;
+        };
+
+        try {
+            $draftService = $this->getLessonDraftService();
+
+            $validMoves = [];
+            foreach ($moves as $move) {
+                $from = $position($move['from'] ?? null);
+                $to   = $position($move['to'] ?? null);
+                if ($from && $to) {
+                    $validMoves[] = ['from' => $from, 'to' => $to];
+                }
+            }
+
+            if (!$draftService->moveDrafts($sessionId, $validMoves)) {
+                throw new \Exception('Failed to move lesson drafts');
+            }
+
+            // Content is stored as posted, like saveLessonContent()
+            foreach ($drafts as $draft) {
+                $to = $position($draft['to'] ?? null);
+                if ($to && isset($draft['content']) && is_string($draft['content'])) {
+                    $draftService->saveDraft($sessionId, $to[0], $to[1], $draft['content'], (int) $to[1]);
+                }
+            }
+
+            wp_send_json_success([
+                'moved' => count($validMoves),
+            ]);
+        } catch (\Exception $e) {
+            $this->logger->error('Failed to move lesson drafts', [
+                'session_id' => $sessionId,
+                'error'      => $e->getMessage(),
+            ]);
+            wp_send_json_error('Failed to move lesson drafts: ' . $e->getMessage());
+        }
+    }
+
     /**
      * Load lesson content from draft
      *
@@ -1441,6 +1551,137 @@ class CourseAjaxService extends BaseService
         }
     }
 
+    /**
+     * List the revision history of a lesson draft
+     *
+     * @return void
+     */
+    public function listLessonRevisions(): void
+    {
+        $request = $this->verifyLessonRevisionRequest('List lesson revisions');
+        if (!$request) {
+            return;
+        }
+
+        try {
+            $revisions = $this->getLessonDraftService()->getRevisions(
+                $request['session_id'],
+                $request['section_id'],
+                $request['lesson_id']
+            );
+
+            wp_send_json_success([
+                'revisions' => array_map(function ($revision) {
+                    $author = $revision->created_by ? get_userdata((int) $revision->created_by) : null;
+
+                    return [
+                        'id'             => (int) $revision->id,
+                        'source'         => $revision->source,
+                        'author'         => $author ? $author->display_name : '',
+                        'created_at'     => $revision->created_at,
+                        'updated_at'     => $revision->updated_at,
+                        'content_length' => (int) $revision->content_length,
+                    ];
+                }, $revisions ?: []),
+            ]);
+        } catch (\Exception $e) {
+            $this->logger->error('Failed to list lesson revisions', [
+                'session_id' => $request['session_id'],
+                'error'      => $e->getMessage(),
+            ]);
+            wp_send_json_error('Failed to load lesson history: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Load the content of one lesson draft revision
+     *
+     * @return void
+     */
+    public function getLessonRevision(): void
+    {
+        $request = $this->verifyLessonRevisionRequest('Get lesson revision');
+        if (!$request) {
+            return;
+        }
+
+        $revisionId = isset($_POST['revision_id']) ? (int) $_POST['revision_id'] : 0;
+
+        try {
+            $revision = $this->getLessonDraftService()->getRevision(
+                $request['session_id'],
+                $request['section_id'],
+                $request['lesson_id'],
+                $revisionId
+            );
+
+            if (!$revision) {
+                wp_send_json_error('Revision not found');
+                return;
+            }
+
+            wp_send_json_success([
+                'revision' => [
+                    'id'         => (int) $revision->id,
+                    'source'     => $revision->source,
+                    'content'    => $revision->content,
+                    'created_at' => $revision->created_at,
+                ],
+            ]);
+        } catch (\Exception $e) {
+            $this->logger->error('Failed to load lesson revision', [
+                'session_id'  => $request['session_id'],
+                'revision_id' => $revisionId,
+                'error'       => $e->getMessage(),
+            ]);
+            wp_send_json_error('Failed to load revision: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Check the nonce, capability and lesson parameters of a revision request
+     *
+     * Sends the JSON error itself when the request is rejected.
+     *
+     * @param  string $label Request name used in log messages
+     * @return array<string, string>|null Session, section and lesson IDs, or null if rejected
+     */
+    private function verifyLessonRevisionRequest(string $label): ?array
+    {
+        $nonce = $_POST['nonce'] ?? '';
+        if (
+            !NonceConstants::verify($nonce, NonceConstants::COURSES_INTEGRATION, false) &&
+            !NonceConstants::verify($nonce, NonceConstants::EDITOR_NONCE, false)
+        ) {
+            $this->logger->warning($label . ' failed: invalid nonce', [
+                'user_id' => get_current_user_id(),
+            ]);
+            wp_send_json_error('Security check failed');
+            return null;
+        }
+
+        if (!current_user_can('edit_posts')) {
+            $this->logger->warning($label . ' failed: insufficient permissions', [
+                'user_id' => get_current_user_id(),
+            ]);
+            wp_send_json_error('Insufficient permissions');
+            return null;
+        }
+
+        $request = [
+            'session_id' => sanitize_text_field($_POST['session_id'] ?? ''),
+            'section_id' => sanitize_text_field($_POST['section_id'] ?? ''),
+            'lesson_id'  => sanitize_text_field($_POST['lesson_id'] ?? ''),
+        ];
+
+        if ($request['session_id'] === '' || $request['section_id'] === '' || $request['lesson_id'] === '') {
+            wp_send_json_error('Missing required parameters');
+            return null;
+        }
+
+        return $request;
+    }
+
     /**
      * Generate lesson content using AI
      *
@@ -1488,6 +1729,19 @@ class CourseAjaxService extends BaseService
         // Sanitize context array.
         $context = $this->sanitizeArray($context);
 
+        // The course editor sends the course description in course_context instead
+        $courseContext = json_decode(stripslashes((string) ($_POST['course_context'] ?? '')), true);
+        if (empty($context['course_description']) && !empty($courseContext['description'])) {
+            $context['course_description'] = sanitize_textarea_field($courseContext['description']);
+        }
+
+        // The editor posts its current style; other callers get the one saved with the session
+        $courseStyle = $this->getCourseStyleService()->fromJson((string) ($_POST['course_style'] ?? ''));
+        if ($courseStyle === null) {
+            $session     = $sessionId !== '' ? $this->getConversationManager()->loadSession($sessionId) : null;
+            $courseStyle = $this->getCourseStyleService()->sanitize($session ? $session->getContext('course_style') : null);
+        }
+
         if (empty($lessonTitle)) {
             wp_send_json_error('Lesson title is required');
             return;
@@ -1498,7 +1752,7 @@ class CourseAjaxService extends BaseService
             $llmService = $this->getLLMService();
 
             // Build prompt for lesson content generation.
-            $prompt = $this->buildLessonContentPrompt($courseTitle, $sectionTitle, $lessonTitle, $context);
+            $prompt = $this->buildLessonContentPrompt($courseTitle, $sectionTitle, $lessonTitle, $context, $courseStyle);
 
             $this->logger->debug('Generating lesson content', [
                 'session_id'    => $sessionId,
@@ -1518,15 +1772,21 @@ class CourseAjaxService extends BaseService
 
             $generatedContent = $response['content'];
 
-            // Save generated content as draft if session ID provided.
-            if (!empty($sessionId) && !empty($_POST['section_id']) && !empty($_POST['lesson_id'])) {
+            // Save generated content as draft if session ID provided. The first
+            // section and lesson have the id "0", so check for an empty string.
+            if (
+                !empty($sessionId) &&
+                isset($_POST['section_id'], $_POST['lesson_id']) &&
+                $_POST['section_id'] !== '' &&
+                $_POST['lesson_id'] !== ''
+            ) {
                 $draftService = $this->getLessonDraftService();
 
                 $sectionId  = sanitize_text_field($_POST['section_id']);
                 $lessonId   = sanitize_text_field($_POST['lesson_id']);
                 $orderIndex = isset($_POST['order_index']) ? (int) $_POST['order_index'] : 0;
 
-                $draftId = $draftService->saveDraft($sessionId, $sectionId, $lessonId, $generatedContent, $orderIndex);
+                $draftId = $draftService->saveDraft($sessionId, $sectionId, $lessonId, $generatedContent, $orderIndex, 'ai');
             }
 
             $this->logger->info('Lesson content generated', [
@@ -1829,13 +2089,15 @@ class CourseAjaxService extends BaseService
      * @param  string $sectionTitle Section title
      * @param  string $lessonTitle  Lesson title
      * @param  array  $context      Additional context
+     * @param  array  $courseStyle  Sanitized course style guide
      * @return string
      */
     private function buildLessonContentPrompt(
         string $courseTitle,
         string $sectionTitle,
         string $lessonTitle,
-        array $context
+        array $context,
+        array $courseStyle
     ): string {
         $prompt = "Generate comprehensive lesson content for an online course.\n\n";
 
@@ -1865,12 +2127,20 @@ class CourseAjaxService extends BaseService
             $prompt .= "\n";
         }
 
-        $prompt .= "Please generate engaging and educational lesson content that:\n";
-        $prompt .= "1. Introduces the topic clearly\n";
-        $prompt .= "2. Explains concepts with examples\n";
-        $prompt .= "3. Includes practical applications\n";
-        $prompt .= "4. Summarizes key points\n";
-        $prompt .= "5. Uses clear formatting with proper headings, paragraphs, and lists\n\n";
+        $prompt .= $this->getCourseStyleService()->buildPromptSection($courseStyle, 'lesson');
+
+        // A lesson template from the style guide replaces the default outline
+        if (empty($courseStyle['lesson_sections'])) {
+            $prompt .= "Please generate engaging and educational lesson content that:\n";
+            $prompt .= "1. Introduces the topic clearly\n";
+            $prompt .= "2. Explains concepts with examples\n";
+            $prompt .= "3. Includes practical applications\n";
+            $prompt .= "4. Summarizes key points\n";
+            $prompt .= "5. Uses clear formatting with proper headings, paragraphs, and lists\n\n";
+        } else {
+            $prompt .= "Please generate engaging and educational lesson content that follows the lesson template ";
+            $prompt .= "and uses clear formatting with proper headings, paragraphs, and lists.\n\n";
+        }
         
         $prompt .= "IMPORTANT - USE WORDPRESS GUTENBERG BLOCK FORMAT:\n";
         $prompt .= "Format ALL content using WordPress Gutenberg block comments. Examples:\n\n";
@@ -364,6 +364,10 @@ class CourseGeneratorService extends BaseService implements ICourseGenerator
 
     /**
      * Update existing course from AI data
+     *
+     * When `sections` are included the outline is synced as well: the change set
+     * from buildChangeSet() is applied to the existing sections and lessons, which
+     * are matched by their `section_id` / `lesson_id`.
      */
     public function updateCourse(int $courseId, array $courseData): array
     {
@@ -374,6 +378,17 @@ class CourseGeneratorService extends BaseService implements ICourseGenerator
                 throw new \Exception('Course not found');
             }
 
+            $changeSet = null;
+            if (isset($courseData['sections']) && is_array($courseData['sections'])) {
+                $live      = $this->getCourseStructure($courseId);
+                $changeSet = $this->buildChangeSet($live, $courseData, $this->getLessonProgressCounts($courseId));
+
+                // The outline only holds a plain-text description; keep the formatted one unless it was edited
+                if (!in_array('update_description', array_column($changeSet['changes'], 'type'), true)) {
+                    unset($courseData['description']);
+                }
+            }
+
             // Get description - check if we need to convert to Gutenberg blocks
             $description = $courseData['description'] ?? $course->post_content;
             
@@ -399,10 +414,15 @@ class CourseGeneratorService extends BaseService implements ICourseGenerator
                 $course->store();
             }
 
+            if ($changeSet !== null) {
+                $this->applyChangeSet($courseId, $live, $changeSet);
+            }
+
             return [
                 'success'   => true,
                 'course_id' => $courseId,
                 'message'   => 'Course updated successfully',
+                'changes'   => $changeSet['changes'] ?? [],
             ];
         } catch (\Exception $e) {
             $this->logger->error('Course update failed: ' . $e->getMessage());
@@ -413,6 +433,414 @@ class CourseGeneratorService extends BaseService implements ICourseGenerator
         }
     }
 
+    /**
+     * Read an existing course back into the structure format used by the editor
+     *
+     * Sections carry `section_id` and lessons carry `lesson_id` so edits can be
+     * matched to the records they came from. Quizzes are not part of the outline;
+     * sections only report how many they hold.
+     *
+     * @param  integer $courseId Course post ID
+     * @return array Course structure with lesson content in `content`
+     * @throws \Exception If the course does not exist
+     */
+    public function getCourseStructure(int $courseId): array
+    {
+        $post = get_post($courseId);
+        if (!$post || $post->post_type !== 'mpcs-course') {
+            throw new \Exception('Course not found');
+        }
+
+        $structure = [
+            'title'       => $post->post_title,
+            'description' => trim(wp_strip_all_tags($post->post_content)),
+            'sections'    => [],
+        ];
+
+        $course = new Course($courseId);
+        foreach ($course->sections() as $section) {
+            $sectionData = [
+                'section_id' => (int) $section->id,
+                'title'      => $section->title,
+                'lessons'    => [],
+            ];
+            if (!empty($section->description)) {
+                $sectionData['description'] = $section->description;
+            }
+
+            $quizCount = 0;
+            foreach ($section->lessons() as $lesson) {
+                if ($lesson->post_type !== 'mpcs-lesson') {
+                    $quizCount++;
+                    continue;
+                }
+                $sectionData['lessons'][] = [
+                    'lesson_id' => (int) $lesson->ID,
+                    'title'     => $lesson->post_title,
+                    'content'   => $lesson->post_content,
+                ];
+            }
+            if ($quizCount) {
+                $sectionData['quiz_count'] = $quizCount;
+            }
+
+            $structure['sections'][] = $sectionData;
+        }
+
+        return $structure;
+    }
+
+    /**
+     * Count the students with recorded progress in each lesson of a course
+     *
+     * @param  integer $courseId Course post ID
+     * @return array Map of lesson ID => number of students
+     */
+    public function getLessonProgressCounts(int $courseId): array
+    {
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'mpcs_user_progress';
+        if ($wpdb->get_var($wpdb->prepare('SHOW TABLES LIKE %s', $table)) !== $table) {
+            return [];
+        }
+
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT lesson_id, COUNT(DISTINCT user_id) AS students FROM {$table} WHERE course_id = %d GROUP BY lesson_id",
+                $courseId
+            )
+        );
+
+        $counts = [];
+        foreach ($rows ?: [] as $row) {
+            $counts[(int) $row->lesson_id] = (int) $row->students;
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Preview the changes syncing an edited outline would make to a course
+     *
+     * @param  integer $courseId   Course post ID
+     * @param  array   $courseData Edited course structure
+     * @return array Change set, see buildChangeSet()
+     */
+    public function previewCourseSync(int $courseId, array $courseData): array
+    {
+        return $this->buildChangeSet(
+            $this->getCourseStructure($courseId),
+            $courseData,
+            $this->getLessonProgressCounts($courseId)
+        );
+    }
+
+    /**
+     * Compare an edited outline with the live course
+     *
+     * Lessons with student progress are never deleted: removing one unpublishes
+     * it instead, and a removed section is kept while it still holds such
+     * lessons or any quizzes.
+     *
+     * @param  array $live     Live structure from getCourseStructure()
+     * @param  array $proposed Edited structure; lesson `content` is compared when present
+     * @param  array $progress Map of lesson ID => students with progress
+     * @return array {
+     *     @type array   $changes     List of changes, each with `type` and `message`
+     *     @type boolean $has_changes Whether anything would change
+     *     @type array   $structure   The edited structure with unknown IDs dropped
+     * }
+     */
+    public function buildChangeSet(array $live, array $proposed, array $progress = []): array
+    {
+        $changes      = [];
+        $liveSections = [];
+        $liveLessons  = [];
+        foreach ($live['sections'] ?? [] as $section) {
+            $liveSections[$section['section_id']] = $section;
+            foreach ($section['lessons'] as $lesson) {
+                $liveLessons[$lesson['lesson_id']] = $lesson + ['section_id' => $section['section_id']];
+            }
+        }
+
+        if (isset($proposed['title']) && $proposed['title'] !== $live['title']) {
+            $changes[] = [
+                'type'    => 'rename_course',
+                'message' => sprintf('Rename course "%s" to "%s"', $live['title'], $proposed['title']),
+            ];
+        }
+        if (isset($proposed['description']) && trim($proposed['description']) !== $live['description']) {
+            $changes[] = [
+                'type'    => 'update_description',
+                'message' => 'Update the course description',
+            ];
+        }
+
+        $seenSections = [];
+        $seenLessons  = [];
+        $sections     = [];
+        foreach ($proposed['sections'] ?? [] as $section) {
+            $sectionId = (int) ($section['section_id'] ?? 0);
+            if (!isset($liveSections[$sectionId]) || isset($seenSections[$sectionId])) {
+                // Unknown or duplicated IDs are treated as new sections
+                unset($section['section_id']);
+                $sectionId = 0;
+                $changes[] = [
+                    'type'    => 'add_section',
+                    'message' => sprintf('Add section "%s"', $section['title'] ?? ''),
+                ];
+            } else {
+                $seenSections[$sectionId] = true;
+                if (($section['title'] ?? '') !== $liveSections[$sectionId]['title']) {
+                    $changes[] = [
+                        'type'       => 'rename_section',
+                        'section_id' => $sectionId,
+                        'message'    => sprintf('Rename section "%s" to "%s"', $liveSections[$sectionId]['title'], $section['title'] ?? ''),
+                    ];
+                }
+            }
+
+            $lessons = [];
+            foreach ($section['lessons'] ?? [] as $lesson) {
+                $lessonId = (int) ($lesson['lesson_id'] ?? 0);
+                if (!isset($liveLessons[$lessonId]) || isset($seenLessons[$lessonId])) {
+                    unset($lesson['lesson_id']);
+                    $changes[] = [
+                        'type'    => 'add_lesson',
+                        'message' => sprintf('Add lesson "%s" to "%s"', $lesson['title'] ?? '', $section['title'] ?? ''),
+                    ];
+                    $lessons[] = $lesson;
+                    continue;
+                }
+
+                $seenLessons[$lessonId] = $sectionId;
+                $liveLesson             = $liveLessons[$lessonId];
+                $students               = $progress[$lessonId] ?? 0;
+                $warning                = $students ? sprintf('%d student(s) have progress in this lesson', $students) : '';
+
+                if (($lesson['title'] ?? '') !== $liveLesson['title']) {
+                    $changes[] = [
+                        'type'      => 'rename_lesson',
+                        'lesson_id' => $lessonId,
+                        'students'  => $students,
+                        'warning'   => $warning,
+                        'message'   => sprintf('Rename lesson "%s" to "%s"', $liveLesson['title'], $lesson['title'] ?? ''),
+                    ];
+                }
+                if ($liveLesson['section_id'] !== $sectionId) {
+                    $changes[] = [
+                        'type'      => 'move_lesson',
+                        'lesson_id' => $lessonId,
+                        'students'  => $students,
+                        'message'   => sprintf(
+                            'Move lesson "%s" from "%s" to "%s"',
+                            $lesson['title'] ?? '',
+                            $liveSections[$liveLesson['section_id']]['title'],
+                            $section['title'] ?? ''
+                        ),
+                    ];
+                }
+                if (isset($lesson['content']) && trim($lesson['content']) !== trim($liveLesson['content'])) {
+                    $changes[] = [
+                        'type'      => 'update_content',
+                        'lesson_id' => $lessonId,
+                        'students'  => $students,
+                        'warning'   => $warning,
+                        'message'   => sprintf('Update the content of "%s"', $lesson['title'] ?? ''),
+                    ];
+                }
+                $lessons[] = $lesson;
+            }
+
+            $section['lessons'] = $lessons;
+            $sections[]         = $section;
+        }
+
+        // Reorders are reported once per list, comparing only the items present in both
+        $liveOrder     = array_keys(array_intersect_key($liveSections, $seenSections));
+        $proposedOrder = array_values(array_filter(array_map(fn($section) => (int) ($section['section_id'] ?? 0), $sections)));
+        if ($liveOrder !== $proposedOrder) {
+            $changes[] = [
+                'type'    => 'reorder_sections',
+                'message' => 'Reorder sections',
+            ];
+        }
+        foreach ($sections as $section) {
+            $sectionId = (int) ($section['section_id'] ?? 0);
+            if (!$sectionId) {
+                continue;
+            }
+            $stayed        = array_keys(array_filter($seenLessons, fn($inSection) => $inSection === $sectionId));
+            $liveOrder     = array_values(array_intersect(array_column($liveSections[$sectionId]['lessons'], 'lesson_id'), $stayed));
+            $proposedOrder = array_values(array_intersect(array_map(fn($lesson) => (int) ($lesson['lesson_id'] ?? 0), $section['lessons']), $stayed));
+            if ($liveOrder !== $proposedOrder) {
+                $changes[] = [
+                    'type'       => 'reorder_lessons',
+                    'section_id' => $sectionId,
+                    'message'    => sprintf('Reorder lessons in "%s"', $section['title'] ?? ''),
+                ];
+            }
+        }
+
+        $keptSections = [];
+        foreach ($liveLessons as $lessonId => $lesson) {
+            if (isset($seenLessons[$lessonId])) {
+                continue;
+            }
+            $students = $progress[$lessonId] ?? 0;
+            if ($students) {
+                $keptSections[$lesson['section_id']] = true;
+                $changes[]                           = [
+                    'type'      => 'remove_lesson',
+                    'lesson_id' => $lessonId,
+                    'action'    => 'unpublish',
+                    'students'  => $students,
+                    'warning'   => sprintf('%d student(s) have progress in this lesson, so it will be unpublished instead of deleted', $students),
+                    'message'   => sprintf('Remove lesson "%s"', $lesson['title']),
+                ];
+            } else {
+                $changes[] = [
+                    'type'      => 'remove_lesson',
+                    'lesson_id' => $lessonId,
+                    'action'    => 'trash',
+                    'message'   => sprintf('Remove lesson "%s" (moved to the trash)', $lesson['title']),
+                ];
+            }
+        }
+
+        foreach ($liveSections as $sectionId => $section) {
+            if (isset($seenSections[$sectionId])) {
+                continue;
+            }
+            $keep      = isset($keptSections[$sectionId]) || !empty($section['quiz_count']);
+            $changes[] = [
+                'type'       => 'remove_section',
+                'section_id' => $sectionId,
+                'action'     => $keep ? 'keep' : 'delete',
+                'warning'    => $keep ? 'The section still holds quizzes or lessons with student progress, so it will be kept at the end of the course' : '',
+                'message'    => sprintf('Remove section "%s"', $section['title']),
+            ];
+        }
+
+        return [
+            'changes'     => $changes,
+            'has_changes' => !empty($changes),
+            'structure'   => array_merge($proposed, ['sections' => $sections]),
+        ];
+    }
+
+    /**
+     * Write a change set from buildChangeSet() to the course
+     *
+     * Quizzes stay in their section, directly after the lesson they followed.
+     *
+     * @param  integer $courseId  Course post ID
+     * @param  array   $live      Live structure the change set was built from
+     * @param  array   $changeSet Change set to apply
+     * @return void
+     */
+    private function applyChangeSet(int $courseId, array $live, array $changeSet): void
+    {
+        $byType = [];
+        foreach ($changeSet['changes'] as $change) {
+            $byType[$change['type']][] = $change;
+        }
+        $contentUpdates = array_column($byType['update_content'] ?? [], 'lesson_id');
+
+        // Remember where each quiz sits: after which lesson (0 = start of section)
+        $quizzes = [];
+        foreach ($live['sections'] as $liveSection) {
+            $previous = 0;
+            foreach ((new Section($liveSection['section_id']))->lessons() as $item) {
+                if ($item->post_type === 'mpcs-lesson') {
+                    $previous = (int) $item->ID;
+                } else {
+                    $quizzes[$liveSection['section_id']][$previous][] = (int) $item->ID;
+                }
+            }
+        }
+
+        $sectionOrder = 1;
+        foreach ($changeSet['structure']['sections'] as $sectionData) {
+            if (!empty($sectionData['section_id'])) {
+                $section                = new Section($sectionData['section_id']);
+                $section->title         = $sectionData['title'];
+                $section->section_order = $sectionOrder++;
+                $section->store();
+                $sectionId = (int) $sectionData['section_id'];
+            } else {
+                $sectionId = $this->createSection($sectionData, $courseId, $sectionOrder++);
+                if (!$sectionId) {
+                    $this->logger->error('Course sync could not create section', ['title' => $sectionData['title'] ?? '']);
+                    continue;
+                }
+            }
+
+            $sectionQuizzes = $quizzes[$sectionId] ?? [];
+            $order          = 1;
+            $placeQuizzes   = function (int $afterLessonId) use (&$sectionQuizzes, &$order) {
+                foreach ($sectionQuizzes[$afterLessonId] ?? [] as $quizId) {
+                    update_post_meta($quizId, '_mpcs_lesson_lesson_order', $order++);
+                }
+                unset($sectionQuizzes[$afterLessonId]);
+            };
+
+            $placeQuizzes(0);
+            foreach ($sectionData['lessons'] as $lessonData) {
+                if (empty($lessonData['lesson_id'])) {
+                    $this->createLesson($lessonData, $sectionId, $courseId, $order++);
+                    continue;
+                }
+
+                $lessonId = (int) $lessonData['lesson_id'];
+                $update   = [
+                    'ID'         => $lessonId,
+                    'post_title' => $lessonData['title'],
+                ];
+                if (in_array($lessonId, $contentUpdates, true)) {
+                    $content = $lessonData['content'];
+                    if (!empty($content) && strpos($content, '<!-- wp:') === false) {
+                        $content = $this->convertToGutenbergBlocks($content);
+                    }
+                    $update['post_content'] = $content;
+                }
+                wp_update_post($update);
+                update_post_meta($lessonId, '_mpcs_lesson_section_id', $sectionId);
+                update_post_meta($lessonId, '_mpcs_lesson_lesson_order', $order++);
+                $placeQuizzes($lessonId);
+            }
+
+            // Quizzes whose lesson moved away or was removed go to the end of the section
+            foreach (array_keys($sectionQuizzes) as $afterLessonId) {
+                $placeQuizzes($afterLessonId);
+            }
+        }
+
+        foreach ($byType['remove_lesson'] ?? [] as $change) {
+            if ($change['action'] === 'unpublish') {
+                wp_update_post(['ID' => $change['lesson_id'], 'post_status' => 'draft']);
+            } else {
+                wp_trash_post($change['lesson_id']);
+            }
+        }
+
+        foreach ($byType['remove_section'] ?? [] as $change) {
+            $section = new Section($change['section_id']);
+            if ($change['action'] === 'keep') {
+                $section->section_order = $sectionOrder++;
+                $section->store();
+            } else {
+                $section->destroy();
+            }
+        }
+
+        $this->logger->info('Course sync applied', [
+            'course_id' => $courseId,
+            'changes'   => array_map('count', $byType),
+        ]);
+    }
+
     /**
      * Comprehensive course data validation with structural integrity checks
      *
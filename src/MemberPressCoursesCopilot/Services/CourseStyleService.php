@@ -0,0 +1,224 @@
+<?php
+
+namespace MemberPressCoursesCopilot\Services;
+
+/**
+ * Course Style Service
+ *
+ * A course style is the audience, reading level, tone, lesson template,
+ * glossary and banned phrases chosen for one course. The course editor keeps
+ * it in the session's conversation state and sends it with each request, and
+ * it is copied to the course when published so quizzes generated later in the
+ * block editor follow it too.
+ *
+ * @package MemberPressCoursesCopilot\Services
+ * @since   1.0.0
+ */
+class CourseStyleService extends BaseService
+{
+    /**
+     * Course meta key holding the style of a published course
+     */
+    public const COURSE_META_KEY = '_mpcc_course_style';
+
+    /**
+     * Reading levels with the instruction given to the AI
+     */
+    public const READING_LEVELS = [
+        'beginner'     => 'Write for beginners: plain words, short sentences, and explain every term the first time it appears.',
+        'intermediate' => 'Write for learners who know the basics: explain new ideas, but skip the fundamentals.',
+        'advanced'     => 'Write for experienced practitioners: be concise and precise, and go into depth.',
+    ];
+
+    /**
+     * Tones the AI can be asked to write in
+     */
+    public const TONES = ['friendly', 'professional', 'conversational', 'academic', 'encouraging'];
+
+    /**
+     * Sections a lesson can be asked to contain, in the order they appear
+     */
+    public const LESSON_SECTIONS = [
+        'objectives'   => 'Learning objectives',
+        'introduction' => 'Introduction',
+        'key_concepts' => 'Key concepts',
+        'examples'     => 'Worked examples',
+        'summary'      => 'Summary',
+        'exercise'     => 'Practice exercise',
+    ];
+
+    /**
+     * Most glossary terms and banned phrases kept, so the prompt stays small
+     */
+    private const MAX_ENTRIES = 50;
+
+    /**
+     * Initialize the service
+     *
+     * @since  1.0.0
+     * @return void
+     */
+    public function init(): void
+    {
+        // Nothing to hook; the style travels with the session and the course
+    }
+
+    /**
+     * Reduce submitted or stored data to a complete, valid style
+     *
+     * Unknown reading levels, tones and lesson sections are dropped. Glossary
+     * entries need both a term and a definition.
+     *
+     * @since  1.0.0
+     * @param  mixed $style Decoded style, or anything else for an empty style
+     * @return array{audience: string, reading_level: string, tone: string, lesson_sections: string[], glossary: array<int, array{term: string, definition: string}>, banned_phrases: string[]}
+     */
+    public function sanitize($style): array
+    {
+        $style = is_array($style) ? $style : [];
+
+        $sections = array_values(array_intersect(
+            array_keys(self::LESSON_SECTIONS),
+            array_map('strval', (array) ($style['lesson_sections'] ?? []))
+        ));
+
+        $glossary = [];
+        foreach ((array) ($style['glossary'] ?? []) as $entry) {
+            if (!is_array($entry)) {
+                continue;
+            }
+            $term       = sanitize_text_field($entry['term'] ?? '');
+            $definition = sanitize_text_field($entry['definition'] ?? '');
+            if ($term !== '' && $definition !== '') {
+                $glossary[] = ['term' => $term, 'definition' => $definition];
+            }
+        }
+
+        $banned = array_filter(array_map(function ($phrase) {
+            return is_scalar($phrase) ? sanitize_text_field((string) $phrase) : '';
+        }, (array) ($style['banned_phrases'] ?? [])));
+
+        $readingLevel = (string) ($style['reading_level'] ?? '');
+        $tone         = (string) ($style['tone'] ?? '');
+
+        return [
+            'audience'        => sanitize_textarea_field($style['audience'] ?? ''),
+            'reading_level'   => isset(self::READING_LEVELS[$readingLevel]) ? $readingLevel : '',
+            'tone'            => in_array($tone, self::TONES, true) ? $tone : '',
+            'lesson_sections' => $sections,
+            'glossary'        => array_slice($glossary, 0, self::MAX_ENTRIES),
+            'banned_phrases'  => array_slice(array_values(array_unique($banned)), 0, self::MAX_ENTRIES),
+        ];
+    }
+
+    /**
+     * Whether a sanitized style sets anything
+     *
+     * @since  1.0.0
+     * @param  array $style Sanitized style
+     * @return boolean
+     */
+    public function isEmpty(array $style): bool
+    {
+        return empty(array_filter($style));
+    }
+
+    /**
+     * Style from a JSON request field
+     *
+     * @since  1.0.0
+     * @param  string $json Posted JSON, slashed as WordPress delivers it
+     * @return array|null Sanitized style, or null if the field was missing or unreadable
+     */
+    public function fromJson(string $json): ?array
+    {
+        $decoded = json_decode(stripslashes($json), true);
+
+        return is_array($decoded) ? $this->sanitize($decoded) : null;
+    }
+
+    /**
+     * Instructions that make a generation request follow the style
+     *
+     * The lesson template only applies to lesson content; chat, outline and
+     * quiz requests get the audience, voice and vocabulary rules.
+     *
+     * @since  1.0.0
+     * @param  array  $style  Sanitized style
+     * @param  string $target 'chat', 'outline', 'lesson' or 'quiz'
+     * @return string Prompt section ending in a blank line, or an empty string
+     */
+    public function buildPromptSection(array $style, string $target): string
+    {
+        $lines = [];
+
+        if ($style['audience'] !== '') {
+            $lines[] = "Audience: {$style['audience']}";
+        }
+        if ($style['reading_level'] !== '') {
+            $lines[] = 'Reading level: ' . self::READING_LEVELS[$style['reading_level']];
+        }
+        if ($style['tone'] !== '') {
+            $lines[] = "Tone: write in a {$style['tone']} tone.";
+        }
+
+        if ($target === 'lesson' && !empty($style['lesson_sections'])) {
+            $headings = array_map(function ($key) {
+                return self::LESSON_SECTIONS[$key];
+            }, $style['lesson_sections']);
+            $lines[]  = 'Lesson template: structure the lesson as these sections, in this order, each under its own heading: '
+                . implode(', ', $headings) . '. Do not add other top-level sections.';
+        }
+
+        if (!empty($style['glossary'])) {
+            $terms = array_map(function ($entry) {
+                return "- {$entry['term']}: {$entry['definition']}";
+            }, $style['glossary']);
+            $lines[] = "Terminology: use these terms with exactly these meanings, and do not swap them for synonyms:\n"
+                . implode("\n", $terms);
+        }
+
+        if (!empty($style['banned_phrases'])) {
+            $lines[] = 'Never use these words or phrases: "' . implode('", "', $style['banned_phrases']) . '".';
+        }
+
+        if (empty($lines)) {
+            return '';
+        }
+
+        return "COURSE STYLE GUIDE (follow it in everything you write for this course):\n"
+            . implode("\n", $lines) . "\n\n";
+    }
+
+    /**
+     * Style of a published course
+     *
+     * @since  1.0.0
+     * @param  integer $courseId Course post ID
+     * @return array Sanitized style, empty when none was saved
+     */
+    public function getCourseStyle(int $courseId): array
+    {
+        return $this->sanitize($courseId > 0 ? get_post_meta($courseId, self::COURSE_META_KEY, true) : []);
+    }
+
+    /**
+     * Store a style on a published course, or clear it when empty
+     *
+     * @since  1.0.0
+     * @param  integer $courseId Course post ID
+     * @param  array   $style    Style to store
+     * @return void
+     */
+    public function saveCourseStyle(int $courseId, array $style): void
+    {
+        $style = $this->sanitize($style);
+
+        if ($this->isEmpty($style)) {
+            delete_post_meta($courseId, self::COURSE_META_KEY);
+            return;
+        }
+
+        update_post_meta($courseId, self::COURSE_META_KEY, $style);
+    }
+}
@@ -19,7 +19,7 @@ class DatabaseService extends BaseService implements IDatabaseService
     /**
      * Database version for migrations
      */
-    private const DB_VERSION = '1.1.0';
+    private const DB_VERSION = '1.3.0';
 
     /**
      * @var wpdb WordPress database instance for executing SQL queries
@@ -71,6 +71,8 @@ class DatabaseService extends BaseService implements IDatabaseService
             $this->createUsageAnalyticsTable();
             $this->createQualityMetricsTable();
             $this->createLessonDraftsTable();
+            $this->createQuestionBankTable();
+            $this->createLessonDraftRevisionsTable();
 
             // Update database version.
             $this->updateOption('mpcc_db_version', self::DB_VERSION);
@@ -320,6 +322,36 @@ class DatabaseService extends BaseService implements IDatabaseService
         $this->log('Lesson drafts table created successfully');
     }
 
+    /**
+     * Create question bank table for reusable quiz questions
+     *
+     * @since  1.0.0
+     * @return void
+     * @throws \Exception If table creation fails
+     */
+    private function createQuestionBankTable(): void
+    {
+        $bankTable = new \MemberPressCoursesCopilot\Database\QuestionBankTable();
+        $bankTable->create();
+
+        $this->log('Question bank table created successfully');
+    }
+
+    /**
+     * Create lesson draft revisions table for draft history
+     *
+     * @since  1.0.0
+     * @return void
+     * @throws \Exception If table creation fails
+     */
+    private function createLessonDraftRevisionsTable(): void
+    {
+        $revisionTable = new \MemberPressCoursesCopilot\Database\LessonDraftRevisionTable();
+        $revisionTable->create();
+
+        $this->log('Lesson draft revisions table created successfully');
+    }
+
     /**
      * Drop all plugin tables (for uninstall)
      *
@@ -336,6 +368,8 @@ class DatabaseService extends BaseService implements IDatabaseService
                 'templates',
                 'conversations',
                 'lesson_drafts',
+                'question_bank',
+                'lesson_draft_revisions',
             ];
 
             foreach ($tables as $table) {
@@ -387,6 +421,14 @@ class DatabaseService extends BaseService implements IDatabaseService
                 $this->migrateTo110();
             }
 
+            if (version_compare($fromVersion, '1.2.0', '<')) {
+                $this->migrateTo120();
+            }
+
+            if (version_compare($fromVersion, '1.3.0', '<')) {
+                $this->migrateTo130();
+            }
+
             // Update database version.
             $this->updateOption('mpcc_db_version', self::DB_VERSION);
 
@@ -427,6 +469,40 @@ class DatabaseService extends BaseService implements IDatabaseService
         $this->log('Migration to version 1.1.0 completed');
     }
 
+    /**
+     * Migrate database to version 1.2.0
+     * Adds the question bank table
+     *
+     * @since  1.0.0
+     * @return void
+     * @throws \Exception If migration fails
+     */
+    private function migrateTo120(): void
+    {
+        $this->log('Running migration to version 1.2.0 - Adding question bank table');
+
+        $this->createQuestionBankTable();
+
+        $this->log('Migration to version 1.2.0 completed');
+    }
+
+    /**
+     * Migrate database to version 1.3.0
+     * Adds the lesson draft revisions table
+     *
+     * @since  1.0.0
+     * @return void
+     * @throws \Exception If migration fails
+     */
+    private function migrateTo130(): void
+    {
+        $this->log('Running migration to version 1.3.0 - Adding lesson draft revisions table');
+
+        $this->createLessonDraftRevisionsTable();
+
+        $this->log('Migration to version 1.3.0 completed');
+    }
+
     /**
      * Add an index to a table if it doesn't already exist
      *
@@ -1127,6 +1203,8 @@ class DatabaseService extends BaseService implements IDatabaseService
             'usage_analytics',
             'quality_metrics',
             'lesson_drafts',
+            'question_bank',
+            'lesson_draft_revisions',
         ];
 
         $status = [];
@@ -1190,6 +1268,16 @@ class DatabaseService extends BaseService implements IDatabaseService
                 'description' => 'Add missing indexes for foreign key columns',
                 'method'      => 'migrateTo110',
             ],
+            '1.2.0' => [
+                'version'     => '1.2.0',
+                'description' => 'Add question bank table',
+                'method'      => 'migrateTo120',
+            ],
+            '1.3.0' => [
+                'version'     => '1.3.0',
+                'description' => 'Add lesson draft revisions table',
+                'method'      => 'migrateTo130',
+            ],
         ];
 
         // Get only pending migrations.
@@ -1220,6 +1308,12 @@ class DatabaseService extends BaseService implements IDatabaseService
                 case '1.1.0':
                     $this->migrateTo110();
                     break;
+                case '1.2.0':
+                    $this->migrateTo120();
+                    break;
+                case '1.3.0':
+                    $this->migrateTo130();
+                    break;
                 default:
                     throw new \Exception("Unknown migration version: {$version}");
             }
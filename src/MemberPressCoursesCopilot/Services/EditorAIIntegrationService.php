@@ -390,6 +390,25 @@ class EditorAIIntegrationService extends BaseService
                         </div>
                     </div>
                     
+                    <?php if ($post->post_type === self::POST_TYPE_LESSON) : ?>
+                    <!-- Rewrite Selection Section -->
+                    <div class="mpcc-selection-rewrite-section" role="region"
+                         aria-labelledby="mpcc-selection-rewrite-label">
+                        <div style="margin-bottom: 10px;">
+                            <span id="mpcc-selection-rewrite-label"
+                                  style="font-size: 12px; color: #666; font-weight: 500;
+                                         text-transform: uppercase; letter-spacing: 0.5px;">Rewrite Selection</span>
+                        </div>
+                        <p class="mpcc-selection-rewrite-hint">
+                            Select text in the lesson, then open the AI assistant to simplify, expand, translate
+                            or otherwise rewrite just that passage.
+                        </p>
+                        <div class="mpcc-selection-rewrite-actions" style="display: none;">
+                            <p class="mpcc-selection-rewrite-excerpt"></p>
+                        </div>
+                    </div>
+                    <?php endif; ?>
+                    
                     <!-- Quick-Start Buttons Section -->
                     <div class="mpcc-quick-start-section" role="region" aria-label="Quick start options">
                         <div style="margin-bottom: 10px;">
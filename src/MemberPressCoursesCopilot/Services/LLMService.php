@@ -270,6 +270,182 @@ class LLMService extends BaseService implements ILLMService
         ];
     }
 
+    /**
+     * Generate content and stream it back through a callback as it arrives
+     *
+     * Requests a streamed completion from the auth gateway and invokes $onChunk
+     * with each text delta. The callback may return false to stop the stream
+     * early (for example when the browser has disconnected); the content
+     * received so far is still returned. When cURL is unavailable the full
+     * response is fetched with generateContent() and replayed in chunks.
+     *
+     * @since  1.0.0
+     * @param  string               $prompt      The prompt to send to AI
+     * @param  string               $contentType Type of content being generated
+     * @param  callable             $onChunk     Receives each text chunk; return false to abort
+     * @param  array<string, mixed> $options     Additional options for generation
+     * @return array Response array with the same shape as generateContent(), plus 'aborted'
+     *
+     * @example
+     * $result = $llmService->generateContentStream($prompt, 'general', function ($chunk) {
+     *     echo $chunk;
+     *     flush();
+     *     return !connection_aborted();
+     * });
+     */
+    public function generateContentStream(string $prompt, string $contentType, callable $onChunk, array $options = []): array
+    {
+        $provider = $this->getProviderForContentType($contentType);
+        $model    = $this->getModelForProvider($provider, $contentType);
+
+        if (!function_exists('curl_init')) {
+            $this->logger->debug('cURL unavailable, replaying buffered response as stream', [
+                'content_type' => $contentType,
+            ]);
+
+            $result            = $this->generateContent($prompt, $contentType, $options);
+            $result['aborted'] = false;
+            if (!$result['error']) {
+                foreach (str_split($result['content'], 100) as $chunk) {
+                    if ($onChunk($chunk) === false) {
+                        $result['aborted'] = true;
+                        break;
+                    }
+                }
+            }
+            return $result;
+        }
+
+        $payload = [
+            'model'       => $model,
+            'messages'    => [
+                [
+                    'role'    => 'user',
+                    'content' => $prompt,
+                ],
+            ],
+            'temperature' => $options['temperature'] ?? 0.7,
+            'max_tokens'  => $options['max_tokens'] ?? 2000,
+            'stream'      => true,
+        ];
+
+        $this->logger->debug('Making streaming API request', [
+            'endpoint'     => $this->authGatewayUrl . '/v1/chat/completions',
+            'model'        => $model,
+            'provider'     => $provider,
+            'content_type' => $contentType,
+        ]);
+
+        $content  = '';
+        $buffer   = '';
+        $rawBody  = '';
+        $aborted  = false;
+        $finished = false;
+        $usage    = [];
+
+        // The gateway speaks OpenAI-style SSE: "data: {json}\n\n" frames ending with "data: [DONE]"
+        $handleData = function ($curl, string $data) use (&$content, &$buffer, &$rawBody, &$aborted, &$finished, &$usage, $onChunk): int {
+            $buffer  .= $data;
+            $rawBody .= strlen($rawBody) < 4096 ? $data : '';
+
+            while (($pos = strpos($buffer, "\n")) !== false) {
+                $line   = trim(substr($buffer, 0, $pos));
+                $buffer = substr($buffer, $pos + 1);
+
+                if (strpos($line, 'data:') !== 0) {
+                    continue;
+                }
+
+                $json = trim(substr($line, 5));
+                if ($json === '[DONE]') {
+                    $finished = true;
+                    continue;
+                }
+
+                $frame = json_decode($json, true);
+                if (!is_array($frame)) {
+                    continue;
+                }
+
+                if (!empty($frame['usage'])) {
+                    $usage = $frame['usage'];
+                }
+
+                $delta = $frame['choices'][0]['delta']['content'] ?? '';
+                if ($delta === '') {
+                    continue;
+                }
+
+                $content .= $delta;
+                if ($onChunk($delta) === false) {
+                    $aborted = true;
+                    // Returning a short count makes cURL abort the transfer
+                    return 0;
+                }
+            }
+
+            return strlen($data);
+        };
+
+        $curl = curl_init($this->authGatewayUrl . '/v1/chat/completions');
+        curl_setopt_array($curl, [
+            CURLOPT_POST          => true,
+            CURLOPT_HTTPHEADER    => [
+                'Authorization: Bearer ' . self::LICENSE_KEY,
+                'Content-Type: application/json',
+                'Accept: text/event-stream',
+            ],
+            CURLOPT_POSTFIELDS    => wp_json_encode($payload),
+            CURLOPT_TIMEOUT       => $options['timeout'] ?? 120,
+            CURLOPT_WRITEFUNCTION => $handleData,
+        ]);
+
+        curl_exec($curl);
+        $curlError    = curl_errno($curl) ? curl_error($curl) : '';
+        $responseCode = (int) curl_getinfo($curl, CURLINFO_RESPONSE_CODE);
+        curl_close($curl);
+
+        if ($aborted) {
+            $this->logger->info('Streaming generation stopped by client', [
+                'content_length' => strlen($content),
+                'model'          => $model,
+            ]);
+        } elseif ($responseCode >= 400 || ($curlError !== '' && $content === '')) {
+            $errorMessage = $responseCode >= 400
+                ? "API error {$responseCode}: {$rawBody}"
+                : $curlError;
+            $this->logger->error('Streaming API request failed', [
+                'response_code' => $responseCode,
+                'error_message' => $errorMessage,
+                'model'         => $model,
+                'provider'      => $provider,
+            ]);
+            return [
+                'error'   => true,
+                'message' => $errorMessage,
+                'content' => '',
+                'aborted' => false,
+            ];
+        } else {
+            $this->logger->info('Content streamed successfully', [
+                'content_length' => strlen($content),
+                'completed'      => $finished,
+                'model'          => $model,
+                'provider'       => $provider,
+                'content_type'   => $contentType,
+            ]);
+        }
+
+        return [
+            'error'    => false,
+            'content'  => $content,
+            'usage'    => $usage,
+            'model'    => $model,
+            'provider' => $provider,
+            'aborted'  => $aborted,
+        ];
+    }
+
     /**
      * Determine course template type from user input
      *
@@ -523,41 +699,13 @@ class LLMService extends BaseService implements ILLMService
      */
     private function streamContent(string $prompt, string $contentType, callable $onChunk, array $options = []): string
     {
-        $provider = $this->getProviderForContentType($contentType);
-        $model    = $this->getModelForProvider($provider, $contentType);
-
-        $payload = [
-            'model'       => $model,
-            'messages'    => [
-                [
-                    'role'    => 'user',
-                    'content' => $prompt,
-                ],
-            ],
-            'temperature' => $options['temperature'] ?? 0.7,
-            'max_tokens'  => $options['max_tokens'] ?? 2000,
-            'stream'      => true,
-        ];
-
-        // For now, return a placeholder as streaming requires special handling
-        // In production, this would use server-sent events or WebSockets
         $this->logger->info('Streaming content generation requested', [
             'content_type' => $contentType,
-            'model'        => $model,
         ]);
 
-        // Simulate streaming by calling the callback with chunks
-        $fullContent = $this->generateContent($prompt, $contentType, $options);
-
-        if (!$fullContent['error']) {
-            $chunks = str_split($fullContent['content'], 100);
-            foreach ($chunks as $chunk) {
-                $onChunk($chunk);
-                usleep(50000); // 50ms delay to simulate streaming
-            }
-        }
+        $result = $this->generateContentStream($prompt, $contentType, $onChunk, $options);
 
-        return $fullContent['error'] ? '' : $fullContent['content'];
+        return $result['error'] ? '' : $result['content'];
     }
 
     /**
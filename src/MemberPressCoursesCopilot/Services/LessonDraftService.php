@@ -2,12 +2,31 @@
 
 namespace MemberPressCoursesCopilot\Services;
 
+use MemberPressCoursesCopilot\Database\LessonDraftRevisionTable;
 use MemberPressCoursesCopilot\Database\LessonDraftTable;
 use MemberPressCoursesCopilot\Interfaces\IDatabaseService;
 
 class LessonDraftService
 {
+    /**
+     * Where a revision came from. 'earlier' marks draft content that was
+     * written without a source, kept so the next tracked save cannot lose it.
+     */
+    public const REVISION_SOURCES = ['manual', 'autosave', 'ai', 'restore', 'earlier'];
+
+    /**
+     * Revisions kept per lesson draft
+     */
+    private const MAX_REVISIONS = 50;
+
+    /**
+     * Autosaves this soon after the previous autosave update it instead of
+     * adding a revision, so a typing session becomes one entry
+     */
+    private const AUTOSAVE_WINDOW_MINUTES = 10;
+
     private $table;
+    private $revisionTable;
     private ?IDatabaseService $databaseService;
 
     /**
@@ -20,33 +39,41 @@ class LessonDraftService
         // Store database service (optional for backward compatibility)
         $this->databaseService = $databaseService;
 
-        $this->table = new LessonDraftTable();
+        $this->table         = new LessonDraftTable();
+        $this->revisionTable = new LessonDraftRevisionTable();
 
-        // Ensure table exists (temporary fix)
+        // Ensure tables exist (temporary fix)
         $this->ensureTableExists();
     }
 
     /**
-     * Ensure the lesson drafts table exists
+     * Ensure the lesson drafts and revisions tables exist
      */
     private function ensureTableExists()
     {
         global $wpdb;
-        $tableName = $this->table->getTableName();
 
-        // Check if table exists
-        $tableExists = $wpdb->get_var($wpdb->prepare('SHOW TABLES LIKE %s', $tableName)) === $tableName;
+        foreach ([$this->table, $this->revisionTable] as $table) {
+            $tableName = $table->getTableName();
 
-        if (!$tableExists) {
-            $this->table->create();
-            error_log('MPCC: Created missing lesson drafts table');
+            // Check if table exists
+            $tableExists = $wpdb->get_var($wpdb->prepare('SHOW TABLES LIKE %s', $tableName)) === $tableName;
+
+            if (!$tableExists) {
+                $table->create();
+                error_log('MPCC: Created missing table ' . $tableName);
+            }
         }
     }
 
     /**
      * Save or update a lesson draft
+     *
+     * Saves made with a source ('manual', 'autosave', 'ai' or 'restore') are
+     * also recorded in the draft's revision history. Copies and restores of
+     * whole sessions pass no source and leave the history alone.
      */
-    public function saveDraft($sessionId, $sectionId, $lessonId, $content, $orderIndex = 0)
+    public function saveDraft($sessionId, $sectionId, $lessonId, $content, $orderIndex = 0, $source = null)
     {
         global $wpdb;
 
@@ -55,7 +82,7 @@ class LessonDraftService
         // Check if draft exists
         $existing = $wpdb->get_row(
             $wpdb->prepare(
-                "SELECT id FROM {$tableName} WHERE session_id = %s AND section_id = %s AND lesson_id = %s",
+                "SELECT id, content FROM {$tableName} WHERE session_id = %s AND section_id = %s AND lesson_id = %s",
                 $sessionId,
                 $sectionId,
                 $lessonId
@@ -95,9 +122,141 @@ class LessonDraftService
 
         error_log('MPCC: Lesson draft saved - Session: ' . $sessionId . ', Lesson: ' . $lessonId . ', Content length: ' . strlen($content));
 
+        if ($source !== null) {
+            $this->addRevision($sessionId, $sectionId, $lessonId, $content, $source, $existing ? $existing->content : null);
+        }
+
         return true;
     }
 
+    /**
+     * Record a revision of a lesson draft
+     *
+     * Nothing is added when the content matches the latest revision. If the
+     * draft held content the history does not know about, that content is
+     * recorded first as an 'earlier' revision.
+     */
+    private function addRevision($sessionId, $sectionId, $lessonId, $content, $source, $previousContent = null)
+    {
+        global $wpdb;
+
+        $tableName = $this->revisionTable->getTableName();
+        $source    = in_array($source, self::REVISION_SOURCES, true) ? $source : 'manual';
+
+        $latest = $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT id, content, source, created_at > DATE_SUB(NOW(), INTERVAL %d MINUTE) AS is_recent
+                FROM {$tableName} WHERE session_id = %s AND section_id = %s AND lesson_id = %s ORDER BY id DESC LIMIT 1",
+                self::AUTOSAVE_WINDOW_MINUTES,
+                $sessionId,
+                $sectionId,
+                $lessonId
+            )
+        );
+
+        if ((string) $previousContent !== '' && (!$latest || $latest->content !== $previousContent) && $previousContent !== $content) {
+            $this->insertRevision($sessionId, $sectionId, $lessonId, $previousContent, 'earlier');
+            $latest = null;
+        }
+
+        if ($latest && $latest->content === $content) {
+            return;
+        }
+
+        if ($latest && $source === 'autosave' && $latest->source === 'autosave' && $latest->is_recent) {
+            $wpdb->update($tableName, ['content' => $content], ['id' => $latest->id], ['%s'], ['%d']);
+            return;
+        }
+
+        $this->insertRevision($sessionId, $sectionId, $lessonId, $content, $source);
+
+        // Drop the oldest revisions beyond the limit
+        $ids = $wpdb->get_col(
+            $wpdb->prepare(
+                "SELECT id FROM {$tableName} WHERE session_id = %s AND section_id = %s AND lesson_id = %s ORDER BY id DESC",
+                $sessionId,
+                $sectionId,
+                $lessonId
+            )
+        );
+        $staleIds = array_map('intval', array_slice($ids, self::MAX_REVISIONS));
+
+        if ($staleIds) {
+            $placeholders = implode(', ', array_fill(0, count($staleIds), '%d'));
+            $wpdb->query($wpdb->prepare("DELETE FROM {$tableName} WHERE id IN ({$placeholders})", ...$staleIds));
+        }
+    }
+
+    /**
+     * Insert a single revision row
+     */
+    private function insertRevision($sessionId, $sectionId, $lessonId, $content, $source)
+    {
+        global $wpdb;
+
+        $result = $wpdb->insert(
+            $this->revisionTable->getTableName(),
+            [
+                'session_id' => $sessionId,
+                'section_id' => $sectionId,
+                'lesson_id'  => $lessonId,
+                'content'    => $content,
+                'source'     => $source,
+                'created_by' => get_current_user_id(),
+            ],
+            ['%s', '%s', '%s', '%s', '%s', '%d']
+        );
+
+        if ($result === false) {
+            error_log('MPCC: Failed to save lesson draft revision - Session: ' . $sessionId . ', Lesson: ' . $lessonId . ', Error: ' . $wpdb->last_error);
+        }
+    }
+
+    /**
+     * Get the revision history of a lesson draft, newest first
+     *
+     * Rows carry the content length instead of the content; load a single
+     * revision with getRevision().
+     */
+    public function getRevisions($sessionId, $sectionId, $lessonId)
+    {
+        global $wpdb;
+
+        $tableName = $this->revisionTable->getTableName();
+
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT id, source, created_by, created_at, updated_at, CHAR_LENGTH(content) AS content_length
+                FROM {$tableName} WHERE session_id = %s AND section_id = %s AND lesson_id = %s ORDER BY id DESC",
+                $sessionId,
+                $sectionId,
+                $lessonId
+            )
+        );
+    }
+
+    /**
+     * Get one revision of a lesson draft
+     *
+     * The revision must belong to the given lesson; null is returned otherwise.
+     */
+    public function getRevision($sessionId, $sectionId, $lessonId, $revisionId)
+    {
+        global $wpdb;
+
+        $tableName = $this->revisionTable->getTableName();
+
+        return $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT * FROM {$tableName} WHERE id = %d AND session_id = %s AND section_id = %s AND lesson_id = %s",
+                $revisionId,
+                $sessionId,
+                $sectionId,
+                $lessonId
+            )
+        );
+    }
+
     /**
      * Get a specific lesson draft
      */
@@ -157,6 +316,16 @@ class LessonDraftService
             ['%s', '%s', '%s']
         );
 
+        $wpdb->delete(
+            $this->revisionTable->getTableName(),
+            [
+                'session_id' => $sessionId,
+                'section_id' => $sectionId,
+                'lesson_id'  => $lessonId,
+            ],
+            ['%s', '%s', '%s']
+        );
+
         if ($result === false) {
             error_log('MPCC: Failed to delete lesson draft - Session: ' . $sessionId . ', Lesson: ' . $lessonId . ', Error: ' . $wpdb->last_error);
             return false;
@@ -182,6 +351,8 @@ class LessonDraftService
             ['%s']
         );
 
+        $wpdb->delete($this->revisionTable->getTableName(), ['session_id' => $sessionId], ['%s']);
+
         if ($result === false) {
             error_log('MPCC: Failed to delete session drafts - Session: ' . $sessionId . ', Error: ' . $wpdb->last_error);
             return false;
@@ -224,6 +395,72 @@ class LessonDraftService
         return $success;
     }
 
+    /**
+     * Move drafts to the positions their lessons have after an outline change
+     *
+     * Each move is ['from' => [sectionId, lessonId], 'to' => [sectionId, lessonId]]
+     * and there is one for every lesson that had a position before. Revision
+     * histories move with their drafts. Drafts at positions no lesson came from
+     * belonged to removed lessons and are deleted with their history.
+     */
+    public function moveDrafts($sessionId, array $moves)
+    {
+        global $wpdb;
+
+        $tableName = $this->table->getTableName();
+        $kept      = [];
+        $parked    = [];
+        $success   = true;
+
+        // Park moving drafts under temporary keys first, so lessons that trade
+        // places never collide on the unique key
+        foreach (array_values($moves) as $index => $move) {
+            [$fromSection, $fromLesson] = array_map('strval', $move['from']);
+            [$toSection, $toLesson]     = array_map('strval', $move['to']);
+
+            if ($fromSection === $toSection && $fromLesson === $toLesson) {
+                $kept[$fromSection . '::' . $fromLesson] = true;
+                continue;
+            }
+
+            $result = $wpdb->update(
+                $tableName,
+                ['section_id' => '_moving', 'lesson_id' => (string) $index],
+                ['session_id' => $sessionId, 'section_id' => $fromSection, 'lesson_id' => $fromLesson],
+                ['%s', '%s'],
+                ['%s', '%s', '%s']
+            );
+            if ($result === false) {
+                $success = false;
+                error_log('MPCC: Failed to move lesson draft - Lesson: ' . $fromLesson . ', Error: ' . $wpdb->last_error);
+            } elseif ($result) {
+                $this->moveRevisions($sessionId, [$fromSection, $fromLesson], ['_moving', (string) $index]);
+                $parked[$index] = [$toSection, $toLesson];
+            }
+        }
+
+        foreach ($this->getSessionDrafts($sessionId) as $draft) {
+            if ($draft->section_id !== '_moving' && !isset($kept[$draft->section_id . '::' . $draft->lesson_id])) {
+                $this->deleteDraft($sessionId, $draft->section_id, $draft->lesson_id);
+            }
+        }
+
+        foreach ($parked as $index => [$toSection, $toLesson]) {
+            $wpdb->update(
+                $tableName,
+                ['section_id' => $toSection, 'lesson_id' => $toLesson, 'order_index' => intval($toLesson)],
+                ['session_id' => $sessionId, 'section_id' => '_moving', 'lesson_id' => (string) $index],
+                ['%s', '%s', '%d'],
+                ['%s', '%s', '%s']
+            );
+            $this->moveRevisions($sessionId, ['_moving', (string) $index], [$toSection, $toLesson]);
+        }
+
+        error_log('MPCC: Lesson drafts moved - Session: ' . $sessionId . ', Moved: ' . count($parked));
+
+        return $success;
+    }
+
     /**
      * Map drafts to course structure for creation
      */
@@ -284,6 +521,54 @@ class LessonDraftService
         return $courseStructure;
     }
 
+    /**
+     * Move the revision history of a draft to another position
+     */
+    private function moveRevisions($sessionId, array $from, array $to)
+    {
+        global $wpdb;
+
+        $wpdb->update(
+            $this->revisionTable->getTableName(),
+            ['section_id' => $to[0], 'lesson_id' => $to[1]],
+            ['session_id' => $sessionId, 'section_id' => $from[0], 'lesson_id' => $from[1]],
+            ['%s', '%s'],
+            ['%s', '%s', '%s']
+        );
+    }
+
+    /**
+     * Find lessons whose stored draft is not the one the editor has for them
+     *
+     * The editor sends each lesson with its `draft_content`. A different draft
+     * at the lesson's position means drafts and outline are out of step, for
+     * example after a reorder that never reached the server, and content
+     * mapped by position would land on the wrong lesson.
+     *
+     * @return string[] Titles of the mismatched lessons
+     */
+    public function findMisplacedDrafts($sessionId, $courseStructure)
+    {
+        $draftMap = [];
+        foreach ($this->getSessionDrafts($sessionId) as $draft) {
+            $draftMap[$draft->section_id . '::' . $draft->lesson_id] = $draft->content;
+        }
+
+        $misplaced = [];
+        foreach ($courseStructure['sections'] ?? [] as $sectionIndex => $section) {
+            foreach ($section['lessons'] ?? [] as $lessonIndex => $lesson) {
+                $stored = $draftMap[$sectionIndex . '::' . $lessonIndex] ?? '';
+                $shown  = isset($lesson['draft_content']) && is_string($lesson['draft_content']) ? $lesson['draft_content'] : '';
+
+                if (trim($stored) !== trim($shown)) {
+                    $misplaced[] = $lesson['title'] ?? '';
+                }
+            }
+        }
+
+        return $misplaced;
+    }
+
     /**
      * Copy all lesson drafts from one session to another
      */
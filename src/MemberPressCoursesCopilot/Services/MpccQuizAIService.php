@@ -15,6 +15,22 @@ use MemberPressCoursesCopilot\Interfaces\ILLMService;
  */
 class MpccQuizAIService extends BaseService implements IQuizAIService
 {
+    /**
+     * Bloom's taxonomy levels questions can target, lowest first, with the
+     * description given to the AI
+     */
+    public const BLOOM_LEVELS = [
+        'remember'   => 'recall facts and terms',
+        'understand' => 'explain ideas in their own words',
+        'apply'      => 'use the ideas in a new situation',
+        'analyze'    => 'break the ideas apart and compare them',
+    ];
+
+    /**
+     * Difficulty levels, easiest first
+     */
+    public const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
     /**
      * LLM service instance for AI operations
      *
@@ -52,7 +68,8 @@ class MpccQuizAIService extends BaseService implements IQuizAIService
      *
      * @since  1.0.0
      * @param  string               $content Content to generate questions from
-     * @param  array<string, mixed> $options Generation options including 'type' and 'count'
+     * @param  array<string, mixed> $options Generation options including 'type' and 'count',
+     *                                       or 'distribution' when 'type' is 'mixed'
      * @return array<string, mixed> Generated questions with error handling
      */
     public function generateQuestions(string $content, array $options = []): array
@@ -66,6 +83,10 @@ class MpccQuizAIService extends BaseService implements IQuizAIService
             'contentLength' => strlen($content),
         ]);
 
+        if ($type === 'mixed') {
+            return $this->generateMixedQuestions($content, $options['distribution'] ?? [], $options);
+        }
+
         // Validate content suitability.
         $validation = $this->validateContentForType($content, $type);
         if (!$validation['suitable']) {
@@ -82,16 +103,16 @@ class MpccQuizAIService extends BaseService implements IQuizAIService
 
         switch ($type) {
             case 'multiple_choice':
-                return $this->generateMultipleChoiceQuestions($content, $count);
+                return $this->generateMultipleChoiceQuestions($content, $count, $options);
 
             case 'true_false':
-                return $this->generateTrueFalseQuestions($content, $count);
+                return $this->generateTrueFalseQuestions($content, $count, $options);
 
             case 'text_answer':
-                return $this->generateTextAnswerQuestions($content, $count);
+                return $this->generateTextAnswerQuestions($content, $count, $options);
 
             case 'multiple_select':
-                return $this->generateMultipleSelectQuestions($content, $count);
+                return $this->generateMultipleSelectQuestions($content, $count, $options);
 
             default:
                 $this->logger->error('Unsupported question type', ['type' => $type]);
@@ -103,22 +124,265 @@ class MpccQuizAIService extends BaseService implements IQuizAIService
         }
     }
 
+    /**
+     * Generate a quiz that mixes question types
+     *
+     * Each type is generated with its own prompt so the type-specific parsers
+     * still apply. Types the content is not suited for are skipped and
+     * reported in the suggestion instead of failing the whole quiz.
+     *
+     * @since  1.0.0
+     * @param  string               $content      Content to generate questions from
+     * @param  array<string, int>   $distribution Number of questions per type, in quiz order
+     * @param  array<string, mixed> $options      Options passed on to each type ('customPrompt', 'avoid', 'bloomLevels', 'difficultyMix', 'styleGuide')
+     * @return array<string, mixed> Generated questions with error handling
+     */
+    public function generateMixedQuestions(string $content, array $distribution, array $options = []): array
+    {
+        $questions = [];
+        $skipped   = [];
+
+        unset($options['distribution']);
+
+        foreach ($distribution as $type => $count) {
+            $count = (int) $count;
+            if ($count < 1 || !in_array($type, $this->getSupportedQuestionTypes(), true)) {
+                continue;
+            }
+
+            $result = $this->generateQuestions($content, array_merge($options, [
+                'type'  => $type,
+                'count' => $count,
+            ]));
+
+            if (!empty($result['error'])) {
+                $skipped[] = $result['message'];
+                continue;
+            }
+
+            if (empty($result)) {
+                $skipped[] = 'Could not generate ' . str_replace('_', ' ', $type) . ' questions.';
+                continue;
+            }
+
+            foreach (array_slice($result, 0, $count) as $question) {
+                $questions[] = $question;
+            }
+        }
+
+        if (empty($questions)) {
+            return [
+                'error'      => true,
+                'message'    => $skipped[0] ?? 'No question types were selected',
+                'suggestion' => empty($skipped)
+                    ? 'Set how many questions of each type the quiz should have'
+                    : 'Try a different mix of question types',
+            ];
+        }
+
+        return [
+            'questions'  => $questions,
+            'suggestion' => empty($skipped) ? null : 'Some question types were skipped: ' . implode(' ', $skipped),
+        ];
+    }
+
+    /**
+     * Generate one quiz from several lessons
+     *
+     * Each lesson is prompted on its own so questions stay tied to the text
+     * they came from, and every question is tagged with its source lesson.
+     * With the 'weighted' allocation the quiz total is split by lesson length;
+     * otherwise each lesson gets 'perLesson' questions (or, for mixed quizzes,
+     * the full type distribution). Lessons that fail are reported in the
+     * suggestion instead of failing the quiz.
+     *
+     * @since  1.0.0
+     * @param  array<int, array<string, mixed>> $lessons Lessons with 'id', 'title' and 'content'
+     * @param  array<string, mixed>             $options Generation options plus 'allocation' and 'perLesson'
+     * @return array<string, mixed> Questions, per-lesson counts and suggestion, or an error
+     */
+    public function generateLessonSetQuestions(array $lessons, array $options = []): array
+    {
+        $lessons = array_values(array_filter($lessons, function ($lesson) {
+            return trim((string) ($lesson['content'] ?? '')) !== '';
+        }));
+
+        if (empty($lessons)) {
+            return [
+                'error'      => true,
+                'message'    => 'None of the selected lessons have content to generate questions from',
+                'suggestion' => 'Add content to the lessons or choose different ones',
+            ];
+        }
+
+        $plans     = $this->planLessonSet($lessons, $options);
+        $questions = [];
+        $sources   = [];
+        $skipped   = [];
+
+        unset($options['allocation'], $options['perLesson']);
+
+        foreach ($lessons as $index => $lesson) {
+            $source = [
+                'id'    => (int) ($lesson['id'] ?? 0),
+                'title' => (string) ($lesson['title'] ?? ''),
+            ];
+            $plan   = $plans[$index];
+
+            $generated = [];
+            if ($plan['count'] > 0) {
+                $result = $this->generateQuestions((string) $lesson['content'], array_merge($options, $plan));
+
+                if (!empty($result['error'])) {
+                    $skipped[] = "{$source['title']}: {$result['message']}";
+                } else {
+                    $generated = array_slice($result['questions'] ?? $result, 0, $plan['count']);
+
+                    if (empty($generated)) {
+                        $skipped[] = "{$source['title']}: no questions could be generated.";
+                    } elseif (!empty($result['suggestion'])) {
+                        $skipped[] = "{$source['title']}: {$result['suggestion']}";
+                    }
+                }
+            }
+
+            foreach ($generated as $question) {
+                $question['source_lesson'] = $source;
+                $questions[]               = $question;
+            }
+
+            $sources[] = array_merge($source, ['questions' => count($generated)]);
+        }
+
+        $this->logger->info('Generated lesson set quiz', [
+            'lessons'   => count($lessons),
+            'questions' => count($questions),
+            'skipped'   => count($skipped),
+        ]);
+
+        if (empty($questions)) {
+            return [
+                'error'      => true,
+                'message'    => $skipped[0] ?? 'No questions were requested',
+                'suggestion' => 'Try fewer lessons or a different question type',
+            ];
+        }
+
+        return [
+            'questions'  => $questions,
+            'lessons'    => $sources,
+            'suggestion' => empty($skipped) ? null : 'Some lessons came up short: ' . implode(' ', $skipped),
+        ];
+    }
+
+    /**
+     * Work out what to generate from each lesson of a lesson set
+     *
+     * @since  1.0.0
+     * @param  array<int, array<string, mixed>> $lessons Lessons with content
+     * @param  array<string, mixed>             $options Generation options
+     * @return array<int, array<string, mixed>> Per-lesson 'count', plus 'distribution' for mixed quizzes
+     */
+    private function planLessonSet(array $lessons, array $options): array
+    {
+        $mixed        = ($options['type'] ?? 'multiple_choice') === 'mixed';
+        $distribution = $options['distribution'] ?? [];
+
+        if (($options['allocation'] ?? 'per_lesson') !== 'weighted') {
+            $plan = $mixed
+                ? ['count' => array_sum($distribution), 'distribution' => $distribution]
+                : ['count' => max(1, (int) ($options['perLesson'] ?? 3))];
+
+            return array_fill(0, count($lessons), $plan);
+        }
+
+        $counts = $this->allocateByLength($lessons, $mixed ? array_sum($distribution) : (int) ($options['count'] ?? 10));
+
+        if (!$mixed) {
+            return array_map(function ($count) {
+                return ['count' => $count];
+            }, $counts);
+        }
+
+        // Deal the types out in turn so each lesson gets a share of the mix
+        $types     = [];
+        $remaining = $distribution;
+        while (array_sum($remaining) > 0) {
+            foreach ($remaining as $type => $count) {
+                if ($count > 0) {
+                    $types[] = $type;
+                    $remaining[$type]--;
+                }
+            }
+        }
+
+        $plans  = [];
+        $offset = 0;
+        foreach ($counts as $count) {
+            $plans[] = [
+                'count'        => $count,
+                'distribution' => array_count_values(array_slice($types, $offset, $count)),
+            ];
+            $offset += $count;
+        }
+
+        return $plans;
+    }
+
+    /**
+     * Split a question total across lessons in proportion to their length
+     *
+     * Largest remainders make the counts add up exactly, and every lesson gets
+     * at least one question while there are enough to go round.
+     *
+     * @since  1.0.0
+     * @param  array<int, array<string, mixed>> $lessons Lessons with content
+     * @param  integer                          $total   Questions in the whole quiz
+     * @return array<int, int> Question count per lesson
+     */
+    private function allocateByLength(array $lessons, int $total): array
+    {
+        $weights = array_map(function ($lesson) {
+            return max(1, str_word_count(wp_strip_all_tags((string) $lesson['content'])));
+        }, $lessons);
+
+        $minimum   = $total >= count($weights) ? 1 : 0;
+        $counts    = array_fill(0, count($weights), $minimum);
+        $spread    = max(0, $total) - $minimum * count($weights);
+        $remainder = [];
+
+        foreach ($weights as $index => $weight) {
+            $share              = $spread * $weight / array_sum($weights);
+            $counts[$index]    += (int) floor($share);
+            $remainder[$index]  = $share - floor($share);
+        }
+
+        arsort($remainder);
+        $left = max(0, $total) - array_sum($counts);
+        foreach (array_slice(array_keys($remainder), 0, $left) as $index) {
+            $counts[$index]++;
+        }
+
+        return $counts;
+    }
+
     /**
      * Generate multiple-choice questions from content
      *
      * @since  1.0.0
-     * @param  string  $content Content to generate questions from
-     * @param  integer $count   Number of questions to generate
+     * @param  string               $content Content to generate questions from
+     * @param  integer              $count   Number of questions to generate
+     * @param  array<string, mixed> $options Generation options ('customPrompt', 'avoid', 'bloomLevels', 'difficultyMix', 'styleGuide')
      * @return array<int, array<string, mixed>> Generated questions
      */
-    public function generateMultipleChoiceQuestions(string $content, int $count = 5): array
+    public function generateMultipleChoiceQuestions(string $content, int $count = 5, array $options = []): array
     {
         $this->logger->info('Generating multiple-choice questions', [
             'contentLength' => strlen($content),
             'questionCount' => $count,
         ]);
 
-        $prompt = $this->buildMultipleChoicePrompt($content, $count);
+        $prompt = $this->buildMultipleChoicePrompt($content, $count, $this->buildPromptInstructions($options));
 
         $response = $this->llmService->generateContent($prompt, 'quiz_generation');
 
@@ -141,11 +405,12 @@ class MpccQuizAIService extends BaseService implements IQuizAIService
      * Build prompt for multiple-choice question generation
      *
      * @since  1.0.0
-     * @param  string  $content Content to base questions on
-     * @param  integer $count   Number of questions to generate
+     * @param  string  $content      Content to base questions on
+     * @param  integer $count        Number of questions to generate
+     * @param  string  $instructions Extra instructions from buildPromptInstructions()
      * @return string Generated prompt
      */
-    private function buildMultipleChoicePrompt(string $content, int $count): string
+    private function buildMultipleChoicePrompt(string $content, int $count, string $instructions = ''): string
     {
         return "Generate {$count} multiple-choice questions based on the following content. 
         
@@ -154,6 +419,7 @@ For each question, provide:
 2. Four answer options (A, B, C, D)
 3. The correct answer letter
 4. Brief explanation of why the answer is correct
+5. The Bloom's level (remember, understand, apply or analyze) and difficulty (easy, medium or hard) of the question
 
 IMPORTANT: Return ONLY the JSON array, no introductory text or explanations outside the JSON structure.
 
@@ -168,11 +434,13 @@ Format the output as a valid JSON array with this exact structure:
             \"D\": \"Fourth option\"
         },
         \"correct_answer\": \"A\",
-        \"explanation\": \"Explanation text\"
+        \"explanation\": \"Explanation text\",
+        \"bloom_level\": \"understand\",
+        \"difficulty\": \"medium\"
     }
 ]
 
-Content to create questions from:
+{$instructions}Content to create questions from:
 {$content}";
     }
 
@@ -192,13 +460,13 @@ Content to create questions from:
         }
 
         return array_map(function ($q) {
-            return [
+            return $this->withLevels([
                 'type'           => 'multiple_choice',
                 'question'       => $q['question'] ?? '',
                 'options'        => $q['options'] ?? [],
                 'correct_answer' => $q['correct_answer'] ?? '',
                 'explanation'    => $q['explanation'] ?? '',
-            ];
+            ], $q);
         }, $questions);
     }
 
@@ -206,18 +474,19 @@ Content to create questions from:
      * Generate true/false questions from content
      *
      * @since  1.0.0
-     * @param  string  $content Content to generate questions from
-     * @param  integer $count   Number of questions to generate
+     * @param  string               $content Content to generate questions from
+     * @param  integer              $count   Number of questions to generate
+     * @param  array<string, mixed> $options Generation options ('customPrompt', 'avoid', 'bloomLevels', 'difficultyMix', 'styleGuide')
      * @return array<int, array<string, mixed>> Generated questions
      */
-    public function generateTrueFalseQuestions(string $content, int $count = 5): array
+    public function generateTrueFalseQuestions(string $content, int $count = 5, array $options = []): array
     {
         $this->logger->info('Generating true/false questions', [
             'contentLength' => strlen($content),
             'questionCount' => $count,
         ]);
 
-        $prompt = $this->buildTrueFalsePrompt($content, $count);
+        $prompt = $this->buildTrueFalsePrompt($content, $count, $this->buildPromptInstructions($options));
 
         $response = $this->llmService->generateContent($prompt, 'quiz_generation');
 
@@ -240,18 +509,19 @@ Content to create questions from:
      * Generate text answer questions from content
      *
      * @since  1.0.0
-     * @param  string  $content Content to generate questions from
-     * @param  integer $count   Number of questions to generate
+     * @param  string               $content Content to generate questions from
+     * @param  integer              $count   Number of questions to generate
+     * @param  array<string, mixed> $options Generation options ('customPrompt', 'avoid', 'bloomLevels', 'difficultyMix', 'styleGuide')
      * @return array<int, array<string, mixed>> Generated questions
      */
-    public function generateTextAnswerQuestions(string $content, int $count = 5): array
+    public function generateTextAnswerQuestions(string $content, int $count = 5, array $options = []): array
     {
         $this->logger->info('Generating text answer questions', [
             'contentLength' => strlen($content),
             'questionCount' => $count,
         ]);
 
-        $prompt = $this->buildTextAnswerPrompt($content, $count);
+        $prompt = $this->buildTextAnswerPrompt($content, $count, $this->buildPromptInstructions($options));
 
         $response = $this->llmService->generateContent($prompt, 'quiz_generation');
 
@@ -274,18 +544,19 @@ Content to create questions from:
      * Generate multiple select questions from content
      *
      * @since  1.0.0
-     * @param  string  $content Content to generate questions from
-     * @param  integer $count   Number of questions to generate
+     * @param  string               $content Content to generate questions from
+     * @param  integer              $count   Number of questions to generate
+     * @param  array<string, mixed> $options Generation options ('customPrompt', 'avoid', 'bloomLevels', 'difficultyMix', 'styleGuide')
      * @return array<int, array<string, mixed>> Generated questions
      */
-    public function generateMultipleSelectQuestions(string $content, int $count = 5): array
+    public function generateMultipleSelectQuestions(string $content, int $count = 5, array $options = []): array
     {
         $this->logger->info('Generating multiple select questions', [
             'contentLength' => strlen($content),
             'questionCount' => $count,
         ]);
 
-        $prompt = $this->buildMultipleSelectPrompt($content, $count);
+        $prompt = $this->buildMultipleSelectPrompt($content, $count, $this->buildPromptInstructions($options));
 
         $response = $this->llmService->generateContent($prompt, 'quiz_generation');
 
@@ -304,6 +575,80 @@ Content to create questions from:
         return $questions;
     }
 
+    /**
+     * Build extra prompt instructions from generation options
+     *
+     * @since  1.0.0
+     * @param  array<string, mixed> $options Generation options ('customPrompt', 'avoid', 'bloomLevels', 'difficultyMix', 'styleGuide')
+     * @return string Instructions block, empty when there is nothing to add
+     */
+    private function buildPromptInstructions(array $options): string
+    {
+        $sections = [];
+
+        // Prompt section from CourseStyleService, so questions match the course's voice and terms
+        if (!empty($options['styleGuide'])) {
+            $sections[] = rtrim($options['styleGuide']);
+        }
+
+        if (!empty($options['customPrompt'])) {
+            $sections[] = 'Additional instructions: ' . $options['customPrompt'];
+        }
+
+        $avoid = array_filter(array_map('strval', (array) ($options['avoid'] ?? [])));
+        if (!empty($avoid)) {
+            $sections[] = "Do not repeat or closely paraphrase these existing questions:\n- " . implode("\n- ", $avoid);
+        }
+
+        $levels = array_intersect_key(self::BLOOM_LEVELS, array_flip((array) ($options['bloomLevels'] ?? [])));
+        if (!empty($levels)) {
+            $lines = [];
+            foreach ($levels as $level => $description) {
+                $lines[] = "{$level}: {$description}";
+            }
+            $sections[] = "Write the questions at these Bloom's taxonomy levels, spread evenly between them:\n- " . implode("\n- ", $lines);
+        }
+
+        $mix   = array_intersect_key((array) ($options['difficultyMix'] ?? []), array_flip(self::DIFFICULTY_LEVELS));
+        $total = array_sum(array_map('intval', $mix));
+        if ($total > 0) {
+            $shares = [];
+            foreach ($mix as $difficulty => $share) {
+                if ((int) $share > 0) {
+                    $shares[] = round((int) $share * 100 / $total) . "% {$difficulty}";
+                }
+            }
+            $sections[] = 'Aim for this difficulty mix: about ' . implode(', ', $shares) . '.';
+        }
+
+        return empty($sections) ? '' : implode("\n\n", $sections) . "\n\n";
+    }
+
+    /**
+     * Copy the Bloom's level and difficulty the AI gave a question
+     *
+     * Values outside the known levels are dropped rather than guessed.
+     *
+     * @since  1.0.0
+     * @param  array<string, mixed> $question Parsed question
+     * @param  array<string, mixed> $raw      Question as the AI returned it
+     * @return array<string, mixed> Question with 'bloom_level' and 'difficulty' when valid
+     */
+    private function withLevels(array $question, array $raw): array
+    {
+        $level = strtolower(trim((string) ($raw['bloom_level'] ?? '')));
+        if (isset(self::BLOOM_LEVELS[$level])) {
+            $question['bloom_level'] = $level;
+        }
+
+        $difficulty = strtolower(trim((string) ($raw['difficulty'] ?? '')));
+        if (in_array($difficulty, self::DIFFICULTY_LEVELS, true)) {
+            $question['difficulty'] = $difficulty;
+        }
+
+        return $question;
+    }
+
     /**
      * Validate content suitability for specific question types with pattern analysis
      *
@@ -432,11 +777,12 @@ Content to create questions from:
      * Build prompt for true/false question generation
      *
      * @since  1.0.0
-     * @param  string  $content Content to base questions on
-     * @param  integer $count   Number of questions to generate
+     * @param  string  $content      Content to base questions on
+     * @param  integer $count        Number of questions to generate
+     * @param  string  $instructions Extra instructions from buildPromptInstructions()
      * @return string Generated prompt
      */
-    private function buildTrueFalsePrompt(string $content, int $count): string
+    private function buildTrueFalsePrompt(string $content, int $count, string $instructions = ''): string
     {
         return "Generate {$count} true/false questions based on the following content. 
         
@@ -444,6 +790,7 @@ For each question, provide:
 1. A clear statement that is definitively true or false based on the content
 2. The correct answer (true or false)
 3. Brief explanation referencing the content
+4. The Bloom's level (remember, understand, apply or analyze) and difficulty (easy, medium or hard) of the statement
 
 IMPORTANT: 
 - Make statements clear and unambiguous
@@ -456,11 +803,13 @@ Format the output as a valid JSON array with this exact structure:
     {
         \"statement\": \"Clear statement that is true or false\",
         \"correct_answer\": true,
-        \"explanation\": \"This is true/false because [reference to content]\"
+        \"explanation\": \"This is true/false because [reference to content]\",
+        \"bloom_level\": \"remember\",
+        \"difficulty\": \"easy\"
     }
 ]
 
-Content to create questions from:
+{$instructions}Content to create questions from:
 {$content}";
     }
 
@@ -468,11 +817,12 @@ Content to create questions from:
      * Build prompt for text answer question generation
      *
      * @since  1.0.0
-     * @param  string  $content Content to base questions on
-     * @param  integer $count   Number of questions to generate
+     * @param  string  $content      Content to base questions on
+     * @param  integer $count        Number of questions to generate
+     * @param  string  $instructions Extra instructions from buildPromptInstructions()
      * @return string Generated prompt
      */
-    private function buildTextAnswerPrompt(string $content, int $count): string
+    private function buildTextAnswerPrompt(string $content, int $count, string $instructions = ''): string
     {
         return "Generate {$count} short answer questions based on the following content. 
         
@@ -481,6 +831,7 @@ For each question, provide:
 2. The primary correct answer
 3. Alternative acceptable answers (if any)
 4. Brief explanation
+5. The Bloom's level (remember, understand, apply or analyze) and difficulty (easy, medium or hard) of the question
 
 IMPORTANT: 
 - Questions should have concrete, factual answers
@@ -494,11 +845,13 @@ Format the output as a valid JSON array with this exact structure:
         \"question\": \"Question requiring a short, specific answer\",
         \"correct_answer\": \"Primary answer\",
         \"alternative_answers\": [\"Alternative 1\", \"Alternative 2\"],
-        \"explanation\": \"The answer is X because...\"
+        \"explanation\": \"The answer is X because...\",
+        \"bloom_level\": \"remember\",
+        \"difficulty\": \"medium\"
     }
 ]
 
-Content to create questions from:
+{$instructions}Content to create questions from:
 {$content}";
     }
 
@@ -506,11 +859,12 @@ Content to create questions from:
      * Build prompt for multiple select question generation
      *
      * @since  1.0.0
-     * @param  string  $content Content to base questions on
-     * @param  integer $count   Number of questions to generate
+     * @param  string  $content      Content to base questions on
+     * @param  integer $count        Number of questions to generate
+     * @param  string  $instructions Extra instructions from buildPromptInstructions()
      * @return string Generated prompt
      */
-    private function buildMultipleSelectPrompt(string $content, int $count): string
+    private function buildMultipleSelectPrompt(string $content, int $count, string $instructions = ''): string
     {
         return "Generate {$count} multiple select questions based on the following content. 
         
@@ -519,6 +873,7 @@ For each question, provide:
 2. 4-6 answer options
 3. 2-4 correct answers from those options
 4. Brief explanation of why each correct answer is right
+5. The Bloom's level (remember, understand, apply or analyze) and difficulty (easy, medium or hard) of the question
 
 IMPORTANT: 
 - Questions should naturally have multiple correct answers
@@ -538,11 +893,13 @@ Format the output as a valid JSON array with this exact structure:
             \"E\": \"Fifth option\"
         },
         \"correct_answers\": [\"A\", \"C\", \"E\"],
-        \"explanation\": \"Options A, C, and E are correct because...\"
+        \"explanation\": \"Options A, C, and E are correct because...\",
+        \"bloom_level\": \"analyze\",
+        \"difficulty\": \"hard\"
     }
 ]
 
-Content to create questions from:
+{$instructions}Content to create questions from:
 {$content}";
     }
 
@@ -562,12 +919,12 @@ Content to create questions from:
         }
 
         return array_map(function ($q) {
-            return [
+            return $this->withLevels([
                 'type'           => 'true_false',
                 'statement'      => $q['statement'] ?? '',
                 'correct_answer' => $q['correct_answer'] ?? false,
                 'explanation'    => $q['explanation'] ?? '',
-            ];
+            ], $q);
         }, $questions);
     }
 
@@ -587,13 +944,13 @@ Content to create questions from:
         }
 
         return array_map(function ($q) {
-            return [
+            return $this->withLevels([
                 'type'                => 'text_answer',
                 'question'            => $q['question'] ?? '',
                 'correct_answer'      => $q['correct_answer'] ?? '',
                 'alternative_answers' => $q['alternative_answers'] ?? [],
                 'explanation'         => $q['explanation'] ?? '',
-            ];
+            ], $q);
         }, $questions);
     }
 
@@ -613,13 +970,13 @@ Content to create questions from:
         }
 
         return array_map(function ($q) {
-            return [
+            return $this->withLevels([
                 'type'            => 'multiple_select',
                 'question'        => $q['question'] ?? '',
                 'options'         => $q['options'] ?? [],
                 'correct_answers' => $q['correct_answers'] ?? [],
                 'explanation'     => $q['explanation'] ?? '',
-            ];
+            ], $q);
         }, $questions);
     }
 
@@ -0,0 +1,566 @@
+<?php
+
+namespace MemberPressCoursesCopilot\Services;
+
+/**
+ * Quiz Quality Service
+ *
+ * Reviews generated quiz questions before they are inserted and flags what a
+ * careful instructor would catch: repeated questions, options that give the
+ * answer away, correct answers piling up in one position, questions the lesson
+ * does not cover and wording that reads above the lesson.
+ *
+ * @package MemberPressCoursesCopilot\Services
+ * @since   1.0.0
+ */
+class MpccQuizQualityService extends BaseService
+{
+    /**
+     * Keyword overlap at which two questions count as near-duplicates
+     */
+    private const DUPLICATE_THRESHOLD = 0.8;
+
+    /**
+     * Share of a question's key terms that should appear in the lesson
+     */
+    private const GROUNDING_THRESHOLD = 0.5;
+
+    /**
+     * Grade level above which a question is flagged whatever the lesson level
+     */
+    private const MAX_READING_GRADE = 12.0;
+
+    /**
+     * How much longer than the average distractor a correct option may be
+     */
+    private const LENGTH_GIVEAWAY_RATIO = 1.3;
+
+    /**
+     * Score deducted per issue severity
+     */
+    private const SEVERITY_PENALTIES = [
+        'high'   => 15,
+        'medium' => 8,
+        'low'    => 4,
+    ];
+
+    /**
+     * Words ignored when comparing questions with each other or with the lesson
+     */
+    private const STOP_WORDS = [
+        'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'her', 'was', 'one', 'our',
+        'out', 'has', 'his', 'how', 'its', 'may', 'who', 'did', 'yes', 'use', 'that', 'with', 'have',
+        'this', 'will', 'your', 'from', 'they', 'been', 'were', 'what', 'when', 'which', 'their', 'there',
+        'would', 'about', 'into', 'than', 'then', 'them', 'these', 'those', 'does', 'each', 'following',
+        'true', 'false', 'select', 'apply', 'correct', 'answer', 'statement', 'best', 'describes', 'used',
+    ];
+
+    /**
+     * Initialize the service
+     *
+     * @since  1.0.0
+     * @return void
+     */
+    public function init(): void
+    {
+        // Nothing to hook; the quiz AJAX controller calls analyze() directly.
+    }
+
+    /**
+     * Analyze a set of generated questions
+     *
+     * Issues carry the zero-based index of the question they concern, or null
+     * for quiz-wide findings, plus the fix the editor can offer ('regenerate'
+     * with a hint for the AI, 'shuffle' to rebalance answer positions).
+     *
+     * @since  1.0.0
+     * @param  array<int, array<string, mixed>> $questions     Questions in the shape the quiz AI returns
+     * @param  string                           $lessonContent Lesson text the questions were generated from
+     * @return array<string, mixed> Report with 'score', 'issues' and 'summary'
+     */
+    public function analyze(array $questions, string $lessonContent = ''): array
+    {
+        $questions     = array_values(array_filter($questions, 'is_array'));
+        $lessonContent = trim(wp_strip_all_tags($lessonContent));
+        $reading       = $this->assessReadingLevel($questions, $lessonContent);
+
+        $issues = array_merge(
+            $this->findDuplicates($questions),
+            $this->findGiveaways($questions),
+            $this->findPositionBias($questions),
+            $this->findUngroundedQuestions($questions, $lessonContent),
+            $reading['issues']
+        );
+
+        $penalty = 0;
+        $flagged = [];
+        foreach ($issues as $issue) {
+            $penalty += self::SEVERITY_PENALTIES[$issue['severity']] ?? 0;
+            if ($issue['question'] !== null) {
+                $flagged[$issue['question']] = true;
+            }
+        }
+
+        $this->logger->debug('Quiz quality analyzed', [
+            'questions' => count($questions),
+            'issues'    => count($issues),
+        ]);
+
+        return [
+            'score'   => max(0, 100 - $penalty),
+            'issues'  => $issues,
+            'summary' => [
+                'totalQuestions'   => count($questions),
+                'flaggedQuestions' => count($flagged),
+                'readingGrade'     => $reading['grade'],
+                'lessonGrade'      => $reading['lessonGrade'],
+                'groundingChecked' => $lessonContent !== '',
+            ],
+        ];
+    }
+
+    /**
+     * Flag questions that repeat or closely paraphrase an earlier one
+     *
+     * @since  1.0.0
+     * @param  array<int, array<string, mixed>> $questions Questions to check
+     * @return array<int, array<string, mixed>> Issues found
+     */
+    private function findDuplicates(array $questions): array
+    {
+        $issues   = [];
+        $keywords = array_map(function ($question) {
+            return array_values(array_unique($this->keywords($this->questionText($question))));
+        }, $questions);
+
+        foreach ($keywords as $later => $laterWords) {
+            for ($earlier = 0; $earlier < $later; $earlier++) {
+                $similarity = $this->similarity($keywords[$earlier], $laterWords);
+                if ($similarity < self::DUPLICATE_THRESHOLD) {
+                    continue;
+                }
+
+                $exact    = $similarity >= 1.0;
+                $issues[] = $this->issue(
+                    $later,
+                    'duplicate',
+                    $exact ? 'high' : 'medium',
+                    sprintf($exact ? 'Repeats question %d' : 'Very similar to question %d', $earlier + 1),
+                    'Ask about a different concept than the other questions in this quiz'
+                );
+                break;
+            }
+        }
+
+        return $issues;
+    }
+
+    /**
+     * Flag options that let students find the answer without knowing it
+     *
+     * @since  1.0.0
+     * @param  array<int, array<string, mixed>> $questions Questions to check
+     * @return array<int, array<string, mixed>> Issues found
+     */
+    private function findGiveaways(array $questions): array
+    {
+        $issues          = [];
+        $longestCorrect  = 0;
+        $choiceQuestions = 0;
+
+        foreach ($questions as $index => $question) {
+            $type    = $question['type'] ?? 'multiple_choice';
+            $options = $this->options($question);
+            if (!in_array($type, ['multiple_choice', 'multiple_select'], true) || count($options) < 2) {
+                continue;
+            }
+
+            foreach ($options as $text) {
+                if (preg_match('/\b(all|none) of the (above|options)\b|\bboth [a-e] and [a-e]\b/i', $text)) {
+                    $issues[] = $this->issue(
+                        $index,
+                        'giveaway',
+                        'medium',
+                        'Uses a catch-all option such as "all of the above"',
+                        'Replace catch-all options such as "all of the above" with specific answers'
+                    );
+                    break;
+                }
+            }
+
+            $correct = $question['correct_answer'] ?? null;
+            if ($type !== 'multiple_choice' || count($options) < 3 || !isset($options[$correct])) {
+                continue;
+            }
+
+            $choiceQuestions++;
+            $correctLength = mb_strlen($options[$correct]);
+            $others        = array_map('mb_strlen', array_diff_key($options, [$correct => true]));
+
+            if ($correctLength > max($others)) {
+                $longestCorrect++;
+
+                if ($correctLength >= self::LENGTH_GIVEAWAY_RATIO * (array_sum($others) / count($others))) {
+                    $issues[] = $this->issue(
+                        $index,
+                        'giveaway',
+                        'low',
+                        'The correct option is noticeably longer than the others',
+                        'Make all options similar in length and level of detail'
+                    );
+                }
+            }
+        }
+
+        if ($choiceQuestions >= 3 && $longestCorrect === $choiceQuestions) {
+            $issues[] = $this->issue(
+                null,
+                'giveaway',
+                'medium',
+                'The correct option is the longest one in every multiple-choice question'
+            );
+        }
+
+        return $issues;
+    }
+
+    /**
+     * Flag correct answers that cluster in one option position or one truth value
+     *
+     * @since  1.0.0
+     * @param  array<int, array<string, mixed>> $questions Questions to check
+     * @return array<int, array<string, mixed>> Issues found
+     */
+    private function findPositionBias(array $questions): array
+    {
+        $issues    = [];
+        $positions = [];
+        $truths    = [];
+
+        foreach ($questions as $question) {
+            $type = $question['type'] ?? 'multiple_choice';
+
+            if ($type === 'true_false' && isset($question['correct_answer'])) {
+                $truths[] = filter_var($question['correct_answer'], FILTER_VALIDATE_BOOLEAN) ? 'True' : 'False';
+            } elseif ($type === 'multiple_choice') {
+                $position = array_search($question['correct_answer'] ?? null, array_keys($this->options($question)), true);
+                if ($position !== false) {
+                    $positions[] = $position;
+                }
+            }
+        }
+
+        if (count($positions) >= 4) {
+            $counts   = array_count_values($positions);
+            $top      = max($counts);
+            $position = array_search($top, $counts, true);
+
+            if ($top / count($positions) > 0.5) {
+                $issues[] = $this->issue(
+                    null,
+                    'position_bias',
+                    'medium',
+                    sprintf(
+                        '%d of %d multiple-choice answers are option %s',
+                        $top,
+                        count($positions),
+                        chr(65 + $position)
+                    ),
+                    '',
+                    'shuffle'
+                );
+            }
+        }
+
+        if (count($truths) >= 4) {
+            $counts = array_count_values($truths);
+            arsort($counts);
+            $value = array_key_first($counts);
+
+            if ($counts[$value] / count($truths) >= 0.8) {
+                $issues[] = $this->issue(
+                    null,
+                    'position_bias',
+                    'low',
+                    sprintf('%d of %d true/false answers are %s', $counts[$value], count($truths), $value)
+                );
+            }
+        }
+
+        return $issues;
+    }
+
+    /**
+     * Flag questions whose key terms mostly do not appear in the lesson
+     *
+     * @since  1.0.0
+     * @param  array<int, array<string, mixed>> $questions     Questions to check
+     * @param  string                           $lessonContent Plain lesson text
+     * @return array<int, array<string, mixed>> Issues found
+     */
+    private function findUngroundedQuestions(array $questions, string $lessonContent): array
+    {
+        if ($lessonContent === '') {
+            return [];
+        }
+
+        $issues = [];
+        $lesson = array_flip($this->keywords($lessonContent));
+
+        foreach ($questions as $index => $question) {
+            $terms = array_unique($this->keywords($this->questionText($question) . ' ' . $this->answerText($question)));
+            if (count($terms) < 3) {
+                continue;
+            }
+
+            $found = count(array_filter($terms, function ($term) use ($lesson) {
+                return isset($lesson[$term]);
+            }));
+            $ratio = $found / count($terms);
+
+            if ($ratio < self::GROUNDING_THRESHOLD) {
+                $issues[] = $this->issue(
+                    $index,
+                    'ungrounded',
+                    'medium',
+                    sprintf('Only %d%% of its key terms appear in the lesson', (int) round($ratio * 100)),
+                    'Base the question strictly on facts stated in the lesson'
+                );
+            }
+        }
+
+        return $issues;
+    }
+
+    /**
+     * Estimate reading levels and flag wording that reads above the lesson
+     *
+     * @since  1.0.0
+     * @param  array<int, array<string, mixed>> $questions     Questions to check
+     * @param  string                           $lessonContent Plain lesson text
+     * @return array<string, mixed> 'grade', 'lessonGrade' and 'issues'
+     */
+    private function assessReadingLevel(array $questions, string $lessonContent): array
+    {
+        $issues      = [];
+        $lessonGrade = $lessonContent !== '' ? $this->gradeLevel($lessonContent) : null;
+        $limit       = max(self::MAX_READING_GRADE, ($lessonGrade ?? 0) + 2);
+        $sentences   = [];
+
+        foreach ($questions as $index => $question) {
+            $text = trim($this->questionText($question));
+            if ($text === '') {
+                continue;
+            }
+
+            $sentences[] = preg_match('/[.!?]$/', $text) ? $text : $text . '.';
+            $grade       = $this->gradeLevel($text);
+
+            if ($grade > $limit && str_word_count($text) >= 8) {
+                $issues[] = $this->issue(
+                    $index,
+                    'reading_level',
+                    'low',
+                    sprintf('Reads at about grade %d', (int) round($grade)),
+                    'Use simpler, shorter wording'
+                );
+            }
+        }
+
+        $grade = empty($sentences) ? null : $this->gradeLevel(implode(' ', $sentences));
+
+        if ($grade !== null && $lessonGrade !== null && $grade > $lessonGrade + 2) {
+            $issues[] = $this->issue(
+                null,
+                'reading_level',
+                'medium',
+                sprintf('Questions read at grade %.1f, above the lesson at grade %.1f', $grade, $lessonGrade)
+            );
+        }
+
+        return [
+            'grade'       => $grade === null ? null : round($grade, 1),
+            'lessonGrade' => $lessonGrade === null ? null : round($lessonGrade, 1),
+            'issues'      => $issues,
+        ];
+    }
+
+    /**
+     * Flesch-Kincaid grade level of a text
+     *
+     * @since  1.0.0
+     * @param  string $text Text to measure
+     * @return float Grade level, never below zero
+     */
+    private function gradeLevel(string $text): float
+    {
+        $words = preg_split('/\s+/', trim(preg_replace('/[^\p{L}\p{N}\s\'-]+/u', ' ', $text)), -1, PREG_SPLIT_NO_EMPTY);
+        if (empty($words)) {
+            return 0.0;
+        }
+
+        $sentences = max(1, preg_match_all('/[^.!?]+[.!?]+/', $text));
+        $syllables = array_sum(array_map([$this, 'countSyllables'], $words));
+
+        $grade = 0.39 * (count($words) / $sentences) + 11.8 * ($syllables / count($words)) - 15.59;
+
+        return max(0.0, $grade);
+    }
+
+    /**
+     * Rough English syllable count of a word
+     *
+     * @since  1.0.0
+     * @param  string $word Word to count
+     * @return integer Syllables, at least one
+     */
+    private function countSyllables(string $word): int
+    {
+        $word = strtolower(preg_replace('/[^a-z]/i', '', $word));
+        if (strlen($word) <= 3) {
+            return 1;
+        }
+
+        $word = preg_replace('/(?:[^laeiouy]es|ed|[^laeiouy]e)$/', '', $word);
+        $word = preg_replace('/^y/', '', $word);
+
+        return max(1, preg_match_all('/[aeiouy]{1,2}/', $word));
+    }
+
+    /**
+     * Lowercased, lightly stemmed content words of a text
+     *
+     * @since  1.0.0
+     * @param  string $text Text to split
+     * @return array<int, string> Keywords in order of appearance
+     */
+    private function keywords(string $text): array
+    {
+        $words    = preg_split('/[^\p{L}\p{N}]+/u', mb_strtolower($text), -1, PREG_SPLIT_NO_EMPTY);
+        $keywords = [];
+
+        foreach ($words as $word) {
+            if (mb_strlen($word) < 3 || in_array($word, self::STOP_WORDS, true)) {
+                continue;
+            }
+
+            if (mb_strlen($word) > 5 && preg_match('/(ing|ed)$/', $word)) {
+                $word = preg_replace('/(ing|ed)$/', '', $word);
+            } elseif (mb_strlen($word) > 4 && preg_match('/ies$/', $word)) {
+                $word = preg_replace('/ies$/', 'y', $word);
+            } elseif (mb_strlen($word) > 3 && preg_match('/[^s]s$/', $word)) {
+                $word = substr($word, 0, -1);
+            }
+
+            $keywords[] = $word;
+        }
+
+        return $keywords;
+    }
+
+    /**
+     * Overlap of two keyword lists (Jaccard index)
+     *
+     * @since  1.0.0
+     * @param  array<int, string> $first  First keyword list
+     * @param  array<int, string> $second Second keyword list
+     * @return float Similarity from 0 to 1
+     */
+    private function similarity(array $first, array $second): float
+    {
+        if (empty($first) || empty($second)) {
+            return 0.0;
+        }
+
+        $union = count(array_unique(array_merge($first, $second)));
+
+        return count(array_intersect($first, $second)) / $union;
+    }
+
+    /**
+     * Question or statement text of a question
+     *
+     * @since  1.0.0
+     * @param  array<string, mixed> $question Question data
+     * @return string Question text
+     */
+    private function questionText(array $question): string
+    {
+        return (string) ($question['question'] ?? $question['statement'] ?? '');
+    }
+
+    /**
+     * Text of the correct answer(s) of a question
+     *
+     * @since  1.0.0
+     * @param  array<string, mixed> $question Question data
+     * @return string Answer text, empty for true/false questions
+     */
+    private function answerText(array $question): string
+    {
+        $type    = $question['type'] ?? 'multiple_choice';
+        $options = $this->options($question);
+
+        switch ($type) {
+            case 'true_false':
+                return '';
+            case 'text_answer':
+                return (string) ($question['correct_answer'] ?? $question['expected_answer'] ?? '');
+            case 'multiple_select':
+                $keys = array_flip((array) ($question['correct_answers'] ?? []));
+                return implode(' ', array_intersect_key($options, $keys));
+            default:
+                return $options[$question['correct_answer'] ?? ''] ?? '';
+        }
+    }
+
+    /**
+     * Answer options of a question keyed by option letter
+     *
+     * @since  1.0.0
+     * @param  array<string, mixed> $question Question data
+     * @return array<string, string> Options
+     */
+    private function options(array $question): array
+    {
+        if (empty($question['options']) || !is_array($question['options'])) {
+            return [];
+        }
+
+        return array_map('strval', array_filter($question['options'], 'is_scalar'));
+    }
+
+    /**
+     * Build an issue entry
+     *
+     * @since  1.0.0
+     * @param  integer|null $question Zero-based question index, null for quiz-wide issues
+     * @param  string       $type     Issue type
+     * @param  string       $severity 'high', 'medium' or 'low'
+     * @param  string       $message  What is wrong
+     * @param  string       $hint     Instruction for regenerating the question, if it can be fixed that way
+     * @param  string|null  $fix      Fix to offer instead of regenerating
+     * @return array<string, mixed> Issue
+     */
+    private function issue(
+        ?int $question,
+        string $type,
+        string $severity,
+        string $message,
+        string $hint = '',
+        ?string $fix = null
+    ): array {
+        if ($fix === null && $question !== null && $hint !== '') {
+            $fix = 'regenerate';
+        }
+
+        return [
+            'question' => $question,
+            'type'     => $type,
+            'severity' => $severity,
+            'message'  => $message,
+            'hint'     => $hint,
+            'fix'      => $fix,
+        ];
+    }
+}
@@ -0,0 +1,357 @@
+<?php
+
+namespace MemberPressCoursesCopilot\Services;
+
+use MemberPressCoursesCopilot\Database\QuestionBankTable;
+
+/**
+ * Question Bank Service
+ *
+ * Stores generated quiz questions so they can be found again and reused in
+ * other quizzes. Questions are kept in the same shape the quiz AI returns, so
+ * the quiz modal inserts bank questions exactly as it inserts fresh ones.
+ *
+ * @package MemberPressCoursesCopilot\Services
+ * @since   1.0.0
+ */
+class QuestionBankService extends BaseService
+{
+    /**
+     * Question types the bank accepts
+     */
+    public const QUESTION_TYPES = ['multiple_choice', 'true_false', 'text_answer', 'multiple_select'];
+
+    /**
+     * Difficulty tags the bank accepts
+     */
+    public const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+    /**
+     * Most results returned by one search
+     */
+    private const MAX_PAGE_SIZE = 50;
+
+    /**
+     * Question bank table
+     *
+     * @var QuestionBankTable
+     */
+    private QuestionBankTable $table;
+
+    /**
+     * Constructor
+     */
+    public function __construct()
+    {
+        parent::__construct();
+        $this->table = new QuestionBankTable();
+    }
+
+    /**
+     * Initialize the service
+     *
+     * @since  1.0.0
+     * @return void
+     */
+    public function init(): void
+    {
+        // Nothing to hook; the quiz AJAX controller calls the service directly.
+    }
+
+    /**
+     * Save a question to the bank
+     *
+     * A question whose text, options and answers are already in the bank is
+     * not stored twice; the existing entry is returned and flagged as a
+     * duplicate, and nothing is written.
+     *
+     * @since  1.0.0
+     * @param  array<string, mixed> $question Question in the shape the quiz AI returns
+     * @param  array<string, mixed> $tags     Optional 'lesson_id', 'course_id' and 'difficulty'
+     * @param  integer              $userId   User saving the question
+     * @return array{id: int, duplicate: bool} Bank ID of the question, and whether it was already there
+     * @throws \InvalidArgumentException If the question is incomplete
+     * @throws \RuntimeException If the question could not be stored
+     */
+    public function saveQuestion(array $question, array $tags = [], int $userId = 0): array
+    {
+        global $wpdb;
+
+        $question = $this->normalizeQuestion($question);
+        $text     = $this->getQuestionText($question);
+        $hash     = $this->getContentHash($question);
+
+        $tableName = $this->table->getTableName();
+        $existing  = $wpdb->get_var(
+            $wpdb->prepare("SELECT id FROM {$tableName} WHERE content_hash = %s", $hash)
+        );
+
+        if ($existing) {
+            return ['id' => (int) $existing, 'duplicate' => true];
+        }
+
+        $difficulty = isset($tags['difficulty']) && in_array($tags['difficulty'], self::DIFFICULTIES, true)
+            ? $tags['difficulty']
+            : null;
+
+        $result = $wpdb->insert(
+            $tableName,
+            [
+                'content_hash'  => $hash,
+                'question_type' => $question['type'],
+                'question_text' => $text,
+                'question_data' => wp_json_encode($question),
+                'lesson_id'     => !empty($tags['lesson_id']) ? (int) $tags['lesson_id'] : null,
+                'course_id'     => !empty($tags['course_id']) ? (int) $tags['course_id'] : null,
+                'difficulty'    => $difficulty,
+                'created_by'    => $userId,
+            ],
+            ['%s', '%s', '%s', '%s', '%d', '%d', '%s', '%d']
+        );
+
+        if ($result === false) {
+            $this->logger->error('Failed to save question to bank', [
+                'type'  => $question['type'],
+                'error' => $wpdb->last_error,
+            ]);
+            throw new \RuntimeException('The question could not be saved to the bank.');
+        }
+
+        return ['id' => (int) $wpdb->insert_id, 'duplicate' => false];
+    }
+
+    /**
+     * Search the bank
+     *
+     * @since  1.0.0
+     * @param  array<string, mixed> $filters Optional 'search', 'type', 'difficulty', 'lesson_id' and 'course_id'
+     * @param  integer              $limit   Results per page
+     * @param  integer              $offset  Results to skip
+     * @return array<string, mixed> 'questions' and the 'total' number of matches
+     */
+    public function searchQuestions(array $filters = [], int $limit = 20, int $offset = 0): array
+    {
+        global $wpdb;
+
+        $where  = ['1=1'];
+        $params = [];
+
+        if (!empty($filters['search'])) {
+            $where[]  = 'question_text LIKE %s';
+            $params[] = '%' . $wpdb->esc_like($filters['search']) . '%';
+        }
+
+        if (!empty($filters['type']) && in_array($filters['type'], self::QUESTION_TYPES, true)) {
+            $where[]  = 'question_type = %s';
+            $params[] = $filters['type'];
+        }
+
+        if (!empty($filters['difficulty']) && in_array($filters['difficulty'], self::DIFFICULTIES, true)) {
+            $where[]  = 'difficulty = %s';
+            $params[] = $filters['difficulty'];
+        }
+
+        foreach (['lesson_id', 'course_id'] as $column) {
+            if (!empty($filters[$column])) {
+                $where[]  = "{$column} = %d";
+                $params[] = (int) $filters[$column];
+            }
+        }
+
+        $tableName   = $this->table->getTableName();
+        $whereClause = implode(' AND ', $where);
+        $limit       = max(1, min(self::MAX_PAGE_SIZE, $limit));
+        $offset      = max(0, $offset);
+
+        $countSql = "SELECT COUNT(*) FROM {$tableName} WHERE {$whereClause}";
+        $total    = (int) $wpdb->get_var($params ? $wpdb->prepare($countSql, ...$params) : $countSql);
+
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM {$tableName} WHERE {$whereClause} ORDER BY created_at DESC, id DESC LIMIT %d OFFSET %d",
+                ...array_merge($params, [$limit, $offset])
+            ),
+            ARRAY_A
+        );
+
+        return [
+            'questions' => array_map([$this, 'formatRow'], $rows ?: []),
+            'total'     => $total,
+        ];
+    }
+
+    /**
+     * Get a single bank question
+     *
+     * @since  1.0.0
+     * @param  integer $id Bank ID
+     * @return array<string, mixed>|null Bank entry, or null if it does not exist
+     */
+    public function getQuestion(int $id): ?array
+    {
+        global $wpdb;
+
+        $tableName = $this->table->getTableName();
+        $row       = $wpdb->get_row(
+            $wpdb->prepare("SELECT * FROM {$tableName} WHERE id = %d", $id),
+            ARRAY_A
+        );
+
+        return $row ? $this->formatRow($row) : null;
+    }
+
+    /**
+     * Delete a question from the bank
+     *
+     * @since  1.0.0
+     * @param  integer $id Bank ID
+     * @return boolean True if a question was deleted
+     */
+    public function deleteQuestion(int $id): bool
+    {
+        global $wpdb;
+
+        return (bool) $wpdb->delete($this->table->getTableName(), ['id' => $id], ['%d']);
+    }
+
+    /**
+     * Reduce a question to the fields its type uses
+     *
+     * Multiple choice answers given as option text are converted to the option
+     * key, and true/false answers to booleans, so every stored question has
+     * the shape prepareQuestionData expects. A known Bloom's level is kept.
+     *
+     * @since  1.0.0
+     * @param  array<string, mixed> $question Question to normalize
+     * @return array<string, mixed> Normalized question
+     * @throws \InvalidArgumentException If the question is incomplete
+     */
+    public function normalizeQuestion(array $question): array
+    {
+        $type = $question['type'] ?? 'multiple_choice';
+        if (!in_array($type, self::QUESTION_TYPES, true)) {
+            throw new \InvalidArgumentException(sprintf('Unsupported question type: %s', $type));
+        }
+
+        $normalized = ['type' => $type];
+
+        if ($type === 'true_false') {
+            $normalized['statement'] = trim((string) ($question['statement'] ?? $question['question'] ?? ''));
+            $answer                  = filter_var($question['correct_answer'] ?? null, FILTER_VALIDATE_BOOLEAN, FILTER_NULL_ON_FAILURE);
+            if ($answer === null) {
+                throw new \InvalidArgumentException('True/false questions need a true or false answer.');
+            }
+            $normalized['correct_answer'] = $answer;
+        } elseif ($type === 'text_answer') {
+            $normalized['question']       = trim((string) ($question['question'] ?? ''));
+            $normalized['correct_answer'] = trim((string) ($question['correct_answer'] ?? $question['expected_answer'] ?? ''));
+            if ($normalized['correct_answer'] === '') {
+                throw new \InvalidArgumentException('Text answer questions need an expected answer.');
+            }
+            $normalized['alternative_answers'] = array_values(array_filter(
+                array_map('trim', array_map('strval', (array) ($question['alternative_answers'] ?? [])))
+            ));
+        } else {
+            $normalized['question'] = trim((string) ($question['question'] ?? ''));
+            $options                = array_filter(array_map('trim', array_map('strval', (array) ($question['options'] ?? []))), 'strlen');
+            if (count($options) < 2) {
+                throw new \InvalidArgumentException('Choice questions need at least two options.');
+            }
+            $normalized['options'] = $options;
+
+            $toKey = function ($answer) use ($options) {
+                $answer = (string) $answer;
+                if (array_key_exists($answer, $options)) {
+                    return (string) $answer;
+                }
+                $key = array_search($answer, $options, true);
+                return $key === false ? null : (string) $key;
+            };
+
+            if ($type === 'multiple_select') {
+                $correct = array_values(array_unique(array_filter(array_map($toKey, (array) ($question['correct_answers'] ?? [])))));
+                if (!$correct) {
+                    throw new \InvalidArgumentException('Multiple select questions need at least one correct option.');
+                }
+                $normalized['correct_answers'] = $correct;
+            } else {
+                $correct = $toKey($question['correct_answer'] ?? '');
+                if ($correct === null) {
+                    throw new \InvalidArgumentException('The correct answer must be one of the options.');
+                }
+                $normalized['correct_answer'] = $correct;
+            }
+        }
+
+        if ($this->getQuestionText($normalized) === '') {
+            throw new \InvalidArgumentException('The question text is empty.');
+        }
+
+        if (!empty($question['explanation'])) {
+            $normalized['explanation'] = trim((string) $question['explanation']);
+        }
+
+        $level = (string) ($question['bloom_level'] ?? '');
+        if (isset(MpccQuizAIService::BLOOM_LEVELS[$level])) {
+            $normalized['bloom_level'] = $level;
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Get the searchable text of a question
+     *
+     * @param  array<string, mixed> $question Normalized question
+     * @return string Question or statement text
+     */
+    private function getQuestionText(array $question): string
+    {
+        return $question['type'] === 'true_false' ? $question['statement'] : $question['question'];
+    }
+
+    /**
+     * Get the key that identifies a question in the bank
+     *
+     * Covers the type, text, options and answers, so questions that share a
+     * stem but differ in their choices are kept apart. Explanations and tags
+     * do not count.
+     *
+     * @param  array<string, mixed> $question Normalized question
+     * @return string MD5 hash
+     */
+    private function getContentHash(array $question): string
+    {
+        $content = [
+            'type' => $question['type'],
+            'text' => strtolower($this->getQuestionText($question)),
+        ];
+        foreach (['options', 'correct_answer', 'correct_answers', 'alternative_answers'] as $field) {
+            if (isset($question[$field])) {
+                $content[$field] = $question[$field];
+            }
+        }
+
+        return md5(wp_json_encode($content));
+    }
+
+    /**
+     * Turn a table row into a bank entry
+     *
+     * @param  array<string, mixed> $row Table row
+     * @return array<string, mixed> Bank entry with the decoded question
+     */
+    private function formatRow(array $row): array
+    {
+        return [
+            'id'         => (int) $row['id'],
+            'type'       => $row['question_type'],
+            'question'   => json_decode($row['question_data'], true) ?: [],
+            'lesson_id'  => $row['lesson_id'] ? (int) $row['lesson_id'] : null,
+            'course_id'  => $row['course_id'] ? (int) $row['course_id'] : null,
+            'difficulty' => $row['difficulty'],
+            'created_by' => (int) $row['created_by'],
+            'created_at' => $row['created_at'],
+        ];
+    }
+}
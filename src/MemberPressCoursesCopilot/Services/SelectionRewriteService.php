@@ -0,0 +1,296 @@
+<?php
+
+namespace MemberPressCoursesCopilot\Services;
+
+use MemberPressCoursesCopilot\Interfaces\ILLMService;
+use MemberPressCoursesCopilot\Security\NonceConstants;
+
+/**
+ * Selection Rewrite Service
+ *
+ * Rewrites a passage the user highlighted in a lesson, such as simplifying
+ * it or turning it into a numbered list. Only the passage is sent back, so
+ * the lesson editor and the editor AI modal can replace just that range.
+ *
+ * @package MemberPressCoursesCopilot\Services
+ * @since   1.0.0
+ */
+class SelectionRewriteService extends BaseService
+{
+    /**
+     * Rewrite actions with the instruction given to the AI. Translate and
+     * tone take the language or tone as their placeholder.
+     */
+    public const ACTIONS = [
+        'simplify'      => 'Rewrite the passage in plain words and shorter sentences for a beginner. Keep every fact it states.',
+        'expand'        => 'Expand the passage with more explanation and detail. Keep its meaning and the order of its ideas.',
+        'example'       => 'Keep the passage as it is and add one short, concrete example that illustrates it.',
+        'numbered_list' => 'Turn the passage into a numbered list of steps or points, returned as a single <ol>.',
+        'translate'     => 'Translate the passage into %s. Keep its formatting.',
+        'tone'          => 'Rewrite the passage in a %s tone and fix awkward or inconsistent wording. Keep its meaning and formatting.',
+    ];
+
+    /**
+     * Tones the tone action accepts
+     */
+    public const TONES = ['friendly', 'professional', 'encouraging', 'neutral'];
+
+    /**
+     * Longest passage accepted, in characters
+     */
+    private const MAX_PASSAGE_LENGTH = 6000;
+
+    /**
+     * Characters of surrounding text given to the AI on each side
+     */
+    private const CONTEXT_LENGTH = 500;
+
+    /**
+     * Markup the rewritten passage may contain
+     */
+    private const ALLOWED_HTML = [
+        'p'          => [],
+        'br'         => [],
+        'strong'     => [],
+        'em'         => [],
+        'b'          => [],
+        'i'          => [],
+        'code'       => [],
+        'a'          => ['href' => true],
+        'ul'         => [],
+        'ol'         => [],
+        'li'         => [],
+        'h3'         => [],
+        'h4'         => [],
+        'blockquote' => [],
+    ];
+
+    /**
+     * LLM service, resolved on first use when not injected
+     *
+     * @var ILLMService|null
+     */
+    private ?ILLMService $llmService;
+
+    /**
+     * Constructor
+     *
+     * @param ILLMService|null $llmService LLM service for AI operations
+     */
+    public function __construct(?ILLMService $llmService = null)
+    {
+        parent::__construct();
+        $this->llmService = $llmService;
+    }
+
+    /**
+     * Initialize the service
+     *
+     * @since  1.0.0
+     * @return void
+     */
+    public function init(): void
+    {
+        add_action('wp_ajax_mpcc_rewrite_selection', [$this, 'handleRewriteSelection']);
+    }
+
+    /**
+     * Rewrite a passage
+     *
+     * @since  1.0.0
+     * @param  string                $action  One of the ACTIONS keys
+     * @param  string                $passage Selected HTML or text
+     * @param  array<string, string> $options 'language' for translate, 'tone' for tone
+     * @param  array<string, string> $context Optional 'lesson_title', 'course_title', 'before' and 'after'
+     * @return string Rewritten passage as HTML
+     * @throws \InvalidArgumentException If the action or passage is not usable
+     * @throws \RuntimeException If the AI request fails
+     */
+    public function rewrite(string $action, string $passage, array $options = [], array $context = []): string
+    {
+        $prompt = $this->buildPrompt($action, $passage, $options, $context);
+
+        $response = $this->getLLMService()->generateContent($prompt, 'lesson_content', [
+            'temperature' => 0.5,
+            'max_tokens'  => 2000,
+        ]);
+
+        if (!empty($response['error'])) {
+            $this->logger->error('Selection rewrite failed', [
+                'action' => $action,
+                'error'  => $response['message'] ?? 'Unknown error',
+            ]);
+            throw new \RuntimeException($response['message'] ?? 'The AI could not rewrite the selection.');
+        }
+
+        $result = $this->cleanResult((string) ($response['content'] ?? ''));
+        if ($result === '') {
+            throw new \RuntimeException('The AI returned an empty rewrite. Please try again.');
+        }
+
+        return $result;
+    }
+
+    /**
+     * Build the prompt for a rewrite
+     *
+     * @since  1.0.0
+     * @param  string                $action  One of the ACTIONS keys
+     * @param  string                $passage Selected HTML or text
+     * @param  array<string, string> $options 'language' for translate, 'tone' for tone
+     * @param  array<string, string> $context Optional 'lesson_title', 'course_title', 'before' and 'after'
+     * @return string Prompt
+     * @throws \InvalidArgumentException If the action or passage is not usable
+     */
+    public function buildPrompt(string $action, string $passage, array $options = [], array $context = []): string
+    {
+        if (!isset(self::ACTIONS[$action])) {
+            throw new \InvalidArgumentException(sprintf('Unknown rewrite action: %s', $action));
+        }
+
+        $passage = trim($passage);
+        if (trim(wp_strip_all_tags($passage)) === '') {
+            throw new \InvalidArgumentException('Select some text to rewrite.');
+        }
+        if (strlen($passage) > self::MAX_PASSAGE_LENGTH) {
+            throw new \InvalidArgumentException('The selection is too long. Select a shorter passage.');
+        }
+
+        $instruction = self::ACTIONS[$action];
+        if ($action === 'translate') {
+            $language = trim((string) ($options['language'] ?? ''));
+            if ($language === '') {
+                throw new \InvalidArgumentException('Choose a language to translate into.');
+            }
+            $instruction = sprintf($instruction, $language);
+        } elseif ($action === 'tone') {
+            $tone        = in_array($options['tone'] ?? '', self::TONES, true) ? $options['tone'] : self::TONES[0];
+            $instruction = sprintf($instruction, $tone);
+        }
+
+        $prompt = "You are editing one passage of a lesson in an online course.\n\n";
+
+        if (!empty($context['course_title'])) {
+            $prompt .= "Course: {$context['course_title']}\n";
+        }
+        if (!empty($context['lesson_title'])) {
+            $prompt .= "Lesson: {$context['lesson_title']}\n";
+        }
+
+        $before = $this->clip((string) ($context['before'] ?? ''), true);
+        $after  = $this->clip((string) ($context['after'] ?? ''), false);
+        if ($before !== '' || $after !== '') {
+            $prompt .= "\nThe passage sits in this text (for context only, do not rewrite it):\n";
+            $prompt .= "...{$before} [PASSAGE] {$after}...\n";
+        }
+
+        $prompt .= "\nPassage:\n{$passage}\n\n";
+        $prompt .= "Task: {$instruction}\n\n";
+        $prompt .= 'Return only the new passage between [REWRITE] and [/REWRITE] tags. ';
+        $prompt .= 'Use HTML limited to <p>, <ul>, <ol>, <li>, <strong>, <em>, <code>, <a> and <br>. ';
+        $prompt .= 'If the passage is part of a sentence or a single paragraph and the task does not need a list '
+                . 'or new paragraphs, return inline text without <p> tags so it reads on from the surrounding text.';
+
+        return $prompt;
+    }
+
+    /**
+     * Reduce an AI response to the rewritten passage
+     *
+     * @since  1.0.0
+     * @param  string $response Raw AI response
+     * @return string Sanitized HTML
+     */
+    public function cleanResult(string $response): string
+    {
+        if (preg_match('/\[REWRITE\]([\s\S]*?)\[\/REWRITE\]/', $response, $matches)) {
+            $response = $matches[1];
+        }
+
+        // Drop a markdown code fence wrapped around the passage
+        $response = preg_replace('/^\s*```[a-z]*\s*|\s*```\s*$/i', '', $response);
+
+        return trim(wp_kses($response, self::ALLOWED_HTML));
+    }
+
+    /**
+     * Handle the rewrite AJAX request from the lesson editor or the editor AI modal
+     *
+     * @return void
+     */
+    public function handleRewriteSelection(): void
+    {
+        $nonce = sanitize_text_field(wp_unslash($_POST['nonce'] ?? ''));
+        if (
+            !NonceConstants::verify($nonce, NonceConstants::AI_ASSISTANT, false) &&
+            !NonceConstants::verify($nonce, NonceConstants::EDITOR_NONCE, false) &&
+            !NonceConstants::verify($nonce, NonceConstants::COURSES_INTEGRATION, false)
+        ) {
+            wp_send_json_error('Security check failed');
+            return;
+        }
+
+        $postId = isset($_POST['post_id']) ? (int) $_POST['post_id'] : 0;
+        if (!current_user_can('edit_posts') || ($postId && !current_user_can('edit_post', $postId))) {
+            wp_send_json_error('Insufficient permissions');
+            return;
+        }
+
+        $action  = sanitize_key($_POST['rewrite_action'] ?? '');
+        $passage = wp_kses(wp_unslash($_POST['passage'] ?? ''), self::ALLOWED_HTML + ['h2' => [], 'span' => []]);
+        $options = [
+            'language' => sanitize_text_field(wp_unslash($_POST['language'] ?? '')),
+            'tone'     => sanitize_key($_POST['tone'] ?? ''),
+        ];
+        $context = [
+            'lesson_title' => sanitize_text_field(wp_unslash($_POST['lesson_title'] ?? '')),
+            'course_title' => sanitize_text_field(wp_unslash($_POST['course_title'] ?? '')),
+            'before'       => sanitize_textarea_field(wp_unslash($_POST['before'] ?? '')),
+            'after'        => sanitize_textarea_field(wp_unslash($_POST['after'] ?? '')),
+        ];
+
+        try {
+            wp_send_json_success([
+                'html' => $this->rewrite($action, $passage, $options, $context),
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error($e->getMessage());
+        } catch (\Exception $e) {
+            wp_send_json_error('Failed to rewrite the selection: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Keep the end of the text before the passage, or the start of the text after it
+     *
+     * @param  string  $text   Surrounding text
+     * @param  boolean $before Whether the text comes before the passage
+     * @return string Clipped text
+     */
+    private function clip(string $text, bool $before): string
+    {
+        $text = trim(preg_replace('/\s+/', ' ', $text));
+        if (mb_strlen($text) <= self::CONTEXT_LENGTH) {
+            return $text;
+        }
+
+        return $before
+            ? mb_substr($text, -self::CONTEXT_LENGTH)
+            : mb_substr($text, 0, self::CONTEXT_LENGTH);
+    }
+
+    /**
+     * Get the LLM service
+     *
+     * @return ILLMService
+     */
+    private function getLLMService(): ILLMService
+    {
+        if (!$this->llmService) {
+            $container        = function_exists('mpcc_container') ? mpcc_container() : null;
+            $this->llmService = $container ? $container->get(LLMService::class) : new LLMService();
+        }
+
+        return $this->llmService;
+    }
+}
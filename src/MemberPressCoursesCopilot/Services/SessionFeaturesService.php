@@ -16,6 +16,7 @@ class SessionFeaturesService extends BaseService
 {
     private ConversationManager $conversationManager;
     private DatabaseService $databaseService;
+    private LessonDraftService $lessonDraftService;
 
     // Auto-save configuration.
     private const AUTO_SAVE_INTERVAL       = 30; // seconds.
@@ -33,6 +34,7 @@ class SessionFeaturesService extends BaseService
     private const SYNC_BATCH_SIZE          = 5;
 
     // Export/Import configuration.
+    private const EXPORT_PACKAGE_TYPE   = 'mpcc-session';
     private const EXPORT_FORMAT_VERSION = '2.0';
     private const MAX_EXPORT_SIZE_MB    = 50;
     private const COMPRESSION_ENABLED   = true;
@@ -42,16 +44,30 @@ class SessionFeaturesService extends BaseService
      *
      * @param ConversationManager $conversationManager Instance of ConversationManager
      * @param DatabaseService     $databaseService     Instance of DatabaseService
+     * @param LessonDraftService  $lessonDraftService  Instance of LessonDraftService
      * @since 1.0.0
      */
     public function __construct(
         ConversationManager $conversationManager,
-        DatabaseService $databaseService
+        DatabaseService $databaseService,
+        LessonDraftService $lessonDraftService
     ) {
+        parent::__construct();
         $this->conversationManager = $conversationManager;
         $this->databaseService     = $databaseService;
+        $this->lessonDraftService  = $lessonDraftService;
+    }
 
-        // Initialize auto-save and timeout monitoring.
+    /**
+     * Initialize the service
+     *
+     * Registers auto-save and timeout monitoring hooks
+     *
+     * @return void
+     * @since  1.0.0
+     */
+    public function init(): void
+    {
         $this->initializeAutoSave();
         $this->initializeTimeoutMonitoring();
     }
@@ -323,7 +339,8 @@ class SessionFeaturesService extends BaseService
     /**
      * Export conversation session with comprehensive data
      *
-     * Exports a session with all related data and metadata
+     * Exports a session with its lesson drafts and metadata as a versioned package
+     * that importSession() can restore on this or another site
      *
      * @param  string               $sessionId Session ID to export
      * @param  array<string, mixed> $options   Export options (include_analytics, include_debug_info, include_related_data)
@@ -344,20 +361,27 @@ class SessionFeaturesService extends BaseService
             throw new \Exception('Insufficient permissions to export this session');
         }
 
+        $drafts = $this->getExportDrafts($sessionId);
+
         // Prepare export data.
         $exportData = [
             'export_info'            => [
+                'package'           => self::EXPORT_PACKAGE_TYPE,
                 'version'           => self::EXPORT_FORMAT_VERSION,
                 'timestamp'         => current_time('timestamp'),
                 'exporter_user_id'  => get_current_user_id(),
+                'site_url'          => home_url(),
                 'plugin_version'    => $this->getPluginVersion(),
                 'wordpress_version' => get_bloginfo('version'),
                 'export_options'    => $options,
             ],
-            'session_data'           => $session->toArray(),
+            'session_data'           => $this->conversationManager->exportSession($sessionId),
+            'lesson_drafts'          => $drafts,
             'conversation_analytics' => $this->conversationManager->getSessionAnalytics($sessionId),
             'metadata'               => [
+                'title'                => $session->getTitle(),
                 'total_messages'       => count($session->getMessages()),
+                'total_drafts'         => count($drafts),
                 'session_duration'     => $session->getLastUpdated() - $session->getCreatedAt(),
                 'states_visited'       => array_unique(array_column($session->getStateHistory(), 'state')),
                 'export_size_estimate' => 0, // Will be calculated.
@@ -396,10 +420,46 @@ class SessionFeaturesService extends BaseService
         return $exportData;
     }
 
+    /**
+     * Decompress, validate and sanitize an import package
+     *
+     * Safe to call more than once; importSession() runs it again on prepared data.
+     *
+     * @param  array<string, mixed> $importData Package as read from an export file
+     * @return array<string, mixed> Uncompressed package with sanitized session data and drafts
+     * @throws \InvalidArgumentException If the package is corrupted or fails validation
+     * @since  1.0.0
+     */
+    public function prepareImport(array $importData): array
+    {
+        if (!empty($importData['compressed'])) {
+            $importData = $this->decompressImportData($importData);
+        }
+
+        $validation = $this->validateImportData($importData);
+        if (!$validation['valid']) {
+            throw new \InvalidArgumentException('Import data validation failed: ' . implode(', ', $validation['errors']));
+        }
+
+        $importData['session_data']  = $this->sanitizeImportedValue($importData['session_data']);
+        $importData['lesson_drafts'] = array_map(function ($draft) {
+            return [
+                'section_id'  => sanitize_text_field((string) $draft['section_id']),
+                'lesson_id'   => sanitize_text_field((string) $draft['lesson_id']),
+                'content'     => wp_kses_post($draft['content']),
+                'order_index' => absint($draft['order_index'] ?? 0),
+            ];
+        }, $importData['lesson_drafts'] ?? []);
+
+        return $importData;
+    }
+
     /**
      * Import conversation session from exported data
      *
-     * Imports a previously exported session with validation and permission checks
+     * Imports a previously exported session and its lesson drafts. Links to a
+     * published course are dropped when the package comes from another site,
+     * because post IDs do not carry across sites.
      *
      * @param  array<string, mixed> $importData Import data containing session information
      * @param  array<string, mixed> $options    Import options (preserve_session_id, overwrite_existing, allow_user_import, target_user_id)
@@ -409,25 +469,16 @@ class SessionFeaturesService extends BaseService
      */
     public function importSession(array $importData, array $options = []): ConversationSession
     {
-        // Validate import data.
-        $validation = $this->validateImportData($importData);
-        if (!$validation['valid']) {
-            throw new \Exception('Import data validation failed: ' . implode(', ', $validation['errors']));
-        }
+        $importData = $this->prepareImport($importData);
 
         // Check import permissions.
-        $meprCap = function_exists('MeprUtils::get_mepr_admin_capability')
+        $meprCap = class_exists('MeprUtils') && method_exists('MeprUtils', 'get_mepr_admin_capability')
             ? \MeprUtils::get_mepr_admin_capability()
             : 'remove_users';
         if (!current_user_can($meprCap) && !($options['allow_user_import'] ?? false)) {
             throw new \Exception('Insufficient permissions to import sessions');
         }
 
-        // Decompress if needed.
-        if (isset($importData['compressed']) && $importData['compressed']) {
-            $importData = $this->decompressImportData($importData);
-        }
-
         $sessionData = $importData['session_data'];
 
         // Handle session ID conflicts.
@@ -439,6 +490,12 @@ class SessionFeaturesService extends BaseService
                 if (!($options['overwrite_existing'] ?? false)) {
                     throw new \Exception('Session ID already exists and overwrite not allowed');
                 }
+                if (!$this->canUserExportSession($existing->getUserId(), get_current_user_id())) {
+                    throw new \Exception('Insufficient permissions to replace the existing session');
+                }
+
+                $this->conversationManager->deleteSession($originalSessionId);
+                $this->lessonDraftService->deleteSessionDrafts($originalSessionId);
             }
         } else {
             // Generate new session ID.
@@ -450,15 +507,26 @@ class SessionFeaturesService extends BaseService
             $sessionData['user_id'] = $options['target_user_id'];
         }
 
+        $sourceSite = $importData['export_info']['site_url'] ?? '';
+        $sameSite   = untrailingslashit($sourceSite) === untrailingslashit(home_url());
+        if (!$sameSite) {
+            $sessionData = $this->detachPublishedCourse($sessionData);
+        }
+
         // Create session from imported data.
         $session = $this->conversationManager->createSessionFromData($sessionData);
 
+        $draftsImported = $this->importDrafts($session->getSessionId(), $importData['lesson_drafts']);
+
         // Add import metadata.
         $session->setMetadata('import_info', [
             'imported_at'         => time(),
             'imported_by'         => get_current_user_id(),
             'original_session_id' => $originalSessionId,
             'import_version'      => $importData['export_info']['version'] ?? 'unknown',
+            'source_site'         => $sourceSite,
+            'course_link_kept'    => $sameSite,
+            'drafts_imported'     => $draftsImported,
             'import_options'      => $options,
         ]);
 
@@ -775,118 +843,324 @@ class SessionFeaturesService extends BaseService
      * @param  integer $sessionUserId Session owner user ID
      * @param  integer $currentUserId Current user ID
      * @return boolean True if user can export
-     * @throws \RuntimeException Method not implemented
      * @since  1.0.0
      */
     private function canUserExportSession(int $sessionUserId, int $currentUserId): bool
     {
-        throw new \RuntimeException('canUserExportSession() is not implemented. This method must check if user can export session.');
+        return $sessionUserId === $currentUserId || user_can($currentUserId, 'manage_options');
     }
     /**
      * Get plugin version
      *
      * @return string Plugin version number
-     * @throws \RuntimeException Method not implemented
      * @since  1.0.0
      */
     private function getPluginVersion(): string
     {
-        throw new \RuntimeException('getPluginVersion() is not implemented. This method must return the actual plugin version.');
+        return defined('MEMBERPRESS_COURSES_COPILOT_VERSION') ? MEMBERPRESS_COURSES_COPILOT_VERSION : 'unknown';
     }
     /**
      * Generate analytics data for session export
      *
      * @param  ConversationSession $session Session instance
      * @return array<string, mixed> Analytics data
-     * @throws \RuntimeException Method not implemented
      * @since  1.0.0
      */
     private function generateExportAnalytics(ConversationSession $session): array
     {
-        throw new \RuntimeException('generateExportAnalytics() is not implemented. This method must generate analytics for session export.');
+        return $session->getStatistics();
     }
     /**
      * Generate debug information for session
      *
      * @param  ConversationSession $session Session instance
      * @return array<string, mixed> Debug information
-     * @throws \RuntimeException Method not implemented
      * @since  1.0.0
      */
     private function generateDebugInfo(ConversationSession $session): array
     {
-        throw new \RuntimeException('generateDebugInfo() is not implemented. This method must generate debug information for session.');
+        return [
+            'php_version' => PHP_VERSION,
+            'session'     => array_intersect_key(
+                $session->toArray(),
+                array_flip(['database_id', 'last_saved', 'has_unsaved_changes', 'paused_from_state'])
+            ),
+        ];
     }
     /**
      * Get related session data
      *
      * @param  ConversationSession $session Session instance
      * @return array<string, mixed> Related session data
-     * @throws \RuntimeException Method not implemented
      * @since  1.0.0
      */
     private function getRelatedSessionData(ConversationSession $session): array
     {
-        throw new \RuntimeException('getRelatedSessionData() is not implemented. This method must retrieve related session data.');
+        $courseId = (int) $session->getMetadata('published_course_id');
+
+        return [
+            'published_course' => $courseId ? [
+                'id'     => $courseId,
+                'title'  => get_the_title($courseId),
+                'status' => get_post_status($courseId),
+            ] : null,
+        ];
     }
     /**
      * Calculate export data size in bytes
      *
      * @param  array<string, mixed> $data Export data
      * @return integer Size in bytes
-     * @throws \RuntimeException Method not implemented
      * @since  1.0.0
      */
     private function calculateExportSize(array $data): int
     {
-        throw new \RuntimeException('calculateExportSize() is not implemented. This method must calculate accurate export data size.');
+        return strlen((string) wp_json_encode($data));
     }
     /**
      * Compress export data
      *
      * @param  array<string, mixed> $data Data to compress
      * @return array<string, mixed> Compressed data with metadata
-     * @throws \RuntimeException Method not implemented
      * @since  1.0.0
      */
     private function compressExportData(array $data): array
     {
-        throw new \RuntimeException('compressExportData() is not implemented. This method must compress export data.');
+        if (!function_exists('gzcompress')) {
+            return $data;
+        }
+
+        // The envelope stays readable so a package can be identified without unpacking it.
+        $json = (string) wp_json_encode(array_diff_key($data, array_flip(['export_info', 'metadata'])));
+
+        return [
+            'export_info' => $data['export_info'],
+            'metadata'    => $data['metadata'],
+            'compressed'  => true,
+            'encoding'    => 'gzip+base64',
+            'checksum'    => md5($json),
+            'payload'     => base64_encode(gzcompress($json, 9)),
+        ];
     }
     /**
      * Validate import data structure and content
      *
      * @param  array<string, mixed> $data Import data to validate
      * @return array{valid: bool, errors: array<int, string>} Validation result
-     * @throws \RuntimeException Method not implemented
      * @since  1.0.0
      */
     private function validateImportData(array $data): array
     {
-        throw new \RuntimeException('validateImportData() is not implemented. This method must validate import data structure and content.');
+        $errors = [];
+        $info   = $data['export_info'] ?? null;
+
+        if (!is_array($info) || ($info['package'] ?? '') !== self::EXPORT_PACKAGE_TYPE) {
+            return [
+                'valid'  => false,
+                'errors' => ['not a course session export'],
+            ];
+        }
+
+        $version = (string) ($info['version'] ?? '');
+        if ((int) $version !== (int) self::EXPORT_FORMAT_VERSION) {
+            $errors[] = "unsupported package version {$version}";
+        }
+
+        $session = $data['session_data'] ?? null;
+        if (!is_array($session)) {
+            $errors[] = 'missing session data';
+            return [
+                'valid'  => false,
+                'errors' => $errors,
+            ];
+        }
+
+        if (empty($session['session_id']) || !is_string($session['session_id'])) {
+            $errors[] = 'missing session ID';
+        }
+        foreach (['context', 'current_state'] as $key) {
+            if (!is_string($session[$key] ?? null)) {
+                $errors[] = "invalid {$key}";
+            }
+        }
+        foreach (['context_data', 'state_history', 'messages'] as $key) {
+            if (!is_array($session[$key] ?? null)) {
+                $errors[] = "invalid {$key}";
+            }
+        }
+        if (isset($session['metadata']) && !is_array($session['metadata'])) {
+            $errors[] = 'invalid metadata';
+        }
+
+        foreach (is_array($session['messages'] ?? null) ? $session['messages'] : [] as $index => $message) {
+            if (
+                !is_array($message)
+                || !in_array($message['type'] ?? null, ['user', 'assistant', 'system'], true)
+                || !is_string($message['content'] ?? null)
+            ) {
+                $errors[] = "invalid message at position {$index}";
+                break;
+            }
+        }
+
+        $drafts = $data['lesson_drafts'] ?? [];
+        if (!is_array($drafts)) {
+            $errors[] = 'invalid lesson drafts';
+        } else {
+            foreach ($drafts as $index => $draft) {
+                if (
+                    !is_array($draft)
+                    || !is_scalar($draft['section_id'] ?? null)
+                    || !is_scalar($draft['lesson_id'] ?? null)
+                    || !is_string($draft['content'] ?? null)
+                ) {
+                    $errors[] = "invalid lesson draft at position {$index}";
+                    break;
+                }
+            }
+        }
+
+        return [
+            'valid'  => empty($errors),
+            'errors' => $errors,
+        ];
     }
     /**
      * Decompress import data
      *
      * @param  array<string, mixed> $data Compressed data
      * @return array<string, mixed> Decompressed data
-     * @throws \RuntimeException Method not implemented
+     * @throws \InvalidArgumentException If the payload is corrupted or uses an unknown encoding
      * @since  1.0.0
      */
     private function decompressImportData(array $data): array
     {
-        throw new \RuntimeException('decompressImportData() is not implemented. This method must decompress import data.');
+        if (($data['encoding'] ?? '') !== 'gzip+base64' || !is_string($data['payload'] ?? null) || !function_exists('gzuncompress')) {
+            throw new \InvalidArgumentException('Unsupported package encoding');
+        }
+
+        $raw  = base64_decode($data['payload'], true);
+        $json = $raw === false ? false : @gzuncompress($raw, self::MAX_EXPORT_SIZE_MB * 1024 * 1024);
+
+        if ($json === false || md5($json) !== ($data['checksum'] ?? '')) {
+            throw new \InvalidArgumentException('The package is corrupted');
+        }
+
+        $payload = json_decode($json, true);
+        if (!is_array($payload)) {
+            throw new \InvalidArgumentException('The package is corrupted');
+        }
+
+        unset($data['compressed'], $data['encoding'], $data['checksum'], $data['payload']);
+
+        return array_merge($data, $payload);
     }
     /**
      * Generate unique session ID
      *
      * @return string Unique session identifier
-     * @throws \RuntimeException Method not implemented
      * @since  1.0.0
      */
     private function generateNewSessionId(): string
     {
-        throw new \RuntimeException('generateNewSessionId() is not implemented. This method must generate unique session IDs.');
+        return 'mpcc_session_' . wp_generate_uuid4() . '_' . time();
+    }
+
+    /**
+     * Get the lesson drafts of a session in package form
+     *
+     * @param  string $sessionId Session ID
+     * @return array<int, array<string, mixed>> Drafts with section_id, lesson_id, content and order_index
+     * @since  1.0.0
+     */
+    private function getExportDrafts(string $sessionId): array
+    {
+        return array_map(function ($draft) {
+            return [
+                'section_id'  => $draft->section_id,
+                'lesson_id'   => $draft->lesson_id,
+                'content'     => $draft->content,
+                'order_index' => (int) $draft->order_index,
+            ];
+        }, $this->lessonDraftService->getSessionDrafts($sessionId) ?: []);
+    }
+
+    /**
+     * Save packaged lesson drafts to a session
+     *
+     * @param  string                           $sessionId Target session ID
+     * @param  array<int, array<string, mixed>> $drafts    Drafts from prepareImport()
+     * @return integer Number of drafts saved
+     * @since  1.0.0
+     */
+    private function importDrafts(string $sessionId, array $drafts): int
+    {
+        $saved = 0;
+        foreach ($drafts as $draft) {
+            if ($this->lessonDraftService->saveDraft($sessionId, $draft['section_id'], $draft['lesson_id'], $draft['content'], $draft['order_index'])) {
+                ++$saved;
+            }
+        }
+
+        return $saved;
+    }
+
+    /**
+     * Remove links to a published course from exported session data
+     *
+     * @param  array<string, mixed> $sessionData Session data from a package
+     * @return array<string, mixed> Session data without course, section and lesson IDs
+     * @since  1.0.0
+     */
+    private function detachPublishedCourse(array $sessionData): array
+    {
+        unset(
+            $sessionData['metadata']['published_course_id'],
+            $sessionData['metadata']['published_course_url'],
+            $sessionData['metadata']['course_sync']
+        );
+
+        $sections = $sessionData['context_data']['course_structure']['sections'] ?? null;
+        if (is_array($sections)) {
+            foreach ($sections as &$section) {
+                unset($section['section_id'], $section['quiz_count']);
+                if (!is_array($section['lessons'] ?? null)) {
+                    continue;
+                }
+                foreach ($section['lessons'] as &$lesson) {
+                    unset($lesson['lesson_id'], $lesson['student_count']);
+                }
+                unset($lesson);
+            }
+            unset($section);
+            $sessionData['context_data']['course_structure']['sections'] = $sections;
+        }
+
+        return $sessionData;
+    }
+
+    /**
+     * Recursively sanitize imported values, allowing post-safe HTML in strings
+     *
+     * @param  mixed $value Value from an import package
+     * @return mixed Sanitized value
+     * @since  1.0.0
+     */
+    private function sanitizeImportedValue(mixed $value): mixed
+    {
+        if (is_array($value)) {
+            $clean = [];
+            foreach ($value as $key => $item) {
+                $clean[is_int($key) ? $key : sanitize_text_field($key)] = $this->sanitizeImportedValue($item);
+            }
+            return $clean;
+        }
+
+        if (is_string($value)) {
+            return wp_kses_post($value);
+        }
+
+        return is_scalar($value) || $value === null ? $value : null;
     }
     /**
      * Check if user can sync session
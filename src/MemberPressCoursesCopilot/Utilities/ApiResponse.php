@@ -26,6 +26,7 @@ class ApiResponse
     const ERROR_AI_SERVICE               = 'mpcc_ai_service_error';
     const ERROR_COURSE_GENERATION        = 'mpcc_course_generation_error';
     const ERROR_SESSION_NOT_FOUND        = 'mpcc_session_not_found';
+    const ERROR_SESSION_CONFLICT         = 'mpcc_session_conflict';
     const ERROR_CONTENT_GENERATION       = 'mpcc_content_generation_error';
     const ERROR_GENERAL                  = 'mpcc_general_error';
 
@@ -57,6 +57,9 @@ use MemberPressCoursesCopilot\Security\NonceConstants;
                         <button type="button" class="mpcc-quick-starter" id="mpcc-session-history" title="<?php echo esc_attr__('Session History', 'memberpress-courses-copilot'); ?>" aria-label="<?php echo esc_attr__('View chat session history', 'memberpress-courses-copilot'); ?>">
                             <span class="dashicons dashicons-backup" aria-hidden="true"></span>
                         </button>
+                        <button type="button" class="mpcc-quick-starter" id="mpcc-import-course" title="<?php echo esc_attr__('Import Existing Course', 'memberpress-courses-copilot'); ?>" aria-label="<?php echo esc_attr__('Import an existing course into a new session', 'memberpress-courses-copilot'); ?>">
+                            <span class="dashicons dashicons-download" aria-hidden="true"></span>
+                        </button>
                     </div>
                 </div>
                 <div id="mpcc-chat-container" class="mpcc-chat-container">
@@ -90,6 +93,10 @@ use MemberPressCoursesCopilot\Security\NonceConstants;
                             <span class="dashicons dashicons-arrow-right-alt" aria-hidden="true"></span>
                             <?php echo esc_html__('Send', 'memberpress-courses-copilot'); ?>
                         </button>
+                        <button type="button" id="mpcc-stop-generation" hidden aria-label="<?php echo esc_attr__('Stop generating the AI response', 'memberpress-courses-copilot'); ?>">
+                            <span class="dashicons dashicons-controls-pause" aria-hidden="true"></span>
+                            <?php echo esc_html__('Stop', 'memberpress-courses-copilot'); ?>
+                        </button>
                     </div>
                 </div>
             </div>
@@ -102,6 +109,30 @@ use MemberPressCoursesCopilot\Security\NonceConstants;
                 <div class="mpcc-preview-header">
                     <h2><?php echo esc_html__('Course Preview', 'memberpress-courses-copilot'); ?></h2>
                     <div id="mpcc-preview-actions" class="mpcc-preview-actions">
+                        <div class="mpcc-history-actions" role="group" aria-label="<?php echo esc_attr__('Course structure history', 'memberpress-courses-copilot'); ?>">
+                            <button type="button" id="mpcc-undo-structure" class="mpcc-history-button" disabled title="<?php echo esc_attr__('Undo (Ctrl+Z)', 'memberpress-courses-copilot'); ?>" aria-label="<?php echo esc_attr__('Undo last course structure change', 'memberpress-courses-copilot'); ?>" aria-keyshortcuts="Control+Z">
+                                <span class="dashicons dashicons-undo" aria-hidden="true"></span>
+                            </button>
+                            <button type="button" id="mpcc-redo-structure" class="mpcc-history-button" disabled title="<?php echo esc_attr__('Redo (Ctrl+Shift+Z)', 'memberpress-courses-copilot'); ?>" aria-label="<?php echo esc_attr__('Redo course structure change', 'memberpress-courses-copilot'); ?>" aria-keyshortcuts="Control+Shift+Z">
+                                <span class="dashicons dashicons-redo" aria-hidden="true"></span>
+                            </button>
+                        </div>
+                        <button type="button" id="mpcc-course-style-toggle" aria-expanded="false" aria-controls="mpcc-course-style">
+                            <span class="dashicons dashicons-art" aria-hidden="true"></span>
+                            <?php echo esc_html__('Course Style', 'memberpress-courses-copilot'); ?>
+                        </button>
+                        <div class="mpcc-export-menu-wrap">
+                            <button type="button" id="mpcc-export-outline" disabled aria-haspopup="menu" aria-expanded="false" aria-controls="mpcc-export-menu">
+                                <span class="dashicons dashicons-media-document" aria-hidden="true"></span>
+                                <?php echo esc_html__('Export', 'memberpress-courses-copilot'); ?>
+                            </button>
+                            <div id="mpcc-export-menu" class="mpcc-export-menu" role="menu" aria-labelledby="mpcc-export-outline" hidden>
+                                <button type="button" role="menuitem" data-format="markdown"><?php echo esc_html__('Markdown (.md)', 'memberpress-courses-copilot'); ?></button>
+                                <button type="button" role="menuitem" data-format="word"><?php echo esc_html__('Word document (.doc)', 'memberpress-courses-copilot'); ?></button>
+                                <button type="button" role="menuitem" data-format="print"><?php echo esc_html__('Print outline', 'memberpress-courses-copilot'); ?></button>
+                                <button type="button" role="menuitem" data-format="scorm"><?php echo esc_html__('SCORM 1.2 package (.zip)', 'memberpress-courses-copilot'); ?></button>
+                            </div>
+                        </div>
                         <button type="button" id="mpcc-view-course" style="display: none;" aria-label="<?php echo esc_attr__('View published course in new window', 'memberpress-courses-copilot'); ?>">
                             <span class="dashicons dashicons-external" aria-hidden="true"></span>
                             <?php echo esc_html__('View Course', 'memberpress-courses-copilot'); ?>
@@ -118,6 +149,12 @@ use MemberPressCoursesCopilot\Security\NonceConstants;
                     </div>
                 </div>
                 
+                <div id="mpcc-course-style" class="mpcc-course-style" role="region" aria-labelledby="mpcc-course-style-heading" hidden>
+                    <h3 id="mpcc-course-style-heading"><?php echo esc_html__('Course Style', 'memberpress-courses-copilot'); ?></h3>
+                    <p class="description"><?php echo esc_html__('Applied to every chat reply, lesson draft and quiz the AI writes for this course.', 'memberpress-courses-copilot'); ?></p>
+                    <div id="mpcc-course-style-form"></div>
+                </div>
+                
                 <div id="mpcc-course-structure" class="mpcc-course-structure" role="region" aria-label="<?php echo esc_attr__('Course structure preview', 'memberpress-courses-copilot'); ?>">
                     <!-- Course structure will be rendered here -->
                     <div class="mpcc-empty-state" role="status" aria-live="polite">
@@ -127,6 +164,12 @@ use MemberPressCoursesCopilot\Security\NonceConstants;
                         <h3><?php echo esc_html__('Let\'s Create Your Course!', 'memberpress-courses-copilot'); ?></h3>
                         <p><?php echo esc_html__('Start by telling the AI assistant what kind of course you want to create.', 'memberpress-courses-copilot'); ?></p>
                         <p class="mpcc-empty-suggestion"><?php echo esc_html__('Try: "Create a beginner JavaScript course" or "Help me design a marketing fundamentals course"', 'memberpress-courses-copilot'); ?></p>
+                        <p>
+                            <button type="button" class="button mpcc-empty-import">
+                                <span class="dashicons dashicons-download" aria-hidden="true"></span>
+                                <?php echo esc_html__('Import an existing course', 'memberpress-courses-copilot'); ?>
+                            </button>
+                        </p>
                     </div>
                 </div>
                 
@@ -148,17 +191,55 @@ use MemberPressCoursesCopilot\Security\NonceConstants;
                                 <span class="dashicons dashicons-welcome-write-blog" aria-hidden="true"></span>
                                 <?php echo esc_html__('Generate', 'memberpress-courses-copilot'); ?>
                             </button>
+                            <button type="button" class="button" id="mpcc-lesson-history-toggle" aria-expanded="false" aria-controls="mpcc-lesson-history">
+                                <span class="dashicons dashicons-backup" aria-hidden="true"></span>
+                                <?php echo esc_html__('History', 'memberpress-courses-copilot'); ?>
+                            </button>
                             <span class="mpcc-save-indicator" role="status" aria-live="polite" aria-label="<?php echo esc_attr__('Save status', 'memberpress-courses-copilot'); ?>"></span>
                         </div>
                         
+                        <div id="mpcc-lesson-history" class="mpcc-lesson-history" style="display: none;" role="region" aria-label="<?php echo esc_attr__('Lesson history', 'memberpress-courses-copilot'); ?>">
+                            <ul id="mpcc-revision-list" class="mpcc-revision-list" aria-label="<?php echo esc_attr__('Saved versions', 'memberpress-courses-copilot'); ?>"></ul>
+                            <div id="mpcc-revision-compare" class="mpcc-revision-compare"></div>
+                        </div>
+                        
+                        <div id="mpcc-selection-rewrite" class="mpcc-selection-rewrite" style="display: none;" role="region" aria-label="<?php echo esc_attr__('Rewrite the selected text with AI', 'memberpress-courses-copilot'); ?>"></div>
+                        <div id="mpcc-rewrite-preview" class="mpcc-rewrite-preview" style="display: none;" role="region" aria-live="polite" aria-label="<?php echo esc_attr__('Rewrite preview', 'memberpress-courses-copilot'); ?>"></div>
+                        
                         <div class="mpcc-lesson-body">
-                            <textarea 
-                                id="mpcc-lesson-textarea" 
-                                class="mpcc-lesson-textarea"
-                                placeholder="<?php echo esc_attr__('Enter lesson content...', 'memberpress-courses-copilot'); ?>"
-                            rows="20"
-                            aria-label="<?php echo esc_attr__('Lesson content editor', 'memberpress-courses-copilot'); ?>"
-                        ></textarea>
+                            <div
+                                id="mpcc-lesson-blocks"
+                                class="mpcc-lesson-blocks"
+                                role="group"
+                                aria-label="<?php echo esc_attr__('Lesson content editor', 'memberpress-courses-copilot'); ?>"
+                            ></div>
+                            <div class="mpcc-block-inserter" role="toolbar" aria-label="<?php echo esc_attr__('Add a block', 'memberpress-courses-copilot'); ?>">
+                                <span class="mpcc-block-inserter-label"><?php echo esc_html__('Add:', 'memberpress-courses-copilot'); ?></span>
+                                <button type="button" class="button mpcc-block-add" data-type="paragraph">
+                                    <span class="dashicons dashicons-editor-paragraph" aria-hidden="true"></span>
+                                    <?php echo esc_html__('Paragraph', 'memberpress-courses-copilot'); ?>
+                                </button>
+                                <button type="button" class="button mpcc-block-add" data-type="heading">
+                                    <span class="dashicons dashicons-heading" aria-hidden="true"></span>
+                                    <?php echo esc_html__('Heading', 'memberpress-courses-copilot'); ?>
+                                </button>
+                                <button type="button" class="button mpcc-block-add" data-type="list">
+                                    <span class="dashicons dashicons-editor-ul" aria-hidden="true"></span>
+                                    <?php echo esc_html__('List', 'memberpress-courses-copilot'); ?>
+                                </button>
+                                <button type="button" class="button mpcc-block-add" data-type="quote">
+                                    <span class="dashicons dashicons-editor-quote" aria-hidden="true"></span>
+                                    <?php echo esc_html__('Quote', 'memberpress-courses-copilot'); ?>
+                                </button>
+                                <button type="button" class="button mpcc-block-add" data-type="code">
+                                    <span class="dashicons dashicons-editor-code" aria-hidden="true"></span>
+                                    <?php echo esc_html__('Code', 'memberpress-courses-copilot'); ?>
+                                </button>
+                                <button type="button" class="button mpcc-block-add" data-type="image">
+                                    <span class="dashicons dashicons-format-image" aria-hidden="true"></span>
+                                    <?php echo esc_html__('Image', 'memberpress-courses-copilot'); ?>
+                                </button>
+                            </div>
                     </div>
                     
                     <div class="mpcc-lesson-actions">
@@ -0,0 +1,119 @@
+/**
+ * Tests for course-outline-export.js
+ *
+ * Covers Markdown, Word HTML and SCORM package output
+ *
+ * @package MemberPressCoursesCopilot\Tests\JavaScript
+ */
+
+describe('MPCCOutlineExport', () => {
+    let exporter;
+
+    const course = () => ({
+        title: 'JavaScript Basics',
+        description: 'Learn <strong>JS</strong>',
+        sections: [
+            {
+                title: 'Getting Started',
+                lessons: [
+                    {
+                        title: 'What is JavaScript',
+                        duration: '10 min',
+                        objectives: ['Explain what JS is', ' '],
+                        draft_content: '<!-- wp:paragraph --><p>Intro</p><!-- /wp:paragraph -->'
+                    },
+                    { title: 'Setting <Up>' }
+                ]
+            },
+            { title: 'Coming soon', lessons: [] }
+        ]
+    });
+
+    // Read the entries of a stored zip back from its central directory
+    const readZip = (bytes) => {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const end = bytes.length - 22;
+        expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+        const count = view.getUint16(end + 10, true);
+        let pointer = view.getUint32(end + 16, true);
+        const entries = {};
+
+        for (let i = 0; i < count; i++) {
+            expect(view.getUint32(pointer, true)).toBe(0x02014b50);
+            const size = view.getUint32(pointer + 24, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            const name = Buffer.from(bytes.slice(pointer + 46, pointer + 46 + nameLength)).toString('utf8');
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+
+            entries[name] = {
+                crc: view.getUint32(pointer + 16, true),
+                content: Buffer.from(bytes.slice(dataStart, dataStart + size)).toString('utf8')
+            };
+            pointer += 46 + nameLength;
+        }
+
+        return entries;
+    };
+
+    beforeAll(() => {
+        require('../../assets/js/course-outline-export.js');
+        exporter = window.MPCCOutlineExport;
+    });
+
+    test('renders Markdown headings, objectives and draft text', () => {
+        const markdown = exporter.toMarkdown(course());
+
+        expect(markdown).toMatch(/^# JavaScript Basics\n\nLearn JS\n/);
+        expect(markdown).toContain('### Lesson 1.1: What is JavaScript\n\n*Duration: 10 min*');
+        expect(markdown).toContain('**Objectives**\n\n- Explain what JS is\n\nIntro');
+        expect(markdown).toContain('## Section 2: Coming soon');
+    });
+
+    test('uses the supplied converter for lesson drafts', () => {
+        const toText = jest.fn(() => 'Readable\n• one\n• two');
+
+        const markdown = exporter.toMarkdown(course(), { toText });
+
+        expect(toText).toHaveBeenCalledTimes(1);
+        expect(markdown).toContain('Readable\n- one\n- two');
+    });
+
+    test('escapes titles in the Word document and turns bullets into lists', () => {
+        const html = exporter.toWordHtml(course(), { toText: () => 'Steps\n\n• one\n• two' });
+
+        expect(html).toContain('xmlns:w="urn:schemas-microsoft-com:office:word"');
+        expect(html).toContain('<h3>Lesson 1.2: Setting &lt;Up&gt;</h3>');
+        expect(html).toContain('<p>Steps</p>\n<ul><li>one</li><li>two</li></ul>');
+    });
+
+    test('writes a readable stored zip with correct checksums', () => {
+        const entries = readZip(exporter.createZip([{ name: 'hello.txt', content: 'hello' }]));
+
+        expect(entries['hello.txt']).toEqual({ crc: 0x3610a686, content: 'hello' });
+    });
+
+    test('builds a SCORM 1.2 package with one SCO per lesson', () => {
+        const entries = readZip(exporter.toScormPackage(course()));
+        const manifest = entries['imsmanifest.xml'].content;
+
+        expect(Object.keys(entries).sort()).toEqual([
+            'imsmanifest.xml',
+            'lessons/section-1-lesson-1.html',
+            'lessons/section-1-lesson-2.html',
+            'shared/scorm.js'
+        ]);
+        expect(manifest).toContain('<schemaversion>1.2</schemaversion>');
+        expect(manifest).toContain('<item identifier="ITEM-1-2" identifierref="RES-1-2">');
+        expect(manifest).toContain('adlcp:scormtype="sco" href="lessons/section-1-lesson-1.html"');
+        expect(manifest).not.toContain('Coming soon');
+        expect(entries['lessons/section-1-lesson-1.html'].content).toContain('<p>Intro</p>');
+        expect(entries['shared/scorm.js'].content).toContain("LMSSetValue('cmi.core.lesson_status', 'completed')");
+    });
+
+    test('derives file names from the course title', () => {
+        expect(exporter.filename({ title: 'JavaScript: The Basics!' })).toBe('javascript-the-basics');
+        expect(exporter.filename({})).toBe('course-outline');
+    });
+});
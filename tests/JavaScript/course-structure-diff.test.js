@@ -0,0 +1,204 @@
+/**
+ * Tests for course-structure-diff.js
+ *
+ * Covers outline comparison and merging of accepted AI proposals
+ *
+ * @package MemberPressCoursesCopilot\Tests\JavaScript
+ */
+
+describe('MPCCStructureDiff', () => {
+    let diff;
+
+    const lesson = (title, extra = {}) => Object.assign({ title, duration: '10 min' }, extra);
+
+    const current = () => ({
+        title: 'JavaScript Basics',
+        description: 'Learn JS',
+        sections: [
+            {
+                title: 'Getting Started',
+                lessons: [
+                    lesson('What is JavaScript', { draft_content: '<!-- wp:paragraph --><p>Intro</p><!-- /wp:paragraph -->' }),
+                    lesson('Setting Up')
+                ]
+            },
+            {
+                title: 'Variables',
+                lessons: [lesson('let and const'), lesson('Types', { draft_content: 'Types draft' })]
+            }
+        ]
+    });
+
+    beforeAll(() => {
+        require('../../assets/js/course-structure-diff.js');
+        diff = window.MPCCStructureDiff;
+    });
+
+    test('reports no changes for identical structures', () => {
+        const result = diff.compare(current(), current());
+
+        expect(result.hasChanges).toBe(false);
+        expect(result.sections.every(section => section.status === 'unchanged')).toBe(true);
+    });
+
+    test('detects added, removed and renamed items', () => {
+        const proposed = current();
+        proposed.sections[0].title = 'Introduction';
+        proposed.sections[1].lessons.pop();
+        proposed.sections.push({ title: 'Functions', lessons: [lesson('Declaring functions')] });
+
+        const result = diff.compare(current(), proposed);
+
+        expect(result.hasChanges).toBe(true);
+        expect(result.sections[0].status).toBe('renamed');
+        expect(result.sections[0].previousTitle).toBe('Getting Started');
+        expect(result.sections[2].status).toBe('added');
+        expect(result.sections[1].lessons.find(l => l.title === 'Types').status).toBe('removed');
+        expect(result.summary).toMatchObject({ added: 2, removed: 1, renamed: 1 });
+    });
+
+    test('detects lessons moved between sections and duration changes', () => {
+        const proposed = current();
+        const moved = proposed.sections[0].lessons.splice(1, 1)[0];
+        proposed.sections[1].lessons.unshift(moved);
+        proposed.sections[1].lessons[1].duration = '25 min';
+
+        const result = diff.compare(current(), proposed);
+        const variables = result.sections[1];
+
+        expect(variables.lessons[0]).toMatchObject({ status: 'moved', currentSection: 0, currentIndex: 1 });
+        expect(variables.lessons[1]).toMatchObject({ status: 'changed', changes: ['duration'], previousDuration: '10 min' });
+        expect(result.summary.moved).toBe(1);
+    });
+
+    test('acceptAll keeps drafts of surviving lessons', () => {
+        const proposed = current();
+        proposed.sections.forEach(section => section.lessons.forEach(l => delete l.draft_content));
+        proposed.sections.reverse();
+
+        const result = diff.compare(current(), proposed);
+        const merged = diff.acceptAll(current(), proposed, result);
+
+        expect(merged.sections[0].title).toBe('Variables');
+        expect(merged.sections[0].lessons[1].draft_content).toBe('Types draft');
+        expect(merged.sections[1].lessons[0].draft_content).toContain('Intro');
+    });
+
+    test('acceptAll keeps the published IDs of surviving sections and lessons', () => {
+        const published = current();
+        published.sections[0].section_id = 10;
+        published.sections[0].lessons[1].lesson_id = 102;
+        const proposed = current();
+        proposed.sections[0].title = 'Introduction';
+        proposed.sections[0].lessons[1].title = 'Setting Up Your Editor';
+
+        const merged = diff.acceptAll(published, proposed, diff.compare(published, proposed));
+
+        expect(merged.sections[0].section_id).toBe(10);
+        expect(merged.sections[0].lessons[1].lesson_id).toBe(102);
+        expect(merged.sections[1].section_id).toBeUndefined();
+    });
+
+    test('acceptSection applies one section and leaves the rest untouched', () => {
+        const proposed = current();
+        proposed.sections[0].lessons.push(lesson('Running code'));
+        proposed.sections[1].title = 'Data';
+
+        const result = diff.compare(current(), proposed);
+        const merged = diff.acceptSection(current(), proposed, result, 0);
+
+        expect(merged.sections[0].lessons.map(l => l.title)).toEqual(['What is JavaScript', 'Setting Up', 'Running code']);
+        expect(merged.sections[0].lessons[0].draft_content).toContain('Intro');
+        expect(merged.sections[1].title).toBe('Variables');
+        expect(diff.compare(merged, proposed).sections[1].status).toBe('renamed');
+    });
+
+    test('acceptSection takes incoming lessons out of their old section', () => {
+        const proposed = current();
+        const moved = proposed.sections[1].lessons.pop();
+        proposed.sections[0].lessons.push(moved);
+
+        const result = diff.compare(current(), proposed);
+        const merged = diff.acceptSection(current(), proposed, result, 0);
+
+        expect(merged.sections[0].lessons.map(l => l.title)).toContain('Types');
+        expect(merged.sections[1].lessons.map(l => l.title)).toEqual(['let and const']);
+        expect(merged.sections[0].lessons.find(l => l.title === 'Types').draft_content).toBe('Types draft');
+    });
+
+    test('acceptAll keeps lesson keys from the current outline only', () => {
+        const keyed = diff.assignLessonKeys(current());
+        const proposed = current();
+        proposed.sections[0].lessons[0].lesson_key = keyed.sections[1].lessons[1].lesson_key;
+        proposed.sections[1].lessons.push(lesson('Scope', { lesson_key: keyed.sections[0].lessons[1].lesson_key }));
+
+        const merged = diff.acceptAll(keyed, proposed, diff.compare(keyed, proposed));
+
+        expect(merged.sections[0].lessons[0].lesson_key).toBe(keyed.sections[0].lessons[0].lesson_key);
+        expect(merged.sections[1].lessons[2].lesson_key).toBeUndefined();
+    });
+
+    test('assignLessonKeys gives every lesson its own key', () => {
+        const structure = current();
+        structure.sections[1].lessons[0].lesson_key = 'lesson_a';
+        structure.sections[1].lessons[1].lesson_key = 'lesson_a';
+
+        const keys = diff.assignLessonKeys(structure).sections.flatMap(section => section.lessons.map(l => l.lesson_key));
+
+        expect(new Set(keys).size).toBe(4);
+        expect(keys[2]).toBe('lesson_a');
+        expect(diff.assignLessonKeys(structure).sections[0].lessons[0].lesson_key).toBe(keys[0]);
+    });
+
+    test('draftMoves follows lessons to their new positions', () => {
+        const structure = diff.assignLessonKeys(current());
+        const positions = diff.draftMoves(structure, {}).positions;
+        const [intro, setup] = structure.sections[0].lessons;
+
+        structure.sections[0].lessons = [setup, intro];
+        const moves = diff.draftMoves(structure, positions);
+
+        expect(moves.changed).toBe(true);
+        expect(moves.moves).toEqual([
+            { from: '0-1', to: '0-0' },
+            { from: '0-0', to: '0-1' },
+            { from: '1-0', to: '1-0' },
+            { from: '1-1', to: '1-1' }
+        ]);
+        expect(moves.drafts).toEqual([]);
+        expect(diff.draftMoves(structure, moves.positions).changed).toBe(false);
+    });
+
+    test('draftMoves notices removed lessons and saves drafts brought back', () => {
+        const structure = diff.assignLessonKeys(current());
+        const positions = diff.draftMoves(structure, {}).positions;
+        const removed = structure.sections[1].lessons.pop();
+
+        const afterRemoval = diff.draftMoves(structure, positions);
+        expect(afterRemoval.changed).toBe(true);
+        expect(afterRemoval.moves).toHaveLength(3);
+
+        structure.sections[1].lessons.push(removed);
+        const afterUndo = diff.draftMoves(structure, afterRemoval.positions);
+        expect(afterUndo.drafts).toEqual([{ to: '1-1', content: 'Types draft' }]);
+    });
+
+    test('draftMoves shifts drafts below an inserted lesson or section', () => {
+        const structure = diff.assignLessonKeys(current());
+        const positions = diff.draftMoves(structure, {}).positions;
+
+        structure.sections[0].lessons.unshift(lesson('Why learn JavaScript'));
+        structure.sections.unshift({ title: 'Welcome', lessons: [lesson('About this course')] });
+        diff.assignLessonKeys(structure);
+        const moves = diff.draftMoves(structure, positions);
+
+        expect(moves.moves).toEqual([
+            { from: '0-0', to: '1-1' },
+            { from: '0-1', to: '1-2' },
+            { from: '1-0', to: '2-0' },
+            { from: '1-1', to: '2-1' }
+        ]);
+        expect(moves.drafts).toEqual([]);
+        expect(moves.positions[structure.sections[1].lessons[0].lesson_key]).toBe('1-0');
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for course-style.js
+ *
+ * Covers the course style form and the cleanup of saved styles
+ *
+ * @package MemberPressCoursesCopilot\Tests\JavaScript
+ */
+
+describe('MPCCCourseStyle', () => {
+    let courseStyle;
+
+    beforeAll(() => {
+        require('../../assets/js/course-style.js');
+        courseStyle = window.MPCCCourseStyle;
+    });
+
+    test('reads glossary lines with a term and a definition', () => {
+        const glossary = courseStyle.parseGlossary('Funnel: the steps to a sale\n\nLead\n URL: https://example.com ');
+
+        expect(glossary).toEqual([
+            { term: 'Funnel', definition: 'the steps to a sale' },
+            { term: 'URL', definition: 'https://example.com' }
+        ]);
+        expect(courseStyle.parseGlossary(courseStyle.formatGlossary(glossary))).toEqual(glossary);
+    });
+
+    test('drops unknown values from a saved style', () => {
+        const style = courseStyle.normalize({
+            reading_level: 'expert',
+            tone: 'friendly',
+            lesson_sections: ['summary', 'quiz', 'objectives'],
+            glossary: [{ term: 'Lead', definition: '' }],
+            banned_phrases: ['synergy', ' ', 3]
+        });
+
+        expect(style).toEqual({
+            audience: '',
+            reading_level: '',
+            tone: 'friendly',
+            lesson_sections: ['objectives', 'summary'],
+            glossary: [],
+            banned_phrases: ['synergy']
+        });
+        expect(courseStyle.isEmpty(null)).toBe(true);
+        expect(courseStyle.isEmpty(style)).toBe(false);
+    });
+
+    test('reads back the style the form was rendered with', () => {
+        const style = {
+            audience: 'New managers',
+            reading_level: 'intermediate',
+            tone: 'encouraging',
+            lesson_sections: ['objectives', 'exercise'],
+            glossary: [{ term: 'One-on-one', definition: 'A weekly private meeting' }],
+            banned_phrases: ['circle back', 'low-hanging fruit']
+        };
+        const root = document.createElement('div');
+        root.innerHTML = courseStyle.renderForm(style);
+
+        expect(courseStyle.readForm(root)).toEqual(style);
+    });
+
+    test('escapes entered text in the form', () => {
+        const root = document.createElement('div');
+        root.innerHTML = courseStyle.renderForm({ audience: '</textarea><img src=x onerror="alert(1)">' });
+
+        expect(root.querySelector('img')).toBeNull();
+        expect(root.querySelector('#mpcc-style-audience').value).toBe('</textarea><img src=x onerror="alert(1)">');
+    });
+
+    test('summarizes what a style sets', () => {
+        expect(courseStyle.summarize({
+            reading_level: 'beginner',
+            tone: 'friendly',
+            lesson_sections: ['objectives', 'summary', 'exercise'],
+            glossary: [{ term: 'Lead', definition: 'A possible customer' }]
+        })).toBe('Beginner · Friendly · 3-part lessons · 1 glossary term');
+        expect(courseStyle.summarize({ audience: 'Nurses' })).toBe('Audience set');
+        expect(courseStyle.summarize({})).toBe('');
+    });
+});
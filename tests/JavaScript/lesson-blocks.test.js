@@ -0,0 +1,123 @@
+/**
+ * Tests for lesson-blocks.js
+ *
+ * Covers reading lesson drafts into editable blocks and writing them back
+ *
+ * @package MemberPressCoursesCopilot\Tests\JavaScript
+ */
+
+describe('MPCCLessonBlocks', () => {
+    let blocks;
+
+    const lesson = [
+        '<!-- wp:heading -->\n<h2>Variables</h2>\n<!-- /wp:heading -->',
+        '<!-- wp:paragraph {"className":"lead"} -->\n<p class="lead">A variable <span class="hl">holds</span> a value &amp; a name.</p>\n<!-- /wp:paragraph -->',
+        '<!-- wp:list {"ordered":true} -->\n<ol>\n<li>Declare it</li>\n<li>Assign it</li>\n</ol>\n<!-- /wp:list -->',
+        '<!-- wp:group {"layout":{"type":"constrained"}} -->\n<div class="wp-block-group"><!-- wp:group -->\n<div class="wp-block-group"><!-- wp:paragraph -->\n<p>Nested</p>\n<!-- /wp:paragraph --></div>\n<!-- /wp:group --></div>\n<!-- /wp:group -->',
+        '<!-- wp:separator /-->',
+        '<!-- wp:code -->\n<pre class="wp-block-code"><code>let x = 1 &lt; 2;</code></pre>\n<!-- /wp:code -->'
+    ].join('\n\n') + '\n';
+
+    beforeAll(() => {
+        require('../../assets/js/lesson-blocks.js');
+        blocks = window.MPCCLessonBlocks;
+    });
+
+    test('round-trips block markup unchanged', () => {
+        const doc = blocks.parse(lesson);
+
+        expect(doc.blocks.map(block => block.name)).toEqual([
+            'core/heading', 'core/paragraph', 'core/list', 'core/group', 'core/separator', 'core/code'
+        ]);
+        expect(blocks.serialize(doc)).toBe(lesson);
+    });
+
+    test('keeps text outside blocks and unclosed blocks', () => {
+        const content = '  Intro text\n\n<!-- wp:paragraph -->\n<p>One</p>\n<!-- /wp:paragraph -->\nOutro <!-- /wp:quote --> <!-- wp:list -->\n<ul><li>Cut off';
+        const doc = blocks.parse(content);
+
+        expect(doc.blocks.map(block => block.name)).toEqual(['core/freeform', 'core/paragraph', 'core/freeform', 'core/freeform']);
+        expect(doc.blocks[0].raw).toBe('Intro text');
+        expect(blocks.serialize(doc)).toBe(content);
+    });
+
+    test('reads the editable fields of supported blocks', () => {
+        const doc = blocks.parse(lesson);
+
+        expect(doc.blocks[0].data).toEqual({ level: 2, content: 'Variables' });
+        expect(doc.blocks[1].data).toEqual({ content: 'A variable holds a value &amp; a name.' });
+        expect(doc.blocks[2].data).toEqual({ ordered: true, items: ['Declare it', 'Assign it'] });
+        expect(doc.blocks[5].data).toEqual({ code: 'let x = 1 < 2;' });
+        expect(doc.blocks[3].data).toBeNull();
+        expect(blocks.typeOf(doc.blocks[2])).toBe('list');
+        expect(blocks.typeOf(doc.blocks[3])).toBeNull();
+    });
+
+    test('writes edited blocks and leaves the rest alone', () => {
+        const doc = blocks.parse(lesson);
+        doc.blocks[0].data = { level: 3, content: 'Naming <em>variables</em>' };
+        doc.blocks[2].data = { ordered: false, items: ['Declare it', '', 'Use it'] };
+        doc.blocks[5].data = { code: 'echo "<b>";' };
+
+        const output = blocks.serialize(doc);
+
+        expect(output).toContain('<!-- wp:heading {"level":3} -->\n<h3>Naming <em>variables</em></h3>\n<!-- /wp:heading -->');
+        expect(output).toContain('<!-- wp:list -->\n<ul>\n<li>Declare it</li>\n<li>Use it</li>\n</ul>\n<!-- /wp:list -->');
+        expect(output).toContain('<pre class="wp-block-code"><code>echo &quot;&lt;b&gt;&quot;;</code></pre>');
+        // The paragraph was not edited, so its span survives
+        expect(output).toContain('<p class="lead">A variable <span class="hl">holds</span> a value &amp; a name.</p>');
+        expect(output).toContain('<!-- wp:separator /-->');
+    });
+
+    test('keeps the class of an edited element and drops a replaced image id', () => {
+        const doc = blocks.parse([
+            '<!-- wp:paragraph {"className":"lead"} -->\n<p class="lead">Old</p>\n<!-- /wp:paragraph -->',
+            '<!-- wp:image {"id":12,"sizeSlug":"large"} -->\n<figure class="wp-block-image size-large"><img src="/a.png" alt="A" class="wp-image-12"/></figure>\n<!-- /wp:image -->'
+        ].join('\n\n'));
+        doc.blocks[0].data = { content: 'New' };
+        doc.blocks[1].data = { url: '/b.png', alt: 'B', caption: 'Chart' };
+
+        const output = blocks.serialize(doc);
+
+        expect(output).toContain('<!-- wp:paragraph {"className":"lead"} -->\n<p class="lead">New</p>');
+        expect(output).toContain('<!-- wp:image {"sizeSlug":"large"} -->\n<figure class="wp-block-image size-large"><img src="/b.png" alt="B"/><figcaption class="wp-element-caption">Chart</figcaption></figure>');
+    });
+
+    test('adds new blocks separated by a blank line', () => {
+        const doc = blocks.parse('<!-- wp:paragraph -->\n<p>First</p>\n<!-- /wp:paragraph -->');
+        doc.blocks.unshift(blocks.createBlock('heading', { content: 'Intro' }));
+        doc.blocks.push(blocks.createBlock('quote', { paragraphs: ['Stay curious'], citation: 'A teacher' }));
+
+        expect(blocks.serialize(doc)).toBe([
+            '<!-- wp:heading -->\n<h2>Intro</h2>\n<!-- /wp:heading -->',
+            '<!-- wp:paragraph -->\n<p>First</p>\n<!-- /wp:paragraph -->',
+            '<!-- wp:quote -->\n<blockquote class="wp-block-quote"><p>Stay curious</p><cite>A teacher</cite></blockquote>\n<!-- /wp:quote -->'
+        ].join('\n\n'));
+    });
+
+    test('turns plain text into paragraphs', () => {
+        const doc = blocks.fromText('First line\nsecond line\n\n<b>Tags</b> are text');
+
+        expect(blocks.serialize(doc)).toBe([
+            '<!-- wp:paragraph -->\n<p>First line<br>second line</p>\n<!-- /wp:paragraph -->',
+            '<!-- wp:paragraph -->\n<p>&lt;b&gt;Tags&lt;/b&gt; are text</p>\n<!-- /wp:paragraph -->'
+        ].join('\n\n'));
+    });
+
+    test('turns an HTML fragment into blocks', () => {
+        const result = blocks.fromHtml('Lead <em>in</em>\n<ol><li>Declare</li><li>Assign</li></ol><h1>Next</h1><div onclick="x()">Done</div>');
+
+        expect(result.map(block => blocks.typeOf(block))).toEqual(['paragraph', 'list', 'heading', 'paragraph']);
+        expect(result[0].data).toEqual({ content: 'Lead <em>in</em>' });
+        expect(result[1].data).toEqual({ ordered: true, items: ['Declare', 'Assign'] });
+        expect(result[2].data).toEqual({ level: 2, content: 'Next' });
+        expect(result[3].data).toEqual({ content: 'Done' });
+    });
+
+    test('reduces edited text to safe inline formatting', () => {
+        expect(blocks.cleanInline('<div>Hi <strong onclick="x()">there</strong></div><script>alert(1)</script><br>'))
+            .toBe('Hi <strong>there</strong>');
+        expect(blocks.cleanInline('<a href="javascript:alert(1)">bad</a> <a href="https://example.com" target="_blank">good</a>'))
+            .toBe('<a href="">bad</a> <a href="https://example.com">good</a>');
+    });
+});
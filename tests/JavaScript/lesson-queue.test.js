@@ -0,0 +1,97 @@
+/**
+ * Tests for lesson-queue.js
+ *
+ * Covers scheduling, retries and saved state of bulk lesson generation
+ *
+ * @package MemberPressCoursesCopilot\Tests\JavaScript
+ */
+
+describe('MPCCLessonQueue', () => {
+    let queue;
+
+    const lessons = () => [
+        { id: '0-0', title: 'Intro' },
+        { id: '0-1', title: 'Setup' },
+        { id: '1-0', title: 'Variables' }
+    ];
+
+    beforeAll(() => {
+        require('../../assets/js/lesson-queue.js');
+        queue = window.MPCCLessonQueue;
+    });
+
+    test('lists the lessons that have no draft', () => {
+        const structure = {
+            sections: [
+                {
+                    title: 'Start',
+                    lessons: [
+                        { lesson_key: 'lesson_a', title: 'Intro', draft_content: 'Done' },
+                        { lesson_key: 'lesson_b', title: 'Setup' }
+                    ]
+                },
+                { title: 'Basics', lessons: [{ lesson_key: 'lesson_c', title: 'Variables', draft_content: '' }] }
+            ]
+        };
+
+        expect(queue.lessonsWithoutDrafts(structure)).toEqual([
+            { id: 'lesson_b', title: 'Setup' },
+            { id: 'lesson_c', title: 'Variables' }
+        ]);
+        expect(queue.lessonsWithoutDrafts({})).toEqual([]);
+    });
+
+    test('runs lessons in order up to the concurrency limit', () => {
+        const state = queue.create(lessons());
+
+        expect(queue.takeNext(state, 2, 0).map(item => item.id)).toEqual(['0-0', '0-1']);
+        expect(queue.takeNext(state, 2, 0)).toEqual([]);
+
+        queue.finish(state, '0-0', null, 0);
+        expect(queue.takeNext(state, 2, 0).map(item => item.id)).toEqual(['1-0']);
+        expect(queue.summarize(state)).toEqual({ total: 3, pending: 0, running: 2, done: 1, failed: 0, skipped: 0 });
+    });
+
+    test('holds back new requests while paused', () => {
+        const state = queue.create(lessons());
+        state.status = 'paused';
+
+        expect(queue.takeNext(state, 2, 0)).toEqual([]);
+    });
+
+    test('retries a failed lesson after a delay until it runs out of attempts', () => {
+        const state = queue.create([{ id: '0-0', title: 'Intro' }]);
+
+        queue.takeNext(state, 1, 0);
+        queue.finish(state, '0-0', 'Timeout', 1000);
+        expect(queue.find(state, '0-0')).toMatchObject({ status: 'pending', attempts: 1, error: 'Timeout' });
+        expect(queue.nextRetryAt(state)).toBe(6000);
+        expect(queue.takeNext(state, 1, 5999)).toEqual([]);
+
+        for (let attempt = 2; attempt <= queue.MAX_ATTEMPTS; attempt++) {
+            expect(queue.takeNext(state, 1, 100000 * attempt)).toHaveLength(1);
+            queue.finish(state, '0-0', 'Timeout', 100000 * attempt);
+        }
+        expect(queue.find(state, '0-0').status).toBe('failed');
+        expect(queue.isFinished(state)).toBe(true);
+
+        queue.retryFailed(state);
+        expect(queue.find(state, '0-0')).toMatchObject({ status: 'pending', attempts: 0, retryAt: 0 });
+        expect(queue.isFinished(state)).toBe(false);
+    });
+
+    test('puts interrupted lessons back in line after a reload', () => {
+        const state = queue.create(lessons());
+        queue.takeNext(state, 2, 0);
+        queue.finish(state, '0-0', null, 0);
+        state.status = 'paused';
+
+        const restored = queue.restore(JSON.stringify(state));
+
+        expect(restored.status).toBe('paused');
+        expect(restored.items.map(item => item.status)).toEqual(['done', 'pending', 'pending']);
+        expect(queue.find(restored, '0-1').attempts).toBe(0);
+        expect(queue.restore('not json')).toBeNull();
+        expect(queue.restore(JSON.stringify({ status: 'cancelled', items: [] }))).toBeNull();
+    });
+});
@@ -1496,6 +1496,1338 @@ describe('MPCCQuizAIModal', () => {
         });
     });
 
+    describe('Inline Question Editing', () => {
+        const multipleChoice = () => ({
+            question: 'What is 2+2?',
+            type: 'multiple_choice',
+            options: { A: '3', B: '4', C: '5' },
+            correct_answer: 'B',
+            explanation: 'Basic math'
+        });
+
+        beforeEach(() => {
+            modal.openModal();
+            modal.generatedQuestions = [multipleChoice()];
+            modal.displayQuestions(modal.generatedQuestions);
+        });
+
+        /**
+         * Test that edits are validated and stored for block creation
+         */
+        test('should save edited options and correct answer', () => {
+            $('.mpcc-question-edit').trigger('click');
+            const $rows = $('.mpcc-edit-option');
+            $rows.eq(0).find('.mpcc-edit-option-text').val('Four');
+            $rows.eq(0).find('.mpcc-edit-correct').prop('checked', true);
+            $('.mpcc-edit-explanation').val('2 + 2 = 4');
+            $('.mpcc-question-save').trigger('click');
+
+            expect(modal.generatedQuestions[0]).toMatchObject({
+                options: { A: 'Four', B: '4', C: '5' },
+                correct_answer: 'A',
+                explanation: '2 + 2 = 4'
+            });
+            expect($('.mpcc-question-item')).not.toHaveClass('is-editing');
+            expect($('#mpcc-questions-preview')).toContainText('✓ A) Four');
+
+            const prepared = modal.prepareQuestionData(modal.generatedQuestions[0], 0);
+            expect(prepared.answer).toBe(0);
+            expect(prepared.options[0]).toEqual({ value: 'Four', isCorrect: true });
+        });
+
+        /**
+         * Test that invalid edits are rejected
+         */
+        test('should keep the editor open when validation fails', () => {
+            $('.mpcc-question-edit').trigger('click');
+            $('.mpcc-edit-option').eq(1).find('.mpcc-edit-option-text').val('');
+            $('.mpcc-question-save').trigger('click');
+
+            expect($('.mpcc-question-item')).toHaveClass('is-editing');
+            expect($('.mpcc-edit-errors')).toContainText('Option B is empty.');
+            expect(modal.generatedQuestions[0].options.B).toBe('4');
+        });
+
+        /**
+         * Test that cancelling restores the original question
+         */
+        test('should discard edits on cancel', () => {
+            $('.mpcc-question-edit').trigger('click');
+            $('.mpcc-edit-text').val('Changed?');
+            $('.mpcc-question-cancel').trigger('click');
+
+            expect(modal.generatedQuestions[0].question).toBe('What is 2+2?');
+            expect($('#mpcc-questions-preview')).toContainText('What is 2+2?');
+        });
+
+        /**
+         * Test adding and removing options re-letters them
+         */
+        test('should add and remove options', () => {
+            $('.mpcc-question-edit').trigger('click');
+            $('.mpcc-edit-add-option').trigger('click');
+            $('.mpcc-edit-option').eq(3).find('.mpcc-edit-option-text').val('6');
+            $('.mpcc-edit-option').eq(0).find('.mpcc-edit-remove-option').trigger('click');
+            $('.mpcc-question-save').trigger('click');
+
+            expect(modal.generatedQuestions[0].options).toEqual({ A: '4', B: '5', C: '6' });
+            expect(modal.generatedQuestions[0].correct_answer).toBe('A');
+        });
+
+        /**
+         * Test changing the question type carries the answers over
+         */
+        test('should convert the question when its type changes', () => {
+            $('.mpcc-question-edit').trigger('click');
+            $('.mpcc-edit-type').val('multiple_select').trigger('change');
+
+            expect($('.mpcc-edit-correct').attr('type')).toBe('checkbox');
+            $('.mpcc-edit-option').eq(2).find('.mpcc-edit-correct').prop('checked', true);
+            $('.mpcc-question-save').trigger('click');
+
+            expect(modal.generatedQuestions[0]).toMatchObject({
+                type: 'multiple_select',
+                correct_answers: ['B', 'C']
+            });
+            expect(modal.generatedQuestions[0].correct_answer).toBeUndefined();
+            expect(modal.getBlockTypeForQuestion(modal.generatedQuestions[0].type))
+                .toBe('memberpress-courses/multiple-answer-question');
+        });
+
+        /**
+         * Test true/false conversion requires picking an answer
+         */
+        test('should require an answer after converting to true/false', () => {
+            $('.mpcc-question-edit').trigger('click');
+            $('.mpcc-edit-type').val('true_false').trigger('change');
+            $('.mpcc-question-save').trigger('click');
+
+            expect($('.mpcc-edit-errors')).toContainText('true or false');
+
+            $('.mpcc-edit-tf[value="false"]').prop('checked', true);
+            $('.mpcc-question-save').trigger('click');
+
+            expect(modal.generatedQuestions[0]).toMatchObject({
+                type: 'true_false',
+                statement: 'What is 2+2?',
+                correct_answer: false
+            });
+        });
+
+        /**
+         * Test validation mirrors what the prepare functions need
+         */
+        test('should validate questions per type', () => {
+            expect(modal.validateQuestion(multipleChoice())).toEqual([]);
+            expect(modal.validateQuestion({ ...multipleChoice(), correct_answer: 'D' })).toContain('Mark the correct option.');
+            expect(modal.validateQuestion({ ...multipleChoice(), options: { A: '4' }, correct_answer: 'A' }))
+                .toContain('At least two options are required.');
+            expect(modal.validateQuestion({ type: 'multiple_select', question: 'Q', options: { A: 'x', B: 'y' }, correct_answers: [] }))
+                .toContain('Mark at least one option as correct.');
+            expect(modal.validateQuestion({ type: 'true_false', statement: 'S', correct_answer: 'true' })).toEqual([]);
+            expect(modal.validateQuestion({ type: 'text_answer', question: '' })).toContain('Question text is required.');
+        });
+
+        /**
+         * Test applying is blocked while an editor is open
+         */
+        test('should not apply questions with unsaved edits', async () => {
+            const mockInsertBlocks = jest.fn();
+            wp.data.dispatch.mockReturnValue({ insertBlocks: mockInsertBlocks, editPost: jest.fn() });
+
+            $('.mpcc-question-edit').trigger('click');
+            await modal.applyQuestions();
+
+            expect(mockInsertBlocks).not.toHaveBeenCalled();
+            expect(modal.modalOpen).toBe(true);
+            expect($('#mpcc-modal-error .error-message')).toHaveText('Question 1 has unsaved changes.');
+        });
+
+        /**
+         * Test invalid generated questions are opened for editing instead of inserted
+         */
+        test('should open invalid questions for editing on apply', async () => {
+            const mockInsertBlocks = jest.fn();
+            wp.data.dispatch.mockReturnValue({ insertBlocks: mockInsertBlocks, editPost: jest.fn() });
+            modal.generatedQuestions.push({ question: 'Broken?', type: 'multiple_choice', options: { A: 'Only' }, correct_answer: 'A' });
+            modal.displayQuestions(modal.generatedQuestions);
+
+            await modal.applyQuestions();
+
+            expect(mockInsertBlocks).not.toHaveBeenCalled();
+            expect(modal.getQuestionItem(1)).toHaveClass('is-editing');
+        });
+
+        /**
+         * Test generated text is escaped in the preview
+         */
+        test('should escape question text in the preview', () => {
+            modal.generatedQuestions = [{ ...multipleChoice(), question: 'Is <b>bold</b> a tag?' }];
+            modal.displayQuestions(modal.generatedQuestions);
+
+            expect($('.mpcc-question-text b')).toHaveLength(0);
+            expect($('.mpcc-question-text')).toHaveText('Is <b>bold</b> a tag?');
+        });
+    });
+
+    describe('Per-question Controls', () => {
+        const question = (text) => ({
+            question: text,
+            type: 'multiple_choice',
+            options: { A: 'Yes', B: 'No' },
+            correct_answer: 'A'
+        });
+
+        beforeEach(() => {
+            modal.openModal();
+            modal.displayQuestions([question('First?'), question('Second?'), question('Third?')]);
+        });
+
+        /**
+         * Test only selected questions are inserted
+         */
+        test('should insert only selected questions', async () => {
+            const mockInsertBlocks = jest.fn();
+            wp.data.dispatch.mockReturnValue({
+                insertBlocks: mockInsertBlocks,
+                editPost: jest.fn(),
+                addPlaceholder: jest.fn(),
+                getNextQuestionId: jest.fn().mockResolvedValue({ id: 456 })
+            });
+            const createSpy = jest.spyOn(modal, 'createQuestionBlock');
+
+            modal.getQuestionItem(1).find('.mpcc-question-select').prop('checked', false).trigger('change');
+
+            expect(modal.getQuestionItem(1)).toHaveClass('is-excluded');
+            expect($('#mpcc-questions-selection')).toHaveText('(2 of 3 selected)');
+
+            await modal.applyQuestions();
+
+            expect(createSpy.mock.calls.map(call => call[0].question)).toEqual(['First?', 'Third?']);
+            expect(createSpy.mock.calls.map(call => call[1])).toEqual([0, 1]);
+            expect(mockInsertBlocks.mock.calls[0][0]).toHaveLength(2);
+        });
+
+        /**
+         * Test excluded questions do not block applying when invalid
+         */
+        test('should skip validation of excluded questions', () => {
+            modal.generatedQuestions[2].options = {};
+            modal.toggleQuestionSelection(2, false);
+
+            expect(modal.validateQuestionsForApply()).toBe(true);
+        });
+
+        /**
+         * Test the apply button is disabled when nothing is selected
+         */
+        test('should disable apply when no question is selected', () => {
+            [0, 1, 2].forEach(index => modal.toggleQuestionSelection(index, false));
+
+            expect($('#mpcc-apply-questions').prop('disabled')).toBe(true);
+        });
+
+        /**
+         * Test discarding removes the question and keeps the selection aligned
+         */
+        test('should discard a question', () => {
+            modal.toggleQuestionSelection(2, false);
+            modal.getQuestionItem(0).find('.mpcc-question-discard').trigger('click');
+
+            expect(modal.generatedQuestions.map(q => q.question)).toEqual(['Second?', 'Third?']);
+            expect(modal.selectedQuestions).toEqual([true, false]);
+            expect($('.mpcc-question-item')).toHaveLength(2);
+            expect(modal.getQuestionItem(1)).toHaveClass('is-excluded');
+            expect($('.mpcc-question-number').first()).toHaveText('Question 1');
+        });
+
+        /**
+         * Test keyboard shortcuts for selection, regenerate and discard
+         */
+        test('should support keyboard shortcuts on question items', () => {
+            const $item = modal.getQuestionItem(1);
+
+            $item.trigger($.Event('keydown', { key: ' ' }));
+            expect(modal.selectedQuestions[1]).toBe(false);
+
+            $item.trigger($.Event('keydown', { key: 'r' }));
+            expect($item.find('.mpcc-question-regenerate').attr('aria-expanded')).toBe('true');
+
+            $item.trigger($.Event('keydown', { key: 'Delete', shiftKey: true }));
+            expect(modal.generatedQuestions.map(q => q.question)).toEqual(['First?', 'Third?']);
+        });
+
+        /**
+         * Test regenerating a single question with a hint
+         */
+        test('should regenerate one question with a hint', () => {
+            modal.getQuestionItem(1).find('.mpcc-question-regenerate').trigger('click');
+            modal.getQuestionItem(1).find('.mpcc-regenerate-hint').val('make it harder');
+            modal.getQuestionItem(1).find('.mpcc-regenerate-submit').trigger('click');
+
+            const request = $.ajax.mock.calls[$.ajax.mock.calls.length - 1][0];
+            expect(request.data.action).toBe('mpcc_regenerate_question');
+            expect(JSON.parse(request.data.question).question).toBe('Second?');
+            expect(JSON.parse(request.data.options)).toEqual({
+                hint: 'make it harder',
+                avoid: ['First?', 'Third?']
+            });
+            expect(modal.getQuestionItem(1)).toHaveClass('is-regenerating');
+
+            request.success({ success: true, data: question('Harder second?') });
+
+            expect(modal.generatedQuestions[1].question).toBe('Harder second?');
+            expect(modal.getQuestionItem(1)).not.toHaveClass('is-regenerating');
+            expect(modal.getQuestionItem(1)).toContainText('Harder second?');
+        });
+
+        /**
+         * Test a regeneration result lands on the right question after a discard
+         */
+        test('should place a regenerated question by identity', () => {
+            modal.regenerateQuestion(2);
+            const request = $.ajax.mock.calls[$.ajax.mock.calls.length - 1][0];
+
+            modal.discardQuestion(0);
+            request.success({ success: true, data: question('New third?') });
+
+            expect(modal.generatedQuestions.map(q => q.question)).toEqual(['Second?', 'New third?']);
+        });
+
+        /**
+         * Test regeneration errors restore the original question
+         */
+        test('should restore the question when regeneration fails', () => {
+            modal.regenerateQuestion(0);
+            const request = $.ajax.mock.calls[$.ajax.mock.calls.length - 1][0];
+
+            request.error({ responseJSON: { data: { error: { message: 'Rate limited' } } } });
+
+            expect(modal.generatedQuestions[0].question).toBe('First?');
+            expect(modal.getQuestionItem(0).find('.mpcc-question-regenerate').prop('disabled')).toBe(false);
+            expect($('#mpcc-modal-error .error-message')).toHaveText('Rate limited');
+        });
+    });
+
+    describe('Mixed Question Types', () => {
+        beforeEach(() => {
+            modal.openModal();
+            const $lessonSelect = $('#mpcc-modal-lesson-select');
+            $lessonSelect.append('<option value="123">Test Lesson</option>').val('123');
+            $('#mpcc-modal-question-type').val('mixed').trigger('change');
+            $.ajax.mockClear();
+        });
+
+        const lastGenerateRequest = () => $.ajax.mock.calls
+            .map(call => call[0])
+            .filter(options => options.data && options.data.action === 'mpcc_generate_quiz')
+            .pop();
+
+        /**
+         * Test the distribution picker replaces the question count
+         */
+        test('should show the distribution picker for mixed quizzes', () => {
+            expect($('#mpcc-type-distribution').css('display')).not.toBe('none');
+            expect($('.mpcc-question-count-section').css('display')).toBe('none');
+            expect($('#mpcc-distribution-total')).toHaveText('Total: 10 questions');
+
+            $('#mpcc-modal-question-type').val('true_false').trigger('change');
+
+            expect($('#mpcc-type-distribution').css('display')).toBe('none');
+        });
+
+        /**
+         * Test the distribution is sent in one request
+         */
+        test('should send the type distribution with the generate request', () => {
+            $('#mpcc-distribution-multiple_select').val('1').trigger('input');
+            $('#mpcc-distribution-text_answer').val('0').trigger('input');
+
+            expect($('#mpcc-distribution-total')).toHaveText('Total: 9 questions');
+
+            modal.generateQuestions('medium');
+
+            const options = JSON.parse(lastGenerateRequest().data.options);
+            expect(options.question_type).toBe('mixed');
+            expect(options.num_questions).toBe(9);
+            expect(options.distribution).toEqual({ multiple_choice: 6, true_false: 2, multiple_select: 1 });
+        });
+
+        /**
+         * Test an empty or oversized distribution is rejected before the request
+         */
+        test('should validate the distribution total', () => {
+            $('.mpcc-distribution-count').val('0');
+
+            modal.generateQuestions('medium');
+
+            expect(lastGenerateRequest()).toBeUndefined();
+            expect($('#mpcc-type-distribution-error')).toHaveText('Choose between 1 and 50 questions in total (currently 0)');
+
+            $('#mpcc-distribution-multiple_choice').val('51').trigger('input');
+            modal.generateQuestions('medium');
+
+            expect(lastGenerateRequest()).toBeUndefined();
+        });
+
+        /**
+         * Test each question of a mixed set is inserted with its own block type
+         */
+        test('should insert each question with the block for its type', async () => {
+            modal.displayQuestions([
+                { question: 'MC?', type: 'multiple_choice', options: { A: 'x', B: 'y' }, correct_answer: 'A' },
+                { statement: 'TF', type: 'true_false', correct_answer: true },
+                { question: 'SA?', type: 'text_answer', correct_answer: 'z' }
+            ]);
+
+            expect($('.mpcc-question-type').map((i, el) => $(el).text()).get())
+                .toEqual(['Multiple Choice', 'True/False', 'Short Answer']);
+
+            const mockInsertBlocks = jest.fn();
+            wp.data.dispatch.mockReturnValue({
+                insertBlocks: mockInsertBlocks,
+                editPost: jest.fn(),
+                addPlaceholder: jest.fn(),
+                getNextQuestionId: jest.fn().mockResolvedValue({ id: 456 })
+            });
+
+            await modal.applyQuestions();
+
+            expect(mockInsertBlocks.mock.calls[0][0].map(block => block.name)).toEqual([
+                'memberpress-courses/multiple-choice-question',
+                'memberpress-courses/true-false-question',
+                'memberpress-courses/short-answer-question'
+            ]);
+        });
+    });
+
+    describe('Quality Review', () => {
+        const question = (text, correct = 'A') => ({
+            question: text,
+            type: 'multiple_choice',
+            options: { A: 'One', B: 'Two', C: 'Three', D: 'Four' },
+            correct_answer: correct
+        });
+
+        const lastValidateRequest = () => $.ajax.mock.calls
+            .map(call => call[0])
+            .filter(options => options.data && options.data.action === 'mpcc_validate_quiz')
+            .pop();
+
+        const respond = (issues, errors = []) => lastValidateRequest().success({
+            success: true,
+            data: {
+                valid: errors.length === 0,
+                errors: errors,
+                warnings: [],
+                quality: {
+                    score: 77,
+                    issues: issues,
+                    summary: { totalQuestions: 3, flaggedQuestions: 1, readingGrade: 7.5, lessonGrade: 8, groundingChecked: true }
+                }
+            }
+        });
+
+        beforeEach(() => {
+            modal.openModal();
+            $('#mpcc-modal-lesson-select').append('<option value="123">Test Lesson</option>').val('123');
+            modal.displayQuestions([question('First?'), question('Second?'), question('Third?')]);
+            $.ajax.mockClear();
+        });
+
+        /**
+         * Test the review sends the selected questions and lesson, and renders the report
+         */
+        test('should review the selected questions and render issues', () => {
+            modal.toggleQuestionSelection(0, false);
+            $('#mpcc-review-quality').trigger('click');
+
+            const request = lastValidateRequest();
+            expect(request.data.lesson_id).toBe('123');
+            expect(JSON.parse(request.data.quiz_data).questions.map(q => q.question)).toEqual(['Second?', 'Third?']);
+
+            respond([
+                { question: 1, type: 'duplicate', severity: 'medium', message: 'Very similar to question 1', hint: 'Ask about a different concept', fix: 'regenerate' },
+                { question: null, type: 'position_bias', severity: 'medium', message: '2 of 2 answers are option A', hint: '', fix: 'shuffle' }
+            ], ['Question 1: Correct answer is missing']);
+
+            const $issues = $('#mpcc-quality-report .mpcc-quality-issue');
+            expect($('#mpcc-quality-report .mpcc-quality-score')).toHaveText('Quality score: 77/100');
+            expect($issues).toHaveLength(3);
+            expect($issues.eq(0).find('.mpcc-quality-target')).toHaveText('Question 2');
+            expect($issues.eq(0).find('.mpcc-quality-fix')).toHaveText('Edit');
+            expect($issues.eq(1).find('.mpcc-quality-target')).toHaveText('Question 3');
+            expect($issues.eq(2).find('.mpcc-quality-target')).toHaveText('Quiz');
+            expect($issues.eq(2).find('.mpcc-quality-fix')).toHaveText('Shuffle answers');
+        });
+
+        /**
+         * Test a one-click fix regenerates the flagged question with the issue hint
+         */
+        test('should regenerate a flagged question with the issue hint', () => {
+            modal.reviewQuality();
+            respond([
+                { question: 2, type: 'ungrounded', severity: 'medium', message: 'Only 20% of its key terms appear in the lesson', hint: 'Base the question strictly on facts stated in the lesson', fix: 'regenerate' }
+            ]);
+
+            $('#mpcc-quality-report .mpcc-quality-fix').trigger('click');
+
+            const request = $.ajax.mock.calls[$.ajax.mock.calls.length - 1][0];
+            expect(request.data.action).toBe('mpcc_regenerate_question');
+            expect(JSON.parse(request.data.question).question).toBe('Third?');
+            expect(JSON.parse(request.data.options).hint).toBe('Base the question strictly on facts stated in the lesson');
+            expect($('#mpcc-quality-report .mpcc-quality-issue')).toHaveClass('is-fixed');
+
+            request.success({ success: true, data: question('Grounded third?') });
+
+            expect($('#mpcc-quality-report .mpcc-quality-stale')).toHaveLength(1);
+        });
+
+        /**
+         * Test fix-all sends one regeneration per flagged question
+         */
+        test('should regenerate each flagged question once when fixing all', () => {
+            modal.reviewQuality();
+            respond([
+                { question: 0, type: 'giveaway', severity: 'medium', message: 'Uses a catch-all option', hint: 'Replace catch-all options', fix: 'regenerate' },
+                { question: 0, type: 'giveaway', severity: 'low', message: 'The correct option is longer', hint: 'Make all options similar in length', fix: 'regenerate' },
+                { question: 1, type: 'reading_level', severity: 'low', message: 'Reads at about grade 14', hint: 'Use simpler, shorter wording', fix: 'regenerate' }
+            ]);
+
+            $('#mpcc-quality-report .mpcc-quality-fix-all').trigger('click');
+
+            const requests = $.ajax.mock.calls
+                .map(call => call[0])
+                .filter(options => options.data.action === 'mpcc_regenerate_question');
+            expect(requests).toHaveLength(2);
+            expect(JSON.parse(requests[0].data.options).hint).toBe('Replace catch-all options. Make all options similar in length');
+            expect(JSON.parse(requests[1].data.question).question).toBe('Second?');
+        });
+
+        /**
+         * Test issue numbers follow their question after a discard
+         */
+        test('should renumber issues when questions are discarded', () => {
+            modal.reviewQuality();
+            respond([
+                { question: 0, type: 'duplicate', severity: 'high', message: 'Repeats question 2', hint: 'Ask about a different concept', fix: 'regenerate' },
+                { question: 2, type: 'duplicate', severity: 'high', message: 'Repeats question 2', hint: 'Ask about a different concept', fix: 'regenerate' }
+            ]);
+
+            modal.discardQuestion(0);
+
+            const $targets = $('#mpcc-quality-report .mpcc-quality-target');
+            expect($targets.eq(0)).toHaveText('Removed question');
+            expect($targets.eq(1)).toHaveText('Question 2');
+            expect($('#mpcc-quality-report .mpcc-quality-issue').eq(0).find('.mpcc-quality-fix')).toHaveLength(0);
+        });
+
+        /**
+         * Test shuffling spreads correct answers over the option positions
+         */
+        test('should balance correct answer positions', () => {
+            modal.displayQuestions([1, 2, 3, 4, 5, 6, 7, 8].map(n => question(`Q${n}?`)));
+
+            expect(modal.balanceAnswerPositions()).toBe(true);
+
+            const positions = modal.generatedQuestions.map(q => q.correct_answer);
+            ['A', 'B', 'C', 'D'].forEach(letter => {
+                expect(positions.filter(position => position === letter)).toHaveLength(2);
+            });
+            modal.generatedQuestions.forEach(q => {
+                expect(q.options[q.correct_answer]).toBe('One');
+                expect(Object.values(q.options).sort()).toEqual(['Four', 'One', 'Three', 'Two']);
+            });
+        });
+
+        /**
+         * Test a failed review shows a retry link instead of a report
+         */
+        test('should show an error when the review fails', () => {
+            modal.reviewQuality();
+            lastValidateRequest().error({ responseJSON: { data: { error: { message: 'Security check failed' } } } });
+            lastValidateRequest().complete();
+
+            expect($('#mpcc-quality-report .mpcc-quality-error')).toContainText('Security check failed');
+            expect($('#mpcc-review-quality').prop('disabled')).toBe(false);
+            expect(modal.qualityReview).toBeNull();
+        });
+    });
+
+    describe('Multi-lesson Quizzes', () => {
+        const lastGenerateRequest = () => $.ajax.mock.calls
+            .map(call => call[0])
+            .filter(options => options.data && options.data.action === 'mpcc_generate_quiz')
+            .pop();
+
+        beforeEach(() => {
+            modal.openModal();
+            modal.courseLessons = [
+                { id: 11, title: 'Variables', sectionId: 1, sectionTitle: 'Basics' },
+                { id: 12, title: 'Operators', sectionId: 1, sectionTitle: 'Basics' },
+                { id: 21, title: 'Functions', sectionId: 2, sectionTitle: 'Going further' }
+            ];
+            $('#mpcc-modal-lesson-select').append('<option value="12">Operators</option>').val('12');
+            $('#mpcc-multi-lesson').prop('checked', true).trigger('change');
+            $.ajax.mockClear();
+        });
+
+        /**
+         * Test the checklist is grouped by section and starts with the current lesson
+         */
+        test('should list lessons by section with the current lesson picked', () => {
+            expect($('#mpcc-lesson-picker').css('display')).not.toBe('none');
+            expect($('#mpcc-modal-lesson-select').css('display')).toBe('none');
+            expect($('.mpcc-lesson-picker-section-title').map((i, el) => $(el).text().trim()).get())
+                .toEqual(['Basics', 'Going further']);
+            expect(modal.getSelectedLessonIds()).toEqual([12]);
+            expect($('#mpcc-lesson-picker-summary')).toHaveText('1 lesson selected, 3 questions in total');
+        });
+
+        /**
+         * Test a section checkbox picks all of its lessons
+         */
+        test('should pick a whole section at once', () => {
+            $('.mpcc-section-toggle[data-section="1"]').prop('checked', true).trigger('change');
+
+            expect(modal.getSelectedLessonIds()).toEqual([11, 12]);
+            expect($('.mpcc-section-toggle[data-section="1"]').prop('checked')).toBe(true);
+
+            $('.mpcc-lesson-pick[value="21"]').prop('checked', true).trigger('change');
+            $('.mpcc-lesson-pick[value="11"]').prop('checked', false).trigger('change');
+
+            expect($('.mpcc-section-toggle[data-section="1"]').prop('indeterminate')).toBe(true);
+            expect($('#mpcc-lesson-picker-summary')).toHaveText('2 lessons selected, 6 questions in total');
+        });
+
+        /**
+         * Test the lesson set and allocation are sent with the generate request
+         */
+        test('should send the lesson set with a per-lesson count', () => {
+            $('.mpcc-lesson-picker-all').trigger('click');
+            $('#mpcc-questions-per-lesson').val('4').trigger('input');
+
+            expect($('.mpcc-question-count-section').css('display')).toBe('none');
+
+            modal.generateQuestions('medium');
+
+            const request = lastGenerateRequest();
+            const options = JSON.parse(request.data.options);
+            expect(JSON.parse(request.data.lesson_ids)).toEqual([11, 12, 21]);
+            expect(options.allocation).toBe('per_lesson');
+            expect(options.questions_per_lesson).toBe(4);
+        });
+
+        /**
+         * Test weighting by length uses the overall question count
+         */
+        test('should weight by lesson length using the question count', () => {
+            $('.mpcc-lesson-pick[value="21"]').prop('checked', true).trigger('change');
+            $('input[name="mpcc-allocation"][value="weighted"]').prop('checked', true).trigger('change');
+            $('#mpcc-modal-question-count').val('8').trigger('input');
+
+            expect($('.mpcc-question-count-section').css('display')).not.toBe('none');
+            expect($('#mpcc-lesson-picker-summary')).toHaveText('2 lessons selected, 8 questions in total');
+
+            modal.generateQuestions('medium');
+
+            const options = JSON.parse(lastGenerateRequest().data.options);
+            expect(options.allocation).toBe('weighted');
+            expect(options.num_questions).toBe(8);
+        });
+
+        /**
+         * Test an empty pick or an oversized quiz is rejected before the request
+         */
+        test('should validate the lesson set', () => {
+            $('.mpcc-lesson-pick').prop('checked', false).trigger('change');
+            modal.generateQuestions('medium');
+
+            expect(lastGenerateRequest()).toBeUndefined();
+            expect($('#mpcc-lesson-picker-error')).toHaveText('Please select at least one lesson to generate questions from');
+
+            $('.mpcc-lesson-picker-all').trigger('click');
+            $('#mpcc-questions-per-lesson').val('20').trigger('input');
+            modal.generateQuestions('medium');
+
+            expect(lastGenerateRequest()).toBeUndefined();
+            expect($('#mpcc-lesson-picker-error')).toHaveText('These settings would create 60 questions. Choose between 1 and 50 in total.');
+        });
+
+        /**
+         * Test questions show their lesson and regenerate from it
+         */
+        test('should tag questions with their source lesson', () => {
+            const source = { id: 21, title: 'Functions' };
+            modal.displayQuestions([
+                { question: 'What is a closure?', type: 'multiple_choice', options: { A: 'x', B: 'y' }, correct_answer: 'A', source_lesson: source }
+            ]);
+
+            expect($('.mpcc-question-source')).toHaveText('Functions');
+
+            modal.regenerateQuestion(0);
+            const request = $.ajax.mock.calls
+                .map(call => call[0])
+                .filter(options => options.data.action === 'mpcc_regenerate_question')
+                .pop();
+
+            expect(request.data.lesson_id).toBe(21);
+
+            request.success({ success: true, data: { question: 'What does a closure capture?', options: { A: 'x', B: 'y' }, correct_answer: 'A' } });
+
+            expect(modal.generatedQuestions[0].source_lesson).toEqual(source);
+        });
+    });
+
+    describe('Question Bank', () => {
+        const requestsFor = (action) => $.ajax.mock.calls
+            .map(call => call[0])
+            .filter(options => options.data && options.data.action === action);
+
+        const bankEntry = (id, text, extra = {}) => Object.assign({
+            id: id,
+            type: 'multiple_choice',
+            question: { type: 'multiple_choice', question: text, options: { A: 'Yes', B: 'No' }, correct_answer: 'A' },
+            lesson_id: 12,
+            lesson_title: 'Operators',
+            course_id: 5,
+            difficulty: 'easy',
+            can_delete: true
+        }, extra);
+
+        const openBank = (entries, meta = {}) => {
+            $('#mpcc-open-bank').trigger('click');
+            requestsFor('mpcc_search_question_bank').pop().success({
+                success: true,
+                data: Object.assign({ questions: entries, total: entries.length, page: 1, pages: 1 }, meta)
+            });
+        };
+
+        beforeEach(() => {
+            modal.openModal();
+            modal.currentCourseId = 5;
+            $('#mpcc-modal-lesson-select').append('<option value="12">Operators</option>').val('12');
+            $.ajax.mockClear();
+        });
+
+        /**
+         * Test previewed questions are saved with their tags and shown as banked
+         */
+        test('should save a previewed question to the bank with its tags', () => {
+            modal.displayQuestions([
+                { type: 'true_false', statement: 'PHP is case-sensitive', correct_answer: false },
+                { type: 'multiple_choice', question: 'What is PHP?', options: { A: 'A language', B: 'A font' }, correct_answer: 'A' }
+            ]);
+
+            modal.getQuestionItem(0).find('.mpcc-question-bank-save').trigger('click');
+
+            const request = requestsFor('mpcc_save_bank_questions').pop();
+            const items = JSON.parse(request.data.items);
+            expect(items).toHaveLength(1);
+            expect(items[0].question.statement).toBe('PHP is case-sensitive');
+            expect(items[0]).toEqual(expect.objectContaining({ lesson_id: '12', course_id: 5, difficulty: 'medium' }));
+
+            request.success({ success: true, data: { saved: [{ index: 0, id: 40 }], errors: [] } });
+
+            expect(modal.generatedQuestions[0].bank_id).toBe(40);
+            expect(modal.getQuestionItem(0).find('.mpcc-question-banked')).toHaveText('In bank');
+            expect(modal.getQuestionItem(0).find('.mpcc-question-bank-save')).toHaveLength(0);
+            expect(modal.getQuestionItem(1).find('.mpcc-question-bank-save')).toHaveLength(1);
+        });
+
+        /**
+         * Test questions the bank already had are reported as duplicates
+         */
+        test('should report questions the bank already had', () => {
+            const notice = jest.spyOn(modal, 'showNotice').mockImplementation(() => {});
+            modal.displayQuestions([
+                { type: 'text_answer', question: 'Name a PHP loop', correct_answer: 'for' },
+                { type: 'text_answer', question: 'Name a PHP type', correct_answer: 'string' }
+            ]);
+
+            $('#mpcc-save-to-bank').trigger('click');
+            requestsFor('mpcc_save_bank_questions').pop().success({
+                success: true,
+                data: { saved: [{ index: 0, id: 41, duplicate: false }, { index: 1, id: 9, duplicate: true }], errors: [] }
+            });
+
+            expect(modal.generatedQuestions.map(question => question.bank_id)).toEqual([41, 9]);
+            expect(notice).toHaveBeenCalledWith('1 question saved to the question bank; 1 was already in it.', 'success');
+            notice.mockRestore();
+        });
+
+        /**
+         * Test bulk saving skips questions that are excluded or already banked
+         */
+        test('should save only selected questions not yet in the bank', () => {
+            modal.displayQuestions([
+                { type: 'text_answer', question: 'Name a PHP loop', correct_answer: 'for' },
+                { type: 'text_answer', question: 'Name a PHP type', correct_answer: 'string', bank_id: 7 },
+                { type: 'text_answer', question: 'Name a PHP function', correct_answer: 'echo' }
+            ]);
+            modal.toggleQuestionSelection(2, false);
+
+            $('#mpcc-save-to-bank').trigger('click');
+
+            const items = JSON.parse(requestsFor('mpcc_save_bank_questions').pop().data.items);
+            expect(items.map(item => item.question.question)).toEqual(['Name a PHP loop']);
+        });
+
+        /**
+         * Test the bank is searched for the current course when opened
+         */
+        test('should search the bank with the selected filters', () => {
+            $('#mpcc-open-bank').trigger('click');
+
+            expect($('#mpcc-question-bank').css('display')).not.toBe('none');
+            expect($('#mpcc-open-bank').attr('aria-expanded')).toBe('true');
+            expect(requestsFor('mpcc_search_question_bank').pop().data).toEqual(expect.objectContaining({
+                page: 1,
+                course_id: 5,
+                lesson_id: ''
+            }));
+
+            $('#mpcc-bank-search').val('operators');
+            $('#mpcc-bank-type').val('true_false');
+            $('#mpcc-bank-scope').val('lesson').trigger('change');
+
+            expect(requestsFor('mpcc_search_question_bank').pop().data).toEqual(expect.objectContaining({
+                search: 'operators',
+                type: 'true_false',
+                course_id: '',
+                lesson_id: '12'
+            }));
+        });
+
+        /**
+         * Test results are listed with tags and a stale response is ignored
+         */
+        test('should render results and ignore superseded searches', () => {
+            $('#mpcc-open-bank').trigger('click');
+            const stale = requestsFor('mpcc_search_question_bank').pop();
+            $('#mpcc-bank-search-submit').trigger('click');
+            const current = requestsFor('mpcc_search_question_bank').pop();
+
+            current.success({ success: true, data: { questions: [bankEntry(1, 'Is == strict?')], total: 3, page: 1, pages: 2 } });
+            current.complete();
+            stale.success({ success: true, data: { questions: [bankEntry(9, 'Old result')], total: 1, page: 1, pages: 1 } });
+
+            expect($('.mpcc-bank-item')).toHaveLength(1);
+            expect($('.mpcc-bank-text')).toHaveText('Is == strict?');
+            expect($('.mpcc-bank-tag').map((i, el) => $(el).text()).get()).toEqual(['Multiple Choice', 'Easy', 'Operators']);
+            expect($('.mpcc-bank-count')).toHaveText('Showing 1 of 3 saved questions');
+            expect($('#mpcc-bank-more').css('display')).not.toBe('none');
+
+            $('.mpcc-bank-pick[value="1"]').prop('checked', true).trigger('change');
+            $('#mpcc-bank-more').trigger('click');
+            const next = requestsFor('mpcc_search_question_bank').pop();
+            expect(next.data.page).toBe(2);
+            next.success({ success: true, data: { questions: [bankEntry(2, 'Is === strict?')], total: 3, page: 2, pages: 2 } });
+
+            expect($('.mpcc-bank-item')).toHaveLength(2);
+            expect($('.mpcc-bank-pick[value="1"]').prop('checked')).toBe(true);
+            expect($('#mpcc-bank-more').css('display')).toBe('none');
+        });
+
+        /**
+         * Test bank questions join the preview and survive a new generation
+         */
+        test('should add bank questions alongside generated ones', () => {
+            modal.displayQuestions([
+                { type: 'multiple_choice', question: 'What is PHP?', options: { A: 'A language', B: 'A font' }, correct_answer: 'A' }
+            ]);
+            openBank([bankEntry(1, 'Is == strict?'), bankEntry(2, 'Is === strict?')]);
+
+            $('.mpcc-bank-pick[value="2"]').prop('checked', true).trigger('change');
+            expect($('#mpcc-bank-add')).toHaveText('Add 1 to Quiz');
+            $('#mpcc-bank-add').trigger('click');
+
+            expect(modal.generatedQuestions).toHaveLength(2);
+            expect(modal.generatedQuestions[1]).toEqual(expect.objectContaining({
+                question: 'Is === strict?',
+                bank_id: 2,
+                from_bank: true,
+                source_lesson: { id: 12, title: 'Operators' }
+            }));
+            expect(modal.getQuestionItem(1).find('.mpcc-question-from-bank')).toHaveText('From bank');
+            expect($('.mpcc-bank-item[data-id="2"] .mpcc-bank-pick').prop('disabled')).toBe(true);
+
+            modal.generateQuestions('medium');
+            requestsFor('mpcc_generate_quiz').pop().success({
+                success: true,
+                data: { questions: [{ type: 'true_false', statement: 'PHP runs on the server', correct_answer: true }] }
+            });
+
+            expect(modal.generatedQuestions.map(question => question.question || question.statement))
+                .toEqual(['Is === strict?', 'PHP runs on the server']);
+        });
+
+        /**
+         * Test bank questions insert through the same block data path
+         */
+        test('should prepare bank questions as regular question blocks', () => {
+            openBank([bankEntry(3, 'Is == strict?')]);
+            $('.mpcc-bank-pick').prop('checked', true).trigger('change');
+            $('#mpcc-bank-add').trigger('click');
+
+            const data = modal.prepareQuestionData(modal.generatedQuestions[0], 0);
+
+            expect(modal.getBlockTypeForQuestion(modal.generatedQuestions[0].type)).toBe('memberpress-courses/multiple-choice-question');
+            expect(data.question).toBe('Is == strict?');
+            expect(data.bank_id).toBeUndefined();
+        });
+
+        /**
+         * Test editing a banked question lets it be saved as a new bank entry
+         */
+        test('should detach an edited question from its bank copy', () => {
+            modal.displayQuestions([
+                { type: 'text_answer', question: 'Name a PHP loop', correct_answer: 'for', bank_id: 7 }
+            ]);
+
+            modal.editQuestion(0);
+            modal.getQuestionItem(0).find('.mpcc-edit-text').val('Name two PHP loops');
+            modal.saveQuestionEdit(0);
+
+            expect(modal.generatedQuestions[0].bank_id).toBeUndefined();
+            expect(modal.getQuestionItem(0).find('.mpcc-question-bank-save')).toHaveLength(1);
+        });
+
+        /**
+         * Test deleting a bank question after confirmation
+         */
+        test('should delete a question from the bank', () => {
+            const confirmSpy = jest.spyOn(window, 'confirm').mockReturnValue(true);
+            openBank([bankEntry(1, 'Is == strict?'), bankEntry(2, 'Is === strict?', { can_delete: false })]);
+
+            expect($('.mpcc-bank-item[data-id="2"] .mpcc-bank-delete')).toHaveLength(0);
+
+            $('.mpcc-bank-item[data-id="1"] .mpcc-bank-delete').trigger('click');
+            const request = requestsFor('mpcc_delete_bank_question').pop();
+            expect(request.data.bank_id).toBe(1);
+
+            request.success({ success: true, data: { id: 1 } });
+
+            expect($('.mpcc-bank-item')).toHaveLength(1);
+            expect($('.mpcc-bank-count')).toHaveText('Showing 1 of 1 saved questions');
+            confirmSpy.mockRestore();
+        });
+    });
+
+    describe('Question Import', () => {
+        const gift = [
+            'Which sign starts a PHP variable? {=$ ~% ~&}',
+            '',
+            'Describe PHP in a paragraph. {}',
+            '',
+            'PHP runs on the server. {T}'
+        ].join('\n');
+
+        beforeAll(() => {
+            require('../../assets/js/quiz-question-formats.js');
+        });
+
+        beforeEach(() => {
+            modal.openModal();
+        });
+
+        /**
+         * Test the import tab replaces the generation form
+         */
+        test('should switch between the generate and import tabs', () => {
+            expect($('#mpcc-tab-import').prop('hidden')).toBe(true);
+
+            $('#mpcc-tab-import-button').trigger('click');
+
+            expect($('#mpcc-tab-import').prop('hidden')).toBe(false);
+            expect($('#mpcc-tab-generate').prop('hidden')).toBe(true);
+            expect($('#mpcc-tab-import-button').attr('aria-selected')).toBe('true');
+            expect($('#mpcc-tab-generate-button').attr('tabindex')).toBe('-1');
+
+            $('#mpcc-tab-import-button').trigger($.Event('keydown', { key: 'ArrowRight' }));
+
+            expect($('#mpcc-tab-generate').prop('hidden')).toBe(false);
+            expect($('#mpcc-tab-generate-button').attr('aria-selected')).toBe('true');
+        });
+
+        /**
+         * Test parsed questions are previewed and problems listed by line
+         */
+        test('should preview imported questions with line errors', () => {
+            $('#mpcc-tab-import-button').trigger('click');
+            $('#mpcc-import-text').val(gift);
+            $('#mpcc-import-preview').trigger('click');
+
+            expect(modal.generatedQuestions).toEqual([
+                { type: 'multiple_choice', question: 'Which sign starts a PHP variable?', options: { A: '$', B: '%', C: '&' }, correct_answer: 'A' },
+                { type: 'true_false', statement: 'PHP runs on the server.', correct_answer: true }
+            ]);
+            expect($('#mpcc-quiz-results').css('display')).not.toBe('none');
+            expect($('.mpcc-question-item')).toHaveLength(2);
+            expect($('#mpcc-import-errors p').text()).toBe('2 questions imported. 1 problem found:');
+            expect($('#mpcc-import-errors li')).toHaveText('Line 3: Essay questions cannot be imported.');
+
+            $('.mpcc-import-error-line').trigger('click');
+
+            const textarea = document.getElementById('mpcc-import-text');
+            expect(textarea.value.slice(textarea.selectionStart, textarea.selectionEnd)).toBe('Describe PHP in a paragraph. {}');
+        });
+
+        /**
+         * Test an explicit format is used instead of detection
+         */
+        test('should parse with the chosen format', () => {
+            $('#mpcc-import-text').val('question,option_a,option_b,correct\nPick one,Yes,No,B');
+            $('#mpcc-import-format').val('aiken');
+            modal.previewImport();
+
+            expect(modal.generatedQuestions).toEqual([]);
+            expect($('#mpcc-import-errors p').text()).toBe('No questions could be imported. 1 problem found:');
+
+            $('#mpcc-import-format').val('csv');
+            modal.previewImport();
+
+            expect(modal.generatedQuestions[0].correct_answer).toBe('B');
+            expect($('#mpcc-import-errors').css('display')).toBe('none');
+        });
+
+        /**
+         * Test an empty import asks for input instead of clearing the preview
+         */
+        test('should ask for questions when the import is empty', () => {
+            modal.displayQuestions([{ type: 'true_false', statement: 'Kept', correct_answer: true }]);
+            modal.previewImport();
+
+            expect($('#mpcc-import-errors')).toHaveText('Paste questions or load a file to import.');
+            expect(modal.generatedQuestions).toHaveLength(1);
+        });
+
+        /**
+         * Test imported questions insert as regular question blocks
+         */
+        test('should insert imported questions through the block path', async () => {
+            $('#mpcc-import-text').val(gift);
+            modal.previewImport();
+
+            const mockInsertBlocks = jest.fn();
+            wp.data.dispatch.mockReturnValue({
+                insertBlocks: mockInsertBlocks,
+                editPost: jest.fn(),
+                addPlaceholder: jest.fn(),
+                getNextQuestionId: jest.fn().mockResolvedValue({ id: 456 })
+            });
+
+            await modal.applyQuestions();
+
+            expect(mockInsertBlocks.mock.calls[0][0].map(block => block.name)).toEqual([
+                'memberpress-courses/multiple-choice-question',
+                'memberpress-courses/true-false-question'
+            ]);
+        });
+    });
+
+    describe('Question Export', () => {
+        let defaultSelect;
+
+        const questions = () => [
+            { type: 'multiple_choice', question: 'Which sign starts a PHP variable?', options: { A: '$', B: '%' }, correct_answer: 'A' },
+            { type: 'multiple_select', question: 'Which are PHP types?', options: { A: 'string', B: 'int', C: 'char' }, correct_answers: ['A', 'B'] },
+            { type: 'true_false', statement: 'PHP runs on the server.', correct_answer: true },
+            { type: 'text_answer', question: 'Name the keyword that prints output.', correct_answer: 'echo', alternative_answers: ['print'] }
+        ];
+
+        beforeAll(() => {
+            require('../../assets/js/quiz-question-formats.js');
+            require('../../assets/js/course-outline-export.js');
+        });
+
+        beforeEach(() => {
+            defaultSelect = wp.data.select.getMockImplementation();
+            wp.data.select.mockReturnValue({
+                getCurrentPostId: jest.fn(() => 123),
+                getBlocks: jest.fn(() => []),
+                getEditedPostAttribute: jest.fn(() => 'PHP Basics')
+            });
+
+            modal.openModal();
+            modal.displayQuestions(questions());
+        });
+
+        afterEach(() => {
+            wp.data.select.mockImplementation(defaultSelect);
+        });
+
+        /**
+         * Test only the selected questions are exported in the chosen format
+         */
+        test('should download the selected questions as GIFT', () => {
+            const download = jest.spyOn(modal, 'downloadFile').mockImplementation(() => {});
+            modal.getQuestionItem(2).find('.mpcc-question-select').prop('checked', false).trigger('change');
+
+            $('#mpcc-export-format').val('gift');
+            $('#mpcc-export-questions').trigger('click');
+
+            const expected = questions();
+            expected.splice(2, 1);
+            expect(download).toHaveBeenCalledWith('php-basics-gift.txt', window.MPCCQuizFormats.toGift(expected), 'text/plain;charset=utf-8');
+            expect($('.mpcc-ai-notice')).toHaveText('3 questions exported as GIFT.');
+        });
+
+        /**
+         * Test CSV and zipped QTI downloads
+         */
+        test('should download CSV and a zipped QTI package', () => {
+            const download = jest.spyOn(modal, 'downloadFile').mockImplementation(() => {});
+
+            modal.exportQuestions('csv');
+            modal.exportQuestions('qti');
+
+            expect(download.mock.calls[0][0]).toBe('php-basics.csv');
+            expect(download.mock.calls[0][1]).toBe(window.MPCCQuizFormats.toCsv(questions()));
+
+            const [filename, zip, type] = download.mock.calls[1];
+            expect(filename).toBe('php-basics-qti.zip');
+            expect(type).toBe('application/zip');
+            expect(zip).toBeInstanceOf(Uint8Array);
+            expect(Buffer.from(zip).toString('latin1')).toContain('items/item-4.xml');
+        });
+
+        /**
+         * Test nothing is downloaded when no question is selected
+         */
+        test('should ask for a selection before exporting', () => {
+            const download = jest.spyOn(modal, 'downloadFile').mockImplementation(() => {});
+            modal.selectedQuestions = questions().map(() => false);
+
+            modal.exportQuestions('gift');
+
+            expect(download).not.toHaveBeenCalled();
+            expect($('.mpcc-ai-notice')).toHaveText('Select at least one question to export.');
+        });
+
+        /**
+         * Test files are saved through a temporary object URL link
+         */
+        test('should save files through a temporary download link', () => {
+            URL.createObjectURL = jest.fn(() => 'blob:quiz');
+            URL.revokeObjectURL = jest.fn();
+            const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function() {
+                expect(this.getAttribute('download')).toBe('quiz.csv');
+                expect(this.getAttribute('href')).toBe('blob:quiz');
+            });
+
+            modal.downloadFile('quiz.csv', 'type,question', 'text/csv');
+            jest.runAllTimers();
+
+            expect(click).toHaveBeenCalled();
+            expect(URL.createObjectURL.mock.calls[0][0]).toBeInstanceOf(Blob);
+            expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:quiz');
+            expect($('a[download]')).toHaveLength(0);
+
+            click.mockRestore();
+        });
+    });
+
+    describe('Bloom Levels', () => {
+        const questions = () => [
+            { type: 'multiple_choice', question: 'What is a variable?', options: { A: 'A value holder', B: 'A loop' }, correct_answer: 'A', bloom_level: 'remember', difficulty: 'easy' },
+            { type: 'true_false', statement: 'Variables start with $.', correct_answer: true, bloom_level: 'remember', difficulty: 'easy' },
+            { type: 'multiple_choice', question: 'Why use a constant?', options: { A: 'It cannot change', B: 'It is faster' }, correct_answer: 'A', bloom_level: 'understand', difficulty: 'medium' },
+            { type: 'text_answer', question: 'Which function prints a variable dump?', correct_answer: 'var_dump', bloom_level: 'apply', difficulty: 'hard' }
+        ];
+
+        beforeEach(() => {
+            modal.openModal();
+        });
+
+        /**
+         * Test the chosen levels and difficulty mix are sent with the request
+         */
+        test('should send Bloom levels and the difficulty mix', () => {
+            $('#mpcc-modal-lesson-select').append('<option value="123">Lesson</option>').val('123');
+            $('#mpcc-bloom-levels .mpcc-bloom-level-check[value="apply"]').prop('checked', true);
+            $('#mpcc-bloom-levels .mpcc-bloom-level-check[value="analyze"]').prop('checked', true);
+            $('#mpcc-difficulty-hard').val('0').trigger('input');
+
+            modal.generateQuestions();
+
+            const call = $.ajax.mock.calls.find(([options]) => options.data?.action === 'mpcc_generate_quiz');
+            const options = JSON.parse(call[0].data.options);
+            expect(options.bloom_levels).toEqual(['apply', 'analyze']);
+            expect(options.difficulty_mix).toEqual({ easy: 30, medium: 50 });
+            expect($('#mpcc-difficulty-total')).toHaveText('Total: 80%');
+            expect($('#mpcc-difficulty-total')).toHaveClass('is-off');
+        });
+
+        /**
+         * Test the AI chooses the levels when none is checked
+         */
+        test('should leave levels out when none is checked', () => {
+            $('#mpcc-modal-lesson-select').append('<option value="123">Lesson</option>').val('123');
+
+            modal.generateQuestions();
+
+            const call = $.ajax.mock.calls.find(([options]) => options.data?.action === 'mpcc_generate_quiz');
+            const options = JSON.parse(call[0].data.options);
+            expect(options).not.toHaveProperty('bloom_levels');
+            expect(options.difficulty_mix).toEqual({ easy: 30, medium: 50, hard: 20 });
+        });
+
+        /**
+         * Test each question shows its level and difficulty
+         */
+        test('should show level and difficulty badges and a level summary', () => {
+            modal.displayQuestions(questions());
+
+            const $first = modal.getQuestionItem(0);
+            expect($first.find('.mpcc-question-level')).toHaveText('Remember');
+            expect($first.find('.mpcc-question-difficulty')).toHaveText('Easy');
+            expect(modal.getQuestionItem(3).find('.mpcc-question-level')).toHaveClass('mpcc-level-apply');
+            expect($('#mpcc-level-summary')).toHaveText("Bloom's levels: Remember: 2, Understand: 1, Apply: 1");
+        });
+
+        /**
+         * Test unknown levels are not shown
+         */
+        test('should skip badges for unknown levels', () => {
+            modal.displayQuestions([{ type: 'true_false', statement: 'PHP is compiled.', correct_answer: false, bloom_level: 'create' }]);
+
+            expect(modal.getQuestionItem(0).find('.mpcc-question-level')).toHaveLength(0);
+            expect(modal.getQuestionItem(0).find('.mpcc-question-difficulty')).toHaveLength(0);
+            expect($('#mpcc-level-summary')).toHaveText('');
+        });
+
+        /**
+         * Test rebalancing replaces questions from the most common level
+         */
+        test('should replace questions from the most common level when rebalancing', () => {
+            modal.displayQuestions(questions());
+            $('#mpcc-modal-lesson-select').append('<option value="123">Lesson</option>').val('123');
+            const fresh = [
+                { type: 'multiple_choice', question: 'Which loop fits a list?', options: { A: 'foreach', B: 'goto' }, correct_answer: 'A', bloom_level: 'analyze' },
+                { type: 'true_false', statement: 'A for loop can walk an array.', correct_answer: true, bloom_level: 'analyze' }
+            ];
+            $.ajax.mockImplementation((options) => {
+                if (options.data?.action === 'mpcc_generate_quiz') {
+                    options.success({ success: true, data: { questions: fresh } });
+                }
+            });
+
+            $('#mpcc-rebalance-count').val('2');
+            $('#mpcc-rebalance-level').val('analyze');
+            $('#mpcc-rebalance').trigger('click');
+
+            const call = $.ajax.mock.calls.find(([options]) => options.data?.action === 'mpcc_generate_quiz');
+            const data = call[0].data;
+            const options = JSON.parse(data.options);
+            expect(data.lesson_id).toBe('123');
+            expect(options.bloom_levels).toEqual(['analyze']);
+            expect(options.distribution).toEqual({ multiple_choice: 1, true_false: 1 });
+            expect(options.avoid).toContain('Why use a constant?');
+
+            expect(modal.generatedQuestions[0]).toBe(fresh[0]);
+            expect(modal.generatedQuestions[1]).toBe(fresh[1]);
+            expect(modal.generatedQuestions[2].question).toBe('Why use a constant?');
+            expect($('#mpcc-level-summary')).toHaveText("Bloom's levels: Understand: 1, Apply: 1, Analyze: 2");
+        });
+
+        /**
+         * Test deselected questions are replaced first and bank questions never
+         */
+        test('should replace deselected questions first and keep bank questions', () => {
+            const list = questions();
+            list[0].from_bank = true;
+            modal.displayQuestions(list);
+            modal.getQuestionItem(2).find('.mpcc-question-select').prop('checked', false).trigger('change');
+            $.ajax.mockImplementation((options) => {
+                options.success({ success: true, data: { questions: [{ type: 'multiple_choice', question: 'Compare two loops.', options: { A: 'for', B: 'while' }, correct_answer: 'A', bloom_level: 'analyze' }] } });
+            });
+
+            modal.rebalanceLevels('analyze', 1);
+
+            expect(modal.generatedQuestions[0].from_bank).toBe(true);
+            expect(modal.generatedQuestions[2].question).toBe('Compare two loops.');
+            expect(modal.selectedQuestions[2]).toBe(true);
+        });
+    });
+
+    describe('Existing Quiz Questions', () => {
+        let defaultSelect;
+
+        beforeEach(() => {
+            defaultSelect = wp.data.select.getMockImplementation();
+            const editor = {
+                getCurrentPostId: jest.fn(() => 123),
+                getBlocks: jest.fn(() => [
+                    { name: 'memberpress-courses/multiple-choice-question', clientId: 'saved', attributes: { questionId: 41 }, innerBlocks: [] },
+                    { name: 'core/group', clientId: 'group', attributes: {}, innerBlocks: [
+                        { name: 'memberpress-courses/true-false-question', clientId: 'draft', attributes: { questionId: 0 }, innerBlocks: [] }
+                    ] },
+                    { name: 'core/paragraph', clientId: 'text', attributes: { content: 'Answer every question.' }, innerBlocks: [] }
+                ])
+            };
+            const questionStore = {
+                getQuestions: jest.fn(() => ({ 41: { question: '<strong>What is a variable?</strong>', type: 'multiple-choice' } })),
+                getPlaceholders: jest.fn(() => ({ draft: { question: 'PHP runs on the server.', type: 'true-false' } }))
+            };
+            wp.data.select.mockImplementation((store) => store === 'memberpress/course/question' ? questionStore : editor);
+
+            modal.openModal();
+        });
+
+        afterEach(() => {
+            wp.data.select.mockImplementation(defaultSelect);
+        });
+
+        /**
+         * Test saved questions and unsaved placeholders are both read
+         */
+        test('should read questions from saved blocks and placeholders', () => {
+            expect(modal.existingQuestions).toEqual(['What is a variable?', 'PHP runs on the server.']);
+            expect($('#mpcc-existing-questions')).toHaveText('This quiz already has 2 questions. New questions will not repeat them.');
+        });
+
+        /**
+         * Test the existing questions are sent as exclusions
+         */
+        test('should send existing questions as exclusions', () => {
+            $('#mpcc-modal-lesson-select').append('<option value="123">Lesson</option>').val('123');
+
+            modal.generateQuestions();
+
+            const call = $.ajax.mock.calls.find(([options]) => options.data?.action === 'mpcc_generate_quiz');
+            expect(JSON.parse(call[0].data.options).avoid).toEqual(['What is a variable?', 'PHP runs on the server.']);
+        });
+
+        /**
+         * Test duplicates are marked and left out of the selection
+         */
+        test('should mark duplicates and leave them unselected', () => {
+            modal.displayQuestions([
+                { type: 'multiple_choice', question: 'What is a variable ?', options: { A: 'A value holder', B: 'A loop' }, correct_answer: 'A' },
+                { type: 'true_false', statement: 'PHP is compiled ahead of time.', correct_answer: false }
+            ]);
+
+            expect(modal.getQuestionItem(0).find('.mpcc-question-duplicate')).toHaveText('Already in quiz');
+            expect(modal.getQuestionItem(1).find('.mpcc-question-duplicate')).toHaveLength(0);
+            expect(modal.selectedQuestions).toEqual([false, true]);
+            expect(modal.getQuestionItem(0)).toHaveClass('is-excluded');
+        });
+
+        /**
+         * Test regeneration also avoids the existing questions
+         */
+        test('should avoid existing questions when regenerating', () => {
+            modal.displayQuestions([{ type: 'true_false', statement: 'Arrays are ordered maps.', correct_answer: true }]);
+            $.ajax.mockClear();
+
+            modal.regenerateQuestion(0);
+
+            const call = $.ajax.mock.calls.find(([options]) => options.data?.action === 'mpcc_regenerate_question');
+            expect(JSON.parse(call[0].data.options).avoid).toEqual(['What is a variable?', 'PHP runs on the server.']);
+        });
+    });
+
     describe('Performance and Memory', () => {
         /**
          * Test that modal cleans up properly
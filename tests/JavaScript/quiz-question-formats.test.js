@@ -0,0 +1,320 @@
+/**
+ * Tests for quiz-question-formats.js
+ *
+ * Covers reading GIFT, Aiken and CSV questions into quiz modal question objects
+ * and writing them back out as GIFT, CSV and QTI 2.1
+ *
+ * @package MemberPressCoursesCopilot\Tests\JavaScript
+ */
+
+describe('MPCCQuizFormats', () => {
+    let formats;
+
+    beforeAll(() => {
+        require('../../assets/js/quiz-question-formats.js');
+        formats = window.MPCCQuizFormats;
+    });
+
+    describe('GIFT', () => {
+        test('reads each question type', () => {
+            const { questions, errors } = formats.parseGift([
+                '// Basics',
+                '$CATEGORY: PHP/Basics',
+                '',
+                '::Variables::Which sign starts a PHP variable? {',
+                '    =$ #Right',
+                '    ~% #Modulo',
+                '    ~&',
+                '    #### Variables always start with a dollar sign.',
+                '}',
+                '',
+                'PHP is case-sensitive for variable names. {T}',
+                '',
+                'Which of these are PHP types? {~%50%string ~%50%int ~%-100%char}',
+                '',
+                'Name the PHP keyword that prints output. {=echo =print}',
+                '',
+                'What is 2 + 2? {#4}'
+            ].join('\n'));
+
+            expect(errors).toEqual([]);
+            expect(questions).toEqual([
+                {
+                    type: 'multiple_choice',
+                    question: 'Which sign starts a PHP variable?',
+                    options: { A: '$', B: '%', C: '&' },
+                    correct_answer: 'A',
+                    explanation: 'Variables always start with a dollar sign.'
+                },
+                { type: 'true_false', statement: 'PHP is case-sensitive for variable names.', correct_answer: true },
+                {
+                    type: 'multiple_select',
+                    question: 'Which of these are PHP types?',
+                    options: { A: 'string', B: 'int', C: 'char' },
+                    correct_answers: ['A', 'B']
+                },
+                { type: 'text_answer', question: 'Name the PHP keyword that prints output.', correct_answer: 'echo', alternative_answers: ['print'] },
+                { type: 'text_answer', question: 'What is 2 + 2?', correct_answer: '4', alternative_answers: [] }
+            ]);
+        });
+
+        test('keeps escaped characters and marks missing words', () => {
+            const { questions } = formats.parseGift('The \\{ character opens a block and {=\\= ~\\~} assigns a value.');
+
+            expect(questions[0].question).toBe('The { character opens a block and _____ assigns a value.');
+            expect(questions[0].options).toEqual({ A: '=', B: '~' });
+        });
+
+        test('reports unsupported questions by line and keeps the rest', () => {
+            const { questions, errors } = formats.parseGift([
+                'Describe PHP. {}',
+                '',
+                'Match the pairs. {=PHP -> server =JS -> browser}',
+                '',
+                'No answers here.',
+                '',
+                'Which is a loop? {~if ~switch}',
+                '',
+                'Which is a loop? {=for ~if}'
+            ].join('\n'));
+
+            expect(questions).toHaveLength(1);
+            expect(errors).toEqual([
+                { line: 1, message: 'Essay questions cannot be imported.' },
+                { line: 3, message: 'Matching questions cannot be imported.' },
+                { line: 5, message: 'No answers found. GIFT answers go between { and }.' },
+                { line: 7, message: 'No correct answer is marked. Use = or a positive ~%weight%.' }
+            ]);
+        });
+    });
+
+    describe('Aiken', () => {
+        test('reads lettered options and the answer line', () => {
+            const { questions, errors } = formats.parseAiken([
+                'Which sign starts a PHP variable?',
+                'A. $',
+                'B. %',
+                'ANSWER: A',
+                'Which are PHP types?',
+                'A) string',
+                'B) int',
+                'C) char',
+                'ANSWER: A, B'
+            ].join('\n'));
+
+            expect(errors).toEqual([]);
+            expect(questions).toEqual([
+                { type: 'multiple_choice', question: 'Which sign starts a PHP variable?', options: { A: '$', B: '%' }, correct_answer: 'A' },
+                { type: 'multiple_select', question: 'Which are PHP types?', options: { A: 'string', B: 'int', C: 'char' }, correct_answers: ['A', 'B'] }
+            ]);
+        });
+
+        test('reports the line of each problem', () => {
+            const { questions, errors } = formats.parseAiken([
+                'First question?',
+                'A. One',
+                'C. Three',
+                'ANSWER: A',
+                '',
+                'Second question?',
+                'A. One',
+                'B. Two',
+                'ANSWER: D',
+                'Third question?',
+                'A. One',
+                'B. Two',
+                'Fourth question?',
+                'A. One',
+                'B. Two',
+                'ANSWER: B'
+            ].join('\n'));
+
+            expect(questions).toHaveLength(1);
+            expect(questions[0].question).toBe('Fourth question?');
+            expect(errors).toEqual([
+                { line: 3, message: 'Expected option B, found C.' },
+                { line: 9, message: 'ANSWER D does not match an option.' },
+                { line: 10, message: 'The ANSWER line is missing.' }
+            ]);
+        });
+    });
+
+    describe('CSV', () => {
+        test('reads a spreadsheet export with quoted fields', () => {
+            const { questions, errors } = formats.parseCsv([
+                'Type,Question,Option A,Option B,Option C,Correct,Explanation',
+                'Multiple Choice,"Which sign starts a PHP variable, usually?",$,%,&,A,',
+                'multiple_select,Which are PHP types?,string,int,char,"A,B",',
+                'tf,"PHP is ""case-sensitive""",,,,false,Only variable names are',
+                'short answer,Name the keyword that prints output,,,,echo|print,',
+                ',Which extension do PHP files use?,.js,.php,,.php,'
+            ].join('\r\n'));
+
+            expect(errors).toEqual([]);
+            expect(questions).toEqual([
+                { type: 'multiple_choice', question: 'Which sign starts a PHP variable, usually?', options: { A: '$', B: '%', C: '&' }, correct_answer: 'A' },
+                { type: 'multiple_select', question: 'Which are PHP types?', options: { A: 'string', B: 'int', C: 'char' }, correct_answers: ['A', 'B'] },
+                { type: 'true_false', statement: 'PHP is "case-sensitive"', correct_answer: false, explanation: 'Only variable names are' },
+                { type: 'text_answer', question: 'Name the keyword that prints output', correct_answer: 'echo', alternative_answers: ['print'] },
+                { type: 'multiple_choice', question: 'Which extension do PHP files use?', options: { A: '.js', B: '.php' }, correct_answer: 'B' }
+            ]);
+        });
+
+        test('maps answer letters across empty option columns and semicolons', () => {
+            const { questions } = formats.parseCsv('question;a;b;c;correct\nPick the loop;if;;for;C');
+
+            expect(questions[0].options).toEqual({ A: 'if', B: 'for' });
+            expect(questions[0].correct_answer).toBe('B');
+        });
+
+        test('reports rows with the line they start on', () => {
+            const { questions, errors } = formats.parseCsv([
+                'type,question,option_a,option_b,correct',
+                'essay,Describe PHP,,,',
+                '"multiple_choice","A question',
+                'over two lines",Yes,No,Maybe',
+                'true_false,Is PHP fun?,,,yes'
+            ].join('\n'));
+
+            expect(questions).toHaveLength(1);
+            expect(errors).toEqual([
+                { line: 2, message: 'Unknown question type "essay".' },
+                { line: 3, message: 'Correct answer "Maybe" is not one of the options.' }
+            ]);
+        });
+
+        test('requires a question column', () => {
+            expect(formats.parseCsv('name,answer\nx,y').errors).toEqual([
+                { line: 1, message: 'The header row needs a "question" column.' }
+            ]);
+        });
+    });
+
+    describe('Detection', () => {
+        test('recognizes each format', () => {
+            expect(formats.detect('question,option_a,option_b,correct\nQ,a,b,A')).toBe('csv');
+            expect(formats.detect('Is PHP fun? {T}')).toBe('gift');
+            expect(formats.detect('Question?\nA. Yes\nB. No\nANSWER: A')).toBe('aiken');
+            expect(formats.detect('Just some notes')).toBeNull();
+        });
+
+        test('parses with the detected format and sorts errors by line', () => {
+            const result = formats.parse('Q1?\nA. Yes\nANSWER: A\nQ2?\nA. Yes\nB. No\nANSWER: B');
+
+            expect(result.format).toBe('aiken');
+            expect(result.questions).toHaveLength(1);
+            expect(result.errors).toEqual([{ line: 1, message: 'Questions need at least two lettered options.' }]);
+            expect(formats.parse('Just some notes').errors[0].line).toBe(1);
+        });
+    });
+
+    describe('Export', () => {
+        const questions = () => [
+            {
+                type: 'multiple_choice',
+                question: 'Which sign starts a PHP variable: $ or #?',
+                options: { A: '$', B: '#', C: '{}' },
+                correct_answer: 'A',
+                explanation: 'Variables always start with a dollar sign.'
+            },
+            {
+                type: 'multiple_select',
+                question: 'Which are PHP types?',
+                options: { A: 'string', B: 'int', C: 'char', D: 'bool' },
+                correct_answers: ['A', 'B', 'D']
+            },
+            { type: 'true_false', statement: 'PHP is "case-sensitive"\nfor variables.', correct_answer: false },
+            {
+                type: 'text_answer',
+                question: 'Name a keyword that prints output, e.g. echo',
+                correct_answer: 'echo',
+                alternative_answers: ['print', 'printf']
+            }
+        ];
+
+        test('writes GIFT that reads back into the same questions', () => {
+            const gift = formats.toGift(questions());
+
+            expect(gift).toContain('Which sign starts a PHP variable\\: $ or \\#? {\n\t=$\n\t~\\#\n\t~\\{\\}\n\t####Variables');
+            expect(gift).toContain('~%33.33333%string');
+            expect(gift).toContain('~%-100%char');
+            expect(gift).toContain('PHP is "case-sensitive"\\nfor variables. {\n\tFALSE\n}');
+
+            const result = formats.parseGift(gift);
+            expect(result.errors).toEqual([]);
+            expect(result.questions).toEqual(questions());
+        });
+
+        test('writes CSV that reads back into the same questions', () => {
+            const csv = formats.toCsv(questions());
+            const lines = csv.split('\r\n');
+
+            expect(csv.startsWith('\uFEFF')).toBe(true);
+            expect(lines[0]).toBe('\uFEFFtype,question,option_a,option_b,option_c,option_d,correct,explanation');
+            expect(lines[2]).toBe('multiple_select,Which are PHP types?,string,int,char,bool,"A,B,D",');
+
+            const result = formats.parseCsv(csv);
+            expect(result.errors).toEqual([]);
+            expect(result.questions).toEqual(questions());
+        });
+
+        test('resolves answers given as option text and skips empty options', () => {
+            const question = {
+                type: 'multiple_choice',
+                question: 'Pick the loop',
+                options: { A: 'if', B: ' ', C: 'for' },
+                correct_answer: 'for'
+            };
+
+            expect(formats.toGift([question])).toBe('Pick the loop {\n\t~if\n\t=for\n}\n');
+            expect(formats.toCsv([question]).split('\r\n')[1]).toBe('multiple_choice,Pick the loop,if,for,B,');
+        });
+
+        test('writes a QTI 2.1 package with one item per question', () => {
+            const files = formats.toQtiPackage(questions(), 'PHP <Basics>');
+            const file = (name) => files.find(entry => entry.name === name).content;
+
+            expect(files.map(entry => entry.name)).toEqual([
+                'imsmanifest.xml',
+                'assessment.xml',
+                'items/item-1.xml',
+                'items/item-2.xml',
+                'items/item-3.xml',
+                'items/item-4.xml'
+            ]);
+
+            expect(file('imsmanifest.xml')).toContain('type="imsqti_item_xmlv2p1" href="items/item-4.xml"');
+            expect(file('imsmanifest.xml')).toContain('<dependency identifierref="RES-item-1"/>');
+            expect(file('assessment.xml')).toContain('title="PHP &lt;Basics&gt;"');
+            expect(file('assessment.xml')).toContain('<assessmentItemRef identifier="item-2" href="items/item-2.xml"/>');
+
+            const choice = file('items/item-1.xml');
+            expect(choice).toContain('cardinality="single" baseType="identifier"');
+            expect(choice).toContain('<correctResponse><value>A</value></correctResponse>');
+            expect(choice).toContain('maxChoices="1"');
+            expect(choice).toContain('<simpleChoice identifier="C">{}</simpleChoice>');
+            expect(choice).toContain('<rubricBlock view="scorer"><p>Variables always start with a dollar sign.</p></rubricBlock>');
+            expect(choice).toContain('rptemplates/match_correct');
+
+            const select = file('items/item-2.xml');
+            expect(select).toContain('cardinality="multiple"');
+            expect(select).toContain('<correctResponse><value>A</value><value>B</value><value>D</value></correctResponse>');
+            expect(select).toContain('maxChoices="0"');
+
+            const trueFalse = file('items/item-3.xml');
+            expect(trueFalse).toContain('<correctResponse><value>false</value></correctResponse>');
+            expect(trueFalse).toContain('<prompt>PHP is &quot;case-sensitive&quot;\nfor variables.</prompt>');
+
+            const text = file('items/item-4.xml');
+            expect(text).toContain('baseType="string"');
+            expect(text).toContain('<mapEntry mapKey="print" mappedValue="1" caseSensitive="false"/>');
+            expect(text).toContain('<textEntryInteraction responseIdentifier="RESPONSE" expectedLength="10"/>');
+            expect(text).toContain('rptemplates/map_response');
+        });
+
+        test('names export files after the quiz', () => {
+            expect(formats.filename('PHP Basics: Quiz 1')).toBe('php-basics-quiz-1');
+            expect(formats.filename('')).toBe('quiz-questions');
+        });
+    });
+});
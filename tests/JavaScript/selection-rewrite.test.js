@@ -0,0 +1,49 @@
+/**
+ * Tests for selection-rewrite.js
+ *
+ * Covers the shared action bar, preview and inline detection for rewriting
+ * a selected passage
+ *
+ * @package MemberPressCoursesCopilot\Tests\JavaScript
+ */
+
+describe('MPCCSelectionRewrite', () => {
+    let rewrite;
+
+    beforeAll(() => {
+        require('../../assets/js/selection-rewrite.js');
+        rewrite = window.MPCCSelectionRewrite;
+    });
+
+    test('keeps rewrites without blocks inline', () => {
+        expect(rewrite.toInline('Variables <strong>store</strong> values')).toBe('Variables <strong>store</strong> values');
+        expect(rewrite.toInline('\n<p>One <em>paragraph</em></p>\n')).toBe('One <em>paragraph</em>');
+    });
+
+    test('asks for blocks when the rewrite has structure', () => {
+        expect(rewrite.toInline('<ol><li>Declare</li><li>Assign</li></ol>')).toBeNull();
+        expect(rewrite.toInline('<p>First</p><p>Second</p>')).toBeNull();
+        expect(rewrite.toInline('Intro<ul><li>Point</li></ul>')).toBeNull();
+    });
+
+    test('renders the action bar and reads its options', () => {
+        document.body.innerHTML = `<div id="bar">${rewrite.renderActions()}</div>`;
+        const bar = document.getElementById('bar');
+
+        expect(Array.from(bar.querySelectorAll('.mpcc-rewrite-action')).map(button => button.dataset.action))
+            .toEqual(['simplify', 'expand', 'example', 'numbered_list', 'translate', 'tone']);
+
+        bar.querySelector('.mpcc-rewrite-language').value = '  French ';
+        bar.querySelector('.mpcc-rewrite-tone').value = 'encouraging';
+        expect(rewrite.readOptions(bar)).toEqual({ language: 'French', tone: 'encouraging' });
+    });
+
+    test('previews the suggestion next to the escaped selection', () => {
+        document.body.innerHTML = rewrite.renderPreview('a < b', '<em>b</em> is larger', 'simplify');
+
+        expect(document.querySelector('.mpcc-rewrite-original .mpcc-rewrite-text').innerHTML).toBe('a &lt; b');
+        expect(document.querySelector('.mpcc-rewrite-suggestion .mpcc-rewrite-heading').textContent).toBe('Simplify');
+        expect(document.querySelector('.mpcc-rewrite-suggestion em').textContent).toBe('b');
+        expect(document.querySelectorAll('.mpcc-rewrite-accept, .mpcc-rewrite-retry, .mpcc-rewrite-discard')).toHaveLength(3);
+    });
+});
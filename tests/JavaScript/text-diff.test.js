@@ -0,0 +1,58 @@
+/**
+ * Tests for text-diff.js
+ *
+ * Covers the line and word comparison behind the lesson revision view
+ *
+ * @package MemberPressCoursesCopilot\Tests\JavaScript
+ */
+
+describe('MPCCTextDiff', () => {
+    let diff;
+
+    beforeAll(() => {
+        require('../../assets/js/text-diff.js');
+        diff = window.MPCCTextDiff;
+    });
+
+    test('marks identical texts as unchanged', () => {
+        const rows = diff.compareLines('One\nTwo', 'One\r\nTwo');
+
+        expect(rows.map(row => row.type)).toEqual(['same', 'same']);
+        expect(rows[1]).toEqual({ type: 'same', left: 'Two', right: 'Two', leftNumber: 2, rightNumber: 2 });
+        expect(diff.summarize(rows)).toEqual({ added: 0, removed: 0, changed: 0 });
+    });
+
+    test('lines up added, removed and changed lines side by side', () => {
+        const before = 'Intro\nVariables hold values\nOld tip\nSummary';
+        const after = 'Intro\nVariables store values\nSummary\nQuiz';
+
+        const rows = diff.compareLines(before, after);
+
+        expect(rows).toEqual([
+            { type: 'same', left: 'Intro', right: 'Intro', leftNumber: 1, rightNumber: 1 },
+            { type: 'changed', left: 'Variables hold values', right: 'Variables store values', leftNumber: 2, rightNumber: 2 },
+            { type: 'removed', left: 'Old tip', right: null, leftNumber: 3, rightNumber: null },
+            { type: 'same', left: 'Summary', right: 'Summary', leftNumber: 4, rightNumber: 3 },
+            { type: 'added', left: null, right: 'Quiz', leftNumber: null, rightNumber: 4 }
+        ]);
+        expect(diff.summarize(rows)).toEqual({ added: 1, removed: 1, changed: 1 });
+    });
+
+    test('compares against an empty text', () => {
+        expect(diff.compareLines('', 'New lesson').map(row => row.type)).toEqual(['added']);
+        expect(diff.compareLines('Old lesson', '').map(row => row.type)).toEqual(['removed']);
+    });
+
+    test('highlights the words that changed within a line', () => {
+        const parts = diff.compareWords('Variables hold  values', 'Variables store values');
+
+        expect(parts).toEqual([
+            { type: 'same', value: 'Variables ' },
+            { type: 'removed', value: 'hold  ' },
+            { type: 'added', value: 'store ' },
+            { type: 'same', value: 'values' }
+        ]);
+        expect(parts.filter(part => part.type !== 'added').map(part => part.value).join('')).toBe('Variables hold  values');
+        expect(parts.filter(part => part.type !== 'removed').map(part => part.value).join('')).toBe('Variables store values');
+    });
+});
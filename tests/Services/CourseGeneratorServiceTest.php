@@ -417,6 +417,110 @@ class CourseGeneratorServiceTest extends TestCase
         }
     }
     
+    /**
+     * Live course structure used by the sync tests
+     */
+    private function liveSyncStructure(): array
+    {
+        return [
+            'title' => 'Live Course',
+            'description' => 'About the course',
+            'sections' => [
+                [
+                    'section_id' => 10,
+                    'title' => 'Basics',
+                    'lessons' => [
+                        ['lesson_id' => 101, 'title' => 'Intro', 'content' => 'Intro content'],
+                        ['lesson_id' => 102, 'title' => 'Setup', 'content' => 'Setup content'],
+                    ]
+                ],
+                [
+                    'section_id' => 20,
+                    'title' => 'Advanced',
+                    'lessons' => [
+                        ['lesson_id' => 201, 'title' => 'Tips', 'content' => 'Tips content'],
+                    ]
+                ]
+            ]
+        ];
+    }
+    
+    /**
+     * Test an unchanged outline produces an empty change set
+     */
+    public function testBuildChangeSetWithoutChanges(): void
+    {
+        $live = $this->liveSyncStructure();
+        
+        $changeSet = $this->courseGenerator->buildChangeSet($live, $live);
+        
+        $this->assertFalse($changeSet['has_changes']);
+        $this->assertEmpty($changeSet['changes']);
+    }
+    
+    /**
+     * Test renames, moves, additions and reorders are detected
+     */
+    public function testBuildChangeSetDetectsStructuralChanges(): void
+    {
+        $live = $this->liveSyncStructure();
+        $proposed = $live;
+        $proposed['sections'][0]['lessons'][0]['title'] = 'Welcome';
+        $proposed['sections'][0]['lessons'] = array_reverse($proposed['sections'][0]['lessons']);
+        $proposed['sections'][1]['lessons'][] = ['title' => 'Next Steps'];
+        $proposed['sections'][1]['lessons'][] = $proposed['sections'][0]['lessons'][0];
+        array_shift($proposed['sections'][0]['lessons']);
+        
+        $changeSet = $this->courseGenerator->buildChangeSet($live, $proposed);
+        $types = array_column($changeSet['changes'], 'type');
+        
+        $this->assertTrue($changeSet['has_changes']);
+        $this->assertContains('rename_lesson', $types);
+        $this->assertContains('add_lesson', $types);
+        $this->assertContains('move_lesson', $types);
+        $this->assertNotContains('remove_lesson', $types);
+        $this->assertArrayNotHasKey('lesson_id', $changeSet['structure']['sections'][1]['lessons'][1]);
+    }
+    
+    /**
+     * Test removed lessons with student progress are unpublished, not trashed
+     */
+    public function testBuildChangeSetProtectsLessonsWithProgress(): void
+    {
+        $live = $this->liveSyncStructure();
+        $proposed = $live;
+        unset($proposed['sections'][1]);
+        array_pop($proposed['sections'][0]['lessons']);
+        
+        $changeSet = $this->courseGenerator->buildChangeSet($live, $proposed, [201 => 3]);
+        $removals = [];
+        foreach ($changeSet['changes'] as $change) {
+            if (in_array($change['type'], ['remove_lesson', 'remove_section'], true)) {
+                $removals[$change['type'] . ':' . ($change['lesson_id'] ?? $change['section_id'])] = $change['action'];
+            }
+        }
+        
+        $this->assertEquals('trash', $removals['remove_lesson:102']);
+        $this->assertEquals('unpublish', $removals['remove_lesson:201']);
+        $this->assertEquals('keep', $removals['remove_section:20']);
+    }
+    
+    /**
+     * Test unknown IDs are treated as new items rather than trusted
+     */
+    public function testBuildChangeSetIgnoresUnknownIds(): void
+    {
+        $live = $this->liveSyncStructure();
+        $proposed = $live;
+        $proposed['sections'][] = ['section_id' => 999, 'title' => 'Extra', 'lessons' => [['lesson_id' => 555, 'title' => 'Stray']]];
+        
+        $changeSet = $this->courseGenerator->buildChangeSet($live, $proposed);
+        $types = array_column($changeSet['changes'], 'type');
+        
+        $this->assertEquals(['add_section', 'add_lesson'], $types);
+        $this->assertArrayNotHasKey('section_id', $changeSet['structure']['sections'][2]);
+    }
+    
     /**
      * Helper to override functions for testing
      */
@@ -0,0 +1,114 @@
+<?php
+
+declare(strict_types=1);
+
+namespace MemberPressCoursesCopilot\Tests\Services;
+
+use MemberPressCoursesCopilot\Tests\TestCase;
+use MemberPressCoursesCopilot\Services\CourseStyleService;
+
+/**
+ * CourseStyleService Test
+ *
+ * Tests cleanup of submitted course styles and the prompt text built from them
+ *
+ * @package MemberPressCoursesCopilot\Tests\Services
+ * @since 1.0.0
+ */
+class CourseStyleServiceTest extends TestCase
+{
+    private CourseStyleService $styleService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->styleService = new CourseStyleService();
+    }
+
+    /**
+     * Build a style with every setting filled in
+     */
+    private function fullStyle(): array
+    {
+        return $this->styleService->sanitize([
+            'audience'        => 'Small business owners',
+            'reading_level'   => 'beginner',
+            'tone'            => 'friendly',
+            'lesson_sections' => ['summary', 'objectives'],
+            'glossary'        => [['term' => 'Funnel', 'definition' => 'The steps from visitor to customer']],
+            'banned_phrases'  => ['synergy', 'leverage'],
+        ]);
+    }
+
+    /**
+     * Test unknown values and incomplete entries are dropped
+     */
+    public function testSanitizeDropsUnknownValues(): void
+    {
+        $style = $this->styleService->sanitize([
+            'audience'        => '<b>Nurses</b>',
+            'reading_level'   => 'expert',
+            'tone'            => 'sarcastic',
+            'lesson_sections' => ['exercise', 'quiz', 'objectives'],
+            'glossary'        => [['term' => 'Triage', 'definition' => ''], 'loose', ['term' => 'Shift', 'definition' => 'A work period']],
+            'banned_phrases'  => ['basically', '', 'basically'],
+        ]);
+
+        $this->assertSame('Nurses', $style['audience']);
+        $this->assertSame('', $style['reading_level']);
+        $this->assertSame('', $style['tone']);
+        $this->assertSame(['objectives', 'exercise'], $style['lesson_sections']);
+        $this->assertSame([['term' => 'Shift', 'definition' => 'A work period']], $style['glossary']);
+        $this->assertSame(['basically'], $style['banned_phrases']);
+    }
+
+    /**
+     * Test a missing or empty style adds nothing to a prompt
+     */
+    public function testEmptyStyleAddsNothing(): void
+    {
+        $style = $this->styleService->sanitize(null);
+
+        $this->assertTrue($this->styleService->isEmpty($style));
+        $this->assertSame('', $this->styleService->buildPromptSection($style, 'lesson'));
+        $this->assertNull($this->styleService->fromJson('not json'));
+    }
+
+    /**
+     * Test lesson prompts get the template in course order
+     */
+    public function testLessonPromptIncludesTemplate(): void
+    {
+        $prompt = $this->styleService->buildPromptSection($this->fullStyle(), 'lesson');
+
+        $this->assertStringContainsString('Audience: Small business owners', $prompt);
+        $this->assertStringContainsString(CourseStyleService::READING_LEVELS['beginner'], $prompt);
+        $this->assertStringContainsString('friendly tone', $prompt);
+        $this->assertStringContainsString('Learning objectives, Summary.', $prompt);
+        $this->assertStringContainsString('- Funnel: The steps from visitor to customer', $prompt);
+        $this->assertStringContainsString('"synergy", "leverage"', $prompt);
+    }
+
+    /**
+     * Test other prompts leave the lesson template out
+     */
+    public function testQuizPromptOmitsTemplate(): void
+    {
+        $prompt = $this->styleService->buildPromptSection($this->fullStyle(), 'quiz');
+
+        $this->assertStringContainsString('Audience: Small business owners', $prompt);
+        $this->assertStringNotContainsString('Lesson template', $prompt);
+    }
+
+    /**
+     * Test a style posted as slashed JSON is read back
+     */
+    public function testFromJsonReadsSlashedInput(): void
+    {
+        $style = $this->styleService->fromJson(addslashes('{"tone":"academic","audience":"Grad students"}'));
+
+        $this->assertSame('academic', $style['tone']);
+        $this->assertSame('Grad students', $style['audience']);
+    }
+}
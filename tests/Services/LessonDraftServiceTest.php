@@ -6,6 +6,7 @@ namespace MemberPressCoursesCopilot\Tests\Services;
 
 use MemberPressCoursesCopilot\Tests\TestCase;
 use MemberPressCoursesCopilot\Services\LessonDraftService;
+use MemberPressCoursesCopilot\Services\CourseGeneratorService;
 use MemberPressCoursesCopilot\Services\DatabaseService;
 use MemberPressCoursesCopilot\Database\LessonDraftTable;
 
@@ -364,4 +365,185 @@ CONTENT;
         $saved = $this->lessonDraftService->getDraft($sessionId, $sectionId, $lessonId);
         $this->assertEquals(strlen($largeContent), strlen($saved->content));
     }
-}
\ No newline at end of file
+    
+    /**
+     * Test saves with a source build a revision history
+     */
+    public function testSavesWithSourceRecordRevisions(): void
+    {
+        $sessionId = 'test_session_' . uniqid();
+        
+        // A draft written without a source has no history yet
+        $this->lessonDraftService->saveDraft($sessionId, 'section_1', 'lesson_1', 'Hand written');
+        $this->assertEmpty($this->lessonDraftService->getRevisions($sessionId, 'section_1', 'lesson_1'));
+        
+        // The first tracked save keeps the untracked content as an earlier revision
+        $this->lessonDraftService->saveDraft($sessionId, 'section_1', 'lesson_1', 'Generated', 0, 'ai');
+        $this->lessonDraftService->saveDraft($sessionId, 'section_1', 'lesson_1', 'Generated', 0, 'manual');
+        $this->lessonDraftService->saveDraft($sessionId, 'section_1', 'lesson_1', 'Generated and edited', 0, 'manual');
+        
+        $revisions = $this->lessonDraftService->getRevisions($sessionId, 'section_1', 'lesson_1');
+        
+        $this->assertCount(3, $revisions);
+        $this->assertEquals(['manual', 'ai', 'earlier'], array_column($revisions, 'source'));
+        
+        $earlier = $this->lessonDraftService->getRevision($sessionId, 'section_1', 'lesson_1', $revisions[2]->id);
+        $this->assertEquals('Hand written', $earlier->content);
+        
+        // Revisions are only found through their own lesson
+        $this->assertNull($this->lessonDraftService->getRevision($sessionId, 'section_1', 'lesson_2', $revisions[2]->id));
+    }
+    
+    /**
+     * Test back-to-back autosaves update one revision
+     */
+    public function testConsecutiveAutosavesShareRevision(): void
+    {
+        $sessionId = 'test_session_' . uniqid();
+        
+        $this->lessonDraftService->saveDraft($sessionId, 'section_1', 'lesson_1', 'Draft', 0, 'manual');
+        $this->lessonDraftService->saveDraft($sessionId, 'section_1', 'lesson_1', 'Draft a', 0, 'autosave');
+        $this->lessonDraftService->saveDraft($sessionId, 'section_1', 'lesson_1', 'Draft ab', 0, 'autosave');
+        
+        $revisions = $this->lessonDraftService->getRevisions($sessionId, 'section_1', 'lesson_1');
+        
+        $this->assertCount(2, $revisions);
+        $this->assertEquals('autosave', $revisions[0]->source);
+        $this->assertEquals('Draft ab', $this->lessonDraftService->getRevision($sessionId, 'section_1', 'lesson_1', $revisions[0]->id)->content);
+    }
+    
+    /**
+     * Test deleting drafts removes their history
+     */
+    public function testDeletingDraftsRemovesRevisions(): void
+    {
+        $sessionId = 'test_session_' . uniqid();
+        
+        $this->lessonDraftService->saveDraft($sessionId, 'section_1', 'lesson_1', 'One', 0, 'manual');
+        $this->lessonDraftService->saveDraft($sessionId, 'section_1', 'lesson_2', 'Two', 1, 'manual');
+        
+        $this->lessonDraftService->deleteDraft($sessionId, 'section_1', 'lesson_1');
+        $this->assertEmpty($this->lessonDraftService->getRevisions($sessionId, 'section_1', 'lesson_1'));
+        $this->assertCount(1, $this->lessonDraftService->getRevisions($sessionId, 'section_1', 'lesson_2'));
+        
+        $this->lessonDraftService->deleteSessionDrafts($sessionId);
+        $this->assertEmpty($this->lessonDraftService->getRevisions($sessionId, 'section_1', 'lesson_2'));
+    }
+    
+    /**
+     * Test drafts follow their lessons when one is inserted above them
+     */
+    public function testMoveDraftsFollowsInsertedLesson(): void
+    {
+        $sessionId = 'test_session_' . uniqid();
+        
+        $this->lessonDraftService->saveDraft($sessionId, '0', '0', 'Lesson A');
+        $this->lessonDraftService->saveDraft($sessionId, '0', '1', 'Lesson B', 1);
+        
+        // A new lesson at the top pushes A and B down one place
+        $result = $this->lessonDraftService->moveDrafts($sessionId, [
+            ['from' => ['0', '0'], 'to' => ['0', '1']],
+            ['from' => ['0', '1'], 'to' => ['0', '2']],
+        ]);
+        
+        $this->assertTrue($result);
+        $this->assertNull($this->lessonDraftService->getDraft($sessionId, '0', '0'));
+        $this->assertEquals('Lesson A', $this->lessonDraftService->getDraft($sessionId, '0', '1')->content);
+        $this->assertEquals('Lesson B', $this->lessonDraftService->getDraft($sessionId, '0', '2')->content);
+        $this->assertCount(2, $this->lessonDraftService->getSessionDrafts($sessionId));
+    }
+    
+    /**
+     * Test swapped lessons keep their drafts and removed lessons lose theirs
+     */
+    public function testMoveDraftsSwapsAndDropsRemovedLessons(): void
+    {
+        $sessionId = 'test_session_' . uniqid();
+        
+        $this->lessonDraftService->saveDraft($sessionId, '0', '0', 'Lesson A');
+        $this->lessonDraftService->saveDraft($sessionId, '0', '1', 'Lesson B', 1);
+        $this->lessonDraftService->saveDraft($sessionId, '1', '0', 'Lesson C');
+        
+        // A and B trade places; C's lesson was deleted
+        $this->lessonDraftService->moveDrafts($sessionId, [
+            ['from' => ['0', '1'], 'to' => ['0', '0']],
+            ['from' => ['0', '0'], 'to' => ['0', '1']],
+        ]);
+        
+        $this->assertEquals('Lesson B', $this->lessonDraftService->getDraft($sessionId, '0', '0')->content);
+        $this->assertEquals('Lesson A', $this->lessonDraftService->getDraft($sessionId, '0', '1')->content);
+        $this->assertNull($this->lessonDraftService->getDraft($sessionId, '1', '0'));
+    }
+    
+    /**
+     * Test revision history moves with its draft
+     */
+    public function testMoveDraftsCarriesRevisions(): void
+    {
+        $sessionId = 'test_session_' . uniqid();
+        
+        $this->lessonDraftService->saveDraft($sessionId, '0', '0', 'Lesson A', 0, 'manual');
+        $this->lessonDraftService->saveDraft($sessionId, '0', '1', 'Lesson B', 1, 'manual');
+        $this->lessonDraftService->saveDraft($sessionId, '0', '1', 'Lesson B edited', 1, 'manual');
+        
+        $this->lessonDraftService->moveDrafts($sessionId, [
+            ['from' => ['0', '0'], 'to' => ['0', '1']],
+            ['from' => ['0', '1'], 'to' => ['0', '2']],
+        ]);
+        
+        $this->assertEmpty($this->lessonDraftService->getRevisions($sessionId, '0', '0'));
+        $this->assertCount(1, $this->lessonDraftService->getRevisions($sessionId, '0', '1'));
+        $this->assertCount(2, $this->lessonDraftService->getRevisions($sessionId, '0', '2'));
+        
+        $revision = $this->lessonDraftService->getRevisions($sessionId, '0', '1')[0];
+        $this->assertEquals('Lesson A', $this->lessonDraftService->getRevision($sessionId, '0', '1', $revision->id)->content);
+    }
+    
+    /**
+     * Test a sync preview after reordering lessons keeps each lesson's content
+     */
+    public function testReorderedSyncOutlineNeedsMovedDrafts(): void
+    {
+        $sessionId = 'test_session_' . uniqid();
+        $live = [
+            'title' => 'Live Course',
+            'description' => '',
+            'sections' => [
+                [
+                    'section_id' => 10,
+                    'title' => 'Basics',
+                    'lessons' => [
+                        ['lesson_id' => 101, 'title' => 'Intro', 'content' => 'Intro content'],
+                        ['lesson_id' => 102, 'title' => 'Setup', 'content' => 'Setup content'],
+                    ]
+                ]
+            ]
+        ];
+        
+        // Drafts seeded from the live course, as when sync starts
+        $this->lessonDraftService->saveDraft($sessionId, '0', '0', 'Intro content');
+        $this->lessonDraftService->saveDraft($sessionId, '0', '1', 'Setup content', 1);
+        
+        // The editor swaps the two lessons; each keeps its own draft
+        $edited = $live;
+        $edited['sections'][0]['lessons'] = [
+            ['lesson_id' => 102, 'title' => 'Setup', 'draft_content' => 'Setup content'],
+            ['lesson_id' => 101, 'title' => 'Intro', 'draft_content' => 'Intro content'],
+        ];
+        
+        // Until the drafts are moved, preview and apply are refused
+        $this->assertEquals(['Setup', 'Intro'], $this->lessonDraftService->findMisplacedDrafts($sessionId, $edited));
+        
+        $this->lessonDraftService->moveDrafts($sessionId, [
+            ['from' => ['0', '1'], 'to' => ['0', '0']],
+            ['from' => ['0', '0'], 'to' => ['0', '1']],
+        ]);
+        $this->assertEmpty($this->lessonDraftService->findMisplacedDrafts($sessionId, $edited));
+        
+        $mapped = $this->lessonDraftService->mapDraftsToStructure($sessionId, $edited);
+        $this->assertEquals('Setup content', $mapped['sections'][0]['lessons'][0]['content']);
+        
+        $changeSet = (new CourseGeneratorService())->buildChangeSet($live, $mapped);
+        $this->assertEquals(['reorder_lessons'], array_column($changeSet['changes'], 'type'));
+    }
+}
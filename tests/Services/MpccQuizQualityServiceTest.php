@@ -0,0 +1,176 @@
+<?php
+
+declare(strict_types=1);
+
+namespace MemberPressCoursesCopilot\Tests\Services;
+
+use MemberPressCoursesCopilot\Tests\TestCase;
+use MemberPressCoursesCopilot\Services\MpccQuizQualityService;
+
+/**
+ * MpccQuizQualityService Test
+ *
+ * Tests the quality checks run on generated quiz questions
+ *
+ * @package MemberPressCoursesCopilot\Tests\Services
+ * @since 1.0.0
+ */
+class MpccQuizQualityServiceTest extends TestCase
+{
+    private MpccQuizQualityService $qualityService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->qualityService = new MpccQuizQualityService();
+    }
+
+    /**
+     * Build a multiple choice question
+     */
+    private function question(string $text, array $options, string $correct = 'A'): array
+    {
+        return [
+            'type'           => 'multiple_choice',
+            'question'       => $text,
+            'options'        => $options,
+            'correct_answer' => $correct,
+        ];
+    }
+
+    /**
+     * Issues of one type from a report
+     */
+    private function issuesOfType(array $report, string $type): array
+    {
+        return array_values(array_filter($report['issues'], function ($issue) use ($type) {
+            return $issue['type'] === $type;
+        }));
+    }
+
+    /**
+     * Test a sound quiz gets a full score
+     */
+    public function testCleanQuizHasNoIssues(): void
+    {
+        $report = $this->qualityService->analyze([
+            $this->question('What symbol starts a PHP variable?', ['A' => 'Dollar', 'B' => 'Percent', 'C' => 'Ampersand']),
+            $this->question('Which keyword defines a function in PHP?', ['A' => 'func', 'B' => 'function', 'C' => 'functional'], 'B'),
+        ]);
+
+        $this->assertSame(100, $report['score']);
+        $this->assertSame([], $report['issues']);
+        $this->assertSame(2, $report['summary']['totalQuestions']);
+        $this->assertFalse($report['summary']['groundingChecked']);
+    }
+
+    /**
+     * Test a reworded repeat of an earlier question is flagged on the later one
+     */
+    public function testFlagsDuplicateQuestions(): void
+    {
+        $options = ['A' => 'Text', 'B' => 'Numbers', 'C' => 'Arrays'];
+        $report  = $this->qualityService->analyze([
+            $this->question('What does the PHP echo statement print?', $options),
+            $this->question('Which browser supports cookies?', $options),
+            $this->question('What does the echo statement in PHP print?', $options),
+        ]);
+
+        $duplicates = $this->issuesOfType($report, 'duplicate');
+
+        $this->assertCount(1, $duplicates);
+        $this->assertSame(2, $duplicates[0]['question']);
+        $this->assertSame('high', $duplicates[0]['severity']);
+        $this->assertSame('Repeats question 1', $duplicates[0]['message']);
+        $this->assertSame('regenerate', $duplicates[0]['fix']);
+    }
+
+    /**
+     * Test catch-all options and a conspicuously long correct option are flagged
+     */
+    public function testFlagsGiveawayOptions(): void
+    {
+        $report = $this->qualityService->analyze([
+            $this->question('Which of these are PHP data types?', [
+                'A' => 'String',
+                'B' => 'Integer',
+                'C' => 'None of the above',
+            ]),
+            $this->question('What is PHP?', [
+                'A' => 'A font',
+                'B' => 'A virus',
+                'C' => 'A server-side scripting language for building websites',
+            ], 'C'),
+        ]);
+
+        $giveaways = $this->issuesOfType($report, 'giveaway');
+        $messages  = array_column($giveaways, 'message', 'question');
+
+        $this->assertCount(2, $giveaways);
+        $this->assertStringContainsString('catch-all', $messages[0]);
+        $this->assertStringContainsString('noticeably longer', $messages[1]);
+    }
+
+    /**
+     * Test correct answers stuck in one position offer a shuffle fix
+     */
+    public function testFlagsAnswerPositionBias(): void
+    {
+        $options = ['A' => 'First', 'B' => 'Second', 'C' => 'Third', 'D' => 'Fourth'];
+        $report  = $this->qualityService->analyze([
+            $this->question('Which loop runs at least once?', $options),
+            $this->question('Which operator compares type and value?', $options),
+            $this->question('Which function counts array elements?', $options),
+            $this->question('Which superglobal holds form posts?', $options),
+        ]);
+
+        $bias = $this->issuesOfType($report, 'position_bias');
+
+        $this->assertCount(1, $bias);
+        $this->assertNull($bias[0]['question']);
+        $this->assertSame('4 of 4 multiple-choice answers are option A', $bias[0]['message']);
+        $this->assertSame('shuffle', $bias[0]['fix']);
+    }
+
+    /**
+     * Test questions about material missing from the lesson are flagged
+     */
+    public function testFlagsQuestionsNotGroundedInLesson(): void
+    {
+        $lesson = '<p>PHP variables start with a dollar sign. Variables store values such as strings and numbers.</p>';
+        $report = $this->qualityService->analyze([
+            $this->question('Which sign do PHP variables start with?', ['A' => 'Dollar sign', 'B' => 'Hash sign']),
+            $this->question('Which planet has the largest moon in the solar system?', ['A' => 'Jupiter', 'B' => 'Saturn']),
+        ], $lesson);
+
+        $ungrounded = $this->issuesOfType($report, 'ungrounded');
+
+        $this->assertTrue($report['summary']['groundingChecked']);
+        $this->assertCount(1, $ungrounded);
+        $this->assertSame(1, $ungrounded[0]['question']);
+        $this->assertStringContainsString('lesson', $ungrounded[0]['hint']);
+    }
+
+    /**
+     * Test dense wording is flagged and the reading grade is reported
+     */
+    public function testFlagsHardToReadQuestions(): void
+    {
+        $report = $this->qualityService->analyze([
+            $this->question('What symbol starts a PHP variable?', ['A' => 'Dollar', 'B' => 'Percent']),
+            $this->question(
+                'Which organizational characteristics fundamentally differentiate heterogeneous distributed '
+                . 'computational infrastructures from conventional monolithic architectures?',
+                ['A' => 'Scalability', 'B' => 'Simplicity']
+            ),
+        ]);
+
+        $reading = $this->issuesOfType($report, 'reading_level');
+
+        $this->assertCount(1, $reading);
+        $this->assertSame(1, $reading[0]['question']);
+        $this->assertGreaterThan(12, $report['summary']['readingGrade']);
+        $this->assertLessThan(100, $report['score']);
+    }
+}
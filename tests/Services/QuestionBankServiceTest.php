@@ -0,0 +1,184 @@
+<?php
+
+declare(strict_types=1);
+
+namespace MemberPressCoursesCopilot\Tests\Services;
+
+use MemberPressCoursesCopilot\Tests\TestCase;
+use MemberPressCoursesCopilot\Services\QuestionBankService;
+use MemberPressCoursesCopilot\Services\DatabaseService;
+
+/**
+ * QuestionBankService Test
+ *
+ * Tests saving, searching and deleting bank questions with real database operations
+ *
+ * @package MemberPressCoursesCopilot\Tests\Services
+ * @since 1.0.0
+ */
+class QuestionBankServiceTest extends TestCase
+{
+    private QuestionBankService $questionBankService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $databaseService = new DatabaseService();
+        $databaseService->installTables();
+
+        $this->questionBankService = new QuestionBankService();
+    }
+
+    /**
+     * Build a multiple choice question with a unique text
+     */
+    private function question(string $text): array
+    {
+        return [
+            'type'           => 'multiple_choice',
+            'question'       => $text . ' ' . uniqid(),
+            'options'        => ['A' => 'Dollar sign', 'B' => 'Hash sign'],
+            'correct_answer' => 'A',
+        ];
+    }
+
+    /**
+     * Test a saved question comes back with its tags
+     */
+    public function testSaveAndGetQuestion(): void
+    {
+        $question = $this->question('Which sign starts a PHP variable?');
+
+        $result = $this->questionBankService->saveQuestion($question, ['lesson_id' => 12, 'course_id' => 5, 'difficulty' => 'easy'], 1);
+        $entry  = $this->questionBankService->getQuestion($result['id']);
+
+        $this->assertFalse($result['duplicate']);
+        $this->assertNotNull($entry);
+        $this->assertSame('multiple_choice', $entry['type']);
+        $this->assertSame($question['question'], $entry['question']['question']);
+        $this->assertSame('A', $entry['question']['correct_answer']);
+        $this->assertSame(12, $entry['lesson_id']);
+        $this->assertSame(5, $entry['course_id']);
+        $this->assertSame('easy', $entry['difficulty']);
+        $this->assertSame(1, $entry['created_by']);
+    }
+
+    /**
+     * Test saving the same question again is reported as a duplicate
+     */
+    public function testIdenticalResaveIsReportedAsDuplicate(): void
+    {
+        $question = $this->question('Which keyword defines a function?');
+
+        $first  = $this->questionBankService->saveQuestion($question);
+        $second = $this->questionBankService->saveQuestion($question);
+
+        $this->assertFalse($first['duplicate']);
+        $this->assertTrue($second['duplicate']);
+        $this->assertSame($first['id'], $second['id']);
+    }
+
+    /**
+     * Test questions that share a stem but not their options are kept apart
+     */
+    public function testDifferentOptionsCreateNewEntry(): void
+    {
+        $question = $this->question('Which of the following is true?');
+        $other    = array_merge($question, [
+            'options'        => ['A' => 'PHP is compiled', 'B' => 'PHP is interpreted'],
+            'correct_answer' => 'B',
+        ]);
+
+        $first  = $this->questionBankService->saveQuestion($question);
+        $second = $this->questionBankService->saveQuestion($other);
+
+        $this->assertFalse($second['duplicate']);
+        $this->assertNotSame($first['id'], $second['id']);
+        $this->assertSame('PHP is interpreted', $this->questionBankService->getQuestion($second['id'])['question']['options']['B']);
+    }
+
+    /**
+     * Test answers are normalized to the shape the quiz modal inserts
+     */
+    public function testNormalizesAnswers(): void
+    {
+        $choice = $this->questionBankService->normalizeQuestion([
+            'type'           => 'multiple_choice',
+            'question'       => 'What is PHP?',
+            'options'        => ['A' => 'A language', 'B' => 'A font'],
+            'correct_answer' => 'A language',
+            'source_lesson'  => ['id' => 3, 'title' => 'Intro'],
+            'bloom_level'    => 'apply',
+        ]);
+        $trueFalse = $this->questionBankService->normalizeQuestion([
+            'type'           => 'true_false',
+            'question'       => 'PHP runs on the server',
+            'correct_answer' => '1',
+        ]);
+
+        $this->assertSame('A', $choice['correct_answer']);
+        $this->assertArrayNotHasKey('source_lesson', $choice);
+        $this->assertSame('apply', $choice['bloom_level']);
+        $this->assertArrayNotHasKey('bloom_level', $trueFalse);
+        $this->assertSame('PHP runs on the server', $trueFalse['statement']);
+        $this->assertTrue($trueFalse['correct_answer']);
+    }
+
+    /**
+     * Test incomplete questions are rejected
+     */
+    public function testRejectsIncompleteQuestions(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+
+        $this->questionBankService->saveQuestion([
+            'type'           => 'multiple_choice',
+            'question'       => 'Which option is right?',
+            'options'        => ['A' => 'One', 'B' => 'Two'],
+            'correct_answer' => 'C',
+        ]);
+    }
+
+    /**
+     * Test searching by text and tags
+     */
+    public function testSearchFiltersByTextAndTags(): void
+    {
+        $courseId = random_int(100000, 999999);
+        $marker   = 'bank' . uniqid();
+
+        $this->questionBankService->saveQuestion($this->question("What does {$marker} echo print?"), ['course_id' => $courseId, 'difficulty' => 'easy']);
+        $this->questionBankService->saveQuestion($this->question("What does {$marker} isset check?"), ['course_id' => $courseId, 'difficulty' => 'hard']);
+        $this->questionBankService->saveQuestion(
+            ['type' => 'true_false', 'statement' => "{$marker} arrays are ordered maps", 'correct_answer' => true],
+            ['course_id' => $courseId]
+        );
+
+        $all  = $this->questionBankService->searchQuestions(['course_id' => $courseId]);
+        $hard = $this->questionBankService->searchQuestions(['course_id' => $courseId, 'difficulty' => 'hard']);
+        $text = $this->questionBankService->searchQuestions(['course_id' => $courseId, 'search' => 'echo']);
+        $type = $this->questionBankService->searchQuestions(['search' => $marker, 'type' => 'true_false']);
+        $page = $this->questionBankService->searchQuestions(['course_id' => $courseId], 2, 2);
+
+        $this->assertSame(3, $all['total']);
+        $this->assertSame(1, $hard['total']);
+        $this->assertStringContainsString('isset', $hard['questions'][0]['question']['question']);
+        $this->assertSame(1, $text['total']);
+        $this->assertSame(1, $type['total']);
+        $this->assertTrue($type['questions'][0]['question']['correct_answer']);
+        $this->assertCount(1, $page['questions']);
+    }
+
+    /**
+     * Test deleting a question
+     */
+    public function testDeleteQuestion(): void
+    {
+        $id = $this->questionBankService->saveQuestion($this->question('Which function counts elements?'))['id'];
+
+        $this->assertTrue($this->questionBankService->deleteQuestion($id));
+        $this->assertNull($this->questionBankService->getQuestion($id));
+        $this->assertFalse($this->questionBankService->deleteQuestion($id));
+    }
+}
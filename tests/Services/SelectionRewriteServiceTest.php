@@ -0,0 +1,91 @@
+<?php
+
+declare(strict_types=1);
+
+namespace MemberPressCoursesCopilot\Tests\Services;
+
+use MemberPressCoursesCopilot\Tests\TestCase;
+use MemberPressCoursesCopilot\Services\SelectionRewriteService;
+
+/**
+ * SelectionRewriteService Test
+ *
+ * Tests the prompts and result cleanup behind rewriting a selected passage
+ *
+ * @package MemberPressCoursesCopilot\Tests\Services
+ * @since 1.0.0
+ */
+class SelectionRewriteServiceTest extends TestCase
+{
+    private SelectionRewriteService $rewriteService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->rewriteService = new SelectionRewriteService();
+    }
+
+    /**
+     * Test the prompt carries the passage, the task and the surrounding text
+     */
+    public function testPromptIncludesPassageAndContext(): void
+    {
+        $prompt = $this->rewriteService->buildPrompt(
+            'simplify',
+            'Variables <strong>encapsulate</strong> mutable state.',
+            [],
+            ['lesson_title' => 'Variables', 'course_title' => 'PHP Basics', 'before' => 'In PHP,', 'after' => 'They start with $.']
+        );
+
+        $this->assertStringContainsString('Variables <strong>encapsulate</strong> mutable state.', $prompt);
+        $this->assertStringContainsString(SelectionRewriteService::ACTIONS['simplify'], $prompt);
+        $this->assertStringContainsString('Lesson: Variables', $prompt);
+        $this->assertStringContainsString('...In PHP, [PASSAGE] They start with $....', $prompt);
+    }
+
+    /**
+     * Test translate and tone fill in their option
+     */
+    public function testTranslateAndToneUseOptions(): void
+    {
+        $translate = $this->rewriteService->buildPrompt('translate', 'Hello', ['language' => 'Spanish']);
+        $tone      = $this->rewriteService->buildPrompt('tone', 'Hello', ['tone' => 'unknown']);
+
+        $this->assertStringContainsString('Translate the passage into Spanish.', $translate);
+        $this->assertStringContainsString('in a friendly tone', $tone);
+    }
+
+    /**
+     * Test unusable requests are rejected
+     */
+    public function testRejectsMissingLanguage(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+
+        $this->rewriteService->buildPrompt('translate', 'Hello');
+    }
+
+    /**
+     * Test an empty selection is rejected
+     */
+    public function testRejectsEmptyPassage(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+
+        $this->rewriteService->buildPrompt('simplify', '<p> </p>');
+    }
+
+    /**
+     * Test the rewrite is taken from its tags and stripped of unsafe markup
+     */
+    public function testCleanResultExtractsTaggedPassage(): void
+    {
+        $result = $this->rewriteService->cleanResult(
+            "Sure! Here it is:\n[REWRITE]\n<ol><li onclick=\"x()\">Declare</li><li><span class=\"hl\">Assign</span></li></ol>\n[/REWRITE]\nHope this helps."
+        );
+
+        $this->assertSame('<ol><li>Declare</li><li>Assign</li></ol>', $result);
+        $this->assertSame('Plain <em>text</em>', $this->rewriteService->cleanResult("```html\nPlain <em>text</em>\n```"));
+    }
+}
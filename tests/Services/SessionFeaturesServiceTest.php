@@ -0,0 +1,155 @@
+<?php
+
+declare(strict_types=1);
+
+namespace MemberPressCoursesCopilot\Tests\Services;
+
+use MemberPressCoursesCopilot\Tests\TestCase;
+use MemberPressCoursesCopilot\Services\SessionFeaturesService;
+use MemberPressCoursesCopilot\Services\ConversationManager;
+use MemberPressCoursesCopilot\Services\DatabaseService;
+use MemberPressCoursesCopilot\Services\LessonDraftService;
+
+/**
+ * SessionFeaturesService Test
+ *
+ * Tests validation and unpacking of session export packages
+ *
+ * @package MemberPressCoursesCopilot\Tests\Services
+ * @since 1.0.0
+ */
+class SessionFeaturesServiceTest extends TestCase
+{
+    private SessionFeaturesService $sessionFeatures;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $databaseService = new DatabaseService();
+        $databaseService->installTables();
+
+        $this->sessionFeatures = new SessionFeaturesService(
+            new ConversationManager($databaseService),
+            $databaseService,
+            new LessonDraftService($databaseService)
+        );
+    }
+
+    /**
+     * Build an uncompressed package as exportSession() would
+     */
+    private function package(): array
+    {
+        return [
+            'export_info'   => [
+                'package'  => 'mpcc-session',
+                'version'  => '2.0',
+                'site_url' => 'https://staging.example.com',
+            ],
+            'session_data'  => [
+                'session_id'    => 'mpcc_session_abc',
+                'user_id'       => 1,
+                'title'         => 'Course: PHP Basics',
+                'context'       => 'course_creation',
+                'current_state' => 'initial',
+                'state_history' => [],
+                'context_data'  => [
+                    'course_structure' => ['title' => 'PHP Basics', 'sections' => []],
+                ],
+                'progress'      => 0,
+                'messages'      => [
+                    ['type' => 'user', 'content' => 'Create a PHP course', 'metadata' => []],
+                ],
+                'metadata'      => [],
+            ],
+            'lesson_drafts' => [
+                ['section_id' => 'section_0', 'lesson_id' => 'lesson_0_0', 'content' => '<p>Intro</p>', 'order_index' => '0'],
+            ],
+            'metadata'      => ['title' => 'Course: PHP Basics'],
+        ];
+    }
+
+    /**
+     * Test a valid package passes through with its drafts
+     */
+    public function testPrepareImportAcceptsValidPackage(): void
+    {
+        $prepared = $this->sessionFeatures->prepareImport($this->package());
+
+        $this->assertEquals('mpcc_session_abc', $prepared['session_data']['session_id']);
+        $this->assertEquals('<p>Intro</p>', $prepared['lesson_drafts'][0]['content']);
+        $this->assertSame(0, $prepared['lesson_drafts'][0]['order_index']);
+    }
+
+    /**
+     * Test compressed packages are unpacked before validation
+     */
+    public function testPrepareImportUnpacksCompressedPackage(): void
+    {
+        $package = $this->package();
+        $json    = json_encode([
+            'session_data'  => $package['session_data'],
+            'lesson_drafts' => $package['lesson_drafts'],
+        ]);
+
+        $prepared = $this->sessionFeatures->prepareImport([
+            'export_info' => $package['export_info'],
+            'metadata'    => $package['metadata'],
+            'compressed'  => true,
+            'encoding'    => 'gzip+base64',
+            'checksum'    => md5($json),
+            'payload'     => base64_encode(gzcompress($json)),
+        ]);
+
+        $this->assertArrayNotHasKey('payload', $prepared);
+        $this->assertEquals('Course: PHP Basics', $prepared['session_data']['title']);
+        $this->assertCount(1, $prepared['lesson_drafts']);
+    }
+
+    /**
+     * Test a tampered payload is rejected
+     */
+    public function testPrepareImportRejectsCorruptedPayload(): void
+    {
+        $json = json_encode(['session_data' => $this->package()['session_data']]);
+
+        $this->expectException(\InvalidArgumentException::class);
+        $this->expectExceptionMessage('corrupted');
+
+        $this->sessionFeatures->prepareImport([
+            'export_info' => $this->package()['export_info'],
+            'compressed'  => true,
+            'encoding'    => 'gzip+base64',
+            'checksum'    => md5($json . 'x'),
+            'payload'     => base64_encode(gzcompress($json)),
+        ]);
+    }
+
+    /**
+     * Test packages from another format version or with broken messages are rejected
+     */
+    public function testPrepareImportRejectsInvalidPackages(): void
+    {
+        $newer = $this->package();
+        $newer['export_info']['version'] = '3.0';
+
+        $brokenMessage = $this->package();
+        $brokenMessage['session_data']['messages'][] = ['type' => 'tool', 'content' => 'x'];
+
+        $cases = [
+            [$newer, 'unsupported package version 3.0'],
+            [$brokenMessage, 'invalid message at position 1'],
+            [['session_data' => []], 'not a course session export'],
+        ];
+
+        foreach ($cases as [$package, $message]) {
+            try {
+                $this->sessionFeatures->prepareImport($package);
+                $this->fail('Expected validation to fail: ' . $message);
+            } catch (\InvalidArgumentException $e) {
+                $this->assertStringContainsString($message, $e->getMessage());
+            }
+        }
+    }
+}